@@ -18,6 +18,69 @@ const config = {
   redis: {
     url: process.env.REDIS_URL || 'redis://localhost:6379'
   },
+  queue: {
+    // 'bull' hands jobs to Redis for the worker process; 'memory' runs them inside the API process
+    driver: process.env.QUEUE_DRIVER || 'memory',
+    prefix: process.env.QUEUE_PREFIX || 'ajiro',
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2,
+    attempts: parseInt(process.env.QUEUE_ATTEMPTS, 10) || 3,
+    backoffMs: parseInt(process.env.QUEUE_BACKOFF_MS, 10) || 5000
+  },
+  // Business timezone used for schedules and report periods
+  timezone: process.env.APP_TIMEZONE || 'Asia/Tehran',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.SMTP_FROM || 'Ajiro <no-reply@ajiro.ir>'
+  },
+  fileDrop: {
+    // Where the file-drop transport writes deliveries (for development and testing)
+    dir: process.env.FILE_DROP_DIR || 'storage/outbox'
+  },
+  notifications: {
+    // Language used when the recipient has no preference ('fa' or 'en')
+    defaultLocale: process.env.NOTIFICATION_DEFAULT_LOCALE || 'fa',
+    // 'smtp' sends real email; 'console' only logs messages
+    emailProvider: process.env.EMAIL_PROVIDER || 'console',
+    // 'kavenegar' sends real SMS; 'console' only logs messages
+    smsProvider: process.env.SMS_PROVIDER || 'console',
+    kavenegar: {
+      apiKey: process.env.KAVENEGAR_API_KEY,
+      sender: process.env.KAVENEGAR_SENDER
+    },
+    // Front-end page that accepts ?token= to reset a password
+    resetPasswordUrl: process.env.RESET_PASSWORD_URL || 'http://localhost:3000/reset-password'
+  },
+  otp: {
+    // One-time login codes sent by SMS
+    length: parseInt(process.env.OTP_LENGTH, 10) || 6,
+    ttlSeconds: parseInt(process.env.OTP_TTL_SECONDS, 10) || 120,
+    // Minimum gap between two codes for the same phone
+    resendIntervalSeconds: parseInt(process.env.OTP_RESEND_INTERVAL_SECONDS, 10) || 60,
+    // At most maxPerWindow codes per phone within windowMinutes
+    maxPerWindow: parseInt(process.env.OTP_MAX_PER_WINDOW, 10) || 5,
+    windowMinutes: parseInt(process.env.OTP_WINDOW_MINUTES, 10) || 60,
+    // Wrong guesses allowed per code before the phone is locked out
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+    lockoutMinutes: parseInt(process.env.OTP_LOCKOUT_MINUTES, 10) || 30
+  },
+  pdf: {
+    // TTF/OTF font with Persian glyphs; the built-in Helvetica cannot render Persian text
+    fontPath: process.env.PDF_FONT_PATH
+  },
+  moadian: {
+    // National tax portal (سامانه مودیان); point at the mock portal (npm run moadian-mock) to develop and test
+    apiUrl: process.env.MOADIAN_API_URL || 'https://tp.tax.gov.ir',
+    requestTimeoutMs: parseInt(process.env.MOADIAN_TIMEOUT_MS, 10) || 15000,
+    // The portal's public key (PEM) and its ID; when set, invoices are encrypted to it after signing
+    serverPublicKey: process.env.MOADIAN_SERVER_PUBLIC_KEY,
+    serverKeyId: process.env.MOADIAN_SERVER_KEY_ID,
+    // Wait before asking the portal whether it accepted a submission
+    inquiryDelayMs: parseInt(process.env.MOADIAN_INQUIRY_DELAY_MS, 10) || 30000
+  },
   jwt: {
     secret: process.env.JWT_SECRET || 'dev_jwt_secret',
     expiresIn: process.env.JWT_EXPIRES_IN || '1d',
@@ -3,7 +3,9 @@ const { v4: uuidv4 } = require('uuid');
 const { AppError } = require('../middleware/errorHandler');
 const config = require('../config');
 const db = require('../models');
-const logger = require('../utils/logger');
+const { notifyInBackground } = require('../services/notification.service');
+const otpService = require('../services/otp.service');
+const { normalizeMobile } = require('../utils/phone');
 
 // Generate JWT token
 const generateToken = async (user, expiresIn = config.jwt.expiresIn) => {
@@ -60,6 +62,18 @@ const generateToken = async (user, expiresIn = config.jwt.expiresIn) => {
   );
 };
 
+// Generate JWT token for a customer signed in with a phone code.
+// The type claim keeps these tokens out of staff endpoints.
+const generateCustomerToken = (customer, expiresIn = config.jwt.expiresIn) => jwt.sign(
+  {
+    id: customer.id,
+    phone: customer.phone,
+    type: 'customer'
+  },
+  config.jwt.secret,
+  { expiresIn }
+);
+
 // Generate refresh token
 const generateRefreshToken = (user) => {
   const expiresAt = new Date();
@@ -81,6 +95,132 @@ const generateRefreshToken = (user) => {
   };
 };
 
+/**
+ * Issue tokens for a signed-in user, store the refresh session and
+ * describe the user's primary shop
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request (for client IP and user agent)
+ * @returns {Promise<Object>} - Login response data
+ */
+const startUserSession = async (user, req) => {
+  // Get user's primary shop
+  let shop = null;
+  if (user.role !== 'admin') {
+    const ownedShop = await db.Shop.findOne({
+      where: {
+        owner_id: user.id,
+        is_active: true
+      }
+    });
+
+    // If user doesn't own a shop, check for shops they have access to
+    if (!ownedShop) {
+      const userShop = await db.UserShop.findOne({
+        where: {
+          user_id: user.id,
+          is_active: true
+        },
+        include: [{
+          model: db.Shop,
+          as: 'Shop'
+        }]
+      });
+      
+      if (userShop && userShop.Shop) {
+        shop = userShop.Shop;
+      }
+    } else {
+      shop = ownedShop;
+    }
+  }
+
+  // Generate tokens
+  const accessToken = await generateToken(user);
+  const refreshTokenData = generateRefreshToken(user);
+  
+  // Store refresh token in database
+  await db.UserSession.create({
+    user_id: user.id,
+    token: refreshTokenData.token,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    expires_at: refreshTokenData.expiresAt
+  });
+  
+  // Update last login timestamp
+  await user.update({ last_login_at: new Date() });
+
+  // Create safe shop object with tax settings
+  let shopResponse = null;
+  if (shop) {
+    try {
+      shopResponse = {
+        id: shop.id,
+        name: shop.name,
+        tax_enabled: shop.tax_enabled === undefined ? true : shop.tax_enabled,
+        tax_rate: shop.tax_rate || 9.00,
+        currency: shop.currency || 'تومان'
+      };
+    } catch (shopError) {
+      console.error('Error extracting shop data:', shopError);
+      shopResponse = {
+        id: shop.id,
+        name: shop.name,
+        tax_enabled: true,
+        tax_rate: 9.00,
+        currency: 'تومان'
+      };
+    }
+  }
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role
+    },
+    shop: shopResponse,
+    access_token: accessToken,
+    refresh_token: refreshTokenData.token,
+    expires_in: config.jwt.expiresIn
+  };
+};
+
+/**
+ * Issue tokens for a customer signed in with a phone code and store the
+ * refresh session
+ * @param {Object} customer - Authenticated customer
+ * @param {Object} req - Express request (for client IP and user agent)
+ * @returns {Promise<Object>} - Login response data
+ */
+const startCustomerSession = async (customer, req) => {
+  const refreshTokenData = generateRefreshToken(customer);
+
+  await db.UserSession.create({
+    customer_id: customer.id,
+    token: refreshTokenData.token,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    expires_at: refreshTokenData.expiresAt
+  });
+
+  return {
+    customer: {
+      id: customer.id,
+      first_name: customer.first_name,
+      last_name: customer.last_name,
+      phone: customer.phone,
+      loyalty_points: customer.loyalty_points,
+      loyalty_tier: customer.loyalty_tier
+    },
+    access_token: generateCustomerToken(customer),
+    refresh_token: refreshTokenData.token,
+    expires_in: config.jwt.expiresIn
+  };
+};
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -219,91 +359,9 @@ exports.login = async (req, res, next) => {
       return next(new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS'));
     }
 
-    // Get user's primary shop
-    let shop = null;
-    if (user.role !== 'admin') {
-      const ownedShop = await db.Shop.findOne({
-        where: {
-          owner_id: user.id,
-          is_active: true
-        }
-      });
-
-      // If user doesn't own a shop, check for shops they have access to
-      if (!ownedShop) {
-        const userShop = await db.UserShop.findOne({
-          where: {
-            user_id: user.id,
-            is_active: true
-          },
-          include: [{
-            model: db.Shop,
-            as: 'Shop'
-          }]
-        });
-        
-        if (userShop && userShop.Shop) {
-          shop = userShop.Shop;
-        }
-      } else {
-        shop = ownedShop;
-      }
-    }
-
-    // Generate tokens
-    const accessToken = await generateToken(user);
-    const refreshTokenData = generateRefreshToken(user);
-    
-    // Store refresh token in database
-    await db.UserSession.create({
-      user_id: user.id,
-      token: refreshTokenData.token,
-      ip_address: req.ip,
-      user_agent: req.headers['user-agent'],
-      expires_at: refreshTokenData.expiresAt
-    });
-    
-    // Update last login timestamp
-    await user.update({ last_login_at: new Date() });
-
-    // Create safe shop object with tax settings
-    let shopResponse = null;
-    if (shop) {
-      try {
-        shopResponse = {
-          id: shop.id,
-          name: shop.name,
-          tax_enabled: shop.tax_enabled === undefined ? true : shop.tax_enabled,
-          tax_rate: shop.tax_rate || 9.00,
-          currency: shop.currency || 'تومان'
-        };
-      } catch (shopError) {
-        console.error('Error extracting shop data:', shopError);
-        shopResponse = {
-          id: shop.id,
-          name: shop.name,
-          tax_enabled: true,
-          tax_rate: 9.00,
-          currency: 'تومان'
-        };
-      }
-    }
-
     res.status(200).json({
       success: true,
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          first_name: user.first_name,
-          last_name: user.last_name,
-          role: user.role
-        },
-        shop: shopResponse,
-        access_token: accessToken,
-        refresh_token: refreshTokenData.token,
-        expires_in: config.jwt.expiresIn
-      }
+      data: await startUserSession(user, req)
     });
   } catch (error) {
     next(error);
@@ -345,15 +403,27 @@ exports.refreshToken = async (req, res, next) => {
       return next(new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN'));
     }
 
-    // Find user
-    const user = await db.User.findByPk(decoded.id);
-    if (!user || !user.is_active) {
-      return next(new AppError('User not found or inactive', 401, 'USER_NOT_FOUND'));
-    }
+    // Find the user or customer the session belongs to
+    let newAccessToken;
+    let newRefreshToken;
+    if (session.customer_id) {
+      const customer = await db.Customer.findByPk(session.customer_id);
+      if (!customer) {
+        return next(new AppError('Customer not found', 401, 'CUSTOMER_NOT_FOUND'));
+      }
 
-    // Generate new tokens
-    const newAccessToken = await generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+      newAccessToken = generateCustomerToken(customer);
+      newRefreshToken = generateRefreshToken(customer);
+    } else {
+      const user = await db.User.findByPk(decoded.id);
+      if (!user || !user.is_active) {
+        return next(new AppError('User not found or inactive', 401, 'USER_NOT_FOUND'));
+      }
+
+      // Generate new tokens
+      newAccessToken = await generateToken(user);
+      newRefreshToken = generateRefreshToken(user);
+    }
 
     // Update session
     await session.update({
@@ -379,9 +449,6 @@ exports.refreshToken = async (req, res, next) => {
  */
 exports.logout = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
-
     // Delete session if refresh token is provided
     if (req.body.refreshToken) {
       await db.UserSession.destroy({
@@ -398,6 +465,92 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+/**
+ * Send a one-time login code to a mobile number
+ * @route POST /api/auth/otp/request
+ */
+exports.requestOtp = async (req, res, next) => {
+  try {
+    const { audience } = req.body;
+    const phone = normalizeMobile(req.body.phone);
+
+    if (!phone) {
+      return next(new AppError('Enter a valid mobile number', 400, 'INVALID_PHONE'));
+    }
+
+    const { expiresAt } = await otpService.requestCode(phone, audience, {
+      ip: req.ip,
+      locale: req.acceptsLanguages('fa', 'en') || undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'If this number is registered, a login code has been sent to it',
+      data: {
+        expires_at: expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign in with a one-time login code
+ * @route POST /api/auth/otp/verify
+ */
+exports.verifyOtp = async (req, res, next) => {
+  try {
+    const { audience, code } = req.body;
+    const phone = normalizeMobile(req.body.phone);
+
+    if (!phone) {
+      return next(new AppError('Enter a valid mobile number', 400, 'INVALID_PHONE'));
+    }
+
+    const account = await otpService.verifyCode(phone, audience, code);
+
+    const data = audience === 'customer'
+      ? await startCustomerSession(account, req)
+      : await startUserSession(account, req);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the signed-in customer's profile
+ * @route GET /api/auth/customer/me
+ */
+exports.getCustomerProfile = async (req, res, next) => {
+  try {
+    const customer = req.customer;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer: {
+          id: customer.id,
+          first_name: customer.first_name,
+          last_name: customer.last_name,
+          email: customer.email,
+          phone: customer.phone,
+          locale: customer.locale,
+          loyalty_points: customer.loyalty_points,
+          loyalty_tier: customer.loyalty_tier
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Request password reset
  * @route POST /api/auth/forgot-password
@@ -428,9 +581,18 @@ exports.forgotPassword = async (req, res, next) => {
       user_agent: 'Password Reset'
     });
 
-    // In a real application, send the token via email
-    // For development, just log it
-    logger.info(`Password reset token for ${email}: ${resetToken}`);
+    // Email the reset link in the language the client asked for
+    notifyInBackground('password_reset', {
+      email: user.email,
+      locale: req.acceptsLanguages('fa', 'en') || undefined,
+      userId: user.id
+    }, {
+      name: user.first_name,
+      reset_url: `${config.notifications.resetPasswordUrl}?token=${resetToken}`,
+      expires_in_minutes: 60
+    }, {
+      reference: { type: 'user', id: user.id }
+    });
 
     res.status(200).json({
       success: true,
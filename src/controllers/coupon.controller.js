@@ -0,0 +1,262 @@
+const { Op } = require('sequelize');
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const couponService = require('../services/coupon.service');
+
+/**
+ * Find a coupon campaign of the shop
+ * @param {string} id - Campaign ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopCampaign = async (id, shopId) => {
+  const campaign = await db.CouponCampaign.findOne({
+    where: { id, shop_id: shopId }
+  });
+
+  if (!campaign) {
+    throw new AppError('Coupon campaign not found', 404, 'COUPON_CAMPAIGN_NOT_FOUND');
+  }
+
+  return campaign;
+};
+
+/**
+ * Get the coupon campaigns of the shop
+ * @route GET /api/coupons/campaigns
+ */
+exports.getAllCampaigns = async (req, res, next) => {
+  try {
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    if (req.query.search) {
+      filter.name = { [Op.iLike]: `%${req.query.search}%` };
+    }
+
+    const campaigns = await db.CouponCampaign.findAll({
+      where: filter,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { campaigns }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a coupon campaign with the number of codes it has and how often they
+ * were used
+ * @route GET /api/coupons/campaigns/:id
+ */
+exports.getCampaignById = async (req, res, next) => {
+  try {
+    const campaign = await findShopCampaign(req.params.id, req.shop.id);
+
+    const [codes, redemptions] = await Promise.all([
+      db.Coupon.count({ where: { campaign_id: campaign.id } }),
+      db.CouponRedemption.count({ where: { campaign_id: campaign.id } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        campaign,
+        codes,
+        redemptions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a coupon campaign
+ * @route POST /api/coupons/campaigns
+ */
+exports.createCampaign = async (req, res, next) => {
+  try {
+    const { shop_id, ...fields } = req.body;
+
+    couponService.checkCampaignRules(fields);
+
+    const campaign = await db.CouponCampaign.create({
+      ...fields,
+      shop_id: req.shop.id,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { campaign },
+      message: 'Coupon campaign created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a coupon campaign. Codes already generated keep their own number of
+ * uses.
+ * @route PUT /api/coupons/campaigns/:id
+ */
+exports.updateCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findShopCampaign(req.params.id, req.shop.id);
+    const { shop_id, ...changes } = req.body;
+
+    couponService.checkCampaignRules({ ...campaign.toJSON(), ...changes });
+
+    await campaign.update(changes);
+
+    res.status(200).json({
+      success: true,
+      data: { campaign },
+      message: 'Coupon campaign updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add codes to a campaign: one chosen code or a batch of random ones
+ * @route POST /api/coupons/campaigns/:id/codes
+ */
+exports.createCodes = async (req, res, next) => {
+  try {
+    const campaign = await findShopCampaign(req.params.id, req.shop.id);
+    const {
+      code, count, prefix, length, max_uses
+    } = req.body;
+
+    const coupons = await couponService.generateCodes(campaign, {
+      code,
+      count,
+      prefix,
+      length,
+      maxUses: max_uses
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        count: coupons.length,
+        codes: coupons.map(coupon => coupon.code)
+      },
+      message: `${coupons.length} coupon code(s) created`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the codes of a campaign
+ * @route GET /api/coupons/campaigns/:id/codes
+ */
+exports.getCampaignCodes = async (req, res, next) => {
+  try {
+    const campaign = await findShopCampaign(req.params.id, req.shop.id);
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offset = (page - 1) * limit;
+
+    const filter = { campaign_id: campaign.id };
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    // Codes used at least once, or never used
+    if (req.query.used === 'true') {
+      filter.times_used = { [Op.gt]: 0 };
+    } else if (req.query.used === 'false') {
+      filter.times_used = 0;
+    }
+
+    const { count, rows: coupons } = await db.Coupon.findAndCountAll({
+      where: filter,
+      order: [['created_at', 'ASC'], ['code', 'ASC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Enable or disable a code, or change how often it can be used
+ * @route PATCH /api/coupons/:id
+ */
+exports.updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await db.Coupon.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!coupon) {
+      throw new AppError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+    }
+
+    const { is_active, max_uses } = req.body;
+    const changes = {};
+    if (is_active !== undefined) {
+      changes.is_active = is_active;
+    }
+    if (max_uses !== undefined) {
+      changes.max_uses = max_uses;
+    }
+
+    await coupon.update(changes);
+
+    res.status(200).json({
+      success: true,
+      data: { coupon },
+      message: 'Coupon updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Redemptions, discounts given and revenue per campaign
+ * @route GET /api/coupons/report
+ */
+exports.getCampaignReport = async (req, res, next) => {
+  try {
+    const report = await couponService.buildCampaignReport(req.shop.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
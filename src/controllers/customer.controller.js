@@ -1,6 +1,7 @@
 const { AppError } = require('../middleware/errorHandler');
 const db = require('../models');
 const { Op } = require('sequelize');
+const loyaltyProgramService = require('../services/loyaltyProgram.service');
 
 /**
  * Get all customers with pagination and filtering
@@ -122,7 +123,8 @@ exports.createCustomer = async (req, res, next) => {
   try {
     const { 
       first_name, last_name, email, phone, birth_date,
-      address, city, postal_code, notes
+      address, city, postal_code, notes, buyer_type, national_id,
+      economic_code, locale
     } = req.body;
 
     // Check if email already exists
@@ -152,9 +154,12 @@ exports.createCustomer = async (req, res, next) => {
       city,
       postal_code,
       notes,
+      buyer_type,
+      national_id,
+      economic_code,
+      locale,
       is_active: true,
-      loyalty_points: 0,
-      loyalty_tier: 'bronze'
+      loyalty_points: 0
     });
 
     res.status(201).json({
@@ -176,7 +181,8 @@ exports.updateCustomer = async (req, res, next) => {
   try {
     const { 
       first_name, last_name, email, phone, birth_date,
-      address, city, postal_code, notes
+      address, city, postal_code, notes, buyer_type, national_id,
+      economic_code, locale
     } = req.body;
     
     const customerId = req.params.id;
@@ -213,7 +219,11 @@ exports.updateCustomer = async (req, res, next) => {
       address: address !== undefined ? address : customer.address,
       city: city !== undefined ? city : customer.city,
       postal_code: postal_code !== undefined ? postal_code : customer.postal_code,
-      notes: notes !== undefined ? notes : customer.notes
+      notes: notes !== undefined ? notes : customer.notes,
+      buyer_type: buyer_type || customer.buyer_type,
+      national_id: national_id !== undefined ? national_id : customer.national_id,
+      economic_code: economic_code !== undefined ? economic_code : customer.economic_code,
+      locale: locale !== undefined ? locale : customer.locale
     });
 
     res.status(200).json({
@@ -360,27 +370,22 @@ exports.updateLoyaltyPoints = async (req, res, next) => {
       return next(new AppError('Insufficient loyalty points', 400, 'INSUFFICIENT_POINTS'));
     }
 
-    // Determine loyalty tier based on points
-    let loyaltyTier = customer.loyalty_tier;
-    if (newTotalPoints >= 1000) {
-      loyaltyTier = 'platinum';
-    } else if (newTotalPoints >= 500) {
-      loyaltyTier = 'gold';
-    } else if (newTotalPoints >= 200) {
-      loyaltyTier = 'silver';
-    } else {
-      loyaltyTier = 'bronze';
-    }
-
-    // Update customer loyalty points and tier
+    // Update customer loyalty points; tiers are set by the shops' tier
+    // evaluations
     await customer.update({
-      loyalty_points: newTotalPoints,
-      loyalty_tier: loyaltyTier
+      loyalty_points: newTotalPoints
     });
 
+    // Points added by hand belong to the shop's running program, so they
+    // expire and are valued like points earned on purchases
+    const program = points > 0 && req.body.shop_id
+      ? await loyaltyProgramService.getActiveProgram(req.body.shop_id, new Date())
+      : null;
+
     // Record the loyalty transaction
     await db.LoyaltyTransaction.create({
       customer_id: customerId,
+      program_id: program ? program.id : null,
       points: points,
       type: points >= 0 ? 'credit' : 'debit',
       description: description || 'Manual adjustment',
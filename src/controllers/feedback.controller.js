@@ -702,7 +702,7 @@ class FeedbackController {
               : [detail.answer_options];
             
             selectedOptions.forEach(option => {
-              if (optionCounts.hasOwnProperty(option)) {
+              if (Object.prototype.hasOwnProperty.call(optionCounts, option)) {
                 optionCounts[option]++;
               }
             });
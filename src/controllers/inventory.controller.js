@@ -153,7 +153,7 @@ const InventoryController = {
       }
       
       // Find or create inventory record
-      const [inventory, created] = await db.Inventory.findOrCreate({
+      const [inventory] = await db.Inventory.findOrCreate({
         where: { product_id: id },
         defaults: {
           product_id: id,
@@ -308,33 +308,68 @@ const InventoryController = {
    */
   getInventorySummary: async (req, res, next) => {
     try {
+      const shopId = req.query.shop_id || req.body.shop_id;
+      const shopFilter = shopId ? { shop_id: shopId } : {};
+      const shopCondition = shopId ? 'WHERE i.shop_id = :shopId' : '';
+      
       // Total products in inventory
-      const totalProducts = await db.Inventory.count();
+      const totalProducts = await db.Inventory.count({ where: shopFilter });
       
       // Total inventory items
       const totalItems = await db.sequelize.query(
-        'SELECT SUM(stock_quantity) AS total FROM inventory',
-        { type: db.sequelize.QueryTypes.SELECT }
+        `SELECT SUM(i.stock_quantity) AS total FROM inventory i ${shopCondition}`,
+        { replacements: { shopId }, type: db.sequelize.QueryTypes.SELECT }
       );
       
       // Low stock products
       const lowStockCount = await db.Inventory.count({
-        where: db.sequelize.literal('stock_quantity <= COALESCE(reorder_level, 10)')
+        where: {
+          ...shopFilter,
+          [Op.and]: [db.sequelize.literal('stock_quantity <= COALESCE(reorder_level, 10)')]
+        }
       });
       
       // Out of stock products
       const outOfStockCount = await db.Inventory.count({
-        where: { stock_quantity: 0 }
+        where: { ...shopFilter, stock_quantity: 0 }
       });
       
       // Total inventory value
       const inventoryValue = await db.sequelize.query(
         `SELECT SUM(p.selling_price * i.stock_quantity) AS total 
          FROM inventory i 
-         JOIN products p ON i.product_id = p.id`,
-        { type: db.sequelize.QueryTypes.SELECT }
+         JOIN products p ON i.product_id = p.id
+         ${shopCondition}`,
+        { replacements: { shopId }, type: db.sequelize.QueryTypes.SELECT }
       );
       
+      // Stock held at each location of the shop
+      const byLocation = shopId ? await db.sequelize.query(
+        `SELECT l.id, l.name, l.code, l.type, l.is_default,
+                COUNT(li.id) FILTER (WHERE li.quantity > 0) AS product_count,
+                COALESCE(SUM(li.quantity), 0) AS total_items,
+                COALESCE(SUM(p.selling_price * li.quantity), 0) AS inventory_value
+         FROM locations l
+         LEFT JOIN location_inventory li ON li.location_id = l.id
+         LEFT JOIN products p ON li.product_id = p.id
+         WHERE l.shop_id = :shopId AND l.deleted_at IS NULL
+         GROUP BY l.id
+         ORDER BY l.is_default DESC, l.name ASC`,
+        { replacements: { shopId }, type: db.sequelize.QueryTypes.SELECT }
+      ) : [];
+      
+      // Stock dispatched but not yet received
+      const inTransit = shopId ? await db.sequelize.query(
+        `SELECT COUNT(DISTINCT st.id) AS transfers,
+                COALESCE(SUM(sti.quantity), 0) AS total_items
+         FROM stock_transfers st
+         JOIN stock_transfer_items sti ON sti.transfer_id = st.id
+         WHERE st.shop_id = :shopId AND st.status = 'in_transit' AND st.deleted_at IS NULL`,
+        { replacements: { shopId }, type: db.sequelize.QueryTypes.SELECT }
+      ) : [];
+      
+      const locationItems = byLocation.reduce((total, location) => total + parseInt(location.total_items), 0);
+      
       res.status(200).json({
         status: 'success',
         data: {
@@ -342,7 +377,19 @@ const InventoryController = {
           total_items: totalItems[0]?.total || 0,
           low_stock: lowStockCount,
           out_of_stock: outOfStockCount,
-          inventory_value: inventoryValue[0]?.total || 0
+          inventory_value: inventoryValue[0]?.total || 0,
+          by_location: byLocation.map(location => ({
+            ...location,
+            product_count: parseInt(location.product_count),
+            total_items: parseInt(location.total_items),
+            inventory_value: parseFloat(location.inventory_value)
+          })),
+          in_transit: {
+            transfers: parseInt(inTransit[0]?.transfers) || 0,
+            total_items: parseInt(inTransit[0]?.total_items) || 0
+          },
+          // Stock not yet placed at any location (shops without locations hold all stock here)
+          unallocated_items: (parseInt(totalItems[0]?.total) || 0) - locationItems
         }
       });
     } catch (error) {
@@ -0,0 +1,85 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+
+// Fields returned when reporting on a job
+const jobAttributes = [
+  'id', 'queue', 'name', 'status', 'progress', 'result', 'error',
+  'attempts_made', 'max_attempts', 'shop_id', 'user_id',
+  'started_at', 'finished_at', 'created_at', 'updated_at'
+];
+
+/**
+ * Restrict job lookups to the caller's own jobs unless they are an admin
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Where clause
+ */
+const visibleJobsFilter = (user) => (user.role === 'admin' ? {} : { user_id: user.id });
+
+/**
+ * Get the current user's jobs with pagination and filtering
+ * @route GET /api/jobs
+ */
+exports.getAllJobs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = visibleJobsFilter(req.user);
+
+    if (req.query.queue) {
+      filter.queue = req.query.queue;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const { count, rows: jobs } = await db.Job.findAndCountAll({
+      where: filter,
+      attributes: jobAttributes.filter(attribute => attribute !== 'result'),
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a job's status, progress and result
+ * @route GET /api/jobs/:id
+ */
+exports.getJobById = async (req, res, next) => {
+  try {
+    const job = await db.Job.findOne({
+      where: { id: req.params.id, ...visibleJobsFilter(req.user) },
+      attributes: jobAttributes
+    });
+
+    if (!job) {
+      return next(new AppError('Job not found', 404, 'JOB_NOT_FOUND'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
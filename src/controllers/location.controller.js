@@ -0,0 +1,376 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Clear the default flag on every other location of the shop
+ * @param {string} shopId - Shop ID
+ * @param {string} exceptId - Location that keeps the flag
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ */
+const clearOtherDefaults = (shopId, exceptId, transaction) => db.Location.update(
+  { is_default: false },
+  {
+    where: { shop_id: shopId, id: { [Op.ne]: exceptId } },
+    transaction
+  }
+);
+
+/**
+ * Place the shop's existing stock in its first location so that location
+ * quantities add up to the shop-wide inventory from the start
+ * @param {Object} location - The shop's first location
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ */
+const allocateExistingStock = async (location, transaction) => {
+  const inventories = await db.Inventory.findAll({
+    where: {
+      shop_id: location.shop_id,
+      stock_quantity: { [Op.gt]: 0 }
+    },
+    attributes: ['product_id', 'stock_quantity', 'location'],
+    transaction
+  });
+
+  if (inventories.length === 0) {
+    return;
+  }
+
+  await db.LocationInventory.bulkCreate(
+    inventories.map(inventory => ({
+      location_id: location.id,
+      product_id: inventory.product_id,
+      shop_id: location.shop_id,
+      quantity: inventory.stock_quantity,
+      bin: inventory.location
+    })),
+    { transaction }
+  );
+};
+
+/**
+ * Get all locations of the current shop
+ * @route GET /api/locations
+ */
+exports.getAllLocations = async (req, res, next) => {
+  try {
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const locations = await db.Location.findAll({
+      where: filter,
+      attributes: {
+        include: [
+          [
+            db.sequelize.literal(
+              '(SELECT COALESCE(SUM(li.quantity), 0) FROM location_inventory li WHERE li.location_id = "Location"."id")'
+            ),
+            'total_items'
+          ]
+        ]
+      },
+      order: [['is_default', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { locations }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get location by ID
+ * @route GET /api/locations/:id
+ */
+exports.getLocationById = async (req, res, next) => {
+  try {
+    const location = await db.Location.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!location) {
+      return next(new AppError('Location not found', 404, 'LOCATION_NOT_FOUND'));
+    }
+
+    const totals = await db.LocationInventory.findOne({
+      where: { location_id: location.id },
+      attributes: [
+        [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'product_count'],
+        [db.sequelize.fn('SUM', db.sequelize.col('quantity')), 'total_items']
+      ],
+      raw: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location,
+        stock: {
+          product_count: parseInt(totals.product_count) || 0,
+          total_items: parseInt(totals.total_items) || 0
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create new location. The shop's first location becomes its default and
+ * takes over the stock the shop already holds.
+ * @route POST /api/locations
+ */
+exports.createLocation = async (req, res, next) => {
+  try {
+    const { name, code, type, address, phone, is_default, notes } = req.body;
+
+    const existingLocation = await db.Location.findOne({
+      where: { shop_id: req.shop.id, name }
+    });
+
+    if (existingLocation) {
+      return next(new AppError('A location with this name already exists', 400, 'LOCATION_EXISTS'));
+    }
+
+    const location = await db.sequelize.transaction(async (t) => {
+      const locationCount = await db.Location.count({
+        where: { shop_id: req.shop.id },
+        transaction: t
+      });
+      const isFirstLocation = locationCount === 0;
+
+      const created = await db.Location.create({
+        shop_id: req.shop.id,
+        name,
+        code,
+        type,
+        address,
+        phone,
+        is_default: isFirstLocation || Boolean(is_default),
+        notes
+      }, { transaction: t });
+
+      if (created.is_default) {
+        await clearOtherDefaults(req.shop.id, created.id, t);
+      }
+
+      if (isFirstLocation) {
+        await allocateExistingStock(created, t);
+      }
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { location }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update location
+ * @route PUT /api/locations/:id
+ */
+exports.updateLocation = async (req, res, next) => {
+  try {
+    const { name, code, type, address, phone, is_default, is_active, notes } = req.body;
+
+    const location = await db.Location.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!location) {
+      return next(new AppError('Location not found', 404, 'LOCATION_NOT_FOUND'));
+    }
+
+    // The shop always needs a default location once it has any
+    if (location.is_default && (is_default === false || is_active === false)) {
+      return next(new AppError(
+        'Make another location the default before changing this one',
+        400,
+        'DEFAULT_LOCATION_REQUIRED'
+      ));
+    }
+
+    if (is_default && (is_active === false || (!location.is_active && is_active === undefined))) {
+      return next(new AppError('An inactive location cannot be the default', 400, 'LOCATION_INACTIVE'));
+    }
+
+    if (name && name !== location.name) {
+      const existingLocation = await db.Location.findOne({
+        where: { shop_id: req.shop.id, name }
+      });
+
+      if (existingLocation) {
+        return next(new AppError('A location with this name already exists', 400, 'LOCATION_EXISTS'));
+      }
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      if (is_default) {
+        await clearOtherDefaults(req.shop.id, location.id, t);
+      }
+
+      const updates = {};
+      if (name !== undefined) updates.name = name;
+      if (code !== undefined) updates.code = code;
+      if (type !== undefined) updates.type = type;
+      if (address !== undefined) updates.address = address;
+      if (phone !== undefined) updates.phone = phone;
+      if (is_default !== undefined) updates.is_default = is_default;
+      if (is_active !== undefined) updates.is_active = is_active;
+      if (notes !== undefined) updates.notes = notes;
+
+      await location.update(updates, { transaction: t });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { location }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete location. Only empty, non-default locations without open transfers can be deleted.
+ * @route DELETE /api/locations/:id
+ */
+exports.deleteLocation = async (req, res, next) => {
+  try {
+    const location = await db.Location.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!location) {
+      return next(new AppError('Location not found', 404, 'LOCATION_NOT_FOUND'));
+    }
+
+    if (location.is_default) {
+      return next(new AppError('Cannot delete the default location', 400, 'DEFAULT_LOCATION_REQUIRED'));
+    }
+
+    const stockedProducts = await db.LocationInventory.count({
+      where: { location_id: location.id, quantity: { [Op.ne]: 0 } }
+    });
+
+    if (stockedProducts > 0) {
+      return next(new AppError(
+        'Cannot delete a location that still holds stock; transfer it out first',
+        400,
+        'LOCATION_HAS_STOCK'
+      ));
+    }
+
+    const openTransfers = await db.StockTransfer.count({
+      where: {
+        status: { [Op.in]: ['draft', 'in_transit'] },
+        [Op.or]: [
+          { from_location_id: location.id },
+          { to_location_id: location.id }
+        ]
+      }
+    });
+
+    if (openTransfers > 0) {
+      return next(new AppError(
+        'Cannot delete a location with open stock transfers',
+        400,
+        'LOCATION_HAS_OPEN_TRANSFERS'
+      ));
+    }
+
+    await location.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Location deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stock held at a location
+ * @route GET /api/locations/:id/stock
+ */
+exports.getLocationStock = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const location = await db.Location.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!location) {
+      return next(new AppError('Location not found', 404, 'LOCATION_NOT_FOUND'));
+    }
+
+    const filter = { location_id: location.id };
+    const productFilter = {};
+
+    if (req.query.in_stock === 'true') {
+      filter.quantity = { [Op.gt]: 0 };
+    }
+
+    if (req.query.search) {
+      productFilter[Op.or] = [
+        { name: { [Op.iLike]: `%${req.query.search}%` } },
+        { sku: { [Op.iLike]: `%${req.query.search}%` } },
+        { barcode: { [Op.iLike]: `%${req.query.search}%` } }
+      ];
+    }
+
+    const { count, rows: stock } = await db.LocationInventory.findAndCountAll({
+      where: filter,
+      include: [
+        {
+          model: db.Product,
+          as: 'product',
+          where: productFilter,
+          attributes: ['id', 'name', 'sku', 'barcode', 'selling_price']
+        }
+      ],
+      limit,
+      offset,
+      order: [[{ model: db.Product, as: 'product' }, 'name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location: {
+          id: location.id,
+          name: location.name
+        },
+        stock,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,9 @@
 const { AppError } = require('../middleware/errorHandler');
 const db = require('../models');
 const { Op } = require('sequelize');
+const { notifyInBackground } = require('../services/notification.service');
+const loyaltyTierService = require('../services/loyaltyTier.service');
+const loyaltyPointsService = require('../services/loyaltyPoints.service');
 
 /**
  * Get all loyalty rewards with pagination and filtering
@@ -174,7 +177,7 @@ exports.createReward = async (req, res, next) => {
       discount_amount,
       discount_percent,
       product_id,
-      min_tier: min_tier || 'bronze',
+      min_tier: min_tier || null,
       image_url,
       start_date,
       end_date,
@@ -494,8 +497,7 @@ exports.createRedemption = async (req, res, next) => {
     }
 
     // Check if customer's tier is sufficient
-    const tierRanking = { bronze: 0, silver: 1, gold: 2, platinum: 3 };
-    if (tierRanking[customer.loyalty_tier] < tierRanking[reward.min_tier]) {
+    if (!await loyaltyTierService.meetsTier(customer, reward.min_tier)) {
       return next(new AppError(`This reward requires at least ${reward.min_tier} tier`, 400, 'INSUFFICIENT_TIER'));
     }
 
@@ -509,6 +511,21 @@ exports.createRedemption = async (req, res, next) => {
       notes
     });
 
+    notifyInBackground('loyalty_redemption_created', {
+      email: customer.email,
+      phone: customer.phone,
+      locale: customer.locale,
+      customerId: customer.id
+    }, {
+      name: customer.first_name,
+      reward_name: reward.name,
+      points_used: reward.points_required,
+      points_balance: customer.loyalty_points - reward.points_required
+    }, {
+      shopId: req.body.shop_id,
+      reference: { type: 'loyalty_redemption', id: redemption.id }
+    });
+
     res.status(201).json({
       success: true,
       data: {
@@ -573,12 +590,31 @@ exports.updateRedemptionStatus = async (req, res, next) => {
     // Handle status change from pending to completed
     // No additional action needed as points were already deducted
 
+    const previousStatus = redemption.status;
+
     // Update redemption status
     await redemption.update({ 
       status, 
       user_id: req.user.id // Update processor to the user who changed status
     });
 
+    // Let the customer know once the request is settled
+    if (status !== previousStatus && status !== 'pending' && redemption.customer) {
+      notifyInBackground(`loyalty_redemption_${status}`, {
+        email: redemption.customer.email,
+        phone: redemption.customer.phone,
+        locale: redemption.customer.locale,
+        customerId: redemption.customer_id
+      }, {
+        name: redemption.customer.first_name,
+        reward_name: redemption.reward ? redemption.reward.name : '',
+        points_used: redemption.points_used
+      }, {
+        shopId: req.body.shop_id,
+        reference: { type: 'loyalty_redemption', id: redemption.id }
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: `Redemption status updated to ${status}`,
@@ -712,10 +748,23 @@ exports.getCustomerLoyaltySummary = async (req, res, next) => {
     const usedPoints = await db.LoyaltyTransaction.sum('points', {
       where: {
         customer_id: customerId,
-        type: 'debit'
+        type: 'debit',
+        expired_transaction_id: null
       }
     }) || 0;
 
+    // Get total points expired
+    const expiredPoints = await db.LoyaltyTransaction.sum('points', {
+      where: {
+        customer_id: customerId,
+        type: 'debit',
+        expired_transaction_id: { [Op.ne]: null }
+      }
+    }) || 0;
+
+    // Points that will expire, soonest first
+    const expiringLots = await loyaltyPointsService.getExpiringLots(customerId);
+
     // Get recent transactions
     const recentTransactions = await db.LoyaltyTransaction.findAll({
       where: {
@@ -757,22 +806,13 @@ exports.getCustomerLoyaltySummary = async (req, res, next) => {
       }
     });
 
-    // Next tier calculation
-    let nextTier = null;
-    let pointsToNextTier = 0;
-
-    if (customer.loyalty_tier === 'bronze') {
-      nextTier = 'silver';
-      pointsToNextTier = 200 - customer.loyalty_points;
-    } else if (customer.loyalty_tier === 'silver') {
-      nextTier = 'gold';
-      pointsToNextTier = 500 - customer.loyalty_points;
-    } else if (customer.loyalty_tier === 'gold') {
-      nextTier = 'platinum';
-      pointsToNextTier = 1000 - customer.loyalty_points;
-    }
-
-    if (pointsToNextTier < 0) pointsToNextTier = 0;
+    // Where the customer stands in the tiers of the shop they hold a tier
+    // in, or else of the active shop
+    const tier = customer.loyalty_tier_id ? await db.LoyaltyTier.findByPk(customer.loyalty_tier_id) : null;
+    const shopId = tier ? tier.shop_id : req.body.shop_id;
+    const standing = shopId
+      ? await loyaltyTierService.getStanding(customer, shopId)
+      : { next_tier: null, activity: null, remaining: null };
 
     res.status(200).json({
       success: true,
@@ -787,12 +827,20 @@ exports.getCustomerLoyaltySummary = async (req, res, next) => {
         loyalty_summary: {
           total_points_earned: earnedPoints,
           total_points_used: Math.abs(usedPoints),
+          total_points_expired: Math.abs(expiredPoints),
           current_balance: customer.loyalty_points,
           current_tier: customer.loyalty_tier,
-          next_tier: nextTier,
-          points_to_next_tier: pointsToNextTier,
+          next_tier: standing.next_tier ? standing.next_tier.name : null,
+          points_to_next_tier: standing.remaining ? standing.remaining.points : null,
+          spend_to_next_tier: standing.remaining ? standing.remaining.spend : null,
+          visits_to_next_tier: standing.remaining ? standing.remaining.visits : null,
+          next_tier_qualify_on: standing.next_tier ? standing.next_tier.qualify_on : null,
           completed_redemptions: completedRedemptions
         },
+        upcoming_expiries: expiringLots.map(lot => ({
+          points: lot.points_remaining,
+          expires_at: lot.expires_at
+        })),
         recent_transactions: recentTransactions,
         pending_redemptions: pendingRedemptions
       }
@@ -801,62 +849,3 @@ exports.getCustomerLoyaltySummary = async (req, res, next) => {
     next(error);
   }
 };
-
-/**
- * Get loyalty program tiers
- * @route GET /api/loyalty/tiers
- */
-exports.getLoyaltyTiers = async (req, res, next) => {
-  try {
-    // Define the loyalty tier structure
-    const tiers = [
-      {
-        name: 'bronze',
-        points_required: 0,
-        benefits: [
-          'Basic rewards access',
-          'Birthday reward'
-        ]
-      },
-      {
-        name: 'silver',
-        points_required: 200,
-        benefits: [
-          'All bronze benefits',
-          '5% discount on purchases',
-          'Special seasonal rewards'
-        ]
-      },
-      {
-        name: 'gold',
-        points_required: 500,
-        benefits: [
-          'All silver benefits',
-          '8% discount on purchases',
-          'Early access to promotions',
-          'Free delivery on orders'
-        ]
-      },
-      {
-        name: 'platinum',
-        points_required: 1000,
-        benefits: [
-          'All gold benefits',
-          '10% discount on purchases',
-          'Premium rewards access',
-          'Priority customer service',
-          'Exclusive event invitations'
-        ]
-      }
-    ];
-
-    res.status(200).json({
-      success: true,
-      data: {
-        tiers
-      }
-    });
-  } catch (error) {
-    next(error);
-  }
-}; 
\ No newline at end of file
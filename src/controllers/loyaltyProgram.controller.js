@@ -0,0 +1,167 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const loyaltyProgramService = require('../services/loyaltyProgram.service');
+
+/**
+ * Find a loyalty program of the shop
+ * @param {string} id - Program ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopProgram = async (id, shopId) => {
+  const program = await db.LoyaltyProgram.findOne({
+    where: { id, shop_id: shopId }
+  });
+
+  if (!program) {
+    throw new AppError('Loyalty program not found', 404, 'LOYALTY_PROGRAM_NOT_FOUND');
+  }
+
+  return program;
+};
+
+/**
+ * Check a program's settings, what its rules name and that it does not
+ * overlap another active program
+ * @param {string} shopId - Shop ID
+ * @param {Object} program - Program settings as they will be saved
+ */
+const checkProgram = async (shopId, program) => {
+  loyaltyProgramService.checkProgramRules(program);
+  await loyaltyProgramService.checkTargets(shopId, program);
+  await loyaltyProgramService.checkOverlap(shopId, program);
+};
+
+/**
+ * Get the loyalty programs of the shop
+ * @route GET /api/loyalty/programs
+ */
+exports.getAllPrograms = async (req, res, next) => {
+  try {
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    const programs = await db.LoyaltyProgram.findAll({
+      where: filter,
+      order: [['start_date', 'DESC']]
+    });
+
+    // The program sales earn points from right now
+    const active = await loyaltyProgramService.getActiveProgram(req.shop.id, new Date());
+
+    res.status(200).json({
+      success: true,
+      data: {
+        programs,
+        active_program_id: active ? active.id : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a loyalty program
+ * @route GET /api/loyalty/programs/:id
+ */
+exports.getProgramById = async (req, res, next) => {
+  try {
+    const program = await findShopProgram(req.params.id, req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { program }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a loyalty program
+ * @route POST /api/loyalty/programs
+ */
+exports.createProgram = async (req, res, next) => {
+  try {
+    const { shop_id, ...fields } = req.body;
+    const settings = {
+      is_active: true,
+      start_date: new Date(),
+      ...fields
+    };
+
+    await checkProgram(req.shop.id, settings);
+
+    const program = await db.LoyaltyProgram.create({
+      ...settings,
+      shop_id: req.shop.id,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { program },
+      message: 'Loyalty program created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a loyalty program. Points already earned stay as they are.
+ * @route PUT /api/loyalty/programs/:id
+ */
+exports.updateProgram = async (req, res, next) => {
+  try {
+    const program = await findShopProgram(req.params.id, req.shop.id);
+    const { shop_id, ...changes } = req.body;
+
+    await checkProgram(req.shop.id, { ...program.toJSON(), ...changes });
+
+    await program.update(changes);
+
+    res.status(200).json({
+      success: true,
+      data: { program },
+      message: 'Loyalty program updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a loyalty program that has not awarded any points. One that has is
+ * deactivated instead, so its transactions keep their program.
+ * @route DELETE /api/loyalty/programs/:id
+ */
+exports.deleteProgram = async (req, res, next) => {
+  try {
+    const program = await findShopProgram(req.params.id, req.shop.id);
+
+    const awarded = await db.LoyaltyTransaction.count({
+      where: { program_id: program.id }
+    });
+    if (awarded > 0) {
+      return next(new AppError(
+        'This program has awarded points; deactivate it instead',
+        409,
+        'LOYALTY_PROGRAM_IN_USE'
+      ));
+    }
+
+    await program.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Loyalty program deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,215 @@
+const { fn, col } = require('sequelize');
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const loyaltyTierService = require('../services/loyaltyTier.service');
+
+/**
+ * Find a loyalty tier of the shop
+ * @param {string} id - Tier ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopTier = async (id, shopId) => {
+  const tier = await db.LoyaltyTier.findOne({
+    where: { id, shop_id: shopId }
+  });
+
+  if (!tier) {
+    throw new AppError('Loyalty tier not found', 404, 'LOYALTY_TIER_NOT_FOUND');
+  }
+
+  return tier;
+};
+
+/**
+ * Get the loyalty tiers of the shop with how many customers are in each
+ * @route GET /api/loyalty/tiers
+ */
+exports.getAllTiers = async (req, res, next) => {
+  try {
+    const tiers = await loyaltyTierService.getTiers(req.shop.id);
+
+    const counts = await db.Customer.findAll({
+      attributes: ['loyalty_tier_id', [fn('COUNT', col('id')), 'customer_count']],
+      where: { loyalty_tier_id: tiers.map(tier => tier.id) },
+      group: ['loyalty_tier_id'],
+      raw: true
+    });
+    const countOf = new Map(counts.map(row => [row.loyalty_tier_id, parseInt(row.customer_count, 10)]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tiers: tiers.map(tier => ({
+          ...tier.toJSON(),
+          customer_count: countOf.get(tier.id) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a loyalty tier
+ * @route GET /api/loyalty/tiers/:id
+ */
+exports.getTierById = async (req, res, next) => {
+  try {
+    const tier = await findShopTier(req.params.id, req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { tier }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a loyalty tier. Customers move into it at the next evaluation.
+ * @route POST /api/loyalty/tiers
+ */
+exports.createTier = async (req, res, next) => {
+  try {
+    const { shop_id, ...fields } = req.body;
+
+    const tier = await db.LoyaltyTier.create({
+      ...fields,
+      shop_id: req.shop.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { tier },
+      message: 'Loyalty tier created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a loyalty tier. Customers are moved by new rules at the next
+ * evaluation; a new name shows on its customers straight away.
+ * @route PUT /api/loyalty/tiers/:id
+ */
+exports.updateTier = async (req, res, next) => {
+  try {
+    const tier = await findShopTier(req.params.id, req.shop.id);
+    const { shop_id, ...changes } = req.body;
+
+    await db.sequelize.transaction(async (t) => {
+      await tier.update(changes, { transaction: t });
+
+      if (changes.name) {
+        await db.Customer.update({ loyalty_tier: tier.name }, {
+          where: { loyalty_tier_id: tier.id },
+          transaction: t
+        });
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { tier },
+      message: 'Loyalty tier updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a loyalty tier. Its customers are left without a tier until the
+ * next evaluation places them again; their history keeps the tier's name.
+ * @route DELETE /api/loyalty/tiers/:id
+ */
+exports.deleteTier = async (req, res, next) => {
+  try {
+    const tier = await findShopTier(req.params.id, req.shop.id);
+
+    await db.sequelize.transaction(async (t) => {
+      await db.Customer.update({ loyalty_tier_id: null, loyalty_tier: null }, {
+        where: { loyalty_tier_id: tier.id },
+        transaction: t
+      });
+
+      await tier.destroy({ transaction: t });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Loyalty tier deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move every customer of the shop to the tier they qualify for now, instead
+ * of waiting for the daily evaluation
+ * @route POST /api/loyalty/tiers/evaluate
+ */
+exports.evaluateTiers = async (req, res, next) => {
+  try {
+    const tiers = await loyaltyTierService.getTiers(req.shop.id);
+    if (tiers.length === 0) {
+      return next(new AppError('The shop has no loyalty tiers', 400, 'NO_LOYALTY_TIERS'));
+    }
+
+    const job = await loyaltyTierService.queueEvaluation(req.shop.id, req.user.id);
+
+    res.status(202).json({
+      success: true,
+      data: { job },
+      message: `Tier evaluation queued; check progress at /api/jobs/${job.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get how a customer moved between the shop's tiers, newest first
+ * @route GET /api/loyalty/tiers/customers/:customerId/history
+ */
+exports.getCustomerTierHistory = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    const customer = await db.Customer.findByPk(req.params.customerId, {
+      attributes: ['id', 'first_name', 'last_name', 'loyalty_tier', 'loyalty_tier_id', 'loyalty_tier_evaluated_at']
+    });
+    if (!customer) {
+      return next(new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND'));
+    }
+
+    const { count, rows: changes } = await db.LoyaltyTierChange.findAndCountAll({
+      where: { customer_id: customer.id, shop_id: req.shop.id },
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        changes,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,105 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const { queueDelivery } = require('../services/notification.service');
+
+/**
+ * Find a notification log belonging to the shop
+ * @param {string} id - NotificationLog ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopNotification = async (id, shopId) => {
+  const notification = await db.NotificationLog.findOne({
+    where: { id, shop_id: shopId }
+  });
+
+  if (!notification) {
+    throw new AppError('Notification not found', 404, 'NOTIFICATION_NOT_FOUND');
+  }
+
+  return notification;
+};
+
+/**
+ * Get the notification delivery log of the shop
+ * @route GET /api/notifications
+ */
+exports.getAllNotifications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    ['status', 'channel', 'template', 'customer_id', 'reference_type', 'reference_id'].forEach((field) => {
+      if (req.query[field]) {
+        filter[field] = req.query[field];
+      }
+    });
+
+    const { count, rows: notifications } = await db.NotificationLog.findAndCountAll({
+      where: filter,
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a notification with its message body and delivery details
+ * @route GET /api/notifications/:id
+ */
+exports.getNotificationById = async (req, res, next) => {
+  try {
+    const notification = await findShopNotification(req.params.id, req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { notification }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a failed notification again
+ * @route POST /api/notifications/:id/retry
+ */
+exports.retryNotification = async (req, res, next) => {
+  try {
+    const notification = await findShopNotification(req.params.id, req.shop.id);
+
+    if (notification.status !== 'failed') {
+      throw new AppError('Only failed notifications can be retried', 400, 'NOTIFICATION_NOT_FAILED');
+    }
+
+    await notification.update({ status: 'queued', error: null });
+    const job = await queueDelivery(notification);
+
+    res.status(202).json({
+      success: true,
+      data: { notification },
+      message: `Notification queued; check progress at /api/jobs/${job.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,90 @@
+const db = require('../models');
+const numberSequenceService = require('../services/numberSequence.service');
+
+/**
+ * Get how each document type is numbered in the shop, with the next number
+ * @route GET /api/number-sequences
+ */
+exports.getSequences = async (req, res, next) => {
+  try {
+    const sequences = await numberSequenceService.getSequences(req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { sequences }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change how a document type is numbered in the shop
+ * @route PUT /api/number-sequences/:documentType
+ */
+exports.updateSequence = async (req, res, next) => {
+  try {
+    const { shop_id, ...changes } = req.body;
+
+    const sequence = await numberSequenceService.updateSequence(
+      req.shop.id,
+      req.params.documentType,
+      changes
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { sequence },
+      message: 'Number sequence updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the numbers voided in the shop
+ * @route GET /api/number-sequences/voids
+ */
+exports.getVoids = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.document_type) {
+      filter.document_type = req.query.document_type;
+    }
+
+    const { count, rows: voids } = await db.NumberSequenceVoid.findAndCountAll({
+      where: filter,
+      include: [
+        {
+          model: db.User,
+          as: 'user',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ],
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        voids,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
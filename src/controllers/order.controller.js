@@ -2,6 +2,47 @@ const { AppError } = require('../middleware/errorHandler');
 const db = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const { adjustLocationStock } = require('../services/inventory.service');
+const { notify } = require('../services/notification.service');
+const numberSequenceService = require('../services/numberSequence.service');
+const couponService = require('../services/coupon.service');
+const loyaltyProgramService = require('../services/loyaltyProgram.service');
+const productVariantService = require('../services/productVariant.service');
+
+/**
+ * Tell the order's customer about a status change
+ * @param {Object} order - Order with its new status
+ * @returns {Promise<void>}
+ */
+const notifyOrderStatusChange = async (order) => {
+  if (!order.customer_id) {
+    return;
+  }
+
+  const [customer, shop] = await Promise.all([
+    db.Customer.findByPk(order.customer_id),
+    db.Shop.findByPk(order.shop_id, { attributes: ['id', 'name'] })
+  ]);
+
+  if (!customer) {
+    return;
+  }
+
+  await notify('order_status_changed', {
+    email: customer.email,
+    phone: customer.phone,
+    locale: customer.locale,
+    customerId: customer.id
+  }, {
+    name: customer.first_name,
+    shop_name: shop ? shop.name : '',
+    order_number: order.order_number,
+    status: order.status
+  }, {
+    shopId: order.shop_id,
+    reference: { type: 'order', id: order.id }
+  });
+};
 
 /**
  * Get all orders with pagination and filtering
@@ -148,9 +189,10 @@ exports.createOrder = async (req, res, next) => {
       shop_id, 
       shipping_address, 
       shipping_method, 
-      items, 
+      items: requestedItems, 
       notes, 
       payment_method,
+      coupon_code,
       status = 'pending' 
     } = req.body;
     
@@ -177,6 +219,9 @@ exports.createOrder = async (req, res, next) => {
       }
     }
     
+    // Products with variants are ordered as the chosen variant
+    const items = await productVariantService.resolveItems(requestedItems, { transaction });
+    
     // Check if products exist and have enough stock
     const productIds = items.map(item => item.product_id);
     const products = await db.Product.findAll({
@@ -219,10 +264,19 @@ exports.createOrder = async (req, res, next) => {
       totalAmount += parseFloat(product.selling_price) * item.quantity;
     }
     
-    // Generate unique order number
-    const timestamp = Date.now().toString().substring(4);
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    const order_number = `ORD-${timestamp}-${random}`;
+    // Take the coupon off the order total
+    let applied = null;
+    if (coupon_code) {
+      applied = await couponService.applyCoupon(shop_id, coupon_code, {
+        customerId: customer_id,
+        baseAmount: totalAmount,
+        purchaseAmount: totalAmount
+      }, transaction);
+      totalAmount = Math.round((totalAmount - applied.discount) * 100) / 100;
+    }
+    
+    // Take the next order number; a rolled back order gives it back
+    const order_number = await numberSequenceService.nextNumber(shop_id, 'order', transaction);
     
     // Create order
     const order = await db.Order.create({
@@ -232,6 +286,8 @@ exports.createOrder = async (req, res, next) => {
       shipping_method,
       notes,
       total_amount: totalAmount,
+      coupon_id: applied ? applied.coupon.id : null,
+      coupon_discount: applied ? applied.discount : 0,
       status: status || 'pending',
       payment_status: 'pending',
       payment_method: payment_method || 'cash',
@@ -239,6 +295,16 @@ exports.createOrder = async (req, res, next) => {
       order_number
     }, { transaction });
     
+    if (applied) {
+      await couponService.recordRedemption(applied.coupon, {
+        orderId: order.id,
+        customerId: customer_id,
+        discount: applied.discount,
+        revenue: totalAmount,
+        userId: req.user.id
+      }, transaction);
+    }
+    
     // Create order items
     const orderItems = [];
     for (const item of items) {
@@ -411,6 +477,9 @@ exports.updateOrderStatus = async (req, res, next) => {
           user_id: req.user.id
         }, { transaction });
       }
+      
+      // A cancelled order does not use up its coupon
+      await couponService.releaseOrderRedemption(order.id, transaction);
     } else if (status === 'processing' && order.status === 'pending') {
       // No inventory changes needed, just status update
       
@@ -431,12 +500,20 @@ exports.updateOrderStatus = async (req, res, next) => {
             transaction
           }
         );
-        
+
+        // Shipped goods leave the shop's default location
+        const locationStock = await adjustLocationStock({
+          product_id: item.product_id,
+          shop_id: order.shop_id,
+          quantity: -item.quantity
+        }, transaction, { allowNegative: true });
+
         // Create inventory transaction
         await db.InventoryTransaction.create({
           product_id: item.product_id,
           quantity: -item.quantity,
           transaction_type: 'sale',
+          location_id: locationStock ? locationStock.location_id : null,
           reference_id: order.id,
           note: `Order ${order.order_number} shipped`,
           user_id: req.user.id
@@ -464,6 +541,36 @@ exports.updateOrderStatus = async (req, res, next) => {
         }, { transaction });
       }
       
+      // The customer earns points under the loyalty program running when they ordered
+      if (order.customer_id) {
+        const earned = await loyaltyProgramService.pointsForPurchase(order.shop_id, order.items.map(item => ({
+          product_id: item.product_id,
+          amount: parseFloat(item.total_price)
+        })), { total: parseFloat(order.total_amount), at: order.order_date, transaction });
+
+        if (earned.points > 0) {
+          await db.Customer.increment('loyalty_points', {
+            by: earned.points,
+            where: { id: order.customer_id },
+            transaction
+          });
+
+          await db.LoyaltyTransaction.create({
+            customer_id: order.customer_id,
+            order_id: order.id,
+            user_id: req.user.id,
+            program_id: earned.program.id,
+            points: earned.points,
+            type: 'credit',
+            description: `Points earned from order ${order.order_number}`
+          }, { transaction });
+
+          await order.update({
+            loyalty_points_earned: earned.points
+          }, { transaction });
+        }
+      }
+      
       // If order is not yet paid, update payment status
       if (order.payment_status === 'pending') {
         await order.update({ 
@@ -484,6 +591,11 @@ exports.updateOrderStatus = async (req, res, next) => {
     }, { transaction });
     
     await transaction.commit();
+
+    // Runs after the response; a failed notification never undoes the status change
+    notifyOrderStatusChange(order).catch((error) => {
+      logger.error(`Could not notify customer about order ${order.order_number}: ${error.message}`);
+    });
     
     res.status(200).json({
       success: true,
@@ -561,7 +673,14 @@ exports.deleteOrder = async (req, res, next) => {
       transaction
     });
     
-    // Delete order
+    // Delete order, keeping a record of its number so it is not given out again
+    await numberSequenceService.voidNumber(order.shop_id, 'order', order.order_number, {
+      documentId: order.id,
+      reason: 'Order deleted',
+      userId: req.user.id,
+      transaction
+    });
+    await couponService.releaseOrderRedemption(order.id, transaction);
     await order.destroy({ transaction });
     
     await transaction.commit();
@@ -636,7 +755,7 @@ exports.addOrderItem = async (req, res, next) => {
   const transaction = await db.sequelize.transaction();
   
   try {
-    const { product_id, quantity } = req.body;
+    const { product_id: requestedProductId, variant_id, quantity } = req.body;
     
     const order = await db.Order.findByPk(req.params.id);
     
@@ -655,6 +774,11 @@ exports.addOrderItem = async (req, res, next) => {
       ));
     }
     
+    // A product with variants is added as the chosen variant
+    const [{ product_id }] = await productVariantService.resolveItems([
+      { product_id: requestedProductId, variant_id }
+    ], { transaction });
+    
     // Check if product exists
     const product = await db.Product.findByPk(product_id, {
       include: [
@@ -733,9 +857,11 @@ exports.addOrderItem = async (req, res, next) => {
       where: { order_id: order.id }
     });
     
-    const newTotal = orderItems.reduce((total, item) => {
+    // The coupon discount stays as given when the order was placed
+    const itemsTotal = orderItems.reduce((total, item) => {
       return total + parseFloat(item.total_price);
     }, parseFloat(orderItem.total_price));
+    const newTotal = Math.max(itemsTotal - parseFloat(order.coupon_discount || 0), 0);
     
     await order.update({
       total_amount: newTotal
@@ -859,7 +985,7 @@ exports.updateOrderItem = async (req, res, next) => {
     
     // Update order total
     await order.update({
-      total_amount: db.sequelize.literal(`total_amount - ${oldTotal} + ${newTotal}`)
+      total_amount: db.sequelize.literal(`GREATEST(total_amount - ${oldTotal} + ${newTotal}, 0)`)
     }, { transaction });
     
     await transaction.commit();
@@ -943,7 +1069,7 @@ exports.removeOrderItem = async (req, res, next) => {
     
     // Update order total
     await order.update({
-      total_amount: db.sequelize.literal(`total_amount - ${orderItem.total_price}`)
+      total_amount: db.sequelize.literal(`GREATEST(total_amount - ${orderItem.total_price}, 0)`)
     }, { transaction });
     
     // Delete order item
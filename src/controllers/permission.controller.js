@@ -0,0 +1,111 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  getPermissionMatrix
+} = require('../services/permission.service');
+
+/**
+ * Get the permission catalogue and what each role may do in the shop
+ * @route GET /api/permissions
+ */
+exports.getPermissionMatrix = async (req, res, next) => {
+  try {
+    const roles = await getPermissionMatrix(req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.keys(PERMISSIONS).map(name => ({
+          name,
+          description: PERMISSIONS[name]
+        })),
+        roles
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's role and permissions in the shop
+ * @route GET /api/permissions/me
+ */
+exports.getMyPermissions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        shop_id: req.shop.id,
+        role: req.shopRole,
+        permissions: [...req.permissions]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace what a role may do in the shop
+ * @route PUT /api/permissions/roles/:role
+ */
+exports.updateRolePermissions = async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    // Keep users from locking themselves out of this screen
+    if (role === req.shopRole && req.permissions.has('permissions.manage') && !permissions.includes('permissions.manage')) {
+      throw new AppError('You cannot remove permissions.manage from your own role', 400, 'CANNOT_REMOVE_OWN_PERMISSION');
+    }
+
+    const [rolePermission] = await db.ShopRolePermission.upsert({
+      shop_id: req.shop.id,
+      role,
+      permissions,
+      user_id: req.user.id
+    }, {
+      conflictFields: ['shop_id', 'role']
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { role: rolePermission },
+      message: `Permissions of the ${role} role updated`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a role's default permissions in the shop
+ * @route DELETE /api/permissions/roles/:role
+ */
+exports.resetRolePermissions = async (req, res, next) => {
+  try {
+    const { role } = req.params;
+
+    if (role === req.shopRole && !DEFAULT_ROLE_PERMISSIONS[role].includes('permissions.manage')) {
+      throw new AppError('You cannot reset your own role to defaults that exclude permissions.manage', 400, 'CANNOT_REMOVE_OWN_PERMISSION');
+    }
+
+    await db.ShopRolePermission.destroy({
+      where: { shop_id: req.shop.id, role }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        role,
+        permissions: DEFAULT_ROLE_PERMISSIONS[role]
+      },
+      message: `Permissions of the ${role} role reset to defaults`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
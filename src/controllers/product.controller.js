@@ -1,9 +1,107 @@
 const { AppError } = require('../middleware/errorHandler');
 const db = require('../models');
 const { Op } = require('sequelize');
+const productVariantService = require('../services/productVariant.service');
+const productImportService = require('../services/productImport.service');
+const { enqueue } = require('../services/jobQueue.service');
+
+// Variant fields shown with their product
+const VARIANT_ATTRIBUTES = [
+  'id', 'name', 'sku', 'barcode', 'option_values', 'purchase_price',
+  'selling_price', 'discount_price', 'image_url', 'is_active'
+];
+
+/**
+ * Conditions for the product list filters: search, category_id, is_active,
+ * min_price, max_price and in_stock. Only products that are not variants
+ * are matched.
+ * @param {Object} filters - Query string of the product list
+ * @returns {Object} - Sequelize where clause
+ */
+const productListWhere = (filters) => {
+  let where = { parent_id: null };
+
+  // Add search filter if provided
+  if (filters.search) {
+    const pattern = db.sequelize.escape(`%${filters.search}%`);
+
+    where = {
+      ...where,
+      [Op.or]: [
+        { name: { [Op.iLike]: `%${filters.search}%` } },
+        { sku: { [Op.iLike]: `%${filters.search}%` } },
+        { barcode: { [Op.iLike]: `%${filters.search}%` } },
+        { description: { [Op.iLike]: `%${filters.search}%` } },
+        // A product is also found by the SKU or barcode of one of its variants
+        {
+          id: {
+            [Op.in]: db.sequelize.literal(`(
+              SELECT parent_id FROM products
+              WHERE parent_id IS NOT NULL AND (sku ILIKE ${pattern} OR barcode ILIKE ${pattern})
+            )`)
+          }
+        }
+      ]
+    };
+  }
+
+  // Add category filter if provided
+  if (filters.category_id) {
+    where = {
+      ...where,
+      category_id: filters.category_id
+    };
+  }
+
+  // Add active status filter if provided
+  if (filters.is_active !== undefined) {
+    const isActive = filters.is_active === 'true';
+    where = {
+      ...where,
+      is_active: isActive
+    };
+  }
+
+  // Add price range filter if provided
+  if (filters.min_price || filters.max_price) {
+    const priceFilter = {};
+    
+    if (filters.min_price) {
+      priceFilter[Op.gte] = parseFloat(filters.min_price);
+    }
+    
+    if (filters.max_price) {
+      priceFilter[Op.lte] = parseFloat(filters.max_price);
+    }
+    
+    where = {
+      ...where,
+      selling_price: priceFilter
+    };
+  }
+
+  // Add stock status filter if provided; a product with variants is in
+  // stock when any of its variants is
+  if (filters.in_stock !== undefined) {
+    const inStock = filters.in_stock === 'true';
+    const stocked = `EXISTS (
+      SELECT 1 FROM inventory i
+      JOIN products sp ON sp.id = i.product_id
+      WHERE (sp.id = "Product"."id" OR sp.parent_id = "Product"."id") AND i.available_quantity > 0
+    )`;
+
+    where = {
+      ...where,
+      [Op.and]: [db.sequelize.literal(inStock ? stocked : `NOT ${stocked}`)]
+    };
+  }
+
+  return where;
+};
 
 /**
- * Get all products with pagination and filtering
+ * Get all products with pagination and filtering. Variants are listed under
+ * their product rather than on their own.
  * @route GET /api/products
  */
 exports.getAllProducts = async (req, res, next) => {
@@ -18,7 +116,8 @@ exports.getAllProducts = async (req, res, next) => {
         'id', 'name', 'sku', 'barcode', 'description', 
         'category_id', 'purchase_price', 'selling_price', 
         'discount_price', 'is_taxable', 'tax_rate', 
-        'image_url', 'is_active', 'weight', 'weight_unit',
+        'tax_service_id', 'tax_unit_code',
+        'image_url', 'is_active', 'weight', 'weight_unit', 'options',
         'created_at', 'updated_at'
       ],
       include: [
@@ -31,76 +130,25 @@ exports.getAllProducts = async (req, res, next) => {
           model: db.Inventory,
           as: 'inventory',
           attributes: ['stock_quantity', 'available_quantity', 'reserved_quantity']
+        },
+        {
+          model: db.Product,
+          as: 'variants',
+          attributes: VARIANT_ATTRIBUTES,
+          include: [{
+            model: db.Inventory,
+            as: 'inventory',
+            attributes: ['stock_quantity', 'available_quantity', 'reserved_quantity']
+          }]
         }
       ],
+      distinct: true,
       limit,
       offset,
       order: [['created_at', 'DESC']]
     };
 
-    // Add search filter if provided
-    if (req.query.search) {
-      query.where = {
-        [Op.or]: [
-          { name: { [Op.iLike]: `%${req.query.search}%` } },
-          { sku: { [Op.iLike]: `%${req.query.search}%` } },
-          { barcode: { [Op.iLike]: `%${req.query.search}%` } },
-          { description: { [Op.iLike]: `%${req.query.search}%` } }
-        ]
-      };
-    }
-
-    // Add category filter if provided
-    if (req.query.category_id) {
-      query.where = {
-        ...query.where,
-        category_id: req.query.category_id
-      };
-    }
-
-    // Add active status filter if provided
-    if (req.query.is_active !== undefined) {
-      const isActive = req.query.is_active === 'true';
-      query.where = {
-        ...query.where,
-        is_active: isActive
-      };
-    }
-
-    // Add price range filter if provided
-    if (req.query.min_price || req.query.max_price) {
-      const priceFilter = {};
-      
-      if (req.query.min_price) {
-        priceFilter[Op.gte] = parseFloat(req.query.min_price);
-      }
-      
-      if (req.query.max_price) {
-        priceFilter[Op.lte] = parseFloat(req.query.max_price);
-      }
-      
-      query.where = {
-        ...query.where,
-        selling_price: priceFilter
-      };
-    }
-
-    // Add stock status filter if provided
-    if (req.query.in_stock !== undefined) {
-      const inStock = req.query.in_stock === 'true';
-      
-      if (inStock) {
-        query.include[1].where = {
-          available_quantity: {
-            [Op.gt]: 0
-          }
-        };
-      } else {
-        query.include[1].where = {
-          available_quantity: 0
-        };
-      }
-    }
+    query.where = productListWhere(req.query);
 
     const { count, rows: products } = await db.Product.findAndCountAll(query);
 
@@ -148,8 +196,24 @@ exports.getProductById = async (req, res, next) => {
           limit: 10,
           order: [['created_at', 'DESC']],
           attributes: ['id', 'quantity', 'transaction_type', 'created_at', 'note']
+        },
+        {
+          model: db.Product,
+          as: 'variants',
+          attributes: VARIANT_ATTRIBUTES,
+          include: [{
+            model: db.Inventory,
+            as: 'inventory',
+            attributes: ['stock_quantity', 'available_quantity', 'reserved_quantity', 'reorder_level']
+          }]
+        },
+        {
+          model: db.Product,
+          as: 'parent',
+          attributes: ['id', 'name', 'sku', 'options']
         }
-      ]
+      ],
+      order: [[{ model: db.Product, as: 'variants' }, 'created_at', 'ASC']]
     });
 
     if (!product) {
@@ -175,8 +239,8 @@ exports.createProduct = async (req, res, next) => {
   try {
     const { 
       name, sku, barcode, description, category_id, purchase_price,
-      selling_price, discount_price, is_taxable, tax_rate, image_url,
-      is_active, weight, weight_unit, stock_quantity, reorder_level,
+      selling_price, discount_price, is_taxable, tax_rate, tax_service_id,
+      tax_unit_code, image_url, is_active, weight, weight_unit, options, stock_quantity, reorder_level,
       reorder_quantity, location, shop_id
     } = req.body;
 
@@ -224,10 +288,13 @@ exports.createProduct = async (req, res, next) => {
         discount_price,
         is_taxable,
         tax_rate,
+        tax_service_id,
+        tax_unit_code,
         image_url,
         is_active: is_active !== undefined ? is_active : true,
         weight,
-        weight_unit
+        weight_unit,
+        options
       }, { transaction: t });
 
       // Create inventory record
@@ -293,8 +360,8 @@ exports.updateProduct = async (req, res, next) => {
   try {
     const { 
       name, sku, barcode, description, category_id, purchase_price,
-      selling_price, discount_price, is_taxable, tax_rate, image_url,
-      is_active, weight, weight_unit
+      selling_price, discount_price, is_taxable, tax_rate, tax_service_id,
+      tax_unit_code, image_url, is_active, weight, weight_unit, options
     } = req.body;
 
     const productId = req.params.id;
@@ -329,22 +396,34 @@ exports.updateProduct = async (req, res, next) => {
       }
     }
 
-    // Update product
-    await product.update({
-      name: name || product.name,
-      sku: sku || product.sku,
-      barcode: barcode || product.barcode,
-      description: description !== undefined ? description : product.description,
-      category_id: category_id || product.category_id,
-      purchase_price: purchase_price !== undefined ? purchase_price : product.purchase_price,
-      selling_price: selling_price || product.selling_price,
-      discount_price: discount_price !== undefined ? discount_price : product.discount_price,
-      is_taxable: is_taxable !== undefined ? is_taxable : product.is_taxable,
-      tax_rate: tax_rate !== undefined ? tax_rate : product.tax_rate,
-      image_url: image_url !== undefined ? image_url : product.image_url,
-      is_active: is_active !== undefined ? is_active : product.is_active,
-      weight: weight !== undefined ? weight : product.weight,
-      weight_unit: weight_unit !== undefined ? weight_unit : product.weight_unit
+    // Options cannot be reshaped under existing variants
+    if (options) {
+      await productVariantService.checkOptionChange(product, options);
+    }
+
+    // Update product, and its variants with what they take from it
+    await db.sequelize.transaction(async (t) => {
+      await product.update({
+        name: name || product.name,
+        sku: sku || product.sku,
+        barcode: barcode || product.barcode,
+        description: description !== undefined ? description : product.description,
+        category_id: category_id || product.category_id,
+        purchase_price: purchase_price !== undefined ? purchase_price : product.purchase_price,
+        selling_price: selling_price || product.selling_price,
+        discount_price: discount_price !== undefined ? discount_price : product.discount_price,
+        is_taxable: is_taxable !== undefined ? is_taxable : product.is_taxable,
+        tax_rate: tax_rate !== undefined ? tax_rate : product.tax_rate,
+        tax_service_id: tax_service_id !== undefined ? tax_service_id : product.tax_service_id,
+        tax_unit_code: tax_unit_code !== undefined ? tax_unit_code : product.tax_unit_code,
+        image_url: image_url !== undefined ? image_url : product.image_url,
+        is_active: is_active !== undefined ? is_active : product.is_active,
+        weight: weight !== undefined ? weight : product.weight,
+        weight_unit: weight_unit !== undefined ? weight_unit : product.weight_unit,
+        options: options || product.options
+      }, { transaction: t });
+
+      await productVariantService.syncVariants(product, t);
     });
 
     // Fetch the updated product with associated data
@@ -388,14 +467,23 @@ exports.deleteProduct = async (req, res, next) => {
       return next(new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND'));
     }
 
+    // A product goes together with its variants
+    const variants = await db.Product.findAll({
+      where: { parent_id: productId },
+      attributes: ['id']
+    });
+    const productIds = [productId, ...variants.map(variant => variant.id)];
+
     // Check if product is used in any sales
     const salesWithProduct = await db.SaleItem.count({
-      where: { product_id: productId }
+      where: { product_id: { [Op.in]: productIds } }
     });
 
     if (salesWithProduct > 0) {
       // Soft delete (deactivate) the product instead of hard delete
-      await product.update({ is_active: false });
+      await db.Product.update({ is_active: false }, {
+        where: { id: { [Op.in]: productIds } }
+      });
       
       return res.status(200).json({
         success: true,
@@ -404,7 +492,10 @@ exports.deleteProduct = async (req, res, next) => {
     }
 
     // Hard delete if not used in sales
-    await product.destroy();
+    await db.sequelize.transaction(async (t) => {
+      await db.Product.destroy({ where: { parent_id: productId }, transaction: t });
+      await product.destroy({ transaction: t });
+    });
 
     res.status(200).json({
       success: true,
@@ -604,6 +695,13 @@ exports.getProductSalesStats = async (req, res, next) => {
       return next(new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND'));
     }
 
+    // A product's sales are those of its variants
+    const variants = await db.Product.findAll({
+      where: { parent_id: productId },
+      attributes: ['id']
+    });
+    const productIds = [productId, ...variants.map(variant => variant.id)];
+
     // Calculate date range
     const endDate = new Date();
     const startDate = new Date();
@@ -630,7 +728,7 @@ exports.getProductSalesStats = async (req, res, next) => {
         required: true
       }],
       where: {
-        product_id: productId
+        product_id: { [Op.in]: productIds }
       }
     });
 
@@ -656,7 +754,7 @@ exports.getProductSalesStats = async (req, res, next) => {
         required: true
       }],
       where: {
-        product_id: productId
+        product_id: { [Op.in]: productIds }
       },
       group: [db.sequelize.fn('date_trunc', 'day', db.sequelize.col('sale.sale_date'))],
       order: [db.sequelize.literal('date ASC')]
@@ -712,7 +810,7 @@ exports.adjustStock = async (req, res, next) => {
     }
 
     // Start transaction
-    const result = await db.sequelize.transaction(async (t) => {
+    await db.sequelize.transaction(async (t) => {
       // Find or create inventory
       let [inventory] = await db.Inventory.findOrCreate({
         where: { product_id: productId },
@@ -773,4 +871,341 @@ exports.adjustStock = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * Find a variant of a product
+ * @param {string} productId - Parent product ID
+ * @param {string} variantId - Variant ID
+ * @returns {Promise<Object>}
+ */
+const findVariant = async (productId, variantId) => {
+  const variant = await db.Product.findOne({
+    where: { id: variantId, parent_id: productId }
+  });
+
+  if (!variant) {
+    throw new AppError('Variant not found', 404, 'VARIANT_NOT_FOUND');
+  }
+
+  return variant;
+};
+
+/**
+ * Fetch a variant with its stock
+ * @param {string} variantId - Variant ID
+ * @returns {Promise<Object>}
+ */
+const loadVariant = variantId => db.Product.findByPk(variantId, {
+  attributes: [...VARIANT_ATTRIBUTES, 'parent_id', 'weight', 'created_at', 'updated_at'],
+  include: [{
+    model: db.Inventory,
+    as: 'inventory',
+    attributes: ['stock_quantity', 'available_quantity', 'reserved_quantity', 'reorder_level', 'reorder_quantity']
+  }]
+});
+
+/**
+ * Get the variants of a product with their stock
+ * @route GET /api/products/:id/variants
+ */
+exports.getVariants = async (req, res, next) => {
+  try {
+    const product = await db.Product.findByPk(req.params.id, {
+      attributes: ['id', 'name', 'sku', 'options']
+    });
+    if (!product) {
+      return next(new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND'));
+    }
+
+    const variants = await db.Product.findAll({
+      where: { parent_id: product.id },
+      attributes: [...VARIANT_ATTRIBUTES, 'weight'],
+      include: [{
+        model: db.Inventory,
+        as: 'inventory',
+        attributes: ['stock_quantity', 'available_quantity', 'reserved_quantity', 'reorder_level']
+      }],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product,
+        variants
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a variant of a product from one combination of its options
+ * @route POST /api/products/:id/variants
+ */
+exports.createVariant = async (req, res, next) => {
+  try {
+    const product = await db.Product.findByPk(req.params.id);
+    if (!product) {
+      return next(new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND'));
+    }
+
+    const { shop_id, ...fields } = req.body;
+
+    const created = await db.sequelize.transaction(async t => productVariantService.createVariant(product, fields, {
+      userId: req.user.id,
+      transaction: t
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: {
+        variant: await loadVariant(created.id)
+      },
+      message: 'Variant created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a variant for every combination of a product's options that has none
+ * @route POST /api/products/:id/variants/generate
+ */
+exports.generateVariants = async (req, res, next) => {
+  try {
+    const product = await db.Product.findByPk(req.params.id);
+    if (!product) {
+      return next(new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND'));
+    }
+
+    const { shop_id, ...defaults } = req.body;
+
+    const created = await db.sequelize.transaction(async t => productVariantService.generateVariants(product, defaults, {
+      userId: req.user.id,
+      transaction: t
+    }));
+
+    const variants = await db.Product.findAll({
+      where: { id: { [Op.in]: created.map(variant => variant.id) } },
+      attributes: VARIANT_ATTRIBUTES,
+      order: [['created_at', 'ASC']]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        variants
+      },
+      message: `${variants.length} variant(s) created`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a variant's option values, codes or prices
+ * @route PUT /api/products/:id/variants/:variantId
+ */
+exports.updateVariant = async (req, res, next) => {
+  try {
+    const product = await db.Product.findByPk(req.params.id);
+    if (!product) {
+      return next(new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND'));
+    }
+
+    const variant = await findVariant(product.id, req.params.variantId);
+    const { shop_id, ...changes } = req.body;
+
+    await db.sequelize.transaction(async t => productVariantService.updateVariant(product, variant, changes, t));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        variant: await loadVariant(variant.id)
+      },
+      message: 'Variant updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a variant, or deactivate it when it has been sold
+ * @route DELETE /api/products/:id/variants/:variantId
+ */
+exports.deleteVariant = async (req, res, next) => {
+  try {
+    const variant = await findVariant(req.params.id, req.params.variantId);
+
+    const salesWithVariant = await db.SaleItem.count({
+      where: { product_id: variant.id }
+    });
+
+    if (salesWithVariant > 0) {
+      await variant.update({ is_active: false });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Variant has been deactivated because it is associated with sales'
+      });
+    }
+
+    await variant.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Variant successfully deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import products from a CSV or XLSX file. The rows are checked first; a dry
+ * run returns that report only, otherwise the valid rows are imported by a
+ * background job.
+ * @route POST /api/products/import
+ */
+exports.importProducts = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new AppError('A CSV or XLSX file is required', 400, 'IMPORT_FILE_REQUIRED'));
+    }
+
+    const shopId = req.shop?.id || req.body.shop_id;
+    const { mapping, dry_run, update_existing, create_categories } = req.body;
+
+    const { columns, rows } = productImportService.mapRows(await productImportService.readFile(req.file), mapping);
+    const { report } = await productImportService.planImport(shopId, rows, {
+      updateExisting: update_existing,
+      createCategories: create_categories
+    });
+
+    if (dry_run) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          columns,
+          report
+        }
+      });
+    }
+
+    if (report.valid_rows === 0) {
+      return next(new AppError('The file has no valid rows to import', 400, 'NO_VALID_ROWS'));
+    }
+
+    const job = await enqueue('products', 'import', {
+      shop_id: shopId,
+      user_id: req.user.id,
+      file_name: req.file.originalname,
+      rows,
+      update_existing,
+      create_categories
+    }, {
+      shopId,
+      userId: req.user.id,
+      attempts: 1
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        job: {
+          id: job.id,
+          queue: job.queue,
+          name: job.name,
+          status: job.status
+        },
+        columns,
+        report
+      },
+      message: `Import queued; check progress at /api/jobs/${job.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export the products matching the product list filters as CSV or XLSX, each
+ * product followed by its variants
+ * @route GET /api/products/export
+ */
+exports.exportProducts = async (req, res, next) => {
+  try {
+    const shopId = req.shop?.id || req.query.shop_id;
+    const format = req.query.format;
+
+    const where = productListWhere(req.query);
+    if (shopId) {
+      where.shop_id = shopId;
+    }
+
+    const parents = await db.Product.findAll({
+      where,
+      attributes: ['id'],
+      order: [['created_at', 'DESC']]
+    });
+    const parentIds = parents.map(product => product.id);
+
+    const products = await db.Product.findAll({
+      where: {
+        [Op.or]: [
+          { id: { [Op.in]: parentIds } },
+          { parent_id: { [Op.in]: parentIds } }
+        ]
+      },
+      include: [
+        {
+          model: db.Category,
+          as: 'category',
+          attributes: ['id', 'name']
+        },
+        {
+          model: db.Unit,
+          as: 'unit',
+          attributes: ['id', 'abbreviation']
+        },
+        {
+          model: db.Inventory,
+          as: 'inventory',
+          attributes: ['stock_quantity', 'reorder_level', 'reorder_quantity', 'location']
+        },
+        {
+          model: db.Product,
+          as: 'parent',
+          attributes: ['id', 'sku']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    // Keep the list order, with each product's variants right after it
+    const variantsOf = new Map(parentIds.map(id => [id, []]));
+    products
+      .filter(product => product.parent_id)
+      .forEach(variant => variantsOf.get(variant.parent_id).push(variant));
+    const byId = new Map(products.map(product => [product.id, product]));
+    const ordered = parentIds.flatMap(id => [byId.get(id), ...variantsOf.get(id)]);
+
+    const file = await productImportService.renderExport(ordered, format);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="products-${date}.${format}"`
+    });
+    res.status(200).send(file);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,221 @@
+const { Op } = require('sequelize');
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const promotionService = require('../services/promotion.service');
+
+/**
+ * Find a promotion of the shop
+ * @param {string} id - Promotion ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopPromotion = async (id, shopId) => {
+  const promotion = await db.Promotion.findOne({
+    where: { id, shop_id: shopId }
+  });
+
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404, 'PROMOTION_NOT_FOUND');
+  }
+
+  return promotion;
+};
+
+/**
+ * Check that the products and categories a promotion targets belong to the shop
+ * @param {string} shopId - Shop ID
+ * @param {string[]} [productIds] - Product IDs
+ * @param {string[]} [categoryIds] - Category IDs
+ */
+const checkTargets = async (shopId, productIds = [], categoryIds = []) => {
+  if (productIds.length > 0) {
+    const count = await db.Product.count({
+      where: { id: { [Op.in]: productIds }, shop_id: shopId }
+    });
+    if (count !== productIds.length) {
+      throw new AppError('One or more products were not found in this shop', 404, 'PRODUCT_NOT_FOUND');
+    }
+  }
+
+  if (categoryIds.length > 0) {
+    const count = await db.Category.count({
+      where: { id: { [Op.in]: categoryIds }, shop_id: shopId }
+    });
+    if (count !== categoryIds.length) {
+      throw new AppError('One or more categories were not found in this shop', 404, 'CATEGORY_NOT_FOUND');
+    }
+  }
+};
+
+/**
+ * Get the promotions of the shop
+ * @route GET /api/promotions
+ */
+exports.getAllPromotions = async (req, res, next) => {
+  try {
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    let promotions = await db.Promotion.findAll({
+      where: filter,
+      order: [['priority', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    // Only those that would apply to a sale right now
+    if (req.query.running === 'true') {
+      const running = await promotionService.getRunningPromotions(req.shop.id, new Date());
+      promotions = promotions.filter(promotion => running.some(candidate => candidate.id === promotion.id));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { promotions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a promotion
+ * @route GET /api/promotions/:id
+ */
+exports.getPromotionById = async (req, res, next) => {
+  try {
+    const promotion = await findShopPromotion(req.params.id, req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { promotion }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promotion
+ * @route POST /api/promotions
+ */
+exports.createPromotion = async (req, res, next) => {
+  try {
+    const { shop_id, ...fields } = req.body;
+
+    promotionService.checkPromotionRules(fields);
+    await checkTargets(req.shop.id, fields.product_ids, fields.category_ids);
+
+    const promotion = await db.Promotion.create({
+      ...fields,
+      shop_id: req.shop.id,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { promotion },
+      message: 'Promotion created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a promotion
+ * @route PUT /api/promotions/:id
+ */
+exports.updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await findShopPromotion(req.params.id, req.shop.id);
+    const { shop_id, ...changes } = req.body;
+
+    promotionService.checkPromotionRules({ ...promotion.toJSON(), ...changes });
+    await checkTargets(req.shop.id, changes.product_ids, changes.category_ids);
+
+    await promotion.update(changes);
+
+    res.status(200).json({
+      success: true,
+      data: { promotion },
+      message: 'Promotion updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a promotion. Sales it was applied to keep their reference.
+ * @route DELETE /api/promotions/:id
+ */
+exports.deletePromotion = async (req, res, next) => {
+  try {
+    const promotion = await findShopPromotion(req.params.id, req.shop.id);
+
+    await promotion.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Price a cart with the promotions running at the given time, without
+ * recording a sale
+ * @route POST /api/promotions/preview
+ */
+exports.previewPrice = async (req, res, next) => {
+  try {
+    const { items, discount_amount = 0, at } = req.body;
+
+    const cart = await promotionService.priceCart(items, {
+      shopId: req.shop.id,
+      saleDiscount: discount_amount,
+      at: at ? new Date(at) : new Date()
+    });
+
+    const lines = cart.lines.map(line => ({
+      product_id: line.product_id,
+      name: line.product.name,
+      sku: line.product.sku,
+      quantity: line.quantity,
+      unit_price: line.unit_price,
+      subtotal: line.subtotal,
+      discount_percent: line.discount_percent,
+      promotion: line.promotion
+        ? { id: line.promotion.id, name: line.promotion.name, type: line.promotion.type }
+        : null,
+      promotion_discount: line.promotion_discount,
+      discount_amount: line.discount_amount,
+      tax_amount: line.tax_amount,
+      total: line.total
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: lines,
+        subtotal: cart.subtotal,
+        discount_amount: cart.discount_amount,
+        promotion_id: cart.promotion_id,
+        promotion_discount: cart.promotion_discount,
+        tax_amount: cart.tax_amount,
+        total_amount: cart.total_amount,
+        promotions: cart.promotions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
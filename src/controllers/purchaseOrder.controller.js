@@ -0,0 +1,739 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const { Op } = require('sequelize');
+const { applyStockMovement } = require('../services/inventory.service');
+const { getReorderSuggestions } = require('../services/replenishment.service');
+const numberSequenceService = require('../services/numberSequence.service');
+
+// Allowed manual status transitions; receiving moves orders forward on its own
+const validTransitions = {
+  draft: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  partially_received: ['cancelled'],
+  received: [],
+  cancelled: []
+};
+
+// Associations loaded when returning a full purchase order
+const purchaseOrderIncludes = [
+  {
+    model: db.Supplier,
+    as: 'supplier',
+    attributes: ['id', 'name', 'contact_name', 'phone', 'email']
+  },
+  {
+    model: db.User,
+    as: 'user',
+    attributes: ['id', 'first_name', 'last_name']
+  },
+  {
+    model: db.PurchaseOrderItem,
+    as: 'items',
+    include: [
+      {
+        model: db.Product,
+        as: 'product',
+        attributes: ['id', 'name', 'sku', 'barcode', 'purchase_price']
+      }
+    ]
+  }
+];
+
+/**
+ * Validate purchase order lines against the shop's products
+ * @param {Array} items - Requested lines
+ * @param {string} shopId - Shop ID
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Array>} - Lines with computed total_cost
+ */
+const buildOrderItems = async (items, shopId, transaction) => {
+  const productIds = [...new Set(items.map(item => item.product_id))];
+  const products = await db.Product.findAll({
+    where: {
+      id: { [Op.in]: productIds },
+      shop_id: shopId
+    },
+    attributes: ['id'],
+    transaction
+  });
+
+  if (products.length !== productIds.length) {
+    throw new AppError('One or more products not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  return items.map(item => ({
+    product_id: item.product_id,
+    quantity: item.quantity,
+    unit_cost: item.unit_cost,
+    total_cost: parseFloat(item.unit_cost) * item.quantity
+  }));
+};
+
+/**
+ * Get all purchase orders with pagination and filtering
+ * @route GET /api/purchase-orders
+ */
+exports.getAllPurchaseOrders = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.supplier_id) {
+      filter.supplier_id = req.query.supplier_id;
+    }
+
+    if (req.query.start_date || req.query.end_date) {
+      const dateFilter = {};
+
+      if (req.query.start_date) {
+        dateFilter[Op.gte] = new Date(req.query.start_date);
+      }
+
+      if (req.query.end_date) {
+        // Set the end date to the end of the day
+        const endDate = new Date(req.query.end_date);
+        endDate.setHours(23, 59, 59, 999);
+        dateFilter[Op.lte] = endDate;
+      }
+
+      filter.order_date = dateFilter;
+    }
+
+    if (req.query.search) {
+      filter.order_number = { [Op.iLike]: `%${req.query.search}%` };
+    }
+
+    const { count, rows: purchaseOrders } = await db.PurchaseOrder.findAndCountAll({
+      where: filter,
+      include: [
+        {
+          model: db.Supplier,
+          as: 'supplier',
+          attributes: ['id', 'name']
+        }
+      ],
+      limit,
+      offset,
+      order: [['order_date', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchase_orders: purchaseOrders,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get purchase order by ID
+ * @route GET /api/purchase-orders/:id
+ */
+exports.getPurchaseOrderById = async (req, res, next) => {
+  try {
+    const purchaseOrder = await db.PurchaseOrder.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id },
+      include: [
+        ...purchaseOrderIncludes,
+        {
+          model: db.PurchaseOrderReceipt,
+          as: 'receipts',
+          include: [
+            {
+              model: db.PurchaseOrderReceiptItem,
+              as: 'items'
+            }
+          ]
+        }
+      ]
+    });
+
+    if (!purchaseOrder) {
+      return next(new AppError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { purchase_order: purchaseOrder }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a draft purchase order
+ * @route POST /api/purchase-orders
+ */
+exports.createPurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplier_id, expected_delivery_date, notes, items } = req.body;
+
+    const supplier = await db.Supplier.findOne({
+      where: { id: supplier_id, shop_id: req.shop.id }
+    });
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    if (!supplier.is_active) {
+      return next(new AppError('Cannot order from an inactive supplier', 400, 'SUPPLIER_INACTIVE'));
+    }
+
+    const result = await db.sequelize.transaction(async (t) => {
+      const orderItems = await buildOrderItems(items, req.shop.id, t);
+      const totalAmount = orderItems.reduce((total, item) => total + item.total_cost, 0);
+
+      const purchaseOrder = await db.PurchaseOrder.create({
+        shop_id: req.shop.id,
+        supplier_id,
+        user_id: req.user.id,
+        order_number: await numberSequenceService.nextNumber(req.shop.id, 'purchase_order', t),
+        status: 'draft',
+        order_date: new Date(),
+        expected_delivery_date,
+        total_amount: totalAmount,
+        notes
+      }, { transaction: t });
+
+      await db.PurchaseOrderItem.bulkCreate(
+        orderItems.map(item => ({ ...item, purchase_order_id: purchaseOrder.id })),
+        { transaction: t }
+      );
+
+      return purchaseOrder;
+    });
+
+    const purchaseOrder = await db.PurchaseOrder.findByPk(result.id, {
+      include: purchaseOrderIncludes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { purchase_order: purchaseOrder },
+      message: `Purchase order created with number: ${purchaseOrder.order_number}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Read a non-negative whole number from the query string
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name used in the error message
+ * @returns {number|undefined}
+ */
+const parseDaysParam = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    throw new AppError(`${name} must be a whole number between 0 and 365`, 400, 'VALIDATION_ERROR');
+  }
+
+  return days;
+};
+
+/**
+ * Get reorder suggestions grouped by supplier
+ * @route GET /api/purchase-orders/suggestions
+ */
+exports.getReorderSuggestions = async (req, res, next) => {
+  try {
+    const velocityDays = parseDaysParam(req.query.velocity_days, 'velocity_days');
+    if (velocityDays === 0) {
+      return next(new AppError('velocity_days must be at least 1', 400, 'VALIDATION_ERROR'));
+    }
+
+    const suggestions = await getReorderSuggestions(req.shop.id, {
+      velocity_days: velocityDays,
+      coverage_days: parseDaysParam(req.query.coverage_days, 'coverage_days'),
+      default_lead_time_days: parseDaysParam(req.query.default_lead_time_days, 'default_lead_time_days'),
+      supplier_ids: req.query.supplier_id ? [req.query.supplier_id] : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create one draft purchase order per supplier from the current reorder suggestions
+ * @route POST /api/purchase-orders/suggestions/draft
+ */
+exports.createFromSuggestions = async (req, res, next) => {
+  try {
+    const { supplier_ids, expected_delivery_date, notes } = req.body;
+
+    const { groups, unassigned, parameters } = await getReorderSuggestions(req.shop.id, {
+      velocity_days: req.body.velocity_days,
+      coverage_days: req.body.coverage_days,
+      default_lead_time_days: req.body.default_lead_time_days,
+      supplier_ids
+    });
+
+    if (groups.length === 0) {
+      return next(new AppError('There is nothing to reorder', 400, 'NO_REORDER_SUGGESTIONS'));
+    }
+
+    const createdIds = await db.sequelize.transaction(async (t) => {
+      const ids = [];
+
+      for (const group of groups) {
+        const orderItems = group.items.map(suggestion => ({
+          product_id: suggestion.product.id,
+          quantity: suggestion.suggested_quantity,
+          unit_cost: suggestion.unit_cost,
+          total_cost: suggestion.estimated_cost
+        }));
+
+        const purchaseOrder = await db.PurchaseOrder.create({
+          shop_id: req.shop.id,
+          supplier_id: group.supplier.id,
+          user_id: req.user.id,
+          order_number: await numberSequenceService.nextNumber(req.shop.id, 'purchase_order', t),
+          status: 'draft',
+          order_date: new Date(),
+          expected_delivery_date,
+          total_amount: group.total_estimated_cost,
+          notes: notes || `Created from reorder suggestions (${parameters.velocity_days}-day sales velocity)`
+        }, { transaction: t });
+
+        await db.PurchaseOrderItem.bulkCreate(
+          orderItems.map(item => ({ ...item, purchase_order_id: purchaseOrder.id })),
+          { transaction: t }
+        );
+
+        ids.push(purchaseOrder.id);
+      }
+
+      return ids;
+    });
+
+    const purchaseOrders = await db.PurchaseOrder.findAll({
+      where: { id: { [Op.in]: createdIds } },
+      include: purchaseOrderIncludes,
+      order: [['order_number', 'ASC']]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        purchase_orders: purchaseOrders,
+        unassigned
+      },
+      message: `${purchaseOrders.length} draft purchase order(s) created`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a draft purchase order
+ * @route PUT /api/purchase-orders/:id
+ */
+exports.updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplier_id, expected_delivery_date, notes, items } = req.body;
+
+    const purchaseOrder = await db.PurchaseOrder.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!purchaseOrder) {
+      return next(new AppError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND'));
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return next(new AppError('Only draft purchase orders can be edited', 400, 'PURCHASE_ORDER_NOT_DRAFT'));
+    }
+
+    if (supplier_id) {
+      const supplier = await db.Supplier.findOne({
+        where: { id: supplier_id, shop_id: req.shop.id }
+      });
+      if (!supplier) {
+        return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+      }
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      const updates = {};
+      if (supplier_id !== undefined) updates.supplier_id = supplier_id;
+      if (expected_delivery_date !== undefined) updates.expected_delivery_date = expected_delivery_date;
+      if (notes !== undefined) updates.notes = notes;
+
+      // Replace all lines when items are supplied
+      if (items) {
+        const orderItems = await buildOrderItems(items, req.shop.id, t);
+
+        await db.PurchaseOrderItem.destroy({
+          where: { purchase_order_id: purchaseOrder.id },
+          transaction: t
+        });
+
+        await db.PurchaseOrderItem.bulkCreate(
+          orderItems.map(item => ({ ...item, purchase_order_id: purchaseOrder.id })),
+          { transaction: t }
+        );
+
+        updates.total_amount = orderItems.reduce((total, item) => total + item.total_cost, 0);
+      }
+
+      await purchaseOrder.update(updates, { transaction: t });
+    });
+
+    const updatedPurchaseOrder = await db.PurchaseOrder.findByPk(purchaseOrder.id, {
+      include: purchaseOrderIncludes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { purchase_order: updatedPurchaseOrder },
+      message: 'Purchase order updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a draft purchase order as sent to the supplier
+ * @route POST /api/purchase-orders/:id/send
+ */
+exports.sendPurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await db.PurchaseOrder.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!purchaseOrder) {
+      return next(new AppError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND'));
+    }
+
+    if (!validTransitions[purchaseOrder.status].includes('sent')) {
+      return next(new AppError(
+        `Invalid status transition from ${purchaseOrder.status} to sent`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      ));
+    }
+
+    await purchaseOrder.update({ status: 'sent', sent_at: new Date() });
+
+    res.status(200).json({
+      success: true,
+      data: { purchase_order: purchaseOrder },
+      message: 'Purchase order marked as sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a purchase order. Goods already received stay in stock.
+ * @route POST /api/purchase-orders/:id/cancel
+ */
+exports.cancelPurchaseOrder = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const purchaseOrder = await db.PurchaseOrder.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!purchaseOrder) {
+      return next(new AppError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND'));
+    }
+
+    if (!validTransitions[purchaseOrder.status].includes('cancelled')) {
+      return next(new AppError(
+        `Invalid status transition from ${purchaseOrder.status} to cancelled`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      ));
+    }
+
+    const notes = reason
+      ? [purchaseOrder.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n')
+      : purchaseOrder.notes;
+
+    await purchaseOrder.update({
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      notes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { purchase_order: purchaseOrder },
+      message: 'Purchase order cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive goods against a purchase order, fully or partially
+ * @route POST /api/purchase-orders/:id/receipts
+ */
+exports.receivePurchaseOrder = async (req, res, next) => {
+  try {
+    const { items, notes, received_at, location_id } = req.body;
+
+    const result = await db.sequelize.transaction(async (t) => {
+      const purchaseOrder = await db.PurchaseOrder.findOne({
+        where: { id: req.params.id, shop_id: req.shop.id },
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      if (!purchaseOrder) {
+        throw new AppError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND');
+      }
+
+      if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+        throw new AppError(
+          `Cannot receive goods for a ${purchaseOrder.status} purchase order`,
+          400,
+          'INVALID_PURCHASE_ORDER_STATUS'
+        );
+      }
+
+      const orderItems = await db.PurchaseOrderItem.findAll({
+        where: { purchase_order_id: purchaseOrder.id },
+        transaction: t
+      });
+
+      const orderItemsMap = orderItems.reduce((map, item) => {
+        map[item.id] = item;
+        return map;
+      }, {});
+
+      const receipt = await db.PurchaseOrderReceipt.create({
+        purchase_order_id: purchaseOrder.id,
+        user_id: req.user.id,
+        received_at: received_at || new Date(),
+        notes
+      }, { transaction: t });
+
+      let receiptTotal = 0;
+
+      for (const line of items) {
+        const orderItem = orderItemsMap[line.purchase_order_item_id];
+
+        if (!orderItem) {
+          throw new AppError(
+            `Item ${line.purchase_order_item_id} does not belong to this purchase order`,
+            400,
+            'ITEM_NOT_IN_PURCHASE_ORDER'
+          );
+        }
+
+        const outstanding = orderItem.getOutstandingQuantity();
+        if (line.quantity > outstanding) {
+          throw new AppError(
+            `Cannot receive ${line.quantity} units for item ${orderItem.id}; only ${outstanding} outstanding`,
+            400,
+            'RECEIPT_EXCEEDS_ORDERED'
+          );
+        }
+
+        const unitCost = line.unit_cost !== undefined ? line.unit_cost : parseFloat(orderItem.unit_cost);
+        receiptTotal += unitCost * line.quantity;
+
+        await db.PurchaseOrderReceiptItem.create({
+          receipt_id: receipt.id,
+          purchase_order_item_id: orderItem.id,
+          product_id: orderItem.product_id,
+          quantity: line.quantity,
+          unit_cost: unitCost
+        }, { transaction: t });
+
+        await orderItem.increment('received_quantity', { by: line.quantity, transaction: t });
+        orderItem.received_quantity += line.quantity;
+
+        await applyStockMovement({
+          product_id: orderItem.product_id,
+          shop_id: purchaseOrder.shop_id,
+          quantity: line.quantity,
+          transaction_type: 'purchase',
+          location_id,
+          reference_id: purchaseOrder.id,
+          note: `Received against purchase order ${purchaseOrder.order_number}`,
+          user_id: req.user.id
+        }, t);
+
+        // Latest received cost becomes the product's purchase price
+        await db.Product.update(
+          { purchase_price: unitCost },
+          { where: { id: orderItem.product_id }, transaction: t }
+        );
+      }
+
+      await receipt.update({ total_cost: receiptTotal }, { transaction: t });
+
+      const fullyReceived = orderItems.every(item => item.received_quantity >= item.quantity);
+      await purchaseOrder.update({
+        status: fullyReceived ? 'received' : 'partially_received',
+        received_at: fullyReceived ? new Date() : null
+      }, { transaction: t });
+
+      return { purchaseOrder, receipt };
+    });
+
+    const receipt = await db.PurchaseOrderReceipt.findByPk(result.receipt.id, {
+      include: [
+        {
+          model: db.PurchaseOrderReceiptItem,
+          as: 'items',
+          include: [
+            {
+              model: db.Product,
+              as: 'product',
+              attributes: ['id', 'name', 'sku']
+            }
+          ]
+        }
+      ]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        receipt,
+        purchase_order: {
+          id: result.purchaseOrder.id,
+          order_number: result.purchaseOrder.order_number,
+          status: result.purchaseOrder.status
+        }
+      },
+      message: `Goods received for purchase order ${result.purchaseOrder.order_number}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get goods receipts for a purchase order
+ * @route GET /api/purchase-orders/:id/receipts
+ */
+exports.getPurchaseOrderReceipts = async (req, res, next) => {
+  try {
+    const purchaseOrder = await db.PurchaseOrder.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id },
+      attributes: ['id', 'order_number', 'status']
+    });
+
+    if (!purchaseOrder) {
+      return next(new AppError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND'));
+    }
+
+    const receipts = await db.PurchaseOrderReceipt.findAll({
+      where: { purchase_order_id: purchaseOrder.id },
+      include: [
+        {
+          model: db.User,
+          as: 'user',
+          attributes: ['id', 'first_name', 'last_name']
+        },
+        {
+          model: db.PurchaseOrderReceiptItem,
+          as: 'items',
+          include: [
+            {
+              model: db.Product,
+              as: 'product',
+              attributes: ['id', 'name', 'sku']
+            }
+          ]
+        }
+      ],
+      order: [['received_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchase_order: purchaseOrder,
+        receipts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a draft purchase order
+ * @route DELETE /api/purchase-orders/:id
+ */
+exports.deletePurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await db.PurchaseOrder.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!purchaseOrder) {
+      return next(new AppError('Purchase order not found', 404, 'PURCHASE_ORDER_NOT_FOUND'));
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return next(new AppError(
+        'Only draft purchase orders can be deleted; cancel it instead',
+        400,
+        'PURCHASE_ORDER_NOT_DRAFT'
+      ));
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      await db.PurchaseOrderItem.destroy({
+        where: { purchase_order_id: purchaseOrder.id },
+        transaction: t
+      });
+
+      await numberSequenceService.voidNumber(req.shop.id, 'purchase_order', purchaseOrder.order_number, {
+        documentId: purchaseOrder.id,
+        reason: 'Draft purchase order deleted',
+        userId: req.user.id,
+        transaction: t
+      });
+
+      await purchaseOrder.destroy({ transaction: t });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
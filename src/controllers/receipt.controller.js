@@ -0,0 +1,142 @@
+const { AppError } = require('../middleware/errorHandler');
+const receiptService = require('../services/receipt.service');
+
+/**
+ * Document type of the receipt route
+ * @param {Object} params - Request params
+ * @returns {string} - sale or order
+ */
+const documentType = params => (params.documentType === 'sales' ? 'sale' : 'order');
+
+/**
+ * Send a rendered receipt
+ * @param {Object} res - Express response
+ * @param {Object} file - { content, contentType, fileName }
+ */
+const sendFile = (res, file) => {
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': `inline; filename="${file.fileName}"`
+  });
+  res.status(200).send(file.content);
+};
+
+/**
+ * Get the shop's receipt template
+ * @route GET /api/receipts/template
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const template = await receiptService.getTemplate(req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the shop's receipt template
+ * @route PUT /api/receipts/template
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const { shop_id, ...data } = req.body;
+    const template = await receiptService.updateTemplate(req.shop.id, data);
+
+    res.status(200).json({
+      success: true,
+      data: { template },
+      message: 'Receipt template updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Print the receipt of a sale or an order
+ * @route GET /api/receipts/:documentType/:id
+ */
+exports.printReceipt = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!receiptService.FORMATS.includes(format)) {
+      return next(new AppError('Format must be one of: pdf, html, escpos', 400, 'INVALID_FORMAT'));
+    }
+    if (req.query.paper_width && !['80mm', '58mm'].includes(req.query.paper_width)) {
+      return next(new AppError('Paper width must be 80mm or 58mm', 400, 'INVALID_PAPER_WIDTH'));
+    }
+
+    const file = await receiptService.printReceipt(documentType(req.params), req.params.id, req.shop.id, {
+      format,
+      paperWidth: req.query.paper_width,
+      userId: req.user.id
+    });
+
+    sendFile(res, file);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reprint the receipt of a sale or an order, marked as a reprint
+ * @route POST /api/receipts/:documentType/:id/reprint
+ */
+exports.reprintReceipt = async (req, res, next) => {
+  try {
+    const file = await receiptService.printReceipt(documentType(req.params), req.params.id, req.shop.id, {
+      format: req.body.format,
+      paperWidth: req.body.paper_width,
+      reprint: true,
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    sendFile(res, file);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email a copy of the receipt of a sale or an order
+ * @route POST /api/receipts/:documentType/:id/email
+ */
+exports.emailReceipt = async (req, res, next) => {
+  try {
+    const print = await receiptService.emailReceipt(documentType(req.params), req.params.id, req.shop.id, {
+      email: req.body.email,
+      userId: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      data: { print },
+      message: `Receipt queued for ${print.recipient}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get who printed, reprinted and emailed the receipt of a sale or an order
+ * @route GET /api/receipts/:documentType/:id/prints
+ */
+exports.getPrints = async (req, res, next) => {
+  try {
+    const prints = await receiptService.listPrints(documentType(req.params), req.params.id, req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { prints }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,119 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const receivableService = require('../services/receivable.service');
+
+/**
+ * Find a customer
+ * @param {string} id - Customer ID
+ * @returns {Promise<Object>}
+ */
+const findCustomer = async (id) => {
+  const customer = await db.Customer.findByPk(id, {
+    attributes: ['id', 'first_name', 'last_name', 'phone', 'email', 'credit_limit']
+  });
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  return customer;
+};
+
+/**
+ * Get a customer's account with the shop: credit limit, what they owe, what
+ * they can still charge and the invoices left to pay
+ * @route GET /api/receivables/customers/:customerId
+ */
+exports.getCustomerAccount = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    const account = await receivableService.getAccount(req.shop.id, customer);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        ...account
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set or remove a customer's credit limit
+ * @route PUT /api/receivables/customers/:customerId/credit-limit
+ */
+exports.updateCreditLimit = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+
+    await customer.update({ credit_limit: req.body.credit_limit });
+
+    res.status(200).json({
+      success: true,
+      data: { customer },
+      message: customer.credit_limit === null
+        ? 'Customer can no longer buy on account'
+        : `Credit limit set to ${customer.credit_limit}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take a repayment from a customer and pay it towards their open invoices
+ * @route POST /api/receivables/customers/:customerId/repayments
+ */
+exports.createRepayment = async (req, res, next) => {
+  try {
+    const { shop_id, ...data } = req.body;
+
+    const result = await receivableService.recordRepayment(req.shop.id, req.params.customerId, data, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Repayment recorded; the customer now owes ${result.balance}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a customer's statement of account for a period
+ * @route GET /api/receivables/customers/:customerId/statement
+ */
+exports.getStatement = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    const statement = await receivableService.buildStatement(req.shop.id, customer, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get what customers owe the shop, by how long it has been owed
+ * @route GET /api/receivables/aging
+ */
+exports.getAgingReport = async (req, res, next) => {
+  try {
+    const report = await receivableService.buildAgingReport(req.shop.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,410 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const registerShiftService = require('../services/registerShift.service');
+
+/**
+ * Find a register belonging to the shop
+ * @param {string} id - Register ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopRegister = async (id, shopId) => {
+  const register = await db.Register.findOne({
+    where: { id, shop_id: shopId }
+  });
+
+  if (!register) {
+    throw new AppError('Register not found', 404, 'REGISTER_NOT_FOUND');
+  }
+
+  return register;
+};
+
+/**
+ * Find a shift of the shop that the user may work with: their own shift,
+ * or any shift when they hold shifts.manage
+ * @param {Object} req - Express request
+ * @param {string} id - RegisterShift ID
+ * @returns {Promise<Object>}
+ */
+const findAccessibleShift = async (req, id) => {
+  const shift = await db.RegisterShift.findOne({
+    where: { id, shop_id: req.shop.id },
+    include: [
+      {
+        model: db.Register,
+        as: 'register',
+        attributes: ['id', 'name', 'code']
+      }
+    ]
+  });
+
+  if (!shift) {
+    throw new AppError('Shift not found', 404, 'SHIFT_NOT_FOUND');
+  }
+
+  if (shift.opened_by !== req.user.id && !req.permissions.has('shifts.manage')) {
+    throw new AppError('You can only work with your own shifts', 403, 'FORBIDDEN');
+  }
+
+  return shift;
+};
+
+/**
+ * Check that a location belongs to the shop
+ * @param {string} locationId - Location ID
+ * @param {string} shopId - Shop ID
+ */
+const checkLocation = async (locationId, shopId) => {
+  if (!locationId) {
+    return;
+  }
+
+  const location = await db.Location.findOne({
+    where: { id: locationId, shop_id: shopId }
+  });
+
+  if (!location) {
+    throw new AppError('Location not found', 404, 'LOCATION_NOT_FOUND');
+  }
+};
+
+/**
+ * Get the registers of the shop with their open shift
+ * @route GET /api/registers
+ */
+exports.getAllRegisters = async (req, res, next) => {
+  try {
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    const registers = await db.Register.findAll({
+      where: filter,
+      include: [
+        {
+          model: db.Location,
+          as: 'location',
+          attributes: ['id', 'name']
+        },
+        {
+          model: db.RegisterShift,
+          as: 'shifts',
+          where: { status: 'open' },
+          required: false,
+          attributes: ['id', 'shift_number', 'opened_by', 'opened_at']
+        }
+      ],
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { registers }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a register
+ * @route POST /api/registers
+ */
+exports.createRegister = async (req, res, next) => {
+  try {
+    const { name, code, location_id } = req.body;
+
+    await checkLocation(location_id, req.shop.id);
+
+    const existing = await db.Register.findOne({
+      where: { shop_id: req.shop.id, name }
+    });
+    if (existing) {
+      return next(new AppError('A register with this name already exists', 400, 'DUPLICATE_REGISTER'));
+    }
+
+    const register = await db.Register.create({
+      shop_id: req.shop.id,
+      name,
+      code,
+      location_id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { register },
+      message: 'Register created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a register
+ * @route PATCH /api/registers/:id
+ */
+exports.updateRegister = async (req, res, next) => {
+  try {
+    const register = await findShopRegister(req.params.id, req.shop.id);
+    const { shop_id, ...changes } = req.body;
+
+    await checkLocation(changes.location_id, req.shop.id);
+
+    if (changes.name && changes.name !== register.name) {
+      const existing = await db.Register.findOne({
+        where: { shop_id: req.shop.id, name: changes.name }
+      });
+      if (existing) {
+        return next(new AppError('A register with this name already exists', 400, 'DUPLICATE_REGISTER'));
+      }
+    }
+
+    if (changes.is_active === false) {
+      const openShift = await db.RegisterShift.findOne({
+        where: { register_id: register.id, status: 'open' }
+      });
+      if (openShift) {
+        return next(new AppError('Close the open shift before deactivating the register', 400, 'REGISTER_IN_USE'));
+      }
+    }
+
+    await register.update(changes);
+
+    res.status(200).json({
+      success: true,
+      data: { register },
+      message: 'Register updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Open a shift on a register
+ * @route POST /api/registers/:id/shifts
+ */
+exports.openShift = async (req, res, next) => {
+  try {
+    const register = await findShopRegister(req.params.id, req.shop.id);
+    const shift = await registerShiftService.openShift(register, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: { shift },
+      message: `Shift ${shift.shift_number} opened on ${register.name}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the signed-in cashier's open shift with its running X report
+ * @route GET /api/registers/shifts/current
+ */
+exports.getCurrentShift = async (req, res, next) => {
+  try {
+    const shift = await registerShiftService.findOpenShift(req.user.id);
+
+    if (!shift || shift.shop_id !== req.shop.id) {
+      return next(new AppError('You do not have an open shift in this shop', 404, 'NO_OPEN_SHIFT'));
+    }
+
+    const report = await registerShiftService.buildShiftReport(shift);
+
+    res.status(200).json({
+      success: true,
+      data: { shift, report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the shifts of the shop
+ * @route GET /api/registers/shifts
+ */
+exports.getAllShifts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    ['register_id', 'status', 'opened_by'].forEach((field) => {
+      if (req.query[field]) {
+        filter[field] = req.query[field];
+      }
+    });
+
+    // Cashiers only see their own shifts
+    if (!req.permissions.has('shifts.manage')) {
+      filter.opened_by = req.user.id;
+    }
+
+    const { count, rows: shifts } = await db.RegisterShift.findAndCountAll({
+      where: filter,
+      attributes: { exclude: ['z_report'] },
+      include: [
+        {
+          model: db.Register,
+          as: 'register',
+          attributes: ['id', 'name', 'code']
+        },
+        {
+          model: db.User,
+          as: 'opener',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ],
+      limit,
+      offset,
+      order: [['opened_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shifts,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a shift with its cash movements
+ * @route GET /api/registers/shifts/:shiftId
+ */
+exports.getShiftById = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, req.params.shiftId);
+
+    const cashMovements = await db.RegisterCashMovement.findAll({
+      where: { shift_id: shift.id },
+      order: [['created_at', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shift,
+        cash_movements: cashMovements
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record cash put into or taken out of the drawer
+ * @route POST /api/registers/shifts/:shiftId/cash-movements
+ */
+exports.addCashMovement = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, req.params.shiftId);
+
+    if (shift.status !== 'open') {
+      return next(new AppError('Cash can only be moved during an open shift', 400, 'SHIFT_CLOSED'));
+    }
+
+    const { type, amount, reason } = req.body;
+
+    if (type === 'cash_out') {
+      const report = await registerShiftService.buildShiftReport(shift);
+      if (amount > report.expected.cash) {
+        return next(new AppError(`Only ${report.expected.cash} in cash is expected in the drawer`, 400, 'INSUFFICIENT_CASH'));
+      }
+    }
+
+    const movement = await db.RegisterCashMovement.create({
+      shift_id: shift.id,
+      type,
+      amount,
+      reason,
+      user_id: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { cash_movement: movement }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the report of a shift: a live X report while it is open, the Z report
+ * fixed at closing once it is closed
+ * @route GET /api/registers/shifts/:shiftId/report
+ */
+exports.getShiftReport = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, req.params.shiftId);
+
+    const report = shift.status === 'closed'
+      ? shift.z_report
+      : await registerShiftService.buildShiftReport(shift);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        register: shift.register,
+        report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close a shift with the amounts counted and produce its Z report
+ * @route POST /api/registers/shifts/:shiftId/close
+ */
+exports.closeShift = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, req.params.shiftId);
+
+    if (shift.status !== 'open') {
+      return next(new AppError('This shift is already closed', 400, 'SHIFT_CLOSED'));
+    }
+
+    const closed = await registerShiftService.closeShift(shift.id, req.body, req.user.id);
+    const difference = parseFloat(closed.cash_difference);
+
+    let message = 'Shift closed; the cash drawer balances';
+    if (difference < 0) {
+      message = `Shift closed; the cash drawer is short by ${Math.abs(difference)}`;
+    } else if (difference > 0) {
+      message = `Shift closed; the cash drawer is over by ${difference}`;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shift: closed,
+        report: closed.z_report
+      },
+      message
+    });
+  } catch (error) {
+    next(error);
+  }
+};
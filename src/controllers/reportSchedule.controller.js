@@ -0,0 +1,262 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const { computeNextRunAt, queueRun } = require('../services/reportSchedule.service');
+
+// Fields that change when a schedule is next due
+const timingFields = ['frequency', 'time_of_day', 'day_of_week', 'day_of_month', 'is_active'];
+
+/**
+ * Find a report schedule belonging to the shop
+ * @param {string} id - Schedule ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopSchedule = async (id, shopId) => {
+  const schedule = await db.ReportSchedule.findOne({
+    where: { id, shop_id: shopId }
+  });
+
+  if (!schedule) {
+    throw new AppError('Report schedule not found', 404, 'REPORT_SCHEDULE_NOT_FOUND');
+  }
+
+  return schedule;
+};
+
+/**
+ * Check the settings that depend on each other once updates are merged in
+ * @param {Object} settings - Complete schedule settings
+ */
+const checkScheduleSettings = (settings) => {
+  if (settings.frequency === 'weekly' && (settings.day_of_week === null || settings.day_of_week === undefined)) {
+    throw new AppError('Day of week is required for weekly schedules', 400, 'INVALID_SCHEDULE');
+  }
+
+  if (settings.frequency === 'monthly' && !settings.day_of_month) {
+    throw new AppError('Day of month is required for monthly schedules', 400, 'INVALID_SCHEDULE');
+  }
+
+  if (settings.transport === 'email' && (!settings.recipients || settings.recipients.length === 0)) {
+    throw new AppError('At least one recipient is required for email delivery', 400, 'INVALID_SCHEDULE');
+  }
+};
+
+/**
+ * Get all report schedules of the shop
+ * @route GET /api/report-schedules
+ */
+exports.getAllReportSchedules = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.report_type) {
+      filter.report_type = req.query.report_type;
+    }
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    const { count, rows: schedules } = await db.ReportSchedule.findAndCountAll({
+      where: filter,
+      limit,
+      offset,
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schedules,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a report schedule with its most recent runs
+ * @route GET /api/report-schedules/:id
+ */
+exports.getReportScheduleById = async (req, res, next) => {
+  try {
+    const schedule = await findShopSchedule(req.params.id, req.shop.id);
+
+    const recentRuns = await db.ReportScheduleRun.findAll({
+      where: { schedule_id: schedule.id },
+      order: [['created_at', 'DESC']],
+      limit: 5
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schedule,
+        recent_runs: recentRuns
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a report schedule
+ * @route POST /api/report-schedules
+ */
+exports.createReportSchedule = async (req, res, next) => {
+  try {
+    const settings = { ...req.body };
+    delete settings.shop_id;
+
+    checkScheduleSettings(settings);
+
+    const schedule = await db.ReportSchedule.create({
+      ...settings,
+      shop_id: req.shop.id,
+      user_id: req.user.id,
+      next_run_at: settings.is_active === false ? null : computeNextRunAt(settings)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { schedule },
+      message: `Report schedule created; next delivery at ${schedule.next_run_at ? schedule.next_run_at.toISOString() : 'none (inactive)'}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a report schedule
+ * @route PUT /api/report-schedules/:id
+ */
+exports.updateReportSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findShopSchedule(req.params.id, req.shop.id);
+
+    const updates = { ...req.body };
+    delete updates.shop_id;
+
+    // Switching frequency clears the day that no longer applies
+    if (updates.frequency && updates.frequency !== schedule.frequency) {
+      if (updates.frequency !== 'weekly' && updates.day_of_week === undefined) {
+        updates.day_of_week = null;
+      }
+      if (updates.frequency !== 'monthly' && updates.day_of_month === undefined) {
+        updates.day_of_month = null;
+      }
+    }
+
+    const settings = { ...schedule.get({ plain: true }), ...updates };
+    checkScheduleSettings(settings);
+
+    if (timingFields.some(field => updates[field] !== undefined)) {
+      updates.next_run_at = settings.is_active ? computeNextRunAt(settings) : null;
+    }
+
+    await schedule.update(updates);
+
+    res.status(200).json({
+      success: true,
+      data: { schedule },
+      message: 'Report schedule updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a report schedule; its run history is kept
+ * @route DELETE /api/report-schedules/:id
+ */
+exports.deleteReportSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findShopSchedule(req.params.id, req.shop.id);
+
+    await schedule.update({ is_active: false, next_run_at: null });
+    await schedule.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Report schedule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deliver a scheduled report now, without changing when it is next due
+ * @route POST /api/report-schedules/:id/run
+ */
+exports.runReportSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findShopSchedule(req.params.id, req.shop.id);
+
+    const run = await queueRun(schedule, { trigger: 'manual', userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      data: { run },
+      message: `Report delivery queued; check progress at /api/jobs/${run.job_id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the run history of a report schedule
+ * @route GET /api/report-schedules/:id/runs
+ */
+exports.getReportScheduleRuns = async (req, res, next) => {
+  try {
+    const schedule = await findShopSchedule(req.params.id, req.shop.id);
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { schedule_id: schedule.id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const { count, rows: runs } = await db.ReportScheduleRun.findAndCountAll({
+      where: filter,
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
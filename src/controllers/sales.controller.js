@@ -1,7 +1,19 @@
 const { AppError } = require('../middleware/errorHandler');
+const { checkPermissionInShop } = require('../middleware/permissions');
 const db = require('../models');
 const { Op } = require('sequelize');
-const { v4: uuidv4 } = require('uuid');
+const saleReturnService = require('../services/saleReturn.service');
+const salePaymentService = require('../services/salePayment.service');
+const { currentShiftId } = require('../services/registerShift.service');
+const numberSequenceService = require('../services/numberSequence.service');
+const promotionService = require('../services/promotion.service');
+const loyaltyProgramService = require('../services/loyaltyProgram.service');
+const loyaltyTierService = require('../services/loyaltyTier.service');
+const couponService = require('../services/coupon.service');
+const storedValueService = require('../services/storedValue.service');
+const receivableService = require('../services/receivable.service');
+const taxInvoiceService = require('../services/taxInvoice.service');
+const { roundMoney } = require('../utils/pricing');
 
 /**
  * Get all sales with pagination and filtering
@@ -17,8 +29,8 @@ exports.getAllSales = async (req, res, next) => {
     const query = {
       attributes: [
         'id', 'invoice_number', 'customer_id', 'user_id', 'sale_date',
-        'subtotal', 'discount_amount', 'tax_amount', 'total_amount',
-        'payment_method', 'payment_status', 'notes',
+        'subtotal', 'discount_amount', 'tier_discount', 'tax_amount', 'total_amount',
+        'payment_method', 'payment_status', 'notes', 'shift_id',
         'loyalty_points_earned', 'loyalty_points_used',
         'created_at', 'updated_at'
       ],
@@ -114,6 +126,14 @@ exports.getAllSales = async (req, res, next) => {
       };
     }
 
+    // Add register shift filter if provided
+    if (req.query.shift_id) {
+      query.where = {
+        ...query.where,
+        shift_id: req.query.shift_id
+      };
+    }
+
     // Add invoice number search if provided
     if (req.query.invoice_number) {
       query.where = {
@@ -169,6 +189,11 @@ exports.getSaleById = async (req, res, next) => {
               model: db.Product,
               as: 'product',
               attributes: ['id', 'name', 'sku', 'barcode']
+            },
+            {
+              model: db.Promotion,
+              as: 'promotion',
+              attributes: ['id', 'name', 'type']
             }
           ]
         },
@@ -210,11 +235,19 @@ exports.createSale = async (req, res, next) => {
       customer_id, 
       items, 
       payment_method, 
+      payments,
       notes, 
       discount_amount = 0, 
-      loyalty_points_used = 0 
+      loyalty_points_used = 0,
+      coupon_code,
+      charge_to_account = false
     } = req.body;
 
+    // What is left to pay goes on the customer's tab
+    if (charge_to_account && !customer_id) {
+      return next(new AppError('Only a sale to a customer can be charged to account', 400, 'CUSTOMER_REQUIRED'));
+    }
+
     // Validate customer if provided
     let customer = null;
     if (customer_id) {
@@ -229,125 +262,146 @@ exports.createSale = async (req, res, next) => {
       }
     }
 
-    // Validate items exist and have sufficient stock
-    const validatedItems = [];
-    let subtotal = 0;
-    let total_tax = 0;
+    let settlement;
 
     // Use a transaction for atomicity
-    await db.sequelize.transaction(async (t) => {
-      // Process each item
-      for (const item of items) {
-        const { product_id, quantity, discount_percent = 0 } = item;
-
-        // Check if product exists and is active
-        const product = await db.Product.findOne({
-          where: { 
-            id: product_id, 
-            is_active: true 
-          },
-          include: [
-            {
-              model: db.Inventory,
-              as: 'inventory',
-              attributes: ['available_quantity']
-            }
-          ],
-          transaction: t
-        });
-
-        if (!product) {
-          throw new AppError(`Product with ID ${product_id} not found or inactive`, 404, 'PRODUCT_NOT_FOUND');
-        }
+    const createdSale = await db.sequelize.transaction(async (t) => {
+      const sale_date = new Date();
+
+      // Charges to a customer's account take turns so they cannot both take
+      // the last of the credit limit
+      const accountCustomer = charge_to_account
+        ? await db.Customer.findByPk(customer_id, { lock: t.LOCK.UPDATE, transaction: t })
+        : null;
+
+      // Price the cart with the promotions running now. The sale is numbered
+      // and reported in the shop its products belong to.
+      const cart = await promotionService.priceCart(items, {
+        saleDiscount: discount_amount,
+        at: sale_date,
+        transaction: t
+      });
+
+      // The cashier needs the permissions in that shop, not just the one the
+      // request was resolved in
+      await checkPermissionInShop(req, cart.shop_id, 'sales.create');
+      if (charge_to_account) {
+        await checkPermissionInShop(req, cart.shop_id, 'receivables.collect');
+      }
 
-        // Check if there's enough inventory
-        if (!product.inventory || product.inventory.available_quantity < quantity) {
-          throw new AppError(`Insufficient stock for product: ${product.name}`, 400, 'INSUFFICIENT_STOCK');
+      // Check if there's enough inventory
+      for (const line of cart.lines) {
+        if (!line.product.inventory || line.product.inventory.available_quantity < line.quantity) {
+          throw new AppError(`Insufficient stock for product: ${line.product.name}`, 400, 'INSUFFICIENT_STOCK');
         }
+      }
 
-        // Calculate pricing
-        const unit_price = product.selling_price;
-        const item_subtotal = quantity * unit_price;
-        
-        // Calculate discount
-        const discount_amount = (item_subtotal * discount_percent) / 100;
-        
-        // Calculate tax
-        const taxable_amount = item_subtotal - discount_amount;
-        const tax_percent = product.is_taxable ? (product.tax_rate || 0) : 0;
-        const tax_amount = (taxable_amount * tax_percent) / 100;
-        
-        // Calculate total
-        const total = taxable_amount + tax_amount;
-
-        // Add to running totals
-        subtotal += item_subtotal;
-        total_tax += tax_amount;
-
-        // Add validated item
-        validatedItems.push({
-          product_id,
-          quantity,
-          unit_price,
-          discount_percent,
-          discount_amount,
-          tax_percent,
-          tax_amount,
-          subtotal: item_subtotal,
-          total
-        });
+      // The customer's loyalty tier discount comes off what is left after
+      // promotions and the cashier's discount, before tax
+      const { discount: tier_discount } = await loyaltyTierService.getTierDiscount(
+        customer,
+        cart.shop_id,
+        roundMoney(cart.total_amount - cart.tax_amount),
+        t
+      );
+
+      // A coupon comes off what is left after that
+      let applied = null;
+      if (coupon_code) {
+        applied = await couponService.applyCoupon(cart.shop_id, coupon_code, {
+          customerId: customer_id,
+          baseAmount: roundMoney(cart.total_amount - cart.tax_amount - tier_discount),
+          purchaseAmount: cart.total_amount,
+          at: sale_date
+        }, t);
       }
+      const coupon_discount = applied ? applied.discount : 0;
 
-      // Calculate total amount
-      const total_amount = subtotal - discount_amount + total_tax;
+      const total_amount = roundMoney(cart.total_amount - tier_discount - coupon_discount);
 
-      // Calculate loyalty points earned (simplified example: 1 point per $10 spent)
-      const loyalty_points_earned = customer ? Math.floor(total_amount / 10) : 0;
+      // Points earned under the shop's loyalty program, on what the customer pays
+      const earned = customer
+        ? await loyaltyProgramService.pointsForPurchase(cart.shop_id, cart.lines.map(line => ({
+          product_id: line.product_id,
+          amount: line.total
+        })), { total: total_amount, at: sale_date, transaction: t })
+        : { program: null, points: 0 };
+      const loyalty_points_earned = earned.points;
 
-      // Generate invoice number
-      const prefix = 'INV';
-      const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-      const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-      const invoice_number = `${prefix}-${date}-${random}`;
+      // Take the next invoice number; a rolled back sale gives it back
+      const invoice_number = await numberSequenceService.nextNumber(cart.shop_id, 'invoice', t, sale_date);
 
       // Create sale record
       const sale = await db.Sale.create({
         invoice_number,
+        shop_id: cart.shop_id,
         customer_id,
         user_id: req.user.id,
-        sale_date: new Date(),
-        subtotal,
-        discount_amount,
-        tax_amount: total_tax,
+        sale_date,
+        subtotal: cart.subtotal,
+        discount_amount: roundMoney(cart.discount_amount + tier_discount + coupon_discount),
+        promotion_id: cart.promotion_id,
+        promotion_discount: cart.promotion_discount,
+        coupon_id: applied ? applied.coupon.id : null,
+        coupon_discount,
+        tier_discount,
+        tax_amount: cart.tax_amount,
         total_amount,
-        payment_method,
-        payment_status: 'paid', // Assuming immediate payment for simplicity
+        payment_method: payments ? null : payment_method,
+        payment_status: 'unpaid', // Set from the payments taken below
+        on_account: charge_to_account,
         notes,
+        shift_id: await currentShiftId(req.user.id, t),
         loyalty_points_earned,
         loyalty_points_used
       }, { transaction: t });
 
-      // Create sale items
-      for (const item of validatedItems) {
+      // Create sale items, each recording the promotion behind its discount
+      for (const line of cart.lines) {
         await db.SaleItem.create({
-          ...item,
           sale_id: sale.id,
+          product_id: line.product_id,
+          quantity: line.quantity,
+          unit_price: line.unit_price,
+          discount_percent: line.discount_percent,
+          discount_amount: line.discount_amount,
+          promotion_id: line.promotion_id,
+          promotion_discount: line.promotion_discount,
+          tax_percent: line.tax_percent,
+          tax_amount: line.tax_amount,
+          subtotal: line.subtotal,
+          total: line.total
         }, { 
           transaction: t,
           user_id: req.user.id
         });
       }
 
-      // Create payment record
-      await db.Payment.create({
-        sale_id: sale.id,
-        amount: total_amount,
-        payment_method,
-        payment_date: new Date(),
-        reference_number: uuidv4().substring(0, 8).toUpperCase(),
-        status: 'completed',
-        user_id: req.user.id
-      }, { transaction: t });
+      if (applied) {
+        await couponService.recordRedemption(applied.coupon, {
+          saleId: sale.id,
+          customerId: customer_id,
+          discount: coupon_discount,
+          revenue: total_amount,
+          userId: req.user.id
+        }, t);
+      }
+
+      // Take payment: the listed tenders, or the full total with a single
+      // payment method. An empty tender list leaves the sale unpaid.
+      const tenders = payments || [{ payment_method, amount: total_amount }];
+      if (tenders.length > 0 && total_amount > 0) {
+        settlement = await salePaymentService.recordPayments(sale, tenders, {
+          userId: req.user.id,
+          transaction: t
+        });
+      } else {
+        settlement = await salePaymentService.refreshPaymentStatus(sale, t);
+      }
+
+      if (accountCustomer && settlement.balance > 0) {
+        await receivableService.checkCreditLimit(accountCustomer, cart.shop_id, t);
+      }
 
       // Update customer's loyalty points if applicable
       if (customer) {
@@ -372,6 +426,7 @@ exports.createSale = async (req, res, next) => {
             customer_id,
             sale_id: sale.id,
             user_id: req.user.id,
+            program_id: earned.program.id,
             points: loyalty_points_earned,
             type: 'credit',
             description: `Points earned from sale ${invoice_number}`
@@ -383,7 +438,7 @@ exports.createSale = async (req, res, next) => {
     });
 
     // Fetch the complete sale with all related data
-    const completeSale = await db.Sale.findByPk(customer.id, {
+    const completeSale = await db.Sale.findByPk(createdSale.id, {
       include: [
         {
           model: db.Customer,
@@ -403,21 +458,45 @@ exports.createSale = async (req, res, next) => {
               model: db.Product,
               as: 'product',
               attributes: ['id', 'name', 'sku']
+            },
+            {
+              model: db.Promotion,
+              as: 'promotion',
+              attributes: ['id', 'name', 'type']
             }
           ]
         },
         {
           model: db.Payment,
           as: 'payments',
-          attributes: ['id', 'amount', 'payment_method', 'payment_date', 'reference_number', 'status']
+          attributes: ['id', 'amount', 'amount_tendered', 'change_amount', 'payment_method', 'payment_date', 'reference_number', 'status']
+        },
+        {
+          model: db.Coupon,
+          as: 'coupon',
+          attributes: ['id', 'code', 'campaign_id']
         }
       ]
     });
 
+    // Report the sale to the tax portal when the shop reports automatically
+    taxInvoiceService.reportInBackground(completeSale.shop_id, {
+      saleId: completeSale.id,
+      userId: req.user.id
+    });
+
+    // The sale may move the customer up a loyalty tier
+    if (customer_id) {
+      loyaltyTierService.evaluateInBackground(completeSale.shop_id, customer_id);
+    }
+
     res.status(201).json({
       success: true,
       data: {
-        sale: completeSale
+        sale: completeSale,
+        amount_paid: settlement.amountPaid,
+        balance: settlement.balance,
+        change: settlement.change || 0
       }
     });
   } catch (error) {
@@ -440,11 +519,16 @@ exports.updatePaymentStatus = async (req, res, next) => {
       return next(new AppError('Sale not found', 404, 'SALE_NOT_FOUND'));
     }
 
+    // Paid, partial and unpaid follow from the payment ledger
+    if (['paid', 'partial', 'unpaid'].includes(payment_status)) {
+      return next(new AppError('Payment status follows the payments recorded on the sale; take a payment through POST /api/sales/:id/payments instead', 400, 'PAYMENT_STATUS_DERIVED'));
+    }
+
     // Validate status transition
     const validTransitions = {
-      'unpaid': ['paid', 'partial', 'cancelled'],
-      'partial': ['paid', 'unpaid', 'cancelled'],
-      'paid': ['refunded', 'partial'],
+      'unpaid': ['cancelled'],
+      'partial': ['cancelled'],
+      'paid': ['refunded'],
       'refunded': [],
       'cancelled': []
     };
@@ -472,83 +556,50 @@ exports.updatePaymentStatus = async (req, res, next) => {
 };
 
 /**
- * Process payment for a sale
+ * Process payment for a sale, with one tender or several
  * @route POST /api/sales/:id/payments
  */
 exports.processPayment = async (req, res, next) => {
   try {
-    const { amount, payment_method, reference_number } = req.body;
+    const { amount, payment_method, reference_number, payments } = req.body;
     const saleId = req.params.id;
 
-    // Check if sale exists
-    const sale = await db.Sale.findByPk(saleId);
-    if (!sale) {
-      return next(new AppError('Sale not found', 404, 'SALE_NOT_FOUND'));
-    }
-
-    // Check if sale can receive payments
-    if (['refunded', 'cancelled'].includes(sale.payment_status)) {
-      return next(new AppError(`Cannot process payment for a ${sale.payment_status} sale`, 400, 'INVALID_PAYMENT_STATUS'));
-    }
-
-    // Calculate total payments already made
-    const existingPayments = await db.Payment.findAll({
-      where: {
-        sale_id: saleId,
-        status: 'completed'
-      },
-      attributes: [
-        [db.sequelize.fn('SUM', db.sequelize.col('amount')), 'total_paid']
-      ],
-      raw: true
-    });
+    const tenders = payments || [{ payment_method, amount, reference_number }];
 
-    const totalPaid = parseFloat(existingPayments[0].total_paid || 0);
-    const remainingAmount = sale.total_amount - totalPaid;
+    const result = await db.sequelize.transaction(async (t) => {
+      // Lock the sale so concurrent payments see each other
+      const sale = await db.Sale.findByPk(saleId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
 
-    // Validate payment amount
-    if (amount <= 0) {
-      return next(new AppError('Payment amount must be greater than zero', 400, 'INVALID_PAYMENT_AMOUNT'));
-    }
+      if (!sale) {
+        throw new AppError('Sale not found', 404, 'SALE_NOT_FOUND');
+      }
 
-    if (amount > remainingAmount) {
-      return next(new AppError(`Payment amount exceeds remaining balance of ${remainingAmount}`, 400, 'PAYMENT_EXCEEDS_BALANCE'));
-    }
+      const settlement = await salePaymentService.recordPayments(sale, tenders, {
+        userId: req.user.id,
+        transaction: t
+      });
 
-    // Create payment record
-    const payment = await db.Payment.create({
-      sale_id: saleId,
-      amount,
-      payment_method,
-      payment_date: new Date(),
-      reference_number: reference_number || uuidv4().substring(0, 8).toUpperCase(),
-      status: 'completed',
-      user_id: req.user.id
+      return { sale, settlement };
     });
 
-    // Update sale payment status
-    const newTotalPaid = totalPaid + amount;
-    let newPaymentStatus;
-
-    if (newTotalPaid >= sale.total_amount) {
-      newPaymentStatus = 'paid';
-    } else {
-      newPaymentStatus = 'partial';
-    }
-
-    await sale.update({ payment_method, payment_status: newPaymentStatus });
+    const { sale, settlement } = result;
 
     res.status(201).json({
       success: true,
       data: {
-        payment,
+        payments: settlement.payments,
+        change: settlement.change,
         sale: {
           id: sale.id,
           invoice_number: sale.invoice_number,
-          payment_status: newPaymentStatus,
+          payment_method: sale.payment_method,
+          payment_status: settlement.paymentStatus,
           total_amount: sale.total_amount,
-          amount_paid: newTotalPaid,
-          balance: sale.total_amount - newTotalPaid
+          amount_paid: settlement.amountPaid,
+          balance: settlement.balance
         }
       }
     });
@@ -619,6 +670,8 @@ exports.processRefund = async (req, res, next) => {
       return next(new AppError(`Refund amount exceeds maximum allowed refund of ${maxRefundAmount}`, 400, 'REFUND_EXCEEDS_LIMIT'));
     }
 
+    const refundMethod = salePaymentService.resolveRefundMethod(sale, refund_method);
+
     // Start a transaction
     await db.sequelize.transaction(async (t) => {
       // Create refund record
@@ -626,12 +679,18 @@ exports.processRefund = async (req, res, next) => {
         sale_id: saleId,
         amount,
         reason,
-        refund_method: refund_method || sale.payment_method,
+        refund_method: refundMethod,
         refund_date: new Date(),
         status: 'completed',
-        user_id: req.user.id
+        user_id: req.user.id,
+        shift_id: await currentShiftId(req.user.id, t)
       }, { transaction: t });
 
+      // Credit refunds are paid into store credit or back onto the gift card
+      if (refund.refund_method === 'credit') {
+        await storedValueService.refundToStoredValue(sale, amount, refund, { userId: req.user.id }, t);
+      }
+
       // Update sale payment status if fully refunded
       const newTotalRefunded = totalRefunded + amount;
       if (newTotalRefunded >= sale.total_amount) {
@@ -689,6 +748,79 @@ exports.processRefund = async (req, res, next) => {
   }
 };
 
+/**
+ * Return items from a sale, restocking or writing them off, and refund them
+ * @route POST /api/sales/:id/returns
+ */
+exports.createReturn = async (req, res, next) => {
+  try {
+    const saleReturn = await saleReturnService.createReturn(req.params.id, req.body, req.user.id);
+
+    taxInvoiceService.reportInBackground(saleReturn.shop_id, {
+      saleId: saleReturn.sale_id,
+      saleReturnId: saleReturn.id,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        return: saleReturn
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the returns taken against a sale
+ * @route GET /api/sales/:id/returns
+ */
+exports.getSaleReturns = async (req, res, next) => {
+  try {
+    const sale = await db.Sale.findByPk(req.params.id, {
+      attributes: ['id']
+    });
+
+    if (!sale) {
+      return next(new AppError('Sale not found', 404, 'SALE_NOT_FOUND'));
+    }
+
+    const returns = await db.SaleReturn.findAll({
+      where: { sale_id: sale.id },
+      include: [
+        {
+          model: db.SaleReturnItem,
+          as: 'items',
+          include: [
+            {
+              model: db.Product,
+              as: 'product',
+              attributes: ['id', 'name', 'sku']
+            }
+          ]
+        },
+        {
+          model: db.User,
+          as: 'user',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        returns
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get sales statistics
  * @route GET /api/sales/statistics
@@ -53,17 +53,13 @@ exports.getShopDetails = async (req, res, next) => {
 exports.updateShop = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    let isOwner = false;
-    let shop;
     
     // First check if user is a shop owner
-    shop = await Shop.findOne({
+    let shop = await Shop.findOne({
       where: { owner_id: userId }
     });
     
-    if (shop) {
-      isOwner = true;
-    } else {
+    if (!shop) {
       // Check if user is staff with admin/manager privileges
       const shopStaff = await db.ShopStaff.findOne({
         where: { 
@@ -93,6 +89,7 @@ exports.updateShop = async (req, res, next) => {
       business_type,
       address,
       phone,
+      logo_url,
       tax_enabled,
       tax_rate,
       currency
@@ -110,6 +107,7 @@ exports.updateShop = async (req, res, next) => {
       business_type: business_type || shop.business_type,
       address: address || shop.address,
       phone: phone || shop.phone,
+      logo_url: logo_url !== undefined ? logo_url : shop.logo_url,
       tax_enabled: tax_enabled !== undefined ? tax_enabled : shop.tax_enabled,
       tax_rate: tax_rate !== undefined ? tax_rate : shop.tax_rate,
       currency: currency || shop.currency
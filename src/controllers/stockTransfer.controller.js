@@ -0,0 +1,604 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const { Op } = require('sequelize');
+const { applyStockMovement, resolveLocation } = require('../services/inventory.service');
+const numberSequenceService = require('../services/numberSequence.service');
+
+const validTransitions = {
+  draft: ['in_transit', 'cancelled'],
+  in_transit: ['received', 'cancelled'],
+  received: [],
+  cancelled: []
+};
+
+// Associations loaded when returning a full stock transfer
+const stockTransferIncludes = [
+  {
+    model: db.Location,
+    as: 'from_location',
+    attributes: ['id', 'name', 'code', 'type']
+  },
+  {
+    model: db.Location,
+    as: 'to_location',
+    attributes: ['id', 'name', 'code', 'type']
+  },
+  {
+    model: db.User,
+    as: 'user',
+    attributes: ['id', 'first_name', 'last_name']
+  },
+  {
+    model: db.StockTransferItem,
+    as: 'items',
+    include: [
+      {
+        model: db.Product,
+        as: 'product',
+        attributes: ['id', 'name', 'sku', 'barcode']
+      }
+    ]
+  }
+];
+
+/**
+ * Check that both ends of a transfer are distinct active locations of the shop
+ * @param {string} shopId - Shop ID
+ * @param {string} fromLocationId - Source location ID
+ * @param {string} toLocationId - Destination location ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ */
+const checkTransferLocations = async (shopId, fromLocationId, toLocationId, transaction) => {
+  if (fromLocationId === toLocationId) {
+    throw new AppError('Source and destination locations must differ', 400, 'SAME_LOCATION');
+  }
+
+  await resolveLocation(shopId, fromLocationId, transaction);
+  await resolveLocation(shopId, toLocationId, transaction);
+};
+
+/**
+ * Check that every transfer line refers to a product of the shop
+ * @param {Array} items - Requested lines
+ * @param {string} shopId - Shop ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ */
+const checkTransferProducts = async (items, shopId, transaction) => {
+  const productIds = [...new Set(items.map(item => item.product_id))];
+  const productCount = await db.Product.count({
+    where: {
+      id: { [Op.in]: productIds },
+      shop_id: shopId
+    },
+    transaction
+  });
+
+  if (productCount !== productIds.length) {
+    throw new AppError('One or more products not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+};
+
+/**
+ * Get all stock transfers with pagination and filtering
+ * @route GET /api/stock-transfers
+ */
+exports.getAllStockTransfers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.from_location_id) {
+      filter.from_location_id = req.query.from_location_id;
+    }
+
+    if (req.query.to_location_id) {
+      filter.to_location_id = req.query.to_location_id;
+    }
+
+    if (req.query.location_id) {
+      filter[Op.or] = [
+        { from_location_id: req.query.location_id },
+        { to_location_id: req.query.location_id }
+      ];
+    }
+
+    if (req.query.start_date || req.query.end_date) {
+      const dateFilter = {};
+
+      if (req.query.start_date) {
+        dateFilter[Op.gte] = new Date(req.query.start_date);
+      }
+
+      if (req.query.end_date) {
+        // Set the end date to the end of the day
+        const endDate = new Date(req.query.end_date);
+        endDate.setHours(23, 59, 59, 999);
+        dateFilter[Op.lte] = endDate;
+      }
+
+      filter.created_at = dateFilter;
+    }
+
+    if (req.query.search) {
+      filter.transfer_number = { [Op.iLike]: `%${req.query.search}%` };
+    }
+
+    const { count, rows: transfers } = await db.StockTransfer.findAndCountAll({
+      where: filter,
+      include: [
+        {
+          model: db.Location,
+          as: 'from_location',
+          attributes: ['id', 'name']
+        },
+        {
+          model: db.Location,
+          as: 'to_location',
+          attributes: ['id', 'name']
+        }
+      ],
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transfers,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stock transfer by ID
+ * @route GET /api/stock-transfers/:id
+ */
+exports.getStockTransferById = async (req, res, next) => {
+  try {
+    const transfer = await db.StockTransfer.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id },
+      include: stockTransferIncludes
+    });
+
+    if (!transfer) {
+      return next(new AppError('Stock transfer not found', 404, 'STOCK_TRANSFER_NOT_FOUND'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { transfer }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a draft stock transfer
+ * @route POST /api/stock-transfers
+ */
+exports.createStockTransfer = async (req, res, next) => {
+  try {
+    const { from_location_id, to_location_id, notes, items } = req.body;
+
+    const result = await db.sequelize.transaction(async (t) => {
+      await checkTransferLocations(req.shop.id, from_location_id, to_location_id, t);
+      await checkTransferProducts(items, req.shop.id, t);
+
+      const transfer = await db.StockTransfer.create({
+        shop_id: req.shop.id,
+        transfer_number: await numberSequenceService.nextNumber(req.shop.id, 'transfer', t),
+        from_location_id,
+        to_location_id,
+        status: 'draft',
+        user_id: req.user.id,
+        notes
+      }, { transaction: t });
+
+      await db.StockTransferItem.bulkCreate(
+        items.map(item => ({
+          transfer_id: transfer.id,
+          product_id: item.product_id,
+          quantity: item.quantity
+        })),
+        { transaction: t }
+      );
+
+      return transfer;
+    });
+
+    const transfer = await db.StockTransfer.findByPk(result.id, {
+      include: stockTransferIncludes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { transfer },
+      message: `Stock transfer created with number: ${transfer.transfer_number}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a draft stock transfer
+ * @route PUT /api/stock-transfers/:id
+ */
+exports.updateStockTransfer = async (req, res, next) => {
+  try {
+    const { from_location_id, to_location_id, notes, items } = req.body;
+
+    const transfer = await db.StockTransfer.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!transfer) {
+      return next(new AppError('Stock transfer not found', 404, 'STOCK_TRANSFER_NOT_FOUND'));
+    }
+
+    if (transfer.status !== 'draft') {
+      return next(new AppError('Only draft stock transfers can be edited', 400, 'STOCK_TRANSFER_NOT_DRAFT'));
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      const fromLocationId = from_location_id || transfer.from_location_id;
+      const toLocationId = to_location_id || transfer.to_location_id;
+
+      if (from_location_id || to_location_id) {
+        await checkTransferLocations(req.shop.id, fromLocationId, toLocationId, t);
+      }
+
+      const updates = {
+        from_location_id: fromLocationId,
+        to_location_id: toLocationId
+      };
+      if (notes !== undefined) updates.notes = notes;
+
+      if (items) {
+        await checkTransferProducts(items, req.shop.id, t);
+
+        await db.StockTransferItem.destroy({
+          where: { transfer_id: transfer.id },
+          transaction: t
+        });
+
+        await db.StockTransferItem.bulkCreate(
+          items.map(item => ({
+            transfer_id: transfer.id,
+            product_id: item.product_id,
+            quantity: item.quantity
+          })),
+          { transaction: t }
+        );
+      }
+
+      await transfer.update(updates, { transaction: t });
+    });
+
+    const updatedTransfer = await db.StockTransfer.findByPk(transfer.id, {
+      include: stockTransferIncludes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { transfer: updatedTransfer }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dispatch a stock transfer. Stock leaves the source location and is
+ * in transit until the destination confirms receipt.
+ * @route POST /api/stock-transfers/:id/dispatch
+ */
+exports.dispatchStockTransfer = async (req, res, next) => {
+  try {
+    const transfer = await db.sequelize.transaction(async (t) => {
+      const stockTransfer = await db.StockTransfer.findOne({
+        where: { id: req.params.id, shop_id: req.shop.id },
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      if (!stockTransfer) {
+        throw new AppError('Stock transfer not found', 404, 'STOCK_TRANSFER_NOT_FOUND');
+      }
+
+      if (!validTransitions[stockTransfer.status].includes('in_transit')) {
+        throw new AppError(
+          `Invalid status transition from ${stockTransfer.status} to in_transit`,
+          400,
+          'INVALID_STATUS_TRANSITION'
+        );
+      }
+
+      await checkTransferLocations(
+        req.shop.id,
+        stockTransfer.from_location_id,
+        stockTransfer.to_location_id,
+        t
+      );
+
+      const items = await db.StockTransferItem.findAll({
+        where: { transfer_id: stockTransfer.id },
+        transaction: t
+      });
+
+      for (const item of items) {
+        await applyStockMovement({
+          product_id: item.product_id,
+          shop_id: stockTransfer.shop_id,
+          quantity: -item.quantity,
+          transaction_type: 'transfer',
+          location_id: stockTransfer.from_location_id,
+          reference_id: stockTransfer.id,
+          note: `Dispatched on transfer ${stockTransfer.transfer_number}`,
+          user_id: req.user.id
+        }, t);
+      }
+
+      await stockTransfer.update({
+        status: 'in_transit',
+        dispatched_by: req.user.id,
+        dispatched_at: new Date()
+      }, { transaction: t });
+
+      return stockTransfer;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { transfer },
+      message: 'Stock transfer dispatched'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm receipt of an in-transit stock transfer. Lines not listed are
+ * received in full; any shortfall is recorded on the line and not restocked.
+ * @route POST /api/stock-transfers/:id/receive
+ */
+exports.receiveStockTransfer = async (req, res, next) => {
+  try {
+    const { items = [], notes } = req.body;
+
+    const result = await db.sequelize.transaction(async (t) => {
+      const stockTransfer = await db.StockTransfer.findOne({
+        where: { id: req.params.id, shop_id: req.shop.id },
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      if (!stockTransfer) {
+        throw new AppError('Stock transfer not found', 404, 'STOCK_TRANSFER_NOT_FOUND');
+      }
+
+      if (!validTransitions[stockTransfer.status].includes('received')) {
+        throw new AppError(
+          `Invalid status transition from ${stockTransfer.status} to received`,
+          400,
+          'INVALID_STATUS_TRANSITION'
+        );
+      }
+
+      const transferItems = await db.StockTransferItem.findAll({
+        where: { transfer_id: stockTransfer.id },
+        transaction: t
+      });
+
+      const receivedMap = items.reduce((map, line) => {
+        map[line.stock_transfer_item_id] = line.received_quantity;
+        return map;
+      }, {});
+
+      const unknownLine = items.find(line =>
+        !transferItems.some(item => item.id === line.stock_transfer_item_id)
+      );
+
+      if (unknownLine) {
+        throw new AppError(
+          `Item ${unknownLine.stock_transfer_item_id} does not belong to this stock transfer`,
+          400,
+          'ITEM_NOT_IN_STOCK_TRANSFER'
+        );
+      }
+
+      const shortages = [];
+
+      for (const item of transferItems) {
+        const receivedQuantity = receivedMap[item.id] !== undefined ? receivedMap[item.id] : item.quantity;
+
+        if (receivedQuantity > item.quantity) {
+          throw new AppError(
+            `Cannot receive ${receivedQuantity} units for item ${item.id}; only ${item.quantity} dispatched`,
+            400,
+            'RECEIPT_EXCEEDS_DISPATCHED'
+          );
+        }
+
+        if (receivedQuantity > 0) {
+          await applyStockMovement({
+            product_id: item.product_id,
+            shop_id: stockTransfer.shop_id,
+            quantity: receivedQuantity,
+            transaction_type: 'transfer',
+            location_id: stockTransfer.to_location_id,
+            reference_id: stockTransfer.id,
+            note: `Received on transfer ${stockTransfer.transfer_number}`,
+            user_id: req.user.id
+          }, t);
+        }
+
+        if (receivedQuantity < item.quantity) {
+          shortages.push({
+            stock_transfer_item_id: item.id,
+            product_id: item.product_id,
+            dispatched: item.quantity,
+            received: receivedQuantity
+          });
+        }
+
+        await item.update({ received_quantity: receivedQuantity }, { transaction: t });
+      }
+
+      await stockTransfer.update({
+        status: 'received',
+        received_by: req.user.id,
+        received_at: new Date(),
+        notes: notes ? [stockTransfer.notes, notes].filter(Boolean).join('\n') : stockTransfer.notes
+      }, { transaction: t });
+
+      return { stockTransfer, shortages };
+    });
+
+    const transfer = await db.StockTransfer.findByPk(result.stockTransfer.id, {
+      include: stockTransferIncludes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transfer,
+        shortages: result.shortages
+      },
+      message: result.shortages.length > 0
+        ? 'Stock transfer received with shortages'
+        : 'Stock transfer received'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a stock transfer. In-transit stock is returned to the source location.
+ * @route POST /api/stock-transfers/:id/cancel
+ */
+exports.cancelStockTransfer = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const transfer = await db.sequelize.transaction(async (t) => {
+      const stockTransfer = await db.StockTransfer.findOne({
+        where: { id: req.params.id, shop_id: req.shop.id },
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      if (!stockTransfer) {
+        throw new AppError('Stock transfer not found', 404, 'STOCK_TRANSFER_NOT_FOUND');
+      }
+
+      if (!validTransitions[stockTransfer.status].includes('cancelled')) {
+        throw new AppError(
+          `Invalid status transition from ${stockTransfer.status} to cancelled`,
+          400,
+          'INVALID_STATUS_TRANSITION'
+        );
+      }
+
+      if (stockTransfer.status === 'in_transit') {
+        const items = await db.StockTransferItem.findAll({
+          where: { transfer_id: stockTransfer.id },
+          transaction: t
+        });
+
+        for (const item of items) {
+          await applyStockMovement({
+            product_id: item.product_id,
+            shop_id: stockTransfer.shop_id,
+            quantity: item.quantity,
+            transaction_type: 'transfer',
+            location_id: stockTransfer.from_location_id,
+            reference_id: stockTransfer.id,
+            note: `Returned from cancelled transfer ${stockTransfer.transfer_number}`,
+            user_id: req.user.id
+          }, t);
+        }
+      }
+
+      await stockTransfer.update({
+        status: 'cancelled',
+        cancelled_at: new Date(),
+        notes: reason
+          ? [stockTransfer.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n')
+          : stockTransfer.notes
+      }, { transaction: t });
+
+      return stockTransfer;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { transfer },
+      message: 'Stock transfer cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a draft stock transfer
+ * @route DELETE /api/stock-transfers/:id
+ */
+exports.deleteStockTransfer = async (req, res, next) => {
+  try {
+    const transfer = await db.StockTransfer.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!transfer) {
+      return next(new AppError('Stock transfer not found', 404, 'STOCK_TRANSFER_NOT_FOUND'));
+    }
+
+    if (transfer.status !== 'draft') {
+      return next(new AppError(
+        'Only draft stock transfers can be deleted; cancel it instead',
+        400,
+        'STOCK_TRANSFER_NOT_DRAFT'
+      ));
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      await numberSequenceService.voidNumber(req.shop.id, 'transfer', transfer.transfer_number, {
+        documentId: transfer.id,
+        reason: 'Draft stock transfer deleted',
+        userId: req.user.id,
+        transaction: t
+      });
+
+      await transfer.destroy({ transaction: t });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock transfer deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
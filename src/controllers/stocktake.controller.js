@@ -0,0 +1,888 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const { Op } = require('sequelize');
+const { applyStockMovement, resolveLocation } = require('../services/inventory.service');
+const numberSequenceService = require('../services/numberSequence.service');
+
+const validTransitions = {
+  counting: ['submitted', 'cancelled'],
+  submitted: ['counting', 'approved', 'cancelled'],
+  approved: [],
+  cancelled: []
+};
+
+/**
+ * Collect a category and all of its subcategories
+ * @param {string} categoryId - Root category ID
+ * @param {string} shopId - Shop ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<string[]>}
+ */
+const collectCategoryIds = async (categoryId, shopId, transaction) => {
+  const ids = [categoryId];
+  let parentIds = [categoryId];
+
+  while (parentIds.length > 0) {
+    const children = await db.Category.findAll({
+      where: { parent_id: { [Op.in]: parentIds }, shop_id: shopId },
+      attributes: ['id'],
+      transaction
+    });
+
+    parentIds = children.map(child => child.id).filter(id => !ids.includes(id));
+    ids.push(...parentIds);
+  }
+
+  return ids;
+};
+
+/**
+ * Load a stocktake of the shop that is still being counted
+ * @param {string} id - Stocktake ID
+ * @param {string} shopId - Shop ID
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object>}
+ */
+const findCountingStocktake = async (id, shopId, transaction) => {
+  const stocktake = await db.Stocktake.findOne({
+    where: { id, shop_id: shopId },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!stocktake) {
+    throw new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND');
+  }
+
+  if (stocktake.status !== 'counting') {
+    throw new AppError(
+      `Counts cannot be changed on a ${stocktake.status} stocktake`,
+      400,
+      'STOCKTAKE_NOT_COUNTING'
+    );
+  }
+
+  return stocktake;
+};
+
+/**
+ * Recalculate an item's counted quantity from all counts submitted for it
+ * @param {string} itemId - Stocktake item ID
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<number|null>} - The new counted quantity, null if nothing is counted
+ */
+const refreshCountedQuantity = async (itemId, transaction) => {
+  const total = await db.StocktakeCount.sum('quantity', {
+    where: { stocktake_item_id: itemId },
+    transaction
+  });
+
+  const countedQuantity = total === null || Number.isNaN(total) ? null : total;
+
+  await db.StocktakeItem.update(
+    { counted_quantity: countedQuantity },
+    { where: { id: itemId }, transaction }
+  );
+
+  return countedQuantity;
+};
+
+/**
+ * Record counts against a stocktake. Each line names a product by ID or by
+ * barcode/SKU, and the product must be part of the stocktake.
+ * @param {Object} stocktake - Stocktake being counted
+ * @param {Array} lines - Counted lines
+ * @param {string} userId - Staff member counting
+ * @param {string} method - manual or scan
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Array>} - Counted lines with the running total per product
+ */
+const recordCounts = async (stocktake, lines, userId, method, transaction) => {
+  const results = [];
+
+  for (const line of lines) {
+    const productWhere = line.product_id
+      ? { id: line.product_id }
+      : { [Op.or]: [{ barcode: line.barcode }, { sku: line.barcode }] };
+
+    const item = await db.StocktakeItem.findOne({
+      where: { stocktake_id: stocktake.id },
+      include: [
+        {
+          model: db.Product,
+          as: 'product',
+          where: { ...productWhere, shop_id: stocktake.shop_id },
+          attributes: ['id', 'name', 'sku', 'barcode']
+        }
+      ],
+      transaction
+    });
+
+    if (!item) {
+      throw new AppError(
+        `Product ${line.product_id || line.barcode} is not part of this stocktake`,
+        400,
+        'PRODUCT_NOT_IN_STOCKTAKE'
+      );
+    }
+
+    const count = await db.StocktakeCount.create({
+      stocktake_id: stocktake.id,
+      stocktake_item_id: item.id,
+      user_id: userId,
+      quantity: line.quantity,
+      method
+    }, { transaction });
+
+    const countedQuantity = await refreshCountedQuantity(item.id, transaction);
+
+    results.push({
+      count_id: count.id,
+      stocktake_item_id: item.id,
+      product: item.product,
+      quantity: line.quantity,
+      counted_quantity: countedQuantity
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Build the variance report for a stocktake
+ * @param {Object} stocktake - Stocktake
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyDifferences=false] - Leave out lines that match or are uncounted
+ * @returns {Promise<Object>} - Report lines and summary
+ */
+const buildVarianceReport = async (stocktake, options = {}) => {
+  const items = await db.StocktakeItem.findAll({
+    where: { stocktake_id: stocktake.id },
+    include: [
+      {
+        model: db.Product,
+        as: 'product',
+        attributes: ['id', 'name', 'sku', 'barcode']
+      }
+    ],
+    order: [[{ model: db.Product, as: 'product' }, 'name', 'ASC']]
+  });
+
+  const summary = {
+    total_items: items.length,
+    counted_items: 0,
+    uncounted_items: 0,
+    items_with_variance: 0,
+    surplus_quantity: 0,
+    shortage_quantity: 0,
+    surplus_value: 0,
+    shortage_value: 0,
+    net_variance_value: 0
+  };
+
+  const lines = [];
+
+  for (const item of items) {
+    const variance = item.getVariance();
+    const unitCost = parseFloat(item.unit_cost) || 0;
+    const varianceValue = variance === null ? null : variance * unitCost;
+
+    if (variance === null) {
+      summary.uncounted_items += 1;
+    } else {
+      summary.counted_items += 1;
+
+      if (variance > 0) {
+        summary.surplus_quantity += variance;
+        summary.surplus_value += varianceValue;
+      } else if (variance < 0) {
+        summary.shortage_quantity += -variance;
+        summary.shortage_value += -varianceValue;
+      }
+
+      if (variance !== 0) {
+        summary.items_with_variance += 1;
+      }
+    }
+
+    if (options.onlyDifferences && !variance) {
+      continue;
+    }
+
+    lines.push({
+      stocktake_item_id: item.id,
+      product: item.product,
+      expected_quantity: item.expected_quantity,
+      counted_quantity: item.counted_quantity,
+      variance,
+      unit_cost: unitCost,
+      variance_value: varianceValue
+    });
+  }
+
+  summary.net_variance_value = summary.surplus_value - summary.shortage_value;
+
+  return { lines, summary };
+};
+
+/**
+ * Get all stocktakes with pagination and filtering
+ * @route GET /api/stocktakes
+ */
+exports.getAllStocktakes = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.category_id) {
+      filter.category_id = req.query.category_id;
+    }
+
+    if (req.query.location_id) {
+      filter.location_id = req.query.location_id;
+    }
+
+    const { count, rows: stocktakes } = await db.Stocktake.findAndCountAll({
+      where: filter,
+      include: [
+        {
+          model: db.Category,
+          as: 'category',
+          attributes: ['id', 'name']
+        },
+        {
+          model: db.Location,
+          as: 'location',
+          attributes: ['id', 'name']
+        }
+      ],
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stocktakes,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stocktake by ID with counting progress
+ * @route GET /api/stocktakes/:id
+ */
+exports.getStocktakeById = async (req, res, next) => {
+  try {
+    const stocktake = await db.Stocktake.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id },
+      include: [
+        {
+          model: db.Category,
+          as: 'category',
+          attributes: ['id', 'name']
+        },
+        {
+          model: db.Location,
+          as: 'location',
+          attributes: ['id', 'name']
+        },
+        {
+          model: db.User,
+          as: 'user',
+          attributes: ['id', 'first_name', 'last_name']
+        },
+        {
+          model: db.User,
+          as: 'approver',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ]
+    });
+
+    if (!stocktake) {
+      return next(new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND'));
+    }
+
+    const totalItems = await db.StocktakeItem.count({
+      where: { stocktake_id: stocktake.id }
+    });
+
+    const countedItems = await db.StocktakeItem.count({
+      where: { stocktake_id: stocktake.id, counted_quantity: { [Op.ne]: null } }
+    });
+
+    const counters = await db.StocktakeCount.findAll({
+      where: { stocktake_id: stocktake.id },
+      attributes: [
+        'user_id',
+        [db.sequelize.fn('COUNT', db.sequelize.col('StocktakeCount.id')), 'count_entries']
+      ],
+      include: [
+        {
+          model: db.User,
+          as: 'user',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ],
+      group: ['StocktakeCount.user_id', 'user.id']
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stocktake,
+        progress: {
+          total_items: totalItems,
+          counted_items: countedItems,
+          uncounted_items: totalItems - countedItems
+        },
+        counters
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start a stocktake, freezing the expected quantity of every active product
+ * in scope. Scope is an optional category (with its subcategories) and an
+ * optional location; location stocktakes compare against location stock.
+ * @route POST /api/stocktakes
+ */
+exports.createStocktake = async (req, res, next) => {
+  try {
+    const { category_id, location_id, notes } = req.body;
+
+    const result = await db.sequelize.transaction(async (t) => {
+      if (location_id) {
+        await resolveLocation(req.shop.id, location_id, t);
+      }
+
+      const productFilter = { shop_id: req.shop.id, is_active: true };
+
+      if (category_id) {
+        const category = await db.Category.findOne({
+          where: { id: category_id, shop_id: req.shop.id },
+          transaction: t
+        });
+
+        if (!category) {
+          throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+        }
+
+        productFilter.category_id = {
+          [Op.in]: await collectCategoryIds(category_id, req.shop.id, t)
+        };
+      }
+
+      // Only one open stocktake per scope, otherwise variances would be posted twice
+      const openStocktake = await db.Stocktake.findOne({
+        where: {
+          shop_id: req.shop.id,
+          category_id: category_id || null,
+          location_id: location_id || null,
+          status: { [Op.in]: ['counting', 'submitted'] }
+        },
+        transaction: t
+      });
+
+      if (openStocktake) {
+        throw new AppError(
+          `Stocktake ${openStocktake.stocktake_number} is already open for this scope`,
+          400,
+          'STOCKTAKE_IN_PROGRESS'
+        );
+      }
+
+      const products = await db.Product.findAll({
+        where: productFilter,
+        attributes: ['id', 'purchase_price'],
+        include: [
+          {
+            model: db.Inventory,
+            as: 'inventory',
+            attributes: ['stock_quantity'],
+            required: false
+          }
+        ],
+        transaction: t
+      });
+
+      if (products.length === 0) {
+        throw new AppError('No products found for this stocktake', 400, 'NO_PRODUCTS_IN_SCOPE');
+      }
+
+      let locationQuantities = {};
+      if (location_id) {
+        const locationStock = await db.LocationInventory.findAll({
+          where: {
+            location_id,
+            product_id: { [Op.in]: products.map(product => product.id) }
+          },
+          attributes: ['product_id', 'quantity'],
+          transaction: t
+        });
+
+        locationQuantities = locationStock.reduce((map, row) => {
+          map[row.product_id] = row.quantity;
+          return map;
+        }, {});
+      }
+
+      const stocktake = await db.Stocktake.create({
+        shop_id: req.shop.id,
+        stocktake_number: await numberSequenceService.nextNumber(req.shop.id, 'stocktake', t),
+        category_id,
+        location_id,
+        status: 'counting',
+        user_id: req.user.id,
+        notes
+      }, { transaction: t });
+
+      await db.StocktakeItem.bulkCreate(
+        products.map(product => ({
+          stocktake_id: stocktake.id,
+          product_id: product.id,
+          expected_quantity: location_id
+            ? locationQuantities[product.id] || 0
+            : (product.inventory ? product.inventory.stock_quantity : 0),
+          unit_cost: product.purchase_price
+        })),
+        { transaction: t }
+      );
+
+      return { stocktake, itemCount: products.length };
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        stocktake: result.stocktake,
+        total_items: result.itemCount
+      },
+      message: `Stocktake started with number: ${result.stocktake.stocktake_number}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit counted quantities. Counts add up per product, so several staff
+ * can count the same product on different shelves.
+ * @route POST /api/stocktakes/:id/counts
+ */
+exports.submitCounts = async (req, res, next) => {
+  try {
+    const counts = await db.sequelize.transaction(async (t) => {
+      const stocktake = await findCountingStocktake(req.params.id, req.shop.id, t);
+      return recordCounts(stocktake, req.body.items, req.user.id, 'manual', t);
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { counts }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Count a product by scanning its barcode
+ * @route POST /api/stocktakes/:id/scan
+ */
+exports.scanBarcode = async (req, res, next) => {
+  try {
+    const { barcode, quantity } = req.body;
+
+    const counts = await db.sequelize.transaction(async (t) => {
+      const stocktake = await findCountingStocktake(req.params.id, req.shop.id, t);
+      return recordCounts(stocktake, [{ barcode, quantity }], req.user.id, 'scan', t);
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { count: counts[0] }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List counts submitted for a stocktake
+ * @route GET /api/stocktakes/:id/counts
+ */
+exports.getCounts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = (page - 1) * limit;
+
+    const stocktake = await db.Stocktake.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!stocktake) {
+      return next(new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND'));
+    }
+
+    const filter = { stocktake_id: stocktake.id };
+
+    if (req.query.user_id) {
+      filter.user_id = req.query.user_id;
+    }
+
+    if (req.query.product_id) {
+      filter['$item.product_id$'] = req.query.product_id;
+    }
+
+    const { count, rows: counts } = await db.StocktakeCount.findAndCountAll({
+      where: filter,
+      include: [
+        {
+          model: db.StocktakeItem,
+          as: 'item',
+          attributes: ['id', 'product_id'],
+          include: [
+            {
+              model: db.Product,
+              as: 'product',
+              attributes: ['id', 'name', 'sku', 'barcode']
+            }
+          ]
+        },
+        {
+          model: db.User,
+          as: 'user',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ],
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        counts,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a mistaken count. Staff can remove their own counts; managers any.
+ * @route DELETE /api/stocktakes/:id/counts/:countId
+ */
+exports.deleteCount = async (req, res, next) => {
+  try {
+    const countedQuantity = await db.sequelize.transaction(async (t) => {
+      const stocktake = await findCountingStocktake(req.params.id, req.shop.id, t);
+
+      const count = await db.StocktakeCount.findOne({
+        where: { id: req.params.countId, stocktake_id: stocktake.id },
+        transaction: t
+      });
+
+      if (!count) {
+        throw new AppError('Count not found', 404, 'COUNT_NOT_FOUND');
+      }
+
+      if (count.user_id !== req.user.id && !['admin', 'manager'].includes(req.user.role)) {
+        throw new AppError('You can only remove your own counts', 403, 'FORBIDDEN');
+      }
+
+      await count.destroy({ transaction: t });
+
+      return refreshCountedQuantity(count.stocktake_item_id, t);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { counted_quantity: countedQuantity },
+      message: 'Count removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close counting and send the stocktake for approval
+ * @route POST /api/stocktakes/:id/submit
+ */
+exports.submitStocktake = async (req, res, next) => {
+  try {
+    const stocktake = await db.Stocktake.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!stocktake) {
+      return next(new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND'));
+    }
+
+    if (!validTransitions[stocktake.status].includes('submitted')) {
+      return next(new AppError(
+        `Invalid status transition from ${stocktake.status} to submitted`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      ));
+    }
+
+    await stocktake.update({
+      status: 'submitted',
+      submitted_by: req.user.id,
+      submitted_at: new Date()
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { stocktake },
+      message: 'Stocktake submitted for approval'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a submitted stocktake back for recounting
+ * @route POST /api/stocktakes/:id/reopen
+ */
+exports.reopenStocktake = async (req, res, next) => {
+  try {
+    const stocktake = await db.Stocktake.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!stocktake) {
+      return next(new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND'));
+    }
+
+    if (!validTransitions[stocktake.status].includes('counting')) {
+      return next(new AppError(
+        `Invalid status transition from ${stocktake.status} to counting`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      ));
+    }
+
+    await stocktake.update({
+      status: 'counting',
+      submitted_by: null,
+      submitted_at: null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { stocktake },
+      message: 'Stocktake reopened for counting'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the variance report of a stocktake
+ * @route GET /api/stocktakes/:id/variance
+ */
+exports.getVarianceReport = async (req, res, next) => {
+  try {
+    const stocktake = await db.Stocktake.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!stocktake) {
+      return next(new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND'));
+    }
+
+    const report = await buildVarianceReport(stocktake, {
+      onlyDifferences: req.query.only_differences === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stocktake: {
+          id: stocktake.id,
+          stocktake_number: stocktake.stocktake_number,
+          status: stocktake.status,
+          frozen_at: stocktake.created_at
+        },
+        summary: report.summary,
+        items: report.lines
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a submitted stocktake and post every variance as an adjustment.
+ * Uncounted products are left alone unless zero_uncounted is set.
+ * @route POST /api/stocktakes/:id/approve
+ */
+exports.approveStocktake = async (req, res, next) => {
+  try {
+    const { zero_uncounted, notes } = req.body;
+
+    const result = await db.sequelize.transaction(async (t) => {
+      const stocktake = await db.Stocktake.findOne({
+        where: { id: req.params.id, shop_id: req.shop.id },
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      if (!stocktake) {
+        throw new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND');
+      }
+
+      if (!validTransitions[stocktake.status].includes('approved')) {
+        throw new AppError(
+          `Invalid status transition from ${stocktake.status} to approved`,
+          400,
+          'INVALID_STATUS_TRANSITION'
+        );
+      }
+
+      const items = await db.StocktakeItem.findAll({
+        where: { stocktake_id: stocktake.id },
+        transaction: t
+      });
+
+      let adjustedItems = 0;
+      const shortfalls = [];
+
+      for (const item of items) {
+        if (item.counted_quantity === null && zero_uncounted) {
+          await item.update({ counted_quantity: 0 }, { transaction: t });
+        }
+
+        const variance = item.getVariance();
+        if (!variance) {
+          continue;
+        }
+
+        // The count is what is on the shelf, even when orders reserved more
+        const inventory = await applyStockMovement({
+          product_id: item.product_id,
+          shop_id: stocktake.shop_id,
+          quantity: variance,
+          transaction_type: 'adjustment',
+          location_id: stocktake.location_id,
+          reference_id: stocktake.id,
+          note: `Stocktake ${stocktake.stocktake_number}: expected ${item.expected_quantity}, counted ${item.counted_quantity}`,
+          user_id: req.user.id
+        }, t, { allowNegative: true });
+
+        if (inventory.available_quantity < 0) {
+          shortfalls.push({
+            product_id: item.product_id,
+            stock_quantity: inventory.stock_quantity,
+            reserved_quantity: inventory.reserved_quantity,
+            shortfall: -inventory.available_quantity
+          });
+        }
+
+        adjustedItems += 1;
+      }
+
+      await stocktake.update({
+        status: 'approved',
+        approved_by: req.user.id,
+        approved_at: new Date(),
+        notes: notes ? [stocktake.notes, notes].filter(Boolean).join('\n') : stocktake.notes
+      }, { transaction: t });
+
+      return { stocktake, adjustedItems, shortfalls };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stocktake: result.stocktake,
+        adjusted_items: result.adjustedItems,
+        shortfalls: result.shortfalls
+      },
+      message: result.shortfalls.length > 0
+        ? 'Stocktake approved; some products are short of what orders reserved'
+        : 'Stocktake approved and variances posted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a stocktake without posting anything
+ * @route POST /api/stocktakes/:id/cancel
+ */
+exports.cancelStocktake = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const stocktake = await db.Stocktake.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id }
+    });
+
+    if (!stocktake) {
+      return next(new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND'));
+    }
+
+    if (!validTransitions[stocktake.status].includes('cancelled')) {
+      return next(new AppError(
+        `Invalid status transition from ${stocktake.status} to cancelled`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      ));
+    }
+
+    await stocktake.update({
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      notes: reason
+        ? [stocktake.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n')
+        : stocktake.notes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { stocktake },
+      message: 'Stocktake cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,394 @@
+const { Op } = require('sequelize');
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const storedValueService = require('../services/storedValue.service');
+
+/**
+ * Find a gift card or store credit account of the shop
+ * @param {string} id - Account ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopAccount = async (id, shopId) => {
+  const account = await db.StoredValueAccount.findOne({
+    where: { id, shop_id: shopId },
+    include: [
+      {
+        model: db.Customer,
+        as: 'customer',
+        attributes: ['id', 'first_name', 'last_name', 'phone']
+      }
+    ]
+  });
+
+  if (!account) {
+    throw new AppError('Stored value account not found', 404, 'STORED_VALUE_ACCOUNT_NOT_FOUND');
+  }
+
+  return account;
+};
+
+/**
+ * Find a customer
+ * @param {string} id - Customer ID
+ * @returns {Promise<Object>}
+ */
+const findCustomer = async (id) => {
+  const customer = await db.Customer.findByPk(id, {
+    attributes: ['id', 'first_name', 'last_name', 'phone']
+  });
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  return customer;
+};
+
+/**
+ * Page of ledger entries matching a filter, newest first
+ * @param {Object} where - Ledger filter
+ * @param {Object} query - Request query with page and limit
+ * @returns {Promise<Object>} - transactions and pagination
+ */
+const listTransactions = async (where, query) => {
+  const page = parseInt(query.page, 10) || 1;
+  const limit = parseInt(query.limit, 10) || 20;
+  const offset = (page - 1) * limit;
+
+  if (query.type) {
+    where.type = query.type;
+  }
+
+  const { count, rows: transactions } = await db.StoredValueTransaction.findAndCountAll({
+    where,
+    include: [
+      {
+        model: db.StoredValueAccount,
+        as: 'account',
+        attributes: ['id', 'type', 'code']
+      },
+      {
+        model: db.Sale,
+        as: 'sale',
+        attributes: ['id', 'invoice_number']
+      },
+      {
+        model: db.User,
+        as: 'user',
+        attributes: ['id', 'first_name', 'last_name']
+      }
+    ],
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+
+  return {
+    transactions,
+    pagination: {
+      total: count,
+      page,
+      limit,
+      pages: Math.ceil(count / limit)
+    }
+  };
+};
+
+/**
+ * Sell a gift card
+ * @route POST /api/stored-value/gift-cards
+ */
+exports.issueGiftCard = async (req, res, next) => {
+  try {
+    const { shop_id, ...data } = req.body;
+
+    if (data.customer_id) {
+      await findCustomer(data.customer_id);
+    }
+
+    const { account, transaction } = await storedValueService.issueGiftCard(req.shop.id, data, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        gift_card: account,
+        transaction
+      },
+      message: `Gift card ${account.code} issued with a balance of ${account.balance}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check the balance of a gift card by its number
+ * @route GET /api/stored-value/gift-cards/balance
+ */
+exports.getGiftCardBalance = async (req, res, next) => {
+  try {
+    if (!req.query.code) {
+      return next(new AppError('Gift card number is required', 400, 'CODE_REQUIRED'));
+    }
+
+    const giftCard = await storedValueService.findGiftCard(req.shop.id, req.query.code);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: giftCard.id,
+        code: giftCard.code,
+        balance: giftCard.balance,
+        expires_at: giftCard.expires_at,
+        is_active: giftCard.is_active
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the gift cards and store credit accounts of the shop
+ * @route GET /api/stored-value/accounts
+ */
+exports.getAllAccounts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    if (req.query.customer_id) {
+      filter.customer_id = req.query.customer_id;
+    }
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    if (req.query.code) {
+      filter.code = { [Op.like]: `%${storedValueService.normalizeCode(req.query.code)}%` };
+    }
+
+    const { count, rows: accounts } = await db.StoredValueAccount.findAndCountAll({
+      where: filter,
+      include: [
+        {
+          model: db.Customer,
+          as: 'customer',
+          attributes: ['id', 'first_name', 'last_name', 'phone']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accounts,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a gift card or store credit account
+ * @route GET /api/stored-value/accounts/:id
+ */
+exports.getAccountById = async (req, res, next) => {
+  try {
+    const account = await findShopAccount(req.params.id, req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { account }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate or reactivate an account, or change a gift card's expiry
+ * @route PATCH /api/stored-value/accounts/:id
+ */
+exports.updateAccount = async (req, res, next) => {
+  try {
+    const account = await findShopAccount(req.params.id, req.shop.id);
+    const { is_active, expires_at } = req.body;
+
+    const changes = {};
+    if (is_active !== undefined) {
+      changes.is_active = is_active;
+    }
+    if (expires_at !== undefined) {
+      if (account.type !== 'gift_card') {
+        return next(new AppError('Only gift cards expire', 400, 'INVALID_ACCOUNT_UPDATE'));
+      }
+      changes.expires_at = expires_at;
+    }
+
+    await account.update(changes);
+
+    res.status(200).json({
+      success: true,
+      data: { account },
+      message: 'Account updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the ledger of an account
+ * @route GET /api/stored-value/accounts/:id/transactions
+ */
+exports.getAccountTransactions = async (req, res, next) => {
+  try {
+    const account = await findShopAccount(req.params.id, req.shop.id);
+    const ledger = await listTransactions({ account_id: account.id }, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        account,
+        ...ledger
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add value to a gift card or store credit account
+ * @route POST /api/stored-value/accounts/:id/top-up
+ */
+exports.topUpAccount = async (req, res, next) => {
+  try {
+    const { shop_id, ...data } = req.body;
+
+    const { account, transaction } = await storedValueService.topUp(req.params.id, req.shop.id, data, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: { account, transaction },
+      message: `Balance is now ${account.balance}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Correct the balance of an account
+ * @route POST /api/stored-value/accounts/:id/adjustments
+ */
+exports.adjustAccountBalance = async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const { account, transaction } = await storedValueService.adjustBalance(req.params.id, req.shop.id, {
+      amount,
+      reason
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: { account, transaction },
+      message: `Balance is now ${account.balance}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a customer's store credit balance and the gift cards registered to them
+ * @route GET /api/stored-value/customers/:customerId
+ */
+exports.getCustomerBalance = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+
+    const accounts = await db.StoredValueAccount.findAll({
+      where: { shop_id: req.shop.id, customer_id: customer.id },
+      order: [['type', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    const storeCredit = accounts.find(account => account.type === 'store_credit');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        store_credit: storeCredit ? storeCredit.balance : 0,
+        store_credit_account_id: storeCredit ? storeCredit.id : null,
+        gift_cards: accounts.filter(account => account.type === 'gift_card')
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add store credit to a customer's wallet
+ * @route POST /api/stored-value/customers/:customerId/credit
+ */
+exports.addCustomerCredit = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    const { shop_id, ...data } = req.body;
+
+    const { account, transaction } = await storedValueService.addStoreCredit(req.shop.id, customer.id, data, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: { account, transaction },
+      message: `Store credit is now ${account.balance}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the ledger of every gift card and store credit account of a customer,
+ * for auditing their balances
+ * @route GET /api/stored-value/customers/:customerId/transactions
+ */
+exports.getCustomerTransactions = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    const ledger = await listTransactions({ shop_id: req.shop.id, customer_id: customer.id }, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        ...ledger
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,549 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Find a supplier belonging to the current shop
+ * @param {string} id - Supplier ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object|null>}
+ */
+const findShopSupplier = (id, shopId) => db.Supplier.findOne({
+  where: { id, shop_id: shopId }
+});
+
+/**
+ * Get all suppliers with pagination, search and status filter
+ * @route GET /api/suppliers
+ */
+exports.getAllSuppliers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const filter = { shop_id: req.shop.id };
+
+    if (req.query.search) {
+      filter[Op.or] = [
+        { name: { [Op.iLike]: `%${req.query.search}%` } },
+        { contact_name: { [Op.iLike]: `%${req.query.search}%` } },
+        { phone: { [Op.iLike]: `%${req.query.search}%` } },
+        { email: { [Op.iLike]: `%${req.query.search}%` } }
+      ];
+    }
+
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    const { count, rows: suppliers } = await db.Supplier.findAndCountAll({
+      where: filter,
+      limit,
+      offset,
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        suppliers,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get supplier by ID
+ * @route GET /api/suppliers/:id
+ */
+exports.getSupplierById = async (req, res, next) => {
+  try {
+    const supplier = await db.Supplier.findOne({
+      where: { id: req.params.id, shop_id: req.shop.id },
+      include: [
+        {
+          model: db.ProductSupplier,
+          as: 'product_links',
+          include: [
+            {
+              model: db.Product,
+              as: 'product',
+              attributes: ['id', 'name', 'sku', 'barcode', 'purchase_price']
+            }
+          ]
+        }
+      ]
+    });
+
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { supplier }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create new supplier
+ * @route POST /api/suppliers
+ */
+exports.createSupplier = async (req, res, next) => {
+  try {
+    const { name, contact_name, email, phone, address, notes, is_active } = req.body;
+
+    // Check if a supplier with the same name already exists in this shop
+    const existingSupplier = await db.Supplier.findOne({
+      where: { shop_id: req.shop.id, name }
+    });
+
+    if (existingSupplier) {
+      return next(new AppError('A supplier with this name already exists', 400, 'SUPPLIER_EXISTS'));
+    }
+
+    const supplier = await db.Supplier.create({
+      shop_id: req.shop.id,
+      name,
+      contact_name,
+      email: email || null,
+      phone,
+      address,
+      notes,
+      is_active: is_active !== undefined ? is_active : true
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { supplier }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update supplier
+ * @route PUT /api/suppliers/:id
+ */
+exports.updateSupplier = async (req, res, next) => {
+  try {
+    const { name, contact_name, email, phone, address, notes } = req.body;
+
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    // Check if name is changed and already used by another supplier
+    if (name && name !== supplier.name) {
+      const existingSupplier = await db.Supplier.findOne({
+        where: { shop_id: req.shop.id, name }
+      });
+
+      if (existingSupplier) {
+        return next(new AppError('A supplier with this name already exists', 400, 'SUPPLIER_EXISTS'));
+      }
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (contact_name !== undefined) updates.contact_name = contact_name;
+    if (email !== undefined) updates.email = email || null;
+    if (phone !== undefined) updates.phone = phone;
+    if (address !== undefined) updates.address = address;
+    if (notes !== undefined) updates.notes = notes;
+
+    await supplier.update(updates);
+
+    res.status(200).json({
+      success: true,
+      data: { supplier }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Activate supplier
+ * @route PATCH /api/suppliers/:id/activate
+ */
+exports.activateSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    await supplier.update({ is_active: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier activated successfully',
+      data: {
+        supplier: {
+          id: supplier.id,
+          is_active: supplier.is_active
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate supplier
+ * @route PATCH /api/suppliers/:id/deactivate
+ */
+exports.deactivateSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    await supplier.update({ is_active: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deactivated successfully',
+      data: {
+        supplier: {
+          id: supplier.id,
+          is_active: supplier.is_active
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete supplier
+ * @route DELETE /api/suppliers/:id
+ */
+exports.deleteSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    // Suppliers with open purchase orders must be kept
+    const openOrders = await db.PurchaseOrder.count({
+      where: {
+        supplier_id: supplier.id,
+        status: { [Op.in]: ['draft', 'sent', 'partially_received'] }
+      }
+    });
+
+    if (openOrders > 0) {
+      return next(new AppError(
+        'Cannot delete a supplier with open purchase orders; deactivate it instead',
+        400,
+        'SUPPLIER_HAS_OPEN_ORDERS'
+      ));
+    }
+
+    await supplier.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get products supplied by a supplier
+ * @route GET /api/suppliers/:id/products
+ */
+exports.getSupplierProducts = async (req, res, next) => {
+  try {
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    const products = await db.ProductSupplier.findAll({
+      where: { supplier_id: supplier.id },
+      include: [
+        {
+          model: db.Product,
+          as: 'product',
+          attributes: ['id', 'name', 'sku', 'barcode', 'purchase_price', 'selling_price', 'is_active']
+        }
+      ],
+      order: [[{ model: db.Product, as: 'product' }, 'name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier: {
+          id: supplier.id,
+          name: supplier.name
+        },
+        products
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link a product to a supplier
+ * @route POST /api/suppliers/:id/products
+ */
+exports.addSupplierProduct = async (req, res, next) => {
+  try {
+    const { product_id, supplier_sku, cost_price, lead_time_days, is_preferred } = req.body;
+
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    const product = await db.Product.findOne({
+      where: { id: product_id, shop_id: req.shop.id }
+    });
+
+    if (!product) {
+      return next(new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND'));
+    }
+
+    const existingLink = await db.ProductSupplier.findOne({
+      where: { product_id, supplier_id: supplier.id }
+    });
+
+    if (existingLink) {
+      return next(new AppError(
+        'Product is already linked to this supplier. Use update endpoint to modify it.',
+        400,
+        'PRODUCT_SUPPLIER_EXISTS'
+      ));
+    }
+
+    const link = await db.sequelize.transaction(async (t) => {
+      // Only one preferred supplier per product
+      if (is_preferred) {
+        await db.ProductSupplier.update(
+          { is_preferred: false },
+          { where: { product_id }, transaction: t }
+        );
+      }
+
+      return db.ProductSupplier.create({
+        product_id,
+        supplier_id: supplier.id,
+        supplier_sku,
+        cost_price,
+        lead_time_days,
+        is_preferred: Boolean(is_preferred)
+      }, { transaction: t });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { product_supplier: link }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a product-supplier link
+ * @route PUT /api/suppliers/:id/products/:productId
+ */
+exports.updateSupplierProduct = async (req, res, next) => {
+  try {
+    const { supplier_sku, cost_price, lead_time_days, is_preferred } = req.body;
+
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    const link = await db.ProductSupplier.findOne({
+      where: { product_id: req.params.productId, supplier_id: supplier.id }
+    });
+
+    if (!link) {
+      return next(new AppError('Product is not linked to this supplier', 404, 'PRODUCT_SUPPLIER_NOT_FOUND'));
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      if (is_preferred) {
+        await db.ProductSupplier.update(
+          { is_preferred: false },
+          {
+            where: {
+              product_id: link.product_id,
+              id: { [Op.ne]: link.id }
+            },
+            transaction: t
+          }
+        );
+      }
+
+      const updates = {};
+      if (supplier_sku !== undefined) updates.supplier_sku = supplier_sku;
+      if (cost_price !== undefined) updates.cost_price = cost_price;
+      if (lead_time_days !== undefined) updates.lead_time_days = lead_time_days;
+      if (is_preferred !== undefined) updates.is_preferred = is_preferred;
+
+      await link.update(updates, { transaction: t });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { product_supplier: link }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a product from a supplier
+ * @route DELETE /api/suppliers/:id/products/:productId
+ */
+exports.removeSupplierProduct = async (req, res, next) => {
+  try {
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    const deleted = await db.ProductSupplier.destroy({
+      where: { product_id: req.params.productId, supplier_id: supplier.id }
+    });
+
+    if (!deleted) {
+      return next(new AppError('Product is not linked to this supplier', 404, 'PRODUCT_SUPPLIER_NOT_FOUND'));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Product removed from supplier'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get purchase history for a supplier
+ * @route GET /api/suppliers/:id/purchase-history
+ */
+exports.getSupplierPurchaseHistory = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = (page - 1) * limit;
+
+    const supplier = await findShopSupplier(req.params.id, req.shop.id);
+    if (!supplier) {
+      return next(new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND'));
+    }
+
+    const filter = { supplier_id: supplier.id, shop_id: req.shop.id };
+
+    if (req.query.start_date || req.query.end_date) {
+      const dateFilter = {};
+
+      if (req.query.start_date) {
+        dateFilter[Op.gte] = new Date(req.query.start_date);
+      }
+
+      if (req.query.end_date) {
+        // Set the end date to the end of the day
+        const endDate = new Date(req.query.end_date);
+        endDate.setHours(23, 59, 59, 999);
+        dateFilter[Op.lte] = endDate;
+      }
+
+      filter.order_date = dateFilter;
+    }
+
+    const { count, rows: purchaseOrders } = await db.PurchaseOrder.findAndCountAll({
+      where: filter,
+      attributes: [
+        'id', 'order_number', 'status', 'order_date', 'expected_delivery_date',
+        'total_amount', 'received_at'
+      ],
+      limit,
+      offset,
+      order: [['order_date', 'DESC']]
+    });
+
+    // Summary across all non-cancelled orders in the period
+    const summary = await db.PurchaseOrder.findAll({
+      where: {
+        ...filter,
+        status: { [Op.ne]: 'cancelled' }
+      },
+      attributes: [
+        [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'total_orders'],
+        [db.sequelize.fn('SUM', db.sequelize.col('total_amount')), 'total_ordered_amount'],
+        [db.sequelize.fn('MAX', db.sequelize.col('order_date')), 'last_order_date']
+      ],
+      raw: true
+    });
+
+    const receivedSummary = await db.sequelize.query(
+      `SELECT COALESCE(SUM(r.total_cost), 0) AS total_received_amount
+       FROM purchase_order_receipts r
+       JOIN purchase_orders po ON r.purchase_order_id = po.id
+       WHERE po.supplier_id = :supplierId AND po.shop_id = :shopId AND po.deleted_at IS NULL`,
+      {
+        replacements: { supplierId: supplier.id, shopId: req.shop.id },
+        type: db.sequelize.QueryTypes.SELECT
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier: {
+          id: supplier.id,
+          name: supplier.name
+        },
+        summary: {
+          total_orders: parseInt(summary[0].total_orders) || 0,
+          total_ordered_amount: parseFloat(summary[0].total_ordered_amount) || 0,
+          total_received_amount: parseFloat(receivedSummary[0]?.total_received_amount) || 0,
+          last_order_date: summary[0].last_order_date
+        },
+        purchase_orders: purchaseOrders,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,140 @@
+const { AppError } = require('../middleware/errorHandler');
+const taxInvoiceService = require('../services/taxInvoice.service');
+
+const STATUSES = ['queued', 'sent', 'accepted', 'rejected', 'failed'];
+const SUBJECTS = ['original', 'return'];
+
+/**
+ * Get the shop's tax portal profile
+ * @route GET /api/tax-invoices/profile
+ */
+exports.getProfile = async (req, res, next) => {
+  try {
+    const profile = await taxInvoiceService.getProfile(req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { profile }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set up or change how the shop reports to the tax portal
+ * @route PUT /api/tax-invoices/profile
+ */
+exports.updateProfile = async (req, res, next) => {
+  try {
+    const { shop_id, ...data } = req.body;
+    const profile = await taxInvoiceService.saveProfile(req.shop.id, data);
+
+    res.status(200).json({
+      success: true,
+      data: { profile },
+      message: 'Tax portal profile saved successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the shop's tax invoices and where each is in the submission queue
+ * @route GET /api/tax-invoices
+ */
+exports.getAllInvoices = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    if (req.query.status && !STATUSES.includes(req.query.status)) {
+      return next(new AppError(`Status must be one of: ${STATUSES.join(', ')}`, 400, 'INVALID_STATUS'));
+    }
+    if (req.query.subject && !SUBJECTS.includes(req.query.subject)) {
+      return next(new AppError('Subject must be original or return', 400, 'INVALID_SUBJECT'));
+    }
+
+    const { count, rows: invoices } = await taxInvoiceService.listInvoices(req.shop.id, {
+      status: req.query.status,
+      subject: req.query.subject,
+      sale_id: req.query.sale_id,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a tax invoice with what was sent to the portal and its answer
+ * @route GET /api/tax-invoices/:id
+ */
+exports.getInvoiceById = async (req, res, next) => {
+  try {
+    const invoice = await taxInvoiceService.getInvoice(req.params.id, req.shop.id);
+
+    res.status(200).json({
+      success: true,
+      data: { invoice }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report a sale to the tax portal by hand, e.g. one from before the shop
+ * started reporting automatically
+ * @route POST /api/tax-invoices/sales/:saleId
+ */
+exports.reportSale = async (req, res, next) => {
+  try {
+    const invoice = await taxInvoiceService.issue(req.shop.id, {
+      saleId: req.params.saleId,
+      userId: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      data: { invoice },
+      message: `Tax invoice queued; check progress at /api/jobs/${invoice.job_id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a rejected or failed tax invoice again, or ask the portal again
+ * about one it has not answered for
+ * @route POST /api/tax-invoices/:id/retry
+ */
+exports.retryInvoice = async (req, res, next) => {
+  try {
+    const { invoice, job } = await taxInvoiceService.retry(req.params.id, req.shop.id, req.user.id);
+
+    res.status(202).json({
+      success: true,
+      data: { invoice },
+      message: `Tax invoice queued; check progress at /api/jobs/${job.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
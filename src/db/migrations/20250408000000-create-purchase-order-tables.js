@@ -0,0 +1,340 @@
+/**
+ * Migration to create purchase order tables for the supplier receiving workflow
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // The suppliers table was modelled but never created by a migration
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('suppliers')) {
+      await queryInterface.createTable('suppliers', {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          allowNull: false,
+          primaryKey: true
+        },
+        name: {
+          type: DataTypes.STRING(255),
+          allowNull: false
+        },
+        contact_name: {
+          type: DataTypes.STRING(100)
+        },
+        email: {
+          type: DataTypes.STRING(255)
+        },
+        phone: {
+          type: DataTypes.STRING(20)
+        },
+        address: {
+          type: DataTypes.TEXT
+        },
+        is_active: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: true
+        },
+        notes: {
+          type: DataTypes.TEXT
+        },
+        created_at: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: DataTypes.DATE,
+          allowNull: true
+        }
+      });
+    }
+
+    // Create purchase_orders table
+    await queryInterface.createTable('purchase_orders', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      supplier_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'suppliers',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      order_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      status: {
+        type: DataTypes.ENUM('draft', 'sent', 'partially_received', 'received', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      order_date: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      expected_delivery_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+      },
+      total_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      received_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    });
+
+    // Create purchase_order_items table
+    await queryInterface.createTable('purchase_order_items', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      purchase_order_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'purchase_orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      product_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      unit_cost: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      received_quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      total_cost: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create purchase_order_receipts table (one row per goods receipt)
+    await queryInterface.createTable('purchase_order_receipts', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      purchase_order_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'purchase_orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      received_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      total_cost: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create purchase_order_receipt_items table
+    await queryInterface.createTable('purchase_order_receipt_items', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      receipt_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'purchase_order_receipts',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      purchase_order_item_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'purchase_order_items',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      product_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      unit_cost: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('purchase_orders', ['shop_id', 'status'], {
+      name: 'idx_purchase_orders_shop_id_status'
+    });
+
+    await queryInterface.addIndex('purchase_orders', ['supplier_id'], {
+      name: 'idx_purchase_orders_supplier_id'
+    });
+
+    await queryInterface.addIndex('purchase_order_items', ['purchase_order_id'], {
+      name: 'idx_purchase_order_items_purchase_order_id'
+    });
+
+    await queryInterface.addIndex('purchase_order_receipts', ['purchase_order_id'], {
+      name: 'idx_purchase_order_receipts_purchase_order_id'
+    });
+
+    await queryInterface.addIndex('purchase_order_receipt_items', ['receipt_id'], {
+      name: 'idx_purchase_order_receipt_items_receipt_id'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('purchase_order_receipt_items');
+    await queryInterface.dropTable('purchase_order_receipts');
+    await queryInterface.dropTable('purchase_order_items');
+    await queryInterface.dropTable('purchase_orders');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_purchase_orders_status');
+  }
+};
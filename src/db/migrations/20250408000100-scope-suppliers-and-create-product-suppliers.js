@@ -0,0 +1,101 @@
+/**
+ * Migration to scope suppliers to a shop and link products to their suppliers
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Add shop_id to suppliers table
+    const tableInfo = await queryInterface.describeTable('suppliers');
+    if (!tableInfo.shop_id) {
+      await queryInterface.addColumn('suppliers', 'shop_id', {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    await queryInterface.addIndex('suppliers', ['shop_id', 'name'], {
+      name: 'suppliers_shop_id_name_idx'
+    });
+
+    // Create product_suppliers link table
+    await queryInterface.createTable('product_suppliers', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      product_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      supplier_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'suppliers',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      supplier_sku: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      cost_price: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+      },
+      lead_time_days: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      is_preferred: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // A product is linked to a supplier at most once
+    await queryInterface.addConstraint('product_suppliers', {
+      fields: ['product_id', 'supplier_id'],
+      type: 'unique',
+      name: 'product_suppliers_product_id_supplier_id_unique'
+    });
+
+    await queryInterface.addIndex('product_suppliers', ['supplier_id'], {
+      name: 'idx_product_suppliers_supplier_id'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('product_suppliers');
+    await queryInterface.removeIndex('suppliers', 'suppliers_shop_id_name_idx');
+    await queryInterface.removeColumn('suppliers', 'shop_id');
+  }
+};
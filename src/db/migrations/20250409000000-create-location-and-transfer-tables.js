@@ -0,0 +1,338 @@
+/**
+ * Migration to create stock locations, per-location stock and stock transfer tables
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create locations table
+    await queryInterface.createTable('locations', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      code: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      type: {
+        type: DataTypes.ENUM('warehouse', 'branch'),
+        allowNull: false,
+        defaultValue: 'branch'
+      },
+      address: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      phone: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      is_default: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    });
+
+    // Create location_inventory table holding stock per location
+    await queryInterface.createTable('location_inventory', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      location_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'locations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      product_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      bin: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create stock_transfers table
+    await queryInterface.createTable('stock_transfers', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      transfer_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      from_location_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'locations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      to_location_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'locations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      status: {
+        type: DataTypes.ENUM('draft', 'in_transit', 'received', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      dispatched_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      received_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      dispatched_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      received_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    });
+
+    // Create stock_transfer_items table
+    await queryInterface.createTable('stock_transfer_items', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      transfer_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'stock_transfers',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      product_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      received_quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Record which location each inventory movement touched
+    const transactionTable = await queryInterface.describeTable('inventory_transactions');
+    if (!transactionTable.location_id) {
+      await queryInterface.addColumn('inventory_transactions', 'location_id', {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'locations',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    // Add indexes
+    await queryInterface.addIndex('locations', ['shop_id'], {
+      name: 'idx_locations_shop_id'
+    });
+
+    await queryInterface.addIndex('location_inventory', ['location_id', 'product_id'], {
+      name: 'location_inventory_location_id_product_id_idx',
+      unique: true
+    });
+
+    await queryInterface.addIndex('location_inventory', ['shop_id', 'product_id'], {
+      name: 'idx_location_inventory_shop_id_product_id'
+    });
+
+    await queryInterface.addIndex('stock_transfers', ['shop_id', 'status'], {
+      name: 'idx_stock_transfers_shop_id_status'
+    });
+
+    await queryInterface.addIndex('stock_transfer_items', ['transfer_id'], {
+      name: 'idx_stock_transfer_items_transfer_id'
+    });
+
+    await queryInterface.addIndex('inventory_transactions', ['location_id'], {
+      name: 'idx_inventory_transactions_location_id'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('inventory_transactions', 'idx_inventory_transactions_location_id');
+    await queryInterface.removeColumn('inventory_transactions', 'location_id');
+    await queryInterface.dropTable('stock_transfer_items');
+    await queryInterface.dropTable('stock_transfers');
+    await queryInterface.dropTable('location_inventory');
+    await queryInterface.dropTable('locations');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_stock_transfers_status');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_locations_type');
+  }
+};
@@ -0,0 +1,251 @@
+/**
+ * Migration to create stocktake (physical inventory count) tables
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create stocktakes table
+    await queryInterface.createTable('stocktakes', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      stocktake_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      category_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      location_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'locations',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      status: {
+        type: DataTypes.ENUM('counting', 'submitted', 'approved', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'counting'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      submitted_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      approved_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      submitted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      approved_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    });
+
+    // Create stocktake_items table with the frozen expected quantities
+    await queryInterface.createTable('stocktake_items', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      stocktake_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'stocktakes',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      product_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      expected_quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      counted_quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      unit_cost: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create stocktake_counts table, one row per count submitted by a staff member
+    await queryInterface.createTable('stocktake_counts', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      stocktake_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'stocktakes',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      stocktake_item_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'stocktake_items',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      method: {
+        type: DataTypes.ENUM('manual', 'scan'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('stocktakes', ['shop_id', 'status'], {
+      name: 'idx_stocktakes_shop_id_status'
+    });
+
+    await queryInterface.addIndex('stocktake_items', ['stocktake_id', 'product_id'], {
+      name: 'stocktake_items_stocktake_id_product_id_idx',
+      unique: true
+    });
+
+    await queryInterface.addIndex('stocktake_counts', ['stocktake_item_id'], {
+      name: 'idx_stocktake_counts_stocktake_item_id'
+    });
+
+    await queryInterface.addIndex('stocktake_counts', ['stocktake_id', 'user_id'], {
+      name: 'idx_stocktake_counts_stocktake_id_user_id'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('stocktake_counts');
+    await queryInterface.dropTable('stocktake_items');
+    await queryInterface.dropTable('stocktakes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_stocktake_counts_method');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_stocktakes_status');
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Migration to create the background jobs table
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create jobs table
+    await queryInterface.createTable('jobs', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      queue: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('waiting', 'active', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'waiting'
+      },
+      progress: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      data: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      attempts_made: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      started_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      finished_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('jobs', ['queue', 'status'], {
+      name: 'idx_jobs_queue_status'
+    });
+
+    await queryInterface.addIndex('jobs', ['shop_id', 'created_at'], {
+      name: 'idx_jobs_shop_id_created_at'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('jobs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_jobs_status');
+  }
+};
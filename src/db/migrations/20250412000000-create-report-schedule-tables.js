@@ -0,0 +1,230 @@
+/**
+ * Migration to create scheduled report delivery tables
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create report_schedules table
+    await queryInterface.createTable('report_schedules', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      report_type: {
+        type: DataTypes.ENUM('dashboard', 'sales', 'inventory', 'customers', 'products'),
+        allowNull: false
+      },
+      filters: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      frequency: {
+        type: DataTypes.ENUM('daily', 'weekly', 'monthly'),
+        allowNull: false
+      },
+      time_of_day: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        defaultValue: '08:00'
+      },
+      day_of_week: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      day_of_month: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      format: {
+        type: DataTypes.ENUM('csv', 'pdf'),
+        allowNull: false,
+        defaultValue: 'pdf'
+      },
+      transport: {
+        type: DataTypes.ENUM('email', 'file'),
+        allowNull: false,
+        defaultValue: 'email'
+      },
+      recipients: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      next_run_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      last_run_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      last_status: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    });
+
+    // Create report_schedule_runs table
+    await queryInterface.createTable('report_schedule_runs', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      schedule_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'report_schedules',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      job_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'jobs',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      trigger: {
+        type: DataTypes.ENUM('scheduled', 'manual'),
+        allowNull: false,
+        defaultValue: 'scheduled'
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'running', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      period_start: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+      },
+      period_end: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+      },
+      file_name: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      delivered_to: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      started_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      finished_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('report_schedules', ['is_active', 'next_run_at'], {
+      name: 'idx_report_schedules_is_active_next_run_at'
+    });
+
+    await queryInterface.addIndex('report_schedules', ['shop_id'], {
+      name: 'idx_report_schedules_shop_id'
+    });
+
+    await queryInterface.addIndex('report_schedule_runs', ['schedule_id', 'created_at'], {
+      name: 'idx_report_schedule_runs_schedule_id_created_at'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('report_schedule_runs');
+    await queryInterface.dropTable('report_schedules');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_report_schedule_runs_status');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_report_schedule_runs_trigger');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_report_schedules_transport');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_report_schedules_format');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_report_schedules_frequency');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_report_schedules_report_type');
+  }
+};
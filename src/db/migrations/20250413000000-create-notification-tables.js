@@ -0,0 +1,151 @@
+/**
+ * Migration to create the notification delivery log and customer language preference
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create notification_logs table
+    await queryInterface.createTable('notification_logs', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      template: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      channel: {
+        type: DataTypes.ENUM('email', 'sms'),
+        allowNull: false
+      },
+      locale: {
+        type: DataTypes.STRING(5),
+        allowNull: false
+      },
+      recipient: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      subject: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      provider: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('queued', 'sent', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      provider_reference: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      customer_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'customers',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      reference_type: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      reference_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      job_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'jobs',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('notification_logs', ['shop_id', 'created_at'], {
+      name: 'idx_notification_logs_shop_id_created_at'
+    });
+
+    await queryInterface.addIndex('notification_logs', ['reference_type', 'reference_id'], {
+      name: 'idx_notification_logs_reference'
+    });
+
+    await queryInterface.addIndex('notification_logs', ['status'], {
+      name: 'idx_notification_logs_status'
+    });
+
+    // Language customers want their messages in
+    await queryInterface.addColumn('customers', 'locale', {
+      type: DataTypes.STRING(5),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('customers', 'locale');
+    await queryInterface.dropTable('notification_logs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_notification_logs_status');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_notification_logs_channel');
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Migration to create one-time login codes and let sessions belong to customers
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create otp_codes table
+    await queryInterface.createTable('otp_codes', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      phone: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      audience: {
+        type: DataTypes.ENUM('staff', 'customer'),
+        allowNull: false
+      },
+      code_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      consumed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      locked_until: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      ip_address: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('otp_codes', ['phone', 'audience', 'created_at'], {
+      name: 'idx_otp_codes_phone_audience_created_at'
+    });
+
+    // Sessions of customers who signed in with a code
+    await queryInterface.changeColumn('user_sessions', 'user_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    });
+
+    await queryInterface.addColumn('user_sessions', 'customer_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    await queryInterface.addIndex('user_sessions', ['customer_id'], {
+      name: 'idx_user_sessions_customer_id'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.removeIndex('user_sessions', 'idx_user_sessions_customer_id');
+    await queryInterface.removeColumn('user_sessions', 'customer_id');
+    await queryInterface.bulkDelete('user_sessions', { user_id: null });
+    await queryInterface.changeColumn('user_sessions', 'user_id', {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    });
+
+    await queryInterface.dropTable('otp_codes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_otp_codes_audience');
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Migration to create per-shop role permission customisations
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create shop_role_permissions table
+    await queryInterface.createTable('shop_role_permissions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      role: {
+        type: DataTypes.ENUM('admin', 'manager', 'cashier', 'inventory', 'marketing'),
+        allowNull: false
+      },
+      permissions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('shop_role_permissions', ['shop_id', 'role'], {
+      name: 'idx_shop_role_permissions_shop_role',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('shop_role_permissions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_shop_role_permissions_role');
+  }
+};
@@ -0,0 +1,194 @@
+/**
+ * Migration to create item-level sale returns
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create sale_returns table (one row per return against a sale)
+    await queryInterface.createTable('sale_returns', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      return_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      sale_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'sales',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      refund_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'refunds',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      refund_method: {
+        type: DataTypes.ENUM('cash', 'card', 'mobile', 'credit', 'mixed'),
+        allowNull: false
+      },
+      subtotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      discount_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      tax_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      total_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      loyalty_points_reversed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create sale_return_items table
+    await queryInterface.createTable('sale_return_items', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      return_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'sale_returns',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      sale_item_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'sale_items',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      product_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      disposition: {
+        type: DataTypes.ENUM('restock', 'write_off'),
+        allowNull: false,
+        defaultValue: 'restock'
+      },
+      location_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'locations',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      unit_price: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      discount_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      tax_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      refund_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('sale_returns', ['sale_id'], {
+      name: 'idx_sale_returns_sale_id'
+    });
+
+    await queryInterface.addIndex('sale_return_items', ['return_id'], {
+      name: 'idx_sale_return_items_return_id'
+    });
+
+    await queryInterface.addIndex('sale_return_items', ['sale_item_id'], {
+      name: 'idx_sale_return_items_sale_item_id'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('sale_return_items');
+    await queryInterface.dropTable('sale_returns');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_sale_return_items_disposition');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_sale_returns_refund_method');
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration to record cash tendered and change given on payments, and to let
+ * sales be rung up before any payment is taken
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    const tableInfo = await queryInterface.describeTable('payments');
+
+    if (!tableInfo.amount_tendered) {
+      await queryInterface.addColumn('payments', 'amount_tendered', {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      });
+    }
+
+    if (!tableInfo.change_amount) {
+      await queryInterface.addColumn('payments', 'change_amount', {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    // Unpaid sales have no payment method until the first payment
+    await queryInterface.sequelize.query('ALTER TABLE sales ALTER COLUMN payment_method DROP NOT NULL');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.sequelize.query("UPDATE sales SET payment_method = 'mixed' WHERE payment_method IS NULL");
+    await queryInterface.sequelize.query('ALTER TABLE sales ALTER COLUMN payment_method SET NOT NULL');
+    await queryInterface.removeColumn('payments', 'change_amount');
+    await queryInterface.removeColumn('payments', 'amount_tendered');
+  }
+};
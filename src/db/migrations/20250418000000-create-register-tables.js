@@ -0,0 +1,265 @@
+/**
+ * Migration to create cash registers, register shifts and drawer cash
+ * movements, and to link sales, payments and refunds to the shift they were
+ * taken in
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create registers table
+    await queryInterface.createTable('registers', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      location_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'locations',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      code: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    });
+
+    // Create register_shifts table (one row per till session)
+    await queryInterface.createTable('register_shifts', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      register_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'registers',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      shift_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('open', 'closed'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      opened_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      opened_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      opening_float: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      closed_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      closed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      expected_amounts: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      counted_amounts: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      cash_difference: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+      },
+      z_report: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create register_cash_movements table (cash put in or taken out of the drawer)
+    await queryInterface.createTable('register_cash_movements', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shift_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'register_shifts',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      type: {
+        type: DataTypes.ENUM('cash_in', 'cash_out'),
+        allowNull: false
+      },
+      amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    for (const table of ['sales', 'payments', 'refunds']) {
+      await queryInterface.addColumn(table, 'shift_id', {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'register_shifts',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      await queryInterface.addIndex(table, ['shift_id'], {
+        name: `idx_${table}_shift_id`
+      });
+    }
+
+    await queryInterface.addIndex('registers', ['shop_id', 'name'], {
+      name: 'idx_registers_shop_name',
+      unique: true
+    });
+
+    await queryInterface.addIndex('register_shifts', ['register_id', 'shift_number'], {
+      name: 'idx_register_shifts_register_number',
+      unique: true
+    });
+
+    // A register can only have one open shift at a time
+    await queryInterface.addIndex('register_shifts', ['register_id'], {
+      name: 'idx_register_shifts_one_open',
+      unique: true,
+      where: { status: 'open' }
+    });
+
+    await queryInterface.addIndex('register_shifts', ['shop_id', 'opened_at'], {
+      name: 'idx_register_shifts_shop_opened_at'
+    });
+
+    await queryInterface.addIndex('register_cash_movements', ['shift_id'], {
+      name: 'idx_register_cash_movements_shift_id'
+    });
+  },
+
+  down: async (queryInterface) => {
+    for (const table of ['refunds', 'payments', 'sales']) {
+      await queryInterface.removeColumn(table, 'shift_id');
+    }
+
+    await queryInterface.dropTable('register_cash_movements');
+    await queryInterface.dropTable('register_shifts');
+    await queryInterface.dropTable('registers');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_register_cash_movements_type');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_register_shifts_status');
+  }
+};
@@ -0,0 +1,202 @@
+/**
+ * Migration to create per-shop document number sequences and the log of
+ * voided numbers, and to make document numbers unique per shop instead of
+ * across all shops
+ */
+
+// Tables holding a document number, with the column it is kept in
+const NUMBERED_TABLES = {
+  sales: 'invoice_number',
+  orders: 'order_number',
+  purchase_orders: 'order_number',
+  stock_transfers: 'transfer_number',
+  stocktakes: 'stocktake_number',
+  sale_returns: 'return_number'
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create number_sequences table (one counter per shop and document type)
+    await queryInterface.createTable('number_sequences', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      document_type: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+      },
+      prefix: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: ''
+      },
+      format: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      calendar: {
+        type: DataTypes.ENUM('jalali', 'gregorian'),
+        allowNull: false,
+        defaultValue: 'jalali'
+      },
+      reset_period: {
+        type: DataTypes.ENUM('never', 'yearly', 'monthly', 'daily'),
+        allowNull: false,
+        defaultValue: 'yearly'
+      },
+      current_period: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      last_value: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create number_sequence_voids table (numbers whose document was removed)
+    await queryInterface.createTable('number_sequence_voids', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      document_type: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+      },
+      number: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      document_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('number_sequences', ['shop_id', 'document_type'], {
+      name: 'idx_number_sequences_shop_type',
+      unique: true
+    });
+
+    await queryInterface.addIndex('number_sequence_voids', ['shop_id', 'document_type', 'number'], {
+      name: 'idx_number_sequence_voids_shop_type_number',
+      unique: true
+    });
+
+    // Sales and returns did not record their shop; take it from the products sold
+    for (const table of ['sales', 'sale_returns']) {
+      await queryInterface.addColumn(table, 'shop_id', {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    await queryInterface.sequelize.query(`
+      UPDATE sales s
+      SET shop_id = (
+        SELECT p.shop_id
+        FROM sale_items si
+        JOIN products p ON p.id = si.product_id
+        WHERE si.sale_id = s.id
+        LIMIT 1
+      )
+      WHERE s.shop_id IS NULL
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE sale_returns r
+      SET shop_id = s.shop_id
+      FROM sales s
+      WHERE s.id = r.sale_id AND r.shop_id IS NULL
+    `);
+
+    // Numbers are unique within a shop; each shop counts from 1
+    for (const [table, column] of Object.entries(NUMBERED_TABLES)) {
+      await queryInterface.sequelize.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_${column}_key`);
+      await queryInterface.addIndex(table, ['shop_id', column], {
+        name: `idx_${table}_shop_${column}`,
+        unique: true
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const [table, column] of Object.entries(NUMBERED_TABLES)) {
+      await queryInterface.removeIndex(table, `idx_${table}_shop_${column}`);
+      await queryInterface.addConstraint(table, {
+        fields: [column],
+        type: 'unique',
+        name: `${table}_${column}_key`
+      });
+    }
+
+    await queryInterface.removeColumn('sale_returns', 'shop_id');
+    await queryInterface.removeColumn('sales', 'shop_id');
+
+    await queryInterface.dropTable('number_sequence_voids');
+    await queryInterface.dropTable('number_sequences');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_number_sequences_calendar');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_number_sequences_reset_period');
+  }
+};
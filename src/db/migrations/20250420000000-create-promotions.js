@@ -0,0 +1,181 @@
+/**
+ * Migration to create shop promotions and record on sales and sale lines
+ * which promotion produced their discount
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create promotions table
+    await queryInterface.createTable('promotions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      type: {
+        type: DataTypes.ENUM('product_discount', 'buy_x_get_y', 'bundle_price', 'basket_discount'),
+        allowNull: false
+      },
+      discount_type: {
+        type: DataTypes.ENUM('percentage', 'fixed'),
+        allowNull: true
+      },
+      value: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      buy_quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      get_quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      product_ids: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      category_ids: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      min_basket_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+      },
+      starts_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      ends_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      days_of_week: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      start_time: {
+        type: DataTypes.STRING(5),
+        allowNull: true
+      },
+      end_time: {
+        type: DataTypes.STRING(5),
+        allowNull: true
+      },
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      stackable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    });
+
+    await queryInterface.addIndex('promotions', ['shop_id', 'is_active'], {
+      name: 'idx_promotions_shop_active'
+    });
+
+    // Sale lines record the promotion behind their discount
+    await queryInterface.addColumn('sale_items', 'promotion_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('sale_items', 'promotion_discount', {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // Sales record the basket promotion behind their sale-level discount
+    await queryInterface.addColumn('sales', 'promotion_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('sales', 'promotion_discount', {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('sales', 'promotion_discount');
+    await queryInterface.removeColumn('sales', 'promotion_id');
+    await queryInterface.removeColumn('sale_items', 'promotion_discount');
+    await queryInterface.removeColumn('sale_items', 'promotion_id');
+
+    await queryInterface.dropTable('promotions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_promotions_type');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_promotions_discount_type');
+  }
+};
@@ -0,0 +1,294 @@
+/**
+ * Migration to create coupon campaigns, their codes and redemptions, and to
+ * record the coupon applied to sales and orders
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create coupon_campaigns table
+    await queryInterface.createTable('coupon_campaigns', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      discount_type: {
+        type: DataTypes.ENUM('percentage', 'fixed'),
+        allowNull: false
+      },
+      value: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      max_discount_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+      },
+      min_purchase_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+      },
+      starts_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      uses_per_code: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      uses_per_customer: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create coupons table
+    await queryInterface.createTable('coupons', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      campaign_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'coupon_campaigns',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      code: {
+        type: DataTypes.STRING(40),
+        allowNull: false
+      },
+      max_uses: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      times_used: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create coupon_redemptions table
+    await queryInterface.createTable('coupon_redemptions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      coupon_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'coupons',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      campaign_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'coupon_campaigns',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      customer_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'customers',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      sale_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'sales',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      order_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      discount_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      revenue: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('coupon_campaigns', ['shop_id'], {
+      name: 'idx_coupon_campaigns_shop_id'
+    });
+
+    await queryInterface.addIndex('coupons', ['shop_id', 'code'], {
+      name: 'idx_coupons_shop_code',
+      unique: true
+    });
+
+    await queryInterface.addIndex('coupons', ['campaign_id'], {
+      name: 'idx_coupons_campaign_id'
+    });
+
+    await queryInterface.addIndex('coupon_redemptions', ['campaign_id', 'customer_id'], {
+      name: 'idx_coupon_redemptions_campaign_customer'
+    });
+
+    await queryInterface.addIndex('coupon_redemptions', ['coupon_id'], {
+      name: 'idx_coupon_redemptions_coupon_id'
+    });
+
+    // Sales and orders record the coupon applied and its discount
+    for (const table of ['sales', 'orders']) {
+      await queryInterface.addColumn(table, 'coupon_id', {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'coupons',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      await queryInterface.addColumn(table, 'coupon_discount', {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const table of ['orders', 'sales']) {
+      await queryInterface.removeColumn(table, 'coupon_discount');
+      await queryInterface.removeColumn(table, 'coupon_id');
+    }
+
+    await queryInterface.dropTable('coupon_redemptions');
+    await queryInterface.dropTable('coupons');
+    await queryInterface.dropTable('coupon_campaigns');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_coupon_campaigns_discount_type');
+  }
+};
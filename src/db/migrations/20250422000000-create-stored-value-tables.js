@@ -0,0 +1,236 @@
+/**
+ * Migration to create gift card and store credit accounts with their ledger,
+ * and to link credit payments and refunds to the account they drew on or
+ * paid into
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create stored_value_accounts table
+    await queryInterface.createTable('stored_value_accounts', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      type: {
+        type: DataTypes.ENUM('gift_card', 'store_credit'),
+        allowNull: false
+      },
+      code: {
+        type: DataTypes.STRING(40),
+        allowNull: true
+      },
+      customer_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'customers',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      balance: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      issued_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create stored_value_transactions table
+    await queryInterface.createTable('stored_value_transactions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      account_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'stored_value_accounts',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      customer_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'customers',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      type: {
+        type: DataTypes.ENUM('issue', 'top_up', 'redeem', 'refund', 'adjustment'),
+        allowNull: false
+      },
+      amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      balance_after: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      payment_method: {
+        type: DataTypes.ENUM('cash', 'card', 'mobile'),
+        allowNull: true
+      },
+      reference_number: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      sale_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'sales',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      payment_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      refund_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'refunds',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('stored_value_accounts', ['shop_id', 'code'], {
+      name: 'idx_stored_value_accounts_shop_code',
+      unique: true,
+      where: { code: { [Sequelize.Op.ne]: null } }
+    });
+
+    // Each customer has one store credit wallet per shop
+    await queryInterface.addIndex('stored_value_accounts', ['shop_id', 'customer_id'], {
+      name: 'idx_stored_value_accounts_shop_customer_credit',
+      unique: true,
+      where: { type: 'store_credit' }
+    });
+
+    await queryInterface.addIndex('stored_value_transactions', ['account_id', 'created_at'], {
+      name: 'idx_stored_value_transactions_account'
+    });
+
+    await queryInterface.addIndex('stored_value_transactions', ['customer_id', 'created_at'], {
+      name: 'idx_stored_value_transactions_customer'
+    });
+
+    // Credit payments and refunds record the account they used
+    for (const table of ['payments', 'refunds']) {
+      await queryInterface.addColumn(table, 'stored_value_account_id', {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'stored_value_accounts',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const table of ['refunds', 'payments']) {
+      await queryInterface.removeColumn(table, 'stored_value_account_id');
+    }
+
+    await queryInterface.dropTable('stored_value_transactions');
+    await queryInterface.dropTable('stored_value_accounts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_stored_value_transactions_type');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_stored_value_transactions_payment_method');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_stored_value_accounts_type');
+  }
+};
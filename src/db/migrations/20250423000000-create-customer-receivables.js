@@ -0,0 +1,113 @@
+/**
+ * Migration to let customers run a tab: a credit limit on customers, a flag
+ * on sales charged to the customer's account, and repayments whose payments
+ * are spread over the open invoices
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // No limit means the customer cannot buy on account
+    await queryInterface.addColumn('customers', 'credit_limit', {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('sales', 'on_account', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    // Create customer_repayments table
+    await queryInterface.createTable('customer_repayments', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      customer_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'customers',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      payment_method: {
+        type: DataTypes.ENUM('cash', 'card', 'mobile', 'credit'),
+        allowNull: false
+      },
+      reference_number: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('customer_repayments', ['shop_id', 'customer_id', 'created_at'], {
+      name: 'idx_customer_repayments_shop_customer'
+    });
+
+    await queryInterface.addIndex('sales', ['shop_id', 'customer_id'], {
+      name: 'idx_sales_on_account_customer',
+      where: { on_account: true }
+    });
+
+    // Payments made by a repayment point back to it
+    await queryInterface.addColumn('payments', 'repayment_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'customer_repayments',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('payments', 'repayment_id');
+    await queryInterface.removeIndex('sales', 'idx_sales_on_account_customer');
+    await queryInterface.dropTable('customer_repayments');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_customer_repayments_payment_method');
+    await queryInterface.removeColumn('sales', 'on_account');
+    await queryInterface.removeColumn('customers', 'credit_limit');
+  }
+};
@@ -0,0 +1,207 @@
+/**
+ * Migration to add a logo to shops, the per-shop receipt template and the log
+ * of receipts printed, reprinted and emailed
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Path of an uploaded image, e.g. /uploads/products/<file>.png
+    await queryInterface.addColumn('shops', 'logo_url', {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    });
+
+    // Create receipt_templates table
+    await queryInterface.createTable('receipt_templates', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      locale: {
+        type: DataTypes.ENUM('fa', 'en'),
+        allowNull: false,
+        defaultValue: 'fa'
+      },
+      calendar: {
+        type: DataTypes.ENUM('jalali', 'gregorian'),
+        allowNull: false,
+        defaultValue: 'jalali'
+      },
+      paper_width: {
+        type: DataTypes.ENUM('80mm', '58mm'),
+        allowNull: false,
+        defaultValue: '80mm'
+      },
+      show_logo: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      header_text: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      footer_text: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      tax_lines: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      show_tax_breakdown: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      tax_label: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create receipt_prints table
+    await queryInterface.createTable('receipt_prints', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      sale_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'sales',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      order_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      kind: {
+        type: DataTypes.ENUM('print', 'reprint', 'email'),
+        allowNull: false
+      },
+      format: {
+        type: DataTypes.ENUM('pdf', 'html', 'escpos'),
+        allowNull: false
+      },
+      paper_width: {
+        type: DataTypes.ENUM('80mm', '58mm'),
+        allowNull: true
+      },
+      reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      recipient: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('done', 'queued', 'sent', 'failed'),
+        allowNull: false,
+        defaultValue: 'done'
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      job_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'jobs',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('receipt_prints', ['sale_id'], {
+      name: 'idx_receipt_prints_sale',
+      where: { sale_id: { [Sequelize.Op.ne]: null } }
+    });
+
+    await queryInterface.addIndex('receipt_prints', ['order_id'], {
+      name: 'idx_receipt_prints_order',
+      where: { order_id: { [Sequelize.Op.ne]: null } }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('receipt_prints');
+    await queryInterface.dropTable('receipt_templates');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_receipt_prints_kind');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_receipt_prints_format');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_receipt_prints_paper_width');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_receipt_prints_status');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_receipt_templates_locale');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_receipt_templates_calendar');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_receipt_templates_paper_width');
+    await queryInterface.removeColumn('shops', 'logo_url');
+  }
+};
@@ -0,0 +1,247 @@
+/**
+ * Migration to report sales to the national tax portal (سامانه مودیان): tax
+ * IDs of products, how customers are identified as buyers, each shop's
+ * signing key and the queue of tax invoices sent to the portal
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // 13-digit goods/service ID (شناسه کالا/خدمت) and the portal's unit code
+    await queryInterface.addColumn('products', 'tax_service_id', {
+      type: DataTypes.STRING(13),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('products', 'tax_unit_code', {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('customers', 'buyer_type', {
+      type: DataTypes.ENUM('individual', 'legal', 'civil_partnership', 'foreign', 'end_consumer'),
+      allowNull: false,
+      defaultValue: 'end_consumer'
+    });
+
+    // National code of a person or national ID of a company
+    await queryInterface.addColumn('customers', 'national_id', {
+      type: DataTypes.STRING(12),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('customers', 'economic_code', {
+      type: DataTypes.STRING(14),
+      allowNull: true
+    });
+
+    // Create tax_profiles table
+    await queryInterface.createTable('tax_profiles', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      economic_code: {
+        type: DataTypes.STRING(14),
+        allowNull: false
+      },
+      // Tax memory ID (شناسه یکتای حافظه مالیاتی) the portal issued the shop
+      memory_id: {
+        type: DataTypes.STRING(6),
+        allowNull: false
+      },
+      private_key: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      public_key: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      default_unit_code: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: '1627'
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      // Last serial used in a tax ID; serials never repeat for a memory ID
+      last_serial: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create tax_invoices table
+    await queryInterface.createTable('tax_invoices', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      sale_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'sales',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      sale_return_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        unique: true,
+        references: {
+          model: 'sale_returns',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      subject: {
+        type: DataTypes.ENUM('original', 'return'),
+        allowNull: false
+      },
+      tax_id: {
+        type: DataTypes.STRING(22),
+        allowNull: false,
+        unique: true
+      },
+      serial: {
+        type: DataTypes.BIGINT,
+        allowNull: false
+      },
+      // Tax ID of the original invoice a return refers to
+      reference_tax_id: {
+        type: DataTypes.STRING(22),
+        allowNull: true
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      signed_payload: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('queued', 'sent', 'accepted', 'rejected', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      reference_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      errors: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      job_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'jobs',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      submitted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      accepted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // A sale is reported once; returns are reported separately
+    await queryInterface.addIndex('tax_invoices', ['sale_id'], {
+      name: 'idx_tax_invoices_original_sale',
+      unique: true,
+      where: { subject: 'original' }
+    });
+
+    await queryInterface.addIndex('tax_invoices', ['shop_id', 'status'], {
+      name: 'idx_tax_invoices_shop_status'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('tax_invoices');
+    await queryInterface.dropTable('tax_profiles');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_tax_invoices_subject');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_tax_invoices_status');
+    await queryInterface.removeColumn('customers', 'economic_code');
+    await queryInterface.removeColumn('customers', 'national_id');
+    await queryInterface.removeColumn('customers', 'buyer_type');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_customers_buyer_type');
+    await queryInterface.removeColumn('products', 'tax_unit_code');
+    await queryInterface.removeColumn('products', 'tax_service_id');
+  }
+};
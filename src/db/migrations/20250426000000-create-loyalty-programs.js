@@ -0,0 +1,209 @@
+/**
+ * Migration to create shop loyalty programs, which set how many points sales
+ * and orders earn, and to record which program awarded each loyalty
+ * transaction
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create loyalty_programs table
+    await queryInterface.createTable('loyalty_programs', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // Base earn rate: points per unit of currency spent
+      points_per_currency: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: false,
+        defaultValue: 0
+      },
+      // [{ product_id | category_id, points_per_currency }]
+      earn_rules: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      excluded_product_ids: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      // [{ name, multiplier, starts_at, ends_at }]
+      bonus_periods: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      start_date: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      end_date: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('loyalty_programs', ['shop_id', 'name'], {
+      unique: true,
+      name: 'loyalty_programs_shop_name_unique'
+    });
+
+    // The loyalty_transactions table was modelled but never created by a migration
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('loyalty_transactions')) {
+      await queryInterface.createTable('loyalty_transactions', {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          allowNull: false,
+          primaryKey: true
+        },
+        customer_id: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: 'customers',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        sale_id: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'sales',
+            key: 'id'
+          },
+          onDelete: 'SET NULL',
+          onUpdate: 'CASCADE'
+        },
+        user_id: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL',
+          onUpdate: 'CASCADE'
+        },
+        points: {
+          type: DataTypes.INTEGER,
+          allowNull: false
+        },
+        type: {
+          type: DataTypes.ENUM('credit', 'debit'),
+          allowNull: false
+        },
+        description: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: DataTypes.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addIndex('loyalty_transactions', ['customer_id'], {
+        name: 'idx_loyalty_transactions_customer_id'
+      });
+      await queryInterface.addIndex('loyalty_transactions', ['sale_id'], {
+        name: 'idx_loyalty_transactions_sale_id'
+      });
+    }
+
+    // Points earned on an order are recorded against the order
+    await queryInterface.addColumn('loyalty_transactions', 'order_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('loyalty_transactions', 'program_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'loyalty_programs',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('orders', 'loyalty_points_earned', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // Existing shops keep earning what sales earned before programs existed:
+    // 1 point per 10 spent
+    await queryInterface.sequelize.query(`
+      INSERT INTO loyalty_programs
+        (id, shop_id, name, description, points_per_currency, start_date, created_at, updated_at)
+      SELECT gen_random_uuid(), id, 'Standard', '1 point per 10 spent', 0.1, NOW(), NOW(), NOW()
+      FROM shops
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('orders', 'loyalty_points_earned');
+    await queryInterface.removeColumn('loyalty_transactions', 'program_id');
+    await queryInterface.removeColumn('loyalty_transactions', 'order_id');
+    await queryInterface.dropTable('loyalty_programs');
+  }
+};
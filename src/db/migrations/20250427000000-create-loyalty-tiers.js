@@ -0,0 +1,279 @@
+/**
+ * Migration to let each shop define its loyalty tiers, with the rules a
+ * customer qualifies by and the discount each tier gives at checkout, and to
+ * record every change of a customer's tier
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Create loyalty_tiers table
+    await queryInterface.createTable('loyalty_tiers', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      // 0 is the entry tier; higher levels rank above lower ones
+      level: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      min_points: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      min_spend: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+      },
+      min_visits: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Whether meeting any one of the minimums qualifies, or all of them
+      qualify_on: {
+        type: DataTypes.ENUM('any', 'all'),
+        allowNull: false,
+        defaultValue: 'any'
+      },
+      window_days: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 365
+      },
+      discount_percent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      benefits: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('loyalty_tiers', ['shop_id', 'name'], {
+      unique: true,
+      name: 'loyalty_tiers_shop_name_unique'
+    });
+
+    await queryInterface.addIndex('loyalty_tiers', ['shop_id', 'level'], {
+      unique: true,
+      name: 'loyalty_tiers_shop_level_unique'
+    });
+
+    // Create loyalty_tier_changes table
+    await queryInterface.createTable('loyalty_tier_changes', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        allowNull: false,
+        primaryKey: true
+      },
+      customer_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'customers',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      shop_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'shops',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      from_tier_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'loyalty_tiers',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      to_tier_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'loyalty_tiers',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      },
+      // Tier names as they were, should the tiers be renamed or deleted
+      from_tier: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      to_tier: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      change_type: {
+        type: DataTypes.ENUM('joined', 'promoted', 'demoted', 'removed'),
+        allowNull: false
+      },
+      // What the customer had over the tier's window when evaluated
+      points: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      spend: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      visits: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('loyalty_tier_changes', ['customer_id', 'created_at'], {
+      name: 'loyalty_tier_changes_customer_created'
+    });
+
+    // A customer's tier is now one of a shop's tiers
+    await queryInterface.sequelize.query(`
+      ALTER TABLE customers ALTER COLUMN loyalty_tier DROP DEFAULT;
+      ALTER TABLE customers ALTER COLUMN loyalty_tier TYPE VARCHAR(50) USING loyalty_tier::text;
+      DROP TYPE IF EXISTS enum_customers_loyalty_tier;
+    `);
+
+    await queryInterface.addColumn('customers', 'loyalty_tier_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'loyalty_tiers',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('customers', 'loyalty_tier_evaluated_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    // The loyalty_rewards table was modelled but never created by a
+    // migration; where it exists, rewards name the tier they need
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('loyalty_rewards')) {
+      await queryInterface.sequelize.query(`
+        ALTER TABLE loyalty_rewards ALTER COLUMN min_tier DROP DEFAULT;
+        ALTER TABLE loyalty_rewards ALTER COLUMN min_tier TYPE VARCHAR(50) USING min_tier::text;
+        DROP TYPE IF EXISTS enum_loyalty_rewards_min_tier;
+      `);
+    }
+
+    // Discount the customer's tier gave on a sale
+    await queryInterface.addColumn('sales', 'tier_discount', {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // When each shop's tiers were last re-evaluated
+    await queryInterface.addColumn('shops', 'loyalty_tiers_evaluated_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    // Every shop starts with the tiers that used to be built in, now on
+    // points earned over the last year
+    await queryInterface.sequelize.query(`
+      INSERT INTO loyalty_tiers
+        (id, shop_id, name, level, min_points, discount_percent, benefits, created_at, updated_at)
+      SELECT gen_random_uuid(), shops.id, tier.name, tier.level, tier.min_points, tier.discount_percent,
+        tier.benefits::jsonb, NOW(), NOW()
+      FROM shops
+      CROSS JOIN (VALUES
+        ('bronze', 0, NULL, 0, '["Basic rewards access", "Birthday reward"]'),
+        ('silver', 1, 200, 5, '["5% discount on purchases", "Special seasonal rewards"]'),
+        ('gold', 2, 500, 8, '["8% discount on purchases", "Early access to promotions", "Free delivery on orders"]'),
+        ('platinum', 3, 1000, 10, '["10% discount on purchases", "Premium rewards access", "Priority customer service", "Exclusive event invitations"]')
+      ) AS tier(name, level, min_points, discount_percent, benefits)
+    `);
+
+    // Customers keep their tier in the shop they last bought from
+    await queryInterface.sequelize.query(`
+      UPDATE customers
+      SET loyalty_tier_id = loyalty_tiers.id
+      FROM loyalty_tiers
+      WHERE loyalty_tiers.name = customers.loyalty_tier
+        AND loyalty_tiers.shop_id = (
+          SELECT sales.shop_id FROM sales
+          WHERE sales.customer_id = customers.id
+          ORDER BY sales.sale_date DESC
+          LIMIT 1
+        )
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('shops', 'loyalty_tiers_evaluated_at');
+    await queryInterface.removeColumn('sales', 'tier_discount');
+    await queryInterface.removeColumn('customers', 'loyalty_tier_evaluated_at');
+    await queryInterface.removeColumn('customers', 'loyalty_tier_id');
+    await queryInterface.sequelize.query(`
+      CREATE TYPE enum_customers_loyalty_tier AS ENUM ('bronze', 'silver', 'gold', 'platinum');
+      UPDATE customers SET loyalty_tier = 'bronze'
+        WHERE loyalty_tier IS NULL OR loyalty_tier NOT IN ('bronze', 'silver', 'gold', 'platinum');
+      ALTER TABLE customers ALTER COLUMN loyalty_tier TYPE enum_customers_loyalty_tier
+        USING loyalty_tier::enum_customers_loyalty_tier;
+      ALTER TABLE customers ALTER COLUMN loyalty_tier SET DEFAULT 'bronze';
+    `);
+
+    await queryInterface.dropTable('loyalty_tier_changes');
+    await queryInterface.dropTable('loyalty_tiers');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_loyalty_tier_changes_change_type');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_loyalty_tiers_qualify_on');
+  }
+};
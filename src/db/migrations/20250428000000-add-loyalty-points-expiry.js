@@ -0,0 +1,125 @@
+/**
+ * Migration to let loyalty points expire: programs set how long points last
+ * and what a point is worth when redeemed, and every credit loyalty
+ * transaction keeps how many of its points are left and when they expire
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    // Months points stay valid after they are earned; null means they never expire
+    await queryInterface.addColumn('loyalty_programs', 'points_expiry_months', {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    });
+
+    // Days before points expire that the customer is warned
+    await queryInterface.addColumn('loyalty_programs', 'expiry_warning_days', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30
+    });
+
+    // Currency value of one point when redeemed, used to value outstanding points
+    await queryInterface.addColumn('loyalty_programs', 'redemption_rate', {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('loyalty_transactions', 'points_remaining', {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('loyalty_transactions', 'expires_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('loyalty_transactions', 'expiry_warned_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    // The credit an expiry debit wrote off
+    await queryInterface.addColumn('loyalty_transactions', 'expired_transaction_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'loyalty_transactions',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    await queryInterface.addIndex('loyalty_transactions', ['customer_id', 'created_at'], {
+      name: 'idx_loyalty_transactions_customer_created'
+    });
+    await queryInterface.addIndex('loyalty_transactions', ['expires_at'], {
+      name: 'idx_loyalty_transactions_expires_at'
+    });
+
+    await queryInterface.addColumn('shops', 'loyalty_points_expired_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    // Points already spent are taken from each customer's oldest credits first
+    await queryInterface.sequelize.query(`
+      WITH lots AS (
+        SELECT lt.id, lt.points,
+          SUM(lt.points) OVER (
+            PARTITION BY lt.customer_id ORDER BY lt.created_at, lt.id
+          ) AS earned_to_date,
+          COALESCE(spent.points, 0) AS spent
+        FROM loyalty_transactions lt
+        LEFT JOIN (
+          SELECT customer_id, -SUM(points) AS points
+          FROM loyalty_transactions
+          WHERE type = 'debit'
+          GROUP BY customer_id
+        ) spent ON spent.customer_id = lt.customer_id
+        WHERE lt.type = 'credit'
+      )
+      UPDATE loyalty_transactions
+      SET points_remaining = LEAST(lots.points, GREATEST(lots.earned_to_date - lots.spent, 0))
+      FROM lots
+      WHERE loyalty_transactions.id = lots.id
+    `);
+
+    // The liability report can be scheduled like the other reports
+    await queryInterface.sequelize.query(
+      "ALTER TYPE enum_report_schedules_report_type ADD VALUE IF NOT EXISTS 'loyalty_liability'"
+    );
+  },
+
+  down: async (queryInterface) => {
+    // Postgres cannot drop an enum value, so the type is rebuilt without it
+    await queryInterface.sequelize.query(`
+      DELETE FROM report_schedules WHERE report_type = 'loyalty_liability';
+      ALTER TABLE report_schedules ALTER COLUMN report_type TYPE VARCHAR(20);
+      DROP TYPE enum_report_schedules_report_type;
+      CREATE TYPE enum_report_schedules_report_type AS ENUM ('dashboard', 'sales', 'inventory', 'customers', 'products');
+      ALTER TABLE report_schedules
+        ALTER COLUMN report_type TYPE enum_report_schedules_report_type
+        USING report_type::enum_report_schedules_report_type;
+    `);
+
+    await queryInterface.removeColumn('shops', 'loyalty_points_expired_at');
+
+    await queryInterface.removeIndex('loyalty_transactions', 'idx_loyalty_transactions_expires_at');
+    await queryInterface.removeIndex('loyalty_transactions', 'idx_loyalty_transactions_customer_created');
+
+    await queryInterface.removeColumn('loyalty_transactions', 'expired_transaction_id');
+    await queryInterface.removeColumn('loyalty_transactions', 'expiry_warned_at');
+    await queryInterface.removeColumn('loyalty_transactions', 'expires_at');
+    await queryInterface.removeColumn('loyalty_transactions', 'points_remaining');
+
+    await queryInterface.removeColumn('loyalty_programs', 'redemption_rate');
+    await queryInterface.removeColumn('loyalty_programs', 'expiry_warning_days');
+    await queryInterface.removeColumn('loyalty_programs', 'points_expiry_months');
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Migration to add product variants: a product lists its option types (e.g.
+ * size and colour) and each variant is a product of its own, with its own
+ * SKU, barcode, price and stock, that points at its parent
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('products', 'parent_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    // Option types of a product with variants: [{ name, values: [...] }]
+    await queryInterface.addColumn('products', 'options', {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+
+    // A variant's value for each of its parent's options: { size: 'M', colour: 'Red' }
+    await queryInterface.addColumn('products', 'option_values', {
+      type: DataTypes.JSONB,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('products', ['parent_id'], {
+      name: 'idx_products_parent_id'
+    });
+
+    // A product has one variant per combination of option values
+    await queryInterface.addIndex('products', ['parent_id', 'option_values'], {
+      name: 'products_parent_option_values_unique',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    // Variants are products in their own right, so they are kept as such
+    await queryInterface.removeIndex('products', 'products_parent_option_values_unique');
+    await queryInterface.removeIndex('products', 'idx_products_parent_id');
+
+    await queryInterface.removeColumn('products', 'option_values');
+    await queryInterface.removeColumn('products', 'options');
+    await queryInterface.removeColumn('products', 'parent_id');
+  }
+};
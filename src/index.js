@@ -15,7 +15,7 @@ const { errorHandler } = require('./middleware/errorHandler');
 const { authenticate: authenticateJWT } = require('./middleware/authMiddleware');
 const { staticWithCors } = require('./middleware/staticMiddleware');
 const ensureShopId = require('./middleware/ensureShopId');
-const db = require('./models');
+const { startWorker } = require('./services/jobQueue.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -24,6 +24,8 @@ const customerRoutes = require('./routes/customer.routes');
 const categoryRoutes = require('./routes/category.routes');
 const productRoutes = require('./routes/product.routes');
 const loyaltyRoutes = require('./routes/loyalty.routes');
+const loyaltyProgramRoutes = require('./routes/loyaltyProgram.routes');
+const loyaltyTierRoutes = require('./routes/loyaltyTier.routes');
 const salesRoutes = require('./routes/sales.routes');
 const inventoryRoutes = require('./routes/inventory.routes');
 const reportRoutes = require('./routes/report.routes');
@@ -33,6 +35,23 @@ const shopRoutes = require('./routes/shop.routes');
 const unitRoutes = require('./routes/unit.routes');
 const uploadRoutes = require('./routes/upload.routes');
 const preRegisterRoutes = require('./routes/pre-register.routes');
+const purchaseOrderRoutes = require('./routes/purchaseOrder.routes');
+const supplierRoutes = require('./routes/supplier.routes');
+const locationRoutes = require('./routes/location.routes');
+const stockTransferRoutes = require('./routes/stockTransfer.routes');
+const stocktakeRoutes = require('./routes/stocktake.routes');
+const jobRoutes = require('./routes/job.routes');
+const reportScheduleRoutes = require('./routes/reportSchedule.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const permissionRoutes = require('./routes/permission.routes');
+const registerRoutes = require('./routes/register.routes');
+const numberSequenceRoutes = require('./routes/numberSequence.routes');
+const promotionRoutes = require('./routes/promotion.routes');
+const couponRoutes = require('./routes/coupon.routes');
+const storedValueRoutes = require('./routes/storedValue.routes');
+const receivableRoutes = require('./routes/receivable.routes');
+const receiptRoutes = require('./routes/receipt.routes');
+const taxInvoiceRoutes = require('./routes/taxInvoice.routes');
 
 // Initialize express app
 const app = express();
@@ -72,6 +91,8 @@ app.use('/api/users', authenticateJWT, userRoutes);
 app.use('/api/customers', authenticateJWT, ensureShopId, customerRoutes);
 app.use('/api/categories', authenticateJWT, ensureShopId, categoryRoutes);
 app.use('/api/products', authenticateJWT, ensureShopId, productRoutes);
+app.use('/api/loyalty/programs', authenticateJWT, ensureShopId, loyaltyProgramRoutes);
+app.use('/api/loyalty/tiers', authenticateJWT, ensureShopId, loyaltyTierRoutes);
 app.use('/api/loyalty', authenticateJWT, ensureShopId, loyaltyRoutes);
 app.use('/api/sales', authenticateJWT, ensureShopId, salesRoutes);
 app.use('/api/inventory', authenticateJWT, ensureShopId, inventoryRoutes);
@@ -82,6 +103,23 @@ app.use('/api/shops', authenticateJWT, shopRoutes);
 app.use('/api/units', authenticateJWT, ensureShopId, unitRoutes);
 app.use('/api/upload', authenticateJWT, ensureShopId, uploadRoutes);
 app.use('/api/shop', authenticateJWT, shopRoutes);
+app.use('/api/purchase-orders', authenticateJWT, ensureShopId, purchaseOrderRoutes);
+app.use('/api/suppliers', authenticateJWT, ensureShopId, supplierRoutes);
+app.use('/api/locations', authenticateJWT, ensureShopId, locationRoutes);
+app.use('/api/stock-transfers', authenticateJWT, ensureShopId, stockTransferRoutes);
+app.use('/api/stocktakes', authenticateJWT, ensureShopId, stocktakeRoutes);
+app.use('/api/jobs', authenticateJWT, jobRoutes);
+app.use('/api/report-schedules', authenticateJWT, ensureShopId, reportScheduleRoutes);
+app.use('/api/notifications', authenticateJWT, ensureShopId, notificationRoutes);
+app.use('/api/permissions', authenticateJWT, ensureShopId, permissionRoutes);
+app.use('/api/registers', authenticateJWT, ensureShopId, registerRoutes);
+app.use('/api/number-sequences', authenticateJWT, ensureShopId, numberSequenceRoutes);
+app.use('/api/promotions', authenticateJWT, ensureShopId, promotionRoutes);
+app.use('/api/coupons', authenticateJWT, ensureShopId, couponRoutes);
+app.use('/api/stored-value', authenticateJWT, ensureShopId, storedValueRoutes);
+app.use('/api/receivables', authenticateJWT, ensureShopId, receivableRoutes);
+app.use('/api/receipts', authenticateJWT, ensureShopId, receiptRoutes);
+app.use('/api/tax-invoices', authenticateJWT, ensureShopId, taxInvoiceRoutes);
 app.use('/api/pre-register', preRegisterRoutes);
 
 // Health check endpoint
@@ -97,6 +135,11 @@ const PORT = config.server.port;
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
+
+  // Without Redis, background jobs run inside the API process
+  if (config.queue.driver !== 'bull') {
+    startWorker().catch(error => logger.error(`Could not start in-process jobs: ${error.message}`));
+  }
 });
 
 // Handle uncaught exceptions
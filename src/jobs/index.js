@@ -0,0 +1,37 @@
+/**
+ * Background job handlers, by queue and job name.
+ *
+ * A handler receives the job data and a context ({ job, progress }) and
+ * returns the job result, which must be JSON-serialisable. Throwing fails
+ * the attempt; the job is retried until it runs out of attempts.
+ */
+const reportJobs = require('./report.jobs');
+const notificationJobs = require('./notification.jobs');
+const receiptJobs = require('./receipt.jobs');
+const taxInvoiceJobs = require('./taxInvoice.jobs');
+const loyaltyJobs = require('./loyalty.jobs');
+const productJobs = require('./product.jobs');
+
+module.exports = {
+  reports: {
+    'build-report': reportJobs.buildReport,
+    'deliver-schedule': reportJobs.deliverSchedule
+  },
+  notifications: {
+    send: notificationJobs.send
+  },
+  receipts: {
+    email: receiptJobs.email
+  },
+  'tax-invoices': {
+    submit: taxInvoiceJobs.submit,
+    inquire: taxInvoiceJobs.inquire
+  },
+  loyalty: {
+    'evaluate-tiers': loyaltyJobs.evaluateTiers,
+    'expire-points': loyaltyJobs.expirePoints
+  },
+  products: {
+    import: productJobs.importProducts
+  }
+};
@@ -0,0 +1,20 @@
+const loyaltyTierService = require('../services/loyaltyTier.service');
+const loyaltyPointsService = require('../services/loyaltyPoints.service');
+
+/**
+ * Move every customer of a shop to the loyalty tier they qualify for now
+ * @param {Object} data - Job data
+ * @param {string} data.shop_id - Shop ID
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - Number of customers evaluated and moved
+ */
+exports.evaluateTiers = async ({ shop_id }, context) => loyaltyTierService.evaluateShop(shop_id, context);
+
+/**
+ * Write off a shop's expired loyalty points and warn customers whose points expire soon
+ * @param {Object} data - Job data
+ * @param {string} data.shop_id - Shop ID
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - Lots and points expired, customers warned
+ */
+exports.expirePoints = async ({ shop_id }, context) => loyaltyPointsService.processShopExpiry(shop_id, context);
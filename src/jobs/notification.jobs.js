@@ -0,0 +1,10 @@
+const notificationService = require('../services/notification.service');
+
+/**
+ * Send one queued email or SMS
+ * @param {Object} data - Job data
+ * @param {string} data.log_id - NotificationLog ID
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - Delivery summary
+ */
+exports.send = async ({ log_id }, context) => notificationService.deliver(log_id, context);
@@ -0,0 +1,26 @@
+/**
+ * Tasks run on a fixed interval by the process that processes jobs
+ * (the worker with the Bull driver, the API server otherwise). Tasks must be
+ * safe to run from several processes at once.
+ */
+const reportScheduleService = require('../services/reportSchedule.service');
+const loyaltyTierService = require('../services/loyaltyTier.service');
+const loyaltyPointsService = require('../services/loyaltyPoints.service');
+
+module.exports = [
+  {
+    name: 'dispatch-report-schedules',
+    intervalMs: 60 * 1000,
+    run: () => reportScheduleService.dispatchDueSchedules()
+  },
+  {
+    name: 'dispatch-loyalty-tier-evaluations',
+    intervalMs: 60 * 60 * 1000,
+    run: () => loyaltyTierService.dispatchDueEvaluations()
+  },
+  {
+    name: 'dispatch-loyalty-points-expiry',
+    intervalMs: 60 * 60 * 1000,
+    run: () => loyaltyPointsService.dispatchDueExpiries()
+  }
+];
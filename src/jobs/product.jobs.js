@@ -0,0 +1,20 @@
+const productImportService = require('../services/productImport.service');
+
+/**
+ * Create and update a shop's products from an uploaded file
+ * @param {Object} data - Job data
+ * @param {string} data.shop_id - Shop ID
+ * @param {string} data.user_id - User who uploaded the file
+ * @param {Array<Object>} data.rows - Rows of the file mapped to product fields
+ * @param {boolean} data.update_existing - Update products whose SKU or barcode matches
+ * @param {boolean} data.create_categories - Create categories the shop does not have
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - Products created and updated, and the rows that failed
+ */
+exports.importProducts = async ({
+  shop_id, user_id, rows, update_existing, create_categories
+}, context) => productImportService.importRows(shop_id, rows, {
+  userId: user_id,
+  updateExisting: update_existing,
+  createCategories: create_categories
+}, context);
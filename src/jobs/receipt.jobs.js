@@ -0,0 +1,10 @@
+const receiptService = require('../services/receipt.service');
+
+/**
+ * Email a copy of a receipt
+ * @param {Object} data - Job data
+ * @param {string} data.print_id - ReceiptPrint ID
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - Delivery summary
+ */
+exports.email = async ({ print_id }, context) => receiptService.deliverEmail(print_id, context);
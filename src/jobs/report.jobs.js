@@ -0,0 +1,26 @@
+const reportService = require('../services/report.service');
+const reportScheduleService = require('../services/reportSchedule.service');
+
+/**
+ * Build a report in the background
+ * @param {Object} data - Job data
+ * @param {string} data.type - Report type (dashboard, sales, inventory, customers, products, loyalty_liability)
+ * @param {Object} [data.filters] - Same filters the matching report endpoint accepts
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - Report data
+ */
+exports.buildReport = async ({ type, filters = {} }, { progress }) => {
+  await progress(10);
+  const report = await reportService.buildReport(type, filters);
+
+  return { type, filters, report };
+};
+
+/**
+ * Render and deliver one run of a report schedule
+ * @param {Object} data - Job data
+ * @param {string} data.run_id - ReportScheduleRun ID
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - Delivery summary
+ */
+exports.deliverSchedule = async ({ run_id }, context) => reportScheduleService.deliverRun(run_id, context);
@@ -0,0 +1,18 @@
+const taxInvoiceService = require('../services/taxInvoice.service');
+
+/**
+ * Sign a queued tax invoice and send it to the tax portal
+ * @param {Object} data - Job data
+ * @param {string} data.tax_invoice_id - TaxInvoice ID
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - Submission summary
+ */
+exports.submit = async ({ tax_invoice_id }, context) => taxInvoiceService.submit(tax_invoice_id, context);
+
+/**
+ * Ask the tax portal whether it accepted a sent tax invoice
+ * @param {Object} data - Job data
+ * @param {string} data.tax_invoice_id - TaxInvoice ID
+ * @returns {Promise<Object>} - Inquiry summary
+ */
+exports.inquire = async ({ tax_invoice_id }) => taxInvoiceService.inquire(tax_invoice_id);
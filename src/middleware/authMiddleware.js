@@ -1,7 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { AppError } = require('./errorHandler');
 const config = require('../config');
-const { User } = require('../models');
+const { User, Customer } = require('../models');
 
 /**
  * Middleware to authenticate and authorize users.
@@ -25,6 +25,11 @@ const authenticate = async (req, res, next) => {
     // 3) Verify the token
     const decoded = jwt.verify(token, config.jwt.secret);
 
+    // Customer tokens only open customer endpoints
+    if (decoded.type === 'customer') {
+      return next(new AppError('Staff authentication required', 401, 'AUTHENTICATION_REQUIRED'));
+    }
+
     // 4) Check if user still exists
     const user = await User.findByPk(decoded.id);
     if (!user) {
@@ -42,6 +47,37 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate customers signed in with a phone code.
+ * Verifies a customer token and adds the customer to the request object.
+ */
+const authenticateCustomer = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next(new AppError('Authentication required', 401, 'AUTHENTICATION_REQUIRED'));
+    }
+
+    const decoded = jwt.verify(authHeader.split(' ')[1], config.jwt.secret);
+    if (decoded.type !== 'customer') {
+      return next(new AppError('Customer authentication required', 401, 'AUTHENTICATION_REQUIRED'));
+    }
+
+    const customer = await Customer.findByPk(decoded.id);
+    if (!customer) {
+      return next(new AppError('Customer no longer exists', 401, 'CUSTOMER_NOT_FOUND'));
+    }
+
+    req.customer = customer;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new AppError('Token expired', 401, 'TOKEN_EXPIRED'));
+    }
+    return next(new AppError('Invalid token', 401, 'INVALID_TOKEN'));
+  }
+};
+
 /**
  * Middleware to restrict access to certain roles
  * @param {string[]} roles - Array of allowed roles
@@ -62,5 +98,6 @@ const restrictTo = (...roles) => {
 
 module.exports = {
   authenticate,
+  authenticateCustomer,
   restrictTo
 }; 
\ No newline at end of file
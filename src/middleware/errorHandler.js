@@ -52,7 +52,13 @@ const errorHandler = (err, req, res, next) => {
   if (err.name === 'TokenExpiredError') {
     error = new AppError('Token expired', 401, 'TOKEN_EXPIRED');
   }
-  
+
+  // Multer upload errors (file too large, unexpected field)
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File size exceeds the limit (5MB)' : `Upload error: ${err.message}`;
+    error = new AppError(message, 400, 'UPLOAD_ERROR');
+  }
+
   // Send standardized response
   res.status(error.statusCode || 500).json({
     success: false,
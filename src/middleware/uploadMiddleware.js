@@ -76,6 +76,19 @@ const upload = multer({
 // Middleware for single image upload
 const uploadProductImage = upload.single('image');
 
+// Spreadsheets are read straight from memory and never stored
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Invalid file type. Allowed types: .csv, .xlsx', 400, 'UNSUPPORTED_FILE_TYPE'));
+    }
+  },
+  limits
+}).single('file');
+
 // Middleware to handle multer errors
 const handleUploadErrors = (req, res, next) => {
   return (err, req, res, next) => {
@@ -93,5 +106,6 @@ const handleUploadErrors = (req, res, next) => {
 
 module.exports = {
   uploadProductImage,
+  uploadSpreadsheet,
   handleUploadErrors
 }; 
\ No newline at end of file
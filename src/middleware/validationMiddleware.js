@@ -73,6 +73,35 @@ const validate = (schema, source = 'body') => {
   };
 };
 
+// One tender of a sale payment
+const tender = Joi.object({
+  payment_method: Joi.string().valid('cash', 'card', 'mobile', 'credit').required(),
+  amount: Joi.number().precision(2).min(0.01).required(),
+  reference_number: Joi.string().max(50),
+  // Credit is spent from this gift card instead of the customer's store credit
+  gift_card_code: Joi.string().max(40)
+    .when('payment_method', { not: 'credit', then: Joi.forbidden() })
+    .messages({
+      'any.unknown': 'A gift card number can only be given with a credit payment'
+    })
+});
+
+// Option types of a product with variants, e.g. size and colour
+const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+const productOptions = Joi.array().items(
+  Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    values: Joi.array().items(Joi.string().trim().max(50)).min(1).unique(sameText).required()
+      .messages({
+        'array.unique': 'Option values must be unique'
+      })
+  })
+).max(3).unique((a, b) => sameText(a.name, b.name))
+  .messages({
+    'array.max': 'A product can have at most 3 options',
+    'array.unique': 'Option names must be unique'
+  });
+
 // Common validation schemas
 const schemas = {
   // User schemas
@@ -98,6 +127,20 @@ const schemas = {
     shop_name: Joi.string().max(100).required(),
     role: Joi.string().valid('cashier', 'inventory', 'marketing', 'manager').optional()
   }),
+
+  otpRequest: Joi.object({
+    phone: Joi.string().max(20).required(),
+    audience: Joi.string().valid('staff', 'customer').default('staff')
+  }),
+
+  otpVerify: Joi.object({
+    phone: Joi.string().max(20).required(),
+    audience: Joi.string().valid('staff', 'customer').default('staff'),
+    code: Joi.string().pattern(/^\d{4,8}$/).required()
+      .messages({
+        'string.pattern.base': 'Code must be 4 to 8 digits'
+      })
+  }),
   
   // Category schemas
   categoryCreate: Joi.object({
@@ -128,10 +171,17 @@ const schemas = {
     discount_price: Joi.number().precision(2).min(0),
     is_taxable: Joi.boolean().default(true),
     tax_rate: Joi.number().precision(2).min(0),
+    tax_service_id: Joi.string().pattern(/^\d{13}$/).allow(null).messages({
+      'string.pattern.base': 'Tax service ID must be 13 digits'
+    }),
+    tax_unit_code: Joi.string().pattern(/^\d{1,10}$/).allow(null).messages({
+      'string.pattern.base': 'Tax unit code must be digits'
+    }),
     image_url: Joi.string().uri().allow('', null),
     is_active: Joi.boolean().default(true),
     weight: Joi.number().precision(2).min(0),
     weight_unit: Joi.string().max(10),
+    options: productOptions,
     stock_quantity: Joi.number().integer().min(0).default(0),
     reorder_level: Joi.number().integer().min(0),
     reorder_quantity: Joi.number().integer().min(0),
@@ -149,10 +199,17 @@ const schemas = {
     discount_price: Joi.number().precision(2).min(0),
     is_taxable: Joi.boolean(),
     tax_rate: Joi.number().precision(2).min(0),
+    tax_service_id: Joi.string().pattern(/^\d{13}$/).allow(null).messages({
+      'string.pattern.base': 'Tax service ID must be 13 digits'
+    }),
+    tax_unit_code: Joi.string().pattern(/^\d{1,10}$/).allow(null).messages({
+      'string.pattern.base': 'Tax unit code must be digits'
+    }),
     image_url: Joi.string().uri().allow('', null),
     is_active: Joi.boolean(),
     weight: Joi.number().precision(2).min(0),
-    weight_unit: Joi.string().max(10)
+    weight_unit: Joi.string().max(10),
+    options: productOptions
   }),
   
   inventoryUpdate: Joi.object({
@@ -175,7 +232,15 @@ const schemas = {
     address: Joi.string(),
     city: Joi.string().max(100),
     postal_code: Joi.string().max(20),
-    notes: Joi.string()
+    notes: Joi.string(),
+    buyer_type: Joi.string().valid('individual', 'legal', 'civil_partnership', 'foreign', 'end_consumer'),
+    national_id: Joi.string().pattern(/^\d{10,12}$/).allow(null).messages({
+      'string.pattern.base': 'National ID must be 10 to 12 digits'
+    }),
+    economic_code: Joi.string().pattern(/^\d{11,14}$/).allow(null).messages({
+      'string.pattern.base': 'Economic code must be 11 to 14 digits'
+    }),
+    locale: Joi.string().valid('fa', 'en')
   }),
   
   customerUpdate: Joi.object({
@@ -187,7 +252,15 @@ const schemas = {
     address: Joi.string(),
     city: Joi.string().max(100),
     postal_code: Joi.string().max(20),
-    notes: Joi.string()
+    notes: Joi.string(),
+    buyer_type: Joi.string().valid('individual', 'legal', 'civil_partnership', 'foreign', 'end_consumer'),
+    national_id: Joi.string().pattern(/^\d{10,12}$/).allow(null).messages({
+      'string.pattern.base': 'National ID must be 10 to 12 digits'
+    }),
+    economic_code: Joi.string().pattern(/^\d{11,14}$/).allow(null).messages({
+      'string.pattern.base': 'Economic code must be 11 to 14 digits'
+    }),
+    locale: Joi.string().valid('fa', 'en')
   }),
   
   loyaltyPointsUpdate: Joi.object({
@@ -204,7 +277,7 @@ const schemas = {
     discount_amount: Joi.number().precision(2).min(0),
     discount_percent: Joi.number().precision(2).min(0).max(100),
     product_id: Joi.string().guid({ version: 'uuidv4' }),
-    min_tier: Joi.string().valid('bronze', 'silver', 'gold', 'platinum').default('bronze'),
+    min_tier: Joi.string().max(50).allow(null),
     image_url: Joi.string().uri(),
     start_date: Joi.date(),
     end_date: Joi.date().min(Joi.ref('start_date')),
@@ -219,7 +292,7 @@ const schemas = {
     discount_amount: Joi.number().precision(2).min(0),
     discount_percent: Joi.number().precision(2).min(0).max(100),
     product_id: Joi.string().guid({ version: 'uuidv4' }).allow(null),
-    min_tier: Joi.string().valid('bronze', 'silver', 'gold', 'platinum'),
+    min_tier: Joi.string().max(50).allow(null),
     image_url: Joi.string().uri().allow('', null),
     start_date: Joi.date().allow(null),
     end_date: Joi.date().min(Joi.ref('start_date')).allow(null),
@@ -242,25 +315,30 @@ const schemas = {
     items: Joi.array().items(
       Joi.object({
         product_id: Joi.string().guid({ version: 'uuidv4' }).required(),
+        variant_id: Joi.string().guid({ version: 'uuidv4' }),
         quantity: Joi.number().integer().min(1).required(),
         discount_percent: Joi.number().min(0).max(100)
       })
     ).min(1).required(),
-    payment_method: Joi.string().valid('cash', 'card', 'mobile', 'credit', 'mixed').required(),
+    payment_method: Joi.string().valid('cash', 'card', 'mobile', 'credit', 'mixed'),
+    payments: Joi.array().items(tender),
     discount_amount: Joi.number().precision(2).min(0),
     loyalty_points_used: Joi.number().integer().min(0),
+    coupon_code: Joi.string().trim().max(40),
+    charge_to_account: Joi.boolean(),
     notes: Joi.string()
-  }),
+  }).or('payment_method', 'payments'),
   
   paymentStatusUpdate: Joi.object({
     payment_status: Joi.string().valid('paid', 'partial', 'unpaid', 'refunded', 'cancelled').required()
   }),
   
   paymentCreate: Joi.object({
-    amount: Joi.number().precision(2).min(0.01).required(),
-    payment_method: Joi.string().valid('cash', 'card', 'mobile', 'credit', 'mixed').required(),
-    reference_number: Joi.string().max(50)
-  }),
+    amount: Joi.number().precision(2).min(0.01),
+    payment_method: Joi.string().valid('cash', 'card', 'mobile', 'credit'),
+    reference_number: Joi.string().max(50),
+    payments: Joi.array().items(tender).min(1)
+  }).xor('amount', 'payments').and('amount', 'payment_method'),
   
   refundCreate: Joi.object({
     amount: Joi.number().precision(2).min(0.01).required(),
@@ -268,6 +346,20 @@ const schemas = {
     refund_method: Joi.string().valid('cash', 'card', 'mobile', 'credit', 'mixed')
   }),
   
+  saleReturnCreate: Joi.object({
+    items: Joi.array().items(
+      Joi.object({
+        sale_item_id: Joi.string().guid({ version: 'uuidv4' }).required(),
+        quantity: Joi.number().integer().min(1).required(),
+        disposition: Joi.string().valid('restock', 'write_off').default('restock')
+      })
+    ).min(1).required(),
+    reason: Joi.string().required(),
+    refund_method: Joi.string().valid('cash', 'card', 'mobile', 'credit', 'mixed'),
+    location_id: Joi.string().guid({ version: 'uuidv4' }),
+    notes: Joi.string()
+  }),
+  
   // ID parameter
   idParam: Joi.object({
     id: Joi.string().guid({ version: 'uuidv4' }).required()
@@ -293,6 +385,10 @@ const schemas = {
     shipping_address: Joi.string().allow('', null),
     shipping_method: Joi.string().allow('', null),
     notes: Joi.string().allow('', null),
+    coupon_code: Joi.string().trim().max(40)
+      .messages({
+        'string.max': 'Coupon code cannot exceed 40 characters'
+      }),
     items: Joi.array().items(
       Joi.object({
         product_id: Joi.string().uuid().required()
@@ -301,6 +397,10 @@ const schemas = {
             'string.uuid': 'Product ID must be a valid UUID',
             'any.required': 'Product ID is required'
           }),
+        variant_id: Joi.string().uuid()
+          .messages({
+            'string.uuid': 'Variant ID must be a valid UUID'
+          }),
         quantity: Joi.number().integer().min(1).required()
           .messages({
             'number.base': 'Quantity must be a number',
@@ -342,6 +442,10 @@ const schemas = {
         'string.uuid': 'Product ID must be a valid UUID',
         'any.required': 'Product ID is required'
       }),
+    variant_id: Joi.string().uuid()
+      .messages({
+        'string.uuid': 'Variant ID must be a valid UUID'
+      }),
     quantity: Joi.number().integer().min(1).required()
       .messages({
         'number.base': 'Quantity must be a number',
@@ -368,6 +472,10 @@ const schemas = {
     business_type: Joi.string().max(50),
     address: Joi.string().max(255),
     phone: Joi.string().max(20),
+    logo_url: Joi.string().max(255).pattern(/^\/uploads\//).allow(null)
+      .messages({
+        'string.pattern.base': 'Logo must be an image uploaded to this server'
+      }),
     tax_enabled: Joi.boolean(),
     tax_rate: Joi.number().precision(2).min(0).max(100),
     currency: Joi.string().max(10)
@@ -41,6 +41,15 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: DataTypes.NOW
     },
+    amount_tendered: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    change_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
     reference_number: {
       type: DataTypes.STRING(50),
       allowNull: true
@@ -53,6 +62,36 @@ module.exports = (sequelize, DataTypes) => {
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    shift_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'register_shifts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    stored_value_account_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'stored_value_accounts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    repayment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'customer_repayments',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
     }
   }, {
     tableName: 'payments',
@@ -86,6 +125,24 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'user_id',
       as: 'user'
     });
+
+    // Payment belongs to RegisterShift (the drawer the money went through)
+    Payment.belongsTo(models.RegisterShift, {
+      foreignKey: 'shift_id',
+      as: 'shift'
+    });
+
+    // Payment belongs to StoredValueAccount (the gift card or store credit the payment drew on)
+    Payment.belongsTo(models.StoredValueAccount, {
+      foreignKey: 'stored_value_account_id',
+      as: 'stored_value_account'
+    });
+
+    // Payment belongs to CustomerRepayment (when made by a tab repayment)
+    Payment.belongsTo(models.CustomerRepayment, {
+      foreignKey: 'repayment_id',
+      as: 'repayment'
+    });
   };
 
   return Payment;
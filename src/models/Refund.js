@@ -57,6 +57,26 @@ module.exports = (sequelize, DataTypes) => {
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    shift_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'register_shifts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    stored_value_account_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'stored_value_accounts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
     }
   }, {
     tableName: 'refunds',
@@ -90,6 +110,18 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'user_id',
       as: 'user'
     });
+
+    // Refund belongs to RegisterShift (the drawer the money went through)
+    Refund.belongsTo(models.RegisterShift, {
+      foreignKey: 'shift_id',
+      as: 'shift'
+    });
+
+    // Refund belongs to StoredValueAccount (the store credit or gift card the refund was paid into)
+    Refund.belongsTo(models.StoredValueAccount, {
+      foreignKey: 'stored_value_account_id',
+      as: 'stored_value_account'
+    });
   };
 
   return Refund;
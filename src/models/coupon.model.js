@@ -0,0 +1,126 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Coupon model for a redeemable code of a coupon campaign
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - Coupon model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Coupon:
+   *       type: object
+   *       required:
+   *         - campaign_id
+   *         - shop_id
+   *         - code
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated coupon ID
+   *         campaign_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the campaign
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         code:
+   *           type: string
+   *           description: Code the customer presents, unique within the shop
+   *         max_uses:
+   *           type: integer
+   *           nullable: true
+   *           description: How many times the code can be redeemed; empty for unlimited
+   *         times_used:
+   *           type: integer
+   *           description: How many times the code has been redeemed
+   *         is_active:
+   *           type: boolean
+   *           description: Whether the code can be redeemed
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const Coupon = sequelize.define('Coupon', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    campaign_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'coupon_campaigns',
+        key: 'id'
+      }
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false
+    },
+    max_uses: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 1
+      }
+    },
+    times_used: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'coupons',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'code']
+      }
+    ]
+  });
+
+  // Define associations
+  Coupon.associate = (models) => {
+    // Coupon belongs to CouponCampaign
+    Coupon.belongsTo(models.CouponCampaign, {
+      foreignKey: 'campaign_id',
+      as: 'campaign'
+    });
+
+    // Coupon has many CouponRedemptions
+    Coupon.hasMany(models.CouponRedemption, {
+      foreignKey: 'coupon_id',
+      as: 'redemptions'
+    });
+  };
+
+  return Coupon;
+};
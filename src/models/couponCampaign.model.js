@@ -0,0 +1,201 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * CouponCampaign model for a marketing campaign whose coupon codes all give
+ * the same discount under the same conditions
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - CouponCampaign model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     CouponCampaign:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - name
+   *         - discount_type
+   *         - value
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated campaign ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         name:
+   *           type: string
+   *           description: Campaign name
+   *         description:
+   *           type: string
+   *           description: Campaign description
+   *         discount_type:
+   *           type: string
+   *           enum: [percentage, fixed]
+   *           description: Whether value is a percentage of the purchase or an amount off
+   *         value:
+   *           type: number
+   *           format: decimal
+   *           description: Percentage or amount off
+   *         max_discount_amount:
+   *           type: number
+   *           format: decimal
+   *           nullable: true
+   *           description: Largest discount a percentage coupon gives
+   *         min_purchase_amount:
+   *           type: number
+   *           format: decimal
+   *           nullable: true
+   *           description: Smallest purchase, after promotions and before the coupon, a code can be used on
+   *         starts_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *           description: When codes become usable
+   *         expires_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *           description: When codes expire
+   *         uses_per_code:
+   *           type: integer
+   *           nullable: true
+   *           description: Default number of uses of each generated code; 1 for single-use codes, empty for unlimited
+   *         uses_per_customer:
+   *           type: integer
+   *           nullable: true
+   *           description: How many times one customer may redeem codes of the campaign; empty for unlimited
+   *         is_active:
+   *           type: boolean
+   *           description: Whether codes of the campaign can be redeemed
+   *         created_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who created the campaign
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const CouponCampaign = sequelize.define('CouponCampaign', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    discount_type: {
+      type: DataTypes.ENUM('percentage', 'fixed'),
+      allowNull: false
+    },
+    value: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    max_discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      validate: {
+        min: 0
+      }
+    },
+    min_purchase_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      validate: {
+        min: 0
+      }
+    },
+    starts_at: {
+      type: DataTypes.DATE
+    },
+    expires_at: {
+      type: DataTypes.DATE
+    },
+    uses_per_code: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 1
+      }
+    },
+    uses_per_customer: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 1
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'coupon_campaigns',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false // Campaigns are deactivated, never deleted
+  });
+
+  // Define associations
+  CouponCampaign.associate = (models) => {
+    // CouponCampaign belongs to Shop
+    CouponCampaign.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // CouponCampaign belongs to User (creator)
+    CouponCampaign.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    // CouponCampaign has many Coupons
+    CouponCampaign.hasMany(models.Coupon, {
+      foreignKey: 'campaign_id',
+      as: 'coupons'
+    });
+
+    // CouponCampaign has many CouponRedemptions
+    CouponCampaign.hasMany(models.CouponRedemption, {
+      foreignKey: 'campaign_id',
+      as: 'redemptions'
+    });
+  };
+
+  return CouponCampaign;
+};
@@ -0,0 +1,184 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * CouponRedemption model for a coupon code used on a sale or an order
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - CouponRedemption model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     CouponRedemption:
+   *       type: object
+   *       required:
+   *         - coupon_id
+   *         - campaign_id
+   *         - shop_id
+   *         - discount_amount
+   *         - revenue
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated redemption ID
+   *         coupon_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the coupon redeemed
+   *         campaign_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the coupon's campaign
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         customer_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the customer who redeemed the coupon
+   *         sale_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the sale the coupon was used on
+   *         order_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the order the coupon was used on
+   *         discount_amount:
+   *           type: number
+   *           format: decimal
+   *           description: Discount the coupon gave
+   *         revenue:
+   *           type: number
+   *           format: decimal
+   *           description: Total of the sale or order after the discount
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who applied the coupon
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the coupon was redeemed
+   */
+  const CouponRedemption = sequelize.define('CouponRedemption', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    coupon_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'coupons',
+        key: 'id'
+      }
+    },
+    campaign_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'coupon_campaigns',
+        key: 'id'
+      }
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    sale_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'sales',
+        key: 'id'
+      }
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    revenue: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'coupon_redemptions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    paranoid: false
+  });
+
+  // Define associations
+  CouponRedemption.associate = (models) => {
+    // CouponRedemption belongs to Coupon
+    CouponRedemption.belongsTo(models.Coupon, {
+      foreignKey: 'coupon_id',
+      as: 'coupon'
+    });
+
+    // CouponRedemption belongs to CouponCampaign
+    CouponRedemption.belongsTo(models.CouponCampaign, {
+      foreignKey: 'campaign_id',
+      as: 'campaign'
+    });
+
+    // CouponRedemption belongs to Customer
+    CouponRedemption.belongsTo(models.Customer, {
+      foreignKey: 'customer_id',
+      as: 'customer'
+    });
+
+    // CouponRedemption belongs to Sale
+    CouponRedemption.belongsTo(models.Sale, {
+      foreignKey: 'sale_id',
+      as: 'sale'
+    });
+
+    // CouponRedemption belongs to Order
+    CouponRedemption.belongsTo(models.Order, {
+      foreignKey: 'order_id',
+      as: 'order'
+    });
+  };
+
+  return CouponRedemption;
+};
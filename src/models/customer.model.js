@@ -54,8 +54,36 @@ module.exports = (sequelize) => {
    *           description: Customer's loyalty points
    *         loyalty_tier:
    *           type: string
-   *           enum: [bronze, silver, gold, platinum]
-   *           description: Customer's loyalty tier
+   *           description: Name of the customer's loyalty tier
+   *         loyalty_tier_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the customer's loyalty tier, one of the tiers of the shop they qualified in
+   *         loyalty_tier_evaluated_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the customer's tier was last worked out
+   *         credit_limit:
+   *           type: number
+   *           format: decimal
+   *           nullable: true
+   *           description: Most the customer may owe a shop on account; empty when they cannot buy on account
+   *         buyer_type:
+   *           type: string
+   *           enum: [individual, legal, civil_partnership, foreign, end_consumer]
+   *           description: How the customer is identified on tax invoices; end consumers are not named
+   *         national_id:
+   *           type: string
+   *           nullable: true
+   *           description: National code of a person or national ID of a company
+   *         economic_code:
+   *           type: string
+   *           nullable: true
+   *           description: Tax economic code of a business buyer
+   *         locale:
+   *           type: string
+   *           enum: [fa, en]
+   *           description: Language for messages sent to the customer (defaults to the shop setting)
    *         is_active:
    *           type: boolean
    *           description: Whether the customer is active
@@ -114,8 +142,40 @@ module.exports = (sequelize) => {
       defaultValue: 0
     },
     loyalty_tier: {
-      type: DataTypes.ENUM('bronze', 'silver', 'gold', 'platinum'),
-      defaultValue: 'bronze'
+      type: DataTypes.STRING(50)
+    },
+    loyalty_tier_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'loyalty_tiers',
+        key: 'id'
+      }
+    },
+    loyalty_tier_evaluated_at: {
+      type: DataTypes.DATE
+    },
+    credit_limit: {
+      type: DataTypes.DECIMAL(12, 2),
+      validate: {
+        min: 0
+      }
+    },
+    buyer_type: {
+      type: DataTypes.ENUM('individual', 'legal', 'civil_partnership', 'foreign', 'end_consumer'),
+      allowNull: false,
+      defaultValue: 'end_consumer'
+    },
+    national_id: {
+      type: DataTypes.STRING(12)
+    },
+    economic_code: {
+      type: DataTypes.STRING(14)
+    },
+    locale: {
+      type: DataTypes.STRING(5),
+      validate: {
+        isIn: [['fa', 'en']]
+      }
     },
     is_active: {
       type: DataTypes.BOOLEAN,
@@ -146,6 +206,14 @@ module.exports = (sequelize) => {
       });
     }
 
+    // Customer belongs to a LoyaltyTier
+    if (models.LoyaltyTier) {
+      Customer.belongsTo(models.LoyaltyTier, {
+        foreignKey: 'loyalty_tier_id',
+        as: 'tier'
+      });
+    }
+
     // Customer has many LoyaltyRewardRedemptions
     if (models.LoyaltyRewardRedemption) {
       Customer.hasMany(models.LoyaltyRewardRedemption, {
@@ -0,0 +1,139 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * CustomerRepayment model for money a customer pays towards their tab. The
+ * payments it makes on the open invoices point back to it.
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - CustomerRepayment model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     CustomerRepayment:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - customer_id
+   *         - amount
+   *         - payment_method
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated repayment ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         customer_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the customer repaying
+   *         amount:
+   *           type: number
+   *           format: decimal
+   *           description: Amount repaid
+   *         payment_method:
+   *           type: string
+   *           enum: [cash, card, mobile, credit]
+   *           description: How the customer paid
+   *         reference_number:
+   *           type: string
+   *           description: Reference of the payment
+   *         notes:
+   *           type: string
+   *           description: Notes
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who took the repayment
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the repayment was taken
+   */
+  const CustomerRepayment = sequelize.define('CustomerRepayment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    payment_method: {
+      type: DataTypes.ENUM('cash', 'card', 'mobile', 'credit'),
+      allowNull: false
+    },
+    reference_number: {
+      type: DataTypes.STRING(50)
+    },
+    notes: {
+      type: DataTypes.TEXT
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'customer_repayments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    paranoid: false
+  });
+
+  // Define associations
+  CustomerRepayment.associate = (models) => {
+    // CustomerRepayment belongs to Shop
+    CustomerRepayment.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // CustomerRepayment belongs to Customer
+    CustomerRepayment.belongsTo(models.Customer, {
+      foreignKey: 'customer_id',
+      as: 'customer'
+    });
+
+    // CustomerRepayment belongs to User
+    CustomerRepayment.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    // CustomerRepayment has many Payments (one per invoice it paid towards)
+    CustomerRepayment.hasMany(models.Payment, {
+      foreignKey: 'repayment_id',
+      as: 'payments'
+    });
+  };
+
+  return CustomerRepayment;
+};
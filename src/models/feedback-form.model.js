@@ -1,5 +1,3 @@
-const { DataTypes } = require('sequelize');
-
 /**
  * FeedbackForm model for managing customer feedback forms
  * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
@@ -1,5 +1,3 @@
-const { DataTypes } = require('sequelize');
-
 /**
  * FeedbackQuestion model for storing questions in feedback forms
  * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
@@ -1,5 +1,3 @@
-const { DataTypes } = require('sequelize');
-
 /**
  * FeedbackResponseDetail model for storing individual question responses
  * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
@@ -1,5 +1,3 @@
-const { DataTypes } = require('sequelize');
-
 /**
  * FeedbackResponse model for storing customer responses to feedback forms
  * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
@@ -43,6 +43,10 @@ module.exports = (sequelize) => {
    *           type: string
    *           format: uuid
    *           description: ID of the user who performed this transaction
+   *         location_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the location whose stock changed
    *         created_at:
    *           type: string
    *           format: date-time
@@ -82,6 +86,13 @@ module.exports = (sequelize) => {
         model: 'users',
         key: 'id'
       }
+    },
+    location_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'locations',
+        key: 'id'
+      }
     }
   }, {
     tableName: 'inventory_transactions',
@@ -103,6 +114,10 @@ module.exports = (sequelize) => {
       {
         name: 'idx_inventory_transactions_reference_id',
         fields: ['reference_id']
+      },
+      {
+        name: 'idx_inventory_transactions_location_id',
+        fields: ['location_id']
       }
     ]
   });
@@ -120,6 +135,12 @@ module.exports = (sequelize) => {
       foreignKey: 'user_id',
       as: 'user'
     });
+
+    // InventoryTransaction belongs to Location
+    InventoryTransaction.belongsTo(models.Location, {
+      foreignKey: 'location_id',
+      as: 'location'
+    });
   };
 
   return InventoryTransaction;
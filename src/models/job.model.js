@@ -0,0 +1,173 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Job model for background work (reports, exports, notifications).
+ * The row is the source of truth for status and result, whichever queue
+ * driver actually runs the job.
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - Job model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Job:
+   *       type: object
+   *       required:
+   *         - queue
+   *         - name
+   *         - status
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated job ID
+   *         queue:
+   *           type: string
+   *           description: Queue the job runs on (e.g. reports, exports, notifications)
+   *         name:
+   *           type: string
+   *           description: Job type within the queue
+   *         status:
+   *           type: string
+   *           enum: [waiting, active, completed, failed]
+   *           description: Job status
+   *         progress:
+   *           type: integer
+   *           minimum: 0
+   *           maximum: 100
+   *           description: Completion percentage reported by the job
+   *         result:
+   *           type: object
+   *           description: Output of a completed job
+   *         error:
+   *           type: string
+   *           description: Error message of the last failed attempt
+   *         attempts_made:
+   *           type: integer
+   *           description: Number of attempts started so far
+   *         max_attempts:
+   *           type: integer
+   *           description: Attempts allowed before the job is marked failed
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: Shop the job belongs to
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: User who queued the job
+   *         started_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the latest attempt started
+   *         finished_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the job completed or finally failed
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the job was queued
+   */
+  const Job = sequelize.define('Job', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    queue: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('waiting', 'active', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'waiting'
+    },
+    progress: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    data: {
+      type: DataTypes.JSONB
+    },
+    result: {
+      type: DataTypes.JSONB
+    },
+    error: {
+      type: DataTypes.TEXT
+    },
+    attempts_made: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    started_at: {
+      type: DataTypes.DATE
+    },
+    finished_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'jobs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  /**
+   * Whether the job has stopped for good
+   * @returns {boolean}
+   */
+  Job.prototype.isFinished = function() {
+    return this.status === 'completed' || this.status === 'failed';
+  };
+
+  // Define associations
+  Job.associate = (models) => {
+    // Job belongs to Shop
+    Job.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // Job belongs to User
+    Job.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return Job;
+};
@@ -0,0 +1,129 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Location model for a shop's warehouses and branches that hold stock
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - Location model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Location:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - name
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated location ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop this location belongs to
+   *         name:
+   *           type: string
+   *           description: Location name
+   *         code:
+   *           type: string
+   *           description: Short code for the location
+   *         type:
+   *           type: string
+   *           enum: [warehouse, branch]
+   *           description: Kind of location
+   *         address:
+   *           type: string
+   *           description: Location address
+   *         phone:
+   *           type: string
+   *           description: Location phone number
+   *         is_default:
+   *           type: boolean
+   *           description: Whether sales and receipts without a location use this one
+   *         is_active:
+   *           type: boolean
+   *           description: Whether the location is active
+   *         notes:
+   *           type: string
+   *           description: Additional notes
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const Location = sequelize.define('Location', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    code: {
+      type: DataTypes.STRING(20)
+    },
+    type: {
+      type: DataTypes.ENUM('warehouse', 'branch'),
+      allowNull: false,
+      defaultValue: 'branch'
+    },
+    address: {
+      type: DataTypes.TEXT
+    },
+    phone: {
+      type: DataTypes.STRING(20)
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    notes: {
+      type: DataTypes.TEXT
+    }
+  }, {
+    tableName: 'locations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Define associations
+  Location.associate = (models) => {
+    // Location belongs to Shop
+    Location.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // Location has many LocationInventory rows
+    Location.hasMany(models.LocationInventory, {
+      foreignKey: 'location_id',
+      as: 'stock'
+    });
+  };
+
+  return Location;
+};
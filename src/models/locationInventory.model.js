@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * LocationInventory model for the stock of a product held at one location.
+ * The shop-wide Inventory row remains the total across all locations.
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - LocationInventory model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     LocationInventory:
+   *       type: object
+   *       required:
+   *         - location_id
+   *         - product_id
+   *         - shop_id
+   *         - quantity
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated record ID
+   *         location_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the location holding the stock
+   *         product_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the product
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         quantity:
+   *           type: integer
+   *           description: Quantity on hand at this location
+   *         bin:
+   *           type: string
+   *           description: Shelf or bin within the location
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const LocationInventory = sequelize.define('LocationInventory', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    location_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'locations',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    bin: {
+      type: DataTypes.STRING(100)
+    }
+  }, {
+    tableName: 'location_inventory',
+    timestamps: true,
+    createdAt: false,
+    updatedAt: 'updated_at',
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['location_id', 'product_id']
+      }
+    ]
+  });
+
+  // Define associations
+  LocationInventory.associate = (models) => {
+    // LocationInventory belongs to Location
+    LocationInventory.belongsTo(models.Location, {
+      foreignKey: 'location_id',
+      as: 'location'
+    });
+
+    // LocationInventory belongs to Product
+    LocationInventory.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+  };
+
+  return LocationInventory;
+};
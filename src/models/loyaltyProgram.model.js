@@ -1,10 +1,11 @@
+const { DataTypes } = require('sequelize');
+
 /**
- * Loyalty Program model
+ * LoyaltyProgram model for how many points a shop's customers earn
  * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
- * @param {import('sequelize/types').DataTypes} DataTypes - Sequelize data types
  * @returns {import('sequelize').Model} - LoyaltyProgram model
  */
-module.exports = (sequelize, DataTypes) => {
+module.exports = (sequelize) => {
   /**
    * @swagger
    * components:
@@ -12,26 +13,78 @@ module.exports = (sequelize, DataTypes) => {
    *     LoyaltyProgram:
    *       type: object
    *       required:
+   *         - shop_id
    *         - name
    *         - points_per_currency
-   *         - is_active
    *       properties:
    *         id:
    *           type: string
    *           format: uuid
    *           description: The auto-generated program ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop running the program
    *         name:
    *           type: string
-   *           description: The name of the loyalty program
+   *           description: The name of the loyalty program, unique in the shop
    *         description:
    *           type: string
    *           description: Description of the loyalty program
    *         points_per_currency:
    *           type: number
-   *           description: Number of points awarded per currency unit spent
+   *           description: Points earned per currency unit spent on products no rule covers
+   *         earn_rules:
+   *           type: array
+   *           description: >
+   *             Earn rates for particular products or categories. A product
+   *             rule wins over a category rule, and a rule for a category wins
+   *             over one for its parent.
+   *           items:
+   *             type: object
+   *             properties:
+   *               product_id:
+   *                 type: string
+   *                 format: uuid
+   *               category_id:
+   *                 type: string
+   *                 format: uuid
+   *               points_per_currency:
+   *                 type: number
+   *         excluded_product_ids:
+   *           type: array
+   *           description: Products that never earn points
+   *           items:
+   *             type: string
+   *             format: uuid
+   *         bonus_periods:
+   *           type: array
+   *           description: Promotional periods multiplying the points earned; where periods overlap the largest multiplier applies
+   *           items:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               multiplier:
+   *                 type: number
+   *               starts_at:
+   *                 type: string
+   *                 format: date-time
+   *               ends_at:
+   *                 type: string
+   *                 format: date-time
+   *         points_expiry_months:
+   *           type: integer
+   *           description: Months points earned under the program stay valid; empty for points that never expire
+   *         expiry_warning_days:
+   *           type: integer
+   *           description: Days before points expire that the customer is warned
+   *         redemption_rate:
+   *           type: number
+   *           description: Currency value of one point when redeemed, used to value outstanding points
    *         is_active:
    *           type: boolean
-   *           description: Whether the program is currently active
+   *           description: Whether the program is switched on
    *         start_date:
    *           type: string
    *           format: date-time
@@ -40,6 +93,18 @@ module.exports = (sequelize, DataTypes) => {
    *           type: string
    *           format: date-time
    *           description: When the program ends (optional)
+   *         created_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who created the program
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
    */
   const LoyaltyProgram = sequelize.define('LoyaltyProgram', {
     id: {
@@ -47,21 +112,69 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true
     },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
     name: {
       type: DataTypes.STRING(100),
       allowNull: false,
-      unique: true
+      validate: {
+        notEmpty: true
+      }
     },
     description: {
       type: DataTypes.TEXT,
       allowNull: true
     },
     points_per_currency: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(12, 4),
       allowNull: false,
-      defaultValue: 1.0,
+      defaultValue: 0,
       validate: {
-        min: 0.01
+        min: 0
+      }
+    },
+    earn_rules: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    excluded_product_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    bonus_periods: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    points_expiry_months: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    expiry_warning_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      validate: {
+        min: 0
+      }
+    },
+    redemption_rate: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
       }
     },
     is_active: {
@@ -77,29 +190,49 @@ module.exports = (sequelize, DataTypes) => {
     end_date: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
     }
   }, {
     tableName: 'loyalty_programs',
     timestamps: true,
-    underscored: true
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'name'],
+        name: 'loyalty_programs_shop_name_unique'
+      }
+    ]
   });
 
   // Define associations
-  LoyaltyProgram.associate = function(models) {
-    // A loyalty program has many loyalty transactions
+  LoyaltyProgram.associate = (models) => {
+    // LoyaltyProgram belongs to Shop
+    LoyaltyProgram.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // LoyaltyProgram belongs to User (creator)
+    LoyaltyProgram.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    // A loyalty program awards points through loyalty transactions
     LoyaltyProgram.hasMany(models.LoyaltyTransaction, {
       foreignKey: 'program_id',
       as: 'transactions'
     });
-
-    // A loyalty program has many rewards
-    if (models.LoyaltyReward) {
-      LoyaltyProgram.hasMany(models.LoyaltyReward, {
-        foreignKey: 'program_id',
-        as: 'rewards'
-      });
-    }
   };
 
   return LoyaltyProgram;
-}; 
\ No newline at end of file
+};
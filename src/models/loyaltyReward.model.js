@@ -50,8 +50,7 @@ module.exports = (sequelize) => {
    *           description: Whether the reward is active
    *         min_tier:
    *           type: string
-   *           enum: [bronze, silver, gold, platinum]
-   *           description: Minimum loyalty tier required
+   *           description: Name of the lowest loyalty tier that may redeem the reward; any customer may when empty
    *         image_url:
    *           type: string
    *           description: URL to reward image
@@ -114,8 +113,7 @@ module.exports = (sequelize) => {
       defaultValue: true
     },
     min_tier: {
-      type: DataTypes.ENUM('bronze', 'silver', 'gold', 'platinum'),
-      defaultValue: 'bronze'
+      type: DataTypes.STRING(50)
     },
     image_url: {
       type: DataTypes.TEXT
@@ -0,0 +1,183 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * LoyaltyTier model for the tiers a shop places its customers in
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - LoyaltyTier model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     LoyaltyTier:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - name
+   *         - level
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated tier ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop the tier belongs to
+   *         name:
+   *           type: string
+   *           description: Tier name, unique in the shop
+   *         level:
+   *           type: integer
+   *           description: Rank of the tier, 0 for the entry tier; customers get the highest tier they qualify for
+   *         description:
+   *           type: string
+   *         min_points:
+   *           type: integer
+   *           description: Points earned in the shop over the window
+   *         min_spend:
+   *           type: number
+   *           format: float
+   *           description: Amount spent in the shop over the window
+   *         min_visits:
+   *           type: integer
+   *           description: Purchases in the shop over the window
+   *         qualify_on:
+   *           type: string
+   *           enum: [any, all]
+   *           description: Whether meeting any one of the minimums qualifies, or all of them. A tier without minimums takes every customer.
+   *         window_days:
+   *           type: integer
+   *           description: Rolling window the minimums are counted over, in days
+   *         discount_percent:
+   *           type: number
+   *           format: float
+   *           description: Discount taken off the customer's sales at checkout
+   *         benefits:
+   *           type: array
+   *           description: Benefits shown to customers
+   *           items:
+   *             type: string
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const LoyaltyTier = sequelize.define('LoyaltyTier', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    level: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    min_points: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 0
+      }
+    },
+    min_spend: {
+      type: DataTypes.DECIMAL(12, 2),
+      validate: {
+        min: 0
+      }
+    },
+    min_visits: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 0
+      }
+    },
+    qualify_on: {
+      type: DataTypes.ENUM('any', 'all'),
+      allowNull: false,
+      defaultValue: 'any'
+    },
+    window_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 365,
+      validate: {
+        min: 1
+      }
+    },
+    discount_percent: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    benefits: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    }
+  }, {
+    tableName: 'loyalty_tiers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'name'],
+        name: 'loyalty_tiers_shop_name_unique'
+      },
+      {
+        unique: true,
+        fields: ['shop_id', 'level'],
+        name: 'loyalty_tiers_shop_level_unique'
+      }
+    ]
+  });
+
+  // Define associations
+  LoyaltyTier.associate = (models) => {
+    // LoyaltyTier belongs to Shop
+    LoyaltyTier.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // Customers currently in the tier
+    LoyaltyTier.hasMany(models.Customer, {
+      foreignKey: 'loyalty_tier_id',
+      as: 'customers'
+    });
+  };
+
+  return LoyaltyTier;
+};
@@ -0,0 +1,159 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * LoyaltyTierChange model for the history of a customer's loyalty tier
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - LoyaltyTierChange model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     LoyaltyTierChange:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated change ID
+   *         customer_id:
+   *           type: string
+   *           format: uuid
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop whose tiers were evaluated
+   *         from_tier_id:
+   *           type: string
+   *           format: uuid
+   *         to_tier_id:
+   *           type: string
+   *           format: uuid
+   *         from_tier:
+   *           type: string
+   *           description: Name of the tier the customer left
+   *         to_tier:
+   *           type: string
+   *           description: Name of the tier the customer moved to
+   *         change_type:
+   *           type: string
+   *           enum: [joined, promoted, demoted, removed]
+   *         points:
+   *           type: integer
+   *           description: Points the customer earned over the window of the new tier
+   *         spend:
+   *           type: number
+   *           format: float
+   *           description: What the customer spent over the window of the new tier
+   *         visits:
+   *           type: integer
+   *           description: Purchases the customer made over the window of the new tier
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the tier changed
+   */
+  const LoyaltyTierChange = sequelize.define('LoyaltyTierChange', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    customer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    from_tier_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'loyalty_tiers',
+        key: 'id'
+      }
+    },
+    to_tier_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'loyalty_tiers',
+        key: 'id'
+      }
+    },
+    from_tier: {
+      type: DataTypes.STRING(50)
+    },
+    to_tier: {
+      type: DataTypes.STRING(50)
+    },
+    change_type: {
+      type: DataTypes.ENUM('joined', 'promoted', 'demoted', 'removed'),
+      allowNull: false
+    },
+    points: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    spend: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    visits: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'loyalty_tier_changes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false, // Tier changes are never edited
+    paranoid: false,
+    indexes: [
+      {
+        fields: ['customer_id', 'created_at'],
+        name: 'loyalty_tier_changes_customer_created'
+      }
+    ]
+  });
+
+  // Define associations
+  LoyaltyTierChange.associate = (models) => {
+    // LoyaltyTierChange belongs to Customer
+    LoyaltyTierChange.belongsTo(models.Customer, {
+      foreignKey: 'customer_id',
+      as: 'customer'
+    });
+
+    // LoyaltyTierChange belongs to Shop
+    LoyaltyTierChange.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // The tiers the customer moved between
+    LoyaltyTierChange.belongsTo(models.LoyaltyTier, {
+      foreignKey: 'from_tier_id',
+      as: 'fromTier'
+    });
+
+    LoyaltyTierChange.belongsTo(models.LoyaltyTier, {
+      foreignKey: 'to_tier_id',
+      as: 'toTier'
+    });
+  };
+
+  return LoyaltyTierChange;
+};
@@ -1,4 +1,4 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 
 /**
  * LoyaltyTransaction model for tracking customer loyalty points
@@ -29,6 +29,14 @@ module.exports = (sequelize) => {
    *           type: string
    *           format: uuid
    *           description: ID of the sale that generated this transaction (if applicable)
+   *         order_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the order that generated this transaction (if applicable)
+   *         program_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the loyalty program the points were earned under (if applicable)
    *         user_id:
    *           type: string
    *           format: uuid
@@ -43,6 +51,21 @@ module.exports = (sequelize) => {
    *         description:
    *           type: string
    *           description: Description of the transaction
+   *         points_remaining:
+   *           type: integer
+   *           description: For credits, how many of the points are not yet spent or expired
+   *         expires_at:
+   *           type: string
+   *           format: date-time
+   *           description: For credits, when the points left expire (empty if they never do)
+   *         expiry_warned_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the customer was warned these points are about to expire
+   *         expired_transaction_id:
+   *           type: string
+   *           format: uuid
+   *           description: For expiry debits, ID of the credit whose points expired
    *         created_at:
    *           type: string
    *           format: date-time
@@ -69,6 +92,20 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    order_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    program_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'loyalty_programs',
+        key: 'id'
+      }
+    },
     user_id: {
       type: DataTypes.UUID,
       references: {
@@ -86,6 +123,22 @@ module.exports = (sequelize) => {
     },
     description: {
       type: DataTypes.TEXT
+    },
+    points_remaining: {
+      type: DataTypes.INTEGER
+    },
+    expires_at: {
+      type: DataTypes.DATE
+    },
+    expiry_warned_at: {
+      type: DataTypes.DATE
+    },
+    expired_transaction_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'loyalty_transactions',
+        key: 'id'
+      }
     }
   }, {
     tableName: 'loyalty_transactions',
@@ -102,8 +155,76 @@ module.exports = (sequelize) => {
       {
         name: 'idx_loyalty_transactions_sale_id',
         fields: ['sale_id']
+      },
+      {
+        name: 'idx_loyalty_transactions_customer_created',
+        fields: ['customer_id', 'created_at']
+      },
+      {
+        name: 'idx_loyalty_transactions_expires_at',
+        fields: ['expires_at']
       }
-    ]
+    ],
+
+    hooks: {
+      // A credit is a lot of points: all of them are left to spend, until the
+      // expiry set by the program that awarded them
+      beforeCreate: async (entry, options) => {
+        if (entry.type !== 'credit') {
+          return;
+        }
+
+        if (entry.points_remaining === null || entry.points_remaining === undefined) {
+          entry.points_remaining = entry.points;
+        }
+
+        if (!entry.expires_at && entry.program_id) {
+          const program = await sequelize.models.LoyaltyProgram.findByPk(entry.program_id, {
+            attributes: ['points_expiry_months'],
+            transaction: options.transaction
+          });
+
+          if (program && program.points_expiry_months) {
+            const expiresAt = new Date();
+            expiresAt.setMonth(expiresAt.getMonth() + program.points_expiry_months);
+            entry.expires_at = expiresAt;
+          }
+        }
+      },
+
+      // A debit spends the customer's oldest points first. An expiry debit
+      // has already written off the lot it expires.
+      afterCreate: async (entry, options) => {
+        if (entry.type !== 'debit' || entry.expired_transaction_id) {
+          return;
+        }
+
+        let toSpend = Math.abs(entry.points);
+        const lots = await LoyaltyTransaction.findAll({
+          where: {
+            customer_id: entry.customer_id,
+            type: 'credit',
+            points_remaining: { [Op.gt]: 0 }
+          },
+          order: [['created_at', 'ASC'], ['id', 'ASC']],
+          lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined,
+          transaction: options.transaction
+        });
+
+        for (const lot of lots) {
+          if (toSpend <= 0) {
+            break;
+          }
+
+          const spent = Math.min(toSpend, lot.points_remaining);
+          await lot.update({ points_remaining: lot.points_remaining - spent }, {
+            transaction: options.transaction,
+            hooks: false
+          });
+          toSpend -= spent;
+        }
+      }
+    }
   });
 
   // Define associations
@@ -120,6 +241,24 @@ module.exports = (sequelize) => {
       as: 'sale'
     });
 
+    // LoyaltyTransaction belongs to Order (optional)
+    LoyaltyTransaction.belongsTo(models.Order, {
+      foreignKey: 'order_id',
+      as: 'order'
+    });
+
+    // LoyaltyTransaction belongs to the LoyaltyProgram that awarded the points (optional)
+    LoyaltyTransaction.belongsTo(models.LoyaltyProgram, {
+      foreignKey: 'program_id',
+      as: 'program'
+    });
+
+    // An expiry debit belongs to the credit it wrote off
+    LoyaltyTransaction.belongsTo(models.LoyaltyTransaction, {
+      foreignKey: 'expired_transaction_id',
+      as: 'expiredTransaction'
+    });
+
     // LoyaltyTransaction belongs to User (who performed the transaction)
     LoyaltyTransaction.belongsTo(models.User, {
       foreignKey: 'user_id',
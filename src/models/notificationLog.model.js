@@ -0,0 +1,194 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * NotificationLog model recording every email and SMS the system sends,
+ * with the rendered message and the provider's delivery outcome
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - NotificationLog model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     NotificationLog:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated log ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: Shop the message was sent for
+   *         template:
+   *           type: string
+   *           description: Template key (e.g. order_status_changed)
+   *         channel:
+   *           type: string
+   *           enum: [email, sms]
+   *           description: Delivery channel
+   *         locale:
+   *           type: string
+   *           enum: [fa, en]
+   *           description: Language the message was rendered in
+   *         recipient:
+   *           type: string
+   *           description: Email address or phone number
+   *         subject:
+   *           type: string
+   *           description: Email subject
+   *         body:
+   *           type: string
+   *           description: Rendered message text
+   *         provider:
+   *           type: string
+   *           description: Provider that handled the message (smtp, kavenegar, console)
+   *         status:
+   *           type: string
+   *           enum: [queued, sent, failed]
+   *           description: Delivery status
+   *         provider_reference:
+   *           type: string
+   *           description: Message ID returned by the provider
+   *         attempts:
+   *           type: integer
+   *           description: Delivery attempts made
+   *         error:
+   *           type: string
+   *           description: Error from the last failed attempt
+   *         reference_type:
+   *           type: string
+   *           description: Kind of record the message is about (order, loyalty_redemption, user)
+   *         reference_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the record the message is about
+   *         sent_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the provider accepted the message
+   */
+  const NotificationLog = sequelize.define('NotificationLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    template: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    channel: {
+      type: DataTypes.ENUM('email', 'sms'),
+      allowNull: false
+    },
+    locale: {
+      type: DataTypes.STRING(5),
+      allowNull: false
+    },
+    recipient: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING(255)
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    provider: {
+      type: DataTypes.STRING(50)
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    provider_reference: {
+      type: DataTypes.STRING(255)
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    error: {
+      type: DataTypes.TEXT
+    },
+    customer_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reference_type: {
+      type: DataTypes.STRING(50)
+    },
+    reference_id: {
+      type: DataTypes.UUID
+    },
+    job_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    sent_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'notification_logs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  // Define associations
+  NotificationLog.associate = (models) => {
+    // NotificationLog belongs to Shop
+    NotificationLog.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // NotificationLog belongs to Customer (recipient)
+    NotificationLog.belongsTo(models.Customer, {
+      foreignKey: 'customer_id',
+      as: 'customer'
+    });
+
+    // NotificationLog belongs to User (recipient)
+    NotificationLog.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    // NotificationLog belongs to Job
+    NotificationLog.belongsTo(models.Job, {
+      foreignKey: 'job_id',
+      as: 'job'
+    });
+  };
+
+  return NotificationLog;
+};
@@ -0,0 +1,136 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * NumberSequence model for the counter a shop numbers one type of document
+ * from, such as invoices or purchase orders
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - NumberSequence model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     NumberSequence:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - document_type
+   *         - format
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated sequence ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         document_type:
+   *           type: string
+   *           enum: [invoice, order, purchase_order, transfer, stocktake, return]
+   *           description: Type of document numbered from this sequence
+   *         prefix:
+   *           type: string
+   *           description: Text put in place of {prefix}
+   *         format:
+   *           type: string
+   *           description: >
+   *             Number format. Tokens are {prefix}, {seq} or {seq:N} (counter padded to N digits),
+   *             {yyyy}, {yy}, {mm}, {dd} for the Gregorian date and {jyyyy}, {jyy}, {jmm}, {jdd}
+   *             for the Jalali date, both in the business timezone
+   *         calendar:
+   *           type: string
+   *           enum: [jalali, gregorian]
+   *           description: Calendar whose years, months or days the counter restarts with
+   *         reset_period:
+   *           type: string
+   *           enum: [never, yearly, monthly, daily]
+   *           description: How often the counter restarts from 1
+   *         current_period:
+   *           type: string
+   *           nullable: true
+   *           description: Period the last number was taken in
+   *         last_value:
+   *           type: integer
+   *           description: Last counter value taken
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const NumberSequence = sequelize.define('NumberSequence', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    document_type: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    prefix: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: ''
+    },
+    format: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    calendar: {
+      type: DataTypes.ENUM('jalali', 'gregorian'),
+      allowNull: false,
+      defaultValue: 'jalali'
+    },
+    reset_period: {
+      type: DataTypes.ENUM('never', 'yearly', 'monthly', 'daily'),
+      allowNull: false,
+      defaultValue: 'yearly'
+    },
+    current_period: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    last_value: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'number_sequences',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'document_type']
+      }
+    ]
+  });
+
+  // Define associations
+  NumberSequence.associate = (models) => {
+    // NumberSequence belongs to Shop
+    NumberSequence.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+  };
+
+  return NumberSequence;
+};
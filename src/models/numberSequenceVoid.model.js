@@ -0,0 +1,119 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * NumberSequenceVoid model for document numbers taken from a sequence whose
+ * document was later removed; the number is never given out again
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - NumberSequenceVoid model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     NumberSequenceVoid:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - document_type
+   *         - number
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated void ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         document_type:
+   *           type: string
+   *           enum: [invoice, order, purchase_order, transfer, stocktake, return]
+   *           description: Type of the removed document
+   *         number:
+   *           type: string
+   *           description: The voided number
+   *         document_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the removed document
+   *         reason:
+   *           type: string
+   *           description: Why the number was voided
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who removed the document
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the number was voided
+   */
+  const NumberSequenceVoid = sequelize.define('NumberSequenceVoid', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    document_type: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    document_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.TEXT
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'number_sequence_voids',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'document_type', 'number']
+      }
+    ]
+  });
+
+  // Define associations
+  NumberSequenceVoid.associate = (models) => {
+    // NumberSequenceVoid belongs to Shop
+    NumberSequenceVoid.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // NumberSequenceVoid belongs to User
+    NumberSequenceVoid.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return NumberSequenceVoid;
+};
@@ -25,7 +25,7 @@ module.exports = (sequelize) => {
    *           description: The auto-generated order ID
    *         order_number:
    *           type: string
-   *           description: Unique order number (generated)
+   *           description: Order number, taken from the shop's order sequence
    *         customer_id:
    *           type: string
    *           format: uuid
@@ -49,7 +49,19 @@ module.exports = (sequelize) => {
    *         total_amount:
    *           type: number
    *           format: float
-   *           description: Total order amount
+   *           description: Total order amount, after any coupon discount
+   *         coupon_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the coupon redeemed on the order
+   *         coupon_discount:
+   *           type: number
+   *           format: float
+   *           description: Discount the coupon gave on the order
+   *         loyalty_points_earned:
+   *           type: integer
+   *           description: Points the customer earned when the order was delivered
    *         payment_status:
    *           type: string
    *           enum: [pending, paid, partial, refunded]
@@ -83,7 +95,6 @@ module.exports = (sequelize) => {
     },
     order_number: {
       type: DataTypes.STRING(50),
-      unique: true,
       allowNull: false
     },
     customer_id: {
@@ -120,6 +131,24 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: 0
     },
+    coupon_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'coupons',
+        key: 'id'
+      }
+    },
+    coupon_discount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    loyalty_points_earned: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
     payment_status: {
       type: DataTypes.ENUM('pending', 'paid', 'partial', 'refunded'),
       allowNull: false,
@@ -143,15 +172,25 @@ module.exports = (sequelize) => {
     createdAt: 'created_at',
     updatedAt: 'updated_at',
     paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'order_number']
+      }
+    ],
     
     // Hooks
     hooks: {
-      beforeCreate: async (order) => {
-        // Generate order number if not provided
+      beforeCreate: async (order, options) => {
+        // Take the next number of the shop's order sequence if not provided
         if (!order.order_number) {
-          const timestamp = Date.now().toString().substring(4); // Use timestamp for uniqueness
-          const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0'); // Add random digits
-          order.order_number = `ORD-${timestamp}-${random}`;
+          const numberSequenceService = require('../services/numberSequence.service');
+          order.order_number = await numberSequenceService.nextNumber(
+            order.shop_id,
+            'order',
+            options.transaction,
+            order.order_date
+          );
         }
       }
     }
@@ -175,6 +214,14 @@ module.exports = (sequelize) => {
       });
     }
 
+    // Order belongs to Coupon
+    if (models.Coupon) {
+      Order.belongsTo(models.Coupon, {
+        foreignKey: 'coupon_id',
+        as: 'coupon'
+      });
+    }
+
     // Order has many OrderItems
     if (models.OrderItem) {
       Order.hasMany(models.OrderItem, {
@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * OtpCode model for one-time login codes sent by SMS.
+ * Only a keyed hash of the code is stored.
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - OtpCode model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     OtpCode:
+   *       type: object
+   *       required:
+   *         - phone
+   *         - audience
+   *         - expires_at
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated code ID
+   *         phone:
+   *           type: string
+   *           description: Normalised mobile number (09xxxxxxxxx)
+   *         audience:
+   *           type: string
+   *           enum: [staff, customer]
+   *           description: Whether the code signs in a staff user or a customer
+   *         expires_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the code stops being accepted
+   *         attempts:
+   *           type: integer
+   *           description: Wrong guesses made against this code
+   *         consumed_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the code was used or invalidated
+   *         locked_until:
+   *           type: string
+   *           format: date-time
+   *           description: Set when too many wrong guesses lock the phone out
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the code was sent
+   */
+  const OtpCode = sequelize.define('OtpCode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    audience: {
+      type: DataTypes.ENUM('staff', 'customer'),
+      allowNull: false
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    consumed_at: {
+      type: DataTypes.DATE
+    },
+    locked_until: {
+      type: DataTypes.DATE
+    },
+    ip_address: {
+      type: DataTypes.STRING(45)
+    }
+  }, {
+    tableName: 'otp_codes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  /**
+   * Whether the code can still be used
+   * @returns {boolean}
+   */
+  OtpCode.prototype.isUsable = function() {
+    return !this.consumed_at && new Date() < this.expires_at;
+  };
+
+  return OtpCode;
+};
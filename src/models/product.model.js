@@ -64,6 +64,14 @@ module.exports = (sequelize) => {
    *           type: number
    *           format: decimal
    *           description: Tax rate percentage
+   *         tax_service_id:
+   *           type: string
+   *           nullable: true
+   *           description: 13-digit goods/service ID (شناسه کالا/خدمت) reported on tax invoices
+   *         tax_unit_code:
+   *           type: string
+   *           nullable: true
+   *           description: Tax portal code of the unit the product is sold in; the shop's default when empty
    *         image_url:
    *           type: string
    *           description: URL to product image
@@ -77,6 +85,32 @@ module.exports = (sequelize) => {
    *         weight_unit:
    *           type: string
    *           description: Unit of weight measure (e.g., kg, g)
+   *         parent_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: The product this is a variant of
+   *         options:
+   *           type: array
+   *           description: Option types the product's variants are made of
+   *           items:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: size
+   *               values:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: [S, M, L]
+   *         option_values:
+   *           type: object
+   *           nullable: true
+   *           additionalProperties:
+   *             type: string
+   *           description: A variant's value for each of its parent's options
+   *           example: { size: M, colour: Red }
    *         created_at:
    *           type: string
    *           format: date-time
@@ -151,6 +185,12 @@ module.exports = (sequelize) => {
     tax_rate: {
       type: DataTypes.DECIMAL(5, 2)
     },
+    tax_service_id: {
+      type: DataTypes.STRING(13)
+    },
+    tax_unit_code: {
+      type: DataTypes.STRING(10)
+    },
     image_url: {
       type: DataTypes.TEXT
     },
@@ -163,6 +203,23 @@ module.exports = (sequelize) => {
     },
     weight_unit: {
       type: DataTypes.STRING(10)
+    },
+    parent_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    options: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    option_values: {
+      type: DataTypes.JSONB,
+      allowNull: true
     }
   }, {
     tableName: 'products',
@@ -191,6 +248,18 @@ module.exports = (sequelize) => {
       as: 'unit'
     });
 
+    // A variant belongs to the product it is a variant of
+    Product.belongsTo(models.Product, {
+      foreignKey: 'parent_id',
+      as: 'parent'
+    });
+
+    // Product has many variants
+    Product.hasMany(models.Product, {
+      foreignKey: 'parent_id',
+      as: 'variants'
+    });
+
     // Product has one Inventory
     Product.hasOne(models.Inventory, {
       foreignKey: 'product_id',
@@ -208,6 +277,12 @@ module.exports = (sequelize) => {
       foreignKey: 'product_id',
       as: 'sale_items'
     });
+
+    // Product has many ProductSuppliers
+    Product.hasMany(models.ProductSupplier, {
+      foreignKey: 'product_id',
+      as: 'supplier_links'
+    });
   };
 
   return Product;
@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ProductSupplier model linking products to the suppliers that sell them
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - ProductSupplier model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ProductSupplier:
+   *       type: object
+   *       required:
+   *         - product_id
+   *         - supplier_id
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated link ID
+   *         product_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the product
+   *         supplier_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the supplier
+   *         supplier_sku:
+   *           type: string
+   *           description: The supplier's own code for the product
+   *         cost_price:
+   *           type: number
+   *           format: float
+   *           description: Price the supplier charges per unit
+   *         lead_time_days:
+   *           type: integer
+   *           description: Days between ordering and delivery
+   *         is_preferred:
+   *           type: boolean
+   *           description: Whether this is the product's preferred supplier
+   */
+  const ProductSupplier = sequelize.define('ProductSupplier', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    supplier_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    supplier_sku: {
+      type: DataTypes.STRING(50)
+    },
+    cost_price: {
+      type: DataTypes.DECIMAL(12, 2),
+      validate: {
+        min: 0
+      }
+    },
+    lead_time_days: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 0
+      }
+    },
+    is_preferred: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'product_suppliers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['product_id', 'supplier_id']
+      }
+    ]
+  });
+
+  // Define associations
+  ProductSupplier.associate = (models) => {
+    // ProductSupplier belongs to Product
+    ProductSupplier.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+
+    // ProductSupplier belongs to Supplier
+    ProductSupplier.belongsTo(models.Supplier, {
+      foreignKey: 'supplier_id',
+      as: 'supplier'
+    });
+  };
+
+  return ProductSupplier;
+};
@@ -0,0 +1,244 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Promotion model for discounts a shop applies automatically at the till
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - Promotion model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Promotion:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - name
+   *         - type
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated promotion ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         name:
+   *           type: string
+   *           description: Name shown on receipts and price previews
+   *         description:
+   *           type: string
+   *           description: Promotion description
+   *         type:
+   *           type: string
+   *           enum: [product_discount, buy_x_get_y, bundle_price, basket_discount]
+   *           description: >
+   *             product_discount takes a percentage or a fixed amount off each unit of the
+   *             targeted products; buy_x_get_y discounts get_quantity of every buy_quantity +
+   *             get_quantity targeted units (the cheapest) by value percent; bundle_price sells
+   *             every buy_quantity targeted units for value; basket_discount takes a
+   *             percentage or a fixed amount off the sale
+   *         discount_type:
+   *           type: string
+   *           enum: [percentage, fixed]
+   *           description: How value is applied by product and basket discounts
+   *         value:
+   *           type: number
+   *           format: decimal
+   *           description: Percentage, amount off, or bundle price depending on the type
+   *         buy_quantity:
+   *           type: integer
+   *           description: Units to buy (buy_x_get_y) or units in the bundle (bundle_price)
+   *         get_quantity:
+   *           type: integer
+   *           description: Units discounted per group (buy_x_get_y)
+   *         product_ids:
+   *           type: array
+   *           items:
+   *             type: string
+   *             format: uuid
+   *           description: Products the promotion applies to
+   *         category_ids:
+   *           type: array
+   *           items:
+   *             type: string
+   *             format: uuid
+   *           description: Categories (with their subcategories) the promotion applies to; no products or categories means every product
+   *         min_basket_amount:
+   *           type: number
+   *           format: decimal
+   *           description: Smallest sale subtotal, at list prices, the promotion applies to
+   *         starts_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the promotion starts
+   *         ends_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the promotion ends
+   *         days_of_week:
+   *           type: array
+   *           items:
+   *             type: integer
+   *             minimum: 0
+   *             maximum: 6
+   *           description: Days the promotion runs on, 0 (Sunday) to 6 (Saturday); empty means every day
+   *         start_time:
+   *           type: string
+   *           description: Time of day (HH:mm, business timezone) the promotion starts each day
+   *         end_time:
+   *           type: string
+   *           description: Time of day (HH:mm, business timezone) the promotion ends each day; before start_time for windows past midnight
+   *         priority:
+   *           type: integer
+   *           description: Promotions are tried from the highest priority down
+   *         stackable:
+   *           type: boolean
+   *           description: Whether the promotion combines with other promotions on the same sale
+   *         is_active:
+   *           type: boolean
+   *           description: Whether the promotion is switched on
+   *         created_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who created the promotion
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const Promotion = sequelize.define('Promotion', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    type: {
+      type: DataTypes.ENUM('product_discount', 'buy_x_get_y', 'bundle_price', 'basket_discount'),
+      allowNull: false
+    },
+    discount_type: {
+      type: DataTypes.ENUM('percentage', 'fixed')
+    },
+    value: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    buy_quantity: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 1
+      }
+    },
+    get_quantity: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 1
+      }
+    },
+    product_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    category_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    min_basket_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      validate: {
+        min: 0
+      }
+    },
+    starts_at: {
+      type: DataTypes.DATE
+    },
+    ends_at: {
+      type: DataTypes.DATE
+    },
+    days_of_week: {
+      type: DataTypes.JSONB
+    },
+    start_time: {
+      type: DataTypes.STRING(5)
+    },
+    end_time: {
+      type: DataTypes.STRING(5)
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    stackable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'promotions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    deletedAt: 'deleted_at'
+  });
+
+  // Define associations
+  Promotion.associate = (models) => {
+    // Promotion belongs to Shop
+    Promotion.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // Promotion belongs to User (creator)
+    Promotion.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return Promotion;
+};
@@ -0,0 +1,193 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * PurchaseOrder model for ordering stock from suppliers
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - PurchaseOrder model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     PurchaseOrder:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - supplier_id
+   *         - order_number
+   *         - status
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated purchase order ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop placing the order
+   *         supplier_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the supplier
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who created the order
+   *         order_number:
+   *           type: string
+   *           description: Unique purchase order number
+   *         status:
+   *           type: string
+   *           enum: [draft, sent, partially_received, received, cancelled]
+   *           description: Current status of the purchase order
+   *         order_date:
+   *           type: string
+   *           format: date-time
+   *           description: Date the order was created
+   *         expected_delivery_date:
+   *           type: string
+   *           format: date
+   *           description: Date the goods are expected
+   *         total_amount:
+   *           type: number
+   *           format: float
+   *           description: Total ordered cost
+   *         notes:
+   *           type: string
+   *           description: Additional notes
+   *         sent_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the order was sent to the supplier
+   *         received_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the order was fully received
+   *         cancelled_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the order was cancelled
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const PurchaseOrder = sequelize.define('PurchaseOrder', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    supplier_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    order_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'sent', 'partially_received', 'received', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'draft'
+    },
+    order_date: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    expected_delivery_date: {
+      type: DataTypes.DATEONLY
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT
+    },
+    sent_at: {
+      type: DataTypes.DATE
+    },
+    received_at: {
+      type: DataTypes.DATE
+    },
+    cancelled_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'purchase_orders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'order_number']
+      }
+    ]
+  });
+
+  // Define associations
+  PurchaseOrder.associate = (models) => {
+    // PurchaseOrder belongs to Shop
+    PurchaseOrder.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // PurchaseOrder belongs to Supplier
+    PurchaseOrder.belongsTo(models.Supplier, {
+      foreignKey: 'supplier_id',
+      as: 'supplier'
+    });
+
+    // PurchaseOrder belongs to User (creator)
+    PurchaseOrder.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    // PurchaseOrder has many PurchaseOrderItems
+    PurchaseOrder.hasMany(models.PurchaseOrderItem, {
+      foreignKey: 'purchase_order_id',
+      as: 'items'
+    });
+
+    // PurchaseOrder has many PurchaseOrderReceipts
+    PurchaseOrder.hasMany(models.PurchaseOrderReceipt, {
+      foreignKey: 'purchase_order_id',
+      as: 'receipts'
+    });
+  };
+
+  return PurchaseOrder;
+};
@@ -0,0 +1,137 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * PurchaseOrderItem model for the product lines of a purchase order
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - PurchaseOrderItem model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     PurchaseOrderItem:
+   *       type: object
+   *       required:
+   *         - purchase_order_id
+   *         - product_id
+   *         - quantity
+   *         - unit_cost
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated purchase order item ID
+   *         purchase_order_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the purchase order this line belongs to
+   *         product_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the ordered product
+   *         quantity:
+   *           type: integer
+   *           description: Ordered quantity
+   *         unit_cost:
+   *           type: number
+   *           format: float
+   *           description: Agreed cost per unit
+   *         received_quantity:
+   *           type: integer
+   *           description: Quantity received so far
+   *         total_cost:
+   *           type: number
+   *           format: float
+   *           description: Ordered quantity multiplied by unit cost
+   */
+  const PurchaseOrderItem = sequelize.define('PurchaseOrderItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    purchase_order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'purchase_orders',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    unit_cost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    received_quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    total_cost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    }
+  }, {
+    tableName: 'purchase_order_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false,
+
+    hooks: {
+      beforeValidate: (item) => {
+        // Calculate total cost if not provided
+        if (!item.total_cost && item.unit_cost !== undefined && item.quantity) {
+          item.total_cost = parseFloat(item.unit_cost) * item.quantity;
+        }
+      }
+    }
+  });
+
+  /**
+   * Quantity still expected from the supplier
+   * @returns {number}
+   */
+  PurchaseOrderItem.prototype.getOutstandingQuantity = function() {
+    return this.quantity - this.received_quantity;
+  };
+
+  // Define associations
+  PurchaseOrderItem.associate = (models) => {
+    // PurchaseOrderItem belongs to PurchaseOrder
+    PurchaseOrderItem.belongsTo(models.PurchaseOrder, {
+      foreignKey: 'purchase_order_id',
+      as: 'purchase_order'
+    });
+
+    // PurchaseOrderItem belongs to Product
+    PurchaseOrderItem.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+  };
+
+  return PurchaseOrderItem;
+};
@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * PurchaseOrderReceipt model for goods received against a purchase order
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - PurchaseOrderReceipt model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     PurchaseOrderReceipt:
+   *       type: object
+   *       required:
+   *         - purchase_order_id
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated receipt ID
+   *         purchase_order_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the purchase order being received
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who received the goods
+   *         received_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the goods arrived
+   *         total_cost:
+   *           type: number
+   *           format: float
+   *           description: Cost of the goods received in this receipt
+   *         notes:
+   *           type: string
+   *           description: Notes such as the supplier delivery slip number
+   *         items:
+   *           type: array
+   *           items:
+   *             $ref: '#/components/schemas/PurchaseOrderReceiptItem'
+   */
+  const PurchaseOrderReceipt = sequelize.define('PurchaseOrderReceipt', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    purchase_order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'purchase_orders',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    total_cost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    notes: {
+      type: DataTypes.TEXT
+    }
+  }, {
+    tableName: 'purchase_order_receipts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false, // Receipts are immutable once posted
+    paranoid: false
+  });
+
+  // Define associations
+  PurchaseOrderReceipt.associate = (models) => {
+    // PurchaseOrderReceipt belongs to PurchaseOrder
+    PurchaseOrderReceipt.belongsTo(models.PurchaseOrder, {
+      foreignKey: 'purchase_order_id',
+      as: 'purchase_order'
+    });
+
+    // PurchaseOrderReceipt belongs to User
+    PurchaseOrderReceipt.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    // PurchaseOrderReceipt has many PurchaseOrderReceiptItems
+    PurchaseOrderReceipt.hasMany(models.PurchaseOrderReceiptItem, {
+      foreignKey: 'receipt_id',
+      as: 'items'
+    });
+  };
+
+  return PurchaseOrderReceipt;
+};
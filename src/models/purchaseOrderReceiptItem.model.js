@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * PurchaseOrderReceiptItem model for the received quantity of one purchase order line
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - PurchaseOrderReceiptItem model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     PurchaseOrderReceiptItem:
+   *       type: object
+   *       required:
+   *         - receipt_id
+   *         - purchase_order_item_id
+   *         - product_id
+   *         - quantity
+   *         - unit_cost
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated receipt item ID
+   *         receipt_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the receipt
+   *         purchase_order_item_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the purchase order line being received
+   *         product_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the received product
+   *         quantity:
+   *           type: integer
+   *           description: Quantity received
+   *         unit_cost:
+   *           type: number
+   *           format: float
+   *           description: Actual cost per unit on receipt
+   */
+  const PurchaseOrderReceiptItem = sequelize.define('PurchaseOrderReceiptItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    receipt_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'purchase_order_receipts',
+        key: 'id'
+      }
+    },
+    purchase_order_item_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'purchase_order_items',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    unit_cost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    tableName: 'purchase_order_receipt_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    paranoid: false
+  });
+
+  // Define associations
+  PurchaseOrderReceiptItem.associate = (models) => {
+    // PurchaseOrderReceiptItem belongs to PurchaseOrderReceipt
+    PurchaseOrderReceiptItem.belongsTo(models.PurchaseOrderReceipt, {
+      foreignKey: 'receipt_id',
+      as: 'receipt'
+    });
+
+    // PurchaseOrderReceiptItem belongs to PurchaseOrderItem
+    PurchaseOrderReceiptItem.belongsTo(models.PurchaseOrderItem, {
+      foreignKey: 'purchase_order_item_id',
+      as: 'purchase_order_item'
+    });
+
+    // PurchaseOrderReceiptItem belongs to Product
+    PurchaseOrderReceiptItem.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+  };
+
+  return PurchaseOrderReceiptItem;
+};
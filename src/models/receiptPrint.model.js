@@ -0,0 +1,191 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ReceiptPrint model for a receipt of a sale or an order that was printed,
+ * reprinted or emailed
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - ReceiptPrint model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ReceiptPrint:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - kind
+   *         - format
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated print ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         sale_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the sale the receipt is for
+   *         order_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the order the receipt is for
+   *         kind:
+   *           type: string
+   *           enum: [print, reprint, email]
+   *           description: The original print, a reprint or a copy sent by email
+   *         format:
+   *           type: string
+   *           enum: [pdf, html, escpos]
+   *           description: Layout the receipt was rendered in
+   *         paper_width:
+   *           type: string
+   *           enum: [80mm, 58mm]
+   *           nullable: true
+   *           description: Thermal paper width of an escpos receipt
+   *         reason:
+   *           type: string
+   *           nullable: true
+   *           description: Why the receipt was reprinted
+   *         recipient:
+   *           type: string
+   *           nullable: true
+   *           description: Address an emailed copy was sent to
+   *         status:
+   *           type: string
+   *           enum: [done, queued, sent, failed]
+   *           description: done for prints; queued, sent or failed for emails
+   *         error:
+   *           type: string
+   *           nullable: true
+   *           description: Why the email could not be sent
+   *         job_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the job that sends the email
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who printed or sent the receipt
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the receipt was printed or the email queued
+   */
+  const ReceiptPrint = sequelize.define('ReceiptPrint', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    sale_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'sales',
+        key: 'id'
+      }
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    kind: {
+      type: DataTypes.ENUM('print', 'reprint', 'email'),
+      allowNull: false
+    },
+    format: {
+      type: DataTypes.ENUM('pdf', 'html', 'escpos'),
+      allowNull: false
+    },
+    paper_width: {
+      type: DataTypes.ENUM('80mm', '58mm')
+    },
+    reason: {
+      type: DataTypes.STRING(255)
+    },
+    recipient: {
+      type: DataTypes.STRING(255)
+    },
+    status: {
+      type: DataTypes.ENUM('done', 'queued', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'done'
+    },
+    error: {
+      type: DataTypes.TEXT
+    },
+    job_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'receipt_prints',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  // Define associations
+  ReceiptPrint.associate = (models) => {
+    // ReceiptPrint belongs to Shop
+    ReceiptPrint.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // ReceiptPrint belongs to Sale
+    ReceiptPrint.belongsTo(models.Sale, {
+      foreignKey: 'sale_id',
+      as: 'sale'
+    });
+
+    // ReceiptPrint belongs to Order
+    ReceiptPrint.belongsTo(models.Order, {
+      foreignKey: 'order_id',
+      as: 'order'
+    });
+
+    // ReceiptPrint belongs to Job
+    ReceiptPrint.belongsTo(models.Job, {
+      foreignKey: 'job_id',
+      as: 'job'
+    });
+
+    // ReceiptPrint belongs to User
+    ReceiptPrint.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return ReceiptPrint;
+};
@@ -0,0 +1,147 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ReceiptTemplate model for how a shop's receipts and invoices are laid out
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - ReceiptTemplate model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ReceiptTemplate:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated template ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         locale:
+   *           type: string
+   *           enum: [fa, en]
+   *           description: Language of the labels; fa prints right to left
+   *         calendar:
+   *           type: string
+   *           enum: [jalali, gregorian]
+   *           description: Calendar dates are printed in
+   *         paper_width:
+   *           type: string
+   *           enum: [80mm, 58mm]
+   *           description: Thermal paper the receipt printer takes
+   *         show_logo:
+   *           type: boolean
+   *           description: Whether to print the shop's logo on A4 and HTML invoices
+   *         header_text:
+   *           type: string
+   *           nullable: true
+   *           description: Lines printed under the shop's name and address
+   *         footer_text:
+   *           type: string
+   *           nullable: true
+   *           description: Lines printed at the bottom, e.g. the returns policy
+   *         tax_lines:
+   *           type: array
+   *           description: Registration details printed in the header, e.g. the economic code
+   *           items:
+   *             type: object
+   *             properties:
+   *               label:
+   *                 type: string
+   *               value:
+   *                 type: string
+   *         show_tax_breakdown:
+   *           type: boolean
+   *           description: Whether to print the tax of each item and the tax total
+   *         tax_label:
+   *           type: string
+   *           nullable: true
+   *           description: Name of the tax on the totals; defaults to VAT in the template's language
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const ReceiptTemplate = sequelize.define('ReceiptTemplate', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    locale: {
+      type: DataTypes.ENUM('fa', 'en'),
+      allowNull: false,
+      defaultValue: 'fa'
+    },
+    calendar: {
+      type: DataTypes.ENUM('jalali', 'gregorian'),
+      allowNull: false,
+      defaultValue: 'jalali'
+    },
+    paper_width: {
+      type: DataTypes.ENUM('80mm', '58mm'),
+      allowNull: false,
+      defaultValue: '80mm'
+    },
+    show_logo: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    header_text: {
+      type: DataTypes.TEXT
+    },
+    footer_text: {
+      type: DataTypes.TEXT
+    },
+    tax_lines: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    show_tax_breakdown: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    tax_label: {
+      type: DataTypes.STRING(50)
+    }
+  }, {
+    tableName: 'receipt_templates',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  // Define associations
+  ReceiptTemplate.associate = (models) => {
+    // ReceiptTemplate belongs to Shop
+    ReceiptTemplate.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+  };
+
+  return ReceiptTemplate;
+};
@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Register model for a cash register (till) of a shop
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - Register model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Register:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - name
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated register ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         location_id:
+   *           type: string
+   *           format: uuid
+   *           description: Location the register stands in
+   *         name:
+   *           type: string
+   *           description: Register name, unique within the shop
+   *         code:
+   *           type: string
+   *           description: Short code printed on receipts
+   *         is_active:
+   *           type: boolean
+   *           description: Whether shifts can be opened on the register
+   */
+  const Register = sequelize.define('Register', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    location_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'locations',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    code: {
+      type: DataTypes.STRING(20)
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'registers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Define associations
+  Register.associate = (models) => {
+    // Register belongs to Shop
+    Register.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // Register belongs to Location
+    Register.belongsTo(models.Location, {
+      foreignKey: 'location_id',
+      as: 'location'
+    });
+
+    // Register has many RegisterShifts
+    Register.hasMany(models.RegisterShift, {
+      foreignKey: 'register_id',
+      as: 'shifts'
+    });
+  };
+
+  return Register;
+};
@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * RegisterCashMovement model for cash put into or taken out of a drawer
+ * outside of sales, such as change top-ups and bank drops
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - RegisterCashMovement model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     RegisterCashMovement:
+   *       type: object
+   *       required:
+   *         - shift_id
+   *         - type
+   *         - amount
+   *         - reason
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated movement ID
+   *         shift_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shift
+   *         type:
+   *           type: string
+   *           enum: [cash_in, cash_out]
+   *           description: Whether cash was put in or taken out
+   *         amount:
+   *           type: number
+   *           format: decimal
+   *           description: Amount of cash
+   *         reason:
+   *           type: string
+   *           description: Why the cash was moved
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who moved the cash
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the cash was moved
+   */
+  const RegisterCashMovement = sequelize.define('RegisterCashMovement', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shift_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'register_shifts',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('cash_in', 'cash_out'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'register_cash_movements',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    paranoid: false
+  });
+
+  // Define associations
+  RegisterCashMovement.associate = (models) => {
+    // RegisterCashMovement belongs to RegisterShift
+    RegisterCashMovement.belongsTo(models.RegisterShift, {
+      foreignKey: 'shift_id',
+      as: 'shift'
+    });
+
+    // RegisterCashMovement belongs to User
+    RegisterCashMovement.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return RegisterCashMovement;
+};
@@ -0,0 +1,205 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * RegisterShift model for a till session, from opening float to end-of-day count
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - RegisterShift model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     RegisterShift:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - register_id
+   *         - shift_number
+   *         - status
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated shift ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         register_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the register
+   *         shift_number:
+   *           type: integer
+   *           description: Running number of the shift on its register, printed on the Z report
+   *         status:
+   *           type: string
+   *           enum: [open, closed]
+   *           description: Shift status
+   *         opened_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the cashier who opened the shift
+   *         opened_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the shift was opened
+   *         opening_float:
+   *           type: number
+   *           format: decimal
+   *           description: Cash in the drawer at opening
+   *         closed_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who closed the shift
+   *         closed_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the shift was closed
+   *         expected_amounts:
+   *           type: object
+   *           additionalProperties:
+   *             type: number
+   *           description: Amount expected per payment method at closing
+   *         counted_amounts:
+   *           type: object
+   *           additionalProperties:
+   *             type: number
+   *           description: Amount counted per payment method at closing
+   *         cash_difference:
+   *           type: number
+   *           format: decimal
+   *           description: Counted cash less expected cash (negative when short)
+   *         z_report:
+   *           type: object
+   *           description: End-of-day report, fixed when the shift was closed
+   *         notes:
+   *           type: string
+   *           description: Notes from opening or closing
+   */
+  const RegisterShift = sequelize.define('RegisterShift', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    register_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'registers',
+        key: 'id'
+      }
+    },
+    shift_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'closed'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    opened_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    opened_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    opening_float: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    closed_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    closed_at: {
+      type: DataTypes.DATE
+    },
+    expected_amounts: {
+      type: DataTypes.JSONB
+    },
+    counted_amounts: {
+      type: DataTypes.JSONB
+    },
+    cash_difference: {
+      type: DataTypes.DECIMAL(12, 2)
+    },
+    z_report: {
+      type: DataTypes.JSONB
+    },
+    notes: {
+      type: DataTypes.TEXT
+    }
+  }, {
+    tableName: 'register_shifts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  // Define associations
+  RegisterShift.associate = (models) => {
+    // RegisterShift belongs to Register
+    RegisterShift.belongsTo(models.Register, {
+      foreignKey: 'register_id',
+      as: 'register'
+    });
+
+    // RegisterShift belongs to Shop
+    RegisterShift.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // RegisterShift belongs to the User who opened it
+    RegisterShift.belongsTo(models.User, {
+      foreignKey: 'opened_by',
+      as: 'opener'
+    });
+
+    // RegisterShift belongs to the User who closed it
+    RegisterShift.belongsTo(models.User, {
+      foreignKey: 'closed_by',
+      as: 'closer'
+    });
+
+    // RegisterShift has many RegisterCashMovements
+    RegisterShift.hasMany(models.RegisterCashMovement, {
+      foreignKey: 'shift_id',
+      as: 'cash_movements'
+    });
+
+    // RegisterShift has many Sales
+    RegisterShift.hasMany(models.Sale, {
+      foreignKey: 'shift_id',
+      as: 'sales'
+    });
+  };
+
+  return RegisterShift;
+};
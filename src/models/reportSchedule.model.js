@@ -0,0 +1,213 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ReportSchedule model for a report delivered on a recurring schedule.
+ * Times are wall-clock times in the business timezone (Asia/Tehran).
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - ReportSchedule model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ReportSchedule:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - name
+   *         - report_type
+   *         - frequency
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated schedule ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who created the schedule
+   *         name:
+   *           type: string
+   *           description: Schedule name, used as the delivery subject
+   *         report_type:
+   *           type: string
+   *           enum: [dashboard, sales, inventory, customers, products, loyalty_liability]
+   *           description: Report to deliver
+   *         filters:
+   *           type: object
+   *           description: Report query parameters; dates default to the period just ended
+   *         frequency:
+   *           type: string
+   *           enum: [daily, weekly, monthly]
+   *           description: How often the report is delivered
+   *         time_of_day:
+   *           type: string
+   *           example: '08:00'
+   *           description: Delivery time (HH:mm, Tehran time)
+   *         day_of_week:
+   *           type: integer
+   *           minimum: 0
+   *           maximum: 6
+   *           description: Weekly delivery day, 0 = Sunday ... 6 = Saturday
+   *         day_of_month:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 28
+   *           description: Monthly delivery day
+   *         format:
+   *           type: string
+   *           enum: [csv, pdf]
+   *           description: Attachment format
+   *         transport:
+   *           type: string
+   *           enum: [email, file]
+   *           description: How the report is delivered
+   *         recipients:
+   *           type: array
+   *           items:
+   *             type: string
+   *             format: email
+   *           description: Email recipients
+   *         is_active:
+   *           type: boolean
+   *           description: Whether the schedule is running
+   *         next_run_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the report is next due
+   *         last_run_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the report was last run
+   *         last_status:
+   *           type: string
+   *           enum: [pending, running, succeeded, failed]
+   *           description: Status of the most recent run
+   */
+  const ReportSchedule = sequelize.define('ReportSchedule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    report_type: {
+      type: DataTypes.ENUM('dashboard', 'sales', 'inventory', 'customers', 'products', 'loyalty_liability'),
+      allowNull: false
+    },
+    filters: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    frequency: {
+      type: DataTypes.ENUM('daily', 'weekly', 'monthly'),
+      allowNull: false
+    },
+    time_of_day: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: '08:00',
+      validate: {
+        is: /^([01]\d|2[0-3]):[0-5]\d$/
+      }
+    },
+    day_of_week: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 0,
+        max: 6
+      }
+    },
+    day_of_month: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 1,
+        max: 28
+      }
+    },
+    format: {
+      type: DataTypes.ENUM('csv', 'pdf'),
+      allowNull: false,
+      defaultValue: 'pdf'
+    },
+    transport: {
+      type: DataTypes.ENUM('email', 'file'),
+      allowNull: false,
+      defaultValue: 'email'
+    },
+    recipients: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    next_run_at: {
+      type: DataTypes.DATE
+    },
+    last_run_at: {
+      type: DataTypes.DATE
+    },
+    last_status: {
+      type: DataTypes.STRING(20)
+    }
+  }, {
+    tableName: 'report_schedules',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Define associations
+  ReportSchedule.associate = (models) => {
+    // ReportSchedule belongs to Shop
+    ReportSchedule.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // ReportSchedule belongs to User (creator)
+    ReportSchedule.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    // ReportSchedule has many ReportScheduleRuns
+    ReportSchedule.hasMany(models.ReportScheduleRun, {
+      foreignKey: 'schedule_id',
+      as: 'runs'
+    });
+  };
+
+  return ReportSchedule;
+};
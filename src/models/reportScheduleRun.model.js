@@ -0,0 +1,154 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ReportScheduleRun model for one delivery of a scheduled report
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - ReportScheduleRun model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ReportScheduleRun:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated run ID
+   *         schedule_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the report schedule
+   *         job_id:
+   *           type: string
+   *           format: uuid
+   *           description: Background job that produced the run
+   *         trigger:
+   *           type: string
+   *           enum: [scheduled, manual]
+   *           description: Whether the run was due or started by hand
+   *         status:
+   *           type: string
+   *           enum: [pending, running, succeeded, failed]
+   *           description: Run status
+   *         period_start:
+   *           type: string
+   *           format: date
+   *           description: First day covered by the report
+   *         period_end:
+   *           type: string
+   *           format: date
+   *           description: Last day covered by the report
+   *         file_name:
+   *           type: string
+   *           description: Name of the delivered file
+   *         delivered_to:
+   *           type: array
+   *           items:
+   *             type: string
+   *           description: Recipients or file path the report was delivered to
+   *         attempts:
+   *           type: integer
+   *           description: Delivery attempts made
+   *         error:
+   *           type: string
+   *           description: Error from the last failed attempt
+   *         started_at:
+   *           type: string
+   *           format: date-time
+   *         finished_at:
+   *           type: string
+   *           format: date-time
+   */
+  const ReportScheduleRun = sequelize.define('ReportScheduleRun', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    schedule_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'report_schedules',
+        key: 'id'
+      }
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    job_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    trigger: {
+      type: DataTypes.ENUM('scheduled', 'manual'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'running', 'succeeded', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    period_start: {
+      type: DataTypes.DATEONLY
+    },
+    period_end: {
+      type: DataTypes.DATEONLY
+    },
+    file_name: {
+      type: DataTypes.STRING(255)
+    },
+    delivered_to: {
+      type: DataTypes.JSONB
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    error: {
+      type: DataTypes.TEXT
+    },
+    started_at: {
+      type: DataTypes.DATE
+    },
+    finished_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'report_schedule_runs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  // Define associations
+  ReportScheduleRun.associate = (models) => {
+    // ReportScheduleRun belongs to ReportSchedule
+    ReportScheduleRun.belongsTo(models.ReportSchedule, {
+      foreignKey: 'schedule_id',
+      as: 'schedule'
+    });
+
+    // ReportScheduleRun belongs to Job
+    ReportScheduleRun.belongsTo(models.Job, {
+      foreignKey: 'job_id',
+      as: 'job'
+    });
+  };
+
+  return ReportScheduleRun;
+};
@@ -16,7 +16,6 @@ module.exports = (sequelize) => {
    *         - user_id
    *         - subtotal
    *         - total_amount
-   *         - payment_method
    *         - payment_status
    *       properties:
    *         id:
@@ -25,7 +24,11 @@ module.exports = (sequelize) => {
    *           description: The auto-generated sale ID
    *         invoice_number:
    *           type: string
-   *           description: Unique invoice number
+   *           description: Invoice number, taken from the shop's invoice sequence
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop the sale was made in
    *         customer_id:
    *           type: string
    *           format: uuid
@@ -46,7 +49,29 @@ module.exports = (sequelize) => {
    *         discount_amount:
    *           type: number
    *           format: decimal
-   *           description: Total discount amount
+   *           description: Sale-level discount amount, including any basket promotion and coupon discount
+   *         promotion_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the basket promotion applied to the sale
+   *         promotion_discount:
+   *           type: number
+   *           format: decimal
+   *           description: Part of the sale-level discount that came from the basket promotion
+   *         coupon_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the coupon redeemed on the sale
+   *         coupon_discount:
+   *           type: number
+   *           format: decimal
+   *           description: Part of the sale-level discount that came from the coupon
+   *         tier_discount:
+   *           type: number
+   *           format: decimal
+   *           description: Part of the sale-level discount that came from the customer's loyalty tier
    *         tax_amount:
    *           type: number
    *           format: decimal
@@ -58,14 +83,21 @@ module.exports = (sequelize) => {
    *         payment_method:
    *           type: string
    *           enum: [cash, card, mobile, credit, mixed]
-   *           description: Method of payment
+   *           description: Method of payment, mixed when paid with several tenders; empty until the first payment
    *         payment_status:
    *           type: string
    *           enum: [paid, partial, unpaid, refunded]
    *           description: Payment status
+   *         on_account:
+   *           type: boolean
+   *           description: Whether what is left to pay was charged to the customer's account
    *         notes:
    *           type: string
    *           description: Additional notes about the sale
+   *         shift_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the register shift the sale was rung up in
    *         loyalty_points_earned:
    *           type: integer
    *           description: Loyalty points earned from this sale
@@ -88,8 +120,14 @@ module.exports = (sequelize) => {
       primaryKey: true
     },
     invoice_number: {
-      type: DataTypes.STRING(50),
-      unique: true
+      type: DataTypes.STRING(50)
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
     },
     customer_id: {
       type: DataTypes.UUID,
@@ -126,6 +164,41 @@ module.exports = (sequelize) => {
         min: 0
       }
     },
+    promotion_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      }
+    },
+    promotion_discount: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    coupon_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'coupons',
+        key: 'id'
+      }
+    },
+    coupon_discount: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    tier_discount: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
     tax_amount: {
       type: DataTypes.DECIMAL(12, 2),
       defaultValue: 0,
@@ -142,15 +215,27 @@ module.exports = (sequelize) => {
     },
     payment_method: {
       type: DataTypes.ENUM('cash', 'card', 'mobile', 'credit', 'mixed'),
-      allowNull: false
+      allowNull: true
     },
     payment_status: {
       type: DataTypes.ENUM('paid', 'partial', 'unpaid', 'refunded'),
       allowNull: false
     },
+    on_account: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     notes: {
       type: DataTypes.TEXT
     },
+    shift_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'register_shifts',
+        key: 'id'
+      }
+    },
     loyalty_points_earned: {
       type: DataTypes.INTEGER,
       defaultValue: 0
@@ -164,16 +249,25 @@ module.exports = (sequelize) => {
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'invoice_number']
+      }
+    ],
     
     // Hooks
     hooks: {
-      beforeCreate: async (sale) => {
-        // Generate a unique invoice number if not provided
-        if (!sale.invoice_number) {
-          const prefix = 'INV';
-          const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-          const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-          sale.invoice_number = `${prefix}-${date}-${random}`;
+      beforeCreate: async (sale, options) => {
+        // Take the next number of the shop's invoice sequence if not provided
+        if (!sale.invoice_number && sale.shop_id) {
+          const numberSequenceService = require('../services/numberSequence.service');
+          sale.invoice_number = await numberSequenceService.nextNumber(
+            sale.shop_id,
+            'invoice',
+            options.transaction,
+            sale.sale_date
+          );
         }
       }
     }
@@ -187,12 +281,36 @@ module.exports = (sequelize) => {
       as: 'customer'
     });
 
+    // Sale belongs to Shop
+    Sale.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
     // Sale belongs to User
     Sale.belongsTo(models.User, {
       foreignKey: 'user_id',
       as: 'user'
     });
 
+    // Sale belongs to Promotion
+    Sale.belongsTo(models.Promotion, {
+      foreignKey: 'promotion_id',
+      as: 'promotion'
+    });
+
+    // Sale belongs to Coupon
+    Sale.belongsTo(models.Coupon, {
+      foreignKey: 'coupon_id',
+      as: 'coupon'
+    });
+
+    // Sale belongs to RegisterShift
+    Sale.belongsTo(models.RegisterShift, {
+      foreignKey: 'shift_id',
+      as: 'shift'
+    });
+
     // Sale has many SaleItems
     Sale.hasMany(models.SaleItem, {
       foreignKey: 'sale_id',
@@ -211,6 +329,12 @@ module.exports = (sequelize) => {
       as: 'refunds'
     });
 
+    // Sale has many SaleReturns
+    Sale.hasMany(models.SaleReturn, {
+      foreignKey: 'sale_id',
+      as: 'returns'
+    });
+
     // Sale has many LoyaltyTransactions
     Sale.hasMany(models.LoyaltyTransaction, {
       foreignKey: 'sale_id',
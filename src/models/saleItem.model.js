@@ -46,7 +46,16 @@ module.exports = (sequelize) => {
    *         discount_amount:
    *           type: number
    *           format: decimal
-   *           description: Discount amount for this item
+   *           description: Discount amount for this item, including any promotion discount
+   *         promotion_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the promotion that discounted this item
+   *         promotion_discount:
+   *           type: number
+   *           format: decimal
+   *           description: Part of the discount that came from the promotion
    *         tax_percent:
    *           type: number
    *           format: decimal
@@ -118,6 +127,20 @@ module.exports = (sequelize) => {
         min: 0
       }
     },
+    promotion_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      }
+    },
+    promotion_discount: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
     tax_percent: {
       type: DataTypes.DECIMAL(5, 2),
       defaultValue: 0,
@@ -197,11 +220,20 @@ module.exports = (sequelize) => {
               transaction: options.transaction 
             });
             
+            // Sales draw from the shop's default location
+            const { adjustLocationStock } = require('../services/inventory.service');
+            const locationStock = await adjustLocationStock({
+              product_id: saleItem.product_id,
+              shop_id: inventory.shop_id,
+              quantity: -saleItem.quantity
+            }, options.transaction, { allowNegative: true });
+            
             // Record inventory transaction
             await InventoryTransaction.create({
               product_id: saleItem.product_id,
               quantity: -saleItem.quantity,
               transaction_type: 'sale',
+              location_id: locationStock ? locationStock.location_id : null,
               reference_id: saleItem.sale_id,
               note: `Sale item for sale ${saleItem.sale_id}`,
               user_id: options.user_id // This should be passed from the controller
@@ -227,6 +259,12 @@ module.exports = (sequelize) => {
       foreignKey: 'product_id',
       as: 'product'
     });
+
+    // SaleItem belongs to Promotion
+    SaleItem.belongsTo(models.Promotion, {
+      foreignKey: 'promotion_id',
+      as: 'promotion'
+    });
   };
 
   return SaleItem;
@@ -0,0 +1,205 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * SaleReturn model for goods a customer brings back against a sale
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - SaleReturn model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     SaleReturn:
+   *       type: object
+   *       required:
+   *         - return_number
+   *         - sale_id
+   *         - reason
+   *         - refund_method
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated return ID
+   *         return_number:
+   *           type: string
+   *           description: Return number, taken from the shop's return sequence
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop the sale was made in
+   *         sale_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the sale the goods were bought on
+   *         refund_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the refund paid out for this return
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who took the return
+   *         reason:
+   *           type: string
+   *           description: Why the goods came back
+   *         refund_method:
+   *           type: string
+   *           enum: [cash, card, mobile, credit, mixed]
+   *           description: How the money was paid back
+   *         subtotal:
+   *           type: number
+   *           format: decimal
+   *           description: Price of the returned units before discounts and tax
+   *         discount_amount:
+   *           type: number
+   *           format: decimal
+   *           description: Line and sale discounts given on the returned units
+   *         tax_amount:
+   *           type: number
+   *           format: decimal
+   *           description: Tax charged on the returned units
+   *         total_amount:
+   *           type: number
+   *           format: decimal
+   *           description: Amount refunded
+   *         loyalty_points_reversed:
+   *           type: integer
+   *           description: Loyalty points taken back from the customer
+   *         notes:
+   *           type: string
+   *           description: Additional notes
+   *         items:
+   *           type: array
+   *           items:
+   *             $ref: '#/components/schemas/SaleReturnItem'
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the return was taken
+   */
+  const SaleReturn = sequelize.define('SaleReturn', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    return_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    sale_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sales',
+        key: 'id'
+      }
+    },
+    refund_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'refunds',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    refund_method: {
+      type: DataTypes.ENUM('cash', 'card', 'mobile', 'credit', 'mixed'),
+      allowNull: false
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    loyalty_points_reversed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    notes: {
+      type: DataTypes.TEXT
+    }
+  }, {
+    tableName: 'sale_returns',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false, // Returns are immutable once taken
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'return_number']
+      }
+    ]
+  });
+
+  // Define associations
+  SaleReturn.associate = (models) => {
+    // SaleReturn belongs to Sale
+    SaleReturn.belongsTo(models.Sale, {
+      foreignKey: 'sale_id',
+      as: 'sale'
+    });
+
+    // SaleReturn belongs to Shop
+    SaleReturn.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // SaleReturn belongs to Refund
+    SaleReturn.belongsTo(models.Refund, {
+      foreignKey: 'refund_id',
+      as: 'refund'
+    });
+
+    // SaleReturn belongs to User
+    SaleReturn.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    // SaleReturn has many SaleReturnItems
+    SaleReturn.hasMany(models.SaleReturnItem, {
+      foreignKey: 'return_id',
+      as: 'items'
+    });
+  };
+
+  return SaleReturn;
+};
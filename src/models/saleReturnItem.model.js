@@ -0,0 +1,177 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * SaleReturnItem model for the returned quantity of one sale line
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - SaleReturnItem model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     SaleReturnItem:
+   *       type: object
+   *       required:
+   *         - return_id
+   *         - sale_item_id
+   *         - product_id
+   *         - quantity
+   *         - disposition
+   *         - unit_price
+   *         - refund_amount
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated return item ID
+   *         return_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the return
+   *         sale_item_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the sale line being returned
+   *         product_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the returned product
+   *         quantity:
+   *           type: integer
+   *           description: Quantity returned
+   *         disposition:
+   *           type: string
+   *           enum: [restock, write_off]
+   *           description: Whether the goods went back on the shelf or were written off as damaged
+   *         location_id:
+   *           type: string
+   *           format: uuid
+   *           description: Location the goods were restocked at
+   *         unit_price:
+   *           type: number
+   *           format: decimal
+   *           description: Unit price the product was sold at
+   *         discount_amount:
+   *           type: number
+   *           format: decimal
+   *           description: Line and sale discounts given on the returned units
+   *         tax_amount:
+   *           type: number
+   *           format: decimal
+   *           description: Tax charged on the returned units
+   *         refund_amount:
+   *           type: number
+   *           format: decimal
+   *           description: Amount refunded for the returned units
+   */
+  const SaleReturnItem = sequelize.define('SaleReturnItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    return_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sale_returns',
+        key: 'id'
+      }
+    },
+    sale_item_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sale_items',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    disposition: {
+      type: DataTypes.ENUM('restock', 'write_off'),
+      allowNull: false,
+      defaultValue: 'restock'
+    },
+    location_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'locations',
+        key: 'id'
+      }
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    refund_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    tableName: 'sale_return_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    paranoid: false
+  });
+
+  // Define associations
+  SaleReturnItem.associate = (models) => {
+    // SaleReturnItem belongs to SaleReturn
+    SaleReturnItem.belongsTo(models.SaleReturn, {
+      foreignKey: 'return_id',
+      as: 'return'
+    });
+
+    // SaleReturnItem belongs to SaleItem
+    SaleReturnItem.belongsTo(models.SaleItem, {
+      foreignKey: 'sale_item_id',
+      as: 'sale_item'
+    });
+
+    // SaleReturnItem belongs to Product
+    SaleReturnItem.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+
+    // SaleReturnItem belongs to Location
+    SaleReturnItem.belongsTo(models.Location, {
+      foreignKey: 'location_id',
+      as: 'location'
+    });
+  };
+
+  return SaleReturnItem;
+};
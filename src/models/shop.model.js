@@ -1,5 +1,3 @@
-const { DataTypes } = require('sequelize');
-
 /**
  * Shop model
  * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
@@ -40,9 +38,21 @@ module.exports = (sequelize, DataTypes) => {
    *         phone:
    *           type: string
    *           description: Shop contact phone
+   *         logo_url:
+   *           type: string
+   *           nullable: true
+   *           description: Path of the uploaded logo printed on invoices (PNG or JPEG)
    *         is_active:
    *           type: boolean
    *           description: Whether the shop is active
+   *         loyalty_tiers_evaluated_at:
+   *           type: string
+   *           format: date-time
+   *           description: When customers were last moved between the shop's loyalty tiers
+   *         loyalty_points_expired_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the shop's expired loyalty points were last written off
    *         created_at:
    *           type: string
    *           format: date-time
@@ -82,6 +92,9 @@ module.exports = (sequelize, DataTypes) => {
     phone: {
       type: DataTypes.STRING(20)
     },
+    logo_url: {
+      type: DataTypes.STRING(255)
+    },
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
@@ -97,6 +110,12 @@ module.exports = (sequelize, DataTypes) => {
     currency: {
       type: DataTypes.STRING(10),
       defaultValue: 'تومان'
+    },
+    loyalty_tiers_evaluated_at: {
+      type: DataTypes.DATE
+    },
+    loyalty_points_expired_at: {
+      type: DataTypes.DATE
     }
   }, {
     tableName: 'shops',
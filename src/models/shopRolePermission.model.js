@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ShopRolePermission model holding a shop's customised permission set for
+ * one role. Roles without a row use the default set.
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - ShopRolePermission model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ShopRolePermission:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - role
+   *         - permissions
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: Shop the customisation applies to
+   *         role:
+   *           type: string
+   *           enum: [admin, manager, cashier, inventory, marketing]
+   *           description: Role being customised
+   *         permissions:
+   *           type: array
+   *           items:
+   *             type: string
+   *           description: Permissions the role has in this shop
+   *           example: [sales.create, sales.refund, reports.view]
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: User who last changed the role
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the role was last changed
+   */
+  const ShopRolePermission = sequelize.define('ShopRolePermission', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('admin', 'manager', 'cashier', 'inventory', 'marketing'),
+      allowNull: false
+    },
+    permissions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'shop_role_permissions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false,
+    indexes: [
+      {
+        name: 'idx_shop_role_permissions_shop_role',
+        unique: true,
+        fields: ['shop_id', 'role']
+      }
+    ]
+  });
+
+  // Define associations
+  ShopRolePermission.associate = (models) => {
+    // ShopRolePermission belongs to Shop
+    ShopRolePermission.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // ShopRolePermission belongs to User (last editor)
+    ShopRolePermission.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return ShopRolePermission;
+};
@@ -0,0 +1,199 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * StockTransfer model for moving stock between a shop's locations
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - StockTransfer model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     StockTransfer:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - transfer_number
+   *         - from_location_id
+   *         - to_location_id
+   *         - status
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated transfer ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         transfer_number:
+   *           type: string
+   *           description: Unique transfer number
+   *         from_location_id:
+   *           type: string
+   *           format: uuid
+   *           description: Location the stock leaves
+   *         to_location_id:
+   *           type: string
+   *           format: uuid
+   *           description: Location the stock arrives at
+   *         status:
+   *           type: string
+   *           enum: [draft, in_transit, received, cancelled]
+   *           description: Transfer status
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who created the transfer
+   *         dispatched_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who dispatched the goods
+   *         received_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who confirmed receipt
+   *         dispatched_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the goods left the source location
+   *         received_at:
+   *           type: string
+   *           format: date-time
+   *           description: When receipt was confirmed
+   *         cancelled_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the transfer was cancelled
+   *         notes:
+   *           type: string
+   *           description: Additional notes
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const StockTransfer = sequelize.define('StockTransfer', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    transfer_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    from_location_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'locations',
+        key: 'id'
+      }
+    },
+    to_location_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'locations',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'in_transit', 'received', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'draft'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    dispatched_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    received_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    dispatched_at: {
+      type: DataTypes.DATE
+    },
+    received_at: {
+      type: DataTypes.DATE
+    },
+    cancelled_at: {
+      type: DataTypes.DATE
+    },
+    notes: {
+      type: DataTypes.TEXT
+    }
+  }, {
+    tableName: 'stock_transfers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'transfer_number']
+      }
+    ]
+  });
+
+  // Define associations
+  StockTransfer.associate = (models) => {
+    // StockTransfer belongs to Shop
+    StockTransfer.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // StockTransfer belongs to source and destination Locations
+    StockTransfer.belongsTo(models.Location, {
+      foreignKey: 'from_location_id',
+      as: 'from_location'
+    });
+
+    StockTransfer.belongsTo(models.Location, {
+      foreignKey: 'to_location_id',
+      as: 'to_location'
+    });
+
+    // StockTransfer belongs to User (creator)
+    StockTransfer.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    // StockTransfer has many StockTransferItems
+    StockTransfer.hasMany(models.StockTransferItem, {
+      foreignKey: 'transfer_id',
+      as: 'items'
+    });
+  };
+
+  return StockTransfer;
+};
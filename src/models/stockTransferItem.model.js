@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * StockTransferItem model for a product line on a stock transfer
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - StockTransferItem model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     StockTransferItem:
+   *       type: object
+   *       required:
+   *         - transfer_id
+   *         - product_id
+   *         - quantity
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated line ID
+   *         transfer_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the stock transfer
+   *         product_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the product
+   *         quantity:
+   *           type: integer
+   *           description: Quantity dispatched
+   *         received_quantity:
+   *           type: integer
+   *           description: Quantity confirmed at the destination
+   */
+  const StockTransferItem = sequelize.define('StockTransferItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    transfer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stock_transfers',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    received_quantity: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    tableName: 'stock_transfer_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  // Define associations
+  StockTransferItem.associate = (models) => {
+    // StockTransferItem belongs to StockTransfer
+    StockTransferItem.belongsTo(models.StockTransfer, {
+      foreignKey: 'transfer_id',
+      as: 'transfer'
+    });
+
+    // StockTransferItem belongs to Product
+    StockTransferItem.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+  };
+
+  return StockTransferItem;
+};
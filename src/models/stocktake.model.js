@@ -0,0 +1,208 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Stocktake model for a physical inventory count session
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - Stocktake model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Stocktake:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - stocktake_number
+   *         - status
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated stocktake ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         stocktake_number:
+   *           type: string
+   *           description: Unique stocktake number
+   *         category_id:
+   *           type: string
+   *           format: uuid
+   *           description: Category being counted (including its subcategories)
+   *         location_id:
+   *           type: string
+   *           format: uuid
+   *           description: Location being counted
+   *         status:
+   *           type: string
+   *           enum: [counting, submitted, approved, cancelled]
+   *           description: Stocktake status
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who started the stocktake
+   *         submitted_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who closed counting
+   *         approved_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the manager who approved and posted the variances
+   *         submitted_at:
+   *           type: string
+   *           format: date-time
+   *           description: When counting was closed
+   *         approved_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the variances were posted
+   *         cancelled_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the stocktake was cancelled
+   *         notes:
+   *           type: string
+   *           description: Additional notes
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp, when expected quantities were frozen
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const Stocktake = sequelize.define('Stocktake', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    stocktake_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    category_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'categories',
+        key: 'id'
+      }
+    },
+    location_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'locations',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('counting', 'submitted', 'approved', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'counting'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    submitted_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    approved_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    submitted_at: {
+      type: DataTypes.DATE
+    },
+    approved_at: {
+      type: DataTypes.DATE
+    },
+    cancelled_at: {
+      type: DataTypes.DATE
+    },
+    notes: {
+      type: DataTypes.TEXT
+    }
+  }, {
+    tableName: 'stocktakes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'stocktake_number']
+      }
+    ]
+  });
+
+  // Define associations
+  Stocktake.associate = (models) => {
+    // Stocktake belongs to Shop
+    Stocktake.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // Stocktake belongs to Category (optional scope)
+    Stocktake.belongsTo(models.Category, {
+      foreignKey: 'category_id',
+      as: 'category'
+    });
+
+    // Stocktake belongs to Location (optional scope)
+    Stocktake.belongsTo(models.Location, {
+      foreignKey: 'location_id',
+      as: 'location'
+    });
+
+    // Stocktake belongs to User (creator)
+    Stocktake.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    // Stocktake belongs to User (approver)
+    Stocktake.belongsTo(models.User, {
+      foreignKey: 'approved_by',
+      as: 'approver'
+    });
+
+    // Stocktake has many StocktakeItems
+    Stocktake.hasMany(models.StocktakeItem, {
+      foreignKey: 'stocktake_id',
+      as: 'items'
+    });
+
+    // Stocktake has many StocktakeCounts
+    Stocktake.hasMany(models.StocktakeCount, {
+      foreignKey: 'stocktake_id',
+      as: 'counts'
+    });
+  };
+
+  return Stocktake;
+};
@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * StocktakeCount model for a single count submitted by a staff member.
+ * Counts for the same product add up, so several people can count
+ * different shelves of the same product.
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - StocktakeCount model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     StocktakeCount:
+   *       type: object
+   *       required:
+   *         - stocktake_id
+   *         - stocktake_item_id
+   *         - quantity
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated count ID
+   *         stocktake_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the stocktake
+   *         stocktake_item_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the stocktake line counted
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the staff member who counted
+   *         quantity:
+   *           type: integer
+   *           description: Quantity counted
+   *         method:
+   *           type: string
+   *           enum: [manual, scan]
+   *           description: Whether the count was typed in or scanned
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: When the count was submitted
+   */
+  const StocktakeCount = sequelize.define('StocktakeCount', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    stocktake_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stocktakes',
+        key: 'id'
+      }
+    },
+    stocktake_item_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stocktake_items',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    method: {
+      type: DataTypes.ENUM('manual', 'scan'),
+      allowNull: false,
+      defaultValue: 'manual'
+    }
+  }, {
+    tableName: 'stocktake_counts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    paranoid: false
+  });
+
+  // Define associations
+  StocktakeCount.associate = (models) => {
+    // StocktakeCount belongs to Stocktake
+    StocktakeCount.belongsTo(models.Stocktake, {
+      foreignKey: 'stocktake_id',
+      as: 'stocktake'
+    });
+
+    // StocktakeCount belongs to StocktakeItem
+    StocktakeCount.belongsTo(models.StocktakeItem, {
+      foreignKey: 'stocktake_item_id',
+      as: 'item'
+    });
+
+    // StocktakeCount belongs to User
+    StocktakeCount.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return StocktakeCount;
+};
@@ -0,0 +1,124 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * StocktakeItem model for a product in a stocktake, holding the expected
+ * quantity frozen when the stocktake started and the total counted so far
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - StocktakeItem model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     StocktakeItem:
+   *       type: object
+   *       required:
+   *         - stocktake_id
+   *         - product_id
+   *         - expected_quantity
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated line ID
+   *         stocktake_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the stocktake
+   *         product_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the product
+   *         expected_quantity:
+   *           type: integer
+   *           description: System quantity when the stocktake started
+   *         counted_quantity:
+   *           type: integer
+   *           description: Sum of all counts submitted for the product; null while uncounted
+   *         unit_cost:
+   *           type: number
+   *           format: float
+   *           description: Purchase price when the stocktake started, used to value variances
+   */
+  const StocktakeItem = sequelize.define('StocktakeItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    stocktake_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stocktakes',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    expected_quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    counted_quantity: {
+      type: DataTypes.INTEGER
+    },
+    unit_cost: {
+      type: DataTypes.DECIMAL(12, 2)
+    }
+  }, {
+    tableName: 'stocktake_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['stocktake_id', 'product_id']
+      }
+    ]
+  });
+
+  /**
+   * Difference between the counted and expected quantity
+   * @returns {number|null} - Null while the product has not been counted
+   */
+  StocktakeItem.prototype.getVariance = function() {
+    if (this.counted_quantity === null || this.counted_quantity === undefined) {
+      return null;
+    }
+    return this.counted_quantity - this.expected_quantity;
+  };
+
+  // Define associations
+  StocktakeItem.associate = (models) => {
+    // StocktakeItem belongs to Stocktake
+    StocktakeItem.belongsTo(models.Stocktake, {
+      foreignKey: 'stocktake_id',
+      as: 'stocktake'
+    });
+
+    // StocktakeItem belongs to Product
+    StocktakeItem.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+
+    // StocktakeItem has many StocktakeCounts
+    StocktakeItem.hasMany(models.StocktakeCount, {
+      foreignKey: 'stocktake_item_id',
+      as: 'counts'
+    });
+  };
+
+  return StocktakeItem;
+};
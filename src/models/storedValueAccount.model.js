@@ -0,0 +1,160 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * StoredValueAccount model for a gift card or a customer's store credit
+ * wallet. The balance is kept in step with the account's ledger of
+ * StoredValueTransactions.
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - StoredValueAccount model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     StoredValueAccount:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - type
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated account ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop the value can be spent in
+   *         type:
+   *           type: string
+   *           enum: [gift_card, store_credit]
+   *           description: A gift card spent by presenting its code, or a customer's store credit wallet
+   *         code:
+   *           type: string
+   *           nullable: true
+   *           description: Gift card number, unique within the shop
+   *         customer_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: Owner of a store credit wallet, or the customer a gift card was registered to
+   *         balance:
+   *           type: number
+   *           format: decimal
+   *           description: Value left to spend
+   *         expires_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *           description: When a gift card stops being accepted
+   *         is_active:
+   *           type: boolean
+   *           description: Whether the value can be spent
+   *         issued_by:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who issued the account
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *           description: Last update timestamp
+   */
+  const StoredValueAccount = sequelize.define('StoredValueAccount', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('gift_card', 'store_credit'),
+      allowNull: false
+    },
+    code: {
+      type: DataTypes.STRING(40)
+    },
+    customer_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    balance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    issued_by: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'stored_value_accounts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false, // Accounts are deactivated, never deleted, so their ledger stays whole
+    indexes: [
+      {
+        unique: true,
+        fields: ['shop_id', 'code']
+      }
+    ]
+  });
+
+  // Define associations
+  StoredValueAccount.associate = (models) => {
+    // StoredValueAccount belongs to Shop
+    StoredValueAccount.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // StoredValueAccount belongs to Customer
+    StoredValueAccount.belongsTo(models.Customer, {
+      foreignKey: 'customer_id',
+      as: 'customer'
+    });
+
+    // StoredValueAccount belongs to User (issuer)
+    StoredValueAccount.belongsTo(models.User, {
+      foreignKey: 'issued_by',
+      as: 'issuer'
+    });
+
+    // StoredValueAccount has many StoredValueTransactions
+    StoredValueAccount.hasMany(models.StoredValueTransaction, {
+      foreignKey: 'account_id',
+      as: 'transactions'
+    });
+  };
+
+  return StoredValueAccount;
+};
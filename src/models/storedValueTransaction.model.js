@@ -0,0 +1,221 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * StoredValueTransaction model for the ledger of gift cards and store credit.
+ * Entries are only ever added; a mistake is put right with an adjustment.
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - StoredValueTransaction model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     StoredValueTransaction:
+   *       type: object
+   *       required:
+   *         - account_id
+   *         - shop_id
+   *         - type
+   *         - amount
+   *         - balance_after
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated transaction ID
+   *         account_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the gift card or store credit account
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         customer_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the customer the account belongs to, if any
+   *         type:
+   *           type: string
+   *           enum: [issue, top_up, redeem, refund, adjustment]
+   *           description: >
+   *             issue and top_up add value sold to the customer, redeem spends it
+   *             on a sale, refund pays a refund into the account and adjustment
+   *             corrects the balance
+   *         amount:
+   *           type: number
+   *           format: decimal
+   *           description: Value added (positive) or taken (negative)
+   *         balance_after:
+   *           type: number
+   *           format: decimal
+   *           description: Balance of the account after this transaction
+   *         payment_method:
+   *           type: string
+   *           enum: [cash, card, mobile]
+   *           nullable: true
+   *           description: How value issued or topped up was paid for
+   *         reference_number:
+   *           type: string
+   *           nullable: true
+   *           description: Reference of that payment
+   *         sale_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the sale value was spent on or refunded from
+   *         payment_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the sale payment that spent the value
+   *         refund_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the refund paid into the account
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the user who recorded the transaction
+   *         description:
+   *           type: string
+   *           description: Description of the transaction
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *           description: Creation timestamp
+   */
+  const StoredValueTransaction = sequelize.define('StoredValueTransaction', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    account_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stored_value_accounts',
+        key: 'id'
+      }
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('issue', 'top_up', 'redeem', 'refund', 'adjustment'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    balance_after: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    payment_method: {
+      type: DataTypes.ENUM('cash', 'card', 'mobile')
+    },
+    reference_number: {
+      type: DataTypes.STRING(50)
+    },
+    sale_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'sales',
+        key: 'id'
+      }
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    refund_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'refunds',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    description: {
+      type: DataTypes.TEXT
+    }
+  }, {
+    tableName: 'stored_value_transactions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false, // No updated_at timestamp for transactions
+    paranoid: false,
+
+    // The ledger is append-only
+    hooks: {
+      beforeUpdate: () => {
+        throw new Error('Stored value transactions cannot be changed');
+      },
+      beforeDestroy: () => {
+        throw new Error('Stored value transactions cannot be deleted');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Stored value transactions cannot be changed');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Stored value transactions cannot be deleted');
+      }
+    }
+  });
+
+  // Define associations
+  StoredValueTransaction.associate = (models) => {
+    // StoredValueTransaction belongs to StoredValueAccount
+    StoredValueTransaction.belongsTo(models.StoredValueAccount, {
+      foreignKey: 'account_id',
+      as: 'account'
+    });
+
+    // StoredValueTransaction belongs to Customer
+    StoredValueTransaction.belongsTo(models.Customer, {
+      foreignKey: 'customer_id',
+      as: 'customer'
+    });
+
+    // StoredValueTransaction belongs to Sale (optional)
+    StoredValueTransaction.belongsTo(models.Sale, {
+      foreignKey: 'sale_id',
+      as: 'sale'
+    });
+
+    // StoredValueTransaction belongs to User
+    StoredValueTransaction.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return StoredValueTransaction;
+};
@@ -1,5 +1,3 @@
-const { DataTypes } = require('sequelize');
-
 /**
  * Supplier model for supplier management
  * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
@@ -14,12 +12,17 @@ module.exports = (sequelize, DataTypes) => {
    *     Supplier:
    *       type: object
    *       required:
+   *         - shop_id
    *         - name
    *       properties:
    *         id:
    *           type: string
    *           format: uuid
    *           description: The auto-generated supplier ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop this supplier belongs to
    *         name:
    *           type: string
    *           description: Supplier company name
@@ -57,6 +60,14 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true
     },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
     name: {
       type: DataTypes.STRING(255),
       allowNull: false
@@ -92,6 +103,18 @@ module.exports = (sequelize, DataTypes) => {
 
   // Define associations
   Supplier.associate = (models) => {
+    // Supplier belongs to Shop
+    Supplier.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // Supplier has many ProductSuppliers (products it supplies)
+    Supplier.hasMany(models.ProductSupplier, {
+      foreignKey: 'supplier_id',
+      as: 'product_links'
+    });
+
     // Supplier has many PurchaseOrders if the model exists
     if (models.PurchaseOrder) {
       Supplier.hasMany(models.PurchaseOrder, {
@@ -0,0 +1,235 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * TaxInvoice model for a sale or a return reported to the national tax
+ * portal, and where it is in the submission queue
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - TaxInvoice model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     TaxInvoice:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - sale_id
+   *         - subject
+   *         - tax_id
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated tax invoice ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         sale_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the sale reported
+   *         sale_return_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the return a return invoice reports
+   *         subject:
+   *           type: string
+   *           enum: [original, return]
+   *           description: A sale, or goods taken back from an earlier invoice
+   *         tax_id:
+   *           type: string
+   *           description: 22-character tax ID (شماره منحصر به فرد مالیاتی)
+   *         serial:
+   *           type: integer
+   *           description: Serial within the shop's tax memory
+   *         reference_tax_id:
+   *           type: string
+   *           nullable: true
+   *           description: Tax ID of the original invoice a return refers to
+   *         payload:
+   *           type: object
+   *           nullable: true
+   *           description: Invoice as sent to the portal (header, body, payments)
+   *         status:
+   *           type: string
+   *           enum: [queued, sent, accepted, rejected, failed]
+   *           description: >
+   *             queued until sent; sent while the portal checks it; accepted or
+   *             rejected by the portal (or by the checks made before sending);
+   *             failed when the portal could not be reached after every retry
+   *         reference_number:
+   *           type: string
+   *           nullable: true
+   *           description: Reference the portal gave the submission
+   *         errors:
+   *           type: array
+   *           items:
+   *             type: object
+   *             properties:
+   *               code:
+   *                 type: string
+   *               message:
+   *                 type: string
+   *           description: Why the invoice was rejected or could not be sent
+   *         attempts:
+   *           type: integer
+   *           description: Times the invoice was sent or looked up
+   *         job_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the latest job working on the invoice
+   *         user_id:
+   *           type: string
+   *           format: uuid
+   *           nullable: true
+   *           description: ID of the user whose sale or return raised the invoice
+   *         submitted_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         accepted_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   */
+  const TaxInvoice = sequelize.define('TaxInvoice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    sale_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sales',
+        key: 'id'
+      }
+    },
+    sale_return_id: {
+      type: DataTypes.UUID,
+      unique: true,
+      references: {
+        model: 'sale_returns',
+        key: 'id'
+      }
+    },
+    subject: {
+      type: DataTypes.ENUM('original', 'return'),
+      allowNull: false
+    },
+    tax_id: {
+      type: DataTypes.STRING(22),
+      allowNull: false,
+      unique: true
+    },
+    serial: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    reference_tax_id: {
+      type: DataTypes.STRING(22)
+    },
+    payload: {
+      type: DataTypes.JSONB
+    },
+    signed_payload: {
+      type: DataTypes.TEXT
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'sent', 'accepted', 'rejected', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    reference_number: {
+      type: DataTypes.STRING(100)
+    },
+    errors: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    job_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    submitted_at: {
+      type: DataTypes.DATE
+    },
+    accepted_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'tax_invoices',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  // Define associations
+  TaxInvoice.associate = (models) => {
+    // TaxInvoice belongs to Shop
+    TaxInvoice.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+
+    // TaxInvoice belongs to Sale
+    TaxInvoice.belongsTo(models.Sale, {
+      foreignKey: 'sale_id',
+      as: 'sale'
+    });
+
+    // TaxInvoice belongs to SaleReturn
+    TaxInvoice.belongsTo(models.SaleReturn, {
+      foreignKey: 'sale_return_id',
+      as: 'saleReturn'
+    });
+
+    // TaxInvoice belongs to Job
+    TaxInvoice.belongsTo(models.Job, {
+      foreignKey: 'job_id',
+      as: 'job'
+    });
+
+    // TaxInvoice belongs to User
+    TaxInvoice.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return TaxInvoice;
+};
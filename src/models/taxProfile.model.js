@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * TaxProfile model for how a shop reports its invoices to the national tax
+ * portal (سامانه مودیان): its economic code, tax memory ID and signing key
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {import('sequelize').Model} - TaxProfile model
+ */
+module.exports = (sequelize) => {
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     TaxProfile:
+   *       type: object
+   *       required:
+   *         - shop_id
+   *         - economic_code
+   *         - memory_id
+   *       properties:
+   *         id:
+   *           type: string
+   *           format: uuid
+   *           description: The auto-generated profile ID
+   *         shop_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the shop
+   *         economic_code:
+   *           type: string
+   *           description: The shop's economic code (seller's tax ID on every invoice)
+   *         memory_id:
+   *           type: string
+   *           description: Tax memory ID (شناسه یکتای حافظه مالیاتی) issued by the portal
+   *         public_key:
+   *           type: string
+   *           description: PEM public key to register with the portal; the private key is never returned
+   *         default_unit_code:
+   *           type: string
+   *           description: Unit code for products without their own
+   *         is_active:
+   *           type: boolean
+   *           description: Whether new sales and returns are reported automatically
+   *         last_serial:
+   *           type: integer
+   *           description: Last serial used in a tax ID
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   */
+  const TaxProfile = sequelize.define('TaxProfile', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'shops',
+        key: 'id'
+      }
+    },
+    economic_code: {
+      type: DataTypes.STRING(14),
+      allowNull: false
+    },
+    memory_id: {
+      type: DataTypes.STRING(6),
+      allowNull: false
+    },
+    private_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    public_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    default_unit_code: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: '1627'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    last_serial: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'tax_profiles',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    paranoid: false
+  });
+
+  // The signing key never leaves the server
+  TaxProfile.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.private_key;
+    return values;
+  };
+
+  // Define associations
+  TaxProfile.associate = (models) => {
+    // TaxProfile belongs to Shop
+    TaxProfile.belongsTo(models.Shop, {
+      foreignKey: 'shop_id',
+      as: 'shop'
+    });
+  };
+
+  return TaxProfile;
+};
@@ -1,4 +1,3 @@
-const { DataTypes } = require('sequelize');
 // Use our secure crypto utility instead of bcrypt to avoid compatibility issues
 const passwordHandler = require('../utils/cryptoUtils');
 
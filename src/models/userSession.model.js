@@ -13,7 +13,6 @@ module.exports = (sequelize) => {
    *     UserSession:
    *       type: object
    *       required:
-   *         - user_id
    *         - token
    *         - expires_at
    *       properties:
@@ -25,6 +24,10 @@ module.exports = (sequelize) => {
    *           type: string
    *           format: uuid
    *           description: ID of the user this session belongs to
+   *         customer_id:
+   *           type: string
+   *           format: uuid
+   *           description: ID of the customer this session belongs to (customer sign-in by code)
    *         token:
    *           type: string
    *           description: Session token
@@ -51,12 +54,18 @@ module.exports = (sequelize) => {
     },
     user_id: {
       type: DataTypes.UUID,
-      allowNull: false,
       references: {
         model: 'users',
         key: 'id'
       }
     },
+    customer_id: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
     token: {
       type: DataTypes.STRING(255),
       allowNull: false
@@ -88,8 +97,21 @@ module.exports = (sequelize) => {
       {
         name: 'idx_user_sessions_user_id',
         fields: ['user_id']
+      },
+      {
+        name: 'idx_user_sessions_customer_id',
+        fields: ['customer_id']
       }
-    ]
+    ],
+
+    validate: {
+      // A session belongs to exactly one user or one customer
+      hasOneOwner() {
+        if (!this.user_id === !this.customer_id) {
+          throw new Error('A session must belong to either a user or a customer');
+        }
+      }
+    }
   });
 
   // Instance method to check if session is expired
@@ -1,5 +1,3 @@
-const { DataTypes } = require('sequelize');
-
 /**
  * UserShop join model to manage user access to multiple shops
  * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
@@ -1,7 +1,7 @@
 const express = require('express');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 const authController = require('../controllers/auth.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate, authenticateCustomer } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -83,6 +83,102 @@ router.post('/register', validate(schemas.userRegister), authController.register
  */
 router.post('/login', validate(schemas.userLogin), authController.login);
 
+/**
+ * @swagger
+ * /api/auth/otp/request:
+ *   post:
+ *     summary: Send a one-time login code by SMS
+ *     description: >
+ *       Staff sign in with the mobile number on their user account, customers with the
+ *       number on their customer record. The response is the same whether or not the
+ *       number is registered. A number gets one code per minute and at most 5 per hour
+ *       by default; a new code replaces the previous one.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: '09121234567'
+ *                 description: Iranian mobile number (09..., +989... or 989...)
+ *               audience:
+ *                 type: string
+ *                 enum: [staff, customer]
+ *                 default: staff
+ *     responses:
+ *       200:
+ *         description: Code sent if the number is registered
+ *       400:
+ *         description: Invalid mobile number
+ *       429:
+ *         description: Too many codes requested, or the number is locked out
+ *       502:
+ *         description: The SMS provider could not send the code
+ */
+router.post('/otp/request', validate(schemas.otpRequest), authController.requestOtp);
+
+/**
+ * @swagger
+ * /api/auth/otp/verify:
+ *   post:
+ *     summary: Sign in with a one-time login code
+ *     description: >
+ *       Staff receive the same tokens as password login. Customers receive a customer
+ *       token that only opens customer endpoints. Five wrong codes lock the number out
+ *       for 30 minutes by default.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - code
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: '09121234567'
+ *               audience:
+ *                 type: string
+ *                 enum: [staff, customer]
+ *                 default: staff
+ *               code:
+ *                 type: string
+ *                 example: '482913'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Code is wrong, expired or already used
+ *       429:
+ *         description: Number is locked out after too many wrong codes
+ */
+router.post('/otp/verify', validate(schemas.otpVerify), authController.verifyOtp);
+
+/**
+ * @swagger
+ * /api/auth/customer/me:
+ *   get:
+ *     summary: Get the profile of the customer signed in with a phone code
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Customer profile with loyalty balance
+ *       401:
+ *         description: Not signed in as a customer
+ */
+router.get('/customer/me', authenticateCustomer, authController.getCustomerProfile);
+
 /**
  * @swagger
  * /api/auth/refresh:
@@ -1,7 +1,8 @@
 const express = require('express');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 const categoryController = require('../controllers/category.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
 const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
 
 const router = express.Router();
@@ -156,10 +157,10 @@ router.get('/:id', validate(schemas.idParam, 'params'), categoryController.getCa
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - not admin or manager
+ *         description: Forbidden - requires the catalog.manage permission
  */
 router.post('/',
-  restrictTo('admin', 'manager'),
+  requirePermission('catalog.manage'),
   verifyShopAccess(),  // Verify user has access to the shop
   validate(schemas.categoryCreate),
   categoryController.createCategory
@@ -207,12 +208,12 @@ router.post('/',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - not admin or manager
+ *         description: Forbidden - requires the catalog.manage permission
  *       404:
  *         description: Category not found
  */
 router.put('/:id',
-  restrictTo('admin', 'manager'),
+  requirePermission('catalog.manage'),
   verifyShopAccess(),  // Verify user has access to the shop
   validate(schemas.categoryUpdate),
   categoryController.updateCategory
@@ -246,12 +247,12 @@ router.put('/:id',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - not admin or manager
+ *         description: Forbidden - requires the catalog.manage permission
  *       404:
  *         description: Category not found
  */
 router.delete('/:id',
-  restrictTo('admin', 'manager'),
+  requirePermission('catalog.manage'),
   verifyShopAccess(),  // Verify user has access to the shop
   categoryController.deleteCategory
 );
@@ -0,0 +1,343 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const couponController = require('../controllers/coupon.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  campaignCreate, campaignUpdate, codesCreate, couponUpdate
+} = require('../validation/coupon.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: >
+ *     Coupon codes customers present at the till or with an order. A campaign
+ *     sets the discount, its dates, the minimum purchase and how often codes
+ *     may be used, in total and per customer; its codes are chosen by hand or
+ *     generated in bulk. Codes are redeemed with coupon_code on
+ *     POST /api/sales and POST /api/orders.
+ */
+
+/**
+ * @swagger
+ * /api/coupons/campaigns:
+ *   get:
+ *     summary: Get the coupon campaigns of the shop
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by campaign name
+ *     responses:
+ *       200:
+ *         description: List of campaigns, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     campaigns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CouponCampaign'
+ *   post:
+ *     summary: Create a coupon campaign
+ *     description: Codes of the campaign are single-use unless uses_per_code says otherwise.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponCampaign'
+ *     responses:
+ *       201:
+ *         description: Campaign created
+ *       400:
+ *         description: Invalid discount or dates
+ *       403:
+ *         description: Requires the coupons.manage permission
+ */
+router.get('/campaigns',
+  requirePermission('coupons.manage'),
+  couponController.getAllCampaigns
+);
+
+router.post('/campaigns',
+  requirePermission('coupons.manage'),
+  validate(campaignCreate),
+  couponController.createCampaign
+);
+
+/**
+ * @swagger
+ * /api/coupons/campaigns/{id}:
+ *   get:
+ *     summary: Get a coupon campaign
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Campaign with its number of codes and redemptions
+ *       404:
+ *         description: Campaign not found
+ *   put:
+ *     summary: Update a coupon campaign
+ *     description: >
+ *       Changes apply to every code of the campaign, except uses_per_code,
+ *       which only sets the uses of codes created afterwards. Set is_active to
+ *       false to stop all its codes.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponCampaign'
+ *     responses:
+ *       200:
+ *         description: Campaign updated
+ *       400:
+ *         description: Invalid discount or dates
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/campaigns/:id',
+  requirePermission('coupons.manage'),
+  validate(schemas.idParam, 'params'),
+  couponController.getCampaignById
+);
+
+router.put('/campaigns/:id',
+  requirePermission('coupons.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(campaignUpdate),
+  couponController.updateCampaign
+);
+
+/**
+ * @swagger
+ * /api/coupons/campaigns/{id}/codes:
+ *   get:
+ *     summary: Get the codes of a campaign
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: used
+ *         schema:
+ *           type: boolean
+ *         description: Only codes used at least once, or never used
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Paginated list of codes
+ *       404:
+ *         description: Campaign not found
+ *   post:
+ *     summary: Add codes to a campaign
+ *     description: >
+ *       Give code to create one chosen code, or count to generate that many
+ *       random codes. Generated codes avoid easily confused characters and
+ *       never repeat a code the shop already has.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: SUMMER25
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5000
+ *               prefix:
+ *                 type: string
+ *                 example: SUM-
+ *               length:
+ *                 type: integer
+ *                 minimum: 4
+ *                 maximum: 20
+ *                 default: 8
+ *                 description: Number of random characters after the prefix
+ *               max_uses:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Uses of each code; defaults to the campaign's uses_per_code
+ *     responses:
+ *       201:
+ *         description: The codes created
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: The chosen code is already in use in this shop
+ */
+router.get('/campaigns/:id/codes',
+  requirePermission('coupons.manage'),
+  validate(schemas.idParam, 'params'),
+  couponController.getCampaignCodes
+);
+
+router.post('/campaigns/:id/codes',
+  requirePermission('coupons.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(codesCreate),
+  couponController.createCodes
+);
+
+/**
+ * @swagger
+ * /api/coupons/report:
+ *   get:
+ *     summary: Redemptions, discounts given and revenue per campaign
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: >
+ *           For each campaign, its number of codes, redemptions, distinct
+ *           customers, the discount given and the revenue of the sales and
+ *           orders the codes were used on
+ *       403:
+ *         description: Requires the reports.view permission
+ */
+router.get('/report',
+  requirePermission('reports.view'),
+  couponController.getCampaignReport
+);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   patch:
+ *     summary: Enable or disable a code, or change how often it can be used
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               is_active:
+ *                 type: boolean
+ *               max_uses:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       404:
+ *         description: Coupon not found
+ */
+router.patch('/:id',
+  requirePermission('coupons.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(couponUpdate),
+  couponController.updateCoupon
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 const customerController = require('../controllers/customer.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -38,8 +39,7 @@ router.use(authenticate);
  *         name: loyalty_tier
  *         schema:
  *           type: string
- *           enum: [bronze, silver, gold, platinum]
- *         description: Filter by loyalty tier
+ *         description: Filter by loyalty tier name
  *       - in: query
  *         name: is_active
  *         schema:
@@ -270,7 +270,7 @@ router.delete('/:id', validate(schemas.idParam, 'params'), customerController.de
  */
 router.patch('/:id/loyalty', 
   validate(schemas.idParam, 'params'), 
-  restrictTo('admin', 'manager', 'cashier'), 
+  requirePermission('loyalty.adjust_points'), 
   customerController.updateLoyaltyPoints
 );
 
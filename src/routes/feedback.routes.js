@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const FeedbackController = require('../controllers/feedback.controller');
-const { authenticateJWT, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticateJWT } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permissions');
 const validate = require('../middleware/validate.middleware');
 const { 
   feedbackFormCreate, 
@@ -103,7 +104,7 @@ router.get('/forms/:id', authenticateJWT, FeedbackController.getFormById);
 router.post(
   '/forms',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager']),
+  requirePermission('feedback.manage'),
   validate(feedbackFormCreate),
   FeedbackController.createForm
 );
@@ -150,7 +151,7 @@ router.post(
 router.put(
   '/forms/:id',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager']),
+  requirePermission('feedback.manage'),
   validate(feedbackFormUpdate),
   FeedbackController.updateForm
 );
@@ -182,7 +183,7 @@ router.put(
 router.delete(
   '/forms/:id',
   authenticateJWT,
-  authorizeRoles(['admin']),
+  requirePermission('feedback.delete'),
   FeedbackController.deleteForm
 );
 
@@ -221,7 +222,7 @@ router.delete(
 router.post(
   '/forms/:id/questions',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager']),
+  requirePermission('feedback.manage'),
   validate(feedbackQuestionCreate),
   FeedbackController.addQuestion
 );
@@ -282,7 +283,7 @@ router.post(
 router.put(
   '/forms/:id/questions/:questionId',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager']),
+  requirePermission('feedback.manage'),
   validate(feedbackQuestionUpdate),
   FeedbackController.updateQuestion
 );
@@ -323,7 +324,7 @@ router.put(
 router.delete(
   '/forms/:id/questions/:questionId',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager']),
+  requirePermission('feedback.manage'),
   FeedbackController.deleteQuestion
 );
 
@@ -453,7 +454,7 @@ router.post(
 router.get(
   '/responses',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager']),
+  requirePermission('feedback.manage'),
   FeedbackController.getResponses
 );
 
@@ -484,7 +485,7 @@ router.get(
 router.get(
   '/responses/:id',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager']),
+  requirePermission('feedback.manage'),
   FeedbackController.getResponseById
 );
 
@@ -529,7 +530,7 @@ router.get(
 router.get(
   '/analytics',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager']),
+  requirePermission('feedback.manage'),
   FeedbackController.getAnalytics
 );
 
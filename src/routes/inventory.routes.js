@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const InventoryController = require('../controllers/inventory.controller');
-const { authenticateJWT, authorizeRoles } = require('../middleware/auth.middleware');
+const { authenticateJWT } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permissions');
 const validate = require('../middleware/validate.middleware');
 const schemas = require('../validation/inventory.schema');
 
@@ -76,7 +77,7 @@ const schemas = require('../validation/inventory.schema');
  */
 router.get('/',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager', 'inventory']),
+  requirePermission('inventory.view'),
   InventoryController.getAllInventory
 );
 
@@ -107,7 +108,7 @@ router.get('/',
  */
 router.get('/low-stock',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager', 'inventory']),
+  requirePermission('inventory.view'),
   InventoryController.getLowStockProducts
 );
 
@@ -116,9 +117,17 @@ router.get('/low-stock',
  * /api/inventory/summary:
  *   get:
  *     summary: Get inventory summary statistics
+ *     description: Totals for the active shop, broken down by location, with stock in transit between locations and stock not yet placed at any location.
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: shop_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Shop to summarise; defaults to the user's active shop
  *     responses:
  *       200:
  *         description: Inventory summary statistics
@@ -131,7 +140,7 @@ router.get('/low-stock',
  */
 router.get('/summary',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager', 'inventory']),
+  requirePermission('inventory.view'),
   InventoryController.getInventorySummary
 );
 
@@ -165,7 +174,7 @@ router.get('/summary',
  */
 router.get('/product/:id',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager', 'inventory']),
+  requirePermission('inventory.view'),
   validate(schemas.idParam, 'params'),
   InventoryController.getInventoryByProductId
 );
@@ -228,7 +237,7 @@ router.get('/product/:id',
  */
 router.patch('/product/:id',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager', 'inventory']),
+  requirePermission('inventory.adjust'),
   validate(schemas.idParam, 'params'),
   InventoryController.updateInventory
 );
@@ -275,7 +284,7 @@ router.patch('/product/:id',
  */
 router.get('/product/:id/history',
   authenticateJWT,
-  authorizeRoles(['admin', 'manager', 'inventory']),
+  requirePermission('inventory.view'),
   validate(schemas.idParam, 'params'),
   InventoryController.getInventoryHistory
 );
@@ -0,0 +1,96 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const jobController = require('../controllers/job.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Status of background jobs such as reports, exports and notifications
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: Users see the jobs they queued; admins see all jobs.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: queue
+ *         schema:
+ *           type: string
+ *         description: Filter by queue
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, active, completed, failed]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: List of jobs with pagination
+ */
+router.get('/', jobController.getAllJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a background job's status, progress and result
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id',
+  validate(schemas.idParam, 'params'),
+  jobController.getJobById
+);
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const locationController = require('../controllers/location.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const { locationCreate, locationUpdate } = require('../validation/location.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Locations
+ *   description: Warehouses and branches that hold a shop's stock
+ */
+
+/**
+ * @swagger
+ * /api/locations:
+ *   get:
+ *     summary: List locations of the current shop
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [warehouse, branch]
+ *         description: Filter by location type
+ *     responses:
+ *       200:
+ *         description: List of locations with their total stock
+ */
+router.get('/',
+  requirePermission('locations.view'),
+  locationController.getAllLocations
+);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   get:
+ *     summary: Get a location
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Location ID
+ *     responses:
+ *       200:
+ *         description: Location details with stock totals
+ *       404:
+ *         description: Location not found
+ */
+router.get('/:id',
+  requirePermission('locations.view'),
+  validate(schemas.idParam, 'params'),
+  locationController.getLocationById
+);
+
+/**
+ * @swagger
+ * /api/locations:
+ *   post:
+ *     summary: Create a location
+ *     description: The shop's first location becomes its default and takes over all stock the shop already holds.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [warehouse, branch]
+ *                 default: branch
+ *               address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               is_default:
+ *                 type: boolean
+ *                 description: Sales, order shipments and receipts without a location use the default location
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Location created
+ *       400:
+ *         description: Invalid input or duplicate name
+ */
+router.post('/',
+  requirePermission('locations.manage'),
+  validate(locationCreate),
+  locationController.createLocation
+);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   put:
+ *     summary: Update a location
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Location ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [warehouse, branch]
+ *               address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               is_default:
+ *                 type: boolean
+ *               is_active:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *       400:
+ *         description: Invalid input, duplicate name or default location change
+ *       404:
+ *         description: Location not found
+ */
+router.put('/:id',
+  requirePermission('locations.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(locationUpdate),
+  locationController.updateLocation
+);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   delete:
+ *     summary: Delete a location
+ *     description: Only empty, non-default locations without open transfers can be deleted.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Location ID
+ *     responses:
+ *       200:
+ *         description: Location deleted
+ *       400:
+ *         description: Location is the default, holds stock or has open transfers
+ *       404:
+ *         description: Location not found
+ */
+router.delete('/:id',
+  requirePermission('locations.manage'),
+  validate(schemas.idParam, 'params'),
+  locationController.deleteLocation
+);
+
+/**
+ * @swagger
+ * /api/locations/{id}/stock:
+ *   get:
+ *     summary: List stock held at a location
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Location ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by product name, SKU or barcode
+ *       - in: query
+ *         name: in_stock
+ *         schema:
+ *           type: boolean
+ *         description: Only show products with quantity above zero
+ *     responses:
+ *       200:
+ *         description: Stock at the location with pagination
+ *       404:
+ *         description: Location not found
+ */
+router.get('/:id/stock',
+  requirePermission('locations.view'),
+  validate(schemas.idParam, 'params'),
+  locationController.getLocationStock
+);
+
+module.exports = router;
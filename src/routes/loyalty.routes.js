@@ -1,7 +1,8 @@
 const express = require('express');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 const loyaltyController = require('../controllers/loyalty.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -44,7 +45,6 @@ router.use(authenticate);
  *         name: min_tier
  *         schema:
  *           type: string
- *           enum: [bronze, silver, gold, platinum]
  *         description: Filter by minimum tier required
  *       - in: query
  *         name: is_active
@@ -109,7 +109,7 @@ router.get('/rewards/:id', validate(schemas.idParam, 'params'), loyaltyControlle
  *         description: Invalid input
  */
 router.post('/rewards', 
-  restrictTo('admin', 'manager'), 
+  requirePermission('loyalty.manage_rewards'), 
   validate(schemas.loyaltyRewardCreate), 
   loyaltyController.createReward
 );
@@ -143,7 +143,7 @@ router.post('/rewards',
  *         description: Reward not found
  */
 router.put('/rewards/:id', 
-  restrictTo('admin', 'manager'), 
+  requirePermission('loyalty.manage_rewards'), 
   validate(schemas.idParam, 'params'), 
   loyaltyController.updateReward
 );
@@ -171,7 +171,7 @@ router.put('/rewards/:id',
  *         description: Reward not found
  */
 router.delete('/rewards/:id', 
-  restrictTo('admin', 'manager'), 
+  requirePermission('loyalty.manage_rewards'), 
   validate(schemas.idParam, 'params'), 
   loyaltyController.deleteReward
 );
@@ -233,7 +233,7 @@ router.delete('/rewards/:id',
  *       401:
  *         description: Unauthorized
  */
-router.get('/redemptions', restrictTo('admin', 'manager', 'cashier'), loyaltyController.getAllRedemptions);
+router.get('/redemptions', requirePermission('loyalty.redeem'), loyaltyController.getAllRedemptions);
 
 /**
  * @swagger
@@ -298,7 +298,7 @@ router.get('/redemptions/:id',
  *         description: Invalid input
  */
 router.post('/redemptions', 
-  restrictTo('admin', 'manager', 'cashier'), 
+  requirePermission('loyalty.redeem'), 
   validate(schemas.loyaltyRedemptionCreate), 
   loyaltyController.createRedemption
 );
@@ -341,7 +341,7 @@ router.post('/redemptions',
  *         description: Redemption not found
  */
 router.patch('/redemptions/:id/status', 
-  restrictTo('admin', 'manager', 'cashier'), 
+  requirePermission('loyalty.redeem'), 
   validate(schemas.idParam, 'params'),
   loyaltyController.updateRedemptionStatus
 );
@@ -398,7 +398,7 @@ router.patch('/redemptions/:id/status',
  *         description: Unauthorized
  */
 router.get('/transactions', 
-  restrictTo('admin', 'manager', 'cashier'), 
+  requirePermission('loyalty.redeem'), 
   loyaltyController.getLoyaltyTransactions
 );
 
@@ -407,6 +407,9 @@ router.get('/transactions',
  * /api/loyalty/customer/{id}/summary:
  *   get:
  *     summary: Get customer loyalty summary
+ *     description: >
+ *       Points earned, used and expired, the points that will expire (soonest
+ *       first) and where the customer stands in the loyalty tiers.
  *     tags: [Loyalty]
  *     security:
  *       - bearerAuth: []
@@ -429,18 +432,4 @@ router.get('/customer/:id/summary',
   loyaltyController.getCustomerLoyaltySummary
 );
 
-/**
- * @swagger
- * /api/loyalty/tiers:
- *   get:
- *     summary: Get loyalty program tier information
- *     tags: [Loyalty]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Loyalty program tiers
- */
-router.get('/tiers', loyaltyController.getLoyaltyTiers);
-
 module.exports = router; 
\ No newline at end of file
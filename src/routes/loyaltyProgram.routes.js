@@ -0,0 +1,193 @@
+const express = require('express');
+const loyaltyProgramController = require('../controllers/loyaltyProgram.controller');
+const { validate, uuidParam } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const { programCreate, programUpdate } = require('../validation/loyaltyProgram.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loyalty Programs
+ *   description: >
+ *     How many points customers earn on sales and delivered orders. A shop
+ *     runs at most one active program at a time. The program sets a base
+ *     earn rate per currency unit, rates for particular products or
+ *     categories, products that earn nothing, and bonus periods that
+ *     multiply the points. While no program is running, purchases earn no
+ *     points. Points can expire a number of months after they are earned;
+ *     spending uses the oldest points first, customers are warned before
+ *     their points expire and expired points are written off once a day.
+ *     The redemption rate values outstanding points in the loyalty
+ *     liability report.
+ */
+
+/**
+ * @swagger
+ * /api/loyalty/programs:
+ *   get:
+ *     summary: Get the loyalty programs of the shop
+ *     tags: [Loyalty Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: Loyalty programs, latest start first, and the program running now
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     programs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoyaltyProgram'
+ *                     active_program_id:
+ *                       type: string
+ *                       format: uuid
+ *                       nullable: true
+ *   post:
+ *     summary: Create a loyalty program
+ *     description: The program starts now unless a start date is given.
+ *     tags: [Loyalty Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoyaltyProgram'
+ *     responses:
+ *       201:
+ *         description: Loyalty program created
+ *       400:
+ *         description: Dates or earn rules do not hang together
+ *       403:
+ *         description: Requires the loyalty.manage_programs permission
+ *       404:
+ *         description: A product or category in the rules was not found in this shop
+ *       409:
+ *         description: The dates overlap another active program
+ */
+router.get('/',
+  requirePermission('loyalty.manage_programs'),
+  loyaltyProgramController.getAllPrograms
+);
+
+router.post('/',
+  requirePermission('loyalty.manage_programs'),
+  validate(programCreate),
+  loyaltyProgramController.createProgram
+);
+
+/**
+ * @swagger
+ * /api/loyalty/programs/{id}:
+ *   get:
+ *     summary: Get a loyalty program
+ *     tags: [Loyalty Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Loyalty program details
+ *       404:
+ *         description: Loyalty program not found
+ *   put:
+ *     summary: Update a loyalty program
+ *     description: Points already earned under the program stay as they are, including when they expire.
+ *     tags: [Loyalty Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoyaltyProgram'
+ *     responses:
+ *       200:
+ *         description: Loyalty program updated
+ *       400:
+ *         description: Dates or earn rules do not hang together
+ *       404:
+ *         description: Loyalty program not found
+ *       409:
+ *         description: The dates overlap another active program
+ *   delete:
+ *     summary: Delete a loyalty program
+ *     description: Only a program that has not awarded any points can be deleted; deactivate the others.
+ *     tags: [Loyalty Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Loyalty program deleted
+ *       404:
+ *         description: Loyalty program not found
+ *       409:
+ *         description: The program has awarded points
+ */
+router.get('/:id',
+  requirePermission('loyalty.manage_programs'),
+  validate(uuidParam, 'params'),
+  loyaltyProgramController.getProgramById
+);
+
+router.put('/:id',
+  requirePermission('loyalty.manage_programs'),
+  validate(uuidParam, 'params'),
+  validate(programUpdate),
+  loyaltyProgramController.updateProgram
+);
+
+router.delete('/:id',
+  requirePermission('loyalty.manage_programs'),
+  validate(uuidParam, 'params'),
+  loyaltyProgramController.deleteProgram
+);
+
+module.exports = router;
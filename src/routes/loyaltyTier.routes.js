@@ -0,0 +1,242 @@
+const express = require('express');
+const loyaltyTierController = require('../controllers/loyaltyTier.controller');
+const { validate, uuidParam } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const { tierCreate, tierUpdate, customerIdParam } = require('../validation/loyaltyTier.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loyalty Tiers
+ *   description: >
+ *     Each shop defines its own tiers. A customer is placed in the highest
+ *     tier whose minimum points earned, amount spent or number of purchases
+ *     they meet over the tier's rolling window. Tiers are worked out again
+ *     after each sale and once a day for every customer, which moves
+ *     customers down when their purchases fall out of the window. A tier's
+ *     discount is taken off its customers' sales at checkout.
+ */
+
+/**
+ * @swagger
+ * /api/loyalty/tiers:
+ *   get:
+ *     summary: Get the loyalty tiers of the shop
+ *     tags: [Loyalty Tiers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Loyalty tiers, lowest first, with how many customers are in each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tiers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoyaltyTier'
+ *   post:
+ *     summary: Create a loyalty tier
+ *     description: Customers move into the tier at the next evaluation.
+ *     tags: [Loyalty Tiers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoyaltyTier'
+ *     responses:
+ *       201:
+ *         description: Loyalty tier created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Requires the loyalty.manage_tiers permission
+ *       409:
+ *         description: The shop has a tier with the same name or level
+ */
+router.get('/', loyaltyTierController.getAllTiers);
+
+router.post('/',
+  requirePermission('loyalty.manage_tiers'),
+  validate(tierCreate),
+  loyaltyTierController.createTier
+);
+
+/**
+ * @swagger
+ * /api/loyalty/tiers/evaluate:
+ *   post:
+ *     summary: Move every customer to the tier they qualify for now
+ *     description: Runs the daily evaluation now, e.g. after changing the tiers.
+ *     tags: [Loyalty Tiers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Evaluation queued as a background job
+ *       400:
+ *         description: The shop has no loyalty tiers
+ */
+router.post('/evaluate',
+  requirePermission('loyalty.manage_tiers'),
+  loyaltyTierController.evaluateTiers
+);
+
+/**
+ * @swagger
+ * /api/loyalty/tiers/customers/{customerId}/history:
+ *   get:
+ *     summary: Get how a customer moved between the shop's tiers
+ *     tags: [Loyalty Tiers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Tier changes, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoyaltyTierChange'
+ *                     pagination:
+ *                       type: object
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/customers/:customerId/history',
+  requirePermission('loyalty.redeem'),
+  validate(customerIdParam, 'params'),
+  loyaltyTierController.getCustomerTierHistory
+);
+
+/**
+ * @swagger
+ * /api/loyalty/tiers/{id}:
+ *   get:
+ *     summary: Get a loyalty tier
+ *     tags: [Loyalty Tiers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Loyalty tier details
+ *       404:
+ *         description: Loyalty tier not found
+ *   put:
+ *     summary: Update a loyalty tier
+ *     description: >
+ *       New rules move customers at the next evaluation; a new name shows on
+ *       the tier's customers straight away.
+ *     tags: [Loyalty Tiers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoyaltyTier'
+ *     responses:
+ *       200:
+ *         description: Loyalty tier updated
+ *       404:
+ *         description: Loyalty tier not found
+ *   delete:
+ *     summary: Delete a loyalty tier
+ *     description: Its customers are without a tier until the next evaluation places them again.
+ *     tags: [Loyalty Tiers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Loyalty tier deleted
+ *       404:
+ *         description: Loyalty tier not found
+ */
+router.get('/:id',
+  validate(uuidParam, 'params'),
+  loyaltyTierController.getTierById
+);
+
+router.put('/:id',
+  requirePermission('loyalty.manage_tiers'),
+  validate(uuidParam, 'params'),
+  validate(tierUpdate),
+  loyaltyTierController.updateTier
+);
+
+router.delete('/:id',
+  requirePermission('loyalty.manage_tiers'),
+  validate(uuidParam, 'params'),
+  loyaltyTierController.deleteTier
+);
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const notificationController = require('../controllers/notification.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+// The delivery log holds customer contact details
+router.use(requirePermission('notifications.manage'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: Delivery log of email and SMS notifications sent to customers and users
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List sent and queued notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sent, failed]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms]
+ *         description: Filter by channel
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *           enum: [password_reset, order_status_changed, loyalty_redemption_created, loyalty_redemption_completed, loyalty_redemption_cancelled, loyalty_points_expiring]
+ *         description: Filter by template
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by customer
+ *       - in: query
+ *         name: reference_type
+ *         schema:
+ *           type: string
+ *           enum: [order, loyalty_redemption, user]
+ *         description: Filter by the kind of record that triggered the message
+ *       - in: query
+ *         name: reference_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by the record that triggered the message
+ *     responses:
+ *       200:
+ *         description: Notifications with pagination, newest first
+ */
+router.get('/', notificationController.getAllNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   get:
+ *     summary: Get a notification with its message and delivery details
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationLog'
+ *       404:
+ *         description: Notification not found
+ */
+router.get('/:id',
+  validate(schemas.idParam, 'params'),
+  notificationController.getNotificationById
+);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/retry:
+ *   post:
+ *     summary: Send a failed notification again
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Notification ID
+ *     responses:
+ *       202:
+ *         description: Notification queued for delivery
+ *       400:
+ *         description: Notification has not failed
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/retry',
+  validate(schemas.idParam, 'params'),
+  notificationController.retryNotification
+);
+
+module.exports = router;
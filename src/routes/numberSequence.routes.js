@@ -0,0 +1,159 @@
+const express = require('express');
+const { validate } = require('../middleware/validationMiddleware');
+const numberSequenceController = require('../controllers/numberSequence.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { resolvePermissions, requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const { sequenceUpdate, documentTypeParam } = require('../validation/numberSequence.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user may change the shop's settings
+router.use(setShopContext);
+router.use(verifyShopAccess());
+router.use(resolvePermissions);
+router.use(requirePermission('shop.settings'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: NumberSequences
+ *   description: >
+ *     How the shop numbers its invoices, orders, purchase orders, transfers,
+ *     stocktakes and returns. Each document type counts up without gaps within
+ *     the shop; numbers of removed documents are voided, never reused.
+ */
+
+/**
+ * @swagger
+ * /api/number-sequences:
+ *   get:
+ *     summary: Get the number sequence of each document type with the next number
+ *     tags: [NumberSequences]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number sequences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sequences:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/NumberSequence'
+ *                           - type: object
+ *                             properties:
+ *                               next_number:
+ *                                 type: string
+ *                                 description: Number the next document would be given today
+ *       403:
+ *         description: Requires the shop.settings permission
+ */
+router.get('/', numberSequenceController.getSequences);
+
+/**
+ * @swagger
+ * /api/number-sequences/voids:
+ *   get:
+ *     summary: Get the numbers voided because their document was removed
+ *     tags: [NumberSequences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: document_type
+ *         schema:
+ *           type: string
+ *           enum: [invoice, order, purchase_order, transfer, stocktake, return]
+ *     responses:
+ *       200:
+ *         description: Paginated list of voided numbers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     voids:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/NumberSequenceVoid'
+ */
+router.get('/voids', numberSequenceController.getVoids);
+
+/**
+ * @swagger
+ * /api/number-sequences/{documentType}:
+ *   put:
+ *     summary: Change how a document type is numbered
+ *     description: >
+ *       The counter carries on from its last value unless the new settings put
+ *       today in a different period. A counter that restarts yearly, monthly or
+ *       daily needs that period's date tokens in the format.
+ *     tags: [NumberSequences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [invoice, order, purchase_order, transfer, stocktake, return]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prefix:
+ *                 type: string
+ *               format:
+ *                 type: string
+ *                 example: '{prefix}-{jyyyy}{jmm}-{seq:5}'
+ *               calendar:
+ *                 type: string
+ *                 enum: [jalali, gregorian]
+ *               reset_period:
+ *                 type: string
+ *                 enum: [never, yearly, monthly, daily]
+ *     responses:
+ *       200:
+ *         description: Number sequence updated
+ *       400:
+ *         description: Invalid format for the calendar and reset period
+ */
+router.put('/:documentType',
+  validate(documentTypeParam, 'params'),
+  validate(sequenceUpdate),
+  numberSequenceController.updateSequence
+);
+
+module.exports = router;
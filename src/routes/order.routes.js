@@ -1,7 +1,8 @@
 const express = require('express');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 const orderController = require('../controllers/order.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -126,6 +127,10 @@ router.get('/:id', authenticate, orderController.getOrderById);
  *                       type: string
  *                       format: uuid
  *                       description: Product ID
+ *                     variant_id:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Variant ordered, required when the product has variants
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
@@ -133,6 +138,9 @@ router.get('/:id', authenticate, orderController.getOrderById);
  *               notes:
  *                 type: string
  *                 description: Additional notes
+ *               coupon_code:
+ *                 type: string
+ *                 description: Coupon code to take off the order total
  *     responses:
  *       201:
  *         description: Order created
@@ -196,6 +204,9 @@ router.put('/:id', authenticate, validate(schemas.orderUpdate), orderController.
  * /api/orders/{id}/status:
  *   patch:
  *     summary: Update order status
+ *     description: >
+ *       When an order is delivered its customer earns loyalty points under the
+ *       program the shop ran when the order was placed.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -237,7 +248,7 @@ router.put('/:id', authenticate, validate(schemas.orderUpdate), orderController.
  */
 router.patch('/:id/status', 
   authenticate, 
-  restrictTo('admin', 'manager'),
+  requirePermission('orders.manage'),
   validate(schemas.orderStatusUpdate), 
   orderController.updateOrderStatus
 );
@@ -272,7 +283,7 @@ router.patch('/:id/status',
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, restrictTo('admin', 'manager'), orderController.deleteOrder);
+router.delete('/:id', authenticate, requirePermission('orders.delete'), orderController.deleteOrder);
 
 /**
  * @swagger
@@ -330,6 +341,10 @@ router.get('/customer/:id', authenticate, orderController.getCustomerOrders);
  *                 type: string
  *                 format: uuid
  *                 description: Product ID
+ *               variant_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Variant ordered, required when the product has variants
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -0,0 +1,133 @@
+const express = require('express');
+const { validate } = require('../middleware/validationMiddleware');
+const permissionController = require('../controllers/permission.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { resolvePermissions, requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const { roleParam, rolePermissionsUpdate } = require('../validation/permission.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+router.use(resolvePermissions);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Permissions
+ *   description: >
+ *     What each staff role may do in a shop. Every role starts with a default set;
+ *     shop owners (and roles granted permissions.manage) can change it per shop.
+ *     Owners and platform admins always hold every permission.
+ */
+
+/**
+ * @swagger
+ * /api/permissions:
+ *   get:
+ *     summary: Get the permission catalogue and each role's permissions in the shop
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission catalogue and role matrix
+ *       403:
+ *         description: Requires the permissions.manage permission
+ */
+router.get('/',
+  requirePermission('permissions.manage'),
+  permissionController.getPermissionMatrix
+);
+
+/**
+ * @swagger
+ * /api/permissions/me:
+ *   get:
+ *     summary: Get your role and permissions in the shop
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role (owner, admin, manager, cashier, inventory or marketing) and permissions
+ */
+router.get('/me', permissionController.getMyPermissions);
+
+/**
+ * @swagger
+ * /api/permissions/roles/{role}:
+ *   put:
+ *     summary: Replace a role's permissions in the shop
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [admin, manager, cashier, inventory, marketing]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [sales.create, sales.refund, loyalty.redeem]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Unknown permission, or removing permissions.manage from your own role
+ *       403:
+ *         description: Requires the permissions.manage permission
+ */
+router.put('/roles/:role',
+  requirePermission('permissions.manage'),
+  validate(roleParam, 'params'),
+  validate(rolePermissionsUpdate),
+  permissionController.updateRolePermissions
+);
+
+/**
+ * @swagger
+ * /api/permissions/roles/{role}:
+ *   delete:
+ *     summary: Restore a role's default permissions in the shop
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [admin, manager, cashier, inventory, marketing]
+ *     responses:
+ *       200:
+ *         description: Role reset to defaults
+ *       403:
+ *         description: Requires the permissions.manage permission
+ */
+router.delete('/roles/:role',
+  requirePermission('permissions.manage'),
+  validate(roleParam, 'params'),
+  permissionController.resetRolePermissions
+);
+
+module.exports = router;
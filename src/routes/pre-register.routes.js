@@ -1,5 +1,4 @@
 const express = require('express');
-const { validate } = require('../middleware/validationMiddleware');
 const preRegisterController = require('../controllers/pre-register.controller');
 const { authenticate, restrictTo } = require('../middleware/authMiddleware');
 
@@ -1,8 +1,14 @@
 const express = require('express');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 const productController = require('../controllers/product.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
 const { setShopContext } = require('../middleware/shopAccess');
+const { uploadSpreadsheet } = require('../middleware/uploadMiddleware');
+const {
+  variantCreate, variantGenerate, variantUpdate, variantParams
+} = require('../validation/productVariant.schema');
+const { productImport, productExport } = require('../validation/productImport.schema');
 
 const router = express.Router();
 
@@ -17,6 +23,7 @@ router.use(setShopContext);
  * /api/products:
  *   get:
  *     summary: List all products
+ *     description: Variants are listed under their product, not on their own.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -37,7 +44,7 @@ router.use(setShopContext);
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term for name, sku, barcode, or description
+ *         description: Search term for name, sku, barcode, or description; also finds products by a variant's sku or barcode
  *       - in: query
  *         name: category_id
  *         schema:
@@ -82,7 +89,139 @@ router.get('/', productController.getAllProducts);
  *       200:
  *         description: List of products with stock below reorder level
  */
-router.get('/low-stock', restrictTo('admin', 'manager', 'inventory'), productController.getLowStockProducts);
+router.get('/low-stock', requirePermission('inventory.view'), productController.getLowStockProducts);
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Export products as CSV or XLSX
+ *     description: >
+ *       Exports the products matching the product list filters, each followed
+ *       by its variants. The columns are those the import reads, plus
+ *       parent_sku and option_values of variants for reference.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name, sku, barcode, or description
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *         description: Minimum price filter
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *         description: Maximum price filter
+ *       - in: query
+ *         name: in_stock
+ *         schema:
+ *           type: boolean
+ *         description: Filter by stock availability
+ *     responses:
+ *       200:
+ *         description: The products file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/export', validate(productExport, 'query'), productController.exportProducts);
+
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Import products from a CSV or XLSX file
+ *     description: >
+ *       Reads the first sheet of the file, with column headers in the first row
+ *       (up to 5000 rows). Headers named like a product field (name, sku,
+ *       barcode, description, category, unit, purchase_price, selling_price,
+ *       discount_price, is_taxable, tax_rate, tax_service_id, tax_unit_code,
+ *       image_url, is_active, weight, weight_unit, stock_quantity,
+ *       reorder_level, reorder_quantity, location) are used as is; others are
+ *       mapped with the mapping field. Each row is checked for duplicate SKUs
+ *       and barcodes, and for a known category name and unit. Rows whose SKU or
+ *       barcode matches a product of the shop update it, others create one;
+ *       stock_quantity sets the stock on hand, which cannot go below the
+ *       units reserved for orders. With dry_run the report is
+ *       returned without importing; otherwise the valid rows are imported by
+ *       a background job. An XLSX sheet may use up to 100 columns.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of column headers by product field
+ *                 example: '{"name": "Product", "selling_price": "Price"}'
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only check the rows and return the report
+ *               update_existing:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Update products whose SKU or barcode matches; otherwise such rows are errors
+ *               create_categories:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create categories the shop does not have; otherwise such rows are errors
+ *               shop_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Dry run report with the errors of each row
+ *       202:
+ *         description: Import queued as a background job, with the report of the checked rows
+ *       400:
+ *         description: Invalid file, mapping or no valid rows
+ */
+router.post('/import',
+  requirePermission('products.manage'),
+  uploadSpreadsheet,
+  validate(productImport),
+  productController.importProducts
+);
 
 /**
  * @swagger
@@ -144,7 +283,7 @@ router.get('/:id', validate(schemas.idParam, 'params'), productController.getPro
  */
 router.get('/:id/inventory-history', 
   validate(schemas.idParam, 'params'),
-  restrictTo('admin', 'manager', 'inventory'),
+  requirePermission('inventory.view'),
   productController.getInventoryHistory
 );
 
@@ -178,7 +317,7 @@ router.get('/:id/inventory-history',
  */
 router.get('/:id/sales-stats', 
   validate(schemas.idParam, 'params'),
-  restrictTo('admin', 'manager'),
+  requirePermission('reports.view'),
   productController.getProductSalesStats
 );
 
@@ -203,7 +342,7 @@ router.get('/:id/sales-stats',
  *         description: Validation error
  */
 router.post('/', 
-  restrictTo('admin', 'manager', 'inventory'),
+  requirePermission('products.manage'),
   validate(schemas.productCreate),
   productController.createProduct
 );
@@ -213,6 +352,10 @@ router.post('/',
  * /api/products/{id}:
  *   put:
  *     summary: Update a product
+ *     description: >
+ *       Its variants take the new name, category and tax settings. Once a
+ *       product has variants its options cannot be added, removed or renamed,
+ *       and values its variants use cannot be dropped.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -238,7 +381,8 @@ router.post('/',
  */
 router.put('/:id', 
   validate(schemas.idParam, 'params'),
-  restrictTo('admin', 'manager', 'inventory'),
+  requirePermission('products.manage'),
+  validate(schemas.productUpdate),
   productController.updateProduct
 );
 
@@ -294,7 +438,7 @@ router.put('/:id',
  */
 router.patch('/:id/inventory', 
   validate(schemas.idParam, 'params'),
-  restrictTo('admin', 'manager', 'inventory'),
+  requirePermission('inventory.adjust'),
   productController.updateInventory
 );
 
@@ -303,6 +447,7 @@ router.patch('/:id/inventory',
  * /api/products/{id}:
  *   delete:
  *     summary: Delete a product
+ *     description: Its variants go with it; a product whose variants have been sold is deactivated with them instead.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -322,8 +467,273 @@ router.patch('/:id/inventory',
  */
 router.delete('/:id', 
   validate(schemas.idParam, 'params'),
-  restrictTo('admin', 'manager'),
+  requirePermission('products.delete'),
   productController.deleteProduct
 );
 
+/**
+ * @swagger
+ * tags:
+ *   name: Product Variants
+ *   description: >
+ *     A product lists its options (e.g. size and colour) and each combination
+ *     of their values can be a variant with its own SKU, barcode, price and
+ *     stock. Variants take their name, category and tax settings from the
+ *     product. A product with variants is sold, ordered and stocked as one of
+ *     them: sale and order items name it with product_id and the variant with
+ *     variant_id. Promotions, loyalty rules and reports for the product cover
+ *     all of its variants.
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   get:
+ *     summary: Get the variants of a product with their stock
+ *     tags: [Product Variants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: The product's options and its variants
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Create a variant of a product
+ *     description: >
+ *       The product must have options and, before its first variant, no
+ *       stock of its own. Prices default to the product's.
+ *     tags: [Product Variants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - option_values
+ *             properties:
+ *               option_values:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { size: M, colour: Red }
+ *               sku:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               purchase_price:
+ *                 type: number
+ *               selling_price:
+ *                 type: number
+ *               discount_price:
+ *                 type: number
+ *               image_url:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *               weight:
+ *                 type: number
+ *               stock_quantity:
+ *                 type: integer
+ *                 description: Initial stock
+ *               reorder_level:
+ *                 type: integer
+ *               reorder_quantity:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *       400:
+ *         description: Invalid option values, the product has no options or still holds stock, or the SKU or barcode is in use
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The product already has a variant with these option values
+ */
+router.get('/:id/variants',
+  validate(schemas.idParam, 'params'),
+  productController.getVariants
+);
+
+router.post('/:id/variants',
+  validate(schemas.idParam, 'params'),
+  requirePermission('products.manage'),
+  validate(variantCreate),
+  productController.createVariant
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/generate:
+ *   post:
+ *     summary: Create a variant for every combination of the product's options
+ *     description: >
+ *       Combinations that already have a variant are skipped. SKUs are the
+ *       product's SKU followed by the option values; the prices and stock
+ *       settings given apply to every new variant.
+ *     tags: [Product Variants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               purchase_price:
+ *                 type: number
+ *               selling_price:
+ *                 type: number
+ *               discount_price:
+ *                 type: number
+ *               is_active:
+ *                 type: boolean
+ *               weight:
+ *                 type: number
+ *               reorder_level:
+ *                 type: integer
+ *               reorder_quantity:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The variants created
+ *       400:
+ *         description: The product has no options or still holds stock, or a generated SKU is in use
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/variants/generate',
+  validate(schemas.idParam, 'params'),
+  requirePermission('products.manage'),
+  validate(variantGenerate),
+  productController.generateVariants
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a variant
+ *     description: Stock is changed through the product inventory endpoints with the variant's ID.
+ *     tags: [Product Variants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               option_values:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               sku:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               purchase_price:
+ *                 type: number
+ *               selling_price:
+ *                 type: number
+ *               discount_price:
+ *                 type: number
+ *               image_url:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *               weight:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       404:
+ *         description: Variant not found
+ *       409:
+ *         description: Another variant has these option values
+ *   delete:
+ *     summary: Delete a variant
+ *     description: A variant that has been sold is deactivated instead.
+ *     tags: [Product Variants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Variant deleted or deactivated
+ *       404:
+ *         description: Variant not found
+ */
+router.put('/:id/variants/:variantId',
+  validate(variantParams, 'params'),
+  requirePermission('products.manage'),
+  validate(variantUpdate),
+  productController.updateVariant
+);
+
+router.delete('/:id/variants/:variantId',
+  validate(variantParams, 'params'),
+  requirePermission('products.delete'),
+  productController.deleteVariant
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,244 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const promotionController = require('../controllers/promotion.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const { promotionCreate, promotionUpdate, pricePreview } = require('../validation/promotion.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: >
+ *     Discounts applied automatically when a sale is rung up: percentage or
+ *     fixed amounts off products or categories, buy X get Y, bundle prices and
+ *     basket discounts, limited by dates, days, hours of the day and a minimum
+ *     basket. Promotions are tried from the highest priority down; each line
+ *     takes at most one, the sale at most one basket discount, and promotions
+ *     that are not stackable never combine with others.
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Get the promotions of the shop
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [product_discount, buy_x_get_y, bundle_price, basket_discount]
+ *       - in: query
+ *         name: running
+ *         schema:
+ *           type: boolean
+ *         description: Only promotions that would apply to a sale right now
+ *     responses:
+ *       200:
+ *         description: List of promotions, highest priority first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     promotions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Promotion'
+ *   post:
+ *     summary: Create a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Settings do not fit the promotion type
+ *       403:
+ *         description: Requires the promotions.manage permission
+ */
+router.get('/',
+  requirePermission('promotions.manage'),
+  promotionController.getAllPromotions
+);
+
+router.post('/',
+  requirePermission('promotions.manage'),
+  validate(promotionCreate),
+  promotionController.createPromotion
+);
+
+/**
+ * @swagger
+ * /api/promotions/preview:
+ *   post:
+ *     summary: Price a cart with the running promotions without recording a sale
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product_id
+ *                     - quantity
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                       format: uuid
+ *                     variant_id:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Variant priced, required when the product has variants
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     discount_percent:
+ *                       type: number
+ *                       description: Cashier's discount on the line, on top of any promotion
+ *               discount_amount:
+ *                 type: number
+ *                 description: Cashier's discount on the whole sale
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Price the cart as of this time instead of now
+ *     responses:
+ *       200:
+ *         description: >
+ *           The cart priced line by line, with the promotion behind each line's
+ *           discount, the basket promotion and the sale totals
+ *       404:
+ *         description: A product was not found in this shop or is inactive
+ */
+router.post('/preview',
+  requirePermission('sales.create'),
+  validate(pricePreview),
+  promotionController.previewPrice
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Get a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Promotion details
+ *       404:
+ *         description: Promotion not found
+ *   put:
+ *     summary: Update a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       400:
+ *         description: Settings do not fit the promotion type
+ *       404:
+ *         description: Promotion not found
+ *   delete:
+ *     summary: Delete a promotion
+ *     description: Sales the promotion was applied to keep their reference to it.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Promotion deleted
+ *       404:
+ *         description: Promotion not found
+ */
+router.get('/:id',
+  requirePermission('promotions.manage'),
+  validate(schemas.idParam, 'params'),
+  promotionController.getPromotionById
+);
+
+router.put('/:id',
+  requirePermission('promotions.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(promotionUpdate),
+  promotionController.updatePromotion
+);
+
+router.delete('/:id',
+  requirePermission('promotions.manage'),
+  validate(schemas.idParam, 'params'),
+  promotionController.deletePromotion
+);
+
+module.exports = router;
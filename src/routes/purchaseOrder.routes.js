@@ -0,0 +1,526 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const purchaseOrderController = require('../controllers/purchaseOrder.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  purchaseOrderCreate,
+  purchaseOrderUpdate,
+  purchaseOrderCancel,
+  purchaseOrderReceive,
+  purchaseOrderFromSuggestions
+} = require('../validation/purchaseOrder.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Purchase Orders
+ *   description: Supplier purchase orders and goods receiving
+ */
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     summary: List purchase orders
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, partially_received, received, cancelled]
+ *         description: Filter by status
+ *       - in: query
+ *         name: supplier_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by supplier
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by order date from (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by order date to (YYYY-MM-DD)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by order number
+ *     responses:
+ *       200:
+ *         description: List of purchase orders with pagination
+ */
+router.get('/',
+  requirePermission('purchasing.manage'),
+  purchaseOrderController.getAllPurchaseOrders
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/suggestions:
+ *   get:
+ *     summary: Get reorder suggestions grouped by supplier
+ *     description: >
+ *       Suggested quantities are based on sales velocity over the last velocity_days
+ *       (sales and customer orders), stock that is not reserved, quantities already
+ *       on open purchase orders and the supplier's lead time.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: velocity_days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Days of sales history used to compute velocity
+ *       - in: query
+ *         name: coverage_days
+ *         schema:
+ *           type: integer
+ *           default: 14
+ *         description: Days of demand to cover after the delivery arrives
+ *       - in: query
+ *         name: default_lead_time_days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Lead time used when the supplier link has none
+ *       - in: query
+ *         name: supplier_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only show suggestions for this supplier
+ *     responses:
+ *       200:
+ *         description: Suggestions grouped by supplier, plus products without a supplier
+ */
+router.get('/suggestions',
+  requirePermission('purchasing.manage'),
+  purchaseOrderController.getReorderSuggestions
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/suggestions/draft:
+ *   post:
+ *     summary: Create draft purchase orders from reorder suggestions
+ *     description: Creates one draft purchase order per supplier with the suggested quantities.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplier_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Only create orders for these suppliers
+ *               velocity_days:
+ *                 type: integer
+ *                 default: 30
+ *               coverage_days:
+ *                 type: integer
+ *                 default: 14
+ *               default_lead_time_days:
+ *                 type: integer
+ *                 default: 7
+ *               expected_delivery_date:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Draft purchase orders created
+ *       400:
+ *         description: Nothing to reorder
+ */
+router.post('/suggestions/draft',
+  requirePermission('purchasing.manage'),
+  validate(purchaseOrderFromSuggestions),
+  purchaseOrderController.createFromSuggestions
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order with its lines and receipts
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Purchase order ID
+ *     responses:
+ *       200:
+ *         description: Purchase order details
+ *       404:
+ *         description: Purchase order not found
+ */
+router.get('/:id',
+  requirePermission('purchasing.manage'),
+  validate(schemas.idParam, 'params'),
+  purchaseOrderController.getPurchaseOrderById
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Create a draft purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplier_id
+ *               - items
+ *             properties:
+ *               supplier_id:
+ *                 type: string
+ *                 format: uuid
+ *               expected_delivery_date:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product_id
+ *                     - quantity
+ *                     - unit_cost
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     unit_cost:
+ *                       type: number
+ *                       minimum: 0
+ *     responses:
+ *       201:
+ *         description: Purchase order created
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Supplier or product not found
+ */
+router.post('/',
+  requirePermission('purchasing.manage'),
+  validate(purchaseOrderCreate),
+  purchaseOrderController.createPurchaseOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   put:
+ *     summary: Update a draft purchase order
+ *     description: Supplying items replaces all existing lines.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Purchase order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplier_id:
+ *                 type: string
+ *                 format: uuid
+ *               expected_delivery_date:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                     unit_cost:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Purchase order updated
+ *       400:
+ *         description: Purchase order is not a draft
+ *       404:
+ *         description: Purchase order not found
+ */
+router.put('/:id',
+  requirePermission('purchasing.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(purchaseOrderUpdate),
+  purchaseOrderController.updatePurchaseOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/send:
+ *   post:
+ *     summary: Mark a draft purchase order as sent to the supplier
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Purchase order ID
+ *     responses:
+ *       200:
+ *         description: Purchase order sent
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Purchase order not found
+ */
+router.post('/:id/send',
+  requirePermission('purchasing.manage'),
+  validate(schemas.idParam, 'params'),
+  purchaseOrderController.sendPurchaseOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel a purchase order
+ *     description: Goods already received are kept in stock.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Purchase order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order cancelled
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Purchase order not found
+ */
+router.post('/:id/cancel',
+  requirePermission('purchasing.cancel'),
+  validate(schemas.idParam, 'params'),
+  validate(purchaseOrderCancel),
+  purchaseOrderController.cancelPurchaseOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receipts:
+ *   get:
+ *     summary: List goods receipts for a purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Purchase order ID
+ *     responses:
+ *       200:
+ *         description: Goods receipts
+ *       404:
+ *         description: Purchase order not found
+ */
+router.get('/:id/receipts',
+  requirePermission('purchasing.manage'),
+  validate(schemas.idParam, 'params'),
+  purchaseOrderController.getPurchaseOrderReceipts
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receipts:
+ *   post:
+ *     summary: Receive goods against a purchase order
+ *     description: |
+ *       Records a full or partial goods receipt. Each received line raises the
+ *       product's stock and available quantity, writes a purchase inventory
+ *       transaction and updates the product's purchase price to the received cost.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Purchase order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               received_at:
+ *                 type: string
+ *                 format: date-time
+ *               location_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Location the goods are put away at; defaults to the shop's default location
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - purchase_order_item_id
+ *                     - quantity
+ *                   properties:
+ *                     purchase_order_item_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     unit_cost:
+ *                       type: number
+ *                       description: Actual cost if it differs from the ordered cost
+ *     responses:
+ *       201:
+ *         description: Goods received
+ *       400:
+ *         description: Invalid quantity or purchase order status
+ *       404:
+ *         description: Purchase order not found
+ */
+router.post('/:id/receipts',
+  requirePermission('purchasing.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(purchaseOrderReceive),
+  purchaseOrderController.receivePurchaseOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   delete:
+ *     summary: Delete a draft purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Purchase order ID
+ *     responses:
+ *       200:
+ *         description: Purchase order deleted
+ *       400:
+ *         description: Purchase order is not a draft
+ *       404:
+ *         description: Purchase order not found
+ */
+router.delete('/:id',
+  requirePermission('purchasing.cancel'),
+  validate(schemas.idParam, 'params'),
+  purchaseOrderController.deletePurchaseOrder
+);
+
+module.exports = router;
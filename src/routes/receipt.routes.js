@@ -0,0 +1,315 @@
+const express = require('express');
+const receiptController = require('../controllers/receipt.controller');
+const { validate } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  templateUpdate, receiptReprint, receiptEmail, documentParams
+} = require('../validation/receipt.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Receipts
+ *   description: >
+ *     Receipts of sales and orders as an A4 PDF invoice, an HTML page or
+ *     ESC/POS commands for an 80mm or 58mm thermal printer. Persian receipts
+ *     print right to left; PDF and thermal receipts need PDF_FONT_PATH set to
+ *     a font with Persian glyphs. The shop's name, address, phone and logo
+ *     head every receipt, with the header, footer and tax lines of the shop's
+ *     template.
+ */
+
+/**
+ * @swagger
+ * /api/receipts/template:
+ *   get:
+ *     summary: Get the shop's receipt template
+ *     description: A shop that has not saved a template gets the defaults.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Receipt template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     template:
+ *                       $ref: '#/components/schemas/ReceiptTemplate'
+ *   put:
+ *     summary: Change the shop's receipt template
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               locale:
+ *                 type: string
+ *                 enum: [fa, en]
+ *               calendar:
+ *                 type: string
+ *                 enum: [jalali, gregorian]
+ *               paper_width:
+ *                 type: string
+ *                 enum: [80mm, 58mm]
+ *               show_logo:
+ *                 type: boolean
+ *               header_text:
+ *                 type: string
+ *                 nullable: true
+ *               footer_text:
+ *                 type: string
+ *                 nullable: true
+ *               tax_lines:
+ *                 type: array
+ *                 maxItems: 6
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *               show_tax_breakdown:
+ *                 type: boolean
+ *               tax_label:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Receipt template updated
+ *       403:
+ *         description: Requires the receipts.manage permission
+ */
+router.get('/template',
+  requirePermission('sales.create'),
+  receiptController.getTemplate
+);
+
+router.put('/template',
+  requirePermission('receipts.manage'),
+  validate(templateUpdate),
+  receiptController.updateTemplate
+);
+
+/**
+ * @swagger
+ * /api/receipts/{documentType}/{id}:
+ *   get:
+ *     summary: Print the receipt of a sale or an order
+ *     description: >
+ *       A receipt is printed once; after that it can only be reprinted,
+ *       which marks it as a reprint.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sales, orders]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html, escpos]
+ *           default: pdf
+ *       - in: query
+ *         name: paper_width
+ *         schema:
+ *           type: string
+ *           enum: [80mm, 58mm]
+ *         description: Thermal paper for escpos; the template's when omitted
+ *     responses:
+ *       200:
+ *         description: The receipt as application/pdf, text/html or raw ESC/POS bytes
+ *       404:
+ *         description: Sale or order not found
+ *       409:
+ *         description: The receipt has already been printed
+ */
+router.get('/:documentType/:id',
+  requirePermission('sales.create'),
+  validate(documentParams, 'params'),
+  receiptController.printReceipt
+);
+
+/**
+ * @swagger
+ * /api/receipts/{documentType}/{id}/reprint:
+ *   post:
+ *     summary: Reprint the receipt of a sale or an order
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sales, orders]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [pdf, html, escpos]
+ *                 default: pdf
+ *               paper_width:
+ *                 type: string
+ *                 enum: [80mm, 58mm]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The receipt, marked as a reprint
+ *       400:
+ *         description: The receipt has not been printed yet
+ *       403:
+ *         description: Requires the receipts.reprint permission
+ *       404:
+ *         description: Sale or order not found
+ */
+router.post('/:documentType/:id/reprint',
+  requirePermission('receipts.reprint'),
+  validate(documentParams, 'params'),
+  validate(receiptReprint),
+  receiptController.reprintReceipt
+);
+
+/**
+ * @swagger
+ * /api/receipts/{documentType}/{id}/email:
+ *   post:
+ *     summary: Email a copy of the receipt of a sale or an order
+ *     description: The PDF invoice is attached and the receipt is in the body.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sales, orders]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Address to send to; the customer's when omitted
+ *     responses:
+ *       202:
+ *         description: Email queued
+ *       400:
+ *         description: No address given and the customer has none
+ *       404:
+ *         description: Sale or order not found
+ */
+router.post('/:documentType/:id/email',
+  requirePermission('sales.create'),
+  validate(documentParams, 'params'),
+  validate(receiptEmail),
+  receiptController.emailReceipt
+);
+
+/**
+ * @swagger
+ * /api/receipts/{documentType}/{id}/prints:
+ *   get:
+ *     summary: Get who printed, reprinted and emailed the receipt of a sale or an order
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sales, orders]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Prints, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     prints:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReceiptPrint'
+ *       404:
+ *         description: Sale or order not found
+ */
+router.get('/:documentType/:id/prints',
+  requirePermission('receipts.reprint'),
+  validate(documentParams, 'params'),
+  receiptController.getPrints
+);
+
+module.exports = router;
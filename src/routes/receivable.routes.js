@@ -0,0 +1,238 @@
+const express = require('express');
+const receivableController = require('../controllers/receivable.controller');
+const { validate } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  creditLimitUpdate, repaymentCreate, customerIdParam
+} = require('../validation/receivable.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Receivables
+ *   description: >
+ *     Customer accounts. A sale created with charge_to_account leaves what
+ *     was not paid on the customer's account, up to their credit limit.
+ *     Repayments are spread over the open invoices and recorded as payments
+ *     on them.
+ */
+
+/**
+ * @swagger
+ * /api/receivables/aging:
+ *   get:
+ *     summary: Get what customers owe the shop, by how long it has been owed
+ *     description: >
+ *       Each open invoice falls in the 0_30, 31_60, 61_90 or 90_plus bucket
+ *       by the days since the sale.
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: as_of
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Age the balances as they stood on this date instead of now
+ *     responses:
+ *       200:
+ *         description: Balance per customer and bucket, with totals
+ *       403:
+ *         description: Requires the receivables.manage permission
+ */
+router.get('/aging',
+  requirePermission('receivables.manage'),
+  receivableController.getAgingReport
+);
+
+/**
+ * @swagger
+ * /api/receivables/customers/{customerId}:
+ *   get:
+ *     summary: Get a customer's account
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Credit limit, balance, available credit and the open invoices with their age
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/customers/:customerId',
+  requirePermission('receivables.collect'),
+  validate(customerIdParam, 'params'),
+  receivableController.getCustomerAccount
+);
+
+/**
+ * @swagger
+ * /api/receivables/customers/{customerId}/credit-limit:
+ *   put:
+ *     summary: Set or remove a customer's credit limit
+ *     description: >
+ *       A customer without a credit limit cannot buy on account. Lowering
+ *       the limit below what they owe only stops new charges.
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credit_limit
+ *             properties:
+ *               credit_limit:
+ *                 type: number
+ *                 minimum: 0
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Credit limit updated
+ *       403:
+ *         description: Requires the receivables.manage permission
+ *       404:
+ *         description: Customer not found
+ */
+router.put('/customers/:customerId/credit-limit',
+  requirePermission('receivables.manage'),
+  validate(customerIdParam, 'params'),
+  validate(creditLimitUpdate),
+  receivableController.updateCreditLimit
+);
+
+/**
+ * @swagger
+ * /api/receivables/customers/{customerId}/repayments:
+ *   post:
+ *     summary: Take a repayment against a customer's account
+ *     description: >
+ *       Without allocations the amount pays off the oldest invoices first.
+ *       Each invoice paid gets a payment pointing back to the repayment.
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - payment_method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               payment_method:
+ *                 type: string
+ *                 enum: [cash, card, mobile, credit]
+ *               reference_number:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               allocations:
+ *                 type: array
+ *                 description: How to spread the amount; must add up to it
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - sale_id
+ *                     - amount
+ *                   properties:
+ *                     sale_id:
+ *                       type: string
+ *                       format: uuid
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0.01
+ *     responses:
+ *       201:
+ *         description: Repayment recorded, with what it paid on each invoice and the balance left
+ *       400:
+ *         description: The amount is more than the customer owes or the allocations do not match the open invoices
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/customers/:customerId/repayments',
+  requirePermission('receivables.collect'),
+  validate(customerIdParam, 'params'),
+  validate(repaymentCreate),
+  receivableController.createRepayment
+);
+
+/**
+ * @swagger
+ * /api/receivables/customers/{customerId}/statement:
+ *   get:
+ *     summary: Get a customer's statement of account
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Opening balance, charges and payments with the running balance, and closing balance
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/customers/:customerId/statement',
+  requirePermission('receivables.collect'),
+  validate(customerIdParam, 'params'),
+  receivableController.getStatement
+);
+
+module.exports = router;
@@ -0,0 +1,434 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const registerController = require('../controllers/register.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { resolvePermissions, requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  registerCreate,
+  registerUpdate,
+  shiftOpen,
+  cashMovementCreate,
+  shiftClose,
+  shiftIdParam
+} = require('../validation/register.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+router.use(resolvePermissions);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Registers
+ *   description: >
+ *     Cash registers and till shifts. A cashier opens a shift with the float in the
+ *     drawer; their sales, payments and refunds are linked to it until they close it
+ *     with the amounts counted, which fixes the shift's Z report.
+ */
+
+/**
+ * @swagger
+ * /api/registers:
+ *   get:
+ *     summary: Get the registers of the shop with their open shift
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: List of registers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     registers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Register'
+ *   post:
+ *     summary: Create a register
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               location_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Register created
+ *       400:
+ *         description: Validation error or duplicate name
+ *       403:
+ *         description: Requires the registers.manage permission
+ */
+router.get('/', registerController.getAllRegisters);
+
+router.post('/',
+  requirePermission('registers.manage'),
+  validate(registerCreate),
+  registerController.createRegister
+);
+
+/**
+ * @swagger
+ * /api/registers/shifts:
+ *   get:
+ *     summary: Get register shifts
+ *     description: Users without shifts.manage only see their own shifts.
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: register_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: opened_by
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Paginated list of shifts
+ */
+router.get('/shifts',
+  requirePermission('shifts.operate'),
+  registerController.getAllShifts
+);
+
+/**
+ * @swagger
+ * /api/registers/shifts/current:
+ *   get:
+ *     summary: Get your open shift with its running X report
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The open shift and its X report
+ *       404:
+ *         description: You have no open shift in this shop
+ */
+router.get('/shifts/current',
+  requirePermission('shifts.operate'),
+  registerController.getCurrentShift
+);
+
+/**
+ * @swagger
+ * /api/registers/shifts/{shiftId}:
+ *   get:
+ *     summary: Get a shift with its cash movements
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Shift details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shift:
+ *                       $ref: '#/components/schemas/RegisterShift'
+ *                     cash_movements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RegisterCashMovement'
+ *       403:
+ *         description: Not your shift and no shifts.manage permission
+ *       404:
+ *         description: Shift not found
+ */
+router.get('/shifts/:shiftId',
+  requirePermission('shifts.operate'),
+  validate(shiftIdParam, 'params'),
+  registerController.getShiftById
+);
+
+/**
+ * @swagger
+ * /api/registers/shifts/{shiftId}/cash-movements:
+ *   post:
+ *     summary: Record cash put into or taken out of the drawer
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - amount
+ *               - reason
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [cash_in, cash_out]
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cash movement recorded
+ *       400:
+ *         description: Shift closed or more cash taken out than the drawer should hold
+ */
+router.post('/shifts/:shiftId/cash-movements',
+  requirePermission('shifts.operate'),
+  validate(shiftIdParam, 'params'),
+  validate(cashMovementCreate),
+  registerController.addCashMovement
+);
+
+/**
+ * @swagger
+ * /api/registers/shifts/{shiftId}/report:
+ *   get:
+ *     summary: Get a shift's X report (while open) or Z report (once closed)
+ *     description: >
+ *       Sales rung up in the shift, payments and refunds per payment method,
+ *       cash put in and taken out, and the amount of each method expected in hand.
+ *       Expected cash is the opening float plus cash taken and put in, less cash
+ *       refunded and taken out. Z reports also list the counted amounts and the
+ *       difference per method.
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Shift report
+ */
+router.get('/shifts/:shiftId/report',
+  requirePermission('shifts.operate'),
+  validate(shiftIdParam, 'params'),
+  registerController.getShiftReport
+);
+
+/**
+ * @swagger
+ * /api/registers/shifts/{shiftId}/close:
+ *   post:
+ *     summary: Close a shift with the amounts counted and produce its Z report
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - counted_amounts
+ *             properties:
+ *               counted_amounts:
+ *                 type: object
+ *                 required:
+ *                   - cash
+ *                 description: Amount counted per payment method, e.g. cash in the drawer and the card terminal total
+ *                 properties:
+ *                   cash:
+ *                     type: number
+ *                   card:
+ *                     type: number
+ *                   mobile:
+ *                     type: number
+ *                   credit:
+ *                     type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shift closed with its Z report
+ *       400:
+ *         description: Shift already closed
+ */
+router.post('/shifts/:shiftId/close',
+  requirePermission('shifts.operate'),
+  validate(shiftIdParam, 'params'),
+  validate(shiftClose),
+  registerController.closeShift
+);
+
+/**
+ * @swagger
+ * /api/registers/{id}:
+ *   patch:
+ *     summary: Update or deactivate a register
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               location_id:
+ *                 type: string
+ *                 format: uuid
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Register updated
+ *       400:
+ *         description: Duplicate name or the register has an open shift
+ *       404:
+ *         description: Register not found
+ */
+router.patch('/:id',
+  requirePermission('registers.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(registerUpdate),
+  registerController.updateRegister
+);
+
+/**
+ * @swagger
+ * /api/registers/{id}/shifts:
+ *   post:
+ *     summary: Open a shift on a register
+ *     tags: [Registers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - opening_float
+ *             properties:
+ *               opening_float:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Cash counted into the drawer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shift opened
+ *       400:
+ *         description: Register inactive or in use, or you already have an open shift
+ *       404:
+ *         description: Register not found
+ */
+router.post('/:id/shifts',
+  requirePermission('shifts.operate'),
+  validate(schemas.idParam, 'params'),
+  validate(shiftOpen),
+  registerController.openShift
+);
+
+module.exports = router;
@@ -1,14 +1,17 @@
 const express = require('express');
 const reportController = require('../controllers/report.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validationMiddleware');
+const { reportJob } = require('../validation/report.schema');
 
 const router = express.Router();
 
 // All report routes require authentication
 router.use(authenticate);
 
-// All reporting endpoints should be restricted to admin and manager roles
-router.use(restrictTo('admin', 'manager'));
+// All reporting endpoints require the reports.view permission
+router.use(requirePermission('reports.view'));
 
 /**
  * @swagger
@@ -25,7 +28,7 @@ router.use(restrictTo('admin', 'manager'));
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Forbidden - requires admin or manager role
+ *         description: Forbidden - requires the reports.view permission
  *       500:
  *         description: Server error
  */
@@ -88,7 +91,7 @@ router.get('/dashboard', reportController.getDashboardReport);
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Filter by product ID
+ *         description: Filter by product ID; a product with variants includes the sales of all of them
  *       - in: query
  *         name: category_id
  *         schema:
@@ -101,7 +104,7 @@ router.get('/dashboard', reportController.getDashboardReport);
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Forbidden - requires admin or manager role
+ *         description: Forbidden - requires the reports.view permission
  *       500:
  *         description: Server error
  */
@@ -156,7 +159,7 @@ router.get('/sales', reportController.getSalesReport);
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Forbidden - requires admin or manager role
+ *         description: Forbidden - requires the reports.view permission
  *       500:
  *         description: Server error
  */
@@ -210,7 +213,7 @@ router.get('/inventory', reportController.getInventoryReport);
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Forbidden - requires admin or manager role
+ *         description: Forbidden - requires the reports.view permission
  *       500:
  *         description: Server error
  */
@@ -221,7 +224,7 @@ router.get('/customers', reportController.getCustomerReport);
  * /api/reports/products:
  *   get:
  *     summary: Get product performance report
- *     description: Returns metrics about product sales and performance
+ *     description: Returns metrics about product sales and performance. Sales and stock of variants count towards their product.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
@@ -270,10 +273,83 @@ router.get('/customers', reportController.getCustomerReport);
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Forbidden - requires admin or manager role
+ *         description: Forbidden - requires the reports.view permission
  *       500:
  *         description: Server error
  */
 router.get('/products', reportController.getProductReport);
 
+/**
+ * @swagger
+ * /api/reports/loyalty-liability:
+ *   get:
+ *     summary: Get the loyalty points liability report
+ *     description: >
+ *       The points customers still hold, per shop and loyalty program, valued
+ *       at each program's redemption rate, with how much of it expires soon.
+ *       Points past their expiry are left out.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: shop_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only this shop
+ *       - in: query
+ *         name: expiring_within_days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: How far ahead to count points as expiring soon
+ *     responses:
+ *       200:
+ *         description: Loyalty liability report retrieved successfully
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - requires the reports.view permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/loyalty-liability', reportController.getLoyaltyLiabilityReport);
+
+/**
+ * @swagger
+ * /api/reports/jobs:
+ *   post:
+ *     summary: Build a report in the background
+ *     description: Queues the report and returns a job whose result holds the report data once completed.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [dashboard, sales, inventory, customers, products, loyalty_liability]
+ *               filters:
+ *                 type: object
+ *                 description: Same query parameters the matching report endpoint accepts
+ *     responses:
+ *       202:
+ *         description: Report queued; poll /api/jobs/{id} for the result
+ *       400:
+ *         description: Invalid report type or filters
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden - requires the reports.view permission
+ */
+router.post('/jobs', validate(reportJob), reportController.queueReport);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,310 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const reportScheduleController = require('../controllers/reportSchedule.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  reportScheduleCreate,
+  reportScheduleUpdate
+} = require('../validation/reportSchedule.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+// Report schedules need their own permission since they email data out of the shop
+router.use(requirePermission('reports.schedule'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Report Schedules
+ *   description: Recurring report delivery by email or file drop (Tehran time)
+ */
+
+/**
+ * @swagger
+ * /api/report-schedules:
+ *   get:
+ *     summary: List report schedules
+ *     tags: [Report Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: report_type
+ *         schema:
+ *           type: string
+ *           enum: [dashboard, sales, inventory, customers, products, loyalty_liability]
+ *         description: Filter by report type
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: List of report schedules with pagination
+ */
+router.get('/', reportScheduleController.getAllReportSchedules);
+
+/**
+ * @swagger
+ * /api/report-schedules/{id}:
+ *   get:
+ *     summary: Get a report schedule with its most recent runs
+ *     tags: [Report Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Report schedule ID
+ *     responses:
+ *       200:
+ *         description: Report schedule details
+ *       404:
+ *         description: Report schedule not found
+ */
+router.get('/:id',
+  validate(schemas.idParam, 'params'),
+  reportScheduleController.getReportScheduleById
+);
+
+/**
+ * @swagger
+ * /api/report-schedules:
+ *   post:
+ *     summary: Create a report schedule
+ *     description: >
+ *       Dated reports (sales, customers, products) cover the period that just ended:
+ *       the previous day, the previous 7 days or the previous calendar month,
+ *       unless start_date/end_date are given in filters.
+ *     tags: [Report Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - report_type
+ *               - frequency
+ *             properties:
+ *               name:
+ *                 type: string
+ *               report_type:
+ *                 type: string
+ *                 enum: [dashboard, sales, inventory, customers, products, loyalty_liability]
+ *               filters:
+ *                 type: object
+ *                 description: Query parameters of the matching report endpoint
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly]
+ *               time_of_day:
+ *                 type: string
+ *                 default: '08:00'
+ *                 description: HH:mm, Tehran time
+ *               day_of_week:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 description: Required for weekly schedules; 0 = Sunday, 6 = Saturday
+ *               day_of_month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 28
+ *                 description: Required for monthly schedules
+ *               format:
+ *                 type: string
+ *                 enum: [csv, pdf]
+ *                 default: pdf
+ *               transport:
+ *                 type: string
+ *                 enum: [email, file]
+ *                 default: email
+ *               recipients:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: email
+ *                 description: Required for email delivery
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Report schedule created
+ *       400:
+ *         description: Invalid input
+ */
+router.post('/',
+  validate(reportScheduleCreate),
+  reportScheduleController.createReportSchedule
+);
+
+/**
+ * @swagger
+ * /api/report-schedules/{id}:
+ *   put:
+ *     summary: Update a report schedule
+ *     description: Changing the timing or reactivating the schedule recalculates the next delivery.
+ *     tags: [Report Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Report schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportSchedule'
+ *     responses:
+ *       200:
+ *         description: Report schedule updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Report schedule not found
+ */
+router.put('/:id',
+  validate(schemas.idParam, 'params'),
+  validate(reportScheduleUpdate),
+  reportScheduleController.updateReportSchedule
+);
+
+/**
+ * @swagger
+ * /api/report-schedules/{id}:
+ *   delete:
+ *     summary: Delete a report schedule
+ *     description: The schedule stops running; its run history is kept.
+ *     tags: [Report Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Report schedule ID
+ *     responses:
+ *       200:
+ *         description: Report schedule deleted
+ *       404:
+ *         description: Report schedule not found
+ */
+router.delete('/:id',
+  validate(schemas.idParam, 'params'),
+  reportScheduleController.deleteReportSchedule
+);
+
+/**
+ * @swagger
+ * /api/report-schedules/{id}/run:
+ *   post:
+ *     summary: Deliver a scheduled report now
+ *     description: Queues a delivery without changing when the schedule is next due.
+ *     tags: [Report Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Report schedule ID
+ *     responses:
+ *       202:
+ *         description: Delivery queued
+ *       404:
+ *         description: Report schedule not found
+ */
+router.post('/:id/run',
+  validate(schemas.idParam, 'params'),
+  reportScheduleController.runReportSchedule
+);
+
+/**
+ * @swagger
+ * /api/report-schedules/{id}/runs:
+ *   get:
+ *     summary: Get the run history of a report schedule
+ *     tags: [Report Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Report schedule ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, succeeded, failed]
+ *         description: Filter by run status
+ *     responses:
+ *       200:
+ *         description: Runs with pagination, newest first
+ *       404:
+ *         description: Report schedule not found
+ */
+router.get('/:id/runs',
+  validate(schemas.idParam, 'params'),
+  reportScheduleController.getReportScheduleRuns
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 const salesController = require('../controllers/sales.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission, useRecordShop } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -74,6 +75,12 @@ router.use(authenticate);
  *         schema:
  *           type: string
  *         description: Search by invoice number
+ *       - in: query
+ *         name: shift_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by the register shift the sale was rung up in
  *     responses:
  *       200:
  *         description: List of sales with pagination
@@ -105,7 +112,7 @@ router.get('/', salesController.getAllSales);
  *       200:
  *         description: Sales statistics and metrics
  */
-router.get('/statistics', restrictTo('admin', 'manager'), salesController.getSalesStatistics);
+router.get('/statistics', requirePermission('reports.view'), salesController.getSalesStatistics);
 
 /**
  * @swagger
@@ -147,7 +154,6 @@ router.get('/:id', validate(schemas.idParam, 'params'), salesController.getSaleB
  *             type: object
  *             required:
  *               - items
- *               - payment_method
  *             properties:
  *               customer_id:
  *                 type: string
@@ -164,6 +170,10 @@ router.get('/:id', validate(schemas.idParam, 'params'), salesController.getSaleB
  *                     product_id:
  *                       type: string
  *                       format: uuid
+ *                     variant_id:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Variant sold, required when the product has variants
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
@@ -174,6 +184,32 @@ router.get('/:id', validate(schemas.idParam, 'params'), salesController.getSaleB
  *               payment_method:
  *                 type: string
  *                 enum: [cash, card, mobile, credit, mixed]
+ *                 description: Pay the full total with one method. Required unless payments is given.
+ *               payments:
+ *                 description: >
+ *                   Tenders to split the payment over. Leave empty to ring the sale up
+ *                   unpaid, or tender less than the total to leave it partially paid and
+ *                   settle the rest later.
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - payment_method
+ *                     - amount
+ *                   properties:
+ *                     payment_method:
+ *                       type: string
+ *                       enum: [cash, card, mobile, credit]
+ *                       description: credit is the customer's store credit, or a gift card when gift_card_code is given
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0.01
+ *                       description: Amount tendered; cash above the amount due is given back as change
+ *                     reference_number:
+ *                       type: string
+ *                     gift_card_code:
+ *                       type: string
+ *                       description: Number of the gift card a credit payment is spent from
  *               notes:
  *                 type: string
  *               discount_amount:
@@ -182,16 +218,29 @@ router.get('/:id', validate(schemas.idParam, 'params'), salesController.getSaleB
  *               loyalty_points_used:
  *                 type: integer
  *                 minimum: 0
+ *               coupon_code:
+ *                 type: string
+ *                 description: >
+ *                   Coupon code; its discount comes off what is left after
+ *                   promotions and discount_amount, before tax
+ *               charge_to_account:
+ *                 type: boolean
+ *                 description: >
+ *                   Put what the payments leave unpaid on the customer's
+ *                   account. Requires a customer with a credit limit and the
+ *                   receivables.collect permission in the shop the products belong to.
  *     responses:
  *       201:
- *         description: Sale created successfully
+ *         description: Sale created, with the amount paid, balance left and change due
  *       400:
- *         description: Invalid input or insufficient stock
+ *         description: Invalid input, insufficient stock, non-cash tenders above the total, a coupon code that cannot be used or a charge over the customer's credit limit
+ *       403:
+ *         description: No permission to sell, or to charge to account, in the shop the products belong to
  *       404:
  *         description: Product or customer not found
  */
 router.post('/', validate(schemas.saleCreate), 
-  restrictTo('admin', 'manager', 'cashier'), 
+  requirePermission('sales.create'), 
   salesController.createSale
 );
 
@@ -222,7 +271,8 @@ router.post('/', validate(schemas.saleCreate),
  *             properties:
  *               payment_status:
  *                 type: string
- *                 enum: [paid, partial, unpaid, refunded, cancelled]
+ *                 enum: [refunded, cancelled]
+ *                 description: Paid, partial and unpaid follow from the payments recorded and cannot be set by hand
  *     responses:
  *       200:
  *         description: Payment status updated successfully
@@ -234,7 +284,8 @@ router.post('/', validate(schemas.saleCreate),
 router.patch('/:id/payment-status', 
   validate(schemas.idParam, 'params'),
   validate(schemas.paymentStatusUpdate),
-  restrictTo('admin', 'manager', 'cashier'), 
+  useRecordShop('Sale'),
+  requirePermission('sales.create'), 
   salesController.updatePaymentStatus
 );
 
@@ -243,6 +294,9 @@ router.patch('/:id/payment-status',
  * /api/sales/{id}/payments:
  *   post:
  *     summary: Process a payment for an existing sale
+ *     description: >
+ *       Takes one tender (amount and payment_method) or several (payments).
+ *       The sale's payment status is then set from all payments taken on it.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
@@ -260,21 +314,40 @@ router.patch('/:id/payment-status',
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - amount
- *               - payment_method
  *             properties:
  *               amount:
  *                 type: number
  *                 minimum: 0.01
  *               payment_method:
  *                 type: string
- *                 enum: [cash, card, mobile, credit, mixed]
+ *                 enum: [cash, card, mobile, credit]
  *               reference_number:
  *                 type: string
+ *               payments:
+ *                 description: Several tenders, instead of amount and payment_method
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - payment_method
+ *                     - amount
+ *                   properties:
+ *                     payment_method:
+ *                       type: string
+ *                       enum: [cash, card, mobile, credit]
+ *                       description: credit is the customer's store credit, or a gift card when gift_card_code is given
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0.01
+ *                       description: Amount tendered; cash above the amount due is given back as change
+ *                     reference_number:
+ *                       type: string
+ *                     gift_card_code:
+ *                       type: string
+ *                       description: Number of the gift card a credit payment is spent from
  *     responses:
  *       201:
- *         description: Payment processed successfully
+ *         description: Payment processed, with the change due and the sale's new balance
  *       400:
  *         description: Invalid payment amount or sale ineligible for payment
  *       404:
@@ -283,7 +356,8 @@ router.patch('/:id/payment-status',
 router.post('/:id/payments', 
   validate(schemas.idParam, 'params'),
   validate(schemas.paymentCreate),
-  restrictTo('admin', 'manager', 'cashier'), 
+  useRecordShop('Sale'),
+  requirePermission('sales.create'), 
   salesController.processPayment
 );
 
@@ -291,7 +365,7 @@ router.post('/:id/payments',
  * @swagger
  * /api/sales/{id}/refunds:
  *   post:
- *     summary: Process a refund for a sale
+ *     summary: Refund an amount on a sale without taking goods back
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
@@ -321,19 +395,158 @@ router.post('/:id/payments',
  *               refund_method:
  *                 type: string
  *                 enum: [cash, card, mobile, credit, mixed]
+ *                 description: >
+ *                   credit pays the refund into the customer's store credit, or
+ *                   for a sale without a customer, back onto the gift card it
+ *                   was paid with. Defaults to the sale's payment method;
+ *                   required for a sale paid by several methods.
  *     responses:
  *       201:
  *         description: Refund processed successfully
  *       400:
- *         description: Invalid refund amount or sale ineligible for refund
+ *         description: Invalid refund amount, sale ineligible for refund, or no refund_method for a sale paid by several methods
  *       404:
  *         description: Sale not found
  */
 router.post('/:id/refunds', 
   validate(schemas.idParam, 'params'),
   validate(schemas.refundCreate),
-  restrictTo('admin', 'manager'), 
+  useRecordShop('Sale'),
+  requirePermission('sales.refund'), 
   salesController.processRefund
 );
 
+/**
+ * @swagger
+ * /api/sales/{id}/returns:
+ *   get:
+ *     summary: List the returns taken against a sale
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Sale ID
+ *     responses:
+ *       200:
+ *         description: Returns with their items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     returns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SaleReturn'
+ *       404:
+ *         description: Sale not found
+ *   post:
+ *     summary: Return items from a sale
+ *     description: >
+ *       Takes back specific sale items and refunds what the customer paid for
+ *       them, including their share of line and sale discounts and tax.
+ *       Restocked items go back into inventory; written-off items are logged
+ *       as damaged without adding stock. Loyalty points earned on the sale are
+ *       reversed in proportion to the refund. Items cannot be returned beyond
+ *       the quantity sold.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Sale ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *               - reason
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - sale_item_id
+ *                     - quantity
+ *                   properties:
+ *                     sale_item_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     disposition:
+ *                       type: string
+ *                       enum: [restock, write_off]
+ *                       default: restock
+ *               reason:
+ *                 type: string
+ *               refund_method:
+ *                 type: string
+ *                 enum: [cash, card, mobile, credit, mixed]
+ *                 description: >
+ *                   Defaults to the sale's payment method; required for a sale
+ *                   paid by several methods. credit pays the refund into store
+ *                   credit, as for refunds.
+ *               location_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Location restocked items go back to, defaults to the shop's default location
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return taken and refunded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     return:
+ *                       $ref: '#/components/schemas/SaleReturn'
+ *       400:
+ *         description: Sale not returnable, item not on the sale, quantity above what is left to return, or no refund_method for a sale paid by several methods
+ *       404:
+ *         description: Sale or location not found
+ */
+router.get('/:id/returns',
+  validate(schemas.idParam, 'params'),
+  useRecordShop('Sale'),
+  requirePermission('sales.refund'),
+  salesController.getSaleReturns
+);
+
+router.post('/:id/returns',
+  validate(schemas.idParam, 'params'),
+  validate(schemas.saleReturnCreate),
+  useRecordShop('Sale'),
+  requirePermission('sales.refund'),
+  salesController.createReturn
+);
+
 module.exports = router; 
\ No newline at end of file
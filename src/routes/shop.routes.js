@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const shopController = require('../controllers/shop.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 
 // All routes require authentication
@@ -73,6 +74,10 @@ router.get('/', shopController.getShopDetails);
  *               phone:
  *                 type: string
  *                 description: Shop phone number
+ *               logo_url:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Path returned by the image upload, printed on invoices
  *               tax_enabled:
  *                 type: boolean
  *                 description: Whether tax is enabled
@@ -95,7 +100,7 @@ router.get('/', shopController.getShopDetails);
  *         description: Shop not found
  */
 router.put('/',
-  restrictTo('admin', 'manager'),
+  requirePermission('shop.settings'),
   validate(schemas.shopUpdate),
   shopController.updateShop
 );
@@ -134,7 +139,7 @@ router.put('/',
  *         description: Shop not found
  */
 router.put('/tax',
-  restrictTo('admin', 'manager'),
+  requirePermission('shop.settings'),
   validate(schemas.taxSettings),
   shopController.updateTaxSettings
 );
@@ -198,7 +203,7 @@ router.get('/users', shopController.getShopUsers);
  *         description: Shop not found
  */
 router.post('/users',
-  restrictTo('admin', 'manager'),
+  requirePermission('shop.staff'),
   validate(schemas.shopUserAdd),
   shopController.addUserToShop
 );
@@ -232,7 +237,7 @@ router.post('/users',
  *         description: User or shop not found
  */
 router.delete('/users/:userId',
-  restrictTo('admin', 'manager'),
+  requirePermission('shop.staff'),
   validate(schemas.uuidParam, 'params'),
   shopController.removeUserFromShop
 );
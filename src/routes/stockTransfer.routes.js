@@ -0,0 +1,397 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const stockTransferController = require('../controllers/stockTransfer.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  stockTransferCreate,
+  stockTransferUpdate,
+  stockTransferReceive,
+  stockTransferCancel
+} = require('../validation/stockTransfer.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stock Transfers
+ *   description: Moving stock between a shop's locations
+ */
+
+/**
+ * @swagger
+ * /api/stock-transfers:
+ *   get:
+ *     summary: List stock transfers
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in_transit, received, cancelled]
+ *         description: Filter by status
+ *       - in: query
+ *         name: from_location_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by source location
+ *       - in: query
+ *         name: to_location_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by destination location
+ *       - in: query
+ *         name: location_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by either end of the transfer
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by creation date from (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by creation date to (YYYY-MM-DD)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by transfer number
+ *     responses:
+ *       200:
+ *         description: List of stock transfers with pagination
+ */
+router.get('/',
+  requirePermission('transfers.manage'),
+  stockTransferController.getAllStockTransfers
+);
+
+/**
+ * @swagger
+ * /api/stock-transfers/{id}:
+ *   get:
+ *     summary: Get a stock transfer with its lines
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stock transfer ID
+ *     responses:
+ *       200:
+ *         description: Stock transfer details
+ *       404:
+ *         description: Stock transfer not found
+ */
+router.get('/:id',
+  requirePermission('transfers.manage'),
+  validate(schemas.idParam, 'params'),
+  stockTransferController.getStockTransferById
+);
+
+/**
+ * @swagger
+ * /api/stock-transfers:
+ *   post:
+ *     summary: Create a draft stock transfer
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from_location_id
+ *               - to_location_id
+ *               - items
+ *             properties:
+ *               from_location_id:
+ *                 type: string
+ *                 format: uuid
+ *               to_location_id:
+ *                 type: string
+ *                 format: uuid
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product_id
+ *                     - quantity
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       201:
+ *         description: Stock transfer created
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Location or product not found
+ */
+router.post('/',
+  requirePermission('transfers.manage'),
+  validate(stockTransferCreate),
+  stockTransferController.createStockTransfer
+);
+
+/**
+ * @swagger
+ * /api/stock-transfers/{id}:
+ *   put:
+ *     summary: Update a draft stock transfer
+ *     description: Supplying items replaces all existing lines.
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stock transfer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from_location_id:
+ *                 type: string
+ *                 format: uuid
+ *               to_location_id:
+ *                 type: string
+ *                 format: uuid
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       200:
+ *         description: Stock transfer updated
+ *       400:
+ *         description: Invalid input or transfer is not a draft
+ *       404:
+ *         description: Stock transfer, location or product not found
+ */
+router.put('/:id',
+  requirePermission('transfers.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(stockTransferUpdate),
+  stockTransferController.updateStockTransfer
+);
+
+/**
+ * @swagger
+ * /api/stock-transfers/{id}/dispatch:
+ *   post:
+ *     summary: Dispatch a draft stock transfer
+ *     description: Removes the stock from the source location and records a transfer transaction for each line. The goods stay in transit until receipt is confirmed.
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stock transfer ID
+ *     responses:
+ *       200:
+ *         description: Stock transfer in transit
+ *       400:
+ *         description: Invalid status transition or insufficient stock at the source location
+ *       404:
+ *         description: Stock transfer not found
+ */
+router.post('/:id/dispatch',
+  requirePermission('transfers.manage'),
+  validate(schemas.idParam, 'params'),
+  stockTransferController.dispatchStockTransfer
+);
+
+/**
+ * @swagger
+ * /api/stock-transfers/{id}/receive:
+ *   post:
+ *     summary: Confirm receipt of an in-transit stock transfer
+ *     description: Adds the received stock to the destination location and records a transfer transaction for each line. Lines not listed are received in full.
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stock transfer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - stock_transfer_item_id
+ *                     - received_quantity
+ *                   properties:
+ *                     stock_transfer_item_id:
+ *                       type: string
+ *                       format: uuid
+ *                     received_quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *     responses:
+ *       200:
+ *         description: Stock transfer received, with any shortages listed
+ *       400:
+ *         description: Invalid status transition or quantity above what was dispatched
+ *       404:
+ *         description: Stock transfer not found
+ */
+router.post('/:id/receive',
+  requirePermission('transfers.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(stockTransferReceive),
+  stockTransferController.receiveStockTransfer
+);
+
+/**
+ * @swagger
+ * /api/stock-transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a stock transfer
+ *     description: Stock already in transit is returned to the source location.
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stock transfer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stock transfer cancelled
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Stock transfer not found
+ */
+router.post('/:id/cancel',
+  requirePermission('transfers.cancel'),
+  validate(schemas.idParam, 'params'),
+  validate(stockTransferCancel),
+  stockTransferController.cancelStockTransfer
+);
+
+/**
+ * @swagger
+ * /api/stock-transfers/{id}:
+ *   delete:
+ *     summary: Delete a draft stock transfer
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stock transfer ID
+ *     responses:
+ *       200:
+ *         description: Stock transfer deleted
+ *       400:
+ *         description: Transfer is not a draft
+ *       404:
+ *         description: Stock transfer not found
+ */
+router.delete('/:id',
+  requirePermission('transfers.manage'),
+  validate(schemas.idParam, 'params'),
+  stockTransferController.deleteStockTransfer
+);
+
+module.exports = router;
@@ -0,0 +1,522 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const stocktakeController = require('../controllers/stocktake.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  stocktakeCreate,
+  stocktakeCounts,
+  stocktakeScan,
+  stocktakeApprove,
+  stocktakeCancel,
+  stocktakeCountParams
+} = require('../validation/stocktake.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stocktakes
+ *   description: Physical inventory count sessions with variance posting
+ */
+
+/**
+ * @swagger
+ * /api/stocktakes:
+ *   get:
+ *     summary: List stocktakes
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [counting, submitted, approved, cancelled]
+ *         description: Filter by status
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by counted category
+ *       - in: query
+ *         name: location_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by counted location
+ *     responses:
+ *       200:
+ *         description: List of stocktakes with pagination
+ */
+router.get('/',
+  requirePermission('stocktakes.count'),
+  stocktakeController.getAllStocktakes
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}:
+ *   get:
+ *     summary: Get a stocktake with counting progress
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *     responses:
+ *       200:
+ *         description: Stocktake details, progress and the staff who counted
+ *       404:
+ *         description: Stocktake not found
+ */
+router.get('/:id',
+  requirePermission('stocktakes.count'),
+  validate(schemas.idParam, 'params'),
+  stocktakeController.getStocktakeById
+);
+
+/**
+ * @swagger
+ * /api/stocktakes:
+ *   post:
+ *     summary: Start a stocktake
+ *     description: Freezes the expected quantity of every active product in scope. Without a category all products are counted; with a location, expected quantities come from that location's stock.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Count this category and its subcategories
+ *               location_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Count stock at this location
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stocktake started
+ *       400:
+ *         description: Nothing to count or a stocktake is already open for this scope
+ *       404:
+ *         description: Category or location not found
+ */
+router.post('/',
+  requirePermission('stocktakes.manage'),
+  validate(stocktakeCreate),
+  stocktakeController.createStocktake
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/counts:
+ *   get:
+ *     summary: List counts submitted for a stocktake
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only counts by this staff member
+ *       - in: query
+ *         name: product_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only counts for this product
+ *     responses:
+ *       200:
+ *         description: Counts with pagination
+ *       404:
+ *         description: Stocktake not found
+ */
+router.get('/:id/counts',
+  requirePermission('stocktakes.count'),
+  validate(schemas.idParam, 'params'),
+  stocktakeController.getCounts
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/counts:
+ *   post:
+ *     summary: Submit counted quantities
+ *     description: Counts add up per product, so several staff can count the same product in different places. Each line names the product by ID or by barcode/SKU.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - quantity
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                       format: uuid
+ *                     barcode:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *     responses:
+ *       201:
+ *         description: Counts recorded with the running total per product
+ *       400:
+ *         description: Stocktake is not counting or product not part of it
+ *       404:
+ *         description: Stocktake not found
+ */
+router.post('/:id/counts',
+  requirePermission('stocktakes.count'),
+  validate(schemas.idParam, 'params'),
+  validate(stocktakeCounts),
+  stocktakeController.submitCounts
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/scan:
+ *   post:
+ *     summary: Count a product by scanning its barcode
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - barcode
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *                 description: Product barcode or SKU
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: Scan recorded with the running total for the product
+ *       400:
+ *         description: Stocktake is not counting or product not part of it
+ *       404:
+ *         description: Stocktake not found
+ */
+router.post('/:id/scan',
+  requirePermission('stocktakes.count'),
+  validate(schemas.idParam, 'params'),
+  validate(stocktakeScan),
+  stocktakeController.scanBarcode
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/counts/{countId}:
+ *   delete:
+ *     summary: Remove a mistaken count
+ *     description: Staff can remove their own counts; admins and managers can remove any.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *       - in: path
+ *         name: countId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Count ID
+ *     responses:
+ *       200:
+ *         description: Count removed
+ *       400:
+ *         description: Stocktake is not counting
+ *       403:
+ *         description: Count belongs to another staff member
+ *       404:
+ *         description: Stocktake or count not found
+ */
+router.delete('/:id/counts/:countId',
+  requirePermission('stocktakes.count'),
+  validate(stocktakeCountParams, 'params'),
+  stocktakeController.deleteCount
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/submit:
+ *   post:
+ *     summary: Close counting and send the stocktake for approval
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *     responses:
+ *       200:
+ *         description: Stocktake submitted
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Stocktake not found
+ */
+router.post('/:id/submit',
+  requirePermission('stocktakes.manage'),
+  validate(schemas.idParam, 'params'),
+  stocktakeController.submitStocktake
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/reopen:
+ *   post:
+ *     summary: Send a submitted stocktake back for recounting
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *     responses:
+ *       200:
+ *         description: Stocktake reopened
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Stocktake not found
+ */
+router.post('/:id/reopen',
+  requirePermission('stocktakes.approve'),
+  validate(schemas.idParam, 'params'),
+  stocktakeController.reopenStocktake
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/variance:
+ *   get:
+ *     summary: Get the variance report of a stocktake
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *       - in: query
+ *         name: only_differences
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Leave out products that match or were not counted
+ *     responses:
+ *       200:
+ *         description: Expected, counted and variance per product with totals valued at purchase price
+ *       404:
+ *         description: Stocktake not found
+ */
+router.get('/:id/variance',
+  requirePermission('stocktakes.manage'),
+  validate(schemas.idParam, 'params'),
+  stocktakeController.getVarianceReport
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/approve:
+ *   post:
+ *     summary: Approve a stocktake and post its variances
+ *     description: >
+ *       Posts every non-zero variance as an adjustment inventory transaction in
+ *       one database transaction. A count below what orders have reserved is
+ *       still posted; the products left short are listed in shortfalls.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               zero_uncounted:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Treat products nobody counted as counted at zero
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stocktake approved and variances posted, with any products left short of their reservations listed
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Stocktake not found
+ */
+router.post('/:id/approve',
+  requirePermission('stocktakes.approve'),
+  validate(schemas.idParam, 'params'),
+  validate(stocktakeApprove),
+  stocktakeController.approveStocktake
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/cancel:
+ *   post:
+ *     summary: Cancel a stocktake without posting anything
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Stocktake ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stocktake cancelled
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Stocktake not found
+ */
+router.post('/:id/cancel',
+  requirePermission('stocktakes.approve'),
+  validate(schemas.idParam, 'params'),
+  validate(stocktakeCancel),
+  stocktakeController.cancelStocktake
+);
+
+module.exports = router;
@@ -0,0 +1,490 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const storedValueController = require('../controllers/storedValue.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  giftCardIssue, valueAdd, balanceAdjust, accountUpdate, customerIdParam
+} = require('../validation/storedValue.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stored Value
+ *   description: >
+ *     Gift cards and customer store credit. Value is spent with a credit
+ *     payment on a sale (with gift_card_code for a gift card) and refunds with
+ *     refund_method credit are paid into it. Every change of balance is an
+ *     entry on the account's ledger, which is never edited.
+ */
+
+/**
+ * @swagger
+ * /api/stored-value/gift-cards:
+ *   post:
+ *     summary: Sell a gift card
+ *     description: >
+ *       Cash taken for the card goes into the drawer of the seller's open
+ *       shift. A number is generated unless the card is pre-printed.
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               code:
+ *                 type: string
+ *                 description: Number of a pre-printed card
+ *               customer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Customer to register the card to
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *               payment_method:
+ *                 type: string
+ *                 enum: [cash, card, mobile]
+ *               reference_number:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Gift card issued, with its first ledger entry
+ *       403:
+ *         description: Requires the stored_value.issue permission
+ *       409:
+ *         description: A gift card with this number already exists
+ */
+router.post('/gift-cards',
+  requirePermission('stored_value.issue'),
+  validate(giftCardIssue),
+  storedValueController.issueGiftCard
+);
+
+/**
+ * @swagger
+ * /api/stored-value/gift-cards/balance:
+ *   get:
+ *     summary: Check the balance of a gift card
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Gift card number; spaces and dashes are ignored
+ *     responses:
+ *       200:
+ *         description: Balance, expiry and status of the card
+ *       404:
+ *         description: Gift card not found
+ */
+router.get('/gift-cards/balance',
+  requirePermission('sales.create'),
+  storedValueController.getGiftCardBalance
+);
+
+/**
+ * @swagger
+ * /api/stored-value/accounts:
+ *   get:
+ *     summary: Get the gift cards and store credit accounts of the shop
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [gift_card, store_credit]
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Search by gift card number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accounts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StoredValueAccount'
+ */
+router.get('/accounts',
+  requirePermission('stored_value.manage'),
+  storedValueController.getAllAccounts
+);
+
+/**
+ * @swagger
+ * /api/stored-value/accounts/{id}:
+ *   get:
+ *     summary: Get a gift card or store credit account
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Account details
+ *       404:
+ *         description: Account not found
+ *   patch:
+ *     summary: Deactivate or reactivate an account, or change a gift card's expiry
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               is_active:
+ *                 type: boolean
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Account updated
+ *       404:
+ *         description: Account not found
+ */
+router.get('/accounts/:id',
+  requirePermission('stored_value.manage'),
+  validate(schemas.idParam, 'params'),
+  storedValueController.getAccountById
+);
+
+router.patch('/accounts/:id',
+  requirePermission('stored_value.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(accountUpdate),
+  storedValueController.updateAccount
+);
+
+/**
+ * @swagger
+ * /api/stored-value/accounts/{id}/transactions:
+ *   get:
+ *     summary: Get the ledger of an account, newest first
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [issue, top_up, redeem, refund, adjustment]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated ledger entries, each with the balance after it
+ *       404:
+ *         description: Account not found
+ */
+router.get('/accounts/:id/transactions',
+  requirePermission('stored_value.manage'),
+  validate(schemas.idParam, 'params'),
+  storedValueController.getAccountTransactions
+);
+
+/**
+ * @swagger
+ * /api/stored-value/accounts/{id}/top-up:
+ *   post:
+ *     summary: Add value to a gift card or store credit account
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               payment_method:
+ *                 type: string
+ *                 enum: [cash, card, mobile]
+ *               reference_number:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Value added
+ *       400:
+ *         description: The account is deactivated or the gift card has expired
+ *       404:
+ *         description: Account not found
+ */
+router.post('/accounts/:id/top-up',
+  requirePermission('stored_value.issue'),
+  validate(schemas.idParam, 'params'),
+  validate(valueAdd),
+  storedValueController.topUpAccount
+);
+
+/**
+ * @swagger
+ * /api/stored-value/accounts/{id}/adjustments:
+ *   post:
+ *     summary: Correct the balance of an account
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Value to add, or negative to take off
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Balance corrected
+ *       400:
+ *         description: The balance would go below zero
+ *       404:
+ *         description: Account not found
+ */
+router.post('/accounts/:id/adjustments',
+  requirePermission('stored_value.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(balanceAdjust),
+  storedValueController.adjustAccountBalance
+);
+
+/**
+ * @swagger
+ * /api/stored-value/customers/{customerId}:
+ *   get:
+ *     summary: Get a customer's store credit and gift cards
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Store credit balance and the gift cards registered to the customer
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/customers/:customerId',
+  requirePermission('sales.create'),
+  validate(customerIdParam, 'params'),
+  storedValueController.getCustomerBalance
+);
+
+/**
+ * @swagger
+ * /api/stored-value/customers/{customerId}/credit:
+ *   post:
+ *     summary: Add store credit to a customer's wallet
+ *     description: The wallet is opened on first use.
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               payment_method:
+ *                 type: string
+ *                 enum: [cash, card, mobile]
+ *                 description: How the credit was paid for; leave out for credit given by the shop
+ *               reference_number:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Store credit added
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/customers/:customerId/credit',
+  requirePermission('stored_value.issue'),
+  validate(customerIdParam, 'params'),
+  validate(valueAdd),
+  storedValueController.addCustomerCredit
+);
+
+/**
+ * @swagger
+ * /api/stored-value/customers/{customerId}/transactions:
+ *   get:
+ *     summary: Get the ledger of all of a customer's gift cards and store credit
+ *     tags: [Stored Value]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [issue, top_up, redeem, refund, adjustment]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated ledger entries, newest first
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/customers/:customerId/transactions',
+  requirePermission('stored_value.manage'),
+  validate(customerIdParam, 'params'),
+  storedValueController.getCustomerTransactions
+);
+
+module.exports = router;
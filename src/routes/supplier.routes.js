@@ -0,0 +1,505 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validationMiddleware');
+const supplierController = require('../controllers/supplier.controller');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const {
+  supplierCreate,
+  supplierUpdate,
+  supplierProductCreate,
+  supplierProductUpdate,
+  supplierProductParams
+} = require('../validation/supplier.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Suppliers
+ *   description: Supplier management, product sourcing and purchase history
+ */
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     summary: List suppliers of the current shop
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, contact name, phone or email
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: List of suppliers with pagination
+ */
+router.get('/',
+  requirePermission('suppliers.view'),
+  supplierController.getAllSuppliers
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Get a supplier with its linked products
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier details
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/:id',
+  requirePermission('suppliers.view'),
+  validate(schemas.idParam, 'params'),
+  supplierController.getSupplierById
+);
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Create a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               contact_name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *       400:
+ *         description: Invalid input or duplicate name
+ */
+router.post('/',
+  requirePermission('suppliers.manage'),
+  validate(supplierCreate),
+  supplierController.createSupplier
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   put:
+ *     summary: Update a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               contact_name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       400:
+ *         description: Invalid input or duplicate name
+ *       404:
+ *         description: Supplier not found
+ */
+router.put('/:id',
+  requirePermission('suppliers.manage'),
+  validate(schemas.idParam, 'params'),
+  validate(supplierUpdate),
+  supplierController.updateSupplier
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/activate:
+ *   patch:
+ *     summary: Activate a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier activated
+ *       404:
+ *         description: Supplier not found
+ */
+router.patch('/:id/activate',
+  requirePermission('suppliers.manage'),
+  validate(schemas.idParam, 'params'),
+  supplierController.activateSupplier
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate a supplier
+ *     description: Inactive suppliers cannot receive new purchase orders.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier deactivated
+ *       404:
+ *         description: Supplier not found
+ */
+router.patch('/:id/deactivate',
+  requirePermission('suppliers.manage'),
+  validate(schemas.idParam, 'params'),
+  supplierController.deactivateSupplier
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   delete:
+ *     summary: Delete a supplier
+ *     description: Suppliers with open purchase orders cannot be deleted.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier deleted
+ *       400:
+ *         description: Supplier has open purchase orders
+ *       404:
+ *         description: Supplier not found
+ */
+router.delete('/:id',
+  requirePermission('suppliers.manage'),
+  validate(schemas.idParam, 'params'),
+  supplierController.deleteSupplier
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/products:
+ *   get:
+ *     summary: List products sourced from a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Linked products with supplier SKU, cost and lead time
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/:id/products',
+  requirePermission('suppliers.view'),
+  validate(schemas.idParam, 'params'),
+  supplierController.getSupplierProducts
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/products:
+ *   post:
+ *     summary: Link a product to a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product_id
+ *             properties:
+ *               product_id:
+ *                 type: string
+ *                 format: uuid
+ *               supplier_sku:
+ *                 type: string
+ *               cost_price:
+ *                 type: number
+ *                 minimum: 0
+ *               lead_time_days:
+ *                 type: integer
+ *                 minimum: 0
+ *               is_preferred:
+ *                 type: boolean
+ *                 description: Marks this supplier as preferred and clears the flag on other suppliers of the product
+ *     responses:
+ *       201:
+ *         description: Product linked
+ *       400:
+ *         description: Invalid input or product already linked
+ *       404:
+ *         description: Supplier or product not found
+ */
+router.post('/:id/products',
+  requirePermission('suppliers.link_products'),
+  validate(schemas.idParam, 'params'),
+  validate(supplierProductCreate),
+  supplierController.addSupplierProduct
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/products/{productId}:
+ *   put:
+ *     summary: Update a product's sourcing details for a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplier_sku:
+ *                 type: string
+ *               cost_price:
+ *                 type: number
+ *                 minimum: 0
+ *               lead_time_days:
+ *                 type: integer
+ *                 minimum: 0
+ *               is_preferred:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Link updated
+ *       404:
+ *         description: Supplier not found or product not linked
+ */
+router.put('/:id/products/:productId',
+  requirePermission('suppliers.link_products'),
+  validate(supplierProductParams, 'params'),
+  validate(supplierProductUpdate),
+  supplierController.updateSupplierProduct
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/products/{productId}:
+ *   delete:
+ *     summary: Remove a product from a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Link removed
+ *       404:
+ *         description: Supplier not found or product not linked
+ */
+router.delete('/:id/products/:productId',
+  requirePermission('suppliers.link_products'),
+  validate(supplierProductParams, 'params'),
+  supplierController.removeSupplierProduct
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/purchase-history:
+ *   get:
+ *     summary: Get purchase history for a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Supplier ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by order date from (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by order date to (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Purchase orders with ordered and received totals
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/:id/purchase-history',
+  requirePermission('suppliers.view'),
+  validate(schemas.idParam, 'params'),
+  supplierController.getSupplierPurchaseHistory
+);
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const taxInvoiceController = require('../controllers/taxInvoice.controller');
+const { validate, uuidParam } = require('../middleware/validationMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { setShopContext, verifyShopAccess } = require('../middleware/shopAccess');
+const { profileUpdate, saleIdParam } = require('../validation/taxInvoice.schema');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Set shop context and verify the user works in that shop
+router.use(setShopContext);
+router.use(verifyShopAccess());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tax Invoices
+ *   description: >
+ *     VAT invoices reported to the national tax portal (سامانه مودیان).
+ *     Once a shop with tax enabled has a tax portal profile, every sale and
+ *     every return on a reported sale is signed with the shop's key and
+ *     queued for the portal, then looked up until the portal accepts or
+ *     rejects it. Products need a tax service ID; named buyers need a
+ *     national ID or economic code.
+ */
+
+/**
+ * @swagger
+ * /api/tax-invoices/profile:
+ *   get:
+ *     summary: Get the shop's tax portal profile
+ *     tags: [Tax Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax portal profile, without the private key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     profile:
+ *                       $ref: '#/components/schemas/TaxProfile'
+ *       404:
+ *         description: The shop has not been set up to report
+ *   put:
+ *     summary: Set up or change how the shop reports to the tax portal
+ *     description: >
+ *       Setting up needs the economic code, tax memory ID and private key.
+ *       The public key derived from the private key is returned so it can be
+ *       registered with the portal. A new tax memory ID starts serials again.
+ *     tags: [Tax Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               economic_code:
+ *                 type: string
+ *               memory_id:
+ *                 type: string
+ *                 description: Six-character tax memory ID
+ *               private_key:
+ *                 type: string
+ *                 description: RSA private key in PEM format
+ *               default_unit_code:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *                 description: Report new sales and returns automatically
+ *     responses:
+ *       200:
+ *         description: Tax portal profile saved
+ *       400:
+ *         description: Invalid key or missing fields to set up
+ *       403:
+ *         description: Requires the tax_invoices.manage permission
+ */
+router.get('/profile',
+  requirePermission('tax_invoices.manage'),
+  taxInvoiceController.getProfile
+);
+
+router.put('/profile',
+  requirePermission('tax_invoices.manage'),
+  validate(profileUpdate),
+  taxInvoiceController.updateProfile
+);
+
+/**
+ * @swagger
+ * /api/tax-invoices:
+ *   get:
+ *     summary: Get the shop's tax invoices
+ *     tags: [Tax Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sent, accepted, rejected, failed]
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *           enum: [original, return]
+ *       - in: query
+ *         name: sale_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Tax invoices, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TaxInvoice'
+ *                     pagination:
+ *                       type: object
+ */
+router.get('/',
+  requirePermission('tax_invoices.view'),
+  taxInvoiceController.getAllInvoices
+);
+
+/**
+ * @swagger
+ * /api/tax-invoices/sales/{saleId}:
+ *   post:
+ *     summary: Report a sale to the tax portal
+ *     description: For sales made before the shop started reporting, or while reporting was off.
+ *     tags: [Tax Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Tax invoice queued
+ *       400:
+ *         description: Tax is not enabled or the shop has no tax portal profile
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: The sale has already been reported
+ */
+router.post('/sales/:saleId',
+  requirePermission('tax_invoices.manage'),
+  validate(saleIdParam, 'params'),
+  taxInvoiceController.reportSale
+);
+
+/**
+ * @swagger
+ * /api/tax-invoices/{id}:
+ *   get:
+ *     summary: Get a tax invoice with the payload sent to the portal
+ *     tags: [Tax Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Tax invoice
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       $ref: '#/components/schemas/TaxInvoice'
+ *       404:
+ *         description: Tax invoice not found
+ */
+router.get('/:id',
+  requirePermission('tax_invoices.view'),
+  validate(uuidParam, 'params'),
+  taxInvoiceController.getInvoiceById
+);
+
+/**
+ * @swagger
+ * /api/tax-invoices/{id}/retry:
+ *   post:
+ *     summary: Retry a tax invoice
+ *     description: >
+ *       A rejected or failed invoice is rebuilt from the sale as it is now
+ *       and sent again under the same tax ID; for a sent invoice the portal
+ *       is asked again whether it accepted it.
+ *     tags: [Tax Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Tax invoice queued
+ *       400:
+ *         description: The invoice is queued or accepted
+ *       404:
+ *         description: Tax invoice not found
+ */
+router.post('/:id/retry',
+  requirePermission('tax_invoices.manage'),
+  validate(uuidParam, 'params'),
+  taxInvoiceController.retryInvoice
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const unitController = require('../controllers/unit.controller');
-const { authenticate, restrictTo } = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
 const { validate, schemas } = require('../middleware/validationMiddleware');
 
 // All routes require authentication
@@ -65,7 +66,7 @@ router.get('/', unitController.getUnits);
  *         description: Forbidden - not admin or manager
  */
 router.post('/',
-  restrictTo('admin', 'manager'),
+  requirePermission('catalog.manage'),
   validate(schemas.unitCreate),
   unitController.createUnit
 );
@@ -117,7 +118,7 @@ router.post('/',
  *         description: Unit not found
  */
 router.put('/:id',
-  restrictTo('admin', 'manager'),
+  requirePermission('catalog.manage'),
   validate(schemas.unitUpdate),
   unitController.updateUnit
 );
@@ -150,7 +151,7 @@ router.put('/:id',
  *         description: Unit not found
  */
 router.delete('/:id',
-  restrictTo('admin', 'manager'),
+  requirePermission('catalog.manage'),
   unitController.deleteUnit
 );
 
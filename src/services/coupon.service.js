@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/pricing');
+
+// Characters of generated codes, leaving out those easily misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Most codes generated in one request
+const MAX_CODES_PER_BATCH = 5000;
+
+/**
+ * Codes are matched without regard to case or surrounding spaces
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+const normalizeCode = code => String(code).trim().toUpperCase();
+
+/**
+ * A random code from the unambiguous alphabet
+ * @param {string} prefix - Text the code starts with
+ * @param {number} length - Number of random characters
+ * @returns {string}
+ */
+const randomCode = (prefix, length) => {
+  const bytes = crypto.randomBytes(length);
+  let code = prefix;
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+/**
+ * Discount a campaign gives on an amount, capped at the campaign's maximum
+ * and at the amount itself
+ * @param {Object} campaign - Coupon campaign
+ * @param {number} amount - Amount the discount applies to
+ * @returns {number}
+ */
+const campaignDiscount = (campaign, amount) => {
+  let discount = campaign.discount_type === 'percentage'
+    ? amount * parseFloat(campaign.value) / 100
+    : parseFloat(campaign.value);
+
+  if (campaign.max_discount_amount !== null && campaign.max_discount_amount !== undefined) {
+    discount = Math.min(discount, parseFloat(campaign.max_discount_amount));
+  }
+
+  return roundMoney(Math.max(Math.min(discount, amount), 0));
+};
+
+/**
+ * Check that a campaign's settings are consistent
+ * @param {Object} campaign - Campaign fields
+ */
+exports.checkCampaignRules = (campaign) => {
+  if (campaign.discount_type === 'percentage' && parseFloat(campaign.value) > 100) {
+    throw new AppError('A percentage discount cannot exceed 100', 400, 'INVALID_COUPON_CAMPAIGN');
+  }
+
+  if (campaign.starts_at && campaign.expires_at
+    && new Date(campaign.expires_at) <= new Date(campaign.starts_at)) {
+    throw new AppError('A campaign must expire after it starts', 400, 'INVALID_COUPON_CAMPAIGN');
+  }
+};
+
+/**
+ * Add codes to a campaign: either one chosen code or a batch of random ones
+ * @param {Object} campaign - Coupon campaign
+ * @param {Object} options
+ * @param {string} [options.code] - The code to create, instead of random ones
+ * @param {number} [options.count] - Number of random codes to generate
+ * @param {string} [options.prefix] - Text random codes start with
+ * @param {number} [options.length] - Number of random characters in each code
+ * @param {number|null} [options.maxUses] - Uses of each code; defaults to the campaign's uses per code
+ * @returns {Promise<Array<Object>>} - The created coupons
+ */
+exports.generateCodes = async (campaign, {
+  code, count = 1, prefix = '', length = 8, maxUses
+} = {}) => {
+  const max_uses = maxUses !== undefined ? maxUses : campaign.uses_per_code;
+
+  if (code) {
+    const normalized = normalizeCode(code);
+    const existing = await db.Coupon.findOne({
+      where: { shop_id: campaign.shop_id, code: normalized }
+    });
+    if (existing) {
+      throw new AppError(`Code ${normalized} is already in use in this shop`, 409, 'DUPLICATE_COUPON_CODE');
+    }
+
+    return [await db.Coupon.create({
+      campaign_id: campaign.id,
+      shop_id: campaign.shop_id,
+      code: normalized,
+      max_uses
+    })];
+  }
+
+  if (count > MAX_CODES_PER_BATCH) {
+    throw new AppError(`At most ${MAX_CODES_PER_BATCH} codes can be generated at once`, 400, 'TOO_MANY_COUPON_CODES');
+  }
+
+  const codePrefix = normalizeCode(prefix);
+  const codes = new Set();
+
+  // Draw codes until the batch is full, skipping those the shop already has
+  for (let attempt = 0; codes.size < count && attempt < 10; attempt++) {
+    const candidates = new Set();
+    while (candidates.size < count - codes.size) {
+      const candidate = randomCode(codePrefix, length);
+      if (!codes.has(candidate)) {
+        candidates.add(candidate);
+      }
+    }
+
+    const taken = await db.Coupon.findAll({
+      where: { shop_id: campaign.shop_id, code: { [Op.in]: [...candidates] } },
+      attributes: ['code']
+    });
+    const takenCodes = new Set(taken.map(coupon => coupon.code));
+
+    candidates.forEach((candidate) => {
+      if (!takenCodes.has(candidate)) {
+        codes.add(candidate);
+      }
+    });
+  }
+
+  if (codes.size < count) {
+    throw new AppError('Not enough unused codes of this length; use a longer code', 409, 'COUPON_CODES_EXHAUSTED');
+  }
+
+  return db.sequelize.transaction(async t => db.Coupon.bulkCreate([...codes].map(generated => ({
+    campaign_id: campaign.id,
+    shop_id: campaign.shop_id,
+    code: generated,
+    max_uses
+  })), { transaction: t }));
+};
+
+/**
+ * Validate a coupon code for a purchase and work out its discount. The
+ * campaign and the coupon are locked until the transaction ends, so two
+ * purchases cannot both take a code's last use or a customer's last
+ * redemption.
+ * @param {string} shopId - Shop ID
+ * @param {string} code - Code as typed
+ * @param {Object} purchase
+ * @param {string} [purchase.customerId] - Customer making the purchase
+ * @param {number} purchase.baseAmount - Amount the discount applies to
+ * @param {number} purchase.purchaseAmount - Amount checked against the campaign's minimum purchase
+ * @param {Date} [purchase.at] - When the purchase takes place
+ * @param {import('sequelize').Transaction} transaction - Transaction recording the purchase
+ * @returns {Promise<Object>} - coupon, campaign and discount
+ */
+exports.applyCoupon = async (shopId, code, {
+  customerId, baseAmount, purchaseAmount, at = new Date()
+}, transaction) => {
+  const found = await db.Coupon.findOne({
+    where: { shop_id: shopId, code: normalizeCode(code) },
+    transaction
+  });
+
+  if (!found) {
+    throw new AppError('Coupon code not found', 404, 'COUPON_NOT_FOUND');
+  }
+
+  // Lock the campaign before the coupon, in the same order as every other
+  // redemption of the campaign
+  const campaign = await db.CouponCampaign.findByPk(found.campaign_id, {
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  const coupon = await db.Coupon.findByPk(found.id, {
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!coupon.is_active || !campaign.is_active) {
+    throw new AppError('Coupon code is no longer valid', 400, 'COUPON_INACTIVE');
+  }
+
+  if (campaign.starts_at && at < new Date(campaign.starts_at)) {
+    throw new AppError('Coupon code cannot be used yet', 400, 'COUPON_NOT_STARTED');
+  }
+
+  if (campaign.expires_at && at > new Date(campaign.expires_at)) {
+    throw new AppError('Coupon code has expired', 400, 'COUPON_EXPIRED');
+  }
+
+  if (coupon.max_uses !== null && coupon.times_used >= coupon.max_uses) {
+    throw new AppError('Coupon code has already been used', 400, 'COUPON_USAGE_LIMIT');
+  }
+
+  if (campaign.uses_per_customer !== null) {
+    if (!customerId) {
+      throw new AppError('A customer is required to use this coupon code', 400, 'COUPON_CUSTOMER_REQUIRED');
+    }
+
+    const used = await db.CouponRedemption.count({
+      where: { campaign_id: campaign.id, customer_id: customerId },
+      transaction
+    });
+    if (used >= campaign.uses_per_customer) {
+      throw new AppError('Customer has already used this campaign\'s coupons the maximum number of times', 400, 'COUPON_CUSTOMER_LIMIT');
+    }
+  }
+
+  if (campaign.min_purchase_amount !== null
+    && purchaseAmount < parseFloat(campaign.min_purchase_amount)) {
+    throw new AppError(
+      `Coupon code requires a purchase of at least ${campaign.min_purchase_amount}`,
+      400,
+      'COUPON_MIN_PURCHASE'
+    );
+  }
+
+  return {
+    coupon,
+    campaign,
+    discount: campaignDiscount(campaign, baseAmount)
+  };
+};
+
+/**
+ * Record a use of a coupon on a sale or an order
+ * @param {Object} coupon - Coupon locked by applyCoupon
+ * @param {Object} redemption
+ * @param {string} [redemption.saleId] - Sale the coupon was used on
+ * @param {string} [redemption.orderId] - Order the coupon was used on
+ * @param {string} [redemption.customerId] - Customer who used the coupon
+ * @param {number} redemption.discount - Discount the coupon gave
+ * @param {number} redemption.revenue - Total of the sale or order after the discount
+ * @param {string} [redemption.userId] - User who applied the coupon
+ * @param {import('sequelize').Transaction} transaction - Transaction recording the purchase
+ * @returns {Promise<Object>} - The redemption
+ */
+exports.recordRedemption = async (coupon, {
+  saleId, orderId, customerId, discount, revenue, userId
+}, transaction) => {
+  await coupon.increment('times_used', { transaction });
+
+  return db.CouponRedemption.create({
+    coupon_id: coupon.id,
+    campaign_id: coupon.campaign_id,
+    shop_id: coupon.shop_id,
+    customer_id: customerId,
+    sale_id: saleId,
+    order_id: orderId,
+    discount_amount: discount,
+    revenue,
+    user_id: userId
+  }, { transaction });
+};
+
+/**
+ * Give back the coupon use of an order that was cancelled or deleted
+ * @param {string} orderId - Order ID
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<void>}
+ */
+exports.releaseOrderRedemption = async (orderId, transaction) => {
+  const redemptions = await db.CouponRedemption.findAll({
+    where: { order_id: orderId },
+    transaction
+  });
+
+  for (const redemption of redemptions) {
+    await db.Coupon.decrement('times_used', {
+      where: { id: redemption.coupon_id, times_used: { [Op.gt]: 0 } },
+      transaction
+    });
+    await redemption.destroy({ transaction });
+  }
+};
+
+/**
+ * Redemptions, discounts given and revenue per campaign of a shop
+ * @param {string} shopId - Shop ID
+ * @param {Object} [query]
+ * @param {string} [query.start_date] - Only redemptions from this date
+ * @param {string} [query.end_date] - Only redemptions up to this date
+ * @param {string} [query.campaign_id] - Only this campaign
+ * @returns {Promise<Object>}
+ */
+exports.buildCampaignReport = async (shopId, query = {}) => {
+  const { start_date, end_date, campaign_id } = query;
+
+  const redemptionFilter = { shop_id: shopId };
+  if (start_date || end_date) {
+    redemptionFilter.created_at = {};
+    if (start_date) {
+      redemptionFilter.created_at[Op.gte] = new Date(start_date);
+    }
+    if (end_date) {
+      redemptionFilter.created_at[Op.lte] = new Date(end_date);
+    }
+  }
+  if (campaign_id) {
+    redemptionFilter.campaign_id = campaign_id;
+  }
+
+  const campaignFilter = { shop_id: shopId };
+  if (campaign_id) {
+    campaignFilter.id = campaign_id;
+  }
+
+  const [campaigns, totals, codeCounts] = await Promise.all([
+    db.CouponCampaign.findAll({
+      where: campaignFilter,
+      attributes: ['id', 'name', 'discount_type', 'value', 'starts_at', 'expires_at', 'is_active'],
+      order: [['created_at', 'DESC']]
+    }),
+    db.CouponRedemption.findAll({
+      where: redemptionFilter,
+      attributes: [
+        'campaign_id',
+        [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'redemptions'],
+        [db.sequelize.fn('COUNT', db.sequelize.fn('DISTINCT', db.sequelize.col('customer_id'))), 'customers'],
+        [db.sequelize.fn('SUM', db.sequelize.col('discount_amount')), 'discount_total'],
+        [db.sequelize.fn('SUM', db.sequelize.col('revenue')), 'revenue']
+      ],
+      group: ['campaign_id'],
+      raw: true
+    }),
+    db.Coupon.findAll({
+      where: { shop_id: shopId },
+      attributes: [
+        'campaign_id',
+        [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'codes']
+      ],
+      group: ['campaign_id'],
+      raw: true
+    })
+  ]);
+
+  const rows = campaigns.map((campaign) => {
+    const total = totals.find(row => row.campaign_id === campaign.id) || {};
+    const codes = codeCounts.find(row => row.campaign_id === campaign.id) || {};
+
+    return {
+      campaign_id: campaign.id,
+      name: campaign.name,
+      discount_type: campaign.discount_type,
+      value: parseFloat(campaign.value),
+      starts_at: campaign.starts_at,
+      expires_at: campaign.expires_at,
+      is_active: campaign.is_active,
+      codes: parseInt(codes.codes || 0, 10),
+      redemptions: parseInt(total.redemptions || 0, 10),
+      customers: parseInt(total.customers || 0, 10),
+      discount_total: roundMoney(parseFloat(total.discount_total || 0)),
+      revenue: roundMoney(parseFloat(total.revenue || 0))
+    };
+  });
+
+  return {
+    period: { start_date: start_date || null, end_date: end_date || null },
+    campaigns: rows,
+    totals: {
+      redemptions: rows.reduce((sum, row) => sum + row.redemptions, 0),
+      discount_total: roundMoney(rows.reduce((sum, row) => sum + row.discount_total, 0)),
+      revenue: roundMoney(rows.reduce((sum, row) => sum + row.revenue, 0))
+    }
+  };
+};
+
+exports.MAX_CODES_PER_BATCH = MAX_CODES_PER_BATCH;
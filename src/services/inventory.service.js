@@ -0,0 +1,167 @@
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+
+/**
+ * Resolve the location a stock movement applies to. An explicit location must
+ * be an active location of the shop; otherwise the shop's default location is
+ * used. Shops that have not set up any locations resolve to null.
+ *
+ * @param {string} shopId - Shop ID
+ * @param {string} [locationId] - Requested location ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<Object|null>} - The location, or null when the shop has none
+ */
+exports.resolveLocation = async (shopId, locationId, transaction) => {
+  if (locationId) {
+    const location = await db.Location.findOne({
+      where: { id: locationId, shop_id: shopId, is_active: true },
+      transaction
+    });
+
+    if (!location) {
+      throw new AppError('Location not found', 404, 'LOCATION_NOT_FOUND');
+    }
+
+    return location;
+  }
+
+  return db.Location.findOne({
+    where: { shop_id: shopId, is_default: true },
+    transaction
+  });
+};
+
+/**
+ * Change the quantity of a product held at a single location. Only the
+ * per-location figure changes; the shop-wide Inventory row is left alone.
+ *
+ * @param {Object} movement - Movement details
+ * @param {string} movement.product_id - Product being moved
+ * @param {string} movement.shop_id - Shop that holds the stock
+ * @param {number} movement.quantity - Signed quantity change
+ * @param {string} [movement.location_id] - Location, defaults to the shop's default location
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNegative=false] - Let the location go below zero
+ *   (used by sales, which must not fail because stock was shelved elsewhere)
+ * @returns {Promise<Object|null>} - The location stock row, or null when the shop has no locations
+ */
+exports.adjustLocationStock = async (movement, transaction, options = {}) => {
+  const { product_id, shop_id, quantity, location_id } = movement;
+
+  const location = await exports.resolveLocation(shop_id, location_id, transaction);
+  if (!location) {
+    return null;
+  }
+
+  const [locationStock] = await db.LocationInventory.findOrCreate({
+    where: { location_id: location.id, product_id },
+    defaults: {
+      location_id: location.id,
+      product_id,
+      shop_id,
+      quantity: 0
+    },
+    lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    transaction
+  });
+
+  if (quantity < 0 && !options.allowNegative && locationStock.quantity + quantity < 0) {
+    throw new AppError(
+      `Insufficient stock for product ${product_id} at ${location.name}`,
+      400,
+      'INSUFFICIENT_LOCATION_STOCK'
+    );
+  }
+
+  if (quantity !== 0) {
+    await locationStock.increment('quantity', { by: quantity, transaction });
+  }
+
+  return locationStock.reload({ transaction });
+};
+
+/**
+ * Apply a stock movement to a product's inventory and record it in the
+ * inventory transaction log. Positive quantities add stock, negative remove it.
+ * When the shop has locations the movement is also applied to the given
+ * location, or to the default location when none is given.
+ * Must be called inside a transaction so the stock change and its log entry
+ * are committed together.
+ *
+ * @param {Object} movement - Movement details
+ * @param {string} movement.product_id - Product being moved
+ * @param {string} movement.shop_id - Shop that holds the stock
+ * @param {number} movement.quantity - Signed quantity change
+ * @param {string} movement.transaction_type - InventoryTransaction type
+ * @param {string} [movement.location_id] - Location whose stock changes
+ * @param {string} [movement.reference_id] - Related document ID
+ * @param {string} [movement.note] - Note stored with the transaction
+ * @param {string} [movement.user_id] - User performing the movement
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNegative=false] - Let available stock and the
+ *   location go below zero (used by stocktakes, whose count is what is there
+ *   even when orders reserved more)
+ * @returns {Promise<Object>} - The updated inventory record
+ */
+exports.applyStockMovement = async (movement, transaction, options = {}) => {
+  const {
+    product_id,
+    shop_id,
+    quantity,
+    transaction_type,
+    location_id,
+    reference_id,
+    note,
+    user_id
+  } = movement;
+
+  const [inventory] = await db.Inventory.findOrCreate({
+    where: { product_id, shop_id },
+    defaults: {
+      product_id,
+      shop_id,
+      stock_quantity: 0,
+      available_quantity: 0,
+      reserved_quantity: 0
+    },
+    // Locked so concurrent movements check against each other's stock
+    lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    transaction
+  });
+
+  if (quantity < 0 && !options.allowNegative && inventory.available_quantity + quantity < 0) {
+    throw new AppError(
+      `Insufficient stock for product ${product_id}`,
+      400,
+      'INSUFFICIENT_STOCK'
+    );
+  }
+
+  if (quantity !== 0) {
+    await inventory.increment({
+      stock_quantity: quantity,
+      available_quantity: quantity
+    }, { transaction });
+  }
+
+  const locationStock = await exports.adjustLocationStock({
+    product_id,
+    shop_id,
+    quantity,
+    location_id
+  }, transaction, { allowNegative: options.allowNegative });
+
+  await db.InventoryTransaction.create({
+    product_id,
+    quantity,
+    transaction_type,
+    location_id: locationStock ? locationStock.location_id : null,
+    reference_id,
+    note,
+    user_id
+  }, { transaction });
+
+  return inventory.reload({ transaction });
+};
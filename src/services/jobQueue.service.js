@@ -0,0 +1,299 @@
+const Bull = require('bull');
+const db = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Bull queues, created on first use
+const bullQueues = {};
+
+// Interval timers for periodic tasks
+const periodicTimers = [];
+
+// Jobs waiting for a free slot when running in-process
+const memoryBacklog = [];
+let memoryActive = 0;
+
+/**
+ * Look up the handler for a job. Handlers are required lazily because they
+ * use services that may themselves queue jobs.
+ * @param {string} queue - Queue name
+ * @param {string} name - Job name
+ * @returns {Function|undefined}
+ */
+const getHandler = (queue, name) => {
+  const handlers = require('../jobs');
+  return handlers[queue] && handlers[queue][name];
+};
+
+/**
+ * Get (or create) the Bull queue with the given name
+ * @param {string} queue - Queue name
+ * @returns {import('bull').Queue}
+ */
+const getBullQueue = (queue) => {
+  if (!bullQueues[queue]) {
+    bullQueues[queue] = new Bull(queue, config.redis.url, { prefix: config.queue.prefix });
+    bullQueues[queue].on('error', (error) => {
+      logger.error(`Queue ${queue} error: ${error.message}`);
+    });
+  }
+  return bullQueues[queue];
+};
+
+/**
+ * Delay before the next attempt, doubling after each failure
+ * @param {number} attemptsMade - Attempts already made
+ * @returns {number} - Delay in milliseconds
+ */
+const getBackoffDelay = (attemptsMade) => config.queue.backoffMs * Math.pow(2, attemptsMade - 1);
+
+/**
+ * Run one attempt of a job and record the outcome on its row.
+ * Throws when the attempt fails so the driver can schedule a retry.
+ * @param {string} jobId - Job ID
+ * @param {import('bull').Job} [bullJob] - Bull job, when running under Bull
+ * @returns {Promise<*>} - Handler result
+ */
+const runJob = async (jobId, bullJob) => {
+  const job = await db.Job.findByPk(jobId);
+  if (!job || job.isFinished()) {
+    return null;
+  }
+
+  const handler = getHandler(job.queue, job.name);
+  if (!handler) {
+    await job.update({
+      status: 'failed',
+      error: `No handler registered for ${job.queue}:${job.name}`,
+      finished_at: new Date()
+    });
+    return null;
+  }
+
+  await job.update({
+    status: 'active',
+    attempts_made: job.attempts_made + 1,
+    started_at: new Date()
+  });
+
+  const context = {
+    job,
+    /**
+     * Report progress as a percentage
+     * @param {number} value - 0 to 100
+     */
+    progress: async (value) => {
+      const percent = Math.max(0, Math.min(100, Math.round(value)));
+      await job.update({ progress: percent });
+      if (bullJob) {
+        await bullJob.progress(percent);
+      }
+    }
+  };
+
+  try {
+    const result = await handler(job.data || {}, context);
+
+    await job.update({
+      status: 'completed',
+      progress: 100,
+      result: result === undefined ? null : result,
+      error: null,
+      finished_at: new Date()
+    });
+
+    return result;
+  } catch (error) {
+    const willRetry = job.attempts_made < job.max_attempts;
+
+    await job.update({
+      status: willRetry ? 'waiting' : 'failed',
+      error: error.message,
+      finished_at: willRetry ? null : new Date()
+    });
+
+    logger.error(`Job ${job.queue}:${job.name} ${job.id} failed (attempt ${job.attempts_made}/${job.max_attempts}): ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Start in-process jobs while there are free slots
+ */
+const drainMemoryBacklog = () => {
+  while (memoryActive < config.queue.concurrency && memoryBacklog.length > 0) {
+    const jobId = memoryBacklog.shift();
+    memoryActive++;
+
+    runJob(jobId)
+      .catch(async () => {
+        const job = await db.Job.findByPk(jobId);
+        if (job && job.status === 'waiting') {
+          scheduleInProcess(jobId, getBackoffDelay(job.attempts_made));
+        }
+      })
+      .catch((error) => {
+        logger.error(`Could not reschedule job ${jobId}: ${error.message}`);
+      })
+      .finally(() => {
+        memoryActive--;
+        drainMemoryBacklog();
+      });
+  }
+};
+
+/**
+ * Queue a job to run inside this process
+ * @param {string} jobId - Job ID
+ * @param {number} [delay=0] - Delay in milliseconds
+ */
+const scheduleInProcess = (jobId, delay = 0) => {
+  const timer = setTimeout(() => {
+    memoryBacklog.push(jobId);
+    drainMemoryBacklog();
+  }, delay);
+
+  // Pending retries should not keep the process alive on shutdown
+  if (timer.unref) {
+    timer.unref();
+  }
+};
+
+/**
+ * Start the periodic tasks from src/jobs/periodic.js. A task is skipped
+ * while its previous run is still going.
+ */
+const startPeriodicTasks = () => {
+  const tasks = require('../jobs/periodic');
+
+  tasks.forEach((task) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await task.run();
+      } catch (error) {
+        logger.error(`Periodic task ${task.name} failed: ${error.message}`);
+      } finally {
+        running = false;
+      }
+    }, task.intervalMs);
+
+    if (timer.unref) {
+      timer.unref();
+    }
+    periodicTimers.push(timer);
+  });
+};
+
+/**
+ * Queue a background job.
+ *
+ * Call this after the surrounding transaction has committed; with the
+ * in-process driver the job may start before the caller's next await.
+ *
+ * @param {string} queue - Queue name (see src/jobs)
+ * @param {string} name - Job name within the queue
+ * @param {Object} [data] - JSON-serialisable job input
+ * @param {Object} [options]
+ * @param {string} [options.shopId] - Shop the job belongs to
+ * @param {string} [options.userId] - User who queued the job
+ * @param {number} [options.attempts] - Attempts before giving up
+ * @param {number} [options.delay] - Delay before the first attempt, in milliseconds
+ * @returns {Promise<Object>} - The Job row
+ */
+exports.enqueue = async (queue, name, data = {}, options = {}) => {
+  if (!getHandler(queue, name)) {
+    throw new Error(`No handler registered for ${queue}:${name}`);
+  }
+
+  const job = await db.Job.create({
+    queue,
+    name,
+    data,
+    shop_id: options.shopId || null,
+    user_id: options.userId || null,
+    max_attempts: options.attempts || config.queue.attempts
+  });
+
+  if (config.queue.driver !== 'bull') {
+    scheduleInProcess(job.id, options.delay || 0);
+    return job;
+  }
+
+  try {
+    await getBullQueue(queue).add(name, { jobId: job.id }, {
+      jobId: job.id,
+      attempts: job.max_attempts,
+      backoff: { type: 'exponential', delay: config.queue.backoffMs },
+      delay: options.delay || 0,
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+  } catch (error) {
+    await job.update({
+      status: 'failed',
+      error: `Could not queue job: ${error.message}`,
+      finished_at: new Date()
+    });
+    throw error;
+  }
+
+  return job;
+};
+
+/**
+ * Start processing jobs.
+ *
+ * With the Bull driver this attaches processors for every registered queue
+ * and is meant for the worker process. With the in-process driver it resumes
+ * jobs left unfinished by a previous run of this process. Either way it
+ * starts the periodic tasks.
+ * @returns {Promise<void>}
+ */
+exports.startWorker = async () => {
+  const handlers = require('../jobs');
+
+  startPeriodicTasks();
+
+  if (config.queue.driver === 'bull') {
+    Object.keys(handlers).forEach((queue) => {
+      getBullQueue(queue).process('*', config.queue.concurrency, (bullJob) => runJob(bullJob.data.jobId, bullJob));
+      logger.info(`Processing queue ${queue}`);
+    });
+    return;
+  }
+
+  const unfinished = await db.Job.findAll({
+    where: { status: ['waiting', 'active'] },
+    attributes: ['id', 'status', 'attempts_made'],
+    order: [['created_at', 'ASC']]
+  });
+
+  for (const job of unfinished) {
+    // An active job was interrupted mid-attempt; give it back its place in line
+    if (job.status === 'active') {
+      await job.update({ status: 'waiting' });
+    }
+    scheduleInProcess(job.id);
+  }
+
+  if (unfinished.length > 0) {
+    logger.info(`Resumed ${unfinished.length} unfinished job(s) in-process`);
+  }
+};
+
+/**
+ * Stop periodic tasks and close Bull connections so the process can exit
+ * @returns {Promise<void>}
+ */
+exports.close = async () => {
+  periodicTimers.forEach(timer => clearInterval(timer));
+  await Promise.all(Object.values(bullQueues).map(queue => queue.close()));
+};
+
+exports.runJob = runJob;
@@ -0,0 +1,292 @@
+const { Op, QueryTypes, literal } = require('sequelize');
+const db = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { enqueue } = require('./jobQueue.service');
+const { notify } = require('./notification.service');
+const { formatZonedDate, getJalaliParts } = require('../utils/timezone');
+
+/**
+ * Loyalty points are earned in lots: each credit LoyaltyTransaction keeps
+ * how many of its points are left and, if the program that awarded them sets
+ * an expiry, when they expire. Spending takes the oldest points first (see
+ * the LoyaltyTransaction hooks).
+ *
+ * Once a day each shop's expired lots are written off with an expiry debit,
+ * and customers whose points expire within the program's warning period are
+ * told so, once per lot.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often each shop's points are checked for expiry
+const EXPIRY_INTERVAL_MS = DAY_MS;
+
+/**
+ * Format an expiry date for the customer's locale
+ * @param {Date} date - Expiry
+ * @returns {{expires_on: string, expires_on_jalali: string}}
+ */
+const formatExpiry = (date) => {
+  const { year, month, day } = getJalaliParts(date, config.timezone);
+  const pad = value => String(value).padStart(2, '0');
+
+  return {
+    expires_on: formatZonedDate(date, config.timezone),
+    expires_on_jalali: `${year}/${pad(month)}/${pad(day)}`
+  };
+};
+
+/**
+ * A customer's points that are left and will expire, soonest first
+ * @param {string} customerId - Customer ID
+ * @param {Date} [until] - Latest expiry to include
+ * @returns {Promise<Array<Object>>} - Credit LoyaltyTransactions
+ */
+exports.getExpiringLots = async (customerId, until) => db.LoyaltyTransaction.findAll({
+  where: {
+    customer_id: customerId,
+    type: 'credit',
+    points_remaining: { [Op.gt]: 0 },
+    expires_at: until ? { [Op.lte]: until } : { [Op.ne]: null }
+  },
+  attributes: ['id', 'program_id', 'points', 'points_remaining', 'expires_at', 'created_at'],
+  order: [['expires_at', 'ASC']]
+});
+
+/**
+ * Write off what is left of an expired lot
+ * @param {string} lotId - Credit LoyaltyTransaction ID
+ * @param {Date} now - Time of the run
+ * @returns {Promise<number>} - Points expired
+ */
+const expireLot = async (lotId, now) => db.sequelize.transaction(async (t) => {
+  const lot = await db.LoyaltyTransaction.findByPk(lotId, {
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+
+  // Spent or expired by another run since it was listed
+  if (!lot || lot.points_remaining <= 0 || !lot.expires_at || lot.expires_at > now) {
+    return 0;
+  }
+
+  const points = lot.points_remaining;
+
+  await db.LoyaltyTransaction.create({
+    customer_id: lot.customer_id,
+    program_id: lot.program_id,
+    expired_transaction_id: lot.id,
+    points: -points,
+    type: 'debit',
+    description: `${points} points earned on ${formatZonedDate(lot.created_at, config.timezone)} expired`
+  }, { transaction: t });
+
+  await lot.update({ points_remaining: 0 }, { transaction: t });
+
+  await db.Customer.update({ loyalty_points: literal(`GREATEST(loyalty_points - ${points}, 0)`) }, {
+    where: { id: lot.customer_id },
+    transaction: t
+  });
+
+  return points;
+});
+
+/**
+ * Write off the expired points earned under a shop's programs
+ * @param {string} shopId - Shop ID
+ * @param {Date} [now] - Time of the run
+ * @returns {Promise<{lots: number, points: number}>}
+ */
+exports.expireShopPoints = async (shopId, now = new Date()) => {
+  const lots = await db.LoyaltyTransaction.findAll({
+    where: {
+      type: 'credit',
+      points_remaining: { [Op.gt]: 0 },
+      expires_at: { [Op.lte]: now }
+    },
+    include: [{
+      model: db.LoyaltyProgram,
+      as: 'program',
+      attributes: [],
+      where: { shop_id: shopId }
+    }],
+    attributes: ['id'],
+    order: [['expires_at', 'ASC']]
+  });
+
+  const totals = { lots: 0, points: 0 };
+  for (const lot of lots) {
+    const points = await expireLot(lot.id, now);
+    if (points > 0) {
+      totals.lots++;
+      totals.points += points;
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Warn customers whose points from a shop expire within the warning period
+ * of the program that awarded them. Each lot is warned about once.
+ * @param {string} shopId - Shop ID
+ * @param {Date} [now] - Time of the run
+ * @returns {Promise<number>} - Number of customers warned
+ */
+exports.warnExpiringPoints = async (shopId, now = new Date()) => {
+  const programs = await db.LoyaltyProgram.findAll({
+    where: { shop_id: shopId, expiry_warning_days: { [Op.gt]: 0 } },
+    attributes: ['id', 'expiry_warning_days']
+  });
+
+  const lots = [];
+  for (const program of programs) {
+    lots.push(...await db.LoyaltyTransaction.findAll({
+      where: {
+        program_id: program.id,
+        type: 'credit',
+        points_remaining: { [Op.gt]: 0 },
+        expiry_warned_at: null,
+        expires_at: {
+          [Op.gt]: now,
+          [Op.lte]: new Date(now.getTime() + program.expiry_warning_days * DAY_MS)
+        }
+      },
+      attributes: ['id', 'customer_id', 'points_remaining', 'expires_at']
+    }));
+  }
+
+  if (lots.length === 0) {
+    return 0;
+  }
+
+  // One warning per customer, for the points expiring soonest onwards
+  const byCustomer = new Map();
+  lots.forEach((lot) => {
+    const entry = byCustomer.get(lot.customer_id) || { lotIds: [], points: 0, expiresAt: lot.expires_at };
+    entry.lotIds.push(lot.id);
+    entry.points += lot.points_remaining;
+    if (lot.expires_at < entry.expiresAt) {
+      entry.expiresAt = lot.expires_at;
+    }
+    byCustomer.set(lot.customer_id, entry);
+  });
+
+  const [shop, customers] = await Promise.all([
+    db.Shop.findByPk(shopId, { attributes: ['id', 'name'] }),
+    db.Customer.findAll({
+      where: { id: { [Op.in]: [...byCustomer.keys()] } },
+      attributes: ['id', 'first_name', 'email', 'phone', 'locale', 'loyalty_points']
+    })
+  ]);
+
+  let warned = 0;
+  for (const customer of customers) {
+    const entry = byCustomer.get(customer.id);
+
+    try {
+      await notify('loyalty_points_expiring', {
+        email: customer.email,
+        phone: customer.phone,
+        locale: customer.locale,
+        customerId: customer.id
+      }, {
+        name: customer.first_name,
+        shop_name: shop.name,
+        points: entry.points,
+        points_balance: customer.loyalty_points,
+        ...formatExpiry(entry.expiresAt)
+      }, {
+        shopId,
+        reference: { type: 'loyalty_transaction', id: entry.lotIds[0] }
+      });
+
+      // Only once the warning is queued, so a failed one is tried again next run
+      await db.LoyaltyTransaction.update({ expiry_warned_at: now }, {
+        where: { id: { [Op.in]: entry.lotIds } }
+      });
+      warned++;
+    } catch (error) {
+      logger.error(`Could not warn customer ${customer.id} about expiring loyalty points: ${error.message}`);
+    }
+  }
+
+  return warned;
+};
+
+/**
+ * Write off a shop's expired points and warn customers about points that
+ * expire soon. Used by the loyalty:expire-points job.
+ * @param {string} shopId - Shop ID
+ * @param {Object} [context] - Job context ({ progress })
+ * @param {Date} [now] - Time of the run
+ * @returns {Promise<{lots: number, points: number, warned: number}>}
+ */
+exports.processShopExpiry = async (shopId, { progress } = {}, now = new Date()) => {
+  const expired = await exports.expireShopPoints(shopId, now);
+  if (progress) {
+    await progress(50);
+  }
+
+  const warned = await exports.warnExpiringPoints(shopId, now);
+
+  return { ...expired, warned };
+};
+
+/**
+ * Queue an expiry run for every shop whose points can expire that has not
+ * had one in the last day. Each shop is claimed by moving its expiry time
+ * forward first, so several workers can run this safely.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of runs queued
+ */
+exports.dispatchDueExpiries = async (now = new Date()) => {
+  // Shops with a program that sets an expiry, or with points that still carry one
+  const shopIds = (await db.sequelize.query(`
+    SELECT DISTINCT p.shop_id
+    FROM loyalty_programs p
+    WHERE p.points_expiry_months IS NOT NULL
+      OR EXISTS (
+        SELECT 1 FROM loyalty_transactions lt
+        WHERE lt.program_id = p.id AND lt.expires_at IS NOT NULL AND lt.points_remaining > 0
+      )
+  `, { type: QueryTypes.SELECT })).map(row => row.shop_id);
+
+  if (shopIds.length === 0) {
+    return 0;
+  }
+
+  const dueShops = await db.Shop.findAll({
+    where: {
+      id: { [Op.in]: shopIds },
+      is_active: true,
+      [Op.or]: [
+        { loyalty_points_expired_at: null },
+        { loyalty_points_expired_at: { [Op.lte]: new Date(now.getTime() - EXPIRY_INTERVAL_MS) } }
+      ]
+    },
+    attributes: ['id', 'loyalty_points_expired_at']
+  });
+
+  let queued = 0;
+
+  for (const shop of dueShops) {
+    const [claimed] = await db.Shop.update({ loyalty_points_expired_at: now }, {
+      where: { id: shop.id, loyalty_points_expired_at: shop.loyalty_points_expired_at }
+    });
+
+    if (claimed === 0) {
+      continue;
+    }
+
+    try {
+      await enqueue('loyalty', 'expire-points', { shop_id: shop.id }, { shopId: shop.id });
+      queued++;
+    } catch (error) {
+      logger.error(`Could not queue the loyalty points expiry of shop ${shop.id}: ${error.message}`);
+    }
+  }
+
+  return queued;
+};
@@ -0,0 +1,241 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { buildCategoryChain } = require('../utils/pricing');
+
+/**
+ * Loyalty programs set how many points a shop's customers earn. A shop runs
+ * at most one program at a time; while none is running, sales and orders
+ * earn no points.
+ *
+ * A line earns the rate of the rule for its product, else of the rule for its
+ * category or the nearest ancestor category with one, else the program's base
+ * rate. Excluded products earn nothing. Points are earned on what the customer
+ * paid, so sale-level discounts and coupons reduce every line in proportion.
+ * A bonus period running at the time multiplies the points, and the total is
+ * rounded down to whole points.
+ */
+
+/**
+ * Whether an instant falls within a period with an optional end
+ * @param {Date|string} start - Start of the period
+ * @param {Date|string|null} end - End of the period, or none
+ * @param {Date} at - Instant
+ * @returns {boolean}
+ */
+const isWithin = (start, end, at) => new Date(start) <= at && (!end || new Date(end) >= at);
+
+/**
+ * Check the settings of a program hang together
+ * @param {Object} program - Program settings
+ */
+exports.checkProgramRules = (program) => {
+  const fail = (message) => {
+    throw new AppError(message, 400, 'INVALID_LOYALTY_PROGRAM');
+  };
+
+  if (program.start_date && program.end_date && new Date(program.start_date) >= new Date(program.end_date)) {
+    fail('The program must end after it starts');
+  }
+
+  const targets = (program.earn_rules || []).map(rule => rule.product_id || rule.category_id);
+  if (new Set(targets).size !== targets.length) {
+    fail('A product or category can only have one earn rule');
+  }
+
+  (program.bonus_periods || []).forEach((period) => {
+    if (new Date(period.starts_at) >= new Date(period.ends_at)) {
+      fail(period.name
+        ? `Bonus period ${period.name} must end after it starts`
+        : 'A bonus period must end after it starts');
+    }
+  });
+};
+
+/**
+ * Check that the products and categories a program's rules name belong to the shop
+ * @param {string} shopId - Shop ID
+ * @param {Object} program - Program settings
+ */
+exports.checkTargets = async (shopId, program) => {
+  const rules = program.earn_rules || [];
+  const productIds = [...new Set(rules.filter(rule => rule.product_id).map(rule => rule.product_id)
+    .concat(program.excluded_product_ids || []))];
+  const categoryIds = rules.filter(rule => rule.category_id).map(rule => rule.category_id);
+
+  if (productIds.length > 0) {
+    const count = await db.Product.count({
+      where: { id: { [Op.in]: productIds }, shop_id: shopId }
+    });
+    if (count !== productIds.length) {
+      throw new AppError('One or more products were not found in this shop', 404, 'PRODUCT_NOT_FOUND');
+    }
+  }
+
+  if (categoryIds.length > 0) {
+    const count = await db.Category.count({
+      where: { id: { [Op.in]: categoryIds }, shop_id: shopId }
+    });
+    if (count !== categoryIds.length) {
+      throw new AppError('One or more categories were not found in this shop', 404, 'CATEGORY_NOT_FOUND');
+    }
+  }
+};
+
+/**
+ * Refuse an active program whose dates overlap another active program of the
+ * shop, so that a sale never has two programs to choose from
+ * @param {string} shopId - Shop ID
+ * @param {Object} program - Program settings, with the ID when it already exists
+ */
+exports.checkOverlap = async (shopId, program) => {
+  if (!program.is_active) {
+    return;
+  }
+
+  const start = new Date(program.start_date);
+  const where = {
+    shop_id: shopId,
+    is_active: true,
+    [Op.or]: [{ end_date: null }, { end_date: { [Op.gte]: start } }]
+  };
+  if (program.end_date) {
+    where.start_date = { [Op.lte]: new Date(program.end_date) };
+  }
+  if (program.id) {
+    where.id = { [Op.ne]: program.id };
+  }
+
+  const other = await db.LoyaltyProgram.findOne({ where, attributes: ['id', 'name'] });
+  if (other) {
+    throw new AppError(`The program's dates overlap the active program ${other.name}`, 409, 'LOYALTY_PROGRAM_OVERLAP');
+  }
+};
+
+/**
+ * Get the program a shop runs at an instant
+ * @param {string} shopId - Shop ID
+ * @param {Date} at - Instant
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<Object|null>}
+ */
+exports.getActiveProgram = async (shopId, at, transaction) => db.LoyaltyProgram.findOne({
+  where: {
+    shop_id: shopId,
+    is_active: true,
+    start_date: { [Op.lte]: at },
+    [Op.or]: [{ end_date: null }, { end_date: { [Op.gte]: at } }]
+  },
+  order: [['start_date', 'DESC']],
+  transaction
+});
+
+/**
+ * The points multiplier of a program at an instant: the largest of the bonus
+ * periods running then, or 1
+ * @param {Object} program - Loyalty program
+ * @param {Date} at - Instant
+ * @returns {number}
+ */
+exports.bonusMultiplier = (program, at) => (program.bonus_periods || [])
+  .filter(period => isWithin(period.starts_at, period.ends_at, at))
+  .reduce((multiplier, period) => Math.max(multiplier, parseFloat(period.multiplier)), 1);
+
+/**
+ * The earn rate of a line under a program. Exclusions and rules for a product
+ * with variants cover all of its variants; a rule for the variant itself wins.
+ * @param {Object} program - Loyalty program
+ * @param {{product_id: string, parent_id?: string, category_ids: string[]}} line - Line with its category and the category's ancestors, nearest first
+ * @returns {number} - Points per currency unit
+ */
+exports.earnRate = (program, line) => {
+  const productIds = [line.product_id, line.parent_id].filter(Boolean);
+
+  if ((program.excluded_product_ids || []).some(id => productIds.includes(id))) {
+    return 0;
+  }
+
+  const rules = program.earn_rules || [];
+  for (const productId of productIds) {
+    const productRule = rules.find(rule => rule.product_id === productId);
+    if (productRule) {
+      return parseFloat(productRule.points_per_currency);
+    }
+  }
+
+  for (const categoryId of line.category_ids) {
+    const categoryRule = rules.find(rule => rule.category_id === categoryId);
+    if (categoryRule) {
+      return parseFloat(categoryRule.points_per_currency);
+    }
+  }
+
+  return parseFloat(program.points_per_currency);
+};
+
+/**
+ * Work out the points a purchase earns under a program
+ * @param {Object} program - Loyalty program
+ * @param {Array<{product_id: string, category_ids: string[], amount: number}>} lines - Lines with what each cost after line discounts
+ * @param {Object} options
+ * @param {number} options.total - What the customer paid for the whole purchase
+ * @param {Date} options.at - When the purchase was made
+ * @returns {number} - Whole points
+ */
+exports.calculatePoints = (program, lines, { total, at }) => {
+  const linesTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (!(linesTotal > 0) || !(total > 0)) {
+    return 0;
+  }
+
+  const share = total / linesTotal;
+  const points = lines.reduce((sum, line) => sum + line.amount * share * exports.earnRate(program, line), 0)
+    * exports.bonusMultiplier(program, at);
+
+  // Rates have four decimals; round away float noise before taking whole points
+  return Math.floor(Math.round(points * 10000) / 10000);
+};
+
+/**
+ * Work out the points a customer earns on a purchase from the shop's
+ * program running at the time
+ * @param {string} shopId - Shop ID
+ * @param {Array<{product_id: string, amount: number}>} lines - Purchased products with what each line cost after line discounts
+ * @param {Object} options
+ * @param {number} options.total - What the customer paid for the whole purchase
+ * @param {Date} options.at - When the purchase was made
+ * @param {import('sequelize').Transaction} [options.transaction] - Active transaction
+ * @returns {Promise<{program: Object|null, points: number}>}
+ */
+exports.pointsForPurchase = async (shopId, lines, { total, at, transaction }) => {
+  const program = await exports.getActiveProgram(shopId, at, transaction);
+  if (!program) {
+    return { program: null, points: 0 };
+  }
+
+  // Category rules also cover subcategories
+  const [products, categories] = await Promise.all([
+    db.Product.findAll({
+      where: { id: { [Op.in]: [...new Set(lines.map(line => line.product_id))] } },
+      attributes: ['id', 'category_id', 'parent_id'],
+      transaction
+    }),
+    db.Category.findAll({
+      where: { shop_id: shopId },
+      attributes: ['id', 'parent_id'],
+      transaction
+    })
+  ]);
+  const categoryOf = new Map(products.map(product => [product.id, product.category_id]));
+  const parentProductOf = new Map(products.map(product => [product.id, product.parent_id]));
+  const categoryChain = buildCategoryChain(categories);
+
+  const points = exports.calculatePoints(program, lines.map(line => ({
+    product_id: line.product_id,
+    parent_id: parentProductOf.get(line.product_id),
+    category_ids: categoryChain(categoryOf.get(line.product_id)),
+    amount: line.amount
+  })), { total, at });
+
+  return { program, points };
+};
@@ -0,0 +1,480 @@
+const { Op, fn, col } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const { roundMoney } = require('../utils/pricing');
+const { enqueue } = require('./jobQueue.service');
+
+/**
+ * Loyalty tiers are defined per shop. A customer is placed in the highest
+ * tier of the shop whose minimums they meet over the tier's rolling window:
+ * points earned on purchases in the shop, what they spent there (less
+ * returns) and how many purchases they made. Sales and delivered orders both
+ * count.
+ *
+ * A customer holds one tier at a time, in the shop they first qualified in;
+ * other shops leave them alone until that shop's tiers no longer take them.
+ * Tiers are worked out again after each sale and once a day for the whole
+ * shop, which is what moves customers down when their purchases fall out of
+ * the window. Every change is recorded as a LoyaltyTierChange.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often every customer of a shop is evaluated
+const EVALUATION_INTERVAL_MS = DAY_MS;
+
+// Customers evaluated per batch of queries
+const BATCH_SIZE = 500;
+
+/**
+ * Get the tiers of a shop, lowest first
+ * @param {string} shopId - Shop ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<Array<Object>>}
+ */
+exports.getTiers = async (shopId, transaction) => db.LoyaltyTier.findAll({
+  where: { shop_id: shopId },
+  order: [['level', 'ASC']],
+  transaction
+});
+
+/**
+ * Add up what customers did in a shop since a time
+ * @param {string} shopId - Shop ID
+ * @param {string[]} customerIds - Customer IDs
+ * @param {Date} since - Start of the window
+ * @returns {Promise<Map<string, {points: number, spend: number, visits: number}>>}
+ */
+exports.getActivity = async (shopId, customerIds, since) => {
+  const activity = new Map(customerIds.map(id => [id, { points: 0, spend: 0, visits: 0 }]));
+  if (customerIds.length === 0) {
+    return activity;
+  }
+
+  // Sales in the window; cancelled and fully refunded ones count for nothing
+  const countedSale = {
+    shop_id: shopId,
+    customer_id: { [Op.in]: customerIds },
+    payment_status: { [Op.notIn]: ['cancelled', 'refunded'] },
+    sale_date: { [Op.gte]: since }
+  };
+
+  const [sales, refunds, orders, points] = await Promise.all([
+    db.Sale.findAll({
+      attributes: [
+        'customer_id',
+        [fn('SUM', col('total_amount')), 'spend'],
+        [fn('COUNT', col('id')), 'visits']
+      ],
+      where: countedSale,
+      group: ['customer_id'],
+      raw: true
+    }),
+    // Money paid back on those sales, for returns or otherwise. Refunds on
+    // sales made before the window are left out: those sales add no spend.
+    db.Refund.findAll({
+      attributes: [
+        [col('sale.customer_id'), 'customer_id'],
+        [fn('SUM', col('Refund.amount')), 'refunded']
+      ],
+      include: [
+        {
+          model: db.Sale,
+          as: 'sale',
+          attributes: [],
+          where: countedSale
+        }
+      ],
+      where: { status: 'completed' },
+      group: [col('sale.customer_id')],
+      raw: true
+    }),
+    db.Order.findAll({
+      attributes: [
+        'customer_id',
+        [fn('SUM', col('total_amount')), 'spend'],
+        [fn('COUNT', col('id')), 'visits']
+      ],
+      where: {
+        shop_id: shopId,
+        customer_id: { [Op.in]: customerIds },
+        status: 'delivered',
+        delivery_date: { [Op.gte]: since }
+      },
+      group: ['customer_id'],
+      raw: true
+    }),
+    // Points earned on the shop's sales and orders; hand adjustments belong to no shop
+    db.LoyaltyTransaction.findAll({
+      attributes: [
+        'customer_id',
+        [fn('SUM', col('LoyaltyTransaction.points')), 'points']
+      ],
+      include: [
+        { model: db.Sale, as: 'sale', attributes: [] },
+        { model: db.Order, as: 'order', attributes: [] }
+      ],
+      where: {
+        customer_id: { [Op.in]: customerIds },
+        type: 'credit',
+        created_at: { [Op.gte]: since },
+        [Op.or]: [
+          { '$sale.shop_id$': shopId },
+          { '$order.shop_id$': shopId }
+        ]
+      },
+      group: [col('LoyaltyTransaction.customer_id')],
+      raw: true
+    })
+  ]);
+
+  sales.concat(orders).forEach((row) => {
+    const entry = activity.get(row.customer_id);
+    entry.spend += parseFloat(row.spend || 0);
+    entry.visits += parseInt(row.visits, 10) || 0;
+  });
+  refunds.forEach((row) => {
+    activity.get(row.customer_id).spend -= parseFloat(row.refunded || 0);
+  });
+  points.forEach((row) => {
+    activity.get(row.customer_id).points = parseInt(row.points, 10) || 0;
+  });
+
+  activity.forEach((entry) => {
+    entry.spend = Math.max(roundMoney(entry.spend), 0);
+  });
+
+  return activity;
+};
+
+/**
+ * Whether a customer's activity over a tier's window meets the tier's minimums.
+ * A tier without minimums takes every customer.
+ * @param {Object} tier - LoyaltyTier
+ * @param {{points: number, spend: number, visits: number}} activity - Activity over the tier's window
+ * @returns {boolean}
+ */
+exports.qualifies = (tier, activity) => {
+  const checks = [
+    [tier.min_points, activity.points],
+    [tier.min_spend, activity.spend],
+    [tier.min_visits, activity.visits]
+  ]
+    .filter(([minimum]) => minimum !== null && minimum !== undefined)
+    .map(([minimum, value]) => value >= parseFloat(minimum));
+
+  if (checks.length === 0) {
+    return true;
+  }
+
+  return tier.qualify_on === 'all' ? checks.every(Boolean) : checks.some(Boolean);
+};
+
+/**
+ * Move customers to the tier of a shop they qualify for now, recording each change
+ * @param {string} shopId - Shop ID
+ * @param {Array<Object>} customers - Customers, none holding another shop's tier
+ * @param {Array<Object>} tiers - The shop's tiers
+ * @param {Date} now - Time of the evaluation
+ * @returns {Promise<number>} - Number of customers whose tier changed
+ */
+const placeCustomers = async (shopId, customers, tiers, now) => {
+  const customerIds = customers.map(customer => customer.id);
+
+  // Each window is counted once, however many tiers share it
+  const windows = [...new Set(tiers.map(tier => tier.window_days))];
+  const activityByWindow = new Map();
+  for (const days of windows) {
+    activityByWindow.set(days, await exports.getActivity(shopId, customerIds, new Date(now.getTime() - days * DAY_MS)));
+  }
+  const activityFor = (tier, customerId) => activityByWindow.get(tier.window_days).get(customerId);
+
+  const tierById = new Map(tiers.map(tier => [tier.id, tier]));
+  const unchanged = [];
+  let changed = 0;
+
+  for (const customer of customers) {
+    const current = tierById.get(customer.loyalty_tier_id) || null;
+    const next = [...tiers].reverse().find(tier => exports.qualifies(tier, activityFor(tier, customer.id))) || null;
+
+    if (customer.loyalty_tier_id === (next ? next.id : null)) {
+      unchanged.push(customer.id);
+      continue;
+    }
+
+    let change_type = 'removed';
+    if (next && !current) {
+      change_type = 'joined';
+    } else if (next) {
+      change_type = next.level > current.level ? 'promoted' : 'demoted';
+    }
+    const activity = activityFor(next || current || tiers[0], customer.id);
+
+    await db.sequelize.transaction(async (t) => {
+      await customer.update({
+        loyalty_tier_id: next ? next.id : null,
+        loyalty_tier: next ? next.name : null,
+        loyalty_tier_evaluated_at: now
+      }, { transaction: t });
+
+      await db.LoyaltyTierChange.create({
+        customer_id: customer.id,
+        shop_id: shopId,
+        from_tier_id: current ? current.id : null,
+        to_tier_id: next ? next.id : null,
+        from_tier: current ? current.name : customer.loyalty_tier,
+        to_tier: next ? next.name : null,
+        change_type,
+        points: activity.points,
+        spend: activity.spend,
+        visits: activity.visits
+      }, { transaction: t });
+    });
+    changed++;
+  }
+
+  if (unchanged.length > 0) {
+    await db.Customer.update({ loyalty_tier_evaluated_at: now }, {
+      where: { id: { [Op.in]: unchanged } }
+    });
+  }
+
+  return changed;
+};
+
+/**
+ * Work out the tier of some customers in a shop. Customers holding another
+ * shop's tier are left alone.
+ * @param {string} shopId - Shop ID
+ * @param {string[]} customerIds - Customer IDs
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Time of the evaluation
+ * @returns {Promise<{evaluated: number, changed: number}>}
+ */
+exports.evaluateCustomers = async (shopId, customerIds, { now = new Date() } = {}) => {
+  const tiers = await exports.getTiers(shopId);
+  if (tiers.length === 0 || customerIds.length === 0) {
+    return { evaluated: 0, changed: 0 };
+  }
+
+  const customers = await db.Customer.findAll({
+    where: {
+      id: { [Op.in]: customerIds },
+      [Op.or]: [
+        { loyalty_tier_id: null },
+        { loyalty_tier_id: { [Op.in]: tiers.map(tier => tier.id) } }
+      ]
+    }
+  });
+
+  const changed = await placeCustomers(shopId, customers, tiers, now);
+  return { evaluated: customers.length, changed };
+};
+
+/**
+ * Work out the tier of a customer after a purchase, without holding up the response
+ * @param {string} shopId - Shop ID
+ * @param {string} customerId - Customer ID
+ */
+exports.evaluateInBackground = (shopId, customerId) => {
+  exports.evaluateCustomers(shopId, [customerId]).catch((error) => {
+    logger.error(`Could not work out the loyalty tier of customer ${customerId}: ${error.message}`);
+  });
+};
+
+/**
+ * Work out the tier of every customer of a shop: those in its tiers and
+ * those who bought there within the longest window. Used by the
+ * loyalty:evaluate-tiers job.
+ * @param {string} shopId - Shop ID
+ * @param {Object} [context] - Job context ({ progress })
+ * @param {Date} [now] - Time of the evaluation
+ * @returns {Promise<{evaluated: number, changed: number}>}
+ */
+exports.evaluateShop = async (shopId, { progress } = {}, now = new Date()) => {
+  const tiers = await exports.getTiers(shopId);
+  if (tiers.length === 0) {
+    return { evaluated: 0, changed: 0 };
+  }
+
+  const since = new Date(now.getTime() - Math.max(...tiers.map(tier => tier.window_days)) * DAY_MS);
+  const [members, buyers, orderers] = await Promise.all([
+    db.Customer.findAll({
+      where: { loyalty_tier_id: { [Op.in]: tiers.map(tier => tier.id) } },
+      attributes: ['id'],
+      raw: true
+    }),
+    db.Sale.findAll({
+      where: { shop_id: shopId, customer_id: { [Op.ne]: null }, sale_date: { [Op.gte]: since } },
+      attributes: [[fn('DISTINCT', col('customer_id')), 'customer_id']],
+      raw: true
+    }),
+    db.Order.findAll({
+      where: { shop_id: shopId, customer_id: { [Op.ne]: null }, status: 'delivered', delivery_date: { [Op.gte]: since } },
+      attributes: [[fn('DISTINCT', col('customer_id')), 'customer_id']],
+      raw: true
+    })
+  ]);
+
+  const customerIds = [...new Set(members.map(row => row.id)
+    .concat(buyers.map(row => row.customer_id), orderers.map(row => row.customer_id)))];
+
+  const totals = { evaluated: 0, changed: 0 };
+  for (let start = 0; start < customerIds.length; start += BATCH_SIZE) {
+    const result = await exports.evaluateCustomers(shopId, customerIds.slice(start, start + BATCH_SIZE), { now });
+    totals.evaluated += result.evaluated;
+    totals.changed += result.changed;
+
+    if (progress) {
+      await progress(Math.min(Math.round((start + BATCH_SIZE) / customerIds.length * 100), 100));
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Queue an evaluation of a shop's tiers
+ * @param {string} shopId - Shop ID
+ * @param {string} [userId] - User who asked for it
+ * @returns {Promise<Object>} - The Job row
+ */
+exports.queueEvaluation = async (shopId, userId) => {
+  await db.Shop.update({ loyalty_tiers_evaluated_at: new Date() }, { where: { id: shopId } });
+
+  return enqueue('loyalty', 'evaluate-tiers', { shop_id: shopId }, { shopId, userId });
+};
+
+/**
+ * Queue an evaluation for every shop with tiers that has not had one in the
+ * last day. Each shop is claimed by moving its evaluation time forward first,
+ * so several workers can run this safely.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of evaluations queued
+ */
+exports.dispatchDueEvaluations = async (now = new Date()) => {
+  const shopIds = (await db.LoyaltyTier.findAll({
+    attributes: [[fn('DISTINCT', col('shop_id')), 'shop_id']],
+    raw: true
+  })).map(row => row.shop_id);
+
+  const dueShops = await db.Shop.findAll({
+    where: {
+      id: { [Op.in]: shopIds },
+      is_active: true,
+      [Op.or]: [
+        { loyalty_tiers_evaluated_at: null },
+        { loyalty_tiers_evaluated_at: { [Op.lte]: new Date(now.getTime() - EVALUATION_INTERVAL_MS) } }
+      ]
+    },
+    attributes: ['id', 'loyalty_tiers_evaluated_at']
+  });
+
+  let queued = 0;
+
+  for (const shop of dueShops) {
+    const [claimed] = await db.Shop.update({ loyalty_tiers_evaluated_at: now }, {
+      where: { id: shop.id, loyalty_tiers_evaluated_at: shop.loyalty_tiers_evaluated_at }
+    });
+
+    if (claimed === 0) {
+      continue;
+    }
+
+    try {
+      await enqueue('loyalty', 'evaluate-tiers', { shop_id: shop.id }, { shopId: shop.id });
+      queued++;
+    } catch (error) {
+      logger.error(`Could not queue the loyalty tier evaluation of shop ${shop.id}: ${error.message}`);
+    }
+  }
+
+  return queued;
+};
+
+/**
+ * The discount a customer's tier gives on a sale in a shop
+ * @param {Object|null} customer - Customer
+ * @param {string} shopId - Shop of the sale
+ * @param {number} baseAmount - What the discount is taken off
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<{tier: Object|null, discount: number}>}
+ */
+exports.getTierDiscount = async (customer, shopId, baseAmount, transaction) => {
+  if (!customer || !customer.loyalty_tier_id) {
+    return { tier: null, discount: 0 };
+  }
+
+  const tier = await db.LoyaltyTier.findOne({
+    where: { id: customer.loyalty_tier_id, shop_id: shopId },
+    transaction
+  });
+  if (!tier || !(parseFloat(tier.discount_percent) > 0) || !(baseAmount > 0)) {
+    return { tier, discount: 0 };
+  }
+
+  return { tier, discount: roundMoney(baseAmount * parseFloat(tier.discount_percent) / 100) };
+};
+
+/**
+ * Where a customer stands in a shop's tiers: the tier they hold, the next
+ * one up and how far they are from each of its minimums
+ * @param {Object} customer - Customer
+ * @param {string} shopId - Shop ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{tier: Object|null, next_tier: Object|null, activity: Object|null, remaining: Object|null}>}
+ */
+exports.getStanding = async (customer, shopId, now = new Date()) => {
+  const tiers = await exports.getTiers(shopId);
+  const tier = tiers.find(candidate => candidate.id === customer.loyalty_tier_id) || null;
+  const nextTier = tiers.find(candidate => !tier || candidate.level > tier.level) || null;
+
+  if (!nextTier) {
+    return { tier, next_tier: null, activity: null, remaining: null };
+  }
+
+  const since = new Date(now.getTime() - nextTier.window_days * DAY_MS);
+  const activity = (await exports.getActivity(shopId, [customer.id], since)).get(customer.id);
+  const remaining = (minimum, value) => (minimum === null || minimum === undefined
+    ? null
+    : Math.max(roundMoney(parseFloat(minimum) - value), 0));
+
+  return {
+    tier,
+    next_tier: nextTier,
+    activity,
+    remaining: {
+      points: remaining(nextTier.min_points, activity.points),
+      spend: remaining(nextTier.min_spend, activity.spend),
+      visits: remaining(nextTier.min_visits, activity.visits)
+    }
+  };
+};
+
+/**
+ * Whether a customer's tier ranks at or above the named tier of the same
+ * shop. Anyone meets an empty requirement; a customer without a tier, or
+ * whose shop has no tier of that name, does not meet one.
+ * @param {Object} customer - Customer
+ * @param {string|null} tierName - Name of the lowest tier allowed
+ * @returns {Promise<boolean>}
+ */
+exports.meetsTier = async (customer, tierName) => {
+  if (!tierName) {
+    return true;
+  }
+  if (!customer.loyalty_tier_id) {
+    return false;
+  }
+
+  const tier = await db.LoyaltyTier.findByPk(customer.loyalty_tier_id);
+  if (!tier) {
+    return false;
+  }
+
+  const required = await db.LoyaltyTier.findOne({
+    where: { shop_id: tier.shop_id, name: tierName }
+  });
+
+  return Boolean(required) && tier.level >= required.level;
+};
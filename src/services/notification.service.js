@@ -0,0 +1,177 @@
+const db = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+const templates = require('./notifications/templates');
+const { getProvider } = require('./notifications/providers');
+const { enqueue } = require('./jobQueue.service');
+
+const LOCALES = ['fa', 'en'];
+
+/**
+ * Pick a supported locale, falling back to the configured default
+ * @param {string} [locale] - Preferred locale
+ * @returns {string}
+ */
+const resolveLocale = (locale) => (LOCALES.includes(locale) ? locale : config.notifications.defaultLocale);
+
+/**
+ * Render one channel of a template
+ * @param {string} key - Template key
+ * @param {string} channel - email or sms
+ * @param {string} locale - fa or en
+ * @param {Object} data - Template data
+ * @returns {{subject: string|null, body: string}}
+ */
+exports.render = (key, channel, locale, data = {}) => {
+  const template = templates[key];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+
+  const messages = template[resolveLocale(locale)];
+  if (!messages[channel]) {
+    throw new Error(`Template ${key} has no ${channel} message`);
+  }
+
+  return {
+    subject: channel === 'email' ? messages.subject(data) : null,
+    body: messages[channel](data)
+  };
+};
+
+/**
+ * Queue a templated notification on every channel the template supports and
+ * the recipient has an address for. Each message gets a delivery log and is
+ * sent by a notifications:send job.
+ *
+ * Call this after the surrounding transaction has committed.
+ *
+ * @param {string} key - Template key (see notifications/templates.js)
+ * @param {Object} recipient
+ * @param {string} [recipient.email] - Email address
+ * @param {string} [recipient.phone] - Mobile number
+ * @param {string} [recipient.locale] - Preferred locale
+ * @param {string} [recipient.customerId] - Customer being notified
+ * @param {string} [recipient.userId] - User being notified
+ * @param {Object} [data] - Template data
+ * @param {Object} [options]
+ * @param {string} [options.shopId] - Shop the message is sent for
+ * @param {Object} [options.reference] - Record that triggered it ({ type, id })
+ * @param {Array<string>} [options.channels] - Restrict to these channels
+ * @returns {Promise<Array<Object>>} - The NotificationLog rows
+ */
+exports.notify = async (key, recipient, data = {}, options = {}) => {
+  const template = templates[key];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+
+  const locale = resolveLocale(recipient.locale);
+  const addresses = { email: recipient.email, sms: recipient.phone };
+  const channels = template.channels.filter(channel => addresses[channel]
+    && (!options.channels || options.channels.includes(channel)));
+
+  const logs = [];
+
+  for (const channel of channels) {
+    const { subject, body } = exports.render(key, channel, locale, data);
+
+    const log = await db.NotificationLog.create({
+      shop_id: options.shopId || null,
+      template: key,
+      channel,
+      locale,
+      recipient: addresses[channel],
+      subject,
+      body,
+      provider: getProvider(channel).name,
+      status: 'queued',
+      customer_id: recipient.customerId || null,
+      user_id: recipient.userId || null,
+      reference_type: options.reference ? options.reference.type : null,
+      reference_id: options.reference ? options.reference.id : null
+    });
+
+    await exports.queueDelivery(log);
+    logs.push(log);
+  }
+
+  return logs;
+};
+
+/**
+ * Queue (or re-queue) the send job of a delivery log
+ * @param {Object} log - NotificationLog
+ * @returns {Promise<Object>} - The Job row
+ */
+exports.queueDelivery = async (log) => {
+  const job = await enqueue('notifications', 'send', { log_id: log.id }, {
+    shopId: log.shop_id
+  });
+
+  await log.update({ job_id: job.id });
+  return job;
+};
+
+/**
+ * Send a queued notification. Used by the notifications:send job.
+ * @param {string} logId - NotificationLog ID
+ * @param {Object} context - Job context ({ job, progress })
+ * @returns {Promise<Object>} - Delivery summary
+ */
+exports.deliver = async (logId, { job }) => {
+  const log = await db.NotificationLog.findByPk(logId);
+
+  if (!log) {
+    throw new Error(`Notification ${logId} not found`);
+  }
+
+  if (log.status === 'sent') {
+    return { log_id: log.id, status: 'sent' };
+  }
+
+  const provider = getProvider(log.channel);
+
+  await log.update({ attempts: log.attempts + 1, provider: provider.name });
+
+  try {
+    const result = await provider.send({
+      channel: log.channel,
+      to: log.recipient,
+      subject: log.subject,
+      text: log.body
+    });
+
+    await log.update({
+      status: 'sent',
+      provider_reference: result.reference,
+      error: null,
+      sent_at: new Date()
+    });
+
+    return { log_id: log.id, status: 'sent', reference: result.reference };
+  } catch (error) {
+    // The job queue retries until attempts run out; only the last failure is final
+    const willRetry = job.attempts_made < job.max_attempts;
+
+    await log.update({
+      status: willRetry ? 'queued' : 'failed',
+      error: error.message
+    });
+
+    throw error;
+  }
+};
+
+/**
+ * Fire-and-forget wrapper around notify for request handlers: a failure to
+ * queue a message is logged and never fails the request that triggered it
+ * @param {...*} args - Same arguments as notify
+ */
+exports.notifyInBackground = (...args) => {
+  exports.notify(...args).catch((error) => {
+    logger.error(`Could not queue ${args[0]} notification: ${error.message}`);
+  });
+};
+
+exports.LOCALES = LOCALES;
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const logger = require('../../../utils/logger');
+
+/**
+ * Development provider: writes messages to the log instead of sending them
+ * @param {Object} message
+ * @param {string} message.channel - email or sms
+ * @param {string} message.to - Recipient address or phone number
+ * @param {string} [message.subject] - Email subject
+ * @param {string} message.text - Message body
+ * @returns {Promise<{reference: string}>}
+ */
+exports.send = async ({ channel, to, subject, text }) => {
+  const reference = `console-${crypto.randomBytes(6).toString('hex')}`;
+  logger.info(`[${channel}] to ${to}${subject ? ` | ${subject}` : ''}\n${text}`, { reference });
+  return { reference };
+};
+
+exports.name = 'console';
@@ -0,0 +1,33 @@
+const config = require('../../../config');
+const consoleProvider = require('./console.provider');
+const smtpProvider = require('./smtp.provider');
+const kavenegarProvider = require('./kavenegar.provider');
+
+// Providers available per channel. Each exposes name and
+// send({ channel, to, subject, text }) resolving with { reference }.
+const providers = {
+  email: {
+    console: consoleProvider,
+    smtp: smtpProvider
+  },
+  sms: {
+    console: consoleProvider,
+    kavenegar: kavenegarProvider
+  }
+};
+
+/**
+ * Get the configured provider for a channel
+ * @param {string} channel - email or sms
+ * @returns {{name: string, send: Function}}
+ */
+exports.getProvider = (channel) => {
+  const name = channel === 'sms' ? config.notifications.smsProvider : config.notifications.emailProvider;
+  const provider = providers[channel] && providers[channel][name];
+
+  if (!provider) {
+    throw new Error(`Unknown ${channel} provider: ${name}`);
+  }
+
+  return provider;
+};
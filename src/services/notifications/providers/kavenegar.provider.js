@@ -0,0 +1,44 @@
+const config = require('../../../config');
+
+const API_URL = 'https://api.kavenegar.com/v1';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Send an SMS through the Kavenegar gateway
+ * @param {Object} message
+ * @param {string} message.to - Recipient mobile number (e.g. 09121234567)
+ * @param {string} message.text - Message body
+ * @returns {Promise<{reference: string}>}
+ */
+exports.send = async ({ to, text }) => {
+  const { apiKey, sender } = config.notifications.kavenegar;
+  if (!apiKey) {
+    throw new Error('KAVENEGAR_API_KEY is not configured');
+  }
+
+  const params = new URLSearchParams({ receptor: to, message: text });
+  if (sender) {
+    params.append('sender', sender);
+  }
+
+  const response = await fetch(`${API_URL}/${apiKey}/sms/send.json`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  // Kavenegar reports errors in the body as return.status/return.message
+  const payload = await response.json().catch(() => null);
+  const status = payload && payload.return ? payload.return.status : response.status;
+
+  if (status !== 200) {
+    const detail = payload && payload.return ? payload.return.message : response.statusText;
+    throw new Error(`Kavenegar rejected the message (${status}): ${detail}`);
+  }
+
+  const entry = payload.entries && payload.entries[0];
+  return { reference: entry ? String(entry.messageid) : null };
+};
+
+exports.name = 'kavenegar';
@@ -0,0 +1,16 @@
+const smtpTransport = require('../../transports/smtp.transport');
+
+/**
+ * Send an email through the SMTP transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Message body
+ * @returns {Promise<{reference: string}>}
+ */
+exports.send = async ({ to, subject, text }) => {
+  const result = await smtpTransport.send({ to: [to], subject, text });
+  return { reference: result.reference };
+};
+
+exports.name = 'smtp';
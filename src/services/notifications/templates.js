@@ -0,0 +1,138 @@
+/**
+ * Notification templates, by key.
+ *
+ * Each template lists the channels it is sent on and, per locale, a subject
+ * (email only) and a body for each channel. Bodies are functions of the
+ * template data so labels can be translated as well as interpolated.
+ */
+
+const orderStatusLabels = {
+  fa: {
+    pending: 'در انتظار بررسی',
+    processing: 'در حال آماده‌سازی',
+    shipped: 'ارسال شد',
+    delivered: 'تحویل داده شد',
+    cancelled: 'لغو شد'
+  },
+  en: {
+    pending: 'is pending',
+    processing: 'is being prepared',
+    shipped: 'has shipped',
+    delivered: 'has been delivered',
+    cancelled: 'has been cancelled'
+  }
+};
+
+module.exports = {
+  password_reset: {
+    channels: ['email'],
+    fa: {
+      subject: () => 'بازیابی رمز عبور',
+      email: d => `${d.name} عزیز،\n\n`
+        + 'برای تعیین رمز عبور جدید روی پیوند زیر بزنید:\n'
+        + `${d.reset_url}\n\n`
+        + `این پیوند تا ${d.expires_in_minutes} دقیقه معتبر است. اگر شما درخواست بازیابی رمز عبور نداده‌اید، این پیام را نادیده بگیرید.`
+    },
+    en: {
+      subject: () => 'Reset your password',
+      email: d => `Hi ${d.name},\n\n`
+        + 'Use the link below to choose a new password:\n'
+        + `${d.reset_url}\n\n`
+        + `The link is valid for ${d.expires_in_minutes} minutes. If you did not ask to reset your password, you can ignore this email.`
+    }
+  },
+
+  otp_code: {
+    channels: ['sms'],
+    fa: {
+      sms: d => `کد ورود شما: ${d.code}\nاین کد تا ${d.expires_in_minutes} دقیقه معتبر است. آن را در اختیار دیگران قرار ندهید.`
+    },
+    en: {
+      sms: d => `Your sign-in code: ${d.code}\nIt is valid for ${d.expires_in_minutes} minutes. Do not share it with anyone.`
+    }
+  },
+
+  order_status_changed: {
+    channels: ['sms', 'email'],
+    fa: {
+      subject: d => `سفارش ${d.order_number} ${orderStatusLabels.fa[d.status]}`,
+      sms: d => `${d.shop_name}: سفارش ${d.order_number} ${orderStatusLabels.fa[d.status]}.`,
+      email: d => `${d.name} عزیز،\n\n`
+        + `وضعیت سفارش ${d.order_number}: ${orderStatusLabels.fa[d.status]}.\n\n`
+        + `با سپاس،\n${d.shop_name}`
+    },
+    en: {
+      subject: d => `Your order ${d.order_number} ${orderStatusLabels.en[d.status]}`,
+      sms: d => `${d.shop_name}: your order ${d.order_number} ${orderStatusLabels.en[d.status]}.`,
+      email: d => `Hi ${d.name},\n\n`
+        + `Your order ${d.order_number} ${orderStatusLabels.en[d.status]}.\n\n`
+        + `Thank you,\n${d.shop_name}`
+    }
+  },
+
+  loyalty_redemption_created: {
+    channels: ['sms', 'email'],
+    fa: {
+      subject: () => 'درخواست دریافت جایزه ثبت شد',
+      sms: d => `${d.name} عزیز، درخواست جایزه «${d.reward_name}» با ${d.points_used} امتیاز ثبت شد. امتیاز باقی‌مانده: ${d.points_balance}`,
+      email: d => `${d.name} عزیز،\n\n`
+        + `درخواست شما برای جایزه «${d.reward_name}» ثبت شد و ${d.points_used} امتیاز از حساب شما کسر شد.\n`
+        + `امتیاز باقی‌مانده: ${d.points_balance}`
+    },
+    en: {
+      subject: () => 'Your reward request was received',
+      sms: d => `Hi ${d.name}, your request for "${d.reward_name}" (${d.points_used} points) was received. Points left: ${d.points_balance}`,
+      email: d => `Hi ${d.name},\n\n`
+        + `Your request for "${d.reward_name}" was received and ${d.points_used} points were deducted.\n`
+        + `Points left: ${d.points_balance}`
+    }
+  },
+
+  loyalty_redemption_completed: {
+    channels: ['sms', 'email'],
+    fa: {
+      subject: () => 'جایزه شما تحویل داده شد',
+      sms: d => `${d.name} عزیز، جایزه «${d.reward_name}» به شما تحویل داده شد.`,
+      email: d => `${d.name} عزیز،\n\nجایزه «${d.reward_name}» به شما تحویل داده شد. از همراهی شما سپاسگزاریم.`
+    },
+    en: {
+      subject: () => 'Your reward has been delivered',
+      sms: d => `Hi ${d.name}, your reward "${d.reward_name}" has been delivered.`,
+      email: d => `Hi ${d.name},\n\nYour reward "${d.reward_name}" has been delivered. Thank you for being a loyal customer.`
+    }
+  },
+
+  loyalty_redemption_cancelled: {
+    channels: ['sms', 'email'],
+    fa: {
+      subject: () => 'درخواست جایزه لغو شد',
+      sms: d => `${d.name} عزیز، درخواست جایزه «${d.reward_name}» لغو شد و ${d.points_used} امتیاز به حساب شما بازگشت.`,
+      email: d => `${d.name} عزیز،\n\nدرخواست جایزه «${d.reward_name}» لغو شد و ${d.points_used} امتیاز به حساب شما بازگشت.`
+    },
+    en: {
+      subject: () => 'Your reward request was cancelled',
+      sms: d => `Hi ${d.name}, your request for "${d.reward_name}" was cancelled and ${d.points_used} points were returned.`,
+      email: d => `Hi ${d.name},\n\nYour request for "${d.reward_name}" was cancelled and ${d.points_used} points were returned to your account.`
+    }
+  },
+
+  loyalty_points_expiring: {
+    channels: ['sms', 'email'],
+    fa: {
+      subject: d => `${d.points} امتیاز شما به‌زودی منقضی می‌شود`,
+      sms: d => `${d.shop_name}: ${d.name} عزیز، ${d.points} امتیاز شما در تاریخ ${d.expires_on_jalali} منقضی می‌شود. پیش از آن از امتیازهای خود استفاده کنید.`,
+      email: d => `${d.name} عزیز،\n\n`
+        + `${d.points} امتیاز شما در ${d.shop_name} در تاریخ ${d.expires_on_jalali} منقضی می‌شود. پیش از آن از امتیازهای خود استفاده کنید.\n`
+        + `امتیاز فعلی: ${d.points_balance}\n\n`
+        + `با سپاس،\n${d.shop_name}`
+    },
+    en: {
+      subject: d => `${d.points} of your points expire soon`,
+      sms: d => `${d.shop_name}: hi ${d.name}, ${d.points} of your points expire on ${d.expires_on}. Use them before then.`,
+      email: d => `Hi ${d.name},\n\n`
+        + `${d.points} of the points you earned at ${d.shop_name} expire on ${d.expires_on}. Use them before then.\n`
+        + `Points balance: ${d.points_balance}\n\n`
+        + `Thank you,\n${d.shop_name}`
+    }
+  }
+};
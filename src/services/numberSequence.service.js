@@ -0,0 +1,304 @@
+const db = require('../models');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const { getZonedParts, getJalaliParts } = require('../utils/timezone');
+
+// Numbered documents and the prefix each starts with until a shop changes it
+const DOCUMENT_TYPES = {
+  invoice: 'INV',
+  order: 'ORD',
+  purchase_order: 'PO',
+  transfer: 'TR',
+  stocktake: 'ST',
+  return: 'RET'
+};
+
+// Settings of a sequence a shop has not configured
+const DEFAULT_FORMAT = '{prefix}-{jyyyy}-{seq:6}';
+const DEFAULT_CALENDAR = 'jalali';
+const DEFAULT_RESET_PERIOD = 'yearly';
+
+const TOKEN_PATTERN = /\{(prefix|seq(?::(\d{1,2}))?|j?yyyy|j?yy|j?mm|j?dd)\}/g;
+
+/**
+ * Calendar date of an instant in the business timezone
+ * @param {Date} date - Instant
+ * @param {string} calendar - jalali or gregorian
+ * @returns {{year: number, month: number, day: number}}
+ */
+const getDateParts = (date, calendar) => (calendar === 'jalali'
+  ? getJalaliParts(date, config.timezone)
+  : getZonedParts(date, config.timezone));
+
+/**
+ * Left-pad a number with zeros
+ * @param {number} value
+ * @param {number} length - Minimum number of digits
+ * @returns {string}
+ */
+const pad = (value, length) => String(value).padStart(length, '0');
+
+/**
+ * Check a number format against the sequence's calendar and reset period.
+ * A counter that restarts each period must have that period in the number,
+ * or the numbers of one period would repeat those of the last.
+ * @param {string} format - Number format
+ * @param {string} calendar - jalali or gregorian
+ * @param {string} resetPeriod - never, yearly, monthly or daily
+ */
+const checkFormat = (format, calendar, resetPeriod) => {
+  if (!/\{seq(:\d{1,2})?\}/.test(format)) {
+    throw new AppError('The number format must contain {seq} or {seq:N}', 400, 'INVALID_NUMBER_FORMAT');
+  }
+
+  const unknown = format.replace(TOKEN_PATTERN, '').match(/\{[^}]*\}/);
+  if (unknown) {
+    throw new AppError(`Unknown token ${unknown[0]} in the number format`, 400, 'INVALID_NUMBER_FORMAT');
+  }
+
+  const j = calendar === 'jalali' ? 'j' : '';
+  const required = {
+    never: [],
+    yearly: [[`{${j}yyyy}`, `{${j}yy}`]],
+    monthly: [[`{${j}yyyy}`, `{${j}yy}`], [`{${j}mm}`]],
+    daily: [[`{${j}yyyy}`, `{${j}yy}`], [`{${j}mm}`], [`{${j}dd}`]]
+  }[resetPeriod];
+
+  required.forEach((tokens) => {
+    if (!tokens.some(token => format.includes(token))) {
+      throw new AppError(
+        `A ${calendar} sequence reset ${resetPeriod} must include ${tokens.join(' or ')} in its format`,
+        400,
+        'INVALID_NUMBER_FORMAT'
+      );
+    }
+  });
+};
+
+/**
+ * Key of the period an instant falls in, for detecting when a counter restarts
+ * @param {Date} date - Instant
+ * @param {string} calendar - jalali or gregorian
+ * @param {string} resetPeriod - never, yearly, monthly or daily
+ * @returns {string|null} - Null for sequences that never restart
+ */
+const periodKey = (date, calendar, resetPeriod) => {
+  if (resetPeriod === 'never') {
+    return null;
+  }
+
+  const { year, month, day } = getDateParts(date, calendar);
+
+  return {
+    yearly: `${year}`,
+    monthly: `${year}-${pad(month, 2)}`,
+    daily: `${year}-${pad(month, 2)}-${pad(day, 2)}`
+  }[resetPeriod];
+};
+
+/**
+ * Render a number from a sequence's format
+ * @param {Object} sequence - Sequence settings (prefix and format)
+ * @param {number} value - Counter value
+ * @param {Date} date - Date of the document
+ * @returns {string}
+ */
+const renderNumber = (sequence, value, date) => {
+  const gregorian = getDateParts(date, 'gregorian');
+  const jalali = getDateParts(date, 'jalali');
+
+  return sequence.format.replace(TOKEN_PATTERN, (token, name, width) => {
+    if (name === 'prefix') {
+      return sequence.prefix;
+    }
+    if (name.startsWith('seq')) {
+      return pad(value, width ? parseInt(width, 10) : 1);
+    }
+
+    const parts = name.startsWith('j') ? jalali : gregorian;
+    return {
+      yyyy: pad(parts.year, 4),
+      yy: pad(parts.year % 100, 2),
+      mm: pad(parts.month, 2),
+      dd: pad(parts.day, 2)
+    }[name.replace(/^j/, '')];
+  });
+};
+
+/**
+ * Check a document type is one that is numbered
+ * @param {string} documentType - Document type
+ */
+const checkDocumentType = (documentType) => {
+  if (!DOCUMENT_TYPES[documentType]) {
+    throw new AppError(`Unknown document type: ${documentType}`, 400, 'INVALID_DOCUMENT_TYPE');
+  }
+};
+
+/**
+ * Settings a shop's sequence has by default
+ * @param {string} documentType - Document type
+ * @returns {Object}
+ */
+const defaultSettings = documentType => ({
+  document_type: documentType,
+  prefix: DOCUMENT_TYPES[documentType],
+  format: DEFAULT_FORMAT,
+  calendar: DEFAULT_CALENDAR,
+  reset_period: DEFAULT_RESET_PERIOD,
+  current_period: null,
+  last_value: 0
+});
+
+/**
+ * Take the next number of a shop's sequence.
+ *
+ * The sequence row is locked for the rest of the transaction, so concurrent
+ * documents of the same type queue up behind it; if the transaction rolls
+ * back the counter rolls back with it, so the numbers have no gaps.
+ *
+ * @param {string} shopId - Shop ID
+ * @param {string} documentType - Document type
+ * @param {import('sequelize').Transaction} transaction - Transaction creating the document
+ * @param {Date} [date] - Date of the document
+ * @returns {Promise<string>}
+ */
+exports.nextNumber = async (shopId, documentType, transaction, date = new Date()) => {
+  checkDocumentType(documentType);
+
+  if (!transaction) {
+    throw new AppError('Document numbers can only be taken inside a transaction', 500, 'TRANSACTION_REQUIRED');
+  }
+
+  // Create the shop's sequence on first use; a concurrent insert is ignored
+  await db.NumberSequence.bulkCreate([{
+    shop_id: shopId,
+    ...defaultSettings(documentType)
+  }], {
+    ignoreDuplicates: true,
+    transaction
+  });
+
+  const sequence = await db.NumberSequence.findOne({
+    where: { shop_id: shopId, document_type: documentType },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  const period = periodKey(date, sequence.calendar, sequence.reset_period);
+  const value = period === sequence.current_period ? sequence.last_value + 1 : 1;
+
+  await sequence.update({
+    current_period: period,
+    last_value: value
+  }, { transaction });
+
+  return renderNumber(sequence, value, date);
+};
+
+/**
+ * Record that a number will not be used again because its document was removed
+ * @param {string} shopId - Shop ID
+ * @param {string} documentType - Document type
+ * @param {string} number - The voided number
+ * @param {Object} [options]
+ * @param {string} [options.documentId] - ID of the removed document
+ * @param {string} [options.reason] - Why the number was voided
+ * @param {string} [options.userId] - User who removed the document
+ * @param {import('sequelize').Transaction} [options.transaction] - Active transaction
+ * @returns {Promise<Object>}
+ */
+exports.voidNumber = async (shopId, documentType, number, {
+  documentId, reason, userId, transaction
+} = {}) => {
+  checkDocumentType(documentType);
+
+  return db.NumberSequenceVoid.create({
+    shop_id: shopId,
+    document_type: documentType,
+    number,
+    document_id: documentId,
+    reason,
+    user_id: userId
+  }, { transaction });
+};
+
+/**
+ * Sequences of a shop, configured or not, with the number each would give next
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Array<Object>>}
+ */
+exports.getSequences = async (shopId) => {
+  const configured = await db.NumberSequence.findAll({
+    where: { shop_id: shopId }
+  });
+  const now = new Date();
+
+  return Object.keys(DOCUMENT_TYPES).map((documentType) => {
+    const row = configured.find(sequence => sequence.document_type === documentType);
+    const sequence = row ? row.toJSON() : defaultSettings(documentType);
+    const period = periodKey(now, sequence.calendar, sequence.reset_period);
+    const nextValue = period === sequence.current_period ? sequence.last_value + 1 : 1;
+
+    return {
+      ...sequence,
+      next_number: renderNumber(sequence, nextValue, now)
+    };
+  });
+};
+
+/**
+ * Change how a shop numbers a document type. When a new reset period or
+ * calendar gives today a different period key, a counter already used this
+ * period carries on, since restarting at 1 would issue again the numbers
+ * taken (the date in them is the same). A counter last used in an earlier
+ * period starts again at 1.
+ * @param {string} shopId - Shop ID
+ * @param {string} documentType - Document type
+ * @param {Object} changes - prefix, format, calendar and/or reset_period
+ * @returns {Promise<Object>}
+ */
+exports.updateSequence = async (shopId, documentType, changes) => {
+  checkDocumentType(documentType);
+
+  return db.sequelize.transaction(async (t) => {
+    await db.NumberSequence.bulkCreate([{
+      shop_id: shopId,
+      ...defaultSettings(documentType)
+    }], {
+      ignoreDuplicates: true,
+      transaction: t
+    });
+
+    const sequence = await db.NumberSequence.findOne({
+      where: { shop_id: shopId, document_type: documentType },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    const settings = {
+      prefix: changes.prefix !== undefined ? changes.prefix : sequence.prefix,
+      format: changes.format || sequence.format,
+      calendar: changes.calendar || sequence.calendar,
+      reset_period: changes.reset_period || sequence.reset_period
+    };
+
+    checkFormat(settings.format, settings.calendar, settings.reset_period);
+
+    const now = new Date();
+    const period = periodKey(now, settings.calendar, settings.reset_period);
+    const currentPeriod = periodKey(now, sequence.calendar, sequence.reset_period);
+    if (period !== currentPeriod) {
+      settings.current_period = period;
+      if (sequence.current_period !== currentPeriod) {
+        settings.last_value = 0;
+      }
+    }
+
+    await sequence.update(settings, { transaction: t });
+
+    return sequence;
+  });
+};
+
+exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
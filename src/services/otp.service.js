@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { render } = require('./notification.service');
+const { getProvider } = require('./notifications/providers');
+const { mobileVariants } = require('../utils/phone');
+
+/**
+ * Keyed hash of a code, bound to the phone and audience it was issued for
+ * @param {string} phone - Normalised mobile number
+ * @param {string} audience - staff or customer
+ * @param {string} code - Plain code
+ * @returns {string} - Hex digest
+ */
+const hashCode = (phone, audience, code) => crypto
+  .createHmac('sha256', config.jwt.secret)
+  .update(`${audience}:${phone}:${code}`)
+  .digest('hex');
+
+/**
+ * Random numeric code of the configured length
+ * @returns {string}
+ */
+const generateCode = () => crypto
+  .randomInt(0, Math.pow(10, config.otp.length))
+  .toString()
+  .padStart(config.otp.length, '0');
+
+/**
+ * Throw when the phone is locked out after too many wrong codes
+ * @param {string} phone - Normalised mobile number
+ * @param {string} audience - staff or customer
+ */
+const checkLockout = async (phone, audience) => {
+  const lockout = await db.OtpCode.findOne({
+    where: {
+      phone,
+      audience,
+      locked_until: { [Op.gt]: new Date() }
+    },
+    order: [['locked_until', 'DESC']]
+  });
+
+  if (lockout) {
+    const minutes = Math.ceil((lockout.locked_until - Date.now()) / 60000);
+    throw new AppError(`Too many wrong codes. Try again in ${minutes} minute(s)`, 429, 'OTP_LOCKED');
+  }
+};
+
+/**
+ * Find the active staff user or the customer with this mobile number
+ * @param {string} phone - Normalised mobile number
+ * @param {string} audience - staff or customer
+ * @returns {Promise<Object|null>} - User or Customer
+ */
+exports.findAccount = async (phone, audience) => {
+  if (audience === 'customer') {
+    return db.Customer.findOne({ where: { phone: mobileVariants(phone) } });
+  }
+
+  return db.User.findOne({ where: { phone: mobileVariants(phone), is_active: true } });
+};
+
+/**
+ * Issue a login code and text it to the phone's account.
+ *
+ * Codes are issued and rate limited whether or not an account exists, so the
+ * response does not reveal which numbers are registered. Any earlier code for
+ * the phone stops working. The code only ever leaves through the SMS provider;
+ * in development the console provider writes it to the log.
+ *
+ * @param {string} phone - Normalised mobile number
+ * @param {string} audience - staff or customer
+ * @param {Object} [options]
+ * @param {string} [options.ip] - Client IP address
+ * @param {string} [options.locale] - Message language when the account has none
+ * @returns {Promise<{expiresAt: Date}>}
+ */
+exports.requestCode = async (phone, audience, { ip, locale } = {}) => {
+  await checkLockout(phone, audience);
+
+  const now = Date.now();
+  const recent = await db.OtpCode.findAll({
+    where: {
+      phone,
+      audience,
+      created_at: { [Op.gt]: new Date(now - config.otp.windowMinutes * 60000) }
+    },
+    order: [['created_at', 'DESC']]
+  });
+
+  if (recent.length > 0) {
+    const waitSeconds = Math.ceil(config.otp.resendIntervalSeconds - (now - recent[0].created_at) / 1000);
+    if (waitSeconds > 0) {
+      throw new AppError(`Please wait ${waitSeconds} second(s) before requesting another code`, 429, 'OTP_RESEND_TOO_SOON');
+    }
+  }
+
+  if (recent.length >= config.otp.maxPerWindow) {
+    throw new AppError('Too many codes requested for this number. Try again later', 429, 'OTP_RATE_LIMITED');
+  }
+
+  await db.OtpCode.update({ consumed_at: new Date() }, {
+    where: { phone, audience, consumed_at: null }
+  });
+
+  const code = generateCode();
+  const otp = await db.OtpCode.create({
+    phone,
+    audience,
+    code_hash: hashCode(phone, audience, code),
+    expires_at: new Date(now + config.otp.ttlSeconds * 1000),
+    ip_address: ip
+  });
+
+  const account = await exports.findAccount(phone, audience);
+  if (account) {
+    // Sent directly rather than through the notification log: the log keeps
+    // message bodies, and the code must not be stored in readable form
+    const { body } = render('otp_code', 'sms', account.locale || locale, {
+      code,
+      expires_in_minutes: Math.ceil(config.otp.ttlSeconds / 60)
+    });
+
+    try {
+      await getProvider('sms').send({ channel: 'sms', to: phone, text: body });
+    } catch (error) {
+      await otp.update({ consumed_at: new Date() });
+      logger.error(`Could not send login code to ${phone}: ${error.message}`);
+      throw new AppError('Could not send the code. Please try again', 502, 'OTP_DELIVERY_FAILED');
+    }
+  }
+
+  return { expiresAt: otp.expires_at };
+};
+
+/**
+ * Check a login code and return the account it signs in.
+ * Each wrong guess counts against the code; reaching the limit locks the
+ * phone out for the configured time.
+ * @param {string} phone - Normalised mobile number
+ * @param {string} audience - staff or customer
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object>} - User or Customer
+ */
+exports.verifyCode = async (phone, audience, code) => {
+  await checkLockout(phone, audience);
+
+  const otp = await db.OtpCode.findOne({
+    where: { phone, audience, consumed_at: null },
+    order: [['created_at', 'DESC']]
+  });
+
+  if (!otp || !otp.isUsable()) {
+    throw new AppError('The code is invalid or has expired', 401, 'INVALID_OTP');
+  }
+
+  const expected = Buffer.from(otp.code_hash, 'hex');
+  const actual = Buffer.from(hashCode(phone, audience, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await otp.increment('attempts');
+    await otp.reload();
+
+    if (otp.attempts >= config.otp.maxAttempts) {
+      await otp.update({
+        consumed_at: new Date(),
+        locked_until: new Date(Date.now() + config.otp.lockoutMinutes * 60000)
+      });
+      throw new AppError(`Too many wrong codes. Try again in ${config.otp.lockoutMinutes} minute(s)`, 429, 'OTP_LOCKED');
+    }
+
+    throw new AppError(`The code is invalid or has expired (${config.otp.maxAttempts - otp.attempts} attempt(s) left)`, 401, 'INVALID_OTP');
+  }
+
+  // Claim the code so it cannot be used twice, even by concurrent requests
+  const [claimed] = await db.OtpCode.update({ consumed_at: new Date() }, {
+    where: { id: otp.id, consumed_at: null }
+  });
+
+  const account = claimed === 1 ? await exports.findAccount(phone, audience) : null;
+  if (!account) {
+    throw new AppError('The code is invalid or has expired', 401, 'INVALID_OTP');
+  }
+
+  return account;
+};
@@ -0,0 +1,230 @@
+const db = require('../models');
+
+/**
+ * Every permission that can be granted, with what it allows
+ */
+const PERMISSIONS = {
+  'catalog.manage': 'Create, edit and delete categories and measurement units',
+  'products.manage': 'Create and edit products',
+  'products.delete': 'Delete products',
+  'inventory.view': 'View stock levels, low-stock lists and stock history',
+  'inventory.adjust': 'Adjust stock quantities by hand',
+  'locations.view': 'View stock locations and their stock',
+  'locations.manage': 'Create, edit and delete stock locations',
+  'transfers.manage': 'Create, dispatch and receive stock transfers',
+  'transfers.cancel': 'Cancel stock transfers',
+  'stocktakes.count': 'View stocktakes and record counts',
+  'stocktakes.manage': 'Start and submit stocktakes and view their variance',
+  'stocktakes.approve': 'Approve, reopen and cancel stocktakes',
+  'suppliers.view': 'View suppliers, their products and purchase history',
+  'suppliers.manage': 'Create, edit, deactivate and delete suppliers',
+  'suppliers.link_products': 'Link products to suppliers and edit supplier prices',
+  'purchasing.manage': 'Create, send and receive purchase orders',
+  'purchasing.cancel': 'Cancel and delete purchase orders',
+  'sales.create': 'Ring up sales and take payments',
+  'sales.refund': 'Refund sales',
+  'promotions.manage': 'Create, edit and delete promotions',
+  'coupons.manage': 'Create coupon campaigns and generate coupon codes',
+  'stored_value.issue': 'Sell gift cards, add store credit and top up balances',
+  'stored_value.manage': 'View gift card and store credit ledgers, correct balances and deactivate accounts',
+  'receivables.collect': 'Charge sales to customer accounts, take repayments and print statements',
+  'receivables.manage': 'Set customer credit limits and view the receivables aging report',
+  'receipts.reprint': 'Reprint receipts and invoices and see who printed them',
+  'receipts.manage': 'Edit the receipt template: header, footer and tax lines',
+  'tax_invoices.view': 'View invoices reported to the tax portal and whether it accepted them',
+  'tax_invoices.manage': 'Set up tax portal reporting, report sales by hand and resend rejected invoices',
+  'registers.manage': 'Create, edit and deactivate cash registers',
+  'shifts.operate': 'Open and close your own register shift and record cash in and out',
+  'shifts.manage': 'View every shift and its X/Z reports and close other cashiers\' shifts',
+  'orders.manage': 'Move orders through their statuses',
+  'orders.delete': 'Delete orders',
+  'loyalty.redeem': 'Redeem rewards and view loyalty transactions',
+  'loyalty.adjust_points': 'Add or remove customer loyalty points by hand',
+  'loyalty.manage_rewards': 'Create, edit and delete loyalty rewards',
+  'loyalty.manage_programs': 'Set up loyalty programs: earn rates, excluded products and bonus periods',
+  'loyalty.manage_tiers': 'Define loyalty tiers, their qualifying rules and benefits, and re-evaluate customers',
+  'feedback.manage': 'Manage feedback forms and view responses and analytics',
+  'feedback.delete': 'Delete feedback forms',
+  'reports.view': 'View reports and sales statistics',
+  'reports.schedule': 'Manage scheduled report deliveries',
+  'notifications.manage': 'View and retry customer notifications',
+  'shop.settings': 'Edit shop details and tax settings',
+  'shop.staff': 'Add and remove shop staff',
+  'permissions.manage': 'Change what each role is allowed to do in the shop'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles a user can hold in a shop (ShopStaff/UserShop role)
+const ROLES = ['admin', 'manager', 'cashier', 'inventory', 'marketing'];
+
+// Permissions of each role until the shop customises it. These match the
+// role lists the routes checked before permissions existed.
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  manager: ALL_PERMISSIONS.filter(permission => !['feedback.delete', 'permissions.manage'].includes(permission)),
+  cashier: [
+    'locations.view',
+    'stocktakes.count',
+    'sales.create',
+    'stored_value.issue',
+    'receivables.collect',
+    'shifts.operate',
+    'loyalty.redeem',
+    'loyalty.adjust_points'
+  ],
+  inventory: [
+    'products.manage',
+    'inventory.view',
+    'inventory.adjust',
+    'locations.view',
+    'transfers.manage',
+    'stocktakes.count',
+    'stocktakes.manage',
+    'suppliers.view',
+    'suppliers.link_products',
+    'purchasing.manage'
+  ],
+  marketing: [
+    'promotions.manage',
+    'coupons.manage',
+    'loyalty.manage_programs',
+    'loyalty.manage_tiers'
+  ]
+};
+
+/**
+ * Find the shop a request acts on when no shop context middleware ran:
+ * the shop the user owns, otherwise the first shop they work in
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - Shop ID
+ */
+exports.findDefaultShopId = async (userId) => {
+  const ownedShop = await db.Shop.findOne({
+    where: { owner_id: userId, is_active: true },
+    attributes: ['id']
+  });
+
+  if (ownedShop) {
+    return ownedShop.id;
+  }
+
+  const staff = await db.ShopStaff.findOne({
+    where: { user_id: userId, is_active: true },
+    attributes: ['shop_id'],
+    order: [['created_at', 'ASC']]
+  });
+
+  return staff ? staff.shop_id : null;
+};
+
+/**
+ * The role a user holds in a shop. Owners get the owner role; staff get the
+ * role of their ShopStaff membership, falling back to UserShop.
+ * @param {string} userId - User ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<string|null>} - Role, or null when the user has no place in the shop
+ */
+exports.getShopRole = async (userId, shopId) => {
+  const shop = await db.Shop.findByPk(shopId, { attributes: ['id', 'owner_id'] });
+  if (!shop) {
+    return null;
+  }
+
+  if (shop.owner_id === userId) {
+    return 'owner';
+  }
+
+  const staff = await db.ShopStaff.findOne({
+    where: { shop_id: shopId, user_id: userId, is_active: true },
+    attributes: ['role']
+  });
+  if (staff) {
+    return staff.role;
+  }
+
+  const userShop = await db.UserShop.findOne({
+    where: { shop_id: shopId, user_id: userId, is_active: true },
+    attributes: ['role']
+  });
+
+  return userShop ? userShop.role : null;
+};
+
+/**
+ * Permissions of a role in a shop: the shop's customised set if it has one,
+ * otherwise the role's defaults
+ * @param {string|null} shopId - Shop ID
+ * @param {string} role - Role name
+ * @returns {Promise<Array<string>>}
+ */
+exports.getRolePermissions = async (shopId, role) => {
+  if (role === 'owner') {
+    return ALL_PERMISSIONS;
+  }
+
+  if (shopId) {
+    const custom = await db.ShopRolePermission.findOne({
+      where: { shop_id: shopId, role }
+    });
+    if (custom) {
+      return custom.permissions.filter(permission => PERMISSIONS[permission]);
+    }
+  }
+
+  return DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Resolve what a user may do in a shop.
+ *
+ * Platform admins may do everything. Otherwise the user's role in the shop
+ * decides; a user with no place in the shop gets nothing. Without a shop the
+ * user's account role and its defaults apply.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string|null} shopId - Active shop ID
+ * @returns {Promise<{role: string|null, permissions: Array<string>}>}
+ */
+exports.getEffectivePermissions = async (user, shopId) => {
+  if (user.role === 'admin') {
+    return { role: 'admin', permissions: ALL_PERMISSIONS };
+  }
+
+  const role = shopId ? await exports.getShopRole(user.id, shopId) : user.role;
+  if (!role) {
+    return { role: null, permissions: [] };
+  }
+
+  return {
+    role,
+    permissions: await exports.getRolePermissions(shopId, role)
+  };
+};
+
+/**
+ * Permissions of every role in a shop, marking the ones the shop customised
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} - Keyed by role
+ */
+exports.getPermissionMatrix = async (shopId) => {
+  const customRoles = await db.ShopRolePermission.findAll({
+    where: { shop_id: shopId }
+  });
+
+  return ROLES.reduce((matrix, role) => {
+    const custom = customRoles.find(row => row.role === role);
+    matrix[role] = {
+      customized: Boolean(custom),
+      permissions: custom
+        ? custom.permissions.filter(permission => PERMISSIONS[permission])
+        : DEFAULT_ROLE_PERMISSIONS[role]
+    };
+    return matrix;
+  }, {});
+};
+
+exports.PERMISSIONS = PERMISSIONS;
+exports.ALL_PERMISSIONS = ALL_PERMISSIONS;
+exports.ROLES = ROLES;
+exports.DEFAULT_ROLE_PERMISSIONS = DEFAULT_ROLE_PERMISSIONS;
@@ -0,0 +1,496 @@
+const path = require('path');
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const inventoryService = require('./inventory.service');
+const productVariantService = require('./productVariant.service');
+const { parseCsv, readXlsx, toCsv, toXlsx } = require('../utils/spreadsheet');
+
+/**
+ * Products are imported from a CSV or XLSX file with one product per row.
+ * Columns are matched to product fields by name unless a mapping says
+ * otherwise. A row whose SKU (or, without one, barcode) belongs to one of the
+ * shop's products updates it; other rows create products. Categories and
+ * units are given by name, and stock_quantity is the quantity on hand: new
+ * products open with it and existing ones are adjusted to it.
+ *
+ * The file is checked in full before anything is written, so a dry run
+ * reports every problem at once; the import itself runs as a background job
+ * and skips the rows that fail.
+ */
+
+// Largest file accepted, in rows
+const MAX_ROWS = 5000;
+
+// Widest XLSX sheet read, in columns
+const MAX_COLUMNS = 100;
+
+// Fields a column can be mapped to, in export order
+const IMPORT_FIELDS = [
+  'name', 'sku', 'barcode', 'description', 'category', 'unit',
+  'purchase_price', 'selling_price', 'discount_price',
+  'is_taxable', 'tax_rate', 'tax_service_id', 'tax_unit_code',
+  'image_url', 'is_active', 'weight', 'weight_unit',
+  'stock_quantity', 'reorder_level', 'reorder_quantity', 'location'
+];
+
+// Columns the export adds that the import ignores
+const EXPORT_ONLY_COLUMNS = ['parent_sku', 'option_values'];
+
+// Inventory settings; the rest of the fields are the product's own
+const INVENTORY_FIELDS = ['reorder_level', 'reorder_quantity', 'location'];
+
+const flag = () => Joi.boolean().truthy('yes', 'y', '1', 'بله').falsy('no', 'n', '0', 'خیر');
+
+// One row of the file, after the values are trimmed and blanks dropped
+const rowSchema = Joi.object({
+  name: Joi.string().max(255),
+  sku: Joi.string().max(50),
+  barcode: Joi.string().max(50),
+  description: Joi.string(),
+  category: Joi.string().max(100),
+  unit: Joi.string().max(50),
+  purchase_price: Joi.number().precision(2).min(0),
+  selling_price: Joi.number().precision(2).min(0),
+  discount_price: Joi.number().precision(2).min(0),
+  is_taxable: flag(),
+  tax_rate: Joi.number().precision(2).min(0),
+  tax_service_id: Joi.string().pattern(/^\d{13}$/).messages({
+    'string.pattern.base': 'Tax service ID must be 13 digits'
+  }),
+  tax_unit_code: Joi.string().pattern(/^\d{1,10}$/).messages({
+    'string.pattern.base': 'Tax unit code must be digits'
+  }),
+  image_url: Joi.string().uri(),
+  is_active: flag(),
+  weight: Joi.number().precision(2).min(0),
+  weight_unit: Joi.string().max(10),
+  stock_quantity: Joi.number().integer().min(0),
+  reorder_level: Joi.number().integer().min(0),
+  reorder_quantity: Joi.number().integer().min(0),
+  location: Joi.string().max(100)
+});
+
+// Error for stock set lower than orders have reserved
+const belowReserved = reserved => `Stock cannot be set below the ${reserved} unit(s) reserved for orders`;
+
+const normalise = text => String(text).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file
+ * @param {Object} file - Uploaded file ({ originalname, buffer })
+ * @returns {Promise<{headers: string[], rows: Array<{row: number, cells: string[]}>}>} - Header and the
+ *   non-blank rows under it, each with its row number in the file
+ */
+exports.readFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  let table;
+  try {
+    if (extension === '.csv') {
+      table = parseCsv(file.buffer.toString('utf8'));
+    } else if (extension === '.xlsx') {
+      // A sheet with values past the products and their header is refused
+      // while it is read, rather than unpacked in full
+      table = await readXlsx(file.buffer, { maxRows: MAX_ROWS + 1, maxColumns: MAX_COLUMNS });
+    } else {
+      throw new AppError('Upload a .csv or .xlsx file', 400, 'UNSUPPORTED_FILE_TYPE');
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    if (error.code === 'SHEET_TOO_LARGE') {
+      throw new AppError(error.message, 400, 'IMPORT_TOO_LARGE');
+    }
+    throw new AppError(`The file could not be read: ${error.message}`, 400, 'INVALID_IMPORT_FILE');
+  }
+
+  const headerIndex = table.findIndex(cells => cells.some(cell => String(cell).trim() !== ''));
+  if (headerIndex < 0) {
+    throw new AppError('The file is empty', 400, 'INVALID_IMPORT_FILE');
+  }
+
+  const rows = table.slice(headerIndex + 1)
+    .map((cells, index) => ({ row: headerIndex + index + 2, cells }))
+    .filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''));
+
+  if (rows.length === 0) {
+    throw new AppError('The file has no products under its header row', 400, 'INVALID_IMPORT_FILE');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new AppError(`A file can have at most ${MAX_ROWS} products`, 400, 'IMPORT_TOO_LARGE');
+  }
+
+  return { headers: table[headerIndex].map(header => String(header).trim()), rows };
+};
+
+/**
+ * Turn the rows of a file into product fields. Columns not in the mapping
+ * are matched to the field of the same name, ignoring case, spaces and dashes.
+ * @param {{headers: string[], rows: Array<{row: number, cells: string[]}>}} file - Rows read by readFile
+ * @param {Object<string, string>} [mapping] - Column header for each field
+ * @returns {{columns: Object<string, string>, rows: Array<{row: number, values: Object}>}} - The
+ *   column used for each field, and each row's non-blank values
+ */
+exports.mapRows = ({ headers, rows }, mapping = {}) => {
+  const unknownField = Object.keys(mapping).find(field => !IMPORT_FIELDS.includes(field));
+  if (unknownField) {
+    throw new AppError(
+      `${unknownField} is not a product field; map columns to ${IMPORT_FIELDS.join(', ')}`,
+      400,
+      'INVALID_COLUMN_MAPPING'
+    );
+  }
+
+  const columnOf = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const index = mapping[field]
+      ? headers.findIndex(header => header === mapping[field])
+      : headers.findIndex(header => normalise(header) === field);
+
+    if (mapping[field] && index < 0) {
+      throw new AppError(`The file has no column ${mapping[field]}`, 400, 'INVALID_COLUMN_MAPPING');
+    }
+    if (index >= 0) {
+      columnOf[field] = index;
+    }
+  });
+
+  if (!['name', 'sku', 'barcode'].some(field => columnOf[field] !== undefined)) {
+    throw new AppError('The file needs a name, sku or barcode column', 400, 'INVALID_COLUMN_MAPPING');
+  }
+
+  return {
+    columns: Object.keys(columnOf).reduce((columns, field) => ({ ...columns, [field]: headers[columnOf[field]] }), {}),
+    rows: rows.map(({ row, cells }) => ({
+      row,
+      values: Object.keys(columnOf).reduce((values, field) => {
+        const value = String(cells[columnOf[field]] === undefined ? '' : cells[columnOf[field]]).trim();
+        return value === '' ? values : { ...values, [field]: value };
+      }, {})
+    }))
+  };
+};
+
+/**
+ * Check mapped rows against the shop's products, categories and units, and
+ * work out what importing each would do
+ * @param {string} shopId - Shop ID
+ * @param {Array<{row: number, values: Object}>} rows - Rows from mapRows
+ * @param {Object} [options]
+ * @param {boolean} [options.updateExisting=true] - Update products whose SKU or barcode matches; otherwise such rows fail
+ * @param {boolean} [options.createCategories=false] - Create categories the shop does not have; otherwise such rows fail
+ * @returns {Promise<{plans: Array<Object>, report: Object}>} - What to do with each row, and a summary with every error
+ */
+exports.planImport = async (shopId, rows, { updateExisting = true, createCategories = false } = {}) => {
+  const codes = field => [...new Set(rows.map(({ values }) => values[field]).filter(Boolean))];
+  const skus = codes('sku');
+  const barcodes = codes('barcode');
+
+  const [products, categories, units] = await Promise.all([
+    skus.length + barcodes.length > 0
+      ? db.Product.findAll({
+        where: {
+          [Op.or]: [
+            ...(skus.length > 0 ? [{ sku: { [Op.in]: skus } }] : []),
+            ...(barcodes.length > 0 ? [{ barcode: { [Op.in]: barcodes } }] : [])
+          ]
+        },
+        attributes: ['id', 'shop_id', 'sku', 'barcode', 'name'],
+        include: [
+          { model: db.Product, as: 'variants', attributes: ['id'] },
+          { model: db.Inventory, as: 'inventory', attributes: ['reserved_quantity'] }
+        ]
+      })
+      : [],
+    db.Category.findAll({ where: { shop_id: shopId }, attributes: ['id', 'name'] }),
+    db.Unit.findAll({ where: { shop_id: shopId }, attributes: ['id', 'name', 'abbreviation'] })
+  ]);
+
+  const bySku = new Map(products.filter(product => product.sku).map(product => [product.sku, product]));
+  const byBarcode = new Map(products.filter(product => product.barcode).map(product => [product.barcode, product]));
+  const categoryByName = new Map(categories.map(category => [category.name.trim().toLowerCase(), category]));
+  const unitByName = new Map();
+  units.forEach((unit) => {
+    unitByName.set(unit.abbreviation.trim().toLowerCase(), unit);
+    unitByName.set(unit.name.trim().toLowerCase(), unit);
+  });
+
+  const seenSkus = new Map();
+  const seenBarcodes = new Map();
+  const newCategories = new Map();
+
+  const plans = rows.map(({ row, values }) => {
+    const errors = [];
+    const fail = (field, message) => errors.push({ row, field, message });
+
+    const { value: fields, error } = rowSchema.validate(values, { abortEarly: false, errors: { wrap: { label: false } } });
+    if (error) {
+      error.details.forEach(detail => fail(detail.path[0], detail.message));
+      return { row, errors };
+    }
+
+    // The same code twice in the file would write one product twice
+    [['sku', seenSkus], ['barcode', seenBarcodes]].forEach(([field, seen]) => {
+      if (fields[field] && seen.has(fields[field])) {
+        fail(field, `${field.toUpperCase()} ${fields[field]} is also on row ${seen.get(fields[field])}`);
+      } else if (fields[field]) {
+        seen.set(fields[field], row);
+      }
+    });
+
+    let product = fields.sku ? bySku.get(fields.sku) : byBarcode.get(fields.barcode);
+    if (product && product.shop_id !== shopId) {
+      fail(fields.sku ? 'sku' : 'barcode', `${fields.sku ? 'SKU' : 'Barcode'} already in use by another shop's product`);
+      product = null;
+    } else if (product && !updateExisting) {
+      fail(fields.sku ? 'sku' : 'barcode', `${fields.sku ? 'SKU' : 'Barcode'} already in use by ${product.name}`);
+      product = null;
+    }
+
+    // A barcode given with a SKU must not belong to a different product
+    const barcodeOwner = fields.sku && fields.barcode ? byBarcode.get(fields.barcode) : null;
+    if (barcodeOwner && (!product || barcodeOwner.id !== product.id)) {
+      fail('barcode', `Barcode already in use by ${barcodeOwner.shop_id === shopId ? barcodeOwner.name : 'another shop\'s product'}`);
+    }
+
+    if (!product) {
+      ['name', 'category', 'selling_price']
+        .filter(field => fields[field] === undefined)
+        .forEach(field => fail(field, `${field} is required for a new product`));
+    }
+
+    if (product && product.variants.length > 0 && fields.stock_quantity !== undefined) {
+      fail('stock_quantity', `${product.name} is stocked as its variants; give each variant's stock on its own row`);
+    }
+
+    const reserved = product && product.inventory ? product.inventory.reserved_quantity : 0;
+    if (fields.stock_quantity !== undefined && fields.stock_quantity < reserved) {
+      fail('stock_quantity', belowReserved(reserved));
+    }
+
+    let category;
+    if (fields.category) {
+      category = categoryByName.get(fields.category.toLowerCase());
+      if (!category && createCategories) {
+        newCategories.set(fields.category.toLowerCase(), newCategories.get(fields.category.toLowerCase()) || fields.category);
+      } else if (!category) {
+        fail('category', `The shop has no category ${fields.category}`);
+      }
+    }
+
+    let unit;
+    if (fields.unit) {
+      unit = unitByName.get(fields.unit.toLowerCase());
+      if (!unit) {
+        fail('unit', `The shop has no unit ${fields.unit}`);
+      }
+    }
+
+    return {
+      row,
+      action: product ? 'update' : 'create',
+      product_id: product ? product.id : null,
+      fields,
+      category_id: category ? category.id : null,
+      unit_id: unit ? unit.id : null,
+      errors
+    };
+  });
+
+  const valid = plans.filter(plan => plan.errors.length === 0);
+
+  return {
+    plans,
+    report: {
+      total_rows: plans.length,
+      valid_rows: valid.length,
+      invalid_rows: plans.length - valid.length,
+      to_create: valid.filter(plan => plan.action === 'create').length,
+      to_update: valid.filter(plan => plan.action === 'update').length,
+      categories_to_create: [...newCategories.values()],
+      errors: plans.flatMap(plan => plan.errors)
+    }
+  };
+};
+
+/**
+ * Create or update the product of one checked row, with its stock
+ * @param {string} shopId - Shop ID
+ * @param {Object} plan - The row's plan from planImport
+ * @param {Map<string, string>} categoryIds - IDs of categories, by lower-cased name
+ * @param {string} userId - User importing
+ * @returns {Promise<void>}
+ */
+const importRow = (shopId, plan, categoryIds, userId) => db.sequelize.transaction(async (t) => {
+  const {
+    category, unit, stock_quantity, ...rest
+  } = plan.fields;
+
+  const productFields = Object.keys(rest)
+    .filter(field => !INVENTORY_FIELDS.includes(field))
+    .reduce((fields, field) => ({ ...fields, [field]: rest[field] }), {});
+  if (category) {
+    productFields.category_id = plan.category_id || categoryIds.get(category.toLowerCase());
+  }
+  if (unit) {
+    productFields.unit_id = plan.unit_id;
+  }
+
+  const inventoryFields = INVENTORY_FIELDS
+    .filter(field => rest[field] !== undefined)
+    .reduce((fields, field) => ({ ...fields, [field]: rest[field] }), {});
+
+  let product;
+  if (plan.action === 'update') {
+    product = await db.Product.findByPk(plan.product_id, { transaction: t });
+    await product.update(productFields, { transaction: t });
+
+    // Variants take their name, category and tax settings from their product
+    if (!product.parent_id) {
+      await productVariantService.syncVariants(product, t);
+    }
+  } else {
+    product = await db.Product.create({ ...productFields, shop_id: shopId }, { transaction: t });
+  }
+
+  const hasVariants = await db.Product.count({ where: { parent_id: product.id }, transaction: t });
+  if (hasVariants) {
+    return;
+  }
+
+  const [inventory] = await db.Inventory.findOrCreate({
+    where: { product_id: product.id },
+    defaults: {
+      product_id: product.id,
+      shop_id: shopId,
+      stock_quantity: 0,
+      available_quantity: 0,
+      reserved_quantity: 0
+    },
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+  if (Object.keys(inventoryFields).length > 0) {
+    await inventory.update(inventoryFields, { transaction: t });
+  }
+
+  // Orders may have reserved units since the rows were checked
+  if (stock_quantity !== undefined && stock_quantity < inventory.reserved_quantity) {
+    throw new AppError(belowReserved(inventory.reserved_quantity), 400, 'STOCK_BELOW_RESERVED');
+  }
+
+  // The file gives what is on hand; the difference is booked as a movement,
+  // which lowers stock no further than the units reserved for orders
+  const change = stock_quantity === undefined ? 0 : stock_quantity - inventory.stock_quantity;
+  if (change !== 0) {
+    await inventoryService.applyStockMovement({
+      product_id: product.id,
+      shop_id: shopId,
+      quantity: change,
+      transaction_type: plan.action === 'create' ? 'purchase' : 'adjustment',
+      note: plan.action === 'create' ? 'Opening stock (import)' : 'Stock set by product import',
+      user_id: userId
+    }, t);
+  }
+});
+
+/**
+ * Import mapped rows. The rows are checked again, as the shop's products may
+ * have changed since the file was uploaded, and each valid row is written in
+ * its own transaction so one failure does not undo the rest. Used by the
+ * products:import job.
+ * @param {string} shopId - Shop ID
+ * @param {Array<{row: number, values: Object}>} rows - Rows from mapRows
+ * @param {Object} options - As for planImport, plus userId
+ * @param {Object} [context] - Job context ({ progress })
+ * @returns {Promise<Object>} - Counts of products created and updated, and the rows that failed
+ */
+exports.importRows = async (shopId, rows, { userId, ...options }, { progress } = {}) => {
+  const { plans, report } = await exports.planImport(shopId, rows, options);
+
+  // Categories named in the file that the shop does not have yet
+  const categoryIds = new Map();
+  for (const name of report.categories_to_create) {
+    const [category] = await db.Category.findOrCreate({
+      where: { shop_id: shopId, name },
+      defaults: { shop_id: shopId, name }
+    });
+    categoryIds.set(name.toLowerCase(), category.id);
+  }
+
+  const result = {
+    total_rows: report.total_rows,
+    created: 0,
+    updated: 0,
+    categories_created: report.categories_to_create,
+    errors: [...report.errors]
+  };
+
+  const valid = plans.filter(plan => plan.errors.length === 0);
+  for (let i = 0; i < valid.length; i++) {
+    const plan = valid[i];
+
+    try {
+      await importRow(shopId, plan, categoryIds, userId);
+      result[plan.action === 'create' ? 'created' : 'updated']++;
+    } catch (error) {
+      result.errors.push({ row: plan.row, field: null, message: error.message });
+    }
+
+    if (progress && (i + 1) % 50 === 0) {
+      await progress(Math.round(((i + 1) / valid.length) * 100));
+    }
+  }
+
+  result.errors.sort((a, b) => a.row - b.row);
+  result.failed_rows = new Set(result.errors.map(error => error.row)).size;
+
+  return result;
+};
+
+/**
+ * Render products as a file the import reads back: the import columns, plus
+ * each variant's parent SKU and option values for reference
+ * @param {Array<Object>} products - Products with category, unit, inventory and parent
+ * @param {string} format - csv or xlsx
+ * @returns {Promise<Buffer>}
+ */
+exports.renderExport = async (products, format) => {
+  const number = value => (value === null || value === undefined ? null : parseFloat(value));
+
+  const rows = products.map((product) => {
+    const inventory = product.inventory || {};
+    const values = {
+      ...product.toJSON(),
+      category: product.category ? product.category.name : null,
+      unit: product.unit ? product.unit.abbreviation : null,
+      purchase_price: number(product.purchase_price),
+      selling_price: number(product.selling_price),
+      discount_price: number(product.discount_price),
+      tax_rate: number(product.tax_rate),
+      weight: number(product.weight),
+      stock_quantity: inventory.stock_quantity,
+      reorder_level: inventory.reorder_level,
+      reorder_quantity: inventory.reorder_quantity,
+      location: inventory.location,
+      parent_sku: product.parent ? product.parent.sku : null,
+      option_values: product.option_values
+        ? Object.entries(product.option_values).map(([name, value]) => `${name}: ${value}`).join('; ')
+        : null
+    };
+
+    return [...IMPORT_FIELDS, ...EXPORT_ONLY_COLUMNS].map((column) => {
+      const value = values[column];
+      return typeof value === 'boolean' ? String(value) : value;
+    });
+  });
+
+  const table = [[...IMPORT_FIELDS, ...EXPORT_ONLY_COLUMNS], ...rows];
+  return format === 'xlsx' ? toXlsx(table, 'Products') : toCsv(table);
+};
+
+exports.IMPORT_FIELDS = IMPORT_FIELDS;
+exports.MAX_ROWS = MAX_ROWS;
@@ -0,0 +1,384 @@
+const { Op } = require('sequelize');
+const { AppError } = require('../middleware/errorHandler');
+const db = require('../models');
+const inventoryService = require('./inventory.service');
+
+/**
+ * A product with variants lists its option types (e.g. size and colour) and
+ * each variant is a product of its own with the parent's ID, its value for
+ * each option, and its own SKU, barcode, price and stock. The parent is not
+ * sold or stocked itself: sales and orders name it with a variant_id, and
+ * reports roll the variants up to it.
+ */
+
+// Fields a variant always takes from its parent
+const INHERITED_FIELDS = ['category_id', 'unit_id', 'is_taxable', 'tax_rate', 'tax_service_id', 'tax_unit_code'];
+
+/**
+ * The name of a variant: its parent's name and its option values
+ * @param {Object} parent - Parent product
+ * @param {Object} optionValues - The variant's option values
+ * @returns {string}
+ */
+exports.variantName = (parent, optionValues) => `${parent.name} (${Object.values(optionValues).join(' / ')})`;
+
+/**
+ * Every combination of a product's option values, in option order
+ * @param {Array<{name: string, values: string[]}>} options - Option types
+ * @returns {Array<Object>} - Option values of each combination
+ */
+const combinations = options => options.reduce(
+  (combos, option) => combos.flatMap(combo => option.values.map(value => ({ ...combo, [option.name]: value }))),
+  [{}]
+);
+
+/**
+ * Match option values against a product's options, ignoring case. Every
+ * option must have one of its values.
+ * @param {Object} parent - Parent product
+ * @param {Object} optionValues - Requested option values
+ * @returns {Object} - Option values as the parent names them, in option order
+ */
+exports.matchOptionValues = (parent, optionValues = {}) => {
+  const requested = new Map(Object.entries(optionValues)
+    .map(([name, value]) => [name.toLowerCase(), String(value).toLowerCase()]));
+
+  const unknown = [...requested.keys()]
+    .find(name => !parent.options.some(option => option.name.toLowerCase() === name));
+  if (unknown) {
+    throw new AppError(`${parent.name} has no option ${unknown}`, 400, 'INVALID_OPTION_VALUES');
+  }
+
+  return parent.options.reduce((matched, option) => {
+    const requestedValue = requested.get(option.name.toLowerCase());
+    const value = option.values.find(candidate => candidate.toLowerCase() === requestedValue);
+
+    if (!value) {
+      throw new AppError(
+        `${option.name} must be one of ${option.values.join(', ')}`,
+        400,
+        'INVALID_OPTION_VALUES'
+      );
+    }
+
+    return { ...matched, [option.name]: value };
+  }, {});
+};
+
+/**
+ * Check new option types for a product. Once a product has variants its
+ * options cannot be added, removed or renamed, and values its variants use
+ * cannot be dropped.
+ * @param {Object} product - Product being updated
+ * @param {Array<{name: string, values: string[]}>} options - New option types
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<void>}
+ */
+exports.checkOptionChange = async (product, options, transaction) => {
+  if (product.parent_id) {
+    throw new AppError('A variant cannot have options of its own', 400, 'VARIANT_CANNOT_HAVE_OPTIONS');
+  }
+
+  const variants = await db.Product.findAll({
+    where: { parent_id: product.id },
+    attributes: ['id', 'name', 'option_values'],
+    transaction
+  });
+  if (variants.length === 0) {
+    return;
+  }
+
+  const names = list => list.map(option => option.name).sort().join('\n');
+  if (names(options) !== names(product.options)) {
+    throw new AppError(
+      'Options cannot be added, removed or renamed once a product has variants',
+      409,
+      'OPTIONS_IN_USE'
+    );
+  }
+
+  for (const variant of variants) {
+    for (const option of options) {
+      if (!option.values.includes(variant.option_values[option.name])) {
+        throw new AppError(
+          `${option.name} ${variant.option_values[option.name]} is used by ${variant.name}`,
+          409,
+          'OPTION_VALUE_IN_USE'
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Check that a SKU and barcode are not used by another product
+ * @param {Object} fields - sku and barcode
+ * @param {string} [productId] - Product being updated
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<void>}
+ */
+const checkCodesFree = async ({ sku, barcode }, productId, transaction) => {
+  const others = productId ? { id: { [Op.ne]: productId } } : {};
+
+  if (sku && await db.Product.count({ where: { ...others, sku }, transaction })) {
+    throw new AppError(`SKU ${sku} already in use by another product`, 400, 'SKU_IN_USE');
+  }
+
+  if (barcode && await db.Product.count({ where: { ...others, barcode }, transaction })) {
+    throw new AppError(`Barcode ${barcode} already in use by another product`, 400, 'BARCODE_IN_USE');
+  }
+};
+
+/**
+ * Get a product ready for its first variant: the parent is not stocked
+ * itself, so it must hold no stock and its empty inventory row goes
+ * @param {Object} parent - Parent product
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<void>}
+ */
+const prepareParent = async (parent, transaction) => {
+  const hasVariants = await db.Product.count({ where: { parent_id: parent.id }, transaction });
+  if (hasVariants) {
+    return;
+  }
+
+  const stocked = await db.Inventory.count({
+    where: { product_id: parent.id, stock_quantity: { [Op.ne]: 0 } },
+    transaction
+  });
+  if (stocked) {
+    throw new AppError(
+      `${parent.name} holds stock; adjust it to zero before adding variants`,
+      400,
+      'PRODUCT_HAS_STOCK'
+    );
+  }
+
+  await db.Inventory.destroy({ where: { product_id: parent.id }, transaction });
+  await db.LocationInventory.destroy({ where: { product_id: parent.id }, transaction });
+};
+
+/**
+ * Create a variant of a product with its inventory and any initial stock
+ * @param {Object} parent - Parent product
+ * @param {Object} fields - option_values, and optionally sku, barcode, prices,
+ *   image_url, is_active, weight, stock_quantity, reorder_level, reorder_quantity and location
+ * @param {Object} options
+ * @param {string} options.userId - User creating the variant
+ * @param {import('sequelize').Transaction} options.transaction - Active transaction
+ * @returns {Promise<Object>} - The variant
+ */
+exports.createVariant = async (parent, fields, { userId, transaction }) => {
+  if (parent.parent_id) {
+    throw new AppError('A variant cannot have variants of its own', 400, 'VARIANT_CANNOT_HAVE_OPTIONS');
+  }
+  if (parent.options.length === 0) {
+    throw new AppError(`${parent.name} has no options to make variants from`, 400, 'PRODUCT_HAS_NO_OPTIONS');
+  }
+
+  const option_values = exports.matchOptionValues(parent, fields.option_values);
+
+  const existing = await db.Product.findOne({
+    where: { parent_id: parent.id, option_values },
+    attributes: ['id', 'name'],
+    transaction
+  });
+  if (existing) {
+    throw new AppError(`${existing.name} already exists`, 409, 'VARIANT_EXISTS');
+  }
+
+  await checkCodesFree(fields, null, transaction);
+  await prepareParent(parent, transaction);
+
+  const variant = await db.Product.create({
+    ...INHERITED_FIELDS.reduce((inherited, field) => ({ ...inherited, [field]: parent[field] }), {}),
+    name: exports.variantName(parent, option_values),
+    shop_id: parent.shop_id,
+    parent_id: parent.id,
+    option_values,
+    sku: fields.sku,
+    barcode: fields.barcode,
+    description: parent.description,
+    purchase_price: fields.purchase_price !== undefined ? fields.purchase_price : parent.purchase_price,
+    selling_price: fields.selling_price !== undefined ? fields.selling_price : parent.selling_price,
+    discount_price: fields.discount_price,
+    image_url: fields.image_url !== undefined ? fields.image_url : parent.image_url,
+    is_active: fields.is_active !== undefined ? fields.is_active : parent.is_active,
+    weight: fields.weight !== undefined ? fields.weight : parent.weight,
+    weight_unit: parent.weight_unit
+  }, { transaction });
+
+  await db.Inventory.create({
+    product_id: variant.id,
+    shop_id: parent.shop_id,
+    stock_quantity: 0,
+    available_quantity: 0,
+    reserved_quantity: 0,
+    reorder_level: fields.reorder_level,
+    reorder_quantity: fields.reorder_quantity,
+    location: fields.location
+  }, { transaction });
+
+  if (fields.stock_quantity > 0) {
+    await inventoryService.applyStockMovement({
+      product_id: variant.id,
+      shop_id: parent.shop_id,
+      quantity: fields.stock_quantity,
+      transaction_type: 'purchase',
+      note: 'Initial stock',
+      user_id: userId
+    }, transaction);
+  }
+
+  return variant;
+};
+
+/**
+ * Create a variant for every combination of a product's options that does
+ * not have one yet. SKUs are made from the parent's SKU and the option values.
+ * @param {Object} parent - Parent product
+ * @param {Object} defaults - Prices and stock settings for the new variants
+ * @param {Object} options
+ * @param {string} options.userId - User generating the variants
+ * @param {import('sequelize').Transaction} options.transaction - Active transaction
+ * @returns {Promise<Array<Object>>} - The variants created
+ */
+exports.generateVariants = async (parent, defaults, { userId, transaction }) => {
+  if (parent.options.length === 0) {
+    throw new AppError(`${parent.name} has no options to make variants from`, 400, 'PRODUCT_HAS_NO_OPTIONS');
+  }
+
+  const existing = await db.Product.findAll({
+    where: { parent_id: parent.id },
+    attributes: ['option_values'],
+    transaction
+  });
+  const key = optionValues => JSON.stringify(parent.options.map(option => optionValues[option.name]));
+  const taken = new Set(existing.map(variant => key(variant.option_values)));
+
+  const created = [];
+  for (const option_values of combinations(parent.options)) {
+    if (taken.has(key(option_values))) {
+      continue;
+    }
+
+    const sku = parent.sku
+      ? [parent.sku, ...Object.values(option_values)].join('-').replace(/\s+/g, '').toUpperCase().slice(0, 50)
+      : undefined;
+
+    created.push(await exports.createVariant(parent, {
+      ...defaults,
+      option_values,
+      sku
+    }, { userId, transaction }));
+  }
+
+  return created;
+};
+
+/**
+ * Update a variant's own fields; its option values name it anew
+ * @param {Object} parent - Parent product
+ * @param {Object} variant - Variant
+ * @param {Object} changes - option_values, sku, barcode, prices, image_url, is_active or weight
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object>} - The variant
+ */
+exports.updateVariant = async (parent, variant, changes, transaction) => {
+  const update = { ...changes };
+
+  if (changes.option_values) {
+    update.option_values = exports.matchOptionValues(parent, changes.option_values);
+
+    const existing = await db.Product.findOne({
+      where: { parent_id: parent.id, option_values: update.option_values, id: { [Op.ne]: variant.id } },
+      attributes: ['id', 'name'],
+      transaction
+    });
+    if (existing) {
+      throw new AppError(`${existing.name} already exists`, 409, 'VARIANT_EXISTS');
+    }
+
+    update.name = exports.variantName(parent, update.option_values);
+  }
+
+  await checkCodesFree(changes, variant.id, transaction);
+
+  return variant.update(update, { transaction });
+};
+
+/**
+ * Give a product's variants its current name and inherited fields after it
+ * is updated
+ * @param {Object} parent - Updated parent product
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<void>}
+ */
+exports.syncVariants = async (parent, transaction) => {
+  const variants = await db.Product.findAll({ where: { parent_id: parent.id }, transaction });
+
+  for (const variant of variants) {
+    await variant.update({
+      ...INHERITED_FIELDS.reduce((inherited, field) => ({ ...inherited, [field]: parent[field] }), {}),
+      name: exports.variantName(parent, variant.option_values)
+    }, { transaction });
+  }
+};
+
+/**
+ * Turn sale or order items into the products actually sold: an item for a
+ * product with variants must choose one with variant_id, and becomes an item
+ * for that variant. Items for products without variants, or that name a
+ * variant directly, are left alone.
+ * @param {Array<{product_id: string, variant_id?: string}>} items - Requested items
+ * @param {Object} [options]
+ * @param {import('sequelize').Transaction} [options.transaction] - Active transaction
+ * @returns {Promise<Array<Object>>} - The items with product_id set to the variant, without variant_id
+ */
+exports.resolveItems = async (items, { transaction } = {}) => {
+  const productIds = [...new Set(items.map(item => item.product_id))];
+  const variantIds = [...new Set(items.filter(item => item.variant_id).map(item => item.variant_id))];
+
+  const [withVariants, variants] = await Promise.all([
+    db.Product.findAll({
+      where: { parent_id: { [Op.in]: productIds } },
+      attributes: ['parent_id'],
+      group: ['parent_id'],
+      raw: true,
+      transaction
+    }),
+    variantIds.length > 0
+      ? db.Product.findAll({
+        where: { id: { [Op.in]: variantIds } },
+        attributes: ['id', 'parent_id'],
+        transaction
+      })
+      : []
+  ]);
+  const hasVariants = new Set(withVariants.map(row => row.parent_id));
+  const parentOf = new Map(variants.map(variant => [variant.id, variant.parent_id]));
+
+  return items.map(({ variant_id, ...item }) => {
+    if (variant_id) {
+      if (parentOf.get(variant_id) !== item.product_id) {
+        throw new AppError(
+          `Variant ${variant_id} is not a variant of product ${item.product_id}`,
+          404,
+          'VARIANT_NOT_FOUND'
+        );
+      }
+
+      return { ...item, product_id: variant_id };
+    }
+
+    if (hasVariants.has(item.product_id)) {
+      throw new AppError(
+        `Product ${item.product_id} has variants; choose one with variant_id`,
+        400,
+        'VARIANT_REQUIRED'
+      );
+    }
+
+    return item;
+  });
+};
@@ -0,0 +1,442 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const { getZonedParts } = require('../utils/timezone');
+const { roundMoney, buildCategoryChain } = require('../utils/pricing');
+const productVariantService = require('./productVariant.service');
+
+// Kinds of promotion; all but basket_discount discount individual lines
+const PROMOTION_TYPES = ['product_discount', 'buy_x_get_y', 'bundle_price', 'basket_discount'];
+
+/**
+ * Minutes past midnight of an HH:mm time
+ * @param {string} time - HH:mm
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a promotion's date range, days and daily time window cover an
+ * instant. Days and times are read in the business timezone; a window whose
+ * end is before its start runs past midnight.
+ * @param {Object} promotion - Promotion
+ * @param {Date} at - Instant
+ * @returns {boolean}
+ */
+const isRunningAt = (promotion, at) => {
+  if (promotion.starts_at && at < new Date(promotion.starts_at)) {
+    return false;
+  }
+  if (promotion.ends_at && at > new Date(promotion.ends_at)) {
+    return false;
+  }
+
+  const { weekday, hour, minute } = getZonedParts(at, config.timezone);
+
+  if (promotion.days_of_week && promotion.days_of_week.length > 0 && !promotion.days_of_week.includes(weekday)) {
+    return false;
+  }
+
+  if (promotion.start_time && promotion.end_time) {
+    const now = hour * 60 + minute;
+    const start = toMinutes(promotion.start_time);
+    const end = toMinutes(promotion.end_time);
+
+    return start <= end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  return true;
+};
+
+/**
+ * Whether a promotion targets a cart line. A promotion without products or
+ * categories targets every product, and one for a product with variants
+ * targets all of its variants.
+ * @param {Object} promotion - Promotion
+ * @param {Object} line - Cart line with product_id, parent_id and category_ids (the product's category and its ancestors)
+ * @returns {boolean}
+ */
+const targetsLine = (promotion, line) => {
+  const productIds = promotion.product_ids || [];
+  const categoryIds = promotion.category_ids || [];
+
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return true;
+  }
+
+  return productIds.includes(line.product_id)
+    || (line.parent_id && productIds.includes(line.parent_id))
+    || line.category_ids.some(categoryId => categoryIds.includes(categoryId));
+};
+
+/**
+ * Every unit on the given lines, dearest first
+ * @param {Array<Object>} lines - Cart lines
+ * @param {Array<number>} indexes - Positions of the lines in the cart
+ * @returns {Array<{index: number, price: number}>}
+ */
+const expandUnits = (lines, indexes) => indexes
+  .flatMap(index => Array.from({ length: lines[index].quantity }, () => ({
+    index,
+    price: lines[index].unit_price
+  })))
+  .sort((a, b) => b.price - a.price);
+
+/**
+ * Add a discount to a line's running total in a map keyed by line position
+ * @param {Map<number, number>} discounts
+ * @param {number} index - Line position
+ * @param {number} amount - Discount
+ */
+const addDiscount = (discounts, index, amount) => {
+  discounts.set(index, (discounts.get(index) || 0) + amount);
+};
+
+/**
+ * Discounts a line promotion gives on the lines it may apply to
+ * @param {Object} promotion - Promotion
+ * @param {Array<Object>} lines - Cart lines
+ * @param {Array<number>} indexes - Positions of the eligible lines
+ * @returns {{discounts: Map<number, number>, used: Array<number>}} - Discount per line, and every line the promotion took (including lines bought to qualify)
+ */
+const lineDiscounts = (promotion, lines, indexes) => {
+  const value = parseFloat(promotion.value);
+  const discounts = new Map();
+  const used = new Set();
+
+  if (promotion.type === 'product_discount') {
+    indexes.forEach((index) => {
+      const { unit_price: price, quantity } = lines[index];
+      const perUnit = promotion.discount_type === 'percentage'
+        ? price * value / 100
+        : Math.min(value, price);
+      addDiscount(discounts, index, perUnit * quantity);
+      used.add(index);
+    });
+  } else {
+    // Buy X get Y and bundles work on groups of units from any of the lines,
+    // dearest first, so the customer gets the cheapest units of each group
+    const groupSize = promotion.type === 'buy_x_get_y'
+      ? promotion.buy_quantity + promotion.get_quantity
+      : promotion.buy_quantity;
+    const units = expandUnits(lines, indexes);
+    const groups = Math.floor(units.length / groupSize);
+
+    for (let group = 0; group < groups; group++) {
+      const groupUnits = units.slice(group * groupSize, (group + 1) * groupSize);
+
+      if (promotion.type === 'buy_x_get_y') {
+        groupUnits.forEach(unit => used.add(unit.index));
+        groupUnits.slice(promotion.buy_quantity).forEach((unit) => {
+          addDiscount(discounts, unit.index, unit.price * value / 100);
+        });
+      } else {
+        // The saving on the bundle is spread over its units by price; a
+        // bundle that costs no less than its units is not taken
+        const groupPrice = groupUnits.reduce((sum, unit) => sum + unit.price, 0);
+        const saving = groupPrice - value;
+        if (saving > 0) {
+          groupUnits.forEach((unit) => {
+            used.add(unit.index);
+            addDiscount(discounts, unit.index, saving * unit.price / groupPrice);
+          });
+        }
+      }
+    }
+  }
+
+  discounts.forEach((amount, index) => {
+    discounts.set(index, Math.min(roundMoney(amount), roundMoney(lines[index].unit_price * lines[index].quantity)));
+  });
+
+  return { discounts, used: [...used] };
+};
+
+/**
+ * Check the settings of a promotion fit its type
+ * @param {Object} promotion - Promotion settings
+ */
+exports.checkPromotionRules = (promotion) => {
+  const fail = (message) => {
+    throw new AppError(message, 400, 'INVALID_PROMOTION');
+  };
+  const value = parseFloat(promotion.value);
+
+  if (['product_discount', 'basket_discount'].includes(promotion.type)) {
+    if (!promotion.discount_type) {
+      fail('A discount type (percentage or fixed) is required');
+    }
+    if (!(value > 0)) {
+      fail('The discount must be greater than zero');
+    }
+    if (promotion.discount_type === 'percentage' && value > 100) {
+      fail('A percentage discount cannot exceed 100');
+    }
+  }
+
+  if (promotion.type === 'buy_x_get_y') {
+    if (!promotion.buy_quantity || !promotion.get_quantity) {
+      fail('Buy X get Y promotions need a buy quantity and a get quantity');
+    }
+    if (!(value > 0) || value > 100) {
+      fail('The discount on the free units must be a percentage between 0 and 100');
+    }
+  }
+
+  if (promotion.type === 'bundle_price') {
+    if (!promotion.buy_quantity || promotion.buy_quantity < 2) {
+      fail('A bundle must contain at least 2 units');
+    }
+    if (!(value > 0)) {
+      fail('The bundle price must be greater than zero');
+    }
+  }
+
+  if (promotion.type === 'basket_discount'
+    && ((promotion.product_ids || []).length > 0 || (promotion.category_ids || []).length > 0)) {
+    fail('Basket discounts apply to the whole sale and cannot target products or categories');
+  }
+
+  if (promotion.starts_at && promotion.ends_at && new Date(promotion.starts_at) >= new Date(promotion.ends_at)) {
+    fail('The promotion must end after it starts');
+  }
+
+  if (Boolean(promotion.start_time) !== Boolean(promotion.end_time)) {
+    fail('A time window needs both a start time and an end time');
+  }
+};
+
+/**
+ * Apply promotions to a cart.
+ *
+ * Promotions are tried from the highest priority down. A line takes at most
+ * one line promotion and a sale at most one basket promotion. A promotion that
+ * is not stackable only applies when no other promotion has, and once it
+ * applies no other promotion does. Minimum basket amounts are checked against
+ * the cart at list prices; basket discounts are taken off what is left after
+ * line promotions.
+ *
+ * @param {Array<Object>} promotions - Running promotions
+ * @param {Array<{product_id: string, category_ids: string[], quantity: number, unit_price: number}>} lines - Cart lines
+ * @returns {{lines: Array<{promotion: Object|null, promotion_discount: number}>, basket: {promotion: Object|null, discount: number}}}
+ */
+exports.applyPromotions = (promotions, lines) => {
+  const ordered = [...promotions].sort((a, b) => b.priority - a.priority
+    || new Date(a.created_at) - new Date(b.created_at));
+  const listTotal = lines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0);
+
+  const result = lines.map(() => ({ promotion: null, promotion_discount: 0 }));
+  let basketPromotion = null;
+  let appliedCount = 0;
+
+  for (const promotion of ordered) {
+    if (appliedCount > 0 && !promotion.stackable) {
+      continue;
+    }
+    if (promotion.min_basket_amount && listTotal < parseFloat(promotion.min_basket_amount)) {
+      continue;
+    }
+
+    if (promotion.type === 'basket_discount') {
+      if (basketPromotion) {
+        continue;
+      }
+      basketPromotion = promotion;
+    } else {
+      const eligible = lines
+        .map((line, index) => index)
+        .filter(index => !result[index].promotion && targetsLine(promotion, lines[index]));
+      const { discounts, used } = lineDiscounts(promotion, lines, eligible);
+
+      if (discounts.size === 0) {
+        continue;
+      }
+
+      used.forEach((index) => {
+        result[index].promotion = promotion;
+        result[index].promotion_discount = discounts.get(index) || 0;
+      });
+    }
+
+    appliedCount++;
+    if (!promotion.stackable) {
+      break;
+    }
+  }
+
+  let basketDiscount = 0;
+  if (basketPromotion) {
+    const remaining = roundMoney(lines.reduce(
+      (sum, line, index) => sum + line.unit_price * line.quantity - result[index].promotion_discount,
+      0
+    ));
+    const value = parseFloat(basketPromotion.value);
+    basketDiscount = basketPromotion.discount_type === 'percentage'
+      ? roundMoney(remaining * value / 100)
+      : Math.min(value, remaining);
+  }
+
+  return {
+    lines: result,
+    basket: {
+      promotion: basketDiscount > 0 ? basketPromotion : null,
+      discount: basketDiscount
+    }
+  };
+};
+
+/**
+ * Active promotions of a shop running at an instant
+ * @param {string} shopId - Shop ID
+ * @param {Date} at - Instant
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<Array<Object>>}
+ */
+exports.getRunningPromotions = async (shopId, at, transaction) => {
+  const promotions = await db.Promotion.findAll({
+    where: {
+      shop_id: shopId,
+      is_active: true,
+      [Op.and]: [
+        { [Op.or]: [{ starts_at: null }, { starts_at: { [Op.lte]: at } }] },
+        { [Op.or]: [{ ends_at: null }, { ends_at: { [Op.gte]: at } }] }
+      ]
+    },
+    transaction
+  });
+
+  return promotions.filter(promotion => isRunningAt(promotion, at));
+};
+
+/**
+ * Price a cart of products: list prices, running promotions, the cashier's
+ * line and sale discounts, and tax.
+ *
+ * Line discounts are the promotion discount plus the line's discount_percent
+ * of the list price, up to the line subtotal; tax is charged on what is left.
+ * The sale-level discount is the basket promotion plus the given sale
+ * discount and does not reduce tax.
+ *
+ * A product with variants is sold as one of them, chosen by each item's
+ * variant_id; its lines are priced as the variant.
+ *
+ * @param {Array<{product_id: string, variant_id?: string, quantity: number, discount_percent?: number}>} items - Cart items
+ * @param {Object} [options]
+ * @param {string} [options.shopId] - Shop the products must belong to; taken from the products when omitted
+ * @param {number} [options.saleDiscount] - Discount on the whole sale given by the cashier
+ * @param {Date} [options.at] - When the sale takes place
+ * @param {import('sequelize').Transaction} [options.transaction] - Active transaction
+ * @returns {Promise<Object>} - shop_id, lines, subtotal, discount_amount, promotion_id, promotion_discount, tax_amount, total_amount and the promotions applied
+ */
+exports.priceCart = async (items, {
+  shopId, saleDiscount = 0, at = new Date(), transaction
+} = {}) => {
+  const cartItems = await productVariantService.resolveItems(items, { transaction });
+
+  const productIds = [...new Set(cartItems.map(item => item.product_id))];
+  const products = await db.Product.findAll({
+    where: { id: { [Op.in]: productIds }, is_active: true },
+    include: [
+      {
+        model: db.Inventory,
+        as: 'inventory',
+        attributes: ['available_quantity']
+      }
+    ],
+    transaction
+  });
+
+  const missing = productIds.find(id => !products.some(product => product.id === id
+    && (!shopId || product.shop_id === shopId)));
+  if (missing) {
+    throw new AppError(`Product with ID ${missing} not found or inactive`, 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const shopIds = [...new Set(products.map(product => product.shop_id))];
+  if (shopIds.length > 1) {
+    throw new AppError('All products on a sale must belong to the same shop', 400, 'MIXED_SHOP_PRODUCTS');
+  }
+  const cartShopId = shopIds[0];
+
+  // Category promotions also cover subcategories, so each line carries its
+  // category's ancestors
+  const categories = await db.Category.findAll({
+    where: { shop_id: cartShopId },
+    attributes: ['id', 'parent_id'],
+    transaction
+  });
+  const categoryChain = buildCategoryChain(categories);
+
+  const lines = cartItems.map((item) => {
+    const product = products.find(candidate => candidate.id === item.product_id);
+    return {
+      product,
+      product_id: product.id,
+      parent_id: product.parent_id,
+      category_ids: categoryChain(product.category_id),
+      quantity: item.quantity,
+      unit_price: parseFloat(product.selling_price),
+      discount_percent: item.discount_percent || 0
+    };
+  });
+
+  const promotions = await exports.getRunningPromotions(cartShopId, at, transaction);
+  const applied = exports.applyPromotions(promotions, lines);
+
+  const pricedLines = lines.map((line, index) => {
+    const { promotion, promotion_discount } = applied.lines[index];
+    const subtotal = roundMoney(line.quantity * line.unit_price);
+    const manualDiscount = subtotal * line.discount_percent / 100;
+    const discount_amount = Math.min(roundMoney(promotion_discount + manualDiscount), subtotal);
+    const tax_percent = line.product.is_taxable ? parseFloat(line.product.tax_rate || 0) : 0;
+    const tax_amount = roundMoney((subtotal - discount_amount) * tax_percent / 100);
+
+    return {
+      product: line.product,
+      product_id: line.product_id,
+      quantity: line.quantity,
+      unit_price: line.unit_price,
+      discount_percent: line.discount_percent,
+      promotion_id: promotion ? promotion.id : null,
+      promotion,
+      promotion_discount,
+      discount_amount,
+      tax_percent,
+      tax_amount,
+      subtotal,
+      total: roundMoney(subtotal - discount_amount + tax_amount)
+    };
+  });
+
+  const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.subtotal, 0));
+  const linesNet = roundMoney(pricedLines.reduce((sum, line) => sum + line.subtotal - line.discount_amount, 0));
+  const taxAmount = roundMoney(pricedLines.reduce((sum, line) => sum + line.tax_amount, 0));
+  const discountAmount = Math.min(roundMoney(applied.basket.discount + saleDiscount), linesNet);
+
+  const appliedPromotions = new Map();
+  pricedLines.concat([{ promotion: applied.basket.promotion }]).forEach(({ promotion }) => {
+    if (promotion) {
+      appliedPromotions.set(promotion.id, { id: promotion.id, name: promotion.name, type: promotion.type });
+    }
+  });
+
+  return {
+    shop_id: cartShopId,
+    lines: pricedLines,
+    subtotal,
+    discount_amount: discountAmount,
+    promotion_id: applied.basket.promotion ? applied.basket.promotion.id : null,
+    promotion_discount: Math.min(applied.basket.discount, discountAmount),
+    tax_amount: taxAmount,
+    total_amount: roundMoney(linesNet - discountAmount + taxAmount),
+    promotions: [...appliedPromotions.values()]
+  };
+};
+
+exports.PROMOTION_TYPES = PROMOTION_TYPES;
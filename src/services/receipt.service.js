@@ -0,0 +1,516 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../models');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const { getZonedParts, getJalaliParts } = require('../utils/timezone');
+const { enqueue } = require('./jobQueue.service');
+const { getTransport } = require('./transports');
+const labelsByLocale = require('./receipts/labels');
+const pdfLayout = require('./receipts/pdf');
+const htmlLayout = require('./receipts/html');
+const escposLayout = require('./receipts/escpos');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+// What each format is sent as
+const FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  escpos: { contentType: 'application/octet-stream', extension: 'bin' }
+};
+
+/**
+ * Write Western digits as Persian digits
+ * @param {string} text
+ * @returns {string}
+ */
+const toPersianDigits = text => String(text).replace(/[0-9]/g, digit => '۰۱۲۳۴۵۶۷۸۹'[digit]);
+
+/**
+ * Format an amount or quantity with digit grouping in the template's language
+ * @param {number|string} value
+ * @param {string} locale - fa or en
+ * @returns {string}
+ */
+const formatNumber = (value, locale) => new Intl.NumberFormat(locale === 'fa' ? 'fa-IR' : 'en-US', {
+  maximumFractionDigits: 2
+}).format(parseFloat(value) || 0);
+
+/**
+ * Format an instant as date and time in the business timezone
+ * @param {Date} date
+ * @param {Object} template - Receipt template
+ * @returns {string}
+ */
+const formatDate = (date, { locale, calendar }) => {
+  const instant = new Date(date);
+  const time = getZonedParts(instant, config.timezone);
+  const day = calendar === 'jalali'
+    ? getJalaliParts(instant, config.timezone)
+    : time;
+  const pad = value => String(value).padStart(2, '0');
+  const text = `${day.year}/${pad(day.month)}/${pad(day.day)} ${pad(time.hour)}:${pad(time.minute)}`;
+  return locale === 'fa' ? toPersianDigits(text) : text;
+};
+
+/**
+ * Non-empty lines of a block of template text
+ * @param {string} [text]
+ * @returns {Array<string>}
+ */
+const splitLines = text => (text || '')
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(Boolean);
+
+/**
+ * File of a shop's logo, when it was uploaded to this server and is an
+ * image the PDF layout can embed
+ * @param {Object} shop
+ * @returns {string|null}
+ */
+const resolveLogo = (shop) => {
+  if (!shop.logo_url || !shop.logo_url.startsWith('/uploads/')) {
+    return null;
+  }
+
+  const file = path.resolve(UPLOADS_DIR, `.${shop.logo_url.slice('/uploads'.length)}`);
+  if (!file.startsWith(`${UPLOADS_DIR}${path.sep}`) || !IMAGE_TYPES[path.extname(file).toLowerCase()]) {
+    return null;
+  }
+
+  return fs.existsSync(file) ? file : null;
+};
+
+/**
+ * Full name of a person
+ * @param {Object} [person] - Customer or user
+ * @returns {string}
+ */
+const fullName = person => (person ? [person.first_name, person.last_name].filter(Boolean).join(' ') : '');
+
+/**
+ * Find a sale or an order of the shop with what its receipt shows
+ * @param {string} type - sale or order
+ * @param {string} id - Sale or order ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findDocument = async (type, id, shopId) => {
+  if (type === 'sale') {
+    const sale = await db.Sale.findOne({
+      where: { id, shop_id: shopId },
+      include: [
+        {
+          model: db.SaleItem,
+          as: 'items',
+          include: [{ model: db.Product, as: 'product', attributes: ['id', 'name'] }]
+        },
+        { model: db.Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'phone', 'email', 'locale'] },
+        { model: db.User, as: 'user', attributes: ['id', 'first_name', 'last_name'] },
+        { model: db.Coupon, as: 'coupon', attributes: ['id', 'code'] },
+        {
+          model: db.Payment,
+          as: 'payments',
+          where: { status: 'completed' },
+          required: false
+        }
+      ],
+      order: [
+        [{ model: db.SaleItem, as: 'items' }, 'created_at', 'ASC'],
+        [{ model: db.Payment, as: 'payments' }, 'payment_date', 'ASC']
+      ]
+    });
+
+    if (!sale) {
+      throw new AppError('Sale not found', 404, 'SALE_NOT_FOUND');
+    }
+    return sale;
+  }
+
+  const order = await db.Order.findOne({
+    where: { id, shop_id: shopId },
+    include: [
+      {
+        model: db.OrderItem,
+        as: 'items',
+        include: [{ model: db.Product, as: 'product', attributes: ['id', 'name'] }]
+      },
+      { model: db.Customer, as: 'customer', attributes: ['id', 'first_name', 'last_name', 'phone', 'email', 'locale'] },
+      { model: db.Coupon, as: 'coupon', attributes: ['id', 'code'] }
+    ],
+    order: [[{ model: db.OrderItem, as: 'items' }, 'created_at', 'ASC']]
+  });
+
+  if (!order) {
+    throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+  return order;
+};
+
+/**
+ * A shop's receipt template, or the defaults when it has not saved one
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+exports.getTemplate = async (shopId) => {
+  const template = await db.ReceiptTemplate.findOne({ where: { shop_id: shopId } });
+  return template || db.ReceiptTemplate.build({ shop_id: shopId });
+};
+
+/**
+ * Save a shop's receipt template
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - Template fields to change
+ * @returns {Promise<Object>}
+ */
+exports.updateTemplate = async (shopId, data) => {
+  const template = await exports.getTemplate(shopId);
+  template.set(data);
+  return template.save();
+};
+
+/**
+ * Lay out what a receipt shows, independent of the format it is printed in.
+ * Every value is formatted for the template's language.
+ * @param {string} type - sale or order
+ * @param {Object} document - Sale or order with items, customer and payments
+ * @param {Object} shop - Shop
+ * @param {Object} template - Receipt template
+ * @param {Object} [options]
+ * @param {string} [options.mark] - reprint or copy
+ * @returns {Object}
+ */
+exports.buildReceipt = (type, document, shop, template, { mark } = {}) => {
+  const { locale } = template;
+  const labels = labelsByLocale[locale];
+  const money = value => formatNumber(value, locale);
+  const currency = shop.currency ? ` (${shop.currency})` : '';
+  const isSale = type === 'sale';
+  const showTax = isSale && template.show_tax_breakdown;
+
+  const logoPath = template.show_logo ? resolveLogo(shop) : null;
+
+  const details = [
+    { label: labels.number, value: isSale ? document.invoice_number : document.order_number },
+    { label: labels.date, value: formatDate(isSale ? document.sale_date : document.order_date, template) }
+  ];
+  if (isSale && document.user) {
+    details.push({ label: labels.cashier, value: fullName(document.user) });
+  }
+  if (!isSale) {
+    details.push({ label: labels.status, value: labels.order_statuses[document.status] || document.status });
+    if (document.delivery_date) {
+      details.push({ label: labels.delivery_date, value: formatDate(document.delivery_date, template) });
+    }
+  }
+  if (document.customer) {
+    details.push({ label: labels.customer, value: fullName(document.customer) });
+  }
+  if (!isSale && document.shipping_address) {
+    details.push({ label: labels.shipping_address, value: document.shipping_address });
+  }
+
+  const columns = [
+    { key: 'row', label: labels.row, numeric: true },
+    { key: 'name', label: labels.item },
+    { key: 'quantity', label: labels.quantity, numeric: true },
+    { key: 'unit_price', label: labels.unit_price, numeric: true },
+    ...(isSale ? [{ key: 'discount', label: labels.discount, numeric: true }] : []),
+    ...(showTax ? [{ key: 'tax', label: labels.tax, numeric: true }] : []),
+    { key: 'total', label: `${labels.total}${currency}`, numeric: true }
+  ];
+
+  const items = document.items.map((item, index) => ({
+    row: money(index + 1),
+    name: item.product ? item.product.name : '',
+    quantity: money(item.quantity),
+    unit_price: money(item.unit_price),
+    discount: money(item.discount_amount || 0),
+    discounted: parseFloat(item.discount_amount || 0) > 0,
+    tax: money(item.tax_amount || 0),
+    total: money(isSale ? item.total : item.total_price)
+  }));
+
+  const totals = [];
+  const payments = [];
+  const couponDiscount = parseFloat(document.coupon_discount || 0);
+  const tierDiscount = parseFloat(document.tier_discount || 0);
+  const couponLabel = document.coupon ? `${labels.coupon} ${document.coupon.code}` : labels.coupon;
+
+  if (isSale) {
+    const itemDiscounts = document.items.reduce((sum, item) => sum + parseFloat(item.discount_amount || 0), 0);
+    const invoiceDiscount = parseFloat(document.discount_amount || 0) - couponDiscount - tierDiscount;
+
+    totals.push({ label: labels.subtotal, value: money(document.subtotal) });
+    if (itemDiscounts > 0) {
+      totals.push({ label: labels.item_discounts, value: money(itemDiscounts) });
+    }
+    if (invoiceDiscount > 0) {
+      totals.push({ label: labels.invoice_discount, value: money(invoiceDiscount) });
+    }
+    if (tierDiscount > 0) {
+      totals.push({ label: labels.tier_discount, value: money(tierDiscount) });
+    }
+    if (couponDiscount > 0) {
+      totals.push({ label: couponLabel, value: money(couponDiscount) });
+    }
+    if (showTax && parseFloat(document.tax_amount) > 0) {
+      totals.push({ label: template.tax_label || labels.default_tax, value: money(document.tax_amount) });
+    }
+    totals.push({ label: `${labels.grand_total}${currency}`, value: money(document.total_amount), strong: true });
+
+    let paid = 0;
+    let change = 0;
+    document.payments.forEach((payment) => {
+      paid += parseFloat(payment.amount);
+      change += parseFloat(payment.change_amount || 0);
+      payments.push({
+        label: labels.payment_methods[payment.payment_method] || payment.payment_method,
+        value: money(payment.amount_tendered || payment.amount)
+      });
+    });
+    if (change > 0) {
+      payments.push({ label: labels.change, value: money(change) });
+    }
+
+    const balance = Math.round((parseFloat(document.total_amount) - paid) * 100) / 100;
+    if (balance > 0) {
+      payments.push({ label: document.on_account ? labels.on_account : labels.balance, value: money(balance), strong: true });
+    }
+  } else {
+    const subtotal = document.items.reduce((sum, item) => sum + parseFloat(item.total_price), 0);
+    totals.push({ label: labels.subtotal, value: money(subtotal) });
+    if (couponDiscount > 0) {
+      totals.push({ label: couponLabel, value: money(couponDiscount) });
+    }
+    totals.push({ label: `${labels.grand_total}${currency}`, value: money(document.total_amount), strong: true });
+  }
+
+  return {
+    locale,
+    direction: locale === 'fa' ? 'rtl' : 'ltr',
+    labels,
+    title: isSale ? labels.sale_title : labels.order_title,
+    number: isSale ? document.invoice_number : document.order_number,
+    mark: mark ? labels[mark] : null,
+    shop: {
+      name: shop.name,
+      lines: [shop.address, shop.phone ? `${labels.phone}: ${shop.phone}` : null].filter(Boolean),
+      logo_path: logoPath,
+      logo_data_uri: logoPath
+        ? `data:${IMAGE_TYPES[path.extname(logoPath).toLowerCase()]};base64,${fs.readFileSync(logoPath).toString('base64')}`
+        : null
+    },
+    header_lines: splitLines(template.header_text),
+    tax_lines: (template.tax_lines || []).map(line => `${line.label}: ${line.value}`),
+    details,
+    columns,
+    items,
+    totals,
+    payments,
+    footer_lines: splitLines(template.footer_text)
+  };
+};
+
+/**
+ * Render a receipt in a format
+ * @param {Object} receipt - Result of buildReceipt
+ * @param {string} format - pdf, html or escpos
+ * @param {Object} [options]
+ * @param {string} [options.paperWidth] - 80mm or 58mm, for escpos
+ * @returns {Promise<{content: Buffer, contentType: string, fileName: string}>}
+ */
+exports.render = async (receipt, format, { paperWidth } = {}) => {
+  let content;
+  if (format === 'pdf') {
+    content = await pdfLayout.render(receipt);
+  } else if (format === 'html') {
+    content = Buffer.from(htmlLayout.render(receipt), 'utf8');
+  } else {
+    content = escposLayout.render(receipt, { paperWidth });
+  }
+
+  return {
+    content,
+    contentType: FORMATS[format].contentType,
+    fileName: `${receipt.number}.${FORMATS[format].extension}`
+  };
+};
+
+/**
+ * Print the receipt of a sale or an order. The first print is the original;
+ * every later one is a reprint, marked as such on the paper.
+ * @param {string} type - sale or order
+ * @param {string} id - Sale or order ID
+ * @param {string} shopId - Shop ID
+ * @param {Object} options
+ * @param {string} options.format - pdf, html or escpos
+ * @param {string} [options.paperWidth] - 80mm or 58mm; the template's when omitted
+ * @param {boolean} [options.reprint] - Whether this is a reprint
+ * @param {string} [options.reason] - Why it is reprinted
+ * @param {string} options.userId - User printing
+ * @returns {Promise<{content: Buffer, contentType: string, fileName: string, print: Object}>}
+ */
+exports.printReceipt = async (type, id, shopId, {
+  format, paperWidth, reprint = false, reason, userId
+}) => {
+  const document = await findDocument(type, id, shopId);
+  const documentKey = type === 'sale' ? 'sale_id' : 'order_id';
+
+  const printed = await db.ReceiptPrint.count({
+    where: { [documentKey]: document.id, kind: ['print', 'reprint'] }
+  });
+
+  if (printed > 0 && !reprint) {
+    throw new AppError('This receipt has already been printed; reprint it instead', 409, 'RECEIPT_ALREADY_PRINTED');
+  }
+  if (printed === 0 && reprint) {
+    throw new AppError('This receipt has not been printed yet', 400, 'RECEIPT_NOT_PRINTED');
+  }
+
+  const [shop, template] = await Promise.all([
+    db.Shop.findByPk(shopId),
+    exports.getTemplate(shopId)
+  ]);
+  const width = format === 'escpos' ? paperWidth || template.paper_width : null;
+
+  const receipt = exports.buildReceipt(type, document, shop, template, { mark: reprint ? 'reprint' : null });
+  const file = await exports.render(receipt, format, { paperWidth: width });
+
+  const print = await db.ReceiptPrint.create({
+    shop_id: shopId,
+    [documentKey]: document.id,
+    kind: reprint ? 'reprint' : 'print',
+    format,
+    paper_width: width,
+    reason: reprint ? reason : null,
+    user_id: userId
+  });
+
+  return { ...file, print };
+};
+
+/**
+ * Queue an emailed copy of the receipt of a sale or an order, as a PDF
+ * attachment with the receipt in the body
+ * @param {string} type - sale or order
+ * @param {string} id - Sale or order ID
+ * @param {string} shopId - Shop ID
+ * @param {Object} options
+ * @param {string} [options.email] - Address to send to; the customer's when omitted
+ * @param {string} options.userId - User sending it
+ * @returns {Promise<Object>} - The ReceiptPrint row
+ */
+exports.emailReceipt = async (type, id, shopId, { email, userId }) => {
+  const document = await findDocument(type, id, shopId);
+  const recipient = email || (document.customer && document.customer.email);
+
+  if (!recipient) {
+    throw new AppError('The customer has no email address; give one to send the receipt to', 400, 'EMAIL_REQUIRED');
+  }
+
+  const print = await db.ReceiptPrint.create({
+    shop_id: shopId,
+    [type === 'sale' ? 'sale_id' : 'order_id']: document.id,
+    kind: 'email',
+    format: 'pdf',
+    recipient,
+    status: 'queued',
+    user_id: userId
+  });
+
+  const job = await enqueue('receipts', 'email', { print_id: print.id }, { shopId, userId });
+  await print.update({ job_id: job.id });
+
+  return print;
+};
+
+/**
+ * Send a queued receipt email. Used by the receipts:email job.
+ * @param {string} printId - ReceiptPrint ID
+ * @param {Object} context - Job context ({ job })
+ * @returns {Promise<Object>} - Delivery summary
+ */
+exports.deliverEmail = async (printId, { job }) => {
+  const print = await db.ReceiptPrint.findByPk(printId);
+
+  if (!print) {
+    throw new Error(`Receipt email ${printId} not found`);
+  }
+
+  if (print.status === 'sent') {
+    return { print_id: print.id, status: 'sent' };
+  }
+
+  try {
+    const type = print.sale_id ? 'sale' : 'order';
+    const document = await findDocument(type, print.sale_id || print.order_id, print.shop_id);
+    const [shop, template] = await Promise.all([
+      db.Shop.findByPk(print.shop_id),
+      exports.getTemplate(print.shop_id)
+    ]);
+
+    const receipt = exports.buildReceipt(type, document, shop, template, { mark: 'copy' });
+    const pdf = await exports.render(receipt, 'pdf');
+
+    const delivery = await getTransport('email').send({
+      to: [print.recipient],
+      subject: `${receipt.title} ${receipt.number} - ${shop.name}`,
+      text: `${receipt.title} ${receipt.number}\n${shop.name}`,
+      html: htmlLayout.render(receipt),
+      attachments: [
+        {
+          filename: pdf.fileName,
+          content: pdf.content,
+          contentType: pdf.contentType
+        }
+      ]
+    });
+
+    await print.update({ status: 'sent', error: null });
+
+    return {
+      print_id: print.id,
+      delivered_to: delivery.delivered_to,
+      reference: delivery.reference
+    };
+  } catch (error) {
+    // The job queue retries until attempts run out; only the last failure is final
+    const willRetry = job.attempts_made < job.max_attempts;
+    await print.update({ status: willRetry ? 'queued' : 'failed', error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Prints, reprints and emails of the receipt of a sale or an order, newest first
+ * @param {string} type - sale or order
+ * @param {string} id - Sale or order ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Array<Object>>}
+ */
+exports.listPrints = async (type, id, shopId) => {
+  const document = await findDocument(type, id, shopId);
+
+  return db.ReceiptPrint.findAll({
+    where: { [type === 'sale' ? 'sale_id' : 'order_id']: document.id },
+    include: [
+      {
+        model: db.User,
+        as: 'user',
+        attributes: ['id', 'first_name', 'last_name']
+      }
+    ],
+    order: [['created_at', 'DESC']]
+  });
+};
+
+exports.FORMATS = Object.keys(FORMATS);
@@ -0,0 +1,154 @@
+/**
+ * Just enough of the Unicode bidirectional algorithm to print a line of
+ * mixed Persian and Latin text. The font engine shapes and reverses a run of
+ * Persian itself, so a line only has to be cut into right-to-left and
+ * left-to-right runs and the runs put in the order they appear on paper.
+ * Numbers and Latin words inside Persian text stay left to right.
+ */
+
+const MIRRORED = {
+  '(': ')',
+  ')': '(',
+  '[': ']',
+  ']': '[',
+  '{': '}',
+  '}': '{',
+  '<': '>',
+  '>': '<',
+  '«': '»',
+  '»': '«'
+};
+
+/**
+ * Whether a character belongs to a right-to-left script. Arabic-Indic and
+ * Persian digits and the Arabic number separators read left to right.
+ * @param {number} code - Code point
+ * @returns {boolean}
+ */
+const isRtl = (code) => {
+  if ((code >= 0x0660 && code <= 0x066C) || (code >= 0x06F0 && code <= 0x06F9)) {
+    return false;
+  }
+  return (code >= 0x0590 && code <= 0x08FF)
+    || (code >= 0xFB1D && code <= 0xFDFF)
+    || (code >= 0xFE70 && code <= 0xFEFF)
+    // Zero-width non-joiner, used inside Persian words, and the RTL mark
+    || code === 0x200C
+    || code === 0x200F;
+};
+
+/**
+ * Strong direction of a character: R, L, or N when it takes the direction
+ * of its surroundings (spaces, punctuation, number separators)
+ * @param {string} char - One character
+ * @returns {string}
+ */
+const classify = (char) => {
+  const code = char.codePointAt(0);
+  if (isRtl(code)) {
+    return 'R';
+  }
+  if ((code >= 0x0660 && code <= 0x0669) || (code >= 0x06F0 && code <= 0x06F9)) {
+    return 'L';
+  }
+  return /[\p{L}\p{N}]/u.test(char) ? 'L' : 'N';
+};
+
+/**
+ * Whether the first digit or letter of a run is an Arabic-Indic or Persian
+ * digit, which makes the font engine lay the whole run out right to left
+ * @param {Array<string>} chars - Characters of the run
+ * @returns {boolean}
+ */
+const startsWithArabicDigit = (chars) => {
+  const first = chars.find(char => /[\p{L}\p{N}]/u.test(char) && !/[0-9]/.test(char));
+  if (!first) {
+    return false;
+  }
+  const code = first.codePointAt(0);
+  return (code >= 0x0660 && code <= 0x0669) || (code >= 0x06F0 && code <= 0x06F9);
+};
+
+/**
+ * Direction of a paragraph from its first strong character
+ * @param {string} text
+ * @returns {string} - rtl or ltr
+ */
+const detectDirection = (text) => {
+  for (const char of text) {
+    const type = classify(char);
+    if (type !== 'N') {
+      return type === 'R' ? 'rtl' : 'ltr';
+    }
+  }
+  return 'ltr';
+};
+
+/**
+ * Cut a line into runs of one direction, in the order they are printed from
+ * left to right. Each run's text is ready for the font engine, which shapes
+ * and reverses runs of Persian itself.
+ * @param {string} text - One line of text
+ * @param {string} [direction] - rtl or ltr; taken from the text when omitted
+ * @returns {Array<{text: string, rtl: boolean}>}
+ */
+const visualRuns = (text, direction = detectDirection(text)) => {
+  const chars = [...text];
+  const types = chars.map(classify);
+  const base = direction === 'rtl' ? 'R' : 'L';
+
+  // A neutral takes the direction of the text around it when both sides
+  // agree, and the paragraph's direction otherwise
+  const resolved = types.map((type, index) => {
+    if (type !== 'N') {
+      return type;
+    }
+    let before = base;
+    for (let i = index - 1; i >= 0; i -= 1) {
+      if (types[i] !== 'N') {
+        before = types[i];
+        break;
+      }
+    }
+    let after = base;
+    for (let i = index + 1; i < types.length; i += 1) {
+      if (types[i] !== 'N') {
+        after = types[i];
+        break;
+      }
+    }
+    return before === after ? before : base;
+  });
+
+  const runs = [];
+  chars.forEach((char, index) => {
+    const rtl = resolved[index] === 'R';
+    const last = runs[runs.length - 1];
+    if (last && last.rtl === rtl) {
+      last.text += char;
+    } else {
+      runs.push({ text: char, rtl });
+    }
+  });
+
+  runs.forEach((run) => {
+    const chars = [...run.text];
+    if (run.rtl) {
+      // Brackets face the other way in right-to-left text. A run without any
+      // Persian letter is not reversed by the font engine, so reverse it here.
+      const mirrored = chars.map(char => MIRRORED[char] || char);
+      run.text = (chars.some(char => classify(char) === 'R') ? mirrored : mirrored.reverse()).join('');
+    } else if (startsWithArabicDigit(chars)) {
+      // The font engine takes a number in Persian digits for Arabic script
+      // and reverses it; reverse it first so it comes out the right way round
+      run.text = chars.reverse().join('');
+    }
+  });
+
+  return direction === 'rtl' ? runs.reverse() : runs;
+};
+
+module.exports = {
+  detectDirection,
+  visualRuns
+};
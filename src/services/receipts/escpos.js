@@ -0,0 +1,373 @@
+const fontkit = require('fontkit');
+const config = require('../../config');
+const { visualRuns } = require('./bidi');
+
+// Printable width of each paper in dots (203 dpi) and in Font A characters
+const PAPERS = {
+  '80mm': { dots: 576, chars: 48, size: 22 },
+  '58mm': { dots: 384, chars: 32, size: 18 }
+};
+
+const MARGIN = 4;
+
+const ESC = 0x1B;
+const GS = 0x1D;
+
+let font = null;
+
+/**
+ * Load the receipt font once. Printers have no Persian glyphs of their own,
+ * so with a font configured every line is drawn here and sent as an image.
+ * @returns {Object|null} - fontkit font, or null when none is configured
+ */
+const getFont = () => {
+  if (!font && config.pdf.fontPath) {
+    font = fontkit.openSync(config.pdf.fontPath);
+  }
+  return font;
+};
+
+/**
+ * Lay out a line of text at a pixel size
+ * @param {string} text
+ * @param {string} direction - rtl or ltr
+ * @param {number} size - Font size in dots
+ * @returns {{runs: Array<Object>, width: number}}
+ */
+const layout = (text, direction, size) => {
+  const scale = size / getFont().unitsPerEm;
+  const runs = visualRuns(text, direction).map((run) => {
+    const glyphRun = getFont().layout(run.text);
+    const width = glyphRun.positions.reduce((sum, position) => sum + position.xAdvance, 0) * scale;
+    return { glyphRun, width };
+  });
+  return { runs, width: runs.reduce((sum, run) => sum + run.width, 0) };
+};
+
+/**
+ * Lay out a line of text, shortened with an ellipsis to fit a width
+ * @param {string} text
+ * @param {string} direction - rtl or ltr
+ * @param {number} size - Font size in dots
+ * @param {number} maxWidth - Width available in dots
+ * @returns {{runs: Array<Object>, width: number}}
+ */
+const layoutToFit = (text, direction, size, maxWidth) => {
+  let laid = layout(text, direction, size);
+  let chars = [...text];
+  while (laid.width > maxWidth && chars.length > 1) {
+    chars = chars.slice(0, -1);
+    laid = layout(`${chars.join('')}…`, direction, size);
+  }
+  return laid;
+};
+
+/**
+ * Outline edges of the glyphs of a laid out line, in band coordinates.
+ * Curves are flattened into short straight segments.
+ * @param {Object} laid - Result of layout()
+ * @param {number} x - Left edge of the text
+ * @param {number} baseline - Baseline from the top of the band
+ * @param {number} size - Font size in dots
+ * @returns {Array<Array<number>>} - Edges as [x0, y0, x1, y1]
+ */
+const outline = (laid, x, baseline, size) => {
+  const scale = size / getFont().unitsPerEm;
+  const edges = [];
+  let penX = x;
+
+  laid.runs.forEach(({ glyphRun }) => {
+    glyphRun.glyphs.forEach((glyph, index) => {
+      const position = glyphRun.positions[index];
+      const originX = penX + position.xOffset * scale;
+      const originY = baseline - position.yOffset * scale;
+      const toX = value => originX + value * scale;
+      const toY = value => originY - value * scale;
+
+      let startX = 0;
+      let startY = 0;
+      let currentX = 0;
+      let currentY = 0;
+
+      const lineTo = (nextX, nextY) => {
+        edges.push([currentX, currentY, nextX, nextY]);
+        currentX = nextX;
+        currentY = nextY;
+      };
+
+      glyph.path.commands.forEach(({ command, args }) => {
+        if (command === 'moveTo') {
+          if (currentX !== startX || currentY !== startY) {
+            lineTo(startX, startY);
+          }
+          startX = toX(args[0]);
+          startY = toY(args[1]);
+          currentX = startX;
+          currentY = startY;
+        } else if (command === 'lineTo') {
+          lineTo(toX(args[0]), toY(args[1]));
+        } else if (command === 'quadraticCurveTo') {
+          const [cx, cy, ex, ey] = [toX(args[0]), toY(args[1]), toX(args[2]), toY(args[3])];
+          const [sx, sy] = [currentX, currentY];
+          for (let step = 1; step <= 6; step += 1) {
+            const t = step / 6;
+            const u = 1 - t;
+            lineTo(u * u * sx + 2 * u * t * cx + t * t * ex, u * u * sy + 2 * u * t * cy + t * t * ey);
+          }
+        } else if (command === 'bezierCurveTo') {
+          const [c1x, c1y, c2x, c2y, ex, ey] = args.map((value, i) => (i % 2 === 0 ? toX(value) : toY(value)));
+          const [sx, sy] = [currentX, currentY];
+          for (let step = 1; step <= 8; step += 1) {
+            const t = step / 8;
+            const u = 1 - t;
+            lineTo(
+              u * u * u * sx + 3 * u * u * t * c1x + 3 * u * t * t * c2x + t * t * t * ex,
+              u * u * u * sy + 3 * u * u * t * c1y + 3 * u * t * t * c2y + t * t * t * ey
+            );
+          }
+        } else if (command === 'closePath') {
+          lineTo(startX, startY);
+        }
+      });
+
+      if (currentX !== startX || currentY !== startY) {
+        lineTo(startX, startY);
+      }
+
+      penX += position.xAdvance * scale;
+    });
+  });
+
+  return edges;
+};
+
+/**
+ * Fill outlines into a band with the non-zero winding rule, sampling each
+ * dot at its centre
+ * @param {Object} band - { width, height, dots }
+ * @param {Array<Array<number>>} edges - Edges as [x0, y0, x1, y1]
+ */
+const fill = (band, edges) => {
+  for (let row = 0; row < band.height; row += 1) {
+    const y = row + 0.5;
+    const crossings = [];
+
+    edges.forEach(([x0, y0, x1, y1]) => {
+      if ((y0 <= y && y1 > y) || (y1 <= y && y0 > y)) {
+        crossings.push({ x: x0 + (y - y0) * (x1 - x0) / (y1 - y0), winding: y1 > y0 ? 1 : -1 });
+      }
+    });
+
+    crossings.sort((a, b) => a.x - b.x);
+
+    let winding = 0;
+    let spanStart = 0;
+    crossings.forEach(({ x, winding: direction }) => {
+      const before = winding;
+      winding += direction;
+      if (before === 0 && winding !== 0) {
+        spanStart = x;
+      } else if (before !== 0 && winding === 0) {
+        const from = Math.max(Math.ceil(spanStart - 0.5), 0);
+        const to = Math.min(Math.ceil(x - 0.5), band.width);
+        band.dots.fill(1, row * band.width + from, row * band.width + to);
+      }
+    });
+  }
+};
+
+/**
+ * Thicken the strokes of a band by one dot, for bold lines
+ * @param {Object} band - { width, height, dots }
+ */
+const embolden = (band) => {
+  for (let row = 0; row < band.height; row += 1) {
+    for (let column = band.width - 1; column > 0; column -= 1) {
+      const index = row * band.width + column;
+      if (band.dots[index - 1]) {
+        band.dots[index] = 1;
+      }
+    }
+  }
+};
+
+/**
+ * Draw one receipt line into a band of dots
+ * @param {Object} line - { start, end, center, size, strong }
+ * @param {string} direction - rtl or ltr
+ * @param {number} width - Paper width in dots
+ * @param {number} baseSize - Body font size in dots
+ * @returns {Object} - { width, height, dots }
+ */
+const drawLine = (line, direction, width, baseSize) => {
+  const size = line.size || baseSize;
+  const height = Math.ceil(size * 1.4);
+  const band = { width, height, dots: new Uint8Array(width * height) };
+  const baseline = Math.round(size * 1.05);
+  const inner = width - MARGIN * 2;
+  const edges = [];
+
+  if (line.center !== undefined) {
+    const laid = layoutToFit(line.center, direction, size, inner);
+    edges.push(...outline(laid, MARGIN + (inner - laid.width) / 2, baseline, size));
+  } else {
+    // The value keeps its full width; the label gets what is left
+    const end = line.end !== undefined ? layoutToFit(line.end, direction, size, inner) : null;
+    const gap = end ? size / 2 : 0;
+    const start = line.start !== undefined
+      ? layoutToFit(line.start, direction, size, inner - (end ? end.width : 0) - gap)
+      : null;
+
+    const rtl = direction === 'rtl';
+    if (start) {
+      edges.push(...outline(start, rtl ? width - MARGIN - start.width : MARGIN, baseline, size));
+    }
+    if (end) {
+      edges.push(...outline(end, rtl ? MARGIN : width - MARGIN - end.width, baseline, size));
+    }
+  }
+
+  fill(band, edges);
+  if (line.strong) {
+    embolden(band);
+  }
+  return band;
+};
+
+/**
+ * ESC/POS command printing a band of dots (GS v 0)
+ * @param {Object} band - { width, height, dots }
+ * @returns {Buffer}
+ */
+const rasterCommand = (band) => {
+  const bytesPerRow = Math.ceil(band.width / 8);
+  const data = Buffer.alloc(bytesPerRow * band.height);
+
+  for (let row = 0; row < band.height; row += 1) {
+    for (let column = 0; column < band.width; column += 1) {
+      if (band.dots[row * band.width + column]) {
+        data[row * bytesPerRow + (column >> 3)] |= 0x80 >> (column & 7);
+      }
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xFF, bytesPerRow >> 8, band.height & 0xFF, band.height >> 8]),
+    data
+  ]);
+};
+
+/**
+ * Band with a horizontal rule across the paper
+ * @param {number} width - Paper width in dots
+ * @returns {Object} - { width, height, dots }
+ */
+const ruleBand = (width) => {
+  const height = 12;
+  const dots = new Uint8Array(width * height);
+  dots.fill(1, 5 * width + MARGIN, 5 * width + width - MARGIN);
+  dots.fill(1, 6 * width + MARGIN, 6 * width + width - MARGIN);
+  return { width, height, dots };
+};
+
+/**
+ * Text of a line for printers driven in text mode, padded to the paper.
+ * Only ASCII is sent; other characters print as '?'.
+ * @param {Object} line - { start, end, center }
+ * @param {number} chars - Characters per line
+ * @returns {string}
+ */
+const textLine = (line, chars) => {
+  const ascii = value => String(value).replace(/[^\x20-\x7E]/g, '?');
+  if (line.center !== undefined) {
+    return ascii(line.center).slice(0, chars);
+  }
+  const end = line.end !== undefined ? ascii(line.end) : '';
+  const start = line.start !== undefined ? ascii(line.start).slice(0, Math.max(chars - end.length - 1, 0)) : '';
+  return `${start}${' '.repeat(Math.max(chars - start.length - end.length, 1))}${end}`;
+};
+
+/**
+ * Lines of a thermal receipt: the shop's header, the document's details,
+ * one block per item, the totals and the footer
+ * @param {Object} receipt - Receipt built by the receipt service
+ * @param {number} baseSize - Body font size in dots
+ * @returns {Array<Object>} - Lines ({ center } or { start, end }) and rules ({ rule: true })
+ */
+const toLines = (receipt, baseSize) => {
+  const lines = [];
+  const rule = { rule: true };
+
+  lines.push({ center: receipt.shop.name, size: Math.round(baseSize * 1.35), strong: true });
+  receipt.shop.lines.forEach(text => lines.push({ center: text }));
+  receipt.header_lines.forEach(text => lines.push({ center: text }));
+  receipt.tax_lines.forEach(text => lines.push({ center: text }));
+  lines.push(rule);
+
+  lines.push({ center: receipt.title, strong: true });
+  if (receipt.mark) {
+    lines.push({ center: receipt.mark, strong: true });
+  }
+  receipt.details.forEach(({ label, value }) => lines.push({ start: label, end: value }));
+  lines.push(rule);
+
+  receipt.items.forEach((item) => {
+    lines.push({ start: item.name });
+    lines.push({ start: `  ${item.quantity} × ${item.unit_price}`, end: item.total });
+    if (item.discounted) {
+      lines.push({ start: `  ${receipt.labels.discount}`, end: item.discount });
+    }
+  });
+  lines.push(rule);
+
+  receipt.totals.forEach(({ label, value, strong }) => lines.push({ start: label, end: value, strong }));
+
+  if (receipt.payments.length > 0) {
+    lines.push(rule);
+    receipt.payments.forEach(({ label, value, strong }) => lines.push({ start: label, end: value, strong }));
+  }
+
+  if (receipt.footer_lines.length > 0) {
+    lines.push(rule);
+    receipt.footer_lines.forEach(text => lines.push({ center: text }));
+  }
+
+  return lines;
+};
+
+/**
+ * Render a receipt as ESC/POS commands for a thermal printer. With a font
+ * configured each line is sent as an image so Persian prints on any printer;
+ * without one the receipt is sent as plain text.
+ * @param {Object} receipt - Receipt built by the receipt service
+ * @param {Object} [options]
+ * @param {string} [options.paperWidth] - 80mm or 58mm
+ * @returns {Buffer}
+ */
+exports.render = (receipt, { paperWidth = '80mm' } = {}) => {
+  const paper = PAPERS[paperWidth] || PAPERS['80mm'];
+  const lines = toLines(receipt, paper.size);
+
+  // Initialise the printer and print from the left edge
+  const commands = [Buffer.from([ESC, 0x40, ESC, 0x61, 0x00])];
+
+  if (getFont()) {
+    lines.forEach((line) => {
+      const band = line.rule
+        ? ruleBand(paper.dots)
+        : drawLine(line, receipt.direction, paper.dots, paper.size);
+      commands.push(rasterCommand(band));
+    });
+  } else {
+    lines.forEach((line) => {
+      const text = line.rule ? '-'.repeat(paper.chars) : textLine(line, paper.chars);
+      commands.push(Buffer.from([ESC, 0x45, line.strong ? 1 : 0]));
+      commands.push(Buffer.from(`${text}\n`, 'ascii'));
+    });
+  }
+
+  // Feed past the cutter and cut, leaving a tab of paper
+  commands.push(Buffer.from([ESC, 0x64, 0x04, GS, 0x56, 0x42, 0x00]));
+
+  return Buffer.concat(commands);
+};
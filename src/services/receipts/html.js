@@ -0,0 +1,104 @@
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+const escape = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render a receipt as a standalone HTML page. The browser lays out right to
+ * left text itself; the page prints on A4 or on a receipt printer's paper.
+ * @param {Object} receipt - Receipt built by the receipt service
+ * @returns {string}
+ */
+exports.render = (receipt) => {
+  const { direction } = receipt;
+  const end = direction === 'rtl' ? 'left' : 'right';
+
+  const logo = receipt.shop.logo_data_uri
+    ? `<img class="logo" src="${receipt.shop.logo_data_uri}" alt="">`
+    : '';
+
+  const lines = (texts, className) => texts
+    .map(text => `<div class="${className}">${escape(text)}</div>`)
+    .join('\n');
+
+  const details = receipt.details
+    .map(({ label, value }) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`)
+    .join('\n');
+
+  const heading = receipt.columns
+    .map(column => `<th>${escape(column.label)}</th>`)
+    .join('');
+
+  const rows = receipt.items
+    .map(item => `<tr>${receipt.columns
+      .map(column => `<td${column.numeric ? ' class="num"' : ''}>${escape(item[column.key])}</td>`)
+      .join('')}</tr>`)
+    .join('\n');
+
+  const amounts = entries => entries
+    .map(({ label, value, strong }) => `<tr${strong ? ' class="strong"' : ''}><th>${escape(label)}</th><td>${escape(value)}</td></tr>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${receipt.locale}" dir="${direction}">
+<head>
+<meta charset="utf-8">
+<title>${escape(receipt.title)} ${escape(receipt.number)}</title>
+<style>
+  body { font-family: Vazirmatn, Tahoma, sans-serif; font-size: 13px; color: #000; max-width: 800px; margin: 0 auto; padding: 16px; }
+  .logo { max-width: 96px; max-height: 96px; }
+  .shop-name { font-size: 20px; font-weight: bold; }
+  .muted { color: #444; }
+  .tax-line { font-size: 11px; }
+  h1 { font-size: 18px; text-align: center; margin: 16px 0 4px; }
+  .mark { text-align: center; color: #b00020; font-weight: bold; }
+  table { border-collapse: collapse; width: 100%; margin-top: 12px; }
+  .details th { text-align: start; color: #444; font-weight: normal; width: 20%; }
+  .items th { background: #eee; padding: 4px; }
+  .items td { border-bottom: 1px solid #ddd; padding: 4px; }
+  .items td.num { text-align: center; white-space: nowrap; }
+  .totals { width: 45%; margin-${end}: 0; margin-${end === 'left' ? 'right' : 'left'}: auto; }
+  .totals th { text-align: start; font-weight: normal; }
+  .totals td { text-align: end; white-space: nowrap; }
+  .totals tr.strong { font-size: 15px; font-weight: bold; }
+  .footer { text-align: center; margin-top: 24px; color: #444; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<header>
+${logo}
+<div class="shop-name">${escape(receipt.shop.name)}</div>
+${lines(receipt.shop.lines, 'muted')}
+${lines(receipt.header_lines, 'header-line')}
+${lines(receipt.tax_lines, 'tax-line')}
+</header>
+<h1>${escape(receipt.title)}</h1>
+${receipt.mark ? `<div class="mark">${escape(receipt.mark)}</div>` : ''}
+<table class="details">
+${details}
+</table>
+<table class="items">
+<thead><tr>${heading}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<table class="totals">
+${amounts(receipt.totals)}
+${amounts(receipt.payments)}
+</table>
+<footer class="footer">
+${lines(receipt.footer_lines, 'footer-line')}
+</footer>
+</body>
+</html>
+`;
+};
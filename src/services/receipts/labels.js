@@ -0,0 +1,97 @@
+/**
+ * Fixed wording printed on receipts and invoices, by template locale
+ */
+module.exports = {
+  fa: {
+    sale_title: 'فاکتور فروش',
+    order_title: 'رسید سفارش',
+    reprint: 'نسخه مجدد',
+    copy: 'رونوشت',
+    number: 'شماره',
+    date: 'تاریخ',
+    cashier: 'صندوقدار',
+    customer: 'مشتری',
+    phone: 'تلفن',
+    status: 'وضعیت',
+    delivery_date: 'تاریخ تحویل',
+    shipping_address: 'آدرس ارسال',
+    row: 'ردیف',
+    item: 'شرح کالا',
+    quantity: 'تعداد',
+    unit_price: 'فی',
+    discount: 'تخفیف',
+    tax: 'مالیات',
+    total: 'مبلغ',
+    subtotal: 'جمع کل',
+    item_discounts: 'تخفیف اقلام',
+    invoice_discount: 'تخفیف فاکتور',
+    coupon: 'کد تخفیف',
+    tier_discount: 'تخفیف باشگاه مشتریان',
+    default_tax: 'مالیات بر ارزش افزوده',
+    grand_total: 'مبلغ قابل پرداخت',
+    payments: 'پرداخت‌ها',
+    paid: 'پرداخت شده',
+    change: 'باقی‌مانده پول',
+    balance: 'مانده',
+    on_account: 'به حساب مشتری',
+    payment_methods: {
+      cash: 'نقدی',
+      card: 'کارت',
+      mobile: 'پرداخت موبایلی',
+      credit: 'اعتبار'
+    },
+    order_statuses: {
+      pending: 'در انتظار',
+      processing: 'در حال آماده‌سازی',
+      shipped: 'ارسال شده',
+      delivered: 'تحویل شده',
+      cancelled: 'لغو شده'
+    }
+  },
+  en: {
+    sale_title: 'Sales Invoice',
+    order_title: 'Order Receipt',
+    reprint: 'REPRINT',
+    copy: 'COPY',
+    number: 'No.',
+    date: 'Date',
+    cashier: 'Cashier',
+    customer: 'Customer',
+    phone: 'Phone',
+    status: 'Status',
+    delivery_date: 'Delivery date',
+    shipping_address: 'Ship to',
+    row: '#',
+    item: 'Item',
+    quantity: 'Qty',
+    unit_price: 'Price',
+    discount: 'Discount',
+    tax: 'Tax',
+    total: 'Amount',
+    subtotal: 'Subtotal',
+    item_discounts: 'Item discounts',
+    invoice_discount: 'Invoice discount',
+    coupon: 'Coupon',
+    tier_discount: 'Loyalty tier discount',
+    default_tax: 'VAT',
+    grand_total: 'Total',
+    payments: 'Payments',
+    paid: 'Paid',
+    change: 'Change',
+    balance: 'Balance due',
+    on_account: 'Charged to account',
+    payment_methods: {
+      cash: 'Cash',
+      card: 'Card',
+      mobile: 'Mobile',
+      credit: 'Credit'
+    },
+    order_statuses: {
+      pending: 'Pending',
+      processing: 'Processing',
+      shipped: 'Shipped',
+      delivered: 'Delivered',
+      cancelled: 'Cancelled'
+    }
+  }
+};
@@ -0,0 +1,241 @@
+const PDFDocument = require('pdfkit');
+const config = require('../../config');
+const { visualRuns } = require('./bidi');
+
+// Share of the table width each item column takes
+const COLUMN_WIDTHS = {
+  row: 0.06,
+  name: 0.34,
+  quantity: 0.08,
+  unit_price: 0.14,
+  discount: 0.12,
+  tax: 0.12,
+  total: 0.14
+};
+
+/**
+ * Shorten a text with an ellipsis until it fits a width
+ * @param {PDFDocument} doc
+ * @param {string} text
+ * @param {number} width - Width available in points
+ * @returns {string}
+ */
+const fit = (doc, text, width) => {
+  if (doc.widthOfString(text) <= width) {
+    return text;
+  }
+  let chars = [...text];
+  while (chars.length > 1 && doc.widthOfString(`${chars.join('')}…`) > width) {
+    chars = chars.slice(0, -1);
+  }
+  return `${chars.join('')}…`;
+};
+
+/**
+ * Print one line of text in a box, laying out Persian and Latin runs in the
+ * order they are read
+ * @param {PDFDocument} doc
+ * @param {string} text
+ * @param {Object} box
+ * @param {number} box.x - Left edge
+ * @param {number} box.y - Top edge
+ * @param {number} box.width - Width of the box
+ * @param {string} box.align - start, end or center
+ * @param {string} direction - rtl or ltr
+ */
+const printLine = (doc, text, { x, y, width, align }, direction) => {
+  const runs = visualRuns(fit(doc, String(text), width), direction);
+  const textWidth = runs.reduce((sum, run) => sum + doc.widthOfString(run.text), 0);
+
+  const toRight = (align === 'start' && direction === 'rtl') || (align === 'end' && direction === 'ltr');
+  let cursor = x;
+  if (align === 'center') {
+    cursor = x + (width - textWidth) / 2;
+  } else if (toRight) {
+    cursor = x + width - textWidth;
+  }
+
+  runs.forEach((run) => {
+    doc.text(run.text, cursor, y, { lineBreak: false });
+    cursor += doc.widthOfString(run.text);
+  });
+};
+
+/**
+ * Render a receipt as an A4 invoice
+ * @param {Object} receipt - Receipt built by the receipt service
+ * @returns {Promise<Buffer>}
+ */
+exports.render = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  if (config.pdf.fontPath) {
+    doc.registerFont('Body', config.pdf.fontPath);
+    doc.font('Body');
+  }
+
+  const { direction } = receipt;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  /**
+   * Print a line across the page and move below it
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.size] - Font size
+   * @param {string} [options.align] - start, end or center
+   * @param {string} [options.color] - Text colour
+   */
+  const line = (text, { size = 9, align = 'start', color = '#000000' } = {}) => {
+    doc.fontSize(size).fillColor(color);
+    printLine(doc, text, { x: left, y: doc.y, width, align }, direction);
+    doc.fillColor('#000000');
+    doc.y += size * 1.5;
+  };
+
+  /**
+   * Start a new page when the next block would not fit
+   * @param {number} height - Height needed
+   */
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom) {
+      doc.addPage();
+    }
+  };
+
+  // Header: the logo on the reading-start side, the shop's details under it
+  const top = doc.y;
+  if (receipt.shop.logo_path) {
+    try {
+      const logoX = direction === 'rtl' ? left + width - 70 : left;
+      doc.image(receipt.shop.logo_path, logoX, top, { fit: [70, 70] });
+      doc.y = top + 76;
+    } catch (error) {
+      // An unreadable or unsupported image leaves the header without a logo
+      doc.y = top;
+    }
+  }
+
+  line(receipt.shop.name, { size: 16 });
+  receipt.shop.lines.forEach(text => line(text, { color: '#444444' }));
+  receipt.header_lines.forEach(text => line(text));
+  receipt.tax_lines.forEach(text => line(text, { size: 8 }));
+
+  doc.y += 6;
+  line(receipt.title, { size: 14, align: 'center' });
+  if (receipt.mark) {
+    line(receipt.mark, { size: 11, align: 'center', color: '#b00020' });
+  }
+  doc.y += 4;
+
+  // Details in two columns: label at the start, value after it
+  receipt.details.forEach(({ label, value }) => {
+    ensureSpace(14);
+    const y = doc.y;
+    const labelWidth = width * 0.2;
+    doc.fontSize(9).fillColor('#444444');
+    printLine(doc, label, {
+      x: direction === 'rtl' ? left + width - labelWidth : left,
+      y,
+      width: labelWidth,
+      align: 'start'
+    }, direction);
+    doc.fillColor('#000000');
+    printLine(doc, value, {
+      x: direction === 'rtl' ? left : left + labelWidth,
+      y,
+      width: width - labelWidth,
+      align: 'start'
+    }, direction);
+    doc.y = y + 14;
+  });
+
+  doc.y += 8;
+
+  // Items table; columns run from the reading-start side
+  const columns = receipt.columns;
+  const share = columns.reduce((sum, column) => sum + COLUMN_WIDTHS[column.key], 0);
+  let offset = 0;
+  const placed = columns.map((column) => {
+    const columnWidth = width * COLUMN_WIDTHS[column.key] / share;
+    const x = direction === 'rtl' ? left + width - offset - columnWidth : left + offset;
+    offset += columnWidth;
+    return { ...column, x, width: columnWidth };
+  });
+
+  /**
+   * Print one row of the items table
+   * @param {Object} cells - Text by column key
+   * @param {boolean} [heading] - Whether this is the heading row
+   */
+  const printRow = (cells, heading = false) => {
+    ensureSpace(18);
+    const y = doc.y;
+    if (heading) {
+      doc.rect(left, y - 3, width, 16).fill('#eeeeee').fillColor('#000000');
+    }
+    doc.fontSize(8);
+    placed.forEach((column) => {
+      printLine(doc, cells[column.key], {
+        x: column.x + 2,
+        y,
+        width: column.width - 4,
+        align: column.numeric || heading ? 'center' : 'start'
+      }, direction);
+    });
+    doc.y = y + 16;
+  };
+
+  const heading = columns.reduce((cells, column) => ({ ...cells, [column.key]: column.label }), {});
+  printRow(heading, true);
+  receipt.items.forEach((item) => {
+    if (doc.y + 18 > bottom) {
+      doc.addPage();
+      printRow(heading, true);
+    }
+    printRow(item);
+  });
+
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#999999').stroke();
+  doc.y += 8;
+
+  // Totals and payments on the reading-end side
+  const blockWidth = width * 0.45;
+  const blockX = direction === 'rtl' ? left : left + width - blockWidth;
+
+  /**
+   * Print a label and amount in the totals block
+   * @param {string} label
+   * @param {string} value
+   * @param {boolean} [strong] - Print larger
+   */
+  const printAmount = (label, value, strong = false) => {
+    ensureSpace(16);
+    const y = doc.y;
+    doc.fontSize(strong ? 11 : 9);
+    printLine(doc, label, { x: blockX, y, width: blockWidth, align: 'start' }, direction);
+    printLine(doc, value, { x: blockX, y, width: blockWidth, align: 'end' }, direction);
+    doc.y = y + (strong ? 18 : 14);
+  };
+
+  receipt.totals.forEach(({ label, value, strong }) => printAmount(label, value, strong));
+
+  if (receipt.payments.length > 0) {
+    doc.y += 6;
+    receipt.payments.forEach(({ label, value, strong }) => printAmount(label, value, strong));
+  }
+
+  if (receipt.footer_lines.length > 0) {
+    doc.y += 16;
+    ensureSpace(receipt.footer_lines.length * 14);
+    receipt.footer_lines.forEach(text => line(text, { align: 'center', color: '#444444' }));
+  }
+
+  doc.end();
+});
@@ -0,0 +1,443 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/pricing');
+const salePaymentService = require('./salePayment.service');
+
+// Aging buckets by days since the invoice; the last has no upper bound
+const AGING_BUCKETS = [
+  { key: '0_30', from: 0, to: 30 },
+  { key: '31_60', from: 31, to: 60 },
+  { key: '61_90', from: 61, to: 90 },
+  { key: '90_plus', from: 91, to: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days from one instant to a later one
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+const daysBetween = (from, to) => Math.max(Math.floor((to - new Date(from)) / DAY_MS), 0);
+
+/**
+ * An empty set of aging buckets
+ * @returns {Object}
+ */
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {});
+
+/**
+ * Key of the aging bucket an invoice of a given age falls in
+ * @param {number} days - Days since the invoice
+ * @returns {string}
+ */
+const bucketOf = days => AGING_BUCKETS.find(bucket => days >= bucket.from && days <= bucket.to).key;
+
+/**
+ * Completed payments per sale, optionally only those made up to an instant
+ * @param {string[]} saleIds - Sale IDs
+ * @param {Object} [options]
+ * @param {Date} [options.until] - Ignore payments after this instant
+ * @param {import('sequelize').Transaction} [options.transaction] - Active transaction
+ * @returns {Promise<Map<string, number>>}
+ */
+const sumPayments = async (saleIds, { until, transaction } = {}) => {
+  if (saleIds.length === 0) {
+    return new Map();
+  }
+
+  const where = { sale_id: { [Op.in]: saleIds }, status: 'completed' };
+  if (until) {
+    where.payment_date = { [Op.lte]: until };
+  }
+
+  const rows = await db.Payment.findAll({
+    where,
+    attributes: [
+      'sale_id',
+      [db.sequelize.fn('SUM', db.sequelize.col('amount')), 'paid']
+    ],
+    group: ['sale_id'],
+    raw: true,
+    transaction
+  });
+
+  return new Map(rows.map(row => [row.sale_id, parseFloat(row.paid)]));
+};
+
+/**
+ * A customer's invoices on account in a shop that still have something to
+ * pay, oldest first
+ * @param {string} shopId - Shop ID
+ * @param {string} customerId - Customer ID
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Lock the sales until the transaction ends
+ * @param {import('sequelize').Transaction} [options.transaction] - Active transaction
+ * @returns {Promise<Array<{sale: Object, paid: number, balance: number}>>}
+ */
+exports.getOpenInvoices = async (shopId, customerId, { lock, transaction } = {}) => {
+  const sales = await db.Sale.findAll({
+    where: {
+      shop_id: shopId,
+      customer_id: customerId,
+      on_account: true,
+      payment_status: { [Op.in]: ['unpaid', 'partial'] }
+    },
+    order: [['sale_date', 'ASC'], ['invoice_number', 'ASC']],
+    lock: lock ? transaction.LOCK.UPDATE : undefined,
+    transaction
+  });
+
+  const paid = await sumPayments(sales.map(sale => sale.id), { transaction });
+
+  return sales
+    .map(sale => ({
+      sale,
+      paid: paid.get(sale.id) || 0,
+      balance: roundMoney(parseFloat(sale.total_amount) - (paid.get(sale.id) || 0))
+    }))
+    .filter(invoice => invoice.balance > 0);
+};
+
+/**
+ * What a customer owes a shop on account
+ * @param {string} shopId - Shop ID
+ * @param {string} customerId - Customer ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<number>}
+ */
+exports.getOutstanding = async (shopId, customerId, transaction) => {
+  const invoices = await exports.getOpenInvoices(shopId, customerId, { transaction });
+  return roundMoney(invoices.reduce((sum, invoice) => sum + invoice.balance, 0));
+};
+
+/**
+ * A customer's account with a shop: their credit limit, what they owe, what
+ * they can still charge and the invoices left to pay with their age
+ * @param {string} shopId - Shop ID
+ * @param {Object} customer - Customer
+ * @returns {Promise<Object>}
+ */
+exports.getAccount = async (shopId, customer) => {
+  const invoices = await exports.getOpenInvoices(shopId, customer.id);
+  const now = new Date();
+
+  const balance = roundMoney(invoices.reduce((sum, invoice) => sum + invoice.balance, 0));
+  const creditLimit = customer.credit_limit === null ? null : parseFloat(customer.credit_limit);
+
+  return {
+    credit_limit: creditLimit,
+    balance,
+    available_credit: creditLimit === null ? 0 : Math.max(roundMoney(creditLimit - balance), 0),
+    open_invoices: invoices.map(({ sale, paid, balance: left }) => {
+      const days = daysBetween(sale.sale_date, now);
+      return {
+        sale_id: sale.id,
+        invoice_number: sale.invoice_number,
+        sale_date: sale.sale_date,
+        total_amount: sale.total_amount,
+        paid,
+        balance: left,
+        payment_status: sale.payment_status,
+        days_outstanding: days,
+        aging_bucket: bucketOf(days)
+      };
+    })
+  };
+};
+
+/**
+ * Check that a customer owes a shop no more than their credit limit. Call it
+ * after charging a sale to their account, with the customer locked so two
+ * charges cannot both take the last of the limit.
+ * @param {Object} customer - Customer, locked in the transaction
+ * @param {string} shopId - Shop ID
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<number>} - What the customer now owes
+ */
+exports.checkCreditLimit = async (customer, shopId, transaction) => {
+  if (customer.credit_limit === null || customer.credit_limit === undefined) {
+    throw new AppError('This customer cannot buy on account; set a credit limit first', 400, 'CREDIT_NOT_ALLOWED');
+  }
+
+  const outstanding = await exports.getOutstanding(shopId, customer.id, transaction);
+
+  if (outstanding > parseFloat(customer.credit_limit)) {
+    throw new AppError(
+      `This would take the customer's account to ${outstanding}, over their credit limit of ${customer.credit_limit}`,
+      400,
+      'CREDIT_LIMIT_EXCEEDED'
+    );
+  }
+
+  return outstanding;
+};
+
+/**
+ * Take a repayment from a customer and pay it towards their open invoices:
+ * the ones given, or else the oldest first
+ * @param {string} shopId - Shop ID
+ * @param {string} customerId - Customer ID
+ * @param {Object} data
+ * @param {number} data.amount - Amount repaid
+ * @param {string} data.payment_method - cash, card, mobile or credit
+ * @param {string} [data.reference_number] - Reference of the payment
+ * @param {string} [data.notes] - Notes
+ * @param {Array<{sale_id: string, amount: number}>} [data.allocations] - How to spread the amount
+ * @param {string} userId - User taking the repayment
+ * @returns {Promise<{repayment: Object, allocations: Array<Object>, balance: number}>}
+ */
+exports.recordRepayment = async (shopId, customerId, {
+  amount, payment_method, reference_number, notes, allocations
+}, userId) => db.sequelize.transaction(async (t) => {
+  // Repayments and charges of a customer take turns
+  const customer = await db.Customer.findByPk(customerId, {
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  const invoices = await exports.getOpenInvoices(shopId, customerId, { lock: true, transaction: t });
+  const outstanding = roundMoney(invoices.reduce((sum, invoice) => sum + invoice.balance, 0));
+
+  if (amount > outstanding) {
+    throw new AppError(`The customer owes ${outstanding}; a repayment cannot be more than that`, 400, 'REPAYMENT_EXCEEDS_BALANCE');
+  }
+
+  let plan;
+  if (allocations && allocations.length > 0) {
+    const allocated = roundMoney(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    if (allocated !== roundMoney(amount)) {
+      throw new AppError(`Allocations add up to ${allocated}, not the ${amount} repaid`, 400, 'INVALID_ALLOCATION');
+    }
+
+    plan = allocations.map((allocation) => {
+      const invoice = invoices.find(candidate => candidate.sale.id === allocation.sale_id);
+      if (!invoice) {
+        throw new AppError(`Sale ${allocation.sale_id} is not an open invoice on this customer's account`, 400, 'INVALID_ALLOCATION');
+      }
+      if (allocation.amount > invoice.balance) {
+        throw new AppError(`Only ${invoice.balance} is left to pay on ${invoice.sale.invoice_number}`, 400, 'INVALID_ALLOCATION');
+      }
+      return { invoice, amount: allocation.amount };
+    });
+  } else {
+    let left = roundMoney(amount);
+    plan = [];
+    for (const invoice of invoices) {
+      if (left <= 0) {
+        break;
+      }
+      const share = Math.min(invoice.balance, left);
+      plan.push({ invoice, amount: share });
+      left = roundMoney(left - share);
+    }
+  }
+
+  const repayment = await db.CustomerRepayment.create({
+    shop_id: shopId,
+    customer_id: customerId,
+    amount,
+    payment_method,
+    reference_number,
+    notes,
+    user_id: userId
+  }, { transaction: t });
+
+  const applied = [];
+  for (const { invoice, amount: share } of plan) {
+    const settlement = await salePaymentService.recordPayments(invoice.sale, [{
+      payment_method,
+      amount: share,
+      reference_number
+    }], {
+      userId,
+      repaymentId: repayment.id,
+      transaction: t
+    });
+
+    applied.push({
+      sale_id: invoice.sale.id,
+      invoice_number: invoice.sale.invoice_number,
+      amount: share,
+      balance: settlement.balance,
+      payment_status: settlement.paymentStatus
+    });
+  }
+
+  return {
+    repayment,
+    allocations: applied,
+    balance: roundMoney(outstanding - amount)
+  };
+});
+
+/**
+ * What each customer owed a shop on account at an instant, split by how long
+ * the invoices had been open
+ * @param {string} shopId - Shop ID
+ * @param {Object} [query]
+ * @param {string} [query.as_of] - Age the invoices as of this date instead of now
+ * @returns {Promise<Object>}
+ */
+exports.buildAgingReport = async (shopId, query = {}) => {
+  const asOf = query.as_of ? new Date(query.as_of) : new Date();
+
+  // Invoices still open, and those settled since the date: a sale's
+  // updated_at moves on when its last payment lands
+  const sales = await db.Sale.findAll({
+    where: {
+      shop_id: shopId,
+      on_account: true,
+      sale_date: { [Op.lte]: asOf },
+      [Op.or]: [
+        { payment_status: { [Op.in]: ['unpaid', 'partial'] } },
+        { payment_status: 'paid', updated_at: { [Op.gt]: asOf } }
+      ]
+    },
+    include: [
+      {
+        model: db.Customer,
+        as: 'customer',
+        attributes: ['id', 'first_name', 'last_name', 'phone', 'credit_limit']
+      }
+    ],
+    order: [['sale_date', 'ASC']]
+  });
+
+  const paid = await sumPayments(sales.map(sale => sale.id), { until: asOf });
+
+  const customers = new Map();
+  const totals = { ...emptyBuckets(), total: 0 };
+
+  sales.forEach((sale) => {
+    const balance = roundMoney(parseFloat(sale.total_amount) - (paid.get(sale.id) || 0));
+    if (balance <= 0) {
+      return;
+    }
+
+    if (!customers.has(sale.customer_id)) {
+      customers.set(sale.customer_id, {
+        customer: sale.customer,
+        ...emptyBuckets(),
+        total: 0,
+        oldest_invoice_date: sale.sale_date
+      });
+    }
+
+    const row = customers.get(sale.customer_id);
+    const bucket = bucketOf(daysBetween(sale.sale_date, asOf));
+    row[bucket] = roundMoney(row[bucket] + balance);
+    row.total = roundMoney(row.total + balance);
+    totals[bucket] = roundMoney(totals[bucket] + balance);
+    totals.total = roundMoney(totals.total + balance);
+  });
+
+  return {
+    as_of: asOf,
+    buckets: AGING_BUCKETS.map(bucket => bucket.key),
+    customers: [...customers.values()].sort((a, b) => b.total - a.total),
+    totals
+  };
+};
+
+/**
+ * A customer's statement of account in a shop: the balance brought forward,
+ * every charge and payment in the period with the running balance, and the
+ * balance carried forward
+ * @param {string} shopId - Shop ID
+ * @param {Object} customer - Customer
+ * @param {Object} [query]
+ * @param {string} [query.start_date] - Start of the period; from the first charge when omitted
+ * @param {string} [query.end_date] - End of the period; up to now when omitted
+ * @returns {Promise<Object>}
+ */
+exports.buildStatement = async (shopId, customer, query = {}) => {
+  const start = query.start_date ? new Date(query.start_date) : null;
+  const end = query.end_date ? new Date(query.end_date) : new Date();
+
+  const sales = await db.Sale.findAll({
+    where: {
+      shop_id: shopId,
+      customer_id: customer.id,
+      on_account: true,
+      // Cancelled sales are no longer owed
+      payment_status: { [Op.in]: ['unpaid', 'partial', 'paid', 'refunded'] },
+      sale_date: { [Op.lte]: end }
+    },
+    attributes: ['id', 'invoice_number', 'sale_date', 'total_amount'],
+    order: [['sale_date', 'ASC']]
+  });
+
+  const payments = sales.length === 0 ? [] : await db.Payment.findAll({
+    where: {
+      sale_id: { [Op.in]: sales.map(sale => sale.id) },
+      status: 'completed',
+      payment_date: { [Op.lte]: end }
+    },
+    attributes: ['id', 'sale_id', 'amount', 'payment_method', 'payment_date', 'reference_number', 'repayment_id'],
+    order: [['payment_date', 'ASC']]
+  });
+
+  const invoiceOf = new Map(sales.map(sale => [sale.id, sale.invoice_number]));
+
+  const movements = [
+    ...sales.map(sale => ({
+      date: sale.sale_date,
+      type: 'charge',
+      sale_id: sale.id,
+      invoice_number: sale.invoice_number,
+      amount: parseFloat(sale.total_amount)
+    })),
+    ...payments.map(payment => ({
+      date: payment.payment_date,
+      type: 'payment',
+      sale_id: payment.sale_id,
+      invoice_number: invoiceOf.get(payment.sale_id),
+      payment_method: payment.payment_method,
+      reference_number: payment.reference_number,
+      repayment_id: payment.repayment_id,
+      amount: -parseFloat(payment.amount)
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = 0;
+  let openingBalance = 0;
+  const entries = [];
+
+  movements.forEach((movement) => {
+    balance = roundMoney(balance + movement.amount);
+
+    if (start && new Date(movement.date) < start) {
+      openingBalance = balance;
+      return;
+    }
+
+    entries.push({ ...movement, balance });
+  });
+
+  const charges = entries.filter(entry => entry.type === 'charge');
+  const credits = entries.filter(entry => entry.type === 'payment');
+
+  return {
+    customer: {
+      id: customer.id,
+      first_name: customer.first_name,
+      last_name: customer.last_name,
+      phone: customer.phone,
+      credit_limit: customer.credit_limit
+    },
+    period: { start_date: start, end_date: end },
+    opening_balance: openingBalance,
+    entries,
+    total_charges: roundMoney(charges.reduce((sum, entry) => sum + entry.amount, 0)),
+    total_payments: roundMoney(-credits.reduce((sum, entry) => sum + entry.amount, 0)),
+    closing_balance: balance
+  };
+};
+
+exports.AGING_BUCKETS = AGING_BUCKETS;
@@ -0,0 +1,255 @@
+const db = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/pricing');
+
+// Payment methods every report lists, even when nothing was taken with them
+const PAYMENT_METHODS = ['cash', 'card', 'mobile', 'credit'];
+
+/**
+ * Sum an amount column of a shift's rows per payment method
+ * @param {Object} model - Payment or Refund
+ * @param {string} methodColumn - Column holding the method
+ * @param {string} shiftId - RegisterShift ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<Object>} - Amount keyed by method
+ */
+const sumByMethod = async (model, methodColumn, shiftId, transaction) => {
+  const rows = await model.findAll({
+    where: { shift_id: shiftId, status: 'completed' },
+    attributes: [
+      methodColumn,
+      [db.sequelize.fn('SUM', db.sequelize.col('amount')), 'amount'],
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count']
+    ],
+    group: [methodColumn],
+    raw: true,
+    transaction
+  });
+
+  return rows.reduce((totals, row) => {
+    totals[row[methodColumn]] = {
+      amount: roundMoney(parseFloat(row.amount || 0)),
+      count: parseInt(row.count, 10)
+    };
+    return totals;
+  }, {});
+};
+
+/**
+ * The open shift of a cashier, if they have one
+ * @param {string} userId - User ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<Object|null>}
+ */
+exports.findOpenShift = async (userId, transaction) => db.RegisterShift.findOne({
+  where: { opened_by: userId, status: 'open' },
+  transaction
+});
+
+/**
+ * ID of the shift a cashier's sales, payments and refunds belong to
+ * @param {string} userId - User ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<string|null>} - Null when the cashier has no open shift
+ */
+exports.currentShiftId = async (userId, transaction) => {
+  const shift = await exports.findOpenShift(userId, transaction);
+  return shift ? shift.id : null;
+};
+
+/**
+ * Open a shift on a register with the cash counted into the drawer
+ * @param {Object} register - Register instance
+ * @param {Object} data
+ * @param {number} data.opening_float - Cash in the drawer at opening
+ * @param {string} [data.notes] - Notes
+ * @param {string} userId - Cashier opening the shift
+ * @returns {Promise<Object>} - The new shift
+ */
+exports.openShift = async (register, { opening_float, notes }, userId) => db.sequelize.transaction(async (t) => {
+  if (!register.is_active) {
+    throw new AppError('This register is not active', 400, 'REGISTER_INACTIVE');
+  }
+
+  const ownShift = await exports.findOpenShift(userId, t);
+  if (ownShift) {
+    throw new AppError('You already have an open shift. Close it before opening another', 400, 'SHIFT_ALREADY_OPEN');
+  }
+
+  // Lock the register so two cashiers cannot open it at once
+  await db.Register.findByPk(register.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+  const openShift = await db.RegisterShift.findOne({
+    where: { register_id: register.id, status: 'open' },
+    transaction: t
+  });
+  if (openShift) {
+    throw new AppError(`Register ${register.name} already has an open shift`, 400, 'REGISTER_IN_USE');
+  }
+
+  const lastNumber = await db.RegisterShift.max('shift_number', {
+    where: { register_id: register.id },
+    transaction: t
+  });
+
+  return db.RegisterShift.create({
+    shop_id: register.shop_id,
+    register_id: register.id,
+    shift_number: (lastNumber || 0) + 1,
+    status: 'open',
+    opened_by: userId,
+    opened_at: new Date(),
+    opening_float,
+    notes
+  }, { transaction: t });
+});
+
+/**
+ * Build the X report of a shift: what was sold and taken, and how much of
+ * each payment method should be in hand. Cash expected is the opening float
+ * plus cash taken and put in, less cash refunded and taken out.
+ *
+ * @param {Object} shift - RegisterShift instance
+ * @param {Object} [options]
+ * @param {Object} [options.counted] - Amount counted per payment method; adds the differences
+ * @param {import('sequelize').Transaction} [options.transaction] - Active transaction
+ * @returns {Promise<Object>}
+ */
+exports.buildShiftReport = async (shift, { counted, transaction } = {}) => {
+  const sales = await db.Sale.findOne({
+    where: { shift_id: shift.id },
+    attributes: [
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count'],
+      [db.sequelize.fn('SUM', db.sequelize.col('subtotal')), 'subtotal'],
+      [db.sequelize.fn('SUM', db.sequelize.col('discount_amount')), 'discount_amount'],
+      [db.sequelize.fn('SUM', db.sequelize.col('tax_amount')), 'tax_amount'],
+      [db.sequelize.fn('SUM', db.sequelize.col('total_amount')), 'total_amount']
+    ],
+    raw: true,
+    transaction
+  });
+
+  const salesByStatus = await db.Sale.findAll({
+    where: { shift_id: shift.id },
+    attributes: [
+      'payment_status',
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count']
+    ],
+    group: ['payment_status'],
+    raw: true,
+    transaction
+  });
+
+  const payments = await sumByMethod(db.Payment, 'payment_method', shift.id, transaction);
+  const refunds = await sumByMethod(db.Refund, 'refund_method', shift.id, transaction);
+
+  const changeGiven = await db.Payment.sum('change_amount', {
+    where: { shift_id: shift.id, status: 'completed' },
+    transaction
+  }) || 0;
+
+  const movements = await db.RegisterCashMovement.findAll({
+    where: { shift_id: shift.id },
+    attributes: [
+      'type',
+      [db.sequelize.fn('SUM', db.sequelize.col('amount')), 'amount']
+    ],
+    group: ['type'],
+    raw: true,
+    transaction
+  });
+  const movementTotal = type => roundMoney(parseFloat(
+    (movements.find(row => row.type === type) || {}).amount || 0
+  ));
+  const cashIn = movementTotal('cash_in');
+  const cashOut = movementTotal('cash_out');
+
+  const methods = [...new Set([...PAYMENT_METHODS, ...Object.keys(payments), ...Object.keys(refunds)])];
+  const amountOf = (totals, method) => (totals[method] ? totals[method].amount : 0);
+
+  const expected = methods.reduce((amounts, method) => {
+    amounts[method] = roundMoney(amountOf(payments, method) - amountOf(refunds, method));
+    return amounts;
+  }, {});
+  expected.cash = roundMoney(parseFloat(shift.opening_float) + expected.cash + cashIn - cashOut);
+
+  const report = {
+    type: counted ? 'Z' : 'X',
+    shift_id: shift.id,
+    register_id: shift.register_id,
+    shift_number: shift.shift_number,
+    opened_by: shift.opened_by,
+    opened_at: shift.opened_at,
+    closed_at: shift.closed_at || null,
+    generated_at: new Date(),
+    opening_float: roundMoney(parseFloat(shift.opening_float)),
+    sales: {
+      count: parseInt(sales.count, 10) || 0,
+      subtotal: roundMoney(parseFloat(sales.subtotal || 0)),
+      discount_amount: roundMoney(parseFloat(sales.discount_amount || 0)),
+      tax_amount: roundMoney(parseFloat(sales.tax_amount || 0)),
+      total_amount: roundMoney(parseFloat(sales.total_amount || 0)),
+      by_payment_status: salesByStatus.reduce((counts, row) => {
+        counts[row.payment_status] = parseInt(row.count, 10);
+        return counts;
+      }, {})
+    },
+    payments,
+    change_given: roundMoney(parseFloat(changeGiven)),
+    refunds,
+    cash_movements: {
+      cash_in: cashIn,
+      cash_out: cashOut
+    },
+    expected
+  };
+
+  if (counted) {
+    report.counted = counted;
+    report.difference = Object.keys(counted).reduce((differences, method) => {
+      differences[method] = roundMoney(counted[method] - (expected[method] || 0));
+      return differences;
+    }, {});
+  }
+
+  return report;
+};
+
+/**
+ * Close a shift with the amounts counted and fix its Z report
+ * @param {string} shiftId - RegisterShift ID
+ * @param {Object} data
+ * @param {Object} data.counted_amounts - Amount counted per payment method; cash is required
+ * @param {string} [data.notes] - Closing notes
+ * @param {string} userId - User closing the shift
+ * @returns {Promise<Object>} - The closed shift
+ */
+exports.closeShift = async (shiftId, { counted_amounts, notes }, userId) => db.sequelize.transaction(async (t) => {
+  const shift = await db.RegisterShift.findByPk(shiftId, {
+    transaction: t,
+    lock: t.LOCK.UPDATE
+  });
+
+  if (shift.status !== 'open') {
+    throw new AppError('This shift is already closed', 400, 'SHIFT_CLOSED');
+  }
+
+  shift.closed_at = new Date();
+  const report = await exports.buildShiftReport(shift, {
+    counted: counted_amounts,
+    transaction: t
+  });
+
+  return shift.update({
+    status: 'closed',
+    closed_by: userId,
+    closed_at: shift.closed_at,
+    expected_amounts: report.expected,
+    counted_amounts,
+    cash_difference: report.difference.cash,
+    z_report: report,
+    notes: [shift.notes, notes].filter(Boolean).join('\n') || null
+  }, { transaction: t });
+});
+
+exports.PAYMENT_METHODS = PAYMENT_METHODS;
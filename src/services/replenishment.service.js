@@ -0,0 +1,240 @@
+const db = require('../models');
+
+// Defaults used when the request does not override them
+const DEFAULT_VELOCITY_DAYS = 30;
+const DEFAULT_COVERAGE_DAYS = 14;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+/**
+ * Units sold per product over the velocity window, from both point-of-sale
+ * sales and customer orders. Refunded sales and cancelled orders are ignored.
+ * @param {string} shopId - Shop ID
+ * @param {Date} since - Start of the window
+ * @returns {Promise<Object>} - Map of product ID to units sold
+ */
+const getUnitsSold = async (shopId, since) => {
+  const rows = await db.sequelize.query(
+    `SELECT product_id, SUM(quantity) AS units_sold
+     FROM (
+       SELECT si.product_id, si.quantity
+       FROM sale_items si
+       JOIN sales s ON si.sale_id = s.id
+       JOIN products p ON si.product_id = p.id
+       WHERE p.shop_id = :shopId
+         AND s.sale_date >= :since
+         AND s.payment_status != 'refunded'
+         AND s.deleted_at IS NULL
+       UNION ALL
+       SELECT oi.product_id, oi.quantity
+       FROM order_items oi
+       JOIN orders o ON oi.order_id = o.id
+       WHERE o.shop_id = :shopId
+         AND o.order_date >= :since
+         AND o.status != 'cancelled'
+         AND o.deleted_at IS NULL
+     ) sold
+     GROUP BY product_id`,
+    {
+      replacements: { shopId, since },
+      type: db.sequelize.QueryTypes.SELECT
+    }
+  );
+
+  return rows.reduce((map, row) => {
+    map[row.product_id] = parseInt(row.units_sold) || 0;
+    return map;
+  }, {});
+};
+
+/**
+ * Quantity already ordered from suppliers but not yet received. Drafts count
+ * too, so creating drafts from suggestions twice does not double the order.
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} - Map of product ID to outstanding quantity
+ */
+const getQuantityOnOrder = async (shopId) => {
+  const rows = await db.sequelize.query(
+    `SELECT poi.product_id, SUM(poi.quantity - poi.received_quantity) AS on_order
+     FROM purchase_order_items poi
+     JOIN purchase_orders po ON poi.purchase_order_id = po.id
+     WHERE po.shop_id = :shopId
+       AND po.status IN ('draft', 'sent', 'partially_received')
+       AND po.deleted_at IS NULL
+     GROUP BY poi.product_id`,
+    {
+      replacements: { shopId },
+      type: db.sequelize.QueryTypes.SELECT
+    }
+  );
+
+  return rows.reduce((map, row) => {
+    map[row.product_id] = parseInt(row.on_order) || 0;
+    return map;
+  }, {});
+};
+
+/**
+ * Pick the supplier to reorder a product from: the preferred active supplier,
+ * otherwise the cheapest active one
+ * @param {Array} links - ProductSupplier rows with their supplier loaded
+ * @returns {Object|null}
+ */
+const pickSupplierLink = (links) => {
+  const activeLinks = (links || []).filter(link => link.supplier && link.supplier.is_active);
+  if (activeLinks.length === 0) {
+    return null;
+  }
+
+  const preferred = activeLinks.find(link => link.is_preferred);
+  if (preferred) {
+    return preferred;
+  }
+
+  return activeLinks.sort((a, b) =>
+    (parseFloat(a.cost_price) || Infinity) - (parseFloat(b.cost_price) || Infinity)
+  )[0];
+};
+
+/**
+ * Compute reorder suggestions for a shop, grouped by supplier.
+ *
+ * For each product the stock position is what can still be sold (stock minus
+ * reserved) plus what is already on order. The reorder point is the larger of
+ * the configured reorder level and the demand expected during the supplier's
+ * lead time. When the position is at or below the reorder point, enough is
+ * suggested to cover the lead time plus the coverage period, and never less
+ * than the configured reorder quantity.
+ *
+ * @param {string} shopId - Shop ID
+ * @param {Object} [options]
+ * @param {number} [options.velocity_days=30] - Days of sales history used for velocity
+ * @param {number} [options.coverage_days=14] - Days of demand to cover after delivery
+ * @param {number} [options.default_lead_time_days=7] - Lead time when the supplier has none
+ * @param {string[]} [options.supplier_ids] - Only suggest for these suppliers
+ * @returns {Promise<Object>} - { groups, unassigned, parameters }
+ */
+exports.getReorderSuggestions = async (shopId, options = {}) => {
+  const velocityDays = options.velocity_days || DEFAULT_VELOCITY_DAYS;
+  const coverageDays = options.coverage_days !== undefined ? options.coverage_days : DEFAULT_COVERAGE_DAYS;
+  const defaultLeadTime = options.default_lead_time_days !== undefined ? options.default_lead_time_days : DEFAULT_LEAD_TIME_DAYS;
+
+  const since = new Date();
+  since.setDate(since.getDate() - velocityDays);
+
+  const [unitsSold, onOrder, products] = await Promise.all([
+    getUnitsSold(shopId, since),
+    getQuantityOnOrder(shopId),
+    db.Product.findAll({
+      where: { shop_id: shopId, is_active: true },
+      attributes: ['id', 'name', 'sku', 'barcode', 'purchase_price'],
+      include: [
+        {
+          model: db.Inventory,
+          as: 'inventory',
+          attributes: ['stock_quantity', 'reserved_quantity', 'reorder_level', 'reorder_quantity']
+        },
+        {
+          model: db.ProductSupplier,
+          as: 'supplier_links',
+          required: false,
+          include: [
+            {
+              model: db.Supplier,
+              as: 'supplier',
+              attributes: ['id', 'name', 'is_active']
+            }
+          ]
+        }
+      ]
+    })
+  ]);
+
+  const groups = {};
+  const unassigned = [];
+
+  for (const product of products) {
+    const inventory = product.inventory;
+    const stockQuantity = inventory ? inventory.stock_quantity : 0;
+    const reservedQuantity = inventory ? inventory.reserved_quantity : 0;
+    const reorderLevel = inventory && inventory.reorder_level !== null ? inventory.reorder_level : 0;
+    const reorderQuantity = inventory && inventory.reorder_quantity ? inventory.reorder_quantity : 0;
+
+    const link = pickSupplierLink(product.supplier_links);
+    if (options.supplier_ids && (!link || !options.supplier_ids.includes(link.supplier_id))) {
+      continue;
+    }
+
+    const leadTime = link && link.lead_time_days !== null ? link.lead_time_days : defaultLeadTime;
+    const dailyVelocity = (unitsSold[product.id] || 0) / velocityDays;
+    const position = stockQuantity - reservedQuantity + (onOrder[product.id] || 0);
+    const reorderPoint = Math.max(reorderLevel, Math.ceil(dailyVelocity * leadTime));
+
+    // Nothing sells and no reorder level is set, so there is nothing to plan for
+    if (reorderPoint === 0 && dailyVelocity === 0) {
+      continue;
+    }
+
+    if (position > reorderPoint) {
+      continue;
+    }
+
+    const targetLevel = Math.max(reorderPoint, Math.ceil(dailyVelocity * (leadTime + coverageDays)));
+    const suggestedQuantity = Math.max(reorderQuantity, targetLevel - position, 1);
+    const unitCost = link && link.cost_price !== null
+      ? parseFloat(link.cost_price)
+      : parseFloat(product.purchase_price) || 0;
+
+    const suggestion = {
+      product: {
+        id: product.id,
+        name: product.name,
+        sku: product.sku,
+        barcode: product.barcode
+      },
+      stock_quantity: stockQuantity,
+      reserved_quantity: reservedQuantity,
+      on_order_quantity: onOrder[product.id] || 0,
+      units_sold: unitsSold[product.id] || 0,
+      daily_velocity: Math.round(dailyVelocity * 100) / 100,
+      lead_time_days: leadTime,
+      reorder_point: reorderPoint,
+      suggested_quantity: suggestedQuantity,
+      unit_cost: unitCost,
+      estimated_cost: unitCost * suggestedQuantity
+    };
+
+    if (!link) {
+      unassigned.push(suggestion);
+      continue;
+    }
+
+    if (!groups[link.supplier_id]) {
+      groups[link.supplier_id] = {
+        supplier: {
+          id: link.supplier.id,
+          name: link.supplier.name
+        },
+        items: [],
+        total_estimated_cost: 0
+      };
+    }
+
+    groups[link.supplier_id].items.push(suggestion);
+    groups[link.supplier_id].total_estimated_cost += suggestion.estimated_cost;
+  }
+
+  return {
+    groups: Object.values(groups).sort((a, b) => a.supplier.name.localeCompare(b.supplier.name)),
+    unassigned,
+    parameters: {
+      velocity_days: velocityDays,
+      coverage_days: coverageDays,
+      default_lead_time_days: defaultLeadTime,
+      since
+    }
+  };
+};
+
+exports.DEFAULT_VELOCITY_DAYS = DEFAULT_VELOCITY_DAYS;
+exports.DEFAULT_COVERAGE_DAYS = DEFAULT_COVERAGE_DAYS;
+exports.DEFAULT_LEAD_TIME_DAYS = DEFAULT_LEAD_TIME_DAYS;
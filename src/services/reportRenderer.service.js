@@ -0,0 +1,214 @@
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+
+/**
+ * Turn a snake_case key into a heading
+ * @param {string} key - Payload key
+ * @returns {string}
+ */
+const humanize = (key) => key
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * Format a single value for output
+ * @param {*} value - Payload value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return String(value);
+};
+
+/**
+ * Whether the value should be flattened rather than printed
+ * @param {*} value - Payload value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+/**
+ * Flatten nested objects into a single level, joining keys with ' / '
+ * @param {Object} object - Object to flatten
+ * @param {string} [prefix] - Key prefix
+ * @returns {Object}
+ */
+const flatten = (object, prefix = '') => Object.keys(object).reduce((values, key) => {
+  const label = prefix ? `${prefix} / ${humanize(key)}` : humanize(key);
+  const value = object[key];
+
+  if (isPlainObject(value)) {
+    Object.assign(values, flatten(value, label));
+  } else if (Array.isArray(value)) {
+    values[label] = value.map(item => (isPlainObject(item) ? JSON.stringify(item) : formatValue(item))).join('; ');
+  } else {
+    values[label] = formatValue(value);
+  }
+
+  return values;
+}, {});
+
+/**
+ * Split a report payload into printable sections. Top-level scalars form an
+ * overview, nested objects become key/value sections and arrays become tables.
+ * @param {Object} report - Report payload as returned by the report service
+ * @returns {Array<{title: string, type: string, rows: Array, columns?: Array}>}
+ */
+const toSections = (report) => {
+  const summary = [];
+  const sections = [];
+
+  Object.keys(report).forEach((key) => {
+    const value = report[key];
+
+    if (Array.isArray(value)) {
+      const rows = value.map(item => (isPlainObject(item) ? flatten(item) : { Value: formatValue(item) }));
+      const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+      sections.push({ title: humanize(key), type: 'table', columns, rows });
+    } else if (isPlainObject(value)) {
+      const values = flatten(value);
+      sections.push({
+        title: humanize(key),
+        type: 'values',
+        rows: Object.keys(values).map(label => [label, values[label]])
+      });
+    } else {
+      summary.push([humanize(key), formatValue(value)]);
+    }
+  });
+
+  if (summary.length > 0) {
+    sections.unshift({ title: 'Overview', type: 'values', rows: summary });
+  }
+
+  return sections;
+};
+
+/**
+ * Quote a CSV cell when needed
+ * @param {string} value - Cell text
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  const text = formatValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a report payload as CSV. Each section starts with its title and is
+ * separated by a blank line. A BOM is added so spreadsheet apps read Persian text correctly.
+ * @param {string} title - Report title
+ * @param {Object} report - Report payload
+ * @returns {Buffer}
+ */
+exports.renderCsv = (title, report) => {
+  const lines = [csvCell(title), ''];
+
+  toSections(report).forEach((section) => {
+    lines.push(csvCell(section.title));
+
+    if (section.type === 'table') {
+      lines.push(section.columns.map(csvCell).join(','));
+      section.rows.forEach((row) => {
+        lines.push(section.columns.map(column => csvCell(row[column])).join(','));
+      });
+    } else {
+      section.rows.forEach(([label, value]) => {
+        lines.push(`${csvCell(label)},${csvCell(value)}`);
+      });
+    }
+
+    lines.push('');
+  });
+
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}`, 'utf8');
+};
+
+/**
+ * Render a report payload as an A4 PDF
+ * @param {string} title - Report title
+ * @param {Object} report - Report payload
+ * @param {Object} [options]
+ * @param {string} [options.subtitle] - Line printed under the title (e.g. the period)
+ * @returns {Promise<Buffer>}
+ */
+exports.renderPdf = (title, report, options = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  if (config.pdf.fontPath) {
+    doc.registerFont('Body', config.pdf.fontPath);
+    doc.font('Body');
+  }
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  /**
+   * Start a new page when the next block would not fit
+   * @param {number} height - Height needed
+   */
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom) {
+      doc.addPage();
+    }
+  };
+
+  doc.fontSize(16).text(title, { align: 'left' });
+  if (options.subtitle) {
+    doc.moveDown(0.25).fontSize(9).fillColor('#555555').text(options.subtitle).fillColor('#000000');
+  }
+  doc.moveDown();
+
+  toSections(report).forEach((section) => {
+    ensureSpace(40);
+    doc.fontSize(12).text(section.title, left, doc.y);
+    doc.moveDown(0.3);
+    doc.fontSize(8);
+
+    if (section.type === 'values') {
+      section.rows.forEach(([label, value]) => {
+        ensureSpace(12);
+        const y = doc.y;
+        doc.text(label, left, y, { width: width * 0.55, lineBreak: false, ellipsis: true });
+        doc.text(value, left + width * 0.55, y, { width: width * 0.45, lineBreak: false, ellipsis: true });
+        doc.moveDown(0.2);
+      });
+    } else if (section.rows.length === 0) {
+      doc.fillColor('#555555').text('No data', left, doc.y).fillColor('#000000');
+    } else {
+      const columnWidth = width / section.columns.length;
+
+      /**
+       * Print one table row
+       * @param {Array<string>} cells - Cell texts
+       */
+      const printRow = (cells) => {
+        ensureSpace(12);
+        const y = doc.y;
+        cells.forEach((cell, index) => {
+          doc.text(cell, left + index * columnWidth, y, { width: columnWidth - 4, lineBreak: false, ellipsis: true });
+        });
+        doc.moveDown(0.2);
+      };
+
+      printRow(section.columns);
+      section.rows.forEach(row => printRow(section.columns.map(column => formatValue(row[column]))));
+    }
+
+    doc.moveDown();
+  });
+
+  doc.end();
+});
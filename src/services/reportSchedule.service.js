@@ -0,0 +1,245 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { buildReport } = require('./report.service');
+const { renderCsv, renderPdf } = require('./reportRenderer.service');
+const { getTransport } = require('./transports');
+const { enqueue } = require('./jobQueue.service');
+const { getZonedParts, zonedTimeToUtc, formatZonedDate } = require('../utils/timezone');
+
+// Reports that accept start_date/end_date filters
+const DATED_REPORTS = ['sales', 'customers', 'products'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Next time a schedule is due, strictly after the given instant.
+ * Schedules run at time_of_day in the business timezone: every day, every
+ * week on day_of_week, or every month on day_of_month.
+ * @param {Object} schedule - ReportSchedule (or its attributes)
+ * @param {Date} [after] - Reference instant
+ * @returns {Date}
+ */
+exports.computeNextRunAt = (schedule, after = new Date()) => {
+  const timeZone = config.timezone;
+  const [hour, minute] = schedule.time_of_day.split(':').map(value => parseInt(value, 10));
+  const local = getZonedParts(after, timeZone);
+
+  let candidate;
+  if (schedule.frequency === 'monthly') {
+    candidate = { year: local.year, month: local.month, day: schedule.day_of_month, hour, minute };
+    if (zonedTimeToUtc(candidate, timeZone) <= after) {
+      candidate.month += 1;
+    }
+  } else {
+    const daysAhead = schedule.frequency === 'weekly'
+      ? (schedule.day_of_week - local.weekday + 7) % 7
+      : 0;
+    candidate = { year: local.year, month: local.month, day: local.day + daysAhead, hour, minute };
+    if (zonedTimeToUtc(candidate, timeZone) <= after) {
+      candidate.day += schedule.frequency === 'weekly' ? 7 : 1;
+    }
+  }
+
+  return zonedTimeToUtc(candidate, timeZone);
+};
+
+/**
+ * Period a run reports on: the day, week or calendar month that ended
+ * before the run, as business-timezone dates
+ * @param {string} frequency - Schedule frequency
+ * @param {Date} runAt - When the run happens
+ * @returns {{start: string, end: string}} - YYYY-MM-DD dates, inclusive
+ */
+exports.getReportPeriod = (frequency, runAt) => {
+  const { year, month, day } = getZonedParts(runAt, config.timezone);
+  // Calendar arithmetic on the local date; UTC is used only as a neutral clock
+  const today = Date.UTC(year, month - 1, day);
+  const format = time => new Date(time).toISOString().slice(0, 10);
+
+  if (frequency === 'monthly') {
+    return {
+      start: format(Date.UTC(year, month - 2, 1)),
+      end: format(Date.UTC(year, month - 1, 0))
+    };
+  }
+
+  const days = frequency === 'weekly' ? 7 : 1;
+  return {
+    start: format(today - days * DAY_MS),
+    end: format(today - DAY_MS)
+  };
+};
+
+/**
+ * Queue a delivery of a schedule
+ * @param {Object} schedule - ReportSchedule
+ * @param {Object} [options]
+ * @param {string} [options.trigger='scheduled'] - scheduled or manual
+ * @param {string} [options.userId] - User who started a manual run
+ * @returns {Promise<Object>} - The ReportScheduleRun
+ */
+exports.queueRun = async (schedule, { trigger = 'scheduled', userId } = {}) => {
+  const period = DATED_REPORTS.includes(schedule.report_type)
+    ? exports.getReportPeriod(schedule.frequency, new Date())
+    : { start: null, end: null };
+
+  const run = await db.ReportScheduleRun.create({
+    schedule_id: schedule.id,
+    shop_id: schedule.shop_id,
+    trigger,
+    status: 'pending',
+    period_start: period.start,
+    period_end: period.end
+  });
+
+  const job = await enqueue('reports', 'deliver-schedule', { run_id: run.id }, {
+    shopId: schedule.shop_id,
+    userId: userId || schedule.user_id
+  });
+
+  await run.update({ job_id: job.id });
+  await schedule.update({ last_run_at: run.created_at, last_status: 'pending' });
+
+  return run;
+};
+
+/**
+ * Queue every schedule that is due. Each schedule is claimed by moving its
+ * next_run_at forward first, so several workers can run this safely and a
+ * schedule missed while the server was down runs once, not once per missed slot.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of runs queued
+ */
+exports.dispatchDueSchedules = async (now = new Date()) => {
+  const dueSchedules = await db.ReportSchedule.findAll({
+    where: {
+      is_active: true,
+      next_run_at: { [Op.lte]: now }
+    },
+    order: [['next_run_at', 'ASC']]
+  });
+
+  let queued = 0;
+
+  for (const schedule of dueSchedules) {
+    const [claimed] = await db.ReportSchedule.update({
+      next_run_at: exports.computeNextRunAt(schedule, now)
+    }, {
+      where: { id: schedule.id, next_run_at: schedule.next_run_at }
+    });
+
+    if (claimed === 0) {
+      continue;
+    }
+
+    try {
+      await exports.queueRun(schedule);
+      queued++;
+    } catch (error) {
+      logger.error(`Could not queue report schedule ${schedule.id}: ${error.message}`);
+    }
+  }
+
+  return queued;
+};
+
+/**
+ * Build, render and deliver a queued run. Used by the reports:deliver-schedule job.
+ * @param {string} runId - ReportScheduleRun ID
+ * @param {Object} context - Job context ({ job, progress })
+ * @returns {Promise<Object>} - Delivery summary
+ */
+exports.deliverRun = async (runId, { job, progress }) => {
+  const run = await db.ReportScheduleRun.findByPk(runId, {
+    include: [
+      {
+        model: db.ReportSchedule,
+        as: 'schedule'
+      }
+    ]
+  });
+
+  if (!run) {
+    throw new Error(`Report schedule run ${runId} not found`);
+  }
+
+  const schedule = run.schedule;
+  if (!schedule) {
+    await run.update({ status: 'failed', error: 'Report schedule was deleted', finished_at: new Date() });
+    return { run_id: run.id, status: 'failed' };
+  }
+
+  await run.update({
+    status: 'running',
+    attempts: run.attempts + 1,
+    started_at: new Date()
+  });
+  await schedule.update({ last_status: 'running' });
+
+  try {
+    const filters = { ...schedule.filters };
+    if (run.period_start && !filters.start_date && !filters.end_date) {
+      filters.start_date = run.period_start;
+      filters.end_date = run.period_end;
+    }
+
+    const report = await buildReport(schedule.report_type, filters);
+    await progress(40);
+
+    const periodLabel = run.period_start
+      ? `${run.period_start} to ${run.period_end}`
+      : formatZonedDate(new Date(), config.timezone);
+    const subtitle = `Period: ${periodLabel} (${config.timezone})`;
+
+    const content = schedule.format === 'csv'
+      ? renderCsv(schedule.name, report)
+      : await renderPdf(schedule.name, report, { subtitle });
+    await progress(70);
+
+    const fileName = `${schedule.report_type}-report-${run.period_end || formatZonedDate(new Date(), config.timezone)}.${schedule.format}`;
+
+    const delivery = await getTransport(schedule.transport).send({
+      to: schedule.recipients,
+      subject: `${schedule.name} - ${periodLabel}`,
+      text: `${schedule.name}\n${subtitle}\n\nThe report is attached as ${fileName}.`,
+      attachments: [
+        {
+          filename: fileName,
+          content,
+          contentType: schedule.format === 'csv' ? 'text/csv' : 'application/pdf'
+        }
+      ]
+    });
+
+    await run.update({
+      status: 'succeeded',
+      file_name: fileName,
+      delivered_to: delivery.delivered_to,
+      error: null,
+      finished_at: new Date()
+    });
+    await schedule.update({ last_status: 'succeeded' });
+
+    return {
+      run_id: run.id,
+      file_name: fileName,
+      delivered_to: delivery.delivered_to
+    };
+  } catch (error) {
+    // The job queue retries until attempts run out; only the last failure is final
+    const willRetry = job.attempts_made < job.max_attempts;
+
+    await run.update({
+      status: willRetry ? 'pending' : 'failed',
+      error: error.message,
+      finished_at: willRetry ? null : new Date()
+    });
+    await schedule.update({ last_status: willRetry ? 'pending' : 'failed' });
+
+    throw error;
+  }
+};
+
+exports.DATED_REPORTS = DATED_REPORTS;
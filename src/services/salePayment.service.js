@@ -0,0 +1,201 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/pricing');
+const { currentShiftId } = require('./registerShift.service');
+const storedValueService = require('./storedValue.service');
+
+/**
+ * Total of the completed payments on a sale
+ * @param {string} saleId - Sale ID
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<number>}
+ */
+exports.getAmountPaid = async (saleId, transaction) => parseFloat(await db.Payment.sum('amount', {
+  where: { sale_id: saleId, status: 'completed' },
+  transaction
+}) || 0);
+
+/**
+ * Payment status a sale should have for what has been paid on it
+ * @param {number} totalAmount - Sale total
+ * @param {number} amountPaid - Completed payments
+ * @returns {string} - paid, partial or unpaid
+ */
+exports.derivePaymentStatus = (totalAmount, amountPaid) => {
+  if (amountPaid >= totalAmount) {
+    return 'paid';
+  }
+
+  return amountPaid > 0 ? 'partial' : 'unpaid';
+};
+
+/**
+ * Split tenders into the payments they make towards a balance.
+ *
+ * Card, mobile and credit (gift card and store credit) tenders are charged
+ * exactly and together may not exceed the balance. Cash may: whatever is
+ * handed over beyond the balance is given back as change, taken off the last
+ * cash tenders first.
+ *
+ * @param {number} balance - Amount still owed
+ * @param {Array<{payment_method: string, amount: number, reference_number?: string}>} tenders
+ * @returns {{payments: Array<Object>, change: number}}
+ */
+exports.splitTenders = (balance, tenders) => {
+  const nonCash = roundMoney(tenders
+    .filter(tender => tender.payment_method !== 'cash')
+    .reduce((sum, tender) => sum + tender.amount, 0));
+
+  if (nonCash > balance) {
+    throw new AppError(
+      `Card, mobile and credit payments of ${nonCash} exceed the balance of ${balance}; only cash can be tendered above the amount due`,
+      400,
+      'PAYMENT_EXCEEDS_BALANCE'
+    );
+  }
+
+  const tendered = roundMoney(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+  const change = Math.max(roundMoney(tendered - balance), 0);
+
+  let changeLeft = change;
+  const payments = tenders
+    .map(tender => ({ ...tender, amount_tendered: tender.amount, change_amount: 0 }))
+    .reverse()
+    .map((payment) => {
+      if (payment.payment_method === 'cash' && changeLeft > 0) {
+        payment.change_amount = Math.min(changeLeft, payment.amount);
+        payment.amount = roundMoney(payment.amount - payment.change_amount);
+        changeLeft = roundMoney(changeLeft - payment.change_amount);
+      }
+      if (payment.payment_method !== 'cash') {
+        payment.amount_tendered = null;
+      }
+      return payment;
+    })
+    .reverse()
+    // Cash handed over and given straight back pays nothing
+    .filter(payment => payment.amount > 0);
+
+  return { payments, change };
+};
+
+/**
+ * Bring a sale's payment status and method in line with its payment ledger.
+ * Refunded and cancelled sales keep their status.
+ * @param {Object} sale - Sale instance
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction
+ * @returns {Promise<{amountPaid: number, balance: number, paymentStatus: string}>}
+ */
+exports.refreshPaymentStatus = async (sale, transaction) => {
+  const payments = await db.Payment.findAll({
+    where: { sale_id: sale.id, status: 'completed' },
+    attributes: ['amount', 'payment_method'],
+    transaction
+  });
+
+  const amountPaid = roundMoney(payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0));
+  const totalAmount = parseFloat(sale.total_amount);
+  const methods = [...new Set(payments.map(payment => payment.payment_method))];
+
+  const changes = {};
+  if (!['refunded', 'cancelled'].includes(sale.payment_status)) {
+    changes.payment_status = exports.derivePaymentStatus(totalAmount, amountPaid);
+  }
+  if (methods.length > 0) {
+    changes.payment_method = methods.length === 1 ? methods[0] : 'mixed';
+  }
+
+  await sale.update(changes, { transaction });
+
+  return {
+    amountPaid,
+    balance: Math.max(roundMoney(totalAmount - amountPaid), 0),
+    paymentStatus: sale.payment_status
+  };
+};
+
+/**
+ * The method a refund on a sale is paid out by: the one asked for, otherwise
+ * the sale's own. A sale paid by several methods has none to fall back on, and
+ * the shift report has to know whether the money left the cash drawer.
+ * @param {Object} sale - Sale instance
+ * @param {string} [refundMethod] - Method asked for
+ * @returns {string}
+ */
+exports.resolveRefundMethod = (sale, refundMethod) => {
+  const method = refundMethod || sale.payment_method;
+
+  if (method === 'mixed') {
+    throw new AppError('This sale was paid by several methods; choose the refund_method the money is given back by', 400, 'REFUND_METHOD_REQUIRED');
+  }
+
+  return method;
+};
+
+/**
+ * Take payment on a sale with one or more tenders and update its status.
+ * Credit tenders spend from the gift card given by gift_card_code, or else
+ * from the store credit of the sale's customer.
+ *
+ * @param {Object} sale - Sale instance
+ * @param {Array<{payment_method: string, amount: number, reference_number?: string, gift_card_code?: string}>} tenders
+ * @param {Object} options
+ * @param {string} options.userId - User taking the payment
+ * @param {string} [options.repaymentId] - Tab repayment the payments are part of
+ * @param {import('sequelize').Transaction} options.transaction - Active transaction
+ * @returns {Promise<{payments: Array<Object>, change: number, amountPaid: number, balance: number, paymentStatus: string}>}
+ */
+exports.recordPayments = async (sale, tenders, { userId, repaymentId, transaction }) => {
+  if (['refunded', 'cancelled'].includes(sale.payment_status)) {
+    throw new AppError(`Cannot process payment for a ${sale.payment_status} sale`, 400, 'INVALID_PAYMENT_STATUS');
+  }
+
+  const alreadyPaid = await exports.getAmountPaid(sale.id, transaction);
+  const balance = roundMoney(parseFloat(sale.total_amount) - alreadyPaid);
+
+  if (balance <= 0) {
+    throw new AppError('This sale has already been paid in full', 400, 'SALE_ALREADY_PAID');
+  }
+
+  const { payments: split, change } = exports.splitTenders(balance, tenders);
+
+  // The money goes into the drawer of the cashier's open shift, if any
+  const shiftId = await currentShiftId(userId, transaction);
+
+  const payments = [];
+  for (const payment of split) {
+    // Credit is drawn from a gift card or the customer's store credit
+    const account = payment.payment_method === 'credit'
+      ? await storedValueService.findTenderAccount(sale, payment, transaction)
+      : null;
+
+    const created = await db.Payment.create({
+      sale_id: sale.id,
+      amount: payment.amount,
+      amount_tendered: payment.amount_tendered,
+      change_amount: payment.change_amount,
+      payment_method: payment.payment_method,
+      payment_date: new Date(),
+      reference_number: payment.reference_number || uuidv4().substring(0, 8).toUpperCase(),
+      status: 'completed',
+      user_id: userId,
+      shift_id: shiftId,
+      stored_value_account_id: account ? account.id : null,
+      repayment_id: repaymentId || null
+    }, { transaction });
+
+    if (account) {
+      await storedValueService.redeem(account, payment.amount, created, {
+        invoiceNumber: sale.invoice_number,
+        userId
+      }, transaction);
+    }
+
+    payments.push(created);
+  }
+
+  const status = await exports.refreshPaymentStatus(sale, transaction);
+
+  return { payments, change, ...status };
+};
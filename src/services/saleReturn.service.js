@@ -0,0 +1,324 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/pricing');
+const { applyStockMovement, resolveLocation } = require('./inventory.service');
+const { currentShiftId } = require('./registerShift.service');
+const numberSequenceService = require('./numberSequence.service');
+const storedValueService = require('./storedValue.service');
+const salePaymentService = require('./salePayment.service');
+
+/**
+ * Share of a line figure owed for a number of its units. Computed on the
+ * running total of units returned so repeated partial returns of a line add
+ * up exactly to the line figure, with no rounding drift.
+ * @param {number} amount - Line figure for all units sold
+ * @param {number} soldQuantity - Units sold on the line
+ * @param {number} alreadyReturned - Units returned before this return
+ * @param {number} quantity - Units returned now
+ * @returns {number}
+ */
+const unitShare = (amount, soldQuantity, alreadyReturned, quantity) => roundMoney(
+  roundMoney(amount * (alreadyReturned + quantity) / soldQuantity)
+  - roundMoney(amount * alreadyReturned / soldQuantity)
+);
+
+/**
+ * Units of each sale line already returned
+ * @param {Array<string>} saleItemIds - SaleItem IDs
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object>} - Returned quantity keyed by sale item ID
+ */
+const getReturnedQuantities = async (saleItemIds, transaction) => {
+  const rows = await db.SaleReturnItem.findAll({
+    where: { sale_item_id: { [Op.in]: saleItemIds } },
+    attributes: [
+      'sale_item_id',
+      [db.sequelize.fn('SUM', db.sequelize.col('quantity')), 'returned']
+    ],
+    group: ['sale_item_id'],
+    raw: true,
+    transaction
+  });
+
+  return rows.reduce((returned, row) => {
+    returned[row.sale_item_id] = parseInt(row.returned, 10);
+    return returned;
+  }, {});
+};
+
+/**
+ * Take back goods from a paid sale and refund them.
+ *
+ * Each returned unit is refunded at what the customer paid for it: the line
+ * price less the line discount and its share of the sale discount, plus the
+ * line tax. Restocked goods go back into inventory at the given location (or
+ * the shop's default one); written-off goods are logged without adding
+ * stock. Loyalty points earned on the sale are taken back in proportion to
+ * the amount refunded.
+ *
+ * @param {string} saleId - Sale ID
+ * @param {Object} data - Return details
+ * @param {Array<{sale_item_id: string, quantity: number, disposition: string}>} data.items - Lines returned
+ * @param {string} data.reason - Why the goods came back
+ * @param {string} [data.refund_method] - Defaults to the sale's payment method; required when it was paid by several
+ * @param {string} [data.location_id] - Location restocked goods are put back at
+ * @param {string} [data.notes] - Additional notes
+ * @param {string} userId - User taking the return
+ * @returns {Promise<Object>} - The return with its items
+ */
+exports.createReturn = async (saleId, data, userId) => {
+  const { items, reason, refund_method, location_id, notes } = data;
+
+  const returnId = await db.sequelize.transaction(async (t) => {
+    // Lock the sale so concurrent returns cannot both take the same units
+    const locked = await db.Sale.findByPk(saleId, {
+      attributes: ['id'],
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    if (!locked) {
+      throw new AppError('Sale not found', 404, 'SALE_NOT_FOUND');
+    }
+
+    const sale = await db.Sale.findByPk(saleId, {
+      include: [
+        {
+          model: db.Customer,
+          as: 'customer'
+        },
+        {
+          model: db.SaleItem,
+          as: 'items',
+          include: [
+            {
+              model: db.Product,
+              as: 'product',
+              attributes: ['id', 'name', 'shop_id']
+            }
+          ]
+        }
+      ],
+      transaction: t
+    });
+
+    if (sale.payment_status !== 'paid') {
+      throw new AppError(`Cannot return items from a sale with payment status: ${sale.payment_status}`, 400, 'INELIGIBLE_FOR_RETURN');
+    }
+
+    const refundMethod = salePaymentService.resolveRefundMethod(sale, refund_method);
+
+    const returned = await getReturnedQuantities(sale.items.map(item => item.id), t);
+
+    // The sale discount is spread over the lines by their discounted value
+    const saleDiscount = parseFloat(sale.discount_amount || 0);
+    const linesValue = sale.items.reduce(
+      (sum, item) => sum + parseFloat(item.subtotal) - parseFloat(item.discount_amount || 0),
+      0
+    );
+
+    const requested = {};
+    const returnLines = items.map((line) => {
+      const saleItem = sale.items.find(item => item.id === line.sale_item_id);
+      if (!saleItem) {
+        throw new AppError(`Sale item ${line.sale_item_id} is not part of this sale`, 400, 'SALE_ITEM_NOT_FOUND');
+      }
+
+      // The same line may be listed twice, e.g. part restocked and part written off
+      const alreadyReturned = (returned[saleItem.id] || 0) + (requested[saleItem.id] || 0);
+      const returnable = saleItem.quantity - alreadyReturned;
+      if (line.quantity > returnable) {
+        throw new AppError(
+          `Only ${returnable} unit(s) of ${saleItem.product ? saleItem.product.name : saleItem.product_id} can still be returned`,
+          400,
+          'RETURN_EXCEEDS_SOLD_QUANTITY'
+        );
+      }
+      requested[saleItem.id] = (requested[saleItem.id] || 0) + line.quantity;
+
+      const lineSubtotal = parseFloat(saleItem.subtotal);
+      const lineDiscount = parseFloat(saleItem.discount_amount || 0);
+      const lineTax = parseFloat(saleItem.tax_amount || 0);
+      const saleDiscountShare = linesValue > 0
+        ? saleDiscount * (lineSubtotal - lineDiscount) / linesValue
+        : 0;
+
+      const subtotal = unitShare(lineSubtotal, saleItem.quantity, alreadyReturned, line.quantity);
+      const discount_amount = unitShare(lineDiscount + saleDiscountShare, saleItem.quantity, alreadyReturned, line.quantity);
+      const tax_amount = unitShare(lineTax, saleItem.quantity, alreadyReturned, line.quantity);
+
+      return {
+        saleItem,
+        quantity: line.quantity,
+        disposition: line.disposition,
+        subtotal,
+        discount_amount,
+        tax_amount,
+        refund_amount: Math.max(roundMoney(subtotal - discount_amount + tax_amount), 0)
+      };
+    });
+
+    // Never pay back more than is left after earlier refunds
+    const refunded = parseFloat(await db.Refund.sum('amount', {
+      where: { sale_id: sale.id, status: 'completed' },
+      transaction: t
+    }) || 0);
+    const refundable = roundMoney(parseFloat(sale.total_amount) - refunded);
+    if (refundable <= 0) {
+      throw new AppError('This sale has already been fully refunded', 400, 'REFUND_EXCEEDS_LIMIT');
+    }
+
+    const lineTotal = roundMoney(returnLines.reduce((sum, line) => sum + line.refund_amount, 0));
+    const totalAmount = Math.min(lineTotal, refundable);
+
+    const saleReturn = await db.SaleReturn.create({
+      return_number: await numberSequenceService.nextNumber(sale.shop_id, 'return', t),
+      shop_id: sale.shop_id,
+      sale_id: sale.id,
+      user_id: userId,
+      reason,
+      refund_method: refundMethod,
+      subtotal: roundMoney(returnLines.reduce((sum, line) => sum + line.subtotal, 0)),
+      discount_amount: roundMoney(returnLines.reduce((sum, line) => sum + line.discount_amount, 0)),
+      tax_amount: roundMoney(returnLines.reduce((sum, line) => sum + line.tax_amount, 0)),
+      total_amount: totalAmount,
+      notes
+    }, { transaction: t });
+
+    for (const line of returnLines) {
+      const { saleItem } = line;
+      let restockLocationId = null;
+
+      if (line.disposition === 'restock') {
+        const location = await resolveLocation(saleItem.product.shop_id, location_id, t);
+        restockLocationId = location ? location.id : null;
+
+        await applyStockMovement({
+          product_id: saleItem.product_id,
+          shop_id: saleItem.product.shop_id,
+          quantity: line.quantity,
+          transaction_type: 'return',
+          location_id: restockLocationId,
+          reference_id: saleReturn.id,
+          note: `Returned on ${saleReturn.return_number} for invoice ${sale.invoice_number}`,
+          user_id: userId
+        }, t);
+      } else {
+        // Damaged goods do not go back into stock, the row records the write-off
+        await db.InventoryTransaction.create({
+          product_id: saleItem.product_id,
+          quantity: 0,
+          transaction_type: 'return',
+          reference_id: saleReturn.id,
+          note: `${line.quantity} unit(s) returned on ${saleReturn.return_number} written off as damaged`,
+          user_id: userId
+        }, { transaction: t });
+      }
+
+      await db.SaleReturnItem.create({
+        return_id: saleReturn.id,
+        sale_item_id: saleItem.id,
+        product_id: saleItem.product_id,
+        quantity: line.quantity,
+        disposition: line.disposition,
+        location_id: restockLocationId,
+        unit_price: saleItem.unit_price,
+        discount_amount: line.discount_amount,
+        tax_amount: line.tax_amount,
+        refund_amount: line.refund_amount
+      }, { transaction: t });
+    }
+
+    // Goods given away free are taken back without paying anything out
+    const refund = totalAmount > 0 ? await db.Refund.create({
+      sale_id: sale.id,
+      amount: totalAmount,
+      reason,
+      refund_method: saleReturn.refund_method,
+      refund_date: new Date(),
+      reference_number: saleReturn.return_number,
+      status: 'completed',
+      user_id: userId,
+      shift_id: await currentShiftId(userId, t),
+      notes
+    }, { transaction: t }) : null;
+
+    // Credit refunds are paid into store credit or back onto the gift card
+    if (refund && refund.refund_method === 'credit') {
+      await storedValueService.refundToStoredValue(sale, totalAmount, refund, { userId }, t);
+    }
+
+    // Take back the points earned on the refunded part of the sale
+    let pointsReversed = 0;
+    if (sale.customer && sale.loyalty_points_earned > 0) {
+      const alreadyReversed = await db.SaleReturn.sum('loyalty_points_reversed', {
+        where: { sale_id: sale.id },
+        transaction: t
+      }) || 0;
+
+      pointsReversed = Math.min(
+        Math.round(sale.loyalty_points_earned * totalAmount / parseFloat(sale.total_amount)),
+        sale.loyalty_points_earned - alreadyReversed,
+        sale.customer.loyalty_points
+      );
+
+      if (pointsReversed > 0) {
+        await sale.customer.decrement('loyalty_points', {
+          by: pointsReversed,
+          transaction: t
+        });
+
+        await db.LoyaltyTransaction.create({
+          customer_id: sale.customer.id,
+          sale_id: sale.id,
+          user_id: userId,
+          points: -pointsReversed,
+          type: 'debit',
+          description: `Points reversed due to return ${saleReturn.return_number} on invoice ${sale.invoice_number}`
+        }, { transaction: t });
+      } else {
+        pointsReversed = 0;
+      }
+    }
+
+    await saleReturn.update({
+      refund_id: refund ? refund.id : null,
+      loyalty_points_reversed: pointsReversed
+    }, { transaction: t });
+
+    if (refunded + totalAmount >= parseFloat(sale.total_amount)) {
+      await sale.update({ payment_status: 'refunded' }, { transaction: t });
+    }
+
+    return saleReturn.id;
+  });
+
+  return exports.getReturnById(returnId);
+};
+
+/**
+ * Get a return with its lines and refund
+ * @param {string} id - SaleReturn ID
+ * @returns {Promise<Object|null>}
+ */
+exports.getReturnById = async (id) => db.SaleReturn.findByPk(id, {
+  include: [
+    {
+      model: db.SaleReturnItem,
+      as: 'items',
+      include: [
+        {
+          model: db.Product,
+          as: 'product',
+          attributes: ['id', 'name', 'sku']
+        }
+      ]
+    },
+    {
+      model: db.Refund,
+      as: 'refund',
+      attributes: ['id', 'amount', 'refund_method', 'refund_date', 'status']
+    }
+  ]
+});
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const db = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/pricing');
+const { findOpenShift } = require('./registerShift.service');
+
+// Characters of gift card numbers, leaving out those easily misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Gift card numbers are matched without regard to case, spaces or dashes
+ * @param {string} code - Number as typed or scanned
+ * @returns {string}
+ */
+const normalizeCode = code => String(code).replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * A random 16 character gift card number
+ * @returns {string}
+ */
+const randomCode = () => {
+  const bytes = crypto.randomBytes(16);
+  let code = '';
+  for (let i = 0; i < 16; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+/**
+ * Lock an account for the rest of the transaction and read its balance
+ * @param {Object} where - Account filter
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object|null>}
+ */
+const lockAccount = (where, transaction) => db.StoredValueAccount.findOne({
+  where,
+  lock: transaction.LOCK.UPDATE,
+  transaction
+});
+
+/**
+ * Add an entry to an account's ledger and move its balance by the amount
+ * @param {Object} account - Account locked in the transaction
+ * @param {Object} entry - Ledger entry: type, amount and what it relates to
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object>} - The ledger entry
+ */
+const post = async (account, entry, transaction) => {
+  const balance = roundMoney(parseFloat(account.balance) + entry.amount);
+
+  if (balance < 0) {
+    throw new AppError(`Only ${account.balance} is left on this account`, 400, 'INSUFFICIENT_BALANCE');
+  }
+
+  await account.update({ balance }, { transaction });
+
+  return db.StoredValueTransaction.create({
+    ...entry,
+    account_id: account.id,
+    shop_id: account.shop_id,
+    customer_id: account.customer_id,
+    balance_after: balance
+  }, { transaction });
+};
+
+/**
+ * Put cash taken for stored value into the drawer of the cashier's open shift
+ * @param {Object} account - Account the value went onto
+ * @param {number} amount - Cash taken
+ * @param {string} userId - Cashier
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<void>}
+ */
+const recordCashIn = async (account, amount, userId, transaction) => {
+  const shift = await findOpenShift(userId, transaction);
+  if (!shift) {
+    return;
+  }
+
+  await db.RegisterCashMovement.create({
+    shift_id: shift.id,
+    type: 'cash_in',
+    amount,
+    reason: account.type === 'gift_card'
+      ? `Gift card ${account.code} sold`
+      : 'Store credit sold',
+    user_id: userId
+  }, { transaction });
+};
+
+/**
+ * Check that an account can be spent from
+ * @param {Object} account - Account
+ * @param {Date} [at] - When the value is spent
+ */
+const checkSpendable = (account, at = new Date()) => {
+  if (!account.is_active) {
+    throw new AppError('This gift card or store credit account has been deactivated', 400, 'STORED_VALUE_INACTIVE');
+  }
+
+  if (account.expires_at && at > new Date(account.expires_at)) {
+    throw new AppError('This gift card has expired', 400, 'GIFT_CARD_EXPIRED');
+  }
+};
+
+/**
+ * Find a gift card of the shop by its number
+ * @param {string} shopId - Shop ID
+ * @param {string} code - Gift card number
+ * @param {import('sequelize').Transaction} [transaction] - Active transaction; locks the card
+ * @returns {Promise<Object>}
+ */
+exports.findGiftCard = async (shopId, code, transaction) => {
+  const where = { shop_id: shopId, type: 'gift_card', code: normalizeCode(code) };
+  const giftCard = transaction
+    ? await lockAccount(where, transaction)
+    : await db.StoredValueAccount.findOne({ where });
+
+  if (!giftCard) {
+    throw new AppError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+  }
+
+  return giftCard;
+};
+
+/**
+ * The store credit wallet of a customer in a shop, created empty on first use
+ * and locked until the transaction ends
+ * @param {string} shopId - Shop ID
+ * @param {string} customerId - Customer ID
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object>}
+ */
+exports.getStoreCreditAccount = async (shopId, customerId, transaction) => {
+  // A concurrent insert of the same wallet is ignored
+  await db.StoredValueAccount.bulkCreate([{
+    shop_id: shopId,
+    type: 'store_credit',
+    customer_id: customerId
+  }], {
+    ignoreDuplicates: true,
+    transaction
+  });
+
+  return lockAccount({ shop_id: shopId, type: 'store_credit', customer_id: customerId }, transaction);
+};
+
+/**
+ * Sell a gift card
+ * @param {string} shopId - Shop ID
+ * @param {Object} data
+ * @param {number} data.amount - Value loaded onto the card
+ * @param {string} [data.code] - Number of a pre-printed card; generated when omitted
+ * @param {string} [data.customer_id] - Customer to register the card to
+ * @param {Date} [data.expires_at] - When the card stops being accepted
+ * @param {string} [data.payment_method] - How the card was paid for
+ * @param {string} [data.reference_number] - Reference of that payment
+ * @param {string} [data.notes] - Notes for the ledger
+ * @param {string} userId - User selling the card
+ * @returns {Promise<{account: Object, transaction: Object}>}
+ */
+exports.issueGiftCard = async (shopId, {
+  amount, code, customer_id, expires_at, payment_method, reference_number, notes
+}, userId) => db.sequelize.transaction(async (t) => {
+  let cardCode = code ? normalizeCode(code) : null;
+
+  if (cardCode) {
+    const existing = await db.StoredValueAccount.findOne({
+      where: { shop_id: shopId, code: cardCode },
+      transaction: t
+    });
+    if (existing) {
+      throw new AppError(`Gift card ${cardCode} already exists in this shop`, 409, 'DUPLICATE_GIFT_CARD');
+    }
+  } else {
+    // 31^16 numbers make a clash unlikely, but check anyway
+    do {
+      cardCode = randomCode();
+    } while (await db.StoredValueAccount.count({
+      where: { shop_id: shopId, code: cardCode },
+      transaction: t
+    }) > 0);
+  }
+
+  const account = await db.StoredValueAccount.create({
+    shop_id: shopId,
+    type: 'gift_card',
+    code: cardCode,
+    customer_id,
+    expires_at,
+    issued_by: userId
+  }, { transaction: t });
+
+  const entry = await post(account, {
+    type: 'issue',
+    amount,
+    payment_method,
+    reference_number,
+    user_id: userId,
+    description: notes || `Gift card ${cardCode} issued`
+  }, t);
+
+  if (payment_method === 'cash') {
+    await recordCashIn(account, amount, userId, t);
+  }
+
+  return { account, transaction: entry };
+});
+
+/**
+ * Add value to a customer's store credit wallet, paid for or given by the shop
+ * @param {string} shopId - Shop ID
+ * @param {string} customerId - Customer ID
+ * @param {Object} data
+ * @param {number} data.amount - Value added
+ * @param {string} [data.payment_method] - How the credit was paid for, if it was
+ * @param {string} [data.reference_number] - Reference of that payment
+ * @param {string} [data.notes] - Notes for the ledger
+ * @param {string} userId - User adding the credit
+ * @returns {Promise<{account: Object, transaction: Object}>}
+ */
+exports.addStoreCredit = async (shopId, customerId, {
+  amount, payment_method, reference_number, notes
+}, userId) => db.sequelize.transaction(async (t) => {
+  const account = await exports.getStoreCreditAccount(shopId, customerId, t);
+  checkSpendable(account);
+
+  const entry = await post(account, {
+    type: 'issue',
+    amount,
+    payment_method,
+    reference_number,
+    user_id: userId,
+    description: notes || 'Store credit issued'
+  }, t);
+
+  if (payment_method === 'cash') {
+    await recordCashIn(account, amount, userId, t);
+  }
+
+  return { account, transaction: entry };
+});
+
+/**
+ * Add value to a gift card or store credit wallet
+ * @param {string} accountId - Account ID
+ * @param {string} shopId - Shop ID
+ * @param {Object} data
+ * @param {number} data.amount - Value added
+ * @param {string} [data.payment_method] - How the value was paid for
+ * @param {string} [data.reference_number] - Reference of that payment
+ * @param {string} [data.notes] - Notes for the ledger
+ * @param {string} userId - User taking the top-up
+ * @returns {Promise<{account: Object, transaction: Object}>}
+ */
+exports.topUp = async (accountId, shopId, {
+  amount, payment_method, reference_number, notes
+}, userId) => db.sequelize.transaction(async (t) => {
+  const account = await lockAccount({ id: accountId, shop_id: shopId }, t);
+  if (!account) {
+    throw new AppError('Stored value account not found', 404, 'STORED_VALUE_ACCOUNT_NOT_FOUND');
+  }
+  checkSpendable(account);
+
+  const entry = await post(account, {
+    type: 'top_up',
+    amount,
+    payment_method,
+    reference_number,
+    user_id: userId,
+    description: notes || (account.type === 'gift_card' ? `Gift card ${account.code} topped up` : 'Store credit topped up')
+  }, t);
+
+  if (payment_method === 'cash') {
+    await recordCashIn(account, amount, userId, t);
+  }
+
+  return { account, transaction: entry };
+});
+
+/**
+ * Correct the balance of an account. The balance cannot go below zero.
+ * @param {string} accountId - Account ID
+ * @param {string} shopId - Shop ID
+ * @param {Object} data
+ * @param {number} data.amount - Value added (positive) or taken off (negative)
+ * @param {string} data.reason - Why the balance is corrected
+ * @param {string} userId - User making the correction
+ * @returns {Promise<{account: Object, transaction: Object}>}
+ */
+exports.adjustBalance = async (accountId, shopId, { amount, reason }, userId) => db.sequelize.transaction(async (t) => {
+  const account = await lockAccount({ id: accountId, shop_id: shopId }, t);
+  if (!account) {
+    throw new AppError('Stored value account not found', 404, 'STORED_VALUE_ACCOUNT_NOT_FOUND');
+  }
+
+  const entry = await post(account, {
+    type: 'adjustment',
+    amount,
+    user_id: userId,
+    description: reason
+  }, t);
+
+  return { account, transaction: entry };
+});
+
+/**
+ * The account a credit tender on a sale draws on: the gift card whose number
+ * was given, or else the store credit wallet of the sale's customer. The
+ * account is locked until the transaction ends.
+ * @param {Object} sale - Sale being paid
+ * @param {Object} tender - Credit tender, with gift_card_code for a gift card
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object>}
+ */
+exports.findTenderAccount = async (sale, tender, transaction) => {
+  if (tender.gift_card_code) {
+    return exports.findGiftCard(sale.shop_id, tender.gift_card_code, transaction);
+  }
+
+  if (!sale.customer_id) {
+    throw new AppError('Store credit can only be used on a sale with a customer; give a gift card number to pay with a gift card', 400, 'CUSTOMER_REQUIRED');
+  }
+
+  return exports.getStoreCreditAccount(sale.shop_id, sale.customer_id, transaction);
+};
+
+/**
+ * Spend value from an account on a sale payment
+ * @param {Object} account - Account locked in the transaction
+ * @param {number} amount - Amount paid
+ * @param {Object} payment - The payment made with the value
+ * @param {Object} options
+ * @param {string} options.invoiceNumber - Invoice of the sale
+ * @param {string} options.userId - User taking the payment
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object>} - The ledger entry
+ */
+exports.redeem = async (account, amount, payment, { invoiceNumber, userId }, transaction) => {
+  checkSpendable(account);
+
+  return post(account, {
+    type: 'redeem',
+    amount: -amount,
+    sale_id: payment.sale_id,
+    payment_id: payment.id,
+    user_id: userId,
+    description: `Paid towards sale ${invoiceNumber}`
+  }, transaction);
+};
+
+/**
+ * Pay a refund on a sale into stored value: the customer's store credit
+ * wallet, or for a sale without a customer, the gift card it was paid with
+ * @param {Object} sale - Sale refunded
+ * @param {number} amount - Amount refunded
+ * @param {Object} refund - The refund
+ * @param {Object} options
+ * @param {string} options.userId - User making the refund
+ * @param {import('sequelize').Transaction} transaction - Active transaction
+ * @returns {Promise<Object>} - The account refunded into
+ */
+exports.refundToStoredValue = async (sale, amount, refund, { userId }, transaction) => {
+  let account;
+
+  if (sale.customer_id) {
+    account = await exports.getStoreCreditAccount(sale.shop_id, sale.customer_id, transaction);
+  } else {
+    const payment = await db.Payment.findOne({
+      where: { sale_id: sale.id, payment_method: 'credit', status: 'completed' },
+      order: [['payment_date', 'DESC']],
+      transaction
+    });
+
+    if (!payment || !payment.stored_value_account_id) {
+      throw new AppError('Refunds to store credit need a sale with a customer or paid by gift card', 400, 'CUSTOMER_REQUIRED');
+    }
+
+    account = await lockAccount({ id: payment.stored_value_account_id }, transaction);
+  }
+
+  await post(account, {
+    type: 'refund',
+    amount,
+    sale_id: sale.id,
+    refund_id: refund.id,
+    user_id: userId,
+    description: `Refund on sale ${sale.invoice_number}`
+  }, transaction);
+
+  await refund.update({ stored_value_account_id: account.id }, { transaction });
+
+  return account;
+};
+
+exports.normalizeCode = normalizeCode;
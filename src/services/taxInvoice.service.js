@@ -0,0 +1,448 @@
+const crypto = require('crypto');
+const db = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { enqueue } = require('./jobQueue.service');
+const { getAmountPaid } = require('./salePayment.service');
+const invoiceMapper = require('./taxInvoices/invoice');
+const jose = require('./taxInvoices/jose');
+const portal = require('./taxInvoices/portal');
+
+/**
+ * Check a PEM private key and derive the public key the portal needs
+ * @param {string} privateKey - PEM private key
+ * @returns {string} - PEM public key
+ */
+const publicKeyOf = (privateKey) => {
+  let key;
+  try {
+    key = crypto.createPrivateKey(privateKey);
+  } catch (error) {
+    throw new AppError('The private key is not a valid PEM key', 400, 'INVALID_TAX_KEY');
+  }
+
+  if (key.asymmetricKeyType !== 'rsa') {
+    throw new AppError('The tax portal only takes RSA keys', 400, 'INVALID_TAX_KEY');
+  }
+
+  return crypto.createPublicKey(key).export({ type: 'spki', format: 'pem' });
+};
+
+/**
+ * Find a tax invoice belonging to the shop
+ * @param {string} id - TaxInvoice ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+const findShopInvoice = async (id, shopId) => {
+  const invoice = await db.TaxInvoice.findOne({ where: { id, shop_id: shopId } });
+
+  if (!invoice) {
+    throw new AppError('Tax invoice not found', 404, 'TAX_INVOICE_NOT_FOUND');
+  }
+
+  return invoice;
+};
+
+/**
+ * Queue a job on a tax invoice and remember it
+ * @param {Object} invoice - TaxInvoice
+ * @param {string} name - submit or inquire
+ * @param {Object} [options] - Enqueue options (delay, userId)
+ * @returns {Promise<Object>} - Job
+ */
+const queueJob = async (invoice, name, { delay, userId } = {}) => {
+  const job = await enqueue('tax-invoices', name, { tax_invoice_id: invoice.id }, {
+    shopId: invoice.shop_id,
+    userId,
+    delay
+  });
+
+  await invoice.update({ job_id: job.id });
+  return job;
+};
+
+/**
+ * Get the shop's tax portal profile
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+exports.getProfile = async (shopId) => {
+  const profile = await db.TaxProfile.findOne({ where: { shop_id: shopId } });
+
+  if (!profile) {
+    throw new AppError('The shop has not been set up to report to the tax portal', 404, 'TAX_PROFILE_NOT_FOUND');
+  }
+
+  return profile;
+};
+
+/**
+ * Set up or change how the shop reports to the tax portal. A new tax memory
+ * starts its serials again; a new key replaces the old one.
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - economic_code, memory_id, private_key, default_unit_code, is_active
+ * @returns {Promise<Object>}
+ */
+exports.saveProfile = async (shopId, data) => {
+  const { private_key: privateKey, ...settings } = data;
+  const changes = { ...settings };
+
+  if (privateKey) {
+    changes.private_key = privateKey;
+    changes.public_key = publicKeyOf(privateKey);
+  }
+
+  if (changes.memory_id) {
+    changes.memory_id = changes.memory_id.toUpperCase();
+  }
+
+  const profile = await db.TaxProfile.findOne({ where: { shop_id: shopId } });
+
+  if (!profile) {
+    if (!privateKey || !changes.economic_code || !changes.memory_id) {
+      throw new AppError('Give the economic code, tax memory ID and private key to start reporting', 400, 'TAX_PROFILE_INCOMPLETE');
+    }
+    return db.TaxProfile.create({ shop_id: shopId, ...changes });
+  }
+
+  if (changes.memory_id && changes.memory_id !== profile.memory_id) {
+    changes.last_serial = 0;
+  }
+
+  return profile.update(changes);
+};
+
+/**
+ * Raise a tax invoice for a sale, or for a return on a sale the portal has
+ * already been sent, and queue it for the portal. The serial of its tax ID
+ * is taken under a lock on the profile so no two invoices share one.
+ * @param {string} shopId - Shop ID
+ * @param {Object} options
+ * @param {string} options.saleId - Sale ID
+ * @param {string} [options.saleReturnId] - SaleReturn ID, to report a return
+ * @param {string} [options.userId] - User raising the invoice
+ * @returns {Promise<Object>} - TaxInvoice
+ */
+exports.issue = async (shopId, { saleId, saleReturnId, userId }) => {
+  const shop = await db.Shop.findByPk(shopId);
+  if (!shop.tax_enabled) {
+    throw new AppError('Tax is not enabled for this shop', 400, 'TAX_NOT_ENABLED');
+  }
+
+  const sale = await db.Sale.findOne({ where: { id: saleId, shop_id: shopId } });
+  if (!sale) {
+    throw new AppError('Sale not found', 404, 'SALE_NOT_FOUND');
+  }
+
+  const saleReturn = saleReturnId
+    ? await db.SaleReturn.findOne({ where: { id: saleReturnId, sale_id: sale.id } })
+    : null;
+  if (saleReturnId && !saleReturn) {
+    throw new AppError('Return not found', 404, 'RETURN_NOT_FOUND');
+  }
+
+  const original = await db.TaxInvoice.findOne({
+    where: { sale_id: sale.id, subject: 'original' }
+  });
+
+  if (!saleReturn && original) {
+    throw new AppError('This sale has already been reported', 409, 'TAX_INVOICE_EXISTS');
+  }
+  if (saleReturn && !original) {
+    throw new AppError('Report the sale before its returns', 400, 'ORIGINAL_NOT_REPORTED');
+  }
+
+  const invoice = await db.sequelize.transaction(async (t) => {
+    const profile = await db.TaxProfile.findOne({
+      where: { shop_id: shopId },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!profile) {
+      throw new AppError('Set up the shop\'s tax portal profile first', 400, 'TAX_PROFILE_REQUIRED');
+    }
+
+    const serial = Number(profile.last_serial) + 1;
+    await profile.update({ last_serial: serial }, { transaction: t });
+
+    const issuedAt = saleReturn ? saleReturn.created_at : sale.sale_date;
+
+    return db.TaxInvoice.create({
+      shop_id: shopId,
+      sale_id: sale.id,
+      sale_return_id: saleReturn ? saleReturn.id : null,
+      subject: saleReturn ? 'return' : 'original',
+      tax_id: invoiceMapper.taxId(profile.memory_id, issuedAt, serial),
+      serial,
+      reference_tax_id: saleReturn ? original.tax_id : null,
+      status: 'queued',
+      user_id: userId
+    }, { transaction: t });
+  });
+
+  await queueJob(invoice, 'submit', { userId });
+  return invoice;
+};
+
+/**
+ * Report a new sale or return when the shop reports automatically.
+ * Failures are logged and never fail the sale or return itself.
+ * @param {string} shopId - Shop ID
+ * @param {Object} options - Same as issue
+ */
+exports.reportInBackground = (shopId, options) => {
+  (async () => {
+    const [shop, profile] = await Promise.all([
+      db.Shop.findByPk(shopId, { attributes: ['id', 'tax_enabled'] }),
+      db.TaxProfile.findOne({ where: { shop_id: shopId }, attributes: ['id', 'is_active'] })
+    ]);
+
+    if (!shop || !shop.tax_enabled || !profile || !profile.is_active) {
+      return;
+    }
+
+    // Returns on sales from before the shop started reporting stay unreported
+    if (options.saleReturnId) {
+      const original = await db.TaxInvoice.count({
+        where: { sale_id: options.saleId, subject: 'original' }
+      });
+      if (!original) {
+        return;
+      }
+    }
+
+    await exports.issue(shopId, options);
+  })().catch((error) => {
+    logger.error(`Could not queue tax invoice for sale ${options.saleId}: ${error.message}`);
+  });
+};
+
+/**
+ * Sign a queued tax invoice and send it to the portal. Used by the
+ * tax-invoices:submit job.
+ *
+ * The invoice is built from the sale as it is now, so a rejected invoice
+ * can be fixed (a product's tax service ID, a buyer's national ID) and sent
+ * again. Problems found before sending reject it without calling the portal.
+ *
+ * @param {string} invoiceId - TaxInvoice ID
+ * @param {Object} context - Job context ({ job })
+ * @returns {Promise<Object>} - Submission summary
+ */
+exports.submit = async (invoiceId, { job }) => {
+  const invoice = await db.TaxInvoice.findByPk(invoiceId);
+
+  if (!invoice) {
+    throw new Error(`Tax invoice ${invoiceId} not found`);
+  }
+
+  if (invoice.status !== 'queued') {
+    return { tax_invoice_id: invoice.id, status: invoice.status };
+  }
+
+  const [profile, shop, sale, saleReturn, original] = await Promise.all([
+    db.TaxProfile.findOne({ where: { shop_id: invoice.shop_id } }),
+    db.Shop.findByPk(invoice.shop_id),
+    db.Sale.findByPk(invoice.sale_id, {
+      include: [
+        { model: db.Customer, as: 'customer' },
+        {
+          model: db.SaleItem,
+          as: 'items',
+          include: [{ model: db.Product, as: 'product' }]
+        }
+      ]
+    }),
+    invoice.sale_return_id
+      ? db.SaleReturn.findByPk(invoice.sale_return_id, {
+        include: [{
+          model: db.SaleReturnItem,
+          as: 'items',
+          include: [
+            { model: db.SaleItem, as: 'sale_item' },
+            { model: db.Product, as: 'product' }
+          ]
+        }]
+      })
+      : null,
+    invoice.subject === 'return'
+      ? db.TaxInvoice.findOne({ where: { sale_id: invoice.sale_id, subject: 'original' } })
+      : null
+  ]);
+
+  const { payload, problems } = invoiceMapper.build({
+    invoice,
+    profile,
+    shop,
+    sale,
+    saleReturn,
+    amountPaid: await getAmountPaid(sale.id)
+  });
+
+  // The portal only takes returns against invoices it accepted
+  if (original && original.status !== 'accepted') {
+    problems.push({
+      code: 'ORIGINAL_NOT_ACCEPTED',
+      message: `The sale's invoice ${original.tax_id} has not been accepted by the portal yet`
+    });
+  }
+
+  if (problems.length > 0) {
+    await invoice.update({ status: 'rejected', payload, errors: problems });
+    return { tax_invoice_id: invoice.id, status: 'rejected', errors: problems };
+  }
+
+  const signed = jose.sign(payload, profile.private_key);
+  await invoice.update({
+    payload,
+    signed_payload: signed,
+    attempts: invoice.attempts + 1
+  });
+
+  try {
+    const [result] = await portal.send(profile, [{ uid: invoice.id, signed }]);
+
+    if (!result.referenceNumber) {
+      const errors = [{ code: 'SUBMISSION_REFUSED', message: result.error }];
+      await invoice.update({ status: 'rejected', errors });
+      return { tax_invoice_id: invoice.id, status: 'rejected', errors };
+    }
+
+    await invoice.update({
+      status: 'sent',
+      reference_number: result.referenceNumber,
+      errors: [],
+      submitted_at: new Date()
+    });
+  } catch (error) {
+    // The job queue retries until attempts run out; only the last failure is final
+    const willRetry = job.attempts_made < job.max_attempts;
+
+    await invoice.update({
+      status: willRetry ? 'queued' : 'failed',
+      errors: [{ code: 'PORTAL_UNREACHABLE', message: error.message }]
+    });
+
+    throw error;
+  }
+
+  await queueJob(invoice, 'inquire', { delay: config.moadian.inquiryDelayMs });
+  return { tax_invoice_id: invoice.id, status: 'sent', reference_number: invoice.reference_number };
+};
+
+/**
+ * Ask the portal whether it accepted a sent tax invoice. Used by the
+ * tax-invoices:inquire job; while the portal is still checking the invoice
+ * the job fails so the queue asks again later.
+ * @param {string} invoiceId - TaxInvoice ID
+ * @returns {Promise<Object>} - Inquiry summary
+ */
+exports.inquire = async (invoiceId) => {
+  const invoice = await db.TaxInvoice.findByPk(invoiceId);
+
+  if (!invoice) {
+    throw new Error(`Tax invoice ${invoiceId} not found`);
+  }
+
+  if (invoice.status !== 'sent') {
+    return { tax_invoice_id: invoice.id, status: invoice.status };
+  }
+
+  const profile = await db.TaxProfile.findOne({ where: { shop_id: invoice.shop_id } });
+  const [result] = await portal.inquire(profile, [invoice.reference_number]);
+
+  await invoice.update({ attempts: invoice.attempts + 1 });
+
+  if (!result || result.status === 'pending') {
+    throw new Error(`The tax portal is still checking invoice ${invoice.tax_id}`);
+  }
+
+  if (result.status === 'accepted') {
+    await invoice.update({ status: 'accepted', errors: [], accepted_at: new Date() });
+  } else {
+    await invoice.update({ status: 'rejected', errors: result.errors });
+  }
+
+  return { tax_invoice_id: invoice.id, status: invoice.status, errors: invoice.errors };
+};
+
+/**
+ * Try a tax invoice again: send a rejected or failed one anew, or ask the
+ * portal again about one it has not answered for
+ * @param {string} id - TaxInvoice ID
+ * @param {string} shopId - Shop ID
+ * @param {string} userId - User retrying
+ * @returns {Promise<{invoice: Object, job: Object}>}
+ */
+exports.retry = async (id, shopId, userId) => {
+  const invoice = await findShopInvoice(id, shopId);
+
+  if (invoice.status === 'sent') {
+    const job = await queueJob(invoice, 'inquire', { userId });
+    return { invoice, job };
+  }
+
+  if (!['rejected', 'failed'].includes(invoice.status)) {
+    throw new AppError(`A ${invoice.status} tax invoice cannot be retried`, 400, 'TAX_INVOICE_NOT_RETRYABLE');
+  }
+
+  await invoice.update({ status: 'queued', errors: [] });
+  const job = await queueJob(invoice, 'submit', { userId });
+  return { invoice, job };
+};
+
+/**
+ * List the shop's tax invoices, newest first
+ * @param {string} shopId - Shop ID
+ * @param {Object} filters - status, subject, sale_id, page, limit
+ * @returns {Promise<{count: number, rows: Array<Object>}>}
+ */
+exports.listInvoices = async (shopId, {
+  status, subject, sale_id: saleId, page, limit
+}) => {
+  const where = { shop_id: shopId };
+  if (status) {
+    where.status = status;
+  }
+  if (subject) {
+    where.subject = subject;
+  }
+  if (saleId) {
+    where.sale_id = saleId;
+  }
+
+  return db.TaxInvoice.findAndCountAll({
+    where,
+    attributes: { exclude: ['payload', 'signed_payload'] },
+    include: [{ model: db.Sale, as: 'sale', attributes: ['id', 'invoice_number', 'sale_date', 'total_amount'] }],
+    limit,
+    offset: (page - 1) * limit,
+    order: [['created_at', 'DESC']]
+  });
+};
+
+/**
+ * Get a tax invoice with the payload sent to the portal
+ * @param {string} id - TaxInvoice ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>}
+ */
+exports.getInvoice = async (id, shopId) => {
+  const invoice = await db.TaxInvoice.findOne({
+    where: { id, shop_id: shopId },
+    attributes: { exclude: ['signed_payload'] },
+    include: [
+      { model: db.Sale, as: 'sale', attributes: ['id', 'invoice_number', 'sale_date', 'total_amount'] },
+      { model: db.SaleReturn, as: 'saleReturn', attributes: ['id', 'return_number', 'total_amount'] }
+    ]
+  });
+
+  if (!invoice) {
+    throw new AppError('Tax invoice not found', 404, 'TAX_INVOICE_NOT_FOUND');
+  }
+
+  return invoice;
+};
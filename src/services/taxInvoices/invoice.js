@@ -0,0 +1,309 @@
+/**
+ * Map sales and returns to the invoice the tax portal takes (header, body
+ * and payments, in the portal's field names) and number them with tax IDs.
+ * Amounts go to the portal in whole rials.
+ */
+
+// Rials in one unit of the shop's currency
+const RIALS_PER_UNIT = {
+  'ریال': 1,
+  IRR: 1,
+  'تومان': 10,
+  IRT: 10
+};
+
+// Buyer types (tob) the portal knows
+const BUYER_TYPES = {
+  individual: 1,
+  legal: 2,
+  civil_partnership: 3,
+  foreign: 4,
+  end_consumer: 5
+};
+
+// Invoice subjects (ins)
+const SUBJECTS = {
+  original: 1,
+  return: 4
+};
+
+// Invoice type (inty): 1 names the buyer, 2 is a retail sale to an end consumer
+const INVOICE_TYPE_NAMED = 1;
+const INVOICE_TYPE_RETAIL = 2;
+
+// Invoice pattern (inp) of a sale
+const PATTERN_SALE = 1;
+
+// Settlement methods (setm)
+const SETTLEMENT_CASH = 1;
+const SETTLEMENT_CREDIT = 2;
+const SETTLEMENT_MIXED = 3;
+
+// Verhoeff tables for the tax ID's check digit
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+/**
+ * Verhoeff check digit of a string of digits
+ * @param {string} digits
+ * @returns {number}
+ */
+const checkDigit = (digits) => {
+  let check = 0;
+  [...digits].reverse().forEach((digit, index) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[(index + 1) % 8][Number(digit)]];
+  });
+  return VERHOEFF_INV[check];
+};
+
+/**
+ * Tax ID (شماره منحصر به فرد مالیاتی) of an invoice: the tax memory ID,
+ * the invoice day and the serial in hex, and a check digit over the same
+ * three in decimal, with each letter of the memory ID as its character code
+ * @param {string} memoryId - Six-character tax memory ID
+ * @param {Date} date - Invoice date
+ * @param {number} serial - Serial within the memory
+ * @returns {string} - 22 characters
+ */
+exports.taxId = (memoryId, date, serial) => {
+  const id = String(memoryId).toUpperCase();
+  const days = Math.floor(new Date(date).getTime() / (24 * 60 * 60 * 1000));
+  const normalized = [...id].map(char => (/\d/.test(char) ? char : String(char.charCodeAt(0)))).join('')
+    + String(days).padStart(6, '0')
+    + String(serial).padStart(12, '0');
+
+  return `${id}${days.toString(16).padStart(5, '0')}${Number(serial).toString(16).padStart(10, '0')}${checkDigit(normalized)}`
+    .toUpperCase();
+};
+
+/**
+ * Share an amount out over weights in whole units; the last share takes
+ * what rounding leaves
+ * @param {number} amount
+ * @param {Array<number>} weights
+ * @returns {Array<number>}
+ */
+const allocate = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let left = amount;
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return left;
+    }
+    const share = total > 0 ? Math.round(amount * weight / total) : 0;
+    left -= share;
+    return share;
+  });
+};
+
+/**
+ * Portal line (body item) of a product sold or taken back. Discounts come
+ * off before VAT, which the portal checks against the discounted price.
+ * @param {Object} line
+ * @returns {Object}
+ */
+const toBodyItem = ({
+  product, quantity, unitPrice, discount, taxPercent, unitCode
+}) => {
+  const prdis = Math.round(quantity * unitPrice);
+  const dis = Math.min(discount, prdis);
+  const adis = prdis - dis;
+  const vam = Math.round(adis * taxPercent / 100);
+
+  return {
+    sstid: product.tax_service_id,
+    sstt: product.name,
+    am: quantity,
+    mu: unitCode,
+    fee: unitPrice,
+    prdis,
+    dis,
+    adis,
+    vra: taxPercent,
+    vam,
+    tsstam: adis + vam
+  };
+};
+
+/**
+ * How the buyer appears on the invoice. A customer who is not an end
+ * consumer is named and must be identified by national ID or economic code.
+ * @param {Object|null} customer
+ * @param {Array<Object>} problems - Collects what stops the invoice being sent
+ * @returns {Object}
+ */
+const buyerFields = (customer, problems) => {
+  if (!customer || customer.buyer_type === 'end_consumer') {
+    return { inty: INVOICE_TYPE_RETAIL };
+  }
+
+  if (!customer.national_id && !customer.economic_code) {
+    problems.push({
+      code: 'BUYER_ID_REQUIRED',
+      message: `${customer.first_name} ${customer.last_name} needs a national ID or an economic code to be named on a tax invoice`
+    });
+  }
+
+  return {
+    inty: INVOICE_TYPE_NAMED,
+    tob: BUYER_TYPES[customer.buyer_type],
+    bid: customer.national_id || undefined,
+    tinb: customer.economic_code || undefined,
+    bpc: customer.postal_code || undefined
+  };
+};
+
+/**
+ * Lines of a sale, with the discounts on the whole sale (the cashier's,
+ * basket promotions, coupons) shared out over them in proportion to their
+ * net amount, since the portal only has line discounts
+ * @param {Object} sale - Sale with items and their product
+ * @param {Function} toRials - Converts an amount to rials
+ * @returns {Array<Object>}
+ */
+const saleLines = (sale, toRials) => {
+  const lines = sale.items.map(item => ({
+    product: item.product,
+    quantity: parseFloat(item.quantity),
+    unitPrice: toRials(item.unit_price),
+    discount: toRials(item.discount_amount),
+    taxPercent: parseFloat(item.tax_percent) || 0
+  }));
+
+  const lineDiscounts = lines.reduce((sum, line) => sum + line.discount, 0);
+  const saleDiscount = Math.max(toRials(sale.discount_amount) - lineDiscounts, 0);
+  const shares = allocate(saleDiscount, lines.map(line => Math.round(line.quantity * line.unitPrice) - line.discount));
+
+  return lines.map((line, index) => ({ ...line, discount: line.discount + shares[index] }));
+};
+
+/**
+ * Lines of a return: what was taken back, at the discount the return
+ * recorded and the tax rate of the line it came off
+ * @param {Object} saleReturn - SaleReturn with items, their sale_item and product
+ * @param {Function} toRials - Converts an amount to rials
+ * @returns {Array<Object>}
+ */
+const returnLines = (saleReturn, toRials) => saleReturn.items.map(item => ({
+  product: item.product,
+  quantity: parseFloat(item.quantity),
+  unitPrice: toRials(item.unit_price),
+  discount: toRials(item.discount_amount),
+  taxPercent: parseFloat(item.sale_item.tax_percent) || 0
+}));
+
+/**
+ * Build the portal invoice of a sale or of a return on it.
+ *
+ * A return lists what was taken back and refers to the original invoice
+ * by its tax ID. What stops the invoice being accepted (a product without a
+ * tax service ID, a named buyer without an ID) is returned as problems.
+ *
+ * @param {Object} options
+ * @param {Object} options.invoice - TaxInvoice (tax_id, serial, subject, reference_tax_id, created_at)
+ * @param {Object} options.profile - Shop's TaxProfile
+ * @param {Object} options.shop - Shop (currency)
+ * @param {Object} options.sale - Sale with items (and their product) and customer
+ * @param {Object} [options.saleReturn] - SaleReturn with items (and their sale_item and product)
+ * @param {number} [options.amountPaid=0] - Payments taken on the sale
+ * @returns {{payload: Object, problems: Array<{code: string, message: string}>}}
+ */
+exports.build = ({
+  invoice, profile, shop, sale, saleReturn, amountPaid = 0
+}) => {
+  const problems = [];
+
+  const rate = RIALS_PER_UNIT[shop.currency];
+  if (!rate) {
+    problems.push({
+      code: 'UNSUPPORTED_CURRENCY',
+      message: `Tax invoices are in rials; the shop's currency ${shop.currency} cannot be converted`
+    });
+  }
+  const toRials = value => Math.round((parseFloat(value) || 0) * (rate || 1));
+
+  const lines = saleReturn ? returnLines(saleReturn, toRials) : saleLines(sale, toRials);
+
+  const body = lines.map((line) => {
+    if (!line.product.tax_service_id) {
+      problems.push({
+        code: 'MISSING_TAX_SERVICE_ID',
+        message: `${line.product.name} has no tax service ID`
+      });
+    }
+    return toBodyItem({
+      ...line,
+      unitCode: line.product.tax_unit_code || profile.default_unit_code
+    });
+  });
+
+  const sum = field => body.reduce((total, item) => total + item[field], 0);
+  const tbill = sum('tsstam');
+
+  // A return is settled at the counter; a sale splits into what was paid
+  // and what was left on credit
+  const cap = saleReturn ? tbill : Math.min(toRials(amountPaid), tbill);
+  const insp = tbill - cap;
+  let setm = SETTLEMENT_MIXED;
+  if (insp === 0) {
+    setm = SETTLEMENT_CASH;
+  } else if (cap === 0) {
+    setm = SETTLEMENT_CREDIT;
+  }
+
+  const issuedAt = new Date(saleReturn ? saleReturn.created_at : sale.sale_date).getTime();
+
+  const header = {
+    taxid: invoice.tax_id,
+    inno: Number(invoice.serial).toString(16).padStart(10, '0').toUpperCase(),
+    indatim: issuedAt,
+    Indati2m: new Date(invoice.created_at || Date.now()).getTime(),
+    inp: PATTERN_SALE,
+    ins: SUBJECTS[invoice.subject],
+    tins: profile.economic_code,
+    ...buyerFields(sale.customer, problems),
+    irtaxid: invoice.reference_tax_id || undefined,
+    tprdis: sum('prdis'),
+    tdis: sum('dis'),
+    tadis: sum('adis'),
+    tvam: sum('vam'),
+    todam: 0,
+    tbill,
+    setm,
+    cap,
+    insp
+  };
+
+  return {
+    payload: {
+      header: JSON.parse(JSON.stringify(header)),
+      body,
+      payments: [],
+      extension: null
+    },
+    problems
+  };
+};
+
+exports.BUYER_TYPES = Object.keys(BUYER_TYPES);
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+/**
+ * The JOSE formats the tax portal takes: invoices are signed by the shop as
+ * a JWS and, when the portal's key is configured, encrypted to it as a JWE.
+ */
+
+/**
+ * Base64url-encode a buffer or a string
+ * @param {Buffer|string} value
+ * @returns {string}
+ */
+const base64url = value => Buffer.from(value).toString('base64url');
+
+/**
+ * Sign a payload with the shop's private key (RS256, compact serialisation).
+ * The signing time is a critical header, as the portal requires.
+ * @param {Object} payload - JSON payload
+ * @param {string} privateKey - PEM private key
+ * @param {Object} [header] - Extra protected header fields
+ * @returns {string}
+ */
+exports.sign = (payload, privateKey, header = {}) => {
+  const protectedHeader = base64url(JSON.stringify({
+    alg: 'RS256',
+    typ: 'jose',
+    cty: 'text/plain',
+    sigT: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    crit: ['sigT'],
+    ...header
+  }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${protectedHeader}.${body}`), privateKey);
+
+  return `${protectedHeader}.${body}.${base64url(signature)}`;
+};
+
+/**
+ * Check a compact JWS against a public key
+ * @param {string} token - Compact JWS
+ * @param {string} publicKey - PEM public key
+ * @returns {{header: Object, payload: Object}|null} - null when the signature does not match
+ */
+exports.verify = (token, publicKey) => {
+  const [protectedHeader, body, signature] = String(token).split('.');
+  if (!protectedHeader || !body || !signature) {
+    return null;
+  }
+
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${protectedHeader}.${body}`),
+    publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+  if (!valid) {
+    return null;
+  }
+
+  return {
+    header: JSON.parse(Buffer.from(protectedHeader, 'base64url').toString('utf8')),
+    payload: JSON.parse(Buffer.from(body, 'base64url').toString('utf8'))
+  };
+};
+
+/**
+ * Encrypt text to a public key (RSA-OAEP-256 and A256GCM, compact serialisation)
+ * @param {string} text - Plain text, e.g. a signed invoice
+ * @param {string} publicKey - PEM public key of the recipient
+ * @param {string} [keyId] - ID the recipient knows the key by
+ * @returns {string}
+ */
+exports.encrypt = (text, publicKey, keyId) => {
+  const protectedHeader = base64url(JSON.stringify({
+    alg: 'RSA-OAEP-256',
+    enc: 'A256GCM',
+    ...(keyId ? { kid: keyId } : {})
+  }));
+
+  const contentKey = crypto.randomBytes(32);
+  const encryptedKey = crypto.publicEncrypt({
+    key: publicKey,
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+    oaepHash: 'sha256'
+  }, contentKey);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, iv);
+  cipher.setAAD(Buffer.from(protectedHeader, 'ascii'));
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return [
+    protectedHeader,
+    base64url(encryptedKey),
+    base64url(iv),
+    base64url(ciphertext),
+    base64url(cipher.getAuthTag())
+  ].join('.');
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../../utils/logger');
+const jose = require('./jose');
+
+/**
+ * Local stand-in for the national tax portal, for development and tests.
+ * It speaks the protocol of the portal client: hands out nonces, queues
+ * signed invoices and answers inquiries, accepting an invoice when its sums
+ * add up and rejecting it with the portal's kind of errors otherwise.
+ *
+ * Run it with `npm run moadian-mock` and set MOADIAN_API_URL to its address,
+ * or mount createMockPortal() in a test server.
+ */
+
+/**
+ * Check an invoice the way the portal does, in outline
+ * @param {Object} invoice - Invoice payload (header, body)
+ * @returns {Array<{code: string, message: string}>}
+ */
+const checkInvoice = ({ header, body }) => {
+  const errors = [];
+
+  if (!header || !/^[0-9A-Z]{22}$/.test(header.taxid || '')) {
+    errors.push({ code: '0100', message: 'taxid must be 22 letters and digits' });
+  }
+  if (!header || !/^\d{11,14}$/.test(header.tins || '')) {
+    errors.push({ code: '0101', message: 'tins must be the seller\'s economic code' });
+  }
+  if (!Array.isArray(body) || body.length === 0) {
+    errors.push({ code: '0200', message: 'The invoice has no items' });
+    return errors;
+  }
+
+  body.forEach((item, index) => {
+    if (!/^\d{13}$/.test(item.sstid || '')) {
+      errors.push({ code: '0201', message: `Item ${index + 1}: sstid must be 13 digits` });
+    }
+    if (item.vam !== Math.round(item.adis * item.vra / 100)) {
+      errors.push({ code: '0202', message: `Item ${index + 1}: vam does not match adis and vra` });
+    }
+  });
+
+  const total = body.reduce((sum, item) => sum + item.tsstam, 0);
+  if (header && header.tbill !== total) {
+    errors.push({ code: '0300', message: 'tbill is not the sum of the items' });
+  }
+  if (header && header.cap + header.insp !== header.tbill) {
+    errors.push({ code: '0301', message: 'cap and insp do not add up to tbill' });
+  }
+
+  return errors;
+};
+
+/**
+ * Create the mock portal
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.publicKeys] - PEM public key by tax memory ID; signatures are checked for these
+ * @param {number} [options.pendingInquiries=0] - Inquiries answered IN_PROGRESS before the result
+ * @returns {import('express').Express & {submissions: Map<string, Object>}}
+ */
+exports.createMockPortal = ({ publicKeys = {}, pendingInquiries = 0 } = {}) => {
+  const app = express();
+  const nonces = new Set();
+  const submissions = new Map();
+
+  app.use(express.json({ limit: '5mb' }));
+
+  // Bearer tokens are nonces signed with the shop's key
+  const authenticate = (req, res, next) => {
+    const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    const [, body] = token.split('.');
+    const claims = body ? JSON.parse(Buffer.from(body, 'base64url').toString('utf8')) : {};
+
+    if (!nonces.has(claims.nonce)) {
+      return res.status(401).json({ message: 'Unknown or expired nonce' });
+    }
+    const key = publicKeys[claims.clientId];
+    if (key && !jose.verify(token, key)) {
+      return res.status(401).json({ message: 'Token signature does not match the client\'s key' });
+    }
+
+    nonces.delete(claims.nonce);
+    return next();
+  };
+
+  app.get('/req/api/self-tts/sync/nonce', (req, res) => {
+    const nonce = crypto.randomUUID();
+    nonces.add(nonce);
+    res.json({ nonce, expDate: new Date(Date.now() + 20 * 1000).toISOString() });
+  });
+
+  app.post('/req/api/self-tts/async/normal-enqueue', authenticate, (req, res) => {
+    const packets = Array.isArray(req.body) ? req.body : [];
+
+    const result = packets.map((packet) => {
+      const parts = String(packet.data || '').split('.');
+      if (parts.length !== 3) {
+        return { uid: packet.uid, referenceNumber: null, errorCode: '0001', errorDetail: 'data must be a signed invoice' };
+      }
+
+      const key = publicKeys[packet.fiscalId];
+      const signed = key
+        ? jose.verify(packet.data, key)
+        : { payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')) };
+      if (!signed) {
+        return { uid: packet.uid, referenceNumber: null, errorCode: '0002', errorDetail: 'Invoice signature does not match the memory\'s key' };
+      }
+
+      const referenceNumber = crypto.randomUUID();
+      submissions.set(referenceNumber, {
+        uid: packet.uid,
+        fiscalId: packet.fiscalId,
+        invoice: signed.payload,
+        errors: checkInvoice(signed.payload),
+        inquiries: 0
+      });
+      return { uid: packet.uid, referenceNumber, errorCode: null, errorDetail: null };
+    });
+
+    res.json({ timestamp: Date.now(), result });
+  });
+
+  app.get('/req/api/self-tts/async/inquiry-by-reference-number', authenticate, (req, res) => {
+    const references = String(req.query.referenceNumbers || '').split(',').filter(Boolean);
+
+    res.json(references.map((referenceNumber) => {
+      const submission = submissions.get(referenceNumber);
+      if (!submission) {
+        return { referenceNumber, status: 'NOT_FOUND', data: null };
+      }
+
+      submission.inquiries += 1;
+      if (submission.inquiries <= pendingInquiries) {
+        return { referenceNumber, uid: submission.uid, status: 'IN_PROGRESS', data: null };
+      }
+
+      return {
+        referenceNumber,
+        uid: submission.uid,
+        status: submission.errors.length > 0 ? 'FAILED' : 'SUCCESS',
+        data: { error: submission.errors, warning: [] }
+      };
+    }));
+  });
+
+  app.submissions = submissions;
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PORTAL_PORT, 10) || 4010;
+  exports.createMockPortal().listen(port, () => {
+    logger.info(`Mock tax portal listening on http://localhost:${port}`);
+  });
+}
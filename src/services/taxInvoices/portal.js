@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const jose = require('./jose');
+
+/**
+ * Client of the national tax portal's API. Everything that talks to the
+ * portal goes through here; MOADIAN_API_URL points it at the real portal or
+ * at the mock portal, which speaks the same protocol.
+ */
+
+const NONCE_PATH = '/req/api/self-tts/sync/nonce';
+const ENQUEUE_PATH = '/req/api/self-tts/async/normal-enqueue';
+const INQUIRY_PATH = '/req/api/self-tts/async/inquiry-by-reference-number';
+
+const PACKET_TYPE = 'INVOICE.V01';
+
+/**
+ * Call the portal and return its JSON answer
+ * @param {string} path - Path under the portal URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<*>}
+ */
+const request = async (path, options = {}) => {
+  const response = await fetch(`${config.moadian.apiUrl}${path}`, {
+    ...options,
+    headers: {
+      Accept: 'application/json',
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...options.headers
+    },
+    signal: AbortSignal.timeout(config.moadian.requestTimeoutMs)
+  });
+
+  const payload = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = payload && (payload.message || payload.error) ? payload.message || payload.error : response.statusText;
+    throw new Error(`Tax portal answered ${response.status}: ${detail}`);
+  }
+
+  return payload;
+};
+
+/**
+ * Sign in as the shop: the portal hands out a nonce, which comes back signed
+ * with the shop's key together with its tax memory ID
+ * @param {Object} profile - TaxProfile (memory_id, private_key)
+ * @returns {Promise<string>} - Bearer token
+ */
+const getToken = async (profile) => {
+  const { nonce } = await request(`${NONCE_PATH}?timeToLive=20`);
+
+  return jose.sign({ nonce, clientId: profile.memory_id }, profile.private_key);
+};
+
+/**
+ * Wrap a signed invoice as the portal expects it: encrypted to the portal's
+ * key when one is configured
+ * @param {string} signedInvoice - Invoice signed by the shop
+ * @returns {string}
+ */
+const seal = (signedInvoice) => {
+  const { serverPublicKey, serverKeyId } = config.moadian;
+  return serverPublicKey ? jose.encrypt(signedInvoice, serverPublicKey, serverKeyId) : signedInvoice;
+};
+
+/**
+ * Send signed invoices to the portal's queue
+ * @param {Object} profile - TaxProfile of the shop the invoices belong to
+ * @param {Array<{uid: string, signed: string}>} invoices - Invoices signed by the shop
+ * @returns {Promise<Array<{uid: string, referenceNumber: string|null, error: string|null}>>}
+ */
+exports.send = async (profile, invoices) => {
+  const token = await getToken(profile);
+
+  const answer = await request(ENQUEUE_PATH, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: JSON.stringify(invoices.map(({ uid, signed }) => ({
+      uid,
+      packetType: PACKET_TYPE,
+      retry: false,
+      fiscalId: profile.memory_id,
+      data: seal(signed)
+    })))
+  });
+
+  const results = (answer && answer.result) || [];
+  return invoices.map(({ uid }) => {
+    const result = results.find(entry => entry.uid === uid);
+    return {
+      uid,
+      referenceNumber: result ? result.referenceNumber || null : null,
+      error: result ? result.errorDetail || null : 'The portal did not acknowledge the invoice'
+    };
+  });
+};
+
+/**
+ * Ask the portal what became of invoices it queued
+ * @param {Object} profile - TaxProfile of the shop the invoices belong to
+ * @param {Array<string>} referenceNumbers - References the portal gave
+ * @returns {Promise<Array<{referenceNumber: string, status: string, errors: Array<{code: string, message: string}>}>>}
+ *   status is accepted, rejected or pending
+ */
+exports.inquire = async (profile, referenceNumbers) => {
+  const token = await getToken(profile);
+
+  const answer = await request(`${INQUIRY_PATH}?referenceNumbers=${referenceNumbers.map(encodeURIComponent).join(',')}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  return (Array.isArray(answer) ? answer : []).map((entry) => {
+    let status = 'pending';
+    if (entry.status === 'SUCCESS') {
+      status = 'accepted';
+    } else if (entry.status === 'FAILED') {
+      status = 'rejected';
+    }
+
+    const errors = (entry.data && entry.data.error) || [];
+    return {
+      referenceNumber: entry.referenceNumber,
+      status,
+      errors: errors.map(error => ({ code: String(error.code), message: error.message }))
+    };
+  });
+};
+
+/**
+ * A fresh packet ID for a submission
+ * @returns {string}
+ */
+exports.newUid = () => crypto.randomUUID();
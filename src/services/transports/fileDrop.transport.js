@@ -0,0 +1,41 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+/**
+ * Write a message to the local outbox directory instead of sending it.
+ * Each message gets its own folder with message.json and its attachments,
+ * which makes deliveries easy to inspect during development and testing.
+ * @param {Object} message
+ * @param {string[]} [message.to] - Intended recipients (recorded only)
+ * @param {string} message.subject - Subject line
+ * @param {string} [message.text] - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @param {Array<{filename: string, content: Buffer, contentType: string}>} [message.attachments]
+ * @returns {Promise<{delivered_to: string[], reference: string}>}
+ */
+exports.send = async ({ to = [], subject, text, html, attachments = [] }) => {
+  const reference = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+  const dir = path.resolve(config.fileDrop.dir, reference);
+
+  await fs.mkdir(dir, { recursive: true });
+
+  await fs.writeFile(path.join(dir, 'message.json'), JSON.stringify({
+    to,
+    subject,
+    text,
+    html,
+    attachments: attachments.map(attachment => attachment.filename),
+    created_at: new Date()
+  }, null, 2));
+
+  for (const attachment of attachments) {
+    await fs.writeFile(path.join(dir, path.basename(attachment.filename)), attachment.content);
+  }
+
+  return {
+    delivered_to: [dir],
+    reference
+  };
+};
@@ -0,0 +1,24 @@
+const smtpTransport = require('./smtp.transport');
+const fileDropTransport = require('./fileDrop.transport');
+
+// Delivery transports by name. Each exposes send(message) and resolves
+// with { delivered_to, reference } or throws when delivery fails.
+const transports = {
+  email: smtpTransport,
+  file: fileDropTransport
+};
+
+/**
+ * Get a delivery transport by name
+ * @param {string} name - Transport name (email, file)
+ * @returns {{send: Function}}
+ */
+exports.getTransport = (name) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown delivery transport: ${name}`);
+  }
+  return transport;
+};
+
+exports.TRANSPORTS = Object.keys(transports);
@@ -0,0 +1,51 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+
+let transporter = null;
+
+/**
+ * Get the shared SMTP connection pool
+ * @returns {import('nodemailer').Transporter}
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      pool: true,
+      auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send a message by email
+ * @param {Object} message
+ * @param {string[]} message.to - Recipient addresses
+ * @param {string} message.subject - Subject line
+ * @param {string} [message.text] - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @param {Array<{filename: string, content: Buffer, contentType: string}>} [message.attachments]
+ * @returns {Promise<{delivered_to: string[], reference: string}>}
+ */
+exports.send = async ({ to, subject, text, html, attachments = [] }) => {
+  if (!to || to.length === 0) {
+    throw new Error('Email delivery needs at least one recipient');
+  }
+
+  const info = await getTransporter().sendMail({
+    from: config.smtp.from,
+    to: to.join(', '),
+    subject,
+    text,
+    html,
+    attachments
+  });
+
+  return {
+    delivered_to: info.accepted && info.accepted.length > 0 ? info.accepted.map(String) : to,
+    reference: info.messageId
+  };
+};
@@ -0,0 +1,34 @@
+/**
+ * Normalise an Iranian mobile number to the 09xxxxxxxxx form.
+ * Accepts +98, 0098, 98 and 0 prefixes, spaces, dashes and Persian or Arabic digits.
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} - Normalised number, or null when it is not a mobile number
+ */
+const normalizeMobile = (phone) => {
+  if (!phone) {
+    return null;
+  }
+
+  const digits = String(phone)
+    .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[\s\-()]/g, '');
+
+  const match = digits.match(/^(?:\+98|0098|98|0)?(9\d{9})$/);
+  return match ? `0${match[1]}` : null;
+};
+
+/**
+ * Forms the same mobile number may have been stored in
+ * @param {string} normalized - Number in 09xxxxxxxxx form
+ * @returns {Array<string>}
+ */
+const mobileVariants = (normalized) => {
+  const national = normalized.slice(1);
+  return [normalized, `+98${national}`, `98${national}`, national];
+};
+
+module.exports = {
+  normalizeMobile,
+  mobileVariants
+};
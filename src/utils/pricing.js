@@ -0,0 +1,29 @@
+/**
+ * Round a money amount to two decimals
+ * @param {number} value
+ * @returns {number}
+ */
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Build a lookup of each category's ancestry, so rules set on a category also
+ * cover its subcategories. A loop in the parent links ends the chain.
+ * @param {Array<{id: string, parent_id: string|null}>} categories - The shop's categories
+ * @returns {function(string|null): Array<string>} - Category ID and its ancestors, nearest first
+ */
+const buildCategoryChain = (categories) => {
+  const parentOf = new Map(categories.map(category => [category.id, category.parent_id]));
+
+  return (categoryId) => {
+    const chain = [];
+    for (let id = categoryId; id && !chain.includes(id); id = parentOf.get(id)) {
+      chain.push(id);
+    }
+    return chain;
+  };
+};
+
+module.exports = {
+  roundMoney,
+  buildCategoryChain
+};
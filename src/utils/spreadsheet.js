@@ -0,0 +1,395 @@
+const sax = require('sax');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+
+/**
+ * Read and write the spreadsheets shops exchange with us: CSV, and the first
+ * sheet of an XLSX workbook. Only cell values are kept; formatting, formulas
+ * and other sheets are ignored on read and not written.
+ */
+
+/**
+ * Split CSV text into rows of cells. The delimiter is the comma, semicolon or
+ * tab that appears most in the first line, as spreadsheet apps in some
+ * locales save with semicolons.
+ * @param {string} text - CSV text
+ * @returns {Array<string[]>}
+ */
+exports.parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .reduce((best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best));
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Quote a CSV cell when it needs it
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV. A BOM is added so spreadsheet apps read Persian text correctly.
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @returns {Buffer}
+ */
+exports.toCsv = rows => Buffer.from(`\uFEFF${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`, 'utf8');
+
+// Largest part of a workbook read, in bytes once inflated, so a small upload
+// cannot unpack into gigabytes
+const MAX_PART_SIZE = 50 * 1024 * 1024;
+
+const tooLarge = message => Object.assign(new Error(message), { code: 'SHEET_TOO_LARGE' });
+
+const encodeXml = text => Array.from(String(text))
+  // Control characters other than tab and newlines are not allowed in XML
+  .filter(char => char >= ' ' || char === '\t' || char === '\n' || char === '\r')
+  .join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Zero-based column index of a cell reference such as "AB12"
+ * @param {string} reference - Cell reference
+ * @returns {number}
+ */
+const columnIndex = reference => reference.replace(/\d+$/, '')
+  .split('')
+  .reduce((index, letter) => index * 26 + letter.toUpperCase().charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Spreadsheet column name of a zero-based index
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Stream a part of a workbook through an XML parser. Parts declaring more
+ * than MAX_PART_SIZE are refused, and yauzl fails any that inflate past what
+ * they declare.
+ * @param {yauzl.ZipFile} zipfile - Workbook
+ * @param {yauzl.Entry} entry - Part to read
+ * @param {Object} handlers - sax handlers: onopentag, onclosetag and ontext
+ * @returns {Promise<void>}
+ */
+const parsePart = async (zipfile, entry, handlers) => {
+  if (entry.uncompressedSize > MAX_PART_SIZE) {
+    throw tooLarge(`${entry.fileName} is larger than ${MAX_PART_SIZE / 1024 / 1024}MB unpacked`);
+  }
+
+  const parser = sax.parser(true);
+  Object.assign(parser, handlers, { oncdata: handlers.ontext });
+  parser.onerror = (error) => {
+    throw error;
+  };
+
+  const stream = await zipfile.openReadStreamPromise(entry);
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    parser.write(chunk);
+  }
+  parser.close();
+};
+
+/**
+ * Gather the text of the <t> elements of a string, leaving out phonetic
+ * guides. Rich text comes in runs, which are joined.
+ * @returns {{open: function(string), close: function(string), add: function(string), take: function(): string}}
+ */
+const stringText = () => {
+  let text = '';
+  let inText = false;
+  let phonetic = 0;
+
+  return {
+    open: (name) => {
+      if (name === 't') {
+        inText = true;
+      } else if (name === 'rPh') {
+        phonetic += 1;
+      }
+    },
+    close: (name) => {
+      if (name === 't') {
+        inText = false;
+      } else if (name === 'rPh') {
+        phonetic -= 1;
+      }
+    },
+    add: (chunk) => {
+      if (inText && phonetic === 0) {
+        text += chunk;
+      }
+    },
+    take: () => {
+      const taken = text;
+      text = '';
+      return taken;
+    }
+  };
+};
+
+/**
+ * Read the first sheet of an XLSX workbook as rows of cell text. A cell with
+ * a value past the row or column limit fails the read, before the rows
+ * under it are taken in.
+ * @param {Buffer} buffer - Workbook
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Last row number that may hold a value
+ * @param {number} [options.maxColumns] - Number of columns that may hold values
+ * @returns {Promise<Array<string[]>>}
+ */
+exports.readXlsx = async (buffer, { maxRows = Infinity, maxColumns = Infinity } = {}) => {
+  const zipfile = await yauzl.fromBufferPromise(buffer);
+  const entries = new Map();
+  for await (const entry of zipfile.eachEntry()) {
+    entries.set(entry.fileName, entry);
+  }
+  const read = (path, handlers) => (entries.has(path) ? parsePart(zipfile, entries.get(path), handlers) : null);
+
+  // The first sheet in the workbook's order, wherever the workbook keeps it
+  let relationId;
+  await read('xl/workbook.xml', {
+    onopentag: ({ name, attributes }) => {
+      if (name === 'sheet' && relationId === undefined) {
+        relationId = attributes['r:id'];
+      }
+    }
+  });
+
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  await read('xl/_rels/workbook.xml.rels', {
+    onopentag: ({ name, attributes }) => {
+      if (name === 'Relationship' && relationId && attributes.Id === relationId && attributes.Target) {
+        sheetPath = attributes.Target.startsWith('/') ? attributes.Target.slice(1) : `xl/${attributes.Target}`;
+      }
+    }
+  });
+
+  if (!entries.has(sheetPath)) {
+    throw new Error('The workbook has no sheets');
+  }
+
+  const sharedStrings = [];
+  const sharedText = stringText();
+  await read('xl/sharedStrings.xml', {
+    onopentag: ({ name }) => sharedText.open(name),
+    onclosetag: (name) => {
+      sharedText.close(name);
+      if (name === 'si') {
+        sharedStrings.push(sharedText.take());
+      }
+    },
+    ontext: sharedText.add
+  });
+
+  const rows = [];
+  const inlineText = stringText();
+  let rowNumber = 0;
+  let row = null;
+  let cell = null;
+
+  const cellText = () => {
+    if (cell.type === 's') {
+      return sharedStrings[parseInt(cell.value, 10)] || '';
+    }
+    if (cell.type === 'inlineStr') {
+      return inlineText.take();
+    }
+    if (cell.type === 'b') {
+      return cell.value === '1' ? 'true' : 'false';
+    }
+    return cell.value;
+  };
+
+  await read(sheetPath, {
+    onopentag: ({ name, attributes }) => {
+      if (name === 'row') {
+        rowNumber = parseInt(attributes.r, 10) > 0 ? parseInt(attributes.r, 10) : rowNumber + 1;
+        row = [];
+      } else if (name === 'c' && row) {
+        const column = attributes.r ? columnIndex(attributes.r) : -1;
+        cell = { column: column >= 0 ? column : row.length, type: attributes.t, value: '', inValue: false };
+        inlineText.take();
+      } else if (name === 'v' && cell) {
+        cell.inValue = true;
+      } else if (cell) {
+        inlineText.open(name);
+      }
+    },
+    onclosetag: (name) => {
+      if (name === 'row' && row) {
+        // Blank rows are left out of the file, but keep their place
+        if (row.length > 0) {
+          rows[rowNumber - 1] = Array.from(row, text => (text === undefined ? '' : text));
+        }
+        row = null;
+      } else if (name === 'c' && cell) {
+        const text = cellText();
+        if (text !== '') {
+          if (rowNumber > maxRows) {
+            throw tooLarge(`The sheet has values past row ${maxRows}`);
+          }
+          if (cell.column >= maxColumns) {
+            throw tooLarge(`The sheet has values past column ${columnName(maxColumns - 1)}`);
+          }
+          row[cell.column] = text;
+        }
+        cell = null;
+      } else if (name === 'v' && cell) {
+        cell.inValue = false;
+      } else if (cell) {
+        inlineText.close(name);
+      }
+    },
+    ontext: (text) => {
+      if (cell && cell.inValue) {
+        cell.value += text;
+      } else if (cell) {
+        inlineText.add(text);
+      }
+    }
+  });
+
+  return Array.from(rows, cells => cells || []);
+};
+
+/**
+ * Write rows as a single-sheet XLSX workbook. Numbers are written as numbers,
+ * everything else as text.
+ * @param {Array<Array<*>>} rows - Rows of cell values, the first being the header
+ * @param {string} [sheetName] - Sheet name
+ * @returns {Promise<Buffer>}
+ */
+exports.toXlsx = async (rows, sheetName = 'Sheet1') => {
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const reference = `${columnName(columnIndex)}${rowIndex + 1}`;
+
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${reference}"><v>${value}</v></c>`;
+      }
+      return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(value)}</t></is></c>`;
+    });
+
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  const xml = body => Buffer.from(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`, 'utf8');
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const officeRelationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  const parts = [
+    {
+      name: '[Content_Types].xml',
+      data: xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>')
+    },
+    {
+      name: '_rels/.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + `<Relationship Id="rId1" Type="${officeRelationships}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>')
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xml(`<workbook xmlns="${main}" xmlns:r="${officeRelationships}">`
+        + `<sheets><sheet name="${encodeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>')
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + `<Relationship Id="rId1" Type="${officeRelationships}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + `<Relationship Id="rId2" Type="${officeRelationships}/styles" Target="styles.xml"/>`
+        + '</Relationships>')
+    },
+    {
+      name: 'xl/styles.xml',
+      data: xml(`<styleSheet xmlns="${main}">`
+        + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>'
+        + '</styleSheet>')
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: xml(`<worksheet xmlns="${main}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`)
+    }
+  ];
+
+  const zipfile = new yazl.ZipFile();
+  parts.forEach(({ name, data }) => zipfile.addBuffer(data, name));
+  zipfile.end();
+
+  const chunks = [];
+  for await (const chunk of zipfile.outputStream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
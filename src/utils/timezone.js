@@ -0,0 +1,147 @@
+/**
+ * Helpers for working with wall-clock time in a named timezone
+ * (the business timezone is Asia/Tehran by default).
+ */
+
+const formatterCache = {};
+
+/**
+ * Get a cached formatter that breaks a date into parts in the given timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+  }
+  return formatterCache[timeZone];
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock parts of an instant in the given timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month is 1-12, weekday is 0 (Sunday) to 6 (Saturday)
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(date).reduce((values, part) => {
+    values[part.type] = part.value;
+    return values;
+  }, {});
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Offset of the timezone from UTC at the given instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number}
+ */
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which the given wall-clock time occurs in the timezone.
+ * Out-of-range values roll over (day 32 becomes the next month), as with Date.UTC.
+ * @param {Object} local - Wall-clock parts (month is 1-12)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffset(new Date(asUtc), timeZone);
+  const guess = new Date(asUtc - offset);
+
+  // Correct once if the offset changed between the guess and the target
+  const correctedOffset = getTimezoneOffset(guess, timeZone);
+  return correctedOffset === offset ? guess : new Date(asUtc - correctedOffset);
+};
+
+/**
+ * Calendar date of an instant in the timezone, as YYYY-MM-DD
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string}
+ */
+const formatZonedDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const jalaliFormatterCache = {};
+
+/**
+ * Jalali (Solar Hijri) calendar date of an instant in the timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: number, month: number, day: number}} - month is 1-12
+ */
+const getJalaliParts = (date, timeZone) => {
+  if (!jalaliFormatterCache[timeZone]) {
+    jalaliFormatterCache[timeZone] = new Intl.DateTimeFormat('en-US-u-ca-persian-nu-latn', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+  }
+
+  const parts = jalaliFormatterCache[timeZone].formatToParts(date).reduce((values, part) => {
+    values[part.type] = part.value;
+    return values;
+  }, {});
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10)
+  };
+};
+
+/**
+ * Whether the timezone name is known to the runtime
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  formatZonedDate,
+  getJalaliParts,
+  isValidTimezone
+};
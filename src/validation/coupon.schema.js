@@ -0,0 +1,95 @@
+const Joi = require('joi');
+const { MAX_CODES_PER_BATCH } = require('../services/coupon.service');
+
+// Campaign fields shared by create and update
+const campaignFields = {
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100)
+    .messages({
+      'string.empty': 'Campaign name cannot be empty',
+      'string.max': 'Campaign name cannot exceed 100 characters'
+    }),
+  description: Joi.string().allow('', null),
+  discount_type: Joi.string().valid('percentage', 'fixed')
+    .messages({
+      'any.only': 'Discount type must be either percentage or fixed'
+    }),
+  value: Joi.number().precision(2).min(0.01)
+    .messages({
+      'number.min': 'Value must be greater than 0'
+    }),
+  max_discount_amount: Joi.number().precision(2).min(0).allow(null),
+  min_purchase_amount: Joi.number().precision(2).min(0).allow(null),
+  starts_at: Joi.date().iso().allow(null),
+  expires_at: Joi.date().iso().allow(null),
+  uses_per_code: Joi.number().integer().min(1).allow(null),
+  uses_per_customer: Joi.number().integer().min(1).allow(null),
+  is_active: Joi.boolean()
+};
+
+// Schema for creating a coupon campaign
+const campaignCreate = Joi.object({
+  ...campaignFields,
+  name: campaignFields.name.required()
+    .messages({
+      'any.required': 'Campaign name is required'
+    }),
+  discount_type: campaignFields.discount_type.required()
+    .messages({
+      'any.required': 'Discount type is required'
+    }),
+  value: campaignFields.value.required()
+    .messages({
+      'any.required': 'A value is required'
+    }),
+  // Codes are single-use unless the campaign says otherwise
+  uses_per_code: campaignFields.uses_per_code.default(1)
+});
+
+// Schema for updating a coupon campaign
+const campaignUpdate = Joi.object(campaignFields).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for adding codes to a campaign: one chosen code or a generated batch
+const codesCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9-]{3,40}$/)
+    .messages({
+      'string.pattern.base': 'Code must be 3 to 40 letters, digits or dashes'
+    }),
+  count: Joi.number().integer().min(1).max(MAX_CODES_PER_BATCH)
+    .messages({
+      'number.max': `At most ${MAX_CODES_PER_BATCH} codes can be generated at once`
+    }),
+  prefix: Joi.string().trim().pattern(/^[A-Za-z0-9-]{0,20}$/).allow('')
+    .messages({
+      'string.pattern.base': 'Prefix must be up to 20 letters, digits or dashes'
+    }),
+  length: Joi.number().integer().min(4).max(20),
+  max_uses: Joi.number().integer().min(1).allow(null)
+}).xor('code', 'count')
+  .oxor('code', 'prefix')
+  .oxor('code', 'length')
+  .messages({
+    'object.missing': 'Either a code or a count of codes to generate is required',
+    'object.xor': 'Give either a code or a count of codes to generate, not both',
+    'object.oxor': 'Prefix and length only apply to generated codes'
+  });
+
+// Schema for enabling or disabling a code
+const couponUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  is_active: Joi.boolean(),
+  max_uses: Joi.number().integer().min(1).allow(null)
+}).or('is_active', 'max_uses')
+  .messages({
+    'object.missing': 'At least one field must be provided for update'
+  });
+
+module.exports = {
+  campaignCreate,
+  campaignUpdate,
+  codesCreate,
+  couponUpdate
+};
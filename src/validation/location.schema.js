@@ -0,0 +1,47 @@
+const Joi = require('joi');
+
+// Schema for creating a location
+const locationCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100).required()
+    .messages({
+      'string.empty': 'Location name is required',
+      'string.max': 'Location name cannot exceed 100 characters',
+      'any.required': 'Location name is required'
+    }),
+  code: Joi.string().max(20).allow('', null),
+  type: Joi.string().valid('warehouse', 'branch').default('branch')
+    .messages({
+      'any.only': 'Location type must be either warehouse or branch'
+    }),
+  address: Joi.string().allow('', null),
+  phone: Joi.string().max(20).allow('', null),
+  is_default: Joi.boolean().default(false),
+  notes: Joi.string().allow('', null)
+});
+
+// Schema for updating a location
+const locationUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100)
+    .messages({
+      'string.max': 'Location name cannot exceed 100 characters'
+    }),
+  code: Joi.string().max(20).allow('', null),
+  type: Joi.string().valid('warehouse', 'branch')
+    .messages({
+      'any.only': 'Location type must be either warehouse or branch'
+    }),
+  address: Joi.string().allow('', null),
+  phone: Joi.string().max(20).allow('', null),
+  is_default: Joi.boolean(),
+  is_active: Joi.boolean(),
+  notes: Joi.string().allow('', null)
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+module.exports = {
+  locationCreate,
+  locationUpdate
+};
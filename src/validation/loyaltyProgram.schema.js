@@ -0,0 +1,91 @@
+const Joi = require('joi');
+
+const pointsPerCurrency = Joi.number().precision(4).min(0)
+  .messages({
+    'number.min': 'Points per currency unit cannot be negative'
+  });
+
+// Earn rate for one product or one category
+const earnRule = Joi.object({
+  product_id: Joi.string().uuid(),
+  category_id: Joi.string().uuid(),
+  points_per_currency: pointsPerCurrency.required()
+    .messages({
+      'any.required': 'Each earn rule needs points per currency unit'
+    })
+}).xor('product_id', 'category_id')
+  .messages({
+    'object.xor': 'An earn rule applies to either a product or a category',
+    'object.missing': 'An earn rule applies to either a product or a category'
+  });
+
+// Promotional period multiplying the points earned
+const bonusPeriod = Joi.object({
+  name: Joi.string().max(100).allow('', null),
+  multiplier: Joi.number().precision(2).greater(0).required()
+    .messages({
+      'number.greater': 'A bonus multiplier must be greater than zero',
+      'any.required': 'Each bonus period needs a multiplier'
+    }),
+  starts_at: Joi.date().iso().required()
+    .messages({
+      'any.required': 'Each bonus period needs a start'
+    }),
+  ends_at: Joi.date().iso().required()
+    .messages({
+      'any.required': 'Each bonus period needs an end'
+    })
+});
+
+// Loyalty program fields shared by create and update
+const programFields = {
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100)
+    .messages({
+      'string.empty': 'Program name cannot be empty',
+      'string.max': 'Program name cannot exceed 100 characters'
+    }),
+  description: Joi.string().allow('', null),
+  points_per_currency: pointsPerCurrency,
+  earn_rules: Joi.array().items(earnRule),
+  excluded_product_ids: Joi.array().items(Joi.string().uuid()).unique(),
+  bonus_periods: Joi.array().items(bonusPeriod),
+  points_expiry_months: Joi.number().integer().min(1).allow(null)
+    .messages({
+      'number.min': 'Points must stay valid for at least one month'
+    }),
+  expiry_warning_days: Joi.number().integer().min(0)
+    .messages({
+      'number.min': 'Expiry warning days cannot be negative'
+    }),
+  redemption_rate: Joi.number().precision(4).min(0)
+    .messages({
+      'number.min': 'Redemption rate cannot be negative'
+    }),
+  is_active: Joi.boolean(),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().allow(null)
+};
+
+// Schema for creating a loyalty program
+const programCreate = Joi.object({
+  ...programFields,
+  name: programFields.name.required()
+    .messages({
+      'any.required': 'Program name is required'
+    }),
+  points_per_currency: programFields.points_per_currency.required()
+    .messages({
+      'any.required': 'Points per currency unit is required'
+    })
+});
+
+// Schema for updating a loyalty program
+const programUpdate = Joi.object(programFields).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+module.exports = {
+  programCreate,
+  programUpdate
+};
@@ -0,0 +1,62 @@
+const Joi = require('joi');
+
+// Loyalty tier fields shared by create and update
+const tierFields = {
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(50)
+    .messages({
+      'string.empty': 'Tier name cannot be empty',
+      'string.max': 'Tier name cannot exceed 50 characters'
+    }),
+  level: Joi.number().integer().min(0)
+    .messages({
+      'number.min': 'Tier level cannot be negative'
+    }),
+  description: Joi.string().allow('', null),
+  min_points: Joi.number().integer().min(0).allow(null),
+  min_spend: Joi.number().precision(2).min(0).allow(null),
+  min_visits: Joi.number().integer().min(0).allow(null),
+  qualify_on: Joi.string().valid('any', 'all')
+    .messages({
+      'any.only': 'Qualify on must be either any or all'
+    }),
+  window_days: Joi.number().integer().min(1).max(3650)
+    .messages({
+      'number.min': 'The window must be at least 1 day',
+      'number.max': 'The window cannot exceed 3650 days'
+    }),
+  discount_percent: Joi.number().precision(2).min(0).max(100)
+    .messages({
+      'number.max': 'Tier discount cannot exceed 100 percent'
+    }),
+  benefits: Joi.array().items(Joi.string().max(200))
+};
+
+// Schema for creating a loyalty tier
+const tierCreate = Joi.object({
+  ...tierFields,
+  name: tierFields.name.required()
+    .messages({
+      'any.required': 'Tier name is required'
+    }),
+  level: tierFields.level.required()
+    .messages({
+      'any.required': 'Tier level is required'
+    })
+});
+
+// Schema for updating a loyalty tier
+const tierUpdate = Joi.object(tierFields).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Customer in the path
+const customerIdParam = Joi.object({
+  customerId: Joi.string().uuid().required()
+});
+
+module.exports = {
+  tierCreate,
+  tierUpdate,
+  customerIdParam
+};
@@ -0,0 +1,38 @@
+const Joi = require('joi');
+const { DOCUMENT_TYPES } = require('../services/numberSequence.service');
+
+// Schema for changing how a document type is numbered
+const sequenceUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  prefix: Joi.string().max(20).allow('')
+    .messages({
+      'string.max': 'Prefix cannot exceed 20 characters'
+    }),
+  format: Joi.string().max(100)
+    .messages({
+      'string.max': 'Format cannot exceed 100 characters'
+    }),
+  calendar: Joi.string().valid('jalali', 'gregorian')
+    .messages({
+      'any.only': 'Calendar must be either jalali or gregorian'
+    }),
+  reset_period: Joi.string().valid('never', 'yearly', 'monthly', 'daily')
+    .messages({
+      'any.only': 'Reset period must be one of: never, yearly, monthly, daily'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for the document type in the path
+const documentTypeParam = Joi.object({
+  documentType: Joi.string().valid(...Object.keys(DOCUMENT_TYPES)).required()
+    .messages({
+      'any.only': `Document type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`
+    })
+});
+
+module.exports = {
+  sequenceUpdate,
+  documentTypeParam
+};
@@ -0,0 +1,30 @@
+const Joi = require('joi');
+const { ALL_PERMISSIONS, ROLES } = require('../services/permission.service');
+
+// Schema for a role in the path
+const roleParam = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+    .messages({
+      'any.only': `Role must be one of: ${ROLES.join(', ')}`
+    })
+});
+
+// Schema for replacing a role's permissions in a shop
+const rolePermissionsUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  permissions: Joi.array().items(
+    Joi.string().valid(...ALL_PERMISSIONS)
+      .messages({
+        'any.only': 'Unknown permission: {#value}'
+      })
+  ).unique().required()
+    .messages({
+      'array.unique': 'Each permission can only be listed once',
+      'any.required': 'Permissions are required'
+    })
+});
+
+module.exports = {
+  roleParam,
+  rolePermissionsUpdate
+};
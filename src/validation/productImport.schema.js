@@ -0,0 +1,48 @@
+const Joi = require('joi');
+const { IMPORT_FIELDS } = require('../services/productImport.service');
+
+// Schema for the form fields sent with a product import file
+const productImport = Joi.object({
+  shop_id: Joi.string().uuid(),
+  // Sent as JSON text, as the form is multipart: { "selling_price": "Price", ... }
+  mapping: Joi.string()
+    .custom((value, helpers) => {
+      let mapping;
+      try {
+        mapping = JSON.parse(value);
+      } catch (error) {
+        return helpers.error('object.base');
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)
+        || Object.values(mapping).some(header => typeof header !== 'string')) {
+        return helpers.error('object.base');
+      }
+      return mapping;
+    })
+    .messages({
+      'object.base': `Mapping must be a JSON object of column headers by field (${IMPORT_FIELDS.join(', ')})`
+    }),
+  dry_run: Joi.boolean().default(false),
+  update_existing: Joi.boolean().default(true),
+  create_categories: Joi.boolean().default(false)
+});
+
+// Schema for exporting products; the filters are those of the product list
+const productExport = Joi.object({
+  shop_id: Joi.string().uuid(),
+  format: Joi.string().valid('csv', 'xlsx').default('csv')
+    .messages({
+      'any.only': 'Format must be csv or xlsx'
+    }),
+  search: Joi.string().allow(''),
+  category_id: Joi.string().uuid(),
+  is_active: Joi.string().valid('true', 'false'),
+  min_price: Joi.number().min(0),
+  max_price: Joi.number().min(0),
+  in_stock: Joi.string().valid('true', 'false')
+});
+
+module.exports = {
+  productImport,
+  productExport
+};
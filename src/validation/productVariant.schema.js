@@ -0,0 +1,65 @@
+const Joi = require('joi');
+
+// A variant's value for each option of its product, e.g. { size: 'M', colour: 'Red' }
+const optionValues = Joi.object().pattern(Joi.string(), Joi.string().trim().max(50)).min(1)
+  .messages({
+    'object.min': 'Option values are required'
+  });
+
+// Prices and stock settings of a new variant; prices default to the product's
+const variantDefaults = {
+  shop_id: Joi.string().uuid(),
+  purchase_price: Joi.number().precision(2).min(0),
+  selling_price: Joi.number().precision(2).min(0),
+  discount_price: Joi.number().precision(2).min(0),
+  is_active: Joi.boolean(),
+  weight: Joi.number().precision(2).min(0),
+  reorder_level: Joi.number().integer().min(0),
+  reorder_quantity: Joi.number().integer().min(0),
+  location: Joi.string().max(100)
+};
+
+// Schema for creating a single variant
+const variantCreate = Joi.object({
+  ...variantDefaults,
+  option_values: optionValues.required()
+    .messages({
+      'any.required': 'Option values are required'
+    }),
+  sku: Joi.string().max(50),
+  barcode: Joi.string().max(50),
+  image_url: Joi.string().uri().allow('', null),
+  stock_quantity: Joi.number().integer().min(0).default(0)
+});
+
+// Schema for creating a variant for every missing combination of options
+const variantGenerate = Joi.object(variantDefaults);
+
+// Schema for updating a variant; its stock changes through the inventory endpoints
+const variantUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  option_values: optionValues,
+  sku: Joi.string().max(50),
+  barcode: Joi.string().max(50),
+  purchase_price: Joi.number().precision(2).min(0),
+  selling_price: Joi.number().precision(2).min(0),
+  discount_price: Joi.number().precision(2).min(0).allow(null),
+  image_url: Joi.string().uri().allow('', null),
+  is_active: Joi.boolean(),
+  weight: Joi.number().precision(2).min(0)
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Product and variant in the path
+const variantParams = Joi.object({
+  id: Joi.string().uuid().required(),
+  variantId: Joi.string().uuid().required()
+});
+
+module.exports = {
+  variantCreate,
+  variantGenerate,
+  variantUpdate,
+  variantParams
+};
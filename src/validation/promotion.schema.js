@@ -0,0 +1,101 @@
+const Joi = require('joi');
+const { PROMOTION_TYPES } = require('../services/promotion.service');
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    'string.pattern.base': 'Time of day must be in HH:mm format'
+  });
+
+const daysOfWeek = Joi.array().items(
+  Joi.number().integer().min(0).max(6)
+    .messages({
+      'number.min': 'Day of week must be between 0 (Sunday) and 6 (Saturday)',
+      'number.max': 'Day of week must be between 0 (Sunday) and 6 (Saturday)'
+    })
+).unique();
+
+const idList = Joi.array().items(Joi.string().uuid()).unique();
+
+// Promotion fields shared by create and update
+const promotionFields = {
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100)
+    .messages({
+      'string.empty': 'Promotion name cannot be empty',
+      'string.max': 'Promotion name cannot exceed 100 characters'
+    }),
+  description: Joi.string().allow('', null),
+  type: Joi.string().valid(...PROMOTION_TYPES)
+    .messages({
+      'any.only': `Type must be one of: ${PROMOTION_TYPES.join(', ')}`
+    }),
+  discount_type: Joi.string().valid('percentage', 'fixed').allow(null)
+    .messages({
+      'any.only': 'Discount type must be either percentage or fixed'
+    }),
+  value: Joi.number().precision(2).min(0),
+  buy_quantity: Joi.number().integer().min(1).allow(null),
+  get_quantity: Joi.number().integer().min(1).allow(null),
+  product_ids: idList,
+  category_ids: idList,
+  min_basket_amount: Joi.number().precision(2).min(0).allow(null),
+  starts_at: Joi.date().iso().allow(null),
+  ends_at: Joi.date().iso().allow(null),
+  days_of_week: daysOfWeek.allow(null),
+  start_time: timeOfDay.allow(null),
+  end_time: timeOfDay.allow(null),
+  priority: Joi.number().integer(),
+  stackable: Joi.boolean(),
+  is_active: Joi.boolean()
+};
+
+// Schema for creating a promotion
+const promotionCreate = Joi.object({
+  ...promotionFields,
+  name: promotionFields.name.required()
+    .messages({
+      'any.required': 'Promotion name is required'
+    }),
+  type: promotionFields.type.required()
+    .messages({
+      'any.required': 'Promotion type is required'
+    }),
+  // Buy X get Y gives the extra units free unless a percentage is set
+  value: promotionFields.value.when('type', {
+    is: 'buy_x_get_y',
+    then: Joi.optional().default(100),
+    otherwise: Joi.required()
+  }).messages({
+    'any.required': 'A value is required'
+  })
+});
+
+// Schema for updating a promotion
+const promotionUpdate = Joi.object(promotionFields).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for previewing the price of a cart
+const pricePreview = Joi.object({
+  shop_id: Joi.string().uuid(),
+  items: Joi.array().items(
+    Joi.object({
+      product_id: Joi.string().uuid().required(),
+      variant_id: Joi.string().uuid(),
+      quantity: Joi.number().integer().min(1).required(),
+      discount_percent: Joi.number().min(0).max(100)
+    })
+  ).min(1).required()
+    .messages({
+      'array.min': 'At least one item is required',
+      'any.required': 'Items are required'
+    }),
+  discount_amount: Joi.number().precision(2).min(0),
+  at: Joi.date().iso()
+});
+
+module.exports = {
+  promotionCreate,
+  promotionUpdate,
+  pricePreview
+};
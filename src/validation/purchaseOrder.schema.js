@@ -0,0 +1,135 @@
+const Joi = require('joi');
+
+// Schema for a single purchase order line
+const purchaseOrderItem = Joi.object({
+  product_id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Product ID must be a valid UUID',
+      'any.required': 'Product ID is required'
+    }),
+  quantity: Joi.number().integer().min(1).required()
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be an integer',
+      'number.min': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required'
+    }),
+  unit_cost: Joi.number().precision(2).min(0).required()
+    .messages({
+      'number.base': 'Unit cost must be a number',
+      'number.min': 'Unit cost cannot be negative',
+      'any.required': 'Unit cost is required'
+    })
+});
+
+// Schema for creating a purchase order
+const purchaseOrderCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  supplier_id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Supplier ID must be a valid UUID',
+      'any.required': 'Supplier ID is required'
+    }),
+  expected_delivery_date: Joi.date().allow(null),
+  notes: Joi.string().allow('', null),
+  items: Joi.array().items(purchaseOrderItem).min(1).required()
+    .messages({
+      'array.min': 'At least one item is required',
+      'any.required': 'Items are required'
+    })
+});
+
+// Schema for updating a draft purchase order
+const purchaseOrderUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  supplier_id: Joi.string().uuid(),
+  expected_delivery_date: Joi.date().allow(null),
+  notes: Joi.string().allow('', null),
+  items: Joi.array().items(purchaseOrderItem).min(1)
+    .messages({
+      'array.min': 'At least one item is required'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for cancelling a purchase order
+const purchaseOrderCancel = Joi.object({
+  shop_id: Joi.string().uuid(),
+  reason: Joi.string().allow('', null)
+});
+
+// Schema for receiving goods against a purchase order
+const purchaseOrderReceive = Joi.object({
+  shop_id: Joi.string().uuid(),
+  received_at: Joi.date(),
+  location_id: Joi.string().uuid()
+    .messages({
+      'string.guid': 'Location ID must be a valid UUID'
+    }),
+  notes: Joi.string().allow('', null),
+  items: Joi.array().items(
+    Joi.object({
+      purchase_order_item_id: Joi.string().uuid().required()
+        .messages({
+          'string.guid': 'Purchase order item ID must be a valid UUID',
+          'any.required': 'Purchase order item ID is required'
+        }),
+      quantity: Joi.number().integer().min(1).required()
+        .messages({
+          'number.base': 'Quantity must be a number',
+          'number.integer': 'Quantity must be an integer',
+          'number.min': 'Quantity must be at least 1',
+          'any.required': 'Quantity is required'
+        }),
+      unit_cost: Joi.number().precision(2).min(0)
+        .messages({
+          'number.base': 'Unit cost must be a number',
+          'number.min': 'Unit cost cannot be negative'
+        })
+    })
+  ).min(1).required()
+    .messages({
+      'array.min': 'At least one received item is required',
+      'any.required': 'Received items are required'
+    })
+});
+
+// Schema for creating draft purchase orders from reorder suggestions
+const purchaseOrderFromSuggestions = Joi.object({
+  shop_id: Joi.string().uuid(),
+  supplier_ids: Joi.array().items(
+    Joi.string().uuid()
+      .messages({
+        'string.guid': 'Supplier ID must be a valid UUID'
+      })
+  ).min(1),
+  velocity_days: Joi.number().integer().min(1).max(365)
+    .messages({
+      'number.base': 'Velocity days must be a number',
+      'number.min': 'Velocity days must be at least 1',
+      'number.max': 'Velocity days cannot exceed 365'
+    }),
+  coverage_days: Joi.number().integer().min(0).max(365)
+    .messages({
+      'number.base': 'Coverage days must be a number',
+      'number.min': 'Coverage days cannot be negative',
+      'number.max': 'Coverage days cannot exceed 365'
+    }),
+  default_lead_time_days: Joi.number().integer().min(0).max(365)
+    .messages({
+      'number.base': 'Default lead time must be a number',
+      'number.min': 'Default lead time cannot be negative',
+      'number.max': 'Default lead time cannot exceed 365'
+    }),
+  expected_delivery_date: Joi.date().allow(null),
+  notes: Joi.string().allow('', null)
+});
+
+module.exports = {
+  purchaseOrderCreate,
+  purchaseOrderUpdate,
+  purchaseOrderCancel,
+  purchaseOrderReceive,
+  purchaseOrderFromSuggestions
+};
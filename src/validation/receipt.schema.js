@@ -0,0 +1,72 @@
+const Joi = require('joi');
+
+const format = Joi.string().valid('pdf', 'html', 'escpos')
+  .messages({
+    'any.only': 'Format must be one of: pdf, html, escpos'
+  });
+
+const paperWidth = Joi.string().valid('80mm', '58mm')
+  .messages({
+    'any.only': 'Paper width must be 80mm or 58mm'
+  });
+
+// Schema for changing the shop's receipt template
+const templateUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  locale: Joi.string().valid('fa', 'en')
+    .messages({
+      'any.only': 'Locale must be fa or en'
+    }),
+  calendar: Joi.string().valid('jalali', 'gregorian')
+    .messages({
+      'any.only': 'Calendar must be jalali or gregorian'
+    }),
+  paper_width: paperWidth,
+  show_logo: Joi.boolean(),
+  header_text: Joi.string().max(500).allow('', null),
+  footer_text: Joi.string().max(1000).allow('', null),
+  tax_lines: Joi.array().items(
+    Joi.object({
+      label: Joi.string().max(50).required(),
+      value: Joi.string().max(100).required()
+    })
+  ).max(6)
+    .messages({
+      'array.max': 'At most 6 tax lines can be printed'
+    }),
+  show_tax_breakdown: Joi.boolean(),
+  tax_label: Joi.string().max(50).allow('', null)
+}).min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+// Schema for reprinting a receipt
+const receiptReprint = Joi.object({
+  shop_id: Joi.string().uuid(),
+  format: format.default('pdf'),
+  paper_width: paperWidth,
+  reason: Joi.string().max(255)
+});
+
+// Schema for emailing a copy of a receipt
+const receiptEmail = Joi.object({
+  shop_id: Joi.string().uuid(),
+  email: Joi.string().email()
+});
+
+// Sale or order in the path
+const documentParams = Joi.object({
+  documentType: Joi.string().valid('sales', 'orders').required()
+    .messages({
+      'any.only': 'Receipts are printed for sales or orders'
+    }),
+  id: Joi.string().uuid().required()
+});
+
+module.exports = {
+  templateUpdate,
+  receiptReprint,
+  receiptEmail,
+  documentParams
+};
@@ -0,0 +1,52 @@
+const Joi = require('joi');
+
+const amount = Joi.number().precision(2).min(0.01)
+  .messages({
+    'number.min': 'Amount must be greater than 0'
+  });
+
+// Schema for setting a customer's credit limit
+const creditLimitUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  credit_limit: Joi.number().precision(2).min(0).allow(null).required()
+    .messages({
+      'number.min': 'Credit limit cannot be negative',
+      'any.required': 'Credit limit is required; send null to stop buying on account'
+    })
+});
+
+// Schema for taking a repayment against a customer's account
+const repaymentCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  amount: amount.required()
+    .messages({
+      'any.required': 'Amount is required'
+    }),
+  payment_method: Joi.string().valid('cash', 'card', 'mobile', 'credit').required()
+    .messages({
+      'any.only': 'Payment method must be one of: cash, card, mobile, credit',
+      'any.required': 'Payment method is required'
+    }),
+  reference_number: Joi.string().max(50),
+  notes: Joi.string().max(500),
+  allocations: Joi.array().items(
+    Joi.object({
+      sale_id: Joi.string().uuid().required(),
+      amount: amount.required()
+    })
+  ).unique('sale_id')
+    .messages({
+      'array.unique': 'Each invoice can only be allocated once'
+    })
+});
+
+// Customer in the path
+const customerIdParam = Joi.object({
+  customerId: Joi.string().uuid().required()
+});
+
+module.exports = {
+  creditLimitUpdate,
+  repaymentCreate,
+  customerIdParam
+};
@@ -0,0 +1,85 @@
+const Joi = require('joi');
+const { PAYMENT_METHODS } = require('../services/registerShift.service');
+
+// Schema for creating a register
+const registerCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100).required()
+    .messages({
+      'string.empty': 'Register name is required',
+      'string.max': 'Register name cannot exceed 100 characters',
+      'any.required': 'Register name is required'
+    }),
+  code: Joi.string().max(20).allow('', null),
+  location_id: Joi.string().uuid().allow(null)
+});
+
+// Schema for updating a register
+const registerUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100)
+    .messages({
+      'string.max': 'Register name cannot exceed 100 characters'
+    }),
+  code: Joi.string().max(20).allow('', null),
+  location_id: Joi.string().uuid().allow(null),
+  is_active: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for opening a shift
+const shiftOpen = Joi.object({
+  shop_id: Joi.string().uuid(),
+  opening_float: Joi.number().precision(2).min(0).required()
+    .messages({
+      'number.min': 'Opening float cannot be negative',
+      'any.required': 'Opening float is required'
+    }),
+  notes: Joi.string().allow('', null)
+});
+
+// Schema for putting cash in or taking it out of the drawer
+const cashMovementCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  type: Joi.string().valid('cash_in', 'cash_out').required()
+    .messages({
+      'any.only': 'Type must be either cash_in or cash_out'
+    }),
+  amount: Joi.number().precision(2).min(0.01).required(),
+  reason: Joi.string().required()
+    .messages({
+      'any.required': 'A reason is required'
+    })
+});
+
+// Schema for closing a shift with the amounts counted
+const shiftClose = Joi.object({
+  shop_id: Joi.string().uuid(),
+  counted_amounts: Joi.object(
+    PAYMENT_METHODS.reduce((keys, method) => {
+      keys[method] = Joi.number().precision(2).min(0);
+      return keys;
+    }, {})
+  ).keys({
+    cash: Joi.number().precision(2).min(0).required()
+  }).required()
+    .messages({
+      'any.required': 'Counted cash is required'
+    }),
+  notes: Joi.string().allow('', null)
+});
+
+// Schema for the shift ID in the path
+const shiftIdParam = Joi.object({
+  shiftId: Joi.string().uuid().required()
+});
+
+module.exports = {
+  registerCreate,
+  registerUpdate,
+  shiftOpen,
+  cashMovementCreate,
+  shiftClose,
+  shiftIdParam
+};
@@ -0,0 +1,23 @@
+const Joi = require('joi');
+const { REPORT_TYPES } = require('../services/report.service');
+
+// Schema for queueing a report to be built in the background
+const reportJob = Joi.object({
+  shop_id: Joi.string().uuid(),
+  type: Joi.string().valid(...REPORT_TYPES).required()
+    .messages({
+      'any.only': `Report type must be one of: ${REPORT_TYPES.join(', ')}`,
+      'any.required': 'Report type is required'
+    }),
+  filters: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())
+  ).default({})
+    .messages({
+      'object.base': 'Filters must be an object of report query parameters'
+    })
+});
+
+module.exports = {
+  reportJob
+};
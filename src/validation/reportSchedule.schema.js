@@ -0,0 +1,132 @@
+const Joi = require('joi');
+const { REPORT_TYPES } = require('../services/report.service');
+const { TRANSPORTS } = require('../services/transports');
+
+// Report filters, as query parameters of the matching report endpoint
+const reportFilters = Joi.object().pattern(
+  Joi.string(),
+  Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())
+).messages({
+  'object.base': 'Filters must be an object of report query parameters'
+});
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    'string.pattern.base': 'Time of day must be in HH:mm format'
+  });
+
+const dayOfWeek = Joi.number().integer().min(0).max(6)
+  .messages({
+    'number.base': 'Day of week must be a number',
+    'number.min': 'Day of week must be between 0 (Sunday) and 6 (Saturday)',
+    'number.max': 'Day of week must be between 0 (Sunday) and 6 (Saturday)'
+  });
+
+const dayOfMonth = Joi.number().integer().min(1).max(28)
+  .messages({
+    'number.base': 'Day of month must be a number',
+    'number.min': 'Day of month must be between 1 and 28',
+    'number.max': 'Day of month must be between 1 and 28'
+  });
+
+const recipients = Joi.array().items(
+  Joi.string().email()
+    .messages({
+      'string.email': 'Recipients must be valid email addresses'
+    })
+).unique();
+
+// Schema for creating a report schedule
+const reportScheduleCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100).required()
+    .messages({
+      'string.empty': 'Schedule name is required',
+      'string.max': 'Schedule name cannot exceed 100 characters',
+      'any.required': 'Schedule name is required'
+    }),
+  report_type: Joi.string().valid(...REPORT_TYPES).required()
+    .messages({
+      'any.only': `Report type must be one of: ${REPORT_TYPES.join(', ')}`,
+      'any.required': 'Report type is required'
+    }),
+  filters: reportFilters.default({}),
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required()
+    .messages({
+      'any.only': 'Frequency must be daily, weekly or monthly',
+      'any.required': 'Frequency is required'
+    }),
+  time_of_day: timeOfDay.default('08:00'),
+  day_of_week: dayOfWeek.when('frequency', {
+    is: 'weekly',
+    then: Joi.required(),
+    otherwise: Joi.valid(null)
+  }).messages({
+    'any.required': 'Day of week is required for weekly schedules',
+    'any.only': 'Day of week only applies to weekly schedules'
+  }),
+  day_of_month: dayOfMonth.when('frequency', {
+    is: 'monthly',
+    then: Joi.required(),
+    otherwise: Joi.valid(null)
+  }).messages({
+    'any.required': 'Day of month is required for monthly schedules',
+    'any.only': 'Day of month only applies to monthly schedules'
+  }),
+  format: Joi.string().valid('csv', 'pdf').default('pdf')
+    .messages({
+      'any.only': 'Format must be csv or pdf'
+    }),
+  transport: Joi.string().valid(...TRANSPORTS).default('email')
+    .messages({
+      'any.only': `Transport must be one of: ${TRANSPORTS.join(', ')}`
+    }),
+  recipients: recipients.when('transport', {
+    is: Joi.valid('email').default('email'),
+    then: Joi.array().min(1).required(),
+    otherwise: Joi.array().default([])
+  }).messages({
+    'array.min': 'At least one recipient is required for email delivery',
+    'any.required': 'Recipients are required for email delivery'
+  }),
+  is_active: Joi.boolean().default(true)
+});
+
+// Schema for updating a report schedule
+const reportScheduleUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(100)
+    .messages({
+      'string.empty': 'Schedule name cannot be empty',
+      'string.max': 'Schedule name cannot exceed 100 characters'
+    }),
+  report_type: Joi.string().valid(...REPORT_TYPES)
+    .messages({
+      'any.only': `Report type must be one of: ${REPORT_TYPES.join(', ')}`
+    }),
+  filters: reportFilters,
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly')
+    .messages({
+      'any.only': 'Frequency must be daily, weekly or monthly'
+    }),
+  time_of_day: timeOfDay,
+  day_of_week: dayOfWeek.allow(null),
+  day_of_month: dayOfMonth.allow(null),
+  format: Joi.string().valid('csv', 'pdf')
+    .messages({
+      'any.only': 'Format must be csv or pdf'
+    }),
+  transport: Joi.string().valid(...TRANSPORTS)
+    .messages({
+      'any.only': `Transport must be one of: ${TRANSPORTS.join(', ')}`
+    }),
+  recipients,
+  is_active: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+module.exports = {
+  reportScheduleCreate,
+  reportScheduleUpdate
+};
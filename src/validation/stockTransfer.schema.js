@@ -0,0 +1,94 @@
+const Joi = require('joi');
+
+// Schema for a single transfer line
+const stockTransferItem = Joi.object({
+  product_id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Product ID must be a valid UUID',
+      'any.required': 'Product ID is required'
+    }),
+  quantity: Joi.number().integer().min(1).required()
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be an integer',
+      'number.min': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required'
+    })
+});
+
+// Schema for creating a stock transfer
+const stockTransferCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  from_location_id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Source location ID must be a valid UUID',
+      'any.required': 'Source location is required'
+    }),
+  to_location_id: Joi.string().uuid().required()
+    .invalid(Joi.ref('from_location_id'))
+    .messages({
+      'string.guid': 'Destination location ID must be a valid UUID',
+      'any.invalid': 'Source and destination locations must differ',
+      'any.required': 'Destination location is required'
+    }),
+  notes: Joi.string().allow('', null),
+  items: Joi.array().items(stockTransferItem).min(1).unique('product_id').required()
+    .messages({
+      'array.min': 'At least one item is required',
+      'array.unique': 'Each product can appear only once per transfer',
+      'any.required': 'Items are required'
+    })
+});
+
+// Schema for updating a draft stock transfer
+const stockTransferUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  from_location_id: Joi.string().uuid(),
+  to_location_id: Joi.string().uuid(),
+  notes: Joi.string().allow('', null),
+  items: Joi.array().items(stockTransferItem).min(1).unique('product_id')
+    .messages({
+      'array.min': 'At least one item is required',
+      'array.unique': 'Each product can appear only once per transfer'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for confirming receipt of a stock transfer
+const stockTransferReceive = Joi.object({
+  shop_id: Joi.string().uuid(),
+  notes: Joi.string().allow('', null),
+  items: Joi.array().items(
+    Joi.object({
+      stock_transfer_item_id: Joi.string().uuid().required()
+        .messages({
+          'string.guid': 'Transfer item ID must be a valid UUID',
+          'any.required': 'Transfer item ID is required'
+        }),
+      received_quantity: Joi.number().integer().min(0).required()
+        .messages({
+          'number.base': 'Received quantity must be a number',
+          'number.integer': 'Received quantity must be an integer',
+          'number.min': 'Received quantity cannot be negative',
+          'any.required': 'Received quantity is required'
+        })
+    })
+  ).unique('stock_transfer_item_id')
+    .messages({
+      'array.unique': 'Each transfer item can appear only once'
+    })
+});
+
+// Schema for cancelling a stock transfer
+const stockTransferCancel = Joi.object({
+  shop_id: Joi.string().uuid(),
+  reason: Joi.string().allow('', null)
+});
+
+module.exports = {
+  stockTransferCreate,
+  stockTransferUpdate,
+  stockTransferReceive,
+  stockTransferCancel
+};
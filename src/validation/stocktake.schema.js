@@ -0,0 +1,96 @@
+const Joi = require('joi');
+
+// Schema for starting a stocktake
+const stocktakeCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  category_id: Joi.string().uuid().allow(null)
+    .messages({
+      'string.guid': 'Category ID must be a valid UUID'
+    }),
+  location_id: Joi.string().uuid().allow(null)
+    .messages({
+      'string.guid': 'Location ID must be a valid UUID'
+    }),
+  notes: Joi.string().allow('', null)
+});
+
+// Schema for submitting counted quantities
+const stocktakeCounts = Joi.object({
+  shop_id: Joi.string().uuid(),
+  items: Joi.array().items(
+    Joi.object({
+      product_id: Joi.string().uuid()
+        .messages({
+          'string.guid': 'Product ID must be a valid UUID'
+        }),
+      barcode: Joi.string().max(50),
+      quantity: Joi.number().integer().min(0).required()
+        .messages({
+          'number.base': 'Quantity must be a number',
+          'number.integer': 'Quantity must be an integer',
+          'number.min': 'Quantity cannot be negative',
+          'any.required': 'Quantity is required'
+        })
+    }).xor('product_id', 'barcode')
+      .messages({
+        'object.xor': 'Provide either a product ID or a barcode',
+        'object.missing': 'Provide either a product ID or a barcode'
+      })
+  ).min(1).required()
+    .messages({
+      'array.min': 'At least one count is required',
+      'any.required': 'Counts are required'
+    })
+});
+
+// Schema for a single barcode scan
+const stocktakeScan = Joi.object({
+  shop_id: Joi.string().uuid(),
+  barcode: Joi.string().max(50).required()
+    .messages({
+      'string.empty': 'Barcode is required',
+      'any.required': 'Barcode is required'
+    }),
+  quantity: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be an integer',
+      'number.min': 'Quantity must be at least 1'
+    })
+});
+
+// Schema for approving a stocktake
+const stocktakeApprove = Joi.object({
+  shop_id: Joi.string().uuid(),
+  zero_uncounted: Joi.boolean().default(false),
+  notes: Joi.string().allow('', null)
+});
+
+// Schema for cancelling a stocktake
+const stocktakeCancel = Joi.object({
+  shop_id: Joi.string().uuid(),
+  reason: Joi.string().allow('', null)
+});
+
+// Schema for stocktake count route parameters
+const stocktakeCountParams = Joi.object({
+  id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Stocktake ID must be a valid UUID',
+      'any.required': 'Stocktake ID is required'
+    }),
+  countId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Count ID must be a valid UUID',
+      'any.required': 'Count ID is required'
+    })
+});
+
+module.exports = {
+  stocktakeCreate,
+  stocktakeCounts,
+  stocktakeScan,
+  stocktakeApprove,
+  stocktakeCancel,
+  stocktakeCountParams
+};
@@ -0,0 +1,83 @@
+const Joi = require('joi');
+
+const amount = Joi.number().precision(2).min(0.01)
+  .messages({
+    'number.min': 'Amount must be greater than 0'
+  });
+
+// How value sold to a customer was paid for
+const paidWith = {
+  payment_method: Joi.string().valid('cash', 'card', 'mobile')
+    .messages({
+      'any.only': 'Payment method must be one of: cash, card, mobile'
+    }),
+  reference_number: Joi.string().max(50)
+};
+
+// Schema for selling a gift card
+const giftCardIssue = Joi.object({
+  shop_id: Joi.string().uuid(),
+  amount: amount.required()
+    .messages({
+      'any.required': 'Amount is required'
+    }),
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9 -]{6,40}$/)
+    .messages({
+      'string.pattern.base': 'Gift card number must be 6 to 40 letters or digits'
+    }),
+  customer_id: Joi.string().uuid(),
+  expires_at: Joi.date().iso().greater('now')
+    .messages({
+      'date.greater': 'Expiry must be in the future'
+    }),
+  ...paidWith,
+  notes: Joi.string().max(500)
+});
+
+// Schema for adding value to a gift card or store credit
+const valueAdd = Joi.object({
+  shop_id: Joi.string().uuid(),
+  amount: amount.required()
+    .messages({
+      'any.required': 'Amount is required'
+    }),
+  ...paidWith,
+  notes: Joi.string().max(500)
+});
+
+// Schema for correcting a balance
+const balanceAdjust = Joi.object({
+  shop_id: Joi.string().uuid(),
+  amount: Joi.number().precision(2).invalid(0).required()
+    .messages({
+      'any.invalid': 'Amount cannot be zero',
+      'any.required': 'Amount is required'
+    }),
+  reason: Joi.string().max(500).required()
+    .messages({
+      'any.required': 'A reason is required'
+    })
+});
+
+// Schema for deactivating an account or changing a gift card's expiry
+const accountUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  is_active: Joi.boolean(),
+  expires_at: Joi.date().iso().allow(null)
+}).or('is_active', 'expires_at')
+  .messages({
+    'object.missing': 'At least one field must be provided for update'
+  });
+
+// Customer in the path
+const customerIdParam = Joi.object({
+  customerId: Joi.string().uuid().required()
+});
+
+module.exports = {
+  giftCardIssue,
+  valueAdd,
+  balanceAdjust,
+  accountUpdate,
+  customerIdParam
+};
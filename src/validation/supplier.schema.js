@@ -0,0 +1,87 @@
+const Joi = require('joi');
+
+// Schema for creating a supplier
+const supplierCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(255).required()
+    .messages({
+      'string.empty': 'Supplier name is required',
+      'string.max': 'Supplier name cannot exceed 255 characters',
+      'any.required': 'Supplier name is required'
+    }),
+  contact_name: Joi.string().max(100).allow('', null),
+  email: Joi.string().email().max(255).allow('', null)
+    .messages({
+      'string.email': 'Please provide a valid email address'
+    }),
+  phone: Joi.string().max(20).allow('', null),
+  address: Joi.string().allow('', null),
+  notes: Joi.string().allow('', null),
+  is_active: Joi.boolean().default(true)
+});
+
+// Schema for updating a supplier
+const supplierUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  name: Joi.string().max(255)
+    .messages({
+      'string.max': 'Supplier name cannot exceed 255 characters'
+    }),
+  contact_name: Joi.string().max(100).allow('', null),
+  email: Joi.string().email().max(255).allow('', null)
+    .messages({
+      'string.email': 'Please provide a valid email address'
+    }),
+  phone: Joi.string().max(20).allow('', null),
+  address: Joi.string().allow('', null),
+  notes: Joi.string().allow('', null)
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for linking a product to a supplier
+const supplierProductCreate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  product_id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Product ID must be a valid UUID',
+      'any.required': 'Product ID is required'
+    }),
+  supplier_sku: Joi.string().max(50).allow('', null),
+  cost_price: Joi.number().precision(2).min(0).allow(null),
+  lead_time_days: Joi.number().integer().min(0).allow(null),
+  is_preferred: Joi.boolean().default(false)
+});
+
+// Schema for updating a product-supplier link
+const supplierProductUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  supplier_sku: Joi.string().max(50).allow('', null),
+  cost_price: Joi.number().precision(2).min(0).allow(null),
+  lead_time_days: Joi.number().integer().min(0).allow(null),
+  is_preferred: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for supplier product route parameters
+const supplierProductParams = Joi.object({
+  id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Supplier ID must be a valid UUID',
+      'any.required': 'Supplier ID is required'
+    }),
+  productId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'Product ID must be a valid UUID',
+      'any.required': 'Product ID is required'
+    })
+});
+
+module.exports = {
+  supplierCreate,
+  supplierUpdate,
+  supplierProductCreate,
+  supplierProductUpdate,
+  supplierProductParams
+};
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+
+// Schema for setting up or changing the shop's tax portal profile
+const profileUpdate = Joi.object({
+  shop_id: Joi.string().uuid(),
+  economic_code: Joi.string().pattern(/^\d{11,14}$/)
+    .messages({
+      'string.pattern.base': 'Economic code must be 11 to 14 digits'
+    }),
+  memory_id: Joi.string().pattern(/^[0-9A-Za-z]{6}$/)
+    .messages({
+      'string.pattern.base': 'Tax memory ID must be 6 letters or digits'
+    }),
+  private_key: Joi.string().max(10000)
+    .pattern(/-----BEGIN (RSA )?PRIVATE KEY-----/)
+    .messages({
+      'string.pattern.base': 'Private key must be in PEM format'
+    }),
+  default_unit_code: Joi.string().pattern(/^\d{1,10}$/)
+    .messages({
+      'string.pattern.base': 'Unit code must be digits'
+    }),
+  is_active: Joi.boolean()
+}).min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+// Sale in the path
+const saleIdParam = Joi.object({
+  saleId: Joi.string().uuid().required()
+});
+
+module.exports = {
+  profileUpdate,
+  saleIdParam
+};
@@ -0,0 +1,41 @@
+// Background job worker: processes queued jobs from Redis with Bull
+const config = require('./config');
+const logger = require('./utils/logger');
+const db = require('./models');
+const { startWorker, close } = require('./services/jobQueue.service');
+
+if (config.queue.driver !== 'bull') {
+  logger.error('The worker needs QUEUE_DRIVER=bull; with the in-process driver jobs run inside the API server');
+  process.exit(1);
+}
+
+startWorker()
+  .then(() => logger.info(`Worker started with concurrency ${config.queue.concurrency}`))
+  .catch((error) => {
+    logger.error(`Worker failed to start: ${error.message}`);
+    process.exit(1);
+  });
+
+/**
+ * Stop taking jobs and close connections
+ * @param {string} signal - Signal received
+ */
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down worker`);
+  try {
+    await close();
+    await db.sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Worker shutdown failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled Rejection in worker:', reason);
+});
@@ -0,0 +1,233 @@
+jest.mock('../../src/models', () => ({
+  Shop: {
+    findByPk: jest.fn()
+  },
+  Customer: {
+    findByPk: jest.fn()
+  },
+  Product: {
+    findAll: jest.fn()
+  },
+  Order: {
+    create: jest.fn(),
+    findByPk: jest.fn()
+  },
+  OrderItem: {
+    create: jest.fn()
+  },
+  OrderStatusHistory: {
+    create: jest.fn()
+  },
+  Inventory: {
+    update: jest.fn()
+  },
+  InventoryTransaction: {
+    create: jest.fn()
+  },
+  Location: {
+    findOne: jest.fn()
+  },
+  LocationInventory: {
+    findOrCreate: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(),
+    literal: jest.fn(sql => ({ literal: sql }))
+  }
+}));
+jest.mock('../../src/services/notification.service', () => ({
+  notify: jest.fn()
+}));
+jest.mock('../../src/services/numberSequence.service', () => ({
+  nextNumber: jest.fn()
+}));
+jest.mock('../../src/services/coupon.service', () => ({
+  applyCoupon: jest.fn(),
+  recordRedemption: jest.fn(),
+  releaseOrderRedemption: jest.fn()
+}));
+jest.mock('../../src/services/loyaltyProgram.service', () => ({
+  pointsForPurchase: jest.fn()
+}));
+jest.mock('../../src/services/productVariant.service', () => ({
+  resolveItems: jest.fn(async items => items)
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const db = require('../../src/models');
+const numberSequenceService = require('../../src/services/numberSequence.service');
+const couponService = require('../../src/services/coupon.service');
+const orderController = require('../../src/controllers/order.controller');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+
+const productOf = (id, available) => ({
+  id,
+  name: `Product ${id}`,
+  selling_price: '25.00',
+  inventory: { stock_quantity: available + 2, available_quantity: available, reserved_quantity: 2 }
+});
+
+const orderOf = fixtures.factory({
+  id: 'order-1',
+  shop_id: SHOP_ID,
+  order_number: 'ORD-1405-000001',
+  payment_status: 'pending',
+  customer_id: null,
+  items: [{ product_id: 'product-1', quantity: 3 }]
+});
+
+describe('order.controller', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction = fixtures.transaction();
+    db.sequelize.transaction.mockResolvedValue(transaction);
+    db.Shop.findByPk.mockResolvedValue({ id: SHOP_ID, name: 'Ajiro Cafe' });
+    numberSequenceService.nextNumber.mockResolvedValue('ORD-1405-000001');
+    db.Order.create.mockImplementation(async values => ({
+      id: 'order-1',
+      ...values,
+      toJSON() {
+        return values;
+      }
+    }));
+    db.OrderItem.create.mockImplementation(async values => values);
+    db.Location.findOne.mockResolvedValue(null);
+  });
+
+  describe('createOrder', () => {
+    const createOrder = async (body) => {
+      const res = fixtures.response();
+      const next = jest.fn();
+
+      await orderController.createOrder({
+        body: { shop_id: SHOP_ID, shipping_address: 'Tehran', ...body },
+        user: { id: 'user-1' }
+      }, res, next);
+
+      return { res, next };
+    };
+
+    it('moves the ordered units from available to reserved', async () => {
+      db.Product.findAll.mockResolvedValue([productOf('product-1', 5)]);
+
+      const { res, next } = await createOrder({ items: [{ product_id: 'product-1', quantity: 3 }] });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.order).toMatchObject({ total_amount: 75, order_number: 'ORD-1405-000001' });
+      expect(res.body.data.order.items).toEqual([expect.objectContaining({ quantity: 3, total_price: 75 })]);
+      expect(db.Inventory.update).toHaveBeenCalledWith(
+        {
+          available_quantity: { literal: 'available_quantity - 3' },
+          reserved_quantity: { literal: 'reserved_quantity + 3' }
+        },
+        { where: { product_id: 'product-1' }, transaction }
+      );
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    it('does not reserve units already reserved by other orders', async () => {
+      db.Product.findAll.mockResolvedValue([productOf('product-1', 2)]);
+
+      const { next } = await createOrder({ items: [{ product_id: 'product-1', quantity: 3 }] });
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'INSUFFICIENT_STOCK' }));
+      expect(db.Inventory.update).not.toHaveBeenCalled();
+      expect(db.Order.create).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    it('takes the coupon off the order and records its use', async () => {
+      db.Product.findAll.mockResolvedValue([productOf('product-1', 5)]);
+      couponService.applyCoupon.mockResolvedValue({ coupon: { id: 'coupon-1' }, discount: 10 });
+
+      const { res } = await createOrder({
+        items: [{ product_id: 'product-1', quantity: 2 }],
+        coupon_code: 'SPRING'
+      });
+
+      expect(res.body.data.order).toMatchObject({ total_amount: 40, coupon_id: 'coupon-1', coupon_discount: 10 });
+      expect(couponService.applyCoupon).toHaveBeenCalledWith(SHOP_ID, 'SPRING', expect.objectContaining({
+        baseAmount: 50,
+        purchaseAmount: 50
+      }), transaction);
+      expect(couponService.recordRedemption).toHaveBeenCalledWith(
+        { id: 'coupon-1' },
+        expect.objectContaining({ orderId: 'order-1', discount: 10, revenue: 40 }),
+        transaction
+      );
+    });
+
+    it('creates no order when the coupon is used up', async () => {
+      db.Product.findAll.mockResolvedValue([productOf('product-1', 5)]);
+      couponService.applyCoupon.mockRejectedValue(Object.assign(new Error('Used up'), { errorCode: 'COUPON_USAGE_LIMIT' }));
+
+      const { next } = await createOrder({ items: [{ product_id: 'product-1', quantity: 2 }], coupon_code: 'SPRING' });
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'COUPON_USAGE_LIMIT' }));
+      expect(db.Order.create).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('updateOrderStatus', () => {
+    const changeStatus = async (order, status) => {
+      db.Order.findByPk.mockResolvedValue(order);
+      const next = jest.fn();
+      await orderController.updateOrderStatus({
+        params: { id: order.id },
+        body: { status },
+        user: { id: 'user-1' }
+      }, fixtures.response(), next);
+      return next;
+    };
+
+    it('gives the reserved units and the coupon use of a cancelled order back', async () => {
+      const next = await changeStatus(orderOf({ status: 'processing' }), 'cancelled');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(db.Inventory.update).toHaveBeenCalledWith(
+        {
+          available_quantity: { literal: 'available_quantity + 3' },
+          reserved_quantity: { literal: 'reserved_quantity - 3' }
+        },
+        { where: { product_id: 'product-1' }, transaction }
+      );
+      expect(couponService.releaseOrderRedemption).toHaveBeenCalledWith('order-1', transaction);
+    });
+
+    it('ships the reserved units out of the default location', async () => {
+      const locationStock = fixtures.row({ location_id: 'location-1', product_id: 'product-1', quantity: 2 });
+      db.Location.findOne.mockResolvedValue({ id: 'location-1', name: 'Front' });
+      db.LocationInventory.findOrCreate.mockResolvedValue([locationStock]);
+
+      const next = await changeStatus(orderOf({ status: 'processing' }), 'shipped');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(db.Inventory.update).toHaveBeenCalledWith(
+        { reserved_quantity: { literal: 'reserved_quantity - 3' } },
+        { where: { product_id: 'product-1' }, transaction }
+      );
+      // Shipping must not fail because the goods were shelved elsewhere
+      expect(locationStock.quantity).toBe(-1);
+      expect(db.InventoryTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ quantity: -3, location_id: 'location-1' }),
+        { transaction }
+      );
+    });
+
+    it('refuses to cancel a delivered order', async () => {
+      const next = await changeStatus(orderOf({ status: 'delivered' }), 'cancelled');
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'INVALID_STATUS_TRANSITION' }));
+      expect(db.Inventory.update).not.toHaveBeenCalled();
+    });
+  });
+});
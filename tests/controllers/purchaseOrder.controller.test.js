@@ -0,0 +1,154 @@
+jest.mock('../../src/models', () => ({
+  PurchaseOrder: {
+    findOne: jest.fn()
+  },
+  PurchaseOrderItem: {
+    findAll: jest.fn()
+  },
+  PurchaseOrderReceipt: {
+    create: jest.fn(),
+    findByPk: jest.fn()
+  },
+  PurchaseOrderReceiptItem: {
+    create: jest.fn()
+  },
+  Product: {
+    update: jest.fn()
+  },
+  Inventory: {
+    findOrCreate: jest.fn()
+  },
+  InventoryTransaction: {
+    create: jest.fn()
+  },
+  Location: {
+    findOne: jest.fn()
+  },
+  Supplier: {},
+  User: {},
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/services/replenishment.service', () => ({}));
+jest.mock('../../src/services/numberSequence.service', () => ({}));
+
+const db = require('../../src/models');
+const purchaseOrderController = require('../../src/controllers/purchaseOrder.controller');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+
+const purchaseOrderOf = fixtures.factory({
+  id: 'po-1',
+  shop_id: SHOP_ID,
+  order_number: 'PO-1405-000001',
+  status: 'sent'
+});
+
+const orderItemOf = (values) => {
+  const item = fixtures.row({ purchase_order_id: 'po-1', unit_cost: '2500.00', received_quantity: 0, ...values });
+  item.getOutstandingQuantity = () => item.quantity - item.received_quantity;
+  return item;
+};
+
+describe('purchaseOrder.controller receivePurchaseOrder', () => {
+  let transaction;
+  let purchaseOrder;
+  let teaStock;
+  let receipt;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction = fixtures.transaction();
+    db.sequelize.transaction.mockImplementation(async callback => callback(transaction));
+    purchaseOrder = purchaseOrderOf();
+    db.PurchaseOrder.findOne.mockResolvedValue(purchaseOrder);
+    db.PurchaseOrderItem.findAll.mockResolvedValue([
+      orderItemOf({ id: 'item-1', product_id: 'tea', quantity: 10 }),
+      orderItemOf({ id: 'item-2', product_id: 'coffee', quantity: 4, unit_cost: '9000.00' })
+    ]);
+    db.PurchaseOrderReceipt.create.mockImplementation(async (values) => {
+      receipt = fixtures.row({ id: 'receipt-1', ...values });
+      return receipt;
+    });
+    db.PurchaseOrderReceipt.findByPk.mockImplementation(async () => receipt);
+    teaStock = fixtures.row({ product_id: 'tea', stock_quantity: 3, available_quantity: 3, reserved_quantity: 0 });
+    db.Inventory.findOrCreate.mockImplementation(async ({ where }) => [
+      where.product_id === 'tea'
+        ? teaStock
+        : fixtures.row({ product_id: where.product_id, stock_quantity: 0, available_quantity: 0, reserved_quantity: 0 })
+    ]);
+    db.Location.findOne.mockResolvedValue(null);
+  });
+
+  const receive = async (items) => {
+    const res = fixtures.response();
+    const next = jest.fn();
+
+    await purchaseOrderController.receivePurchaseOrder({
+      params: { id: 'po-1' },
+      body: { items },
+      shop: { id: SHOP_ID },
+      user: { id: 'user-1' }
+    }, res, next);
+
+    return { res, next };
+  };
+
+  it('adds a partial delivery to stock and leaves the order partially received', async () => {
+    const { res, next } = await receive([{ purchase_order_item_id: 'item-1', quantity: 6 }]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.purchase_order.status).toBe('partially_received');
+    expect(receipt.total_cost).toBe(15000);
+    expect(await teaStock.reload()).toMatchObject({ stock_quantity: 9, available_quantity: 9 });
+    expect(db.Product.update).toHaveBeenCalledWith(
+      { purchase_price: 2500 },
+      { where: { id: 'tea' }, transaction }
+    );
+  });
+
+  it('marks the order received once every line has arrived', async () => {
+    const { res } = await receive([
+      { purchase_order_item_id: 'item-1', quantity: 10, unit_cost: 2400 },
+      { purchase_order_item_id: 'item-2', quantity: 4 }
+    ]);
+
+    expect(res.body.data.purchase_order.status).toBe('received');
+    expect(purchaseOrder.received_at).toBeInstanceOf(Date);
+    expect(receipt.total_cost).toBe(10 * 2400 + 4 * 9000);
+  });
+
+  it('completes an order from an earlier partial delivery', async () => {
+    db.PurchaseOrderItem.findAll.mockResolvedValue([
+      orderItemOf({ id: 'item-1', product_id: 'tea', quantity: 10, received_quantity: 6 })
+    ]);
+    purchaseOrder.status = 'partially_received';
+
+    const { res } = await receive([{ purchase_order_item_id: 'item-1', quantity: 4 }]);
+
+    expect(res.body.data.purchase_order.status).toBe('received');
+  });
+
+  it('refuses to receive more than is still outstanding', async () => {
+    db.PurchaseOrderItem.findAll.mockResolvedValue([
+      orderItemOf({ id: 'item-1', product_id: 'tea', quantity: 10, received_quantity: 8 })
+    ]);
+
+    const { next } = await receive([{ purchase_order_item_id: 'item-1', quantity: 3 }]);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'RECEIPT_EXCEEDS_ORDERED' }));
+    expect(await teaStock.reload()).toMatchObject({ stock_quantity: 3 });
+  });
+
+  it('refuses goods for an order that was never sent', async () => {
+    purchaseOrder.status = 'draft';
+
+    const { next } = await receive([{ purchase_order_item_id: 'item-1', quantity: 1 }]);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'INVALID_PURCHASE_ORDER_STATUS' }));
+    expect(db.PurchaseOrderReceipt.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,320 @@
+jest.mock('../../src/models', () => ({
+  Customer: {
+    findByPk: jest.fn()
+  },
+  Sale: {
+    create: jest.fn(),
+    findByPk: jest.fn()
+  },
+  SaleItem: {
+    create: jest.fn()
+  },
+  Payment: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    sum: jest.fn()
+  },
+  Refund: {
+    create: jest.fn(),
+    findAll: jest.fn()
+  },
+  LoyaltyTransaction: {
+    create: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(),
+    fn: jest.fn(),
+    col: jest.fn()
+  }
+}));
+jest.mock('../../src/services/saleReturn.service', () => ({}));
+jest.mock('../../src/services/registerShift.service', () => ({
+  currentShiftId: jest.fn(async () => 'shift-1')
+}));
+jest.mock('../../src/services/numberSequence.service', () => ({
+  nextNumber: jest.fn()
+}));
+jest.mock('../../src/services/promotion.service', () => ({
+  priceCart: jest.fn()
+}));
+jest.mock('../../src/services/loyaltyProgram.service', () => ({
+  pointsForPurchase: jest.fn()
+}));
+jest.mock('../../src/services/loyaltyTier.service', () => ({
+  getTierDiscount: jest.fn(),
+  evaluateInBackground: jest.fn()
+}));
+jest.mock('../../src/services/coupon.service', () => ({}));
+jest.mock('../../src/services/storedValue.service', () => ({}));
+jest.mock('../../src/services/receivable.service', () => ({
+  checkCreditLimit: jest.fn()
+}));
+jest.mock('../../src/services/taxInvoice.service', () => ({
+  reportInBackground: jest.fn()
+}));
+jest.mock('../../src/services/permission.service', () => ({
+  getEffectivePermissions: jest.fn(),
+  findDefaultShopId: jest.fn(),
+  PERMISSIONS: {}
+}));
+
+const db = require('../../src/models');
+const numberSequenceService = require('../../src/services/numberSequence.service');
+const promotionService = require('../../src/services/promotion.service');
+const loyaltyProgramService = require('../../src/services/loyaltyProgram.service');
+const loyaltyTierService = require('../../src/services/loyaltyTier.service');
+const receivableService = require('../../src/services/receivable.service');
+const permissionService = require('../../src/services/permission.service');
+const salesController = require('../../src/controllers/sales.controller');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+
+const customerOf = fixtures.factory({
+  id: 'customer-1',
+  first_name: 'Sara',
+  loyalty_points: 0,
+  credit_limit: '500.00'
+});
+
+// One cup of tea at 100, priced in the cashier's shop
+const cartOf = (values = {}) => ({
+  shop_id: SHOP_ID,
+  subtotal: 100,
+  discount_amount: 0,
+  tax_amount: 0,
+  total_amount: 100,
+  promotion_id: null,
+  promotion_discount: 0,
+  lines: [{
+    product_id: 'product-1',
+    product: { name: 'Tea', inventory: { available_quantity: 10 } },
+    quantity: 1,
+    unit_price: 100,
+    total: 100
+  }],
+  ...values
+});
+
+describe('sales.controller createSale', () => {
+  let transaction;
+  let sale;
+  let payments;
+  let customer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction = fixtures.transaction();
+    db.sequelize.transaction.mockImplementation(async callback => callback(transaction));
+
+    customer = customerOf();
+    db.Customer.findByPk.mockResolvedValue(customer);
+    promotionService.priceCart.mockResolvedValue(cartOf());
+    loyaltyTierService.getTierDiscount.mockResolvedValue({ discount: 0 });
+    loyaltyProgramService.pointsForPurchase.mockResolvedValue({ program: null, points: 0 });
+    numberSequenceService.nextNumber.mockResolvedValue('INV-1405-000001');
+
+    db.Sale.create.mockImplementation(async (values) => {
+      sale = fixtures.row({ id: 'sale-1', ...values });
+      return sale;
+    });
+    db.Sale.findByPk.mockImplementation(async () => sale);
+
+    // The payment ledger of the sale
+    payments = [];
+    db.Payment.create.mockImplementation(async (values) => {
+      payments.push(values);
+      return values;
+    });
+    db.Payment.findAll.mockImplementation(async () => payments);
+    db.Payment.sum.mockImplementation(async () => payments.reduce((sum, payment) => sum + payment.amount, 0));
+  });
+
+  const createSale = async (body, permissions = ['sales.create', 'receivables.collect']) => {
+    const res = fixtures.response();
+    const next = jest.fn();
+
+    await salesController.createSale({
+      body: { items: [{ product_id: 'product-1', quantity: 1 }], ...body },
+      user: { id: 'user-1' },
+      permissions: new Set(permissions),
+      permissionsShopId: SHOP_ID
+    }, res, next);
+
+    return { res, next };
+  };
+
+  describe('charged to account', () => {
+    it('puts what is left to pay on the customer\'s account within their credit limit', async () => {
+      const { res, next } = await createSale({ customer_id: 'customer-1', payments: [], charge_to_account: true });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data).toMatchObject({ amount_paid: 0, balance: 100 });
+      expect(sale).toMatchObject({ on_account: true, payment_status: 'unpaid' });
+      expect(receivableService.checkCreditLimit).toHaveBeenCalledWith(customer, SHOP_ID, transaction);
+      expect(db.Customer.findByPk).toHaveBeenCalledWith('customer-1', { lock: 'UPDATE', transaction });
+    });
+
+    it('puts the rest of a part-paid sale on account', async () => {
+      const { res } = await createSale({
+        customer_id: 'customer-1',
+        payments: [{ payment_method: 'cash', amount: 40 }],
+        charge_to_account: true
+      });
+
+      expect(res.body.data).toMatchObject({ amount_paid: 40, balance: 60 });
+      expect(sale).toMatchObject({ on_account: true, payment_status: 'partial' });
+      expect(receivableService.checkCreditLimit).toHaveBeenCalled();
+    });
+
+    it('refuses a sale over the customer\'s credit limit', async () => {
+      receivableService.checkCreditLimit.mockRejectedValueOnce(Object.assign(new Error('Over limit'), {
+        statusCode: 400,
+        errorCode: 'CREDIT_LIMIT_EXCEEDED'
+      }));
+
+      const { res, next } = await createSale({ customer_id: 'customer-1', payments: [], charge_to_account: true });
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'CREDIT_LIMIT_EXCEEDED' }));
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('needs the receivables.collect permission', async () => {
+      const { next } = await createSale({ customer_id: 'customer-1', payments: [], charge_to_account: true }, ['sales.create']);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403, errorCode: 'FORBIDDEN' }));
+      expect(db.Sale.create).not.toHaveBeenCalled();
+    });
+
+    it('needs the receivables.collect permission in the shop the products belong to', async () => {
+      promotionService.priceCart.mockResolvedValue(cartOf({ shop_id: 'shop-2' }));
+      permissionService.getEffectivePermissions.mockResolvedValue({ role: 'cashier', permissions: ['sales.create'] });
+
+      const { next } = await createSale({ customer_id: 'customer-1', payments: [], charge_to_account: true });
+
+      expect(permissionService.getEffectivePermissions).toHaveBeenCalledWith({ id: 'user-1' }, 'shop-2');
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403, errorCode: 'FORBIDDEN' }));
+      expect(db.Sale.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses to charge a walk-in sale to account', async () => {
+      const { next } = await createSale({ payments: [], charge_to_account: true });
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'CUSTOMER_REQUIRED' }));
+      expect(db.Sale.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('not charged to account', () => {
+    it('leaves an unpaid customer sale to be paid later, whatever the customer\'s credit', async () => {
+      db.Customer.findByPk.mockResolvedValue(customerOf({ credit_limit: null }));
+
+      const { res, next } = await createSale({ customer_id: 'customer-1', payments: [] }, ['sales.create']);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.body.data).toMatchObject({ amount_paid: 0, balance: 100 });
+      expect(sale).toMatchObject({ on_account: false, payment_status: 'unpaid' });
+      expect(receivableService.checkCreditLimit).not.toHaveBeenCalled();
+    });
+
+    it('leaves the rest of a part-paid customer sale as an ordinary balance', async () => {
+      const { res, next } = await createSale({
+        customer_id: 'customer-1',
+        payments: [{ payment_method: 'card', amount: 30 }, { payment_method: 'cash', amount: 10 }]
+      }, ['sales.create']);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.body.data).toMatchObject({ amount_paid: 40, balance: 60, change: 0 });
+      expect(sale).toMatchObject({ on_account: false, payment_status: 'partial', payment_method: 'mixed' });
+      expect(receivableService.checkCreditLimit).not.toHaveBeenCalled();
+    });
+
+    it('gives change on cash paid over the total', async () => {
+      const { res } = await createSale({ customer_id: 'customer-1', payments: [{ payment_method: 'cash', amount: 120 }] });
+
+      expect(res.body.data).toMatchObject({ amount_paid: 100, balance: 0, change: 20 });
+      expect(sale.payment_status).toBe('paid');
+    });
+
+    it('refuses a sale of another shop\'s products the cashier may not sell there', async () => {
+      promotionService.priceCart.mockResolvedValue(cartOf({ shop_id: 'shop-2' }));
+      permissionService.getEffectivePermissions.mockResolvedValue({ role: null, permissions: [] });
+
+      const { next } = await createSale({ payment_method: 'card' });
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403, errorCode: 'FORBIDDEN' }));
+      expect(db.Sale.create).not.toHaveBeenCalled();
+    });
+
+    it('takes the full total with a single payment method', async () => {
+      const { res } = await createSale({ payment_method: 'card' }, ['sales.create']);
+
+      expect(res.body.data).toMatchObject({ amount_paid: 100, balance: 0 });
+      expect(sale).toMatchObject({ payment_status: 'paid', payment_method: 'card' });
+    });
+  });
+});
+
+describe('sales.controller processRefund', () => {
+  let sale;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.sequelize.transaction.mockImplementation(async callback => callback(fixtures.transaction()));
+    sale = fixtures.row({
+      id: 'sale-1',
+      shop_id: SHOP_ID,
+      invoice_number: 'INV-1405-000001',
+      total_amount: 100,
+      payment_status: 'paid',
+      payment_method: 'mixed',
+      loyalty_points_earned: 0,
+      customer: null
+    });
+    db.Sale.findByPk.mockResolvedValue(sale);
+    db.Refund.findAll.mockResolvedValue([{ total_refunded: null }]);
+    db.Refund.create.mockImplementation(async values => values);
+  });
+
+  const refund = async (body) => {
+    const res = fixtures.response();
+    const next = jest.fn();
+
+    await salesController.processRefund({
+      params: { id: 'sale-1' },
+      body: { amount: 30, reason: 'Damaged', ...body },
+      user: { id: 'user-1' }
+    }, res, next);
+
+    return { res, next };
+  };
+
+  it('needs a refund method for a sale paid by several methods', async () => {
+    const { next } = await refund({});
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400, errorCode: 'REFUND_METHOD_REQUIRED' }));
+    expect(db.Refund.create).not.toHaveBeenCalled();
+  });
+
+  it('refunds a split-tender sale by the method asked for, on the cashier\'s shift', async () => {
+    const { res, next } = await refund({ refund_method: 'cash' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(201);
+    expect(db.Refund.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 30, refund_method: 'cash', shift_id: 'shift-1' }),
+      expect.anything()
+    );
+    expect(sale.payment_status).toBe('paid');
+  });
+
+  it('refunds a single-method sale by that method', async () => {
+    sale.payment_method = 'card';
+
+    await refund({ amount: 100 });
+
+    expect(db.Refund.create).toHaveBeenCalledWith(expect.objectContaining({ refund_method: 'card' }), expect.anything());
+    expect(sale.payment_status).toBe('refunded');
+  });
+});
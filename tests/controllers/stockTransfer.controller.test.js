@@ -0,0 +1,147 @@
+jest.mock('../../src/models', () => ({
+  StockTransfer: {
+    findOne: jest.fn(),
+    findByPk: jest.fn()
+  },
+  StockTransferItem: {
+    findAll: jest.fn()
+  },
+  Inventory: {
+    findOrCreate: jest.fn()
+  },
+  InventoryTransaction: {
+    create: jest.fn()
+  },
+  Location: {
+    findOne: jest.fn()
+  },
+  LocationInventory: {
+    findOrCreate: jest.fn()
+  },
+  Product: {},
+  User: {},
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/services/numberSequence.service', () => ({}));
+
+const db = require('../../src/models');
+const stockTransferController = require('../../src/controllers/stockTransfer.controller');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+const LOCATIONS = {
+  front: { id: 'front', shop_id: SHOP_ID, name: 'Front', is_default: true, is_active: true },
+  back: { id: 'back', shop_id: SHOP_ID, name: 'Back', is_default: false, is_active: true }
+};
+
+const transferOf = fixtures.factory({
+  id: 'transfer-1',
+  shop_id: SHOP_ID,
+  transfer_number: 'TRF-1405-000001',
+  from_location_id: 'front',
+  to_location_id: 'back',
+  status: 'draft',
+  notes: null
+});
+
+describe('stockTransfer.controller', () => {
+  let transaction;
+  let shopStock;
+  let locationStock;
+  let transfer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction = fixtures.transaction();
+    db.sequelize.transaction.mockImplementation(async callback => callback(transaction));
+
+    shopStock = fixtures.row({ product_id: 'tea', stock_quantity: 10, available_quantity: 10, reserved_quantity: 0 });
+    locationStock = {
+      front: fixtures.row({ location_id: 'front', product_id: 'tea', quantity: 10 }),
+      back: fixtures.row({ location_id: 'back', product_id: 'tea', quantity: 0 })
+    };
+    db.Inventory.findOrCreate.mockResolvedValue([shopStock]);
+    db.Location.findOne.mockImplementation(async ({ where }) => Object.values(LOCATIONS).find(location =>
+      Object.keys(where).every(key => location[key] === where[key])) || null);
+    db.LocationInventory.findOrCreate.mockImplementation(async ({ where }) => [locationStock[where.location_id]]);
+
+    transfer = transferOf();
+    db.StockTransfer.findOne.mockImplementation(async () => transfer);
+    db.StockTransfer.findByPk.mockImplementation(async () => transfer);
+    db.StockTransferItem.findAll.mockResolvedValue([
+      fixtures.row({ id: 'line-1', transfer_id: 'transfer-1', product_id: 'tea', quantity: 4, received_quantity: null })
+    ]);
+  });
+
+  const request = (body = {}) => ({
+    params: { id: 'transfer-1' },
+    body,
+    shop: { id: SHOP_ID },
+    user: { id: 'user-1' }
+  });
+
+  const dispatch = async () => {
+    const next = jest.fn();
+    await stockTransferController.dispatchStockTransfer(request(), fixtures.response(), next);
+    return next;
+  };
+
+  const receive = async (items) => {
+    const res = fixtures.response();
+    const next = jest.fn();
+    await stockTransferController.receiveStockTransfer(request({ items }), res, next);
+    return { res, next };
+  };
+
+  it('takes dispatched stock out of the source location until it is received', async () => {
+    expect(await dispatch()).not.toHaveBeenCalled();
+
+    expect(transfer.status).toBe('in_transit');
+    expect(await locationStock.front.reload()).toMatchObject({ quantity: 6 });
+    expect(await locationStock.back.reload()).toMatchObject({ quantity: 0 });
+    expect(await shopStock.reload()).toMatchObject({ stock_quantity: 6, available_quantity: 6 });
+  });
+
+  it('puts received stock in the destination and reports a shortfall', async () => {
+    await dispatch();
+
+    const { res, next } = await receive([{ stock_transfer_item_id: 'line-1', received_quantity: 3 }]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(transfer.status).toBe('received');
+    expect(await locationStock.front.reload()).toMatchObject({ quantity: 6 });
+    expect(await locationStock.back.reload()).toMatchObject({ quantity: 3 });
+    expect(await shopStock.reload()).toMatchObject({ stock_quantity: 9 });
+    expect(res.body.data.shortages).toEqual([
+      { stock_transfer_item_id: 'line-1', product_id: 'tea', dispatched: 4, received: 3 }
+    ]);
+  });
+
+  it('receives unlisted lines in full', async () => {
+    await dispatch();
+
+    const { res } = await receive([]);
+
+    expect(await locationStock.back.reload()).toMatchObject({ quantity: 4 });
+    expect(await shopStock.reload()).toMatchObject({ stock_quantity: 10 });
+    expect(res.body.data.shortages).toEqual([]);
+  });
+
+  it('refuses to dispatch more than the source location holds', async () => {
+    locationStock.front = fixtures.row({ location_id: 'front', product_id: 'tea', quantity: 2 });
+
+    const next = await dispatch();
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'INSUFFICIENT_LOCATION_STOCK' }));
+    expect(transfer.status).toBe('draft');
+  });
+
+  it('refuses to receive a transfer that was not dispatched', async () => {
+    const { next } = await receive([]);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'INVALID_STATUS_TRANSITION' }));
+    expect(await locationStock.back.reload()).toMatchObject({ quantity: 0 });
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../../src/models', () => ({
+  Stocktake: {
+    findOne: jest.fn()
+  },
+  StocktakeItem: {
+    findAll: jest.fn()
+  },
+  Inventory: {
+    findOrCreate: jest.fn()
+  },
+  InventoryTransaction: {
+    create: jest.fn()
+  },
+  Location: {
+    findOne: jest.fn()
+  },
+  LocationInventory: {
+    findOrCreate: jest.fn()
+  },
+  Category: {},
+  Product: {},
+  User: {},
+  StocktakeCount: {},
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/services/numberSequence.service', () => ({}));
+
+const db = require('../../src/models');
+const stocktakeController = require('../../src/controllers/stocktake.controller');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+
+const stocktakeOf = fixtures.factory({
+  id: 'stocktake-1',
+  shop_id: SHOP_ID,
+  stocktake_number: 'STK-1405-000001',
+  location_id: null,
+  status: 'submitted',
+  notes: null
+});
+
+const itemOf = (values) => {
+  const item = fixtures.row({ stocktake_id: 'stocktake-1', ...values });
+  item.getVariance = () => (item.counted_quantity === null ? null : item.counted_quantity - item.expected_quantity);
+  return item;
+};
+
+describe('stocktake.controller approveStocktake', () => {
+  let transaction;
+  let stocktake;
+  let stock;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction = fixtures.transaction();
+    db.sequelize.transaction.mockImplementation(async callback => callback(transaction));
+    stocktake = stocktakeOf();
+    db.Stocktake.findOne.mockResolvedValue(stocktake);
+    db.Location.findOne.mockResolvedValue(null);
+
+    // Tea: 10 on hand, 6 of them reserved for orders; coffee: 5, none reserved
+    stock = {
+      tea: fixtures.row({ product_id: 'tea', stock_quantity: 10, available_quantity: 4, reserved_quantity: 6 }),
+      coffee: fixtures.row({ product_id: 'coffee', stock_quantity: 5, available_quantity: 5, reserved_quantity: 0 })
+    };
+    db.Inventory.findOrCreate.mockImplementation(async ({ where }) => [stock[where.product_id]]);
+  });
+
+  const approve = async (items, body = {}) => {
+    db.StocktakeItem.findAll.mockResolvedValue(items);
+    const res = fixtures.response();
+    const next = jest.fn();
+
+    await stocktakeController.approveStocktake({
+      params: { id: 'stocktake-1' },
+      body,
+      shop: { id: SHOP_ID },
+      user: { id: 'user-1' }
+    }, res, next);
+
+    return { res, next };
+  };
+
+  it('posts the variances of the counted products', async () => {
+    const { res, next } = await approve([
+      itemOf({ product_id: 'tea', expected_quantity: 10, counted_quantity: 8 }),
+      itemOf({ product_id: 'coffee', expected_quantity: 5, counted_quantity: 7 })
+    ]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.body.data).toMatchObject({ adjusted_items: 2, shortfalls: [] });
+    expect(stock.tea).toMatchObject({ stock_quantity: 8, available_quantity: 2 });
+    expect(stock.coffee).toMatchObject({ stock_quantity: 7, available_quantity: 7 });
+    expect(stocktake.status).toBe('approved');
+  });
+
+  it('posts a count below what orders reserved and reports the shortfall', async () => {
+    const { res, next } = await approve([
+      itemOf({ product_id: 'tea', expected_quantity: 10, counted_quantity: 4 }),
+      itemOf({ product_id: 'coffee', expected_quantity: 5, counted_quantity: 5 })
+    ]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(stock.tea).toMatchObject({ stock_quantity: 4, available_quantity: -2, reserved_quantity: 6 });
+    expect(res.body.data).toMatchObject({
+      adjusted_items: 1,
+      shortfalls: [{ product_id: 'tea', stock_quantity: 4, reserved_quantity: 6, shortfall: 2 }]
+    });
+    expect(stocktake.status).toBe('approved');
+  });
+
+  it('counts uncounted products as zero when asked to', async () => {
+    const { res } = await approve([
+      itemOf({ product_id: 'coffee', expected_quantity: 5, counted_quantity: null })
+    ], { zero_uncounted: true });
+
+    expect(stock.coffee).toMatchObject({ stock_quantity: 0, available_quantity: 0 });
+    expect(res.body.data.adjusted_items).toBe(1);
+  });
+
+  it('leaves uncounted products alone otherwise', async () => {
+    const { res } = await approve([
+      itemOf({ product_id: 'coffee', expected_quantity: 5, counted_quantity: null })
+    ]);
+
+    expect(stock.coffee.stock_quantity).toBe(5);
+    expect(res.body.data.adjusted_items).toBe(0);
+  });
+
+  it('refuses to approve a stocktake still being counted', async () => {
+    stocktake.status = 'counting';
+
+    const { next } = await approve([]);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'INVALID_STATUS_TRANSITION' }));
+  });
+});
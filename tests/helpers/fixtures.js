@@ -0,0 +1,82 @@
+/**
+ * Shared fixtures for the unit tests, which run against mocked models.
+ * Rows behave like Sequelize instances, so a test can check the amounts
+ * a service leaves behind on them. As in Sequelize, increment and
+ * decrement change the stored row and only reload brings the new values
+ * onto the instance.
+ */
+
+const increments = (fields, options = {}, sign = 1) => {
+  const by = options.by === undefined ? 1 : options.by;
+  const changes = typeof fields === 'string' ? { [fields]: by } : fields;
+  return Object.entries(changes).map(([field, amount]) => [field, sign * amount]);
+};
+
+/**
+ * A model instance holding the given values
+ * @param {Object} values - Column values
+ * @returns {Object} Row with jest.fn update, increment, decrement, reload and destroy, and toJSON
+ */
+const row = (values = {}) => {
+  const instance = { ...values };
+  const stored = { ...values };
+  const queue = (fields, options, sign) => {
+    increments(fields, options, sign).forEach(([field, amount]) => {
+      stored[field] = Number(stored[field] || 0) + amount;
+    });
+    return Promise.resolve(instance);
+  };
+
+  instance.update = jest.fn((changes) => {
+    Object.assign(stored, changes);
+    return Promise.resolve(Object.assign(instance, changes));
+  });
+  instance.increment = jest.fn((fields, options) => queue(fields, options, 1));
+  instance.decrement = jest.fn((fields, options) => queue(fields, options, -1));
+  instance.reload = jest.fn(() => Promise.resolve(Object.assign(instance, stored)));
+  instance.destroy = jest.fn(() => Promise.resolve());
+  instance.toJSON = () => Object.fromEntries(Object.entries(instance)
+    .filter(([, value]) => typeof value !== 'function'));
+  return instance;
+};
+
+/**
+ * Fixture factory: the defaults overridden by the values a test passes
+ * @param {Object} defaults - Column values every fixture starts from
+ * @returns {Function} (values) => row
+ */
+const factory = defaults => (values = {}) => row({ ...defaults, ...values });
+
+/**
+ * A transaction as services see it
+ * @returns {Object} Transaction with LOCK, commit and rollback
+ */
+const transaction = () => ({
+  LOCK: { UPDATE: 'UPDATE' },
+  commit: jest.fn(),
+  rollback: jest.fn()
+});
+
+/**
+ * An Express response recording its status and body
+ * @returns {Object} Response whose body is in res.body
+ */
+const response = () => {
+  const res = {};
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+module.exports = {
+  row,
+  factory,
+  transaction,
+  response
+};
@@ -0,0 +1,110 @@
+jest.mock('../../src/models', () => ({
+  Sale: {
+    findByPk: jest.fn()
+  }
+}));
+jest.mock('../../src/services/permission.service', () => ({
+  getEffectivePermissions: jest.fn(),
+  findDefaultShopId: jest.fn(),
+  PERMISSIONS: {
+    'sales.create': 'Ring up sales and take payments',
+    'sales.refund': 'Refund sales'
+  }
+}));
+
+const db = require('../../src/models');
+const permissionService = require('../../src/services/permission.service');
+const { requirePermission, useRecordShop, checkPermissionInShop } = require('../../src/middleware/permissions');
+
+const USER = { id: 'user-1', role: 'staff' };
+
+// A cashier who may refund in their own shop but not in the shop next door
+const permissionsIn = {
+  'shop-1': { role: 'manager', permissions: ['sales.create', 'sales.refund'] },
+  'shop-2': { role: 'cashier', permissions: ['sales.create'] }
+};
+
+describe('permissions middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    permissionService.findDefaultShopId.mockResolvedValue('shop-1');
+    permissionService.getEffectivePermissions.mockImplementation(async (user, shopId) => (
+      permissionsIn[shopId] || { role: null, permissions: [] }
+    ));
+  });
+
+  // Run the middleware chain of a route and return what it passed on
+  const run = async (req, ...middleware) => {
+    for (const handler of middleware) {
+      const error = await new Promise((resolve) => {
+        handler(req, {}, resolve);
+      });
+      if (error) {
+        return error;
+      }
+    }
+    return null;
+  };
+
+  describe('useRecordShop', () => {
+    it('checks a sale\'s permissions in the shop the sale was made in', async () => {
+      db.Sale.findByPk.mockResolvedValue({ id: 'sale-1', shop_id: 'shop-2' });
+      const req = { user: USER, params: { id: 'sale-1' }, query: {}, body: {} };
+
+      const error = await run(req, useRecordShop('Sale'), requirePermission('sales.refund'));
+
+      expect(permissionService.getEffectivePermissions).toHaveBeenCalledWith(USER, 'shop-2');
+      expect(error).toMatchObject({ statusCode: 403, errorCode: 'FORBIDDEN' });
+    });
+
+    it('ignores a shop_id sent to stand in for the sale\'s shop', async () => {
+      db.Sale.findByPk.mockResolvedValue({ id: 'sale-1', shop_id: 'shop-2' });
+      const req = { user: USER, params: { id: 'sale-1' }, query: {}, body: { shop_id: 'shop-1' } };
+
+      const error = await run(req, useRecordShop('Sale'), requirePermission('sales.refund'));
+
+      expect(error).toMatchObject({ errorCode: 'FORBIDDEN' });
+      expect(req.permissionsShopId).toBe('shop-2');
+    });
+
+    it('lets the user act on a sale of a shop where they hold the permission', async () => {
+      db.Sale.findByPk.mockResolvedValue({ id: 'sale-1', shop_id: 'shop-1' });
+      const req = { user: USER, params: { id: 'sale-1' }, query: {}, body: {} };
+
+      expect(await run(req, useRecordShop('Sale'), requirePermission('sales.refund'))).toBeNull();
+      expect(req.shopRole).toBe('manager');
+    });
+
+    it('leaves a missing sale for the controller to report', async () => {
+      db.Sale.findByPk.mockResolvedValue(null);
+      const req = { user: USER, params: { id: 'sale-9' }, query: {}, body: {} };
+
+      expect(await run(req, useRecordShop('Sale'), requirePermission('sales.create'))).toBeNull();
+      expect(req.permissionsShopId).toBe('shop-1');
+    });
+  });
+
+  describe('checkPermissionInShop', () => {
+    const resolvedIn = shopId => ({
+      user: USER,
+      permissions: new Set(permissionsIn[shopId].permissions),
+      permissionsShopId: shopId
+    });
+
+    it('uses the permissions already resolved for the same shop', async () => {
+      await expect(checkPermissionInShop(resolvedIn('shop-1'), 'shop-1', 'sales.refund')).resolves.toBeUndefined();
+      expect(permissionService.getEffectivePermissions).not.toHaveBeenCalled();
+    });
+
+    it('resolves the permissions again for another shop', async () => {
+      await expect(checkPermissionInShop(resolvedIn('shop-1'), 'shop-2', 'sales.refund'))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'FORBIDDEN' });
+      expect(permissionService.getEffectivePermissions).toHaveBeenCalledWith(USER, 'shop-2');
+    });
+
+    it('refuses a shop the user has no place in', async () => {
+      await expect(checkPermissionInShop(resolvedIn('shop-1'), 'shop-3', 'sales.create'))
+        .rejects.toMatchObject({ errorCode: 'FORBIDDEN' });
+    });
+  });
+});
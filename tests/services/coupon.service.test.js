@@ -0,0 +1,202 @@
+jest.mock('../../src/models', () => ({
+  Coupon: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    decrement: jest.fn()
+  },
+  CouponCampaign: {
+    findByPk: jest.fn()
+  },
+  CouponRedemption: {
+    count: jest.fn(),
+    create: jest.fn(),
+    findAll: jest.fn()
+  }
+}));
+
+const db = require('../../src/models');
+const couponService = require('../../src/services/coupon.service');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+const NOW = new Date('2026-06-10T08:00:00Z');
+const transaction = fixtures.transaction();
+
+const campaignOf = fixtures.factory({
+  id: 'campaign-1',
+  is_active: true,
+  discount_type: 'percentage',
+  value: '10',
+  max_discount_amount: null,
+  min_purchase_amount: null,
+  uses_per_customer: null,
+  starts_at: null,
+  expires_at: null
+});
+
+const couponOf = fixtures.factory({
+  id: 'coupon-1',
+  campaign_id: 'campaign-1',
+  shop_id: SHOP_ID,
+  code: 'SPRING-AB12',
+  is_active: true,
+  max_uses: 1,
+  times_used: 0
+});
+
+const purchase = values => ({
+  customerId: 'customer-1',
+  baseAmount: 200,
+  purchaseAmount: 220,
+  at: NOW,
+  ...values
+});
+
+const givenCoupon = (coupon, campaign) => {
+  db.Coupon.findOne.mockResolvedValue({ id: coupon.id, campaign_id: coupon.campaign_id });
+  db.Coupon.findByPk.mockResolvedValue(coupon);
+  db.CouponCampaign.findByPk.mockResolvedValue(campaign);
+};
+
+const apply = values => couponService.applyCoupon(SHOP_ID, ' spring-ab12 ', purchase(values), transaction);
+
+describe('coupon.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('applyCoupon', () => {
+    it('finds the code regardless of case and spaces and locks campaign then coupon', async () => {
+      givenCoupon(couponOf(), campaignOf());
+
+      const applied = await apply();
+
+      expect(applied.discount).toBe(20);
+      expect(db.Coupon.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { shop_id: SHOP_ID, code: 'SPRING-AB12' }
+      }));
+      expect(db.CouponCampaign.findByPk).toHaveBeenCalledWith('campaign-1', { lock: 'UPDATE', transaction });
+      expect(db.Coupon.findByPk).toHaveBeenCalledWith('coupon-1', { lock: 'UPDATE', transaction });
+      expect(db.CouponCampaign.findByPk.mock.invocationCallOrder[0])
+        .toBeLessThan(db.Coupon.findByPk.mock.invocationCallOrder[0]);
+    });
+
+    it('caps the discount at the campaign maximum', async () => {
+      givenCoupon(couponOf(), campaignOf({ max_discount_amount: '15.00' }));
+
+      expect((await apply()).discount).toBe(15);
+    });
+
+    it('takes a fixed amount off, but never more than the purchase', async () => {
+      givenCoupon(couponOf(), campaignOf({ discount_type: 'fixed', value: '50.00' }));
+      expect((await apply()).discount).toBe(50);
+
+      givenCoupon(couponOf(), campaignOf({ discount_type: 'fixed', value: '500.00' }));
+      expect((await apply()).discount).toBe(200);
+    });
+
+    it('accepts the last use of a coupon and refuses the one after', async () => {
+      const coupon = couponOf({ max_uses: 2, times_used: 1 });
+      givenCoupon(coupon, campaignOf());
+      const applied = await apply();
+
+      await couponService.recordRedemption(applied.coupon, { saleId: 'sale-1', discount: applied.discount }, transaction);
+      givenCoupon(await coupon.reload(), campaignOf());
+
+      await expect(apply()).rejects.toMatchObject({ errorCode: 'COUPON_USAGE_LIMIT' });
+    });
+
+    it('rejects an unknown code', async () => {
+      db.Coupon.findOne.mockResolvedValue(null);
+
+      await expect(apply()).rejects.toMatchObject({ statusCode: 404, errorCode: 'COUPON_NOT_FOUND' });
+    });
+
+    it('rejects a coupon that has used up its uses', async () => {
+      givenCoupon(couponOf({ max_uses: 3, times_used: 3 }), campaignOf());
+
+      await expect(apply()).rejects.toMatchObject({ errorCode: 'COUPON_USAGE_LIMIT' });
+    });
+
+    it('accepts a coupon without a use limit however often it was used', async () => {
+      givenCoupon(couponOf({ max_uses: null, times_used: 500 }), campaignOf());
+
+      await expect(apply()).resolves.toMatchObject({ discount: 20 });
+    });
+
+    it('rejects a customer who has used the campaign the maximum number of times', async () => {
+      givenCoupon(couponOf({ max_uses: null }), campaignOf({ uses_per_customer: 2 }));
+      db.CouponRedemption.count.mockResolvedValue(2);
+
+      await expect(apply()).rejects.toMatchObject({ errorCode: 'COUPON_CUSTOMER_LIMIT' });
+      expect(db.CouponRedemption.count).toHaveBeenCalledWith({
+        where: { campaign_id: 'campaign-1', customer_id: 'customer-1' },
+        transaction
+      });
+    });
+
+    it('accepts a customer under the per-customer limit', async () => {
+      givenCoupon(couponOf({ max_uses: null }), campaignOf({ uses_per_customer: 2 }));
+      db.CouponRedemption.count.mockResolvedValue(1);
+
+      await expect(apply()).resolves.toMatchObject({ discount: 20 });
+    });
+
+    it('requires a customer when the campaign limits uses per customer', async () => {
+      givenCoupon(couponOf(), campaignOf({ uses_per_customer: 1 }));
+
+      await expect(apply({ customerId: null })).rejects.toMatchObject({ errorCode: 'COUPON_CUSTOMER_REQUIRED' });
+    });
+
+    it('rejects inactive, unstarted and expired campaigns', async () => {
+      givenCoupon(couponOf(), campaignOf({ is_active: false }));
+      await expect(apply()).rejects.toMatchObject({ errorCode: 'COUPON_INACTIVE' });
+
+      givenCoupon(couponOf(), campaignOf({ starts_at: '2026-07-01T00:00:00Z' }));
+      await expect(apply()).rejects.toMatchObject({ errorCode: 'COUPON_NOT_STARTED' });
+
+      givenCoupon(couponOf(), campaignOf({ expires_at: '2026-06-01T00:00:00Z' }));
+      await expect(apply()).rejects.toMatchObject({ errorCode: 'COUPON_EXPIRED' });
+    });
+
+    it('rejects a purchase under the campaign minimum', async () => {
+      givenCoupon(couponOf(), campaignOf({ min_purchase_amount: '250.00' }));
+
+      await expect(apply()).rejects.toMatchObject({ errorCode: 'COUPON_MIN_PURCHASE' });
+    });
+  });
+
+  describe('recordRedemption', () => {
+    it('counts the use on the coupon and records the redemption', async () => {
+      const coupon = couponOf();
+
+      await couponService.recordRedemption(coupon, {
+        saleId: 'sale-1',
+        customerId: 'customer-1',
+        discount: 20,
+        revenue: 200,
+        userId: 'user-1'
+      }, transaction);
+
+      expect((await coupon.reload()).times_used).toBe(1);
+      expect(db.CouponRedemption.create).toHaveBeenCalledWith(expect.objectContaining({
+        coupon_id: 'coupon-1',
+        campaign_id: 'campaign-1',
+        sale_id: 'sale-1',
+        discount_amount: 20
+      }), { transaction });
+    });
+  });
+
+  describe('releaseOrderRedemption', () => {
+    it('gives back the uses of a cancelled order', async () => {
+      const redemption = { coupon_id: 'coupon-1', destroy: jest.fn() };
+      db.CouponRedemption.findAll.mockResolvedValue([redemption]);
+
+      await couponService.releaseOrderRedemption('order-1', transaction);
+
+      expect(db.Coupon.decrement).toHaveBeenCalledWith('times_used', expect.objectContaining({ transaction }));
+      expect(redemption.destroy).toHaveBeenCalledWith({ transaction });
+    });
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../../src/models', () => ({
+  Inventory: {
+    findOrCreate: jest.fn()
+  },
+  InventoryTransaction: {
+    create: jest.fn()
+  },
+  Location: {
+    findOne: jest.fn()
+  },
+  LocationInventory: {
+    findOrCreate: jest.fn()
+  }
+}));
+
+const db = require('../../src/models');
+const inventoryService = require('../../src/services/inventory.service');
+const fixtures = require('../helpers/fixtures');
+
+const inventoryOf = fixtures.factory({
+  product_id: 'product-1',
+  shop_id: 'shop-1',
+  stock_quantity: 10,
+  available_quantity: 10,
+  reserved_quantity: 0
+});
+
+const locationStockOf = fixtures.factory({
+  location_id: 'location-1',
+  product_id: 'product-1',
+  shop_id: 'shop-1',
+  quantity: 4
+});
+
+const movement = quantity => ({
+  product_id: 'product-1',
+  shop_id: 'shop-1',
+  quantity,
+  transaction_type: quantity < 0 ? 'sale' : 'purchase',
+  note: 'Test movement',
+  user_id: 'user-1'
+});
+
+describe('inventory.service', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction = fixtures.transaction();
+    db.Location.findOne.mockResolvedValue(null);
+  });
+
+  describe('applyStockMovement', () => {
+    it('locks the inventory row before checking the stock', async () => {
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryOf()]);
+
+      await inventoryService.applyStockMovement(movement(-2), transaction);
+
+      expect(db.Inventory.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { product_id: 'product-1', shop_id: 'shop-1' },
+        lock: 'UPDATE',
+        transaction
+      }));
+    });
+
+    it('moves stock on hand and available stock together and logs the movement', async () => {
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryOf({ stock_quantity: 5, available_quantity: 5 })]);
+
+      const inventory = await inventoryService.applyStockMovement(movement(-2), transaction);
+
+      expect(inventory).toMatchObject({ stock_quantity: 3, available_quantity: 3, reserved_quantity: 0 });
+      expect(db.InventoryTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        product_id: 'product-1',
+        quantity: -2,
+        transaction_type: 'sale',
+        location_id: null
+      }), { transaction });
+    });
+
+    it('adds received stock to what is available', async () => {
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryOf({ available_quantity: 7, reserved_quantity: 3 })]);
+
+      const inventory = await inventoryService.applyStockMovement(movement(6), transaction);
+
+      expect(inventory).toMatchObject({ stock_quantity: 16, available_quantity: 13, reserved_quantity: 3 });
+    });
+
+    it('does not sell units reserved for orders', async () => {
+      const inventory = inventoryOf({ available_quantity: 3, reserved_quantity: 7 });
+      db.Inventory.findOrCreate.mockResolvedValue([inventory]);
+
+      await expect(inventoryService.applyStockMovement(movement(-4), transaction))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'INSUFFICIENT_STOCK' });
+      expect(inventory).toMatchObject({ stock_quantity: 10, available_quantity: 3 });
+      expect(db.InventoryTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('sells up to the units not reserved', async () => {
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryOf({ available_quantity: 3, reserved_quantity: 7 })]);
+
+      const inventory = await inventoryService.applyStockMovement(movement(-3), transaction);
+
+      expect(inventory).toMatchObject({ stock_quantity: 7, available_quantity: 0, reserved_quantity: 7 });
+    });
+
+    it('takes available stock below zero when allowed to', async () => {
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryOf({ available_quantity: 3, reserved_quantity: 7 })]);
+
+      const inventory = await inventoryService.applyStockMovement(movement(-5), transaction, { allowNegative: true });
+
+      expect(inventory).toMatchObject({ stock_quantity: 5, available_quantity: -2, reserved_quantity: 7 });
+    });
+
+    it('also moves the stock of the shop\'s default location', async () => {
+      const locationStock = locationStockOf();
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryOf({ stock_quantity: 4, available_quantity: 4 })]);
+      db.Location.findOne.mockResolvedValue({ id: 'location-1', name: 'Front' });
+      db.LocationInventory.findOrCreate.mockResolvedValue([locationStock]);
+
+      const inventory = await inventoryService.applyStockMovement(movement(-1), transaction);
+
+      expect(inventory.stock_quantity).toBe(3);
+      expect(locationStock.quantity).toBe(3);
+      expect(db.Location.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { shop_id: 'shop-1', is_default: true }
+      }));
+      expect(db.InventoryTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ location_id: 'location-1' }),
+        { transaction }
+      );
+    });
+  });
+
+  describe('adjustLocationStock', () => {
+    beforeEach(() => {
+      db.Location.findOne.mockResolvedValue({ id: 'location-1', name: 'Front' });
+    });
+
+    it('moves the stock of one location only', async () => {
+      db.LocationInventory.findOrCreate.mockResolvedValue([locationStockOf()]);
+
+      const locationStock = await inventoryService.adjustLocationStock(movement(3), transaction);
+
+      expect(locationStock.quantity).toBe(7);
+      expect(db.Inventory.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    it('refuses to take a location below zero', async () => {
+      const locationStock = locationStockOf({ quantity: 1 });
+      db.LocationInventory.findOrCreate.mockResolvedValue([locationStock]);
+
+      await expect(inventoryService.adjustLocationStock(movement(-2), transaction))
+        .rejects.toMatchObject({ errorCode: 'INSUFFICIENT_LOCATION_STOCK' });
+      expect((await locationStock.reload()).quantity).toBe(1);
+    });
+
+    it('lets sales take a location below zero', async () => {
+      db.LocationInventory.findOrCreate.mockResolvedValue([locationStockOf({ quantity: 1 })]);
+
+      const locationStock = await inventoryService.adjustLocationStock(movement(-2), transaction, { allowNegative: true });
+
+      expect(locationStock.quantity).toBe(-1);
+    });
+
+    it('rejects a location that is not an active location of the shop', async () => {
+      db.Location.findOne.mockResolvedValue(null);
+
+      await expect(inventoryService.adjustLocationStock({ ...movement(-1), location_id: 'location-9' }, transaction))
+        .rejects.toMatchObject({ statusCode: 404, errorCode: 'LOCATION_NOT_FOUND' });
+    });
+
+    it('leaves shops without locations alone', async () => {
+      db.Location.findOne.mockResolvedValue(null);
+
+      expect(await inventoryService.adjustLocationStock(movement(-2), transaction)).toBeNull();
+      expect(db.LocationInventory.findOrCreate).not.toHaveBeenCalled();
+    });
+  });
+});
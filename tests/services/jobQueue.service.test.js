@@ -0,0 +1,164 @@
+jest.mock('../../src/models', () => {
+  const fixtures = require('../helpers/fixtures');
+  const rows = [];
+
+  const matches = where => row => Object.keys(where).every(key => row[key] === where[key]);
+
+  return {
+    Job: {
+      rows,
+      create: jest.fn(async (values) => {
+        const job = fixtures.row({
+          id: `job-${rows.length + 1}`,
+          status: 'waiting',
+          progress: 0,
+          result: null,
+          error: null,
+          attempts_made: 0,
+          started_at: null,
+          finished_at: null,
+          created_at: new Date(),
+          ...values
+        });
+        job.isFinished = () => ['completed', 'failed'].includes(job.status);
+        rows.push(job);
+        return job;
+      }),
+      findByPk: jest.fn(async id => rows.find(row => row.id === id) || null),
+      findOne: jest.fn(async ({ where }) => rows.find(matches(where)) || null),
+      findAndCountAll: jest.fn(async ({ where }) => {
+        const found = rows.filter(matches(where));
+        return { count: found.length, rows: found };
+      })
+    }
+  };
+});
+jest.mock('../../src/jobs', () => ({
+  test: {
+    echo: jest.fn(),
+    import: jest.fn()
+  }
+}));
+// Redis is not there: nothing may open a Bull queue
+jest.mock('bull', () => jest.fn(() => {
+  throw new Error('Redis is not available');
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+process.env.QUEUE_DRIVER = 'memory';
+process.env.QUEUE_BACKOFF_MS = '5';
+
+const Bull = require('bull');
+const db = require('../../src/models');
+const handlers = require('../../src/jobs');
+const jobQueue = require('../../src/services/jobQueue.service');
+const jobController = require('../../src/controllers/job.controller');
+const fixtures = require('../helpers/fixtures');
+
+/**
+ * Wait until a job has finished, failing the test after a second
+ * @param {Object} job - Job row
+ * @returns {Promise<Object>}
+ */
+const finished = async (job) => {
+  for (let waited = 0; !job.isFinished(); waited += 5) {
+    if (waited > 1000) {
+      throw new Error(`Job ${job.id} is still ${job.status}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return job;
+};
+
+describe('jobQueue.service without Redis', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.Job.rows.length = 0;
+  });
+
+  it('runs a queued job in-process and keeps its result', async () => {
+    handlers.test.echo.mockImplementation(async (data, { progress }) => {
+      await progress(50);
+      return { rows: data.rows };
+    });
+
+    const job = await jobQueue.enqueue('test', 'echo', { rows: 3 }, { shopId: 'shop-1', userId: 'user-1' });
+
+    expect(job).toMatchObject({ status: 'waiting', shop_id: 'shop-1', user_id: 'user-1', max_attempts: 3 });
+    await finished(job);
+    expect(job).toMatchObject({ status: 'completed', progress: 100, result: { rows: 3 }, attempts_made: 1, error: null });
+    expect(job.finished_at).toBeInstanceOf(Date);
+    expect(Bull).not.toHaveBeenCalled();
+  });
+
+  it('tries a failed attempt again after a delay', async () => {
+    handlers.test.echo
+      .mockRejectedValueOnce(new Error('Mail server busy'))
+      .mockResolvedValueOnce('sent');
+
+    const job = await finished(await jobQueue.enqueue('test', 'echo'));
+
+    expect(job).toMatchObject({ status: 'completed', result: 'sent', attempts_made: 2, error: null });
+    expect(handlers.test.echo).toHaveBeenCalledTimes(2);
+  });
+
+  it('records the failure once the job runs out of attempts', async () => {
+    handlers.test.echo.mockRejectedValue(new Error('Mail server down'));
+
+    const job = await finished(await jobQueue.enqueue('test', 'echo', {}, { attempts: 2 }));
+
+    expect(job).toMatchObject({ status: 'failed', error: 'Mail server down', attempts_made: 2 });
+    expect(job.finished_at).toBeInstanceOf(Date);
+    expect(handlers.test.echo).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses a job nothing can run', async () => {
+    await expect(jobQueue.enqueue('test', 'unknown')).rejects.toThrow('No handler registered for test:unknown');
+    expect(db.Job.create).not.toHaveBeenCalled();
+  });
+
+  describe('job status', () => {
+    beforeEach(async () => {
+      handlers.test.echo.mockResolvedValue('done');
+      handlers.test.import.mockRejectedValue(new Error('Bad file'));
+      await finished(await jobQueue.enqueue('test', 'echo', {}, { userId: 'user-1' }));
+      await finished(await jobQueue.enqueue('test', 'import', {}, { userId: 'user-1', attempts: 1 }));
+      await finished(await jobQueue.enqueue('test', 'echo', {}, { userId: 'user-2' }));
+    });
+
+    const list = async (user, query = {}) => {
+      const res = fixtures.response();
+      await jobController.getAllJobs({ user, query }, res, jest.fn());
+      return res.body.data;
+    };
+
+    it('shows users the jobs they queued', async () => {
+      const { jobs, pagination } = await list({ id: 'user-1', role: 'staff' });
+
+      expect(jobs.map(job => [job.name, job.status])).toEqual([['echo', 'completed'], ['import', 'failed']]);
+      expect(jobs[1].error).toBe('Bad file');
+      expect(pagination.total).toBe(2);
+    });
+
+    it('filters a user\'s jobs by status', async () => {
+      const { jobs } = await list({ id: 'user-1', role: 'staff' }, { status: 'failed' });
+
+      expect(jobs.map(job => job.name)).toEqual(['import']);
+    });
+
+    it('shows admins every job', async () => {
+      expect((await list({ id: 'admin-1', role: 'admin' })).pagination.total).toBe(3);
+    });
+
+    it('hides another user\'s job', async () => {
+      const next = jest.fn();
+
+      await jobController.getJobById({ params: { id: 'job-3' }, user: { id: 'user-1', role: 'staff' } }, fixtures.response(), next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, errorCode: 'JOB_NOT_FOUND' }));
+    });
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../../src/models', () => ({
+  LoyaltyProgram: {
+    findAll: jest.fn()
+  },
+  LoyaltyTransaction: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  Customer: {
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  Shop: {
+    findByPk: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  }
+}));
+jest.mock('../../src/services/notification.service', () => ({
+  notify: jest.fn()
+}));
+jest.mock('../../src/services/jobQueue.service', () => ({
+  enqueue: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const db = require('../../src/models');
+const { notify } = require('../../src/services/notification.service');
+const loyaltyPointsService = require('../../src/services/loyaltyPoints.service');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+const NOW = new Date('2026-06-10T08:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('loyaltyPoints.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('expireShopPoints', () => {
+    const lot = fixtures.factory({
+      id: 'lot-1',
+      customer_id: 'customer-1',
+      program_id: 'program-1',
+      points: 100,
+      points_remaining: 40,
+      expires_at: new Date(NOW.getTime() - DAY_MS),
+      created_at: new Date('2025-06-10T08:00:00Z')
+    });
+
+    it('writes off what is left of each expired lot', async () => {
+      const expired = lot();
+      db.LoyaltyTransaction.findAll.mockResolvedValue([{ id: 'lot-1' }]);
+      db.LoyaltyTransaction.findByPk.mockResolvedValue(expired);
+
+      const totals = await loyaltyPointsService.expireShopPoints(SHOP_ID, NOW);
+
+      expect(totals).toEqual({ lots: 1, points: 40 });
+      expect(db.LoyaltyTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        customer_id: 'customer-1',
+        expired_transaction_id: 'lot-1',
+        points: -40,
+        type: 'debit'
+      }), expect.anything());
+      expect(expired.points_remaining).toBe(0);
+      expect(db.Customer.update).toHaveBeenCalledWith(
+        { loyalty_points: expect.anything() },
+        expect.objectContaining({ where: { id: 'customer-1' } })
+      );
+    });
+
+    it('skips lots spent or expired by another run since they were listed', async () => {
+      db.LoyaltyTransaction.findAll.mockResolvedValue([{ id: 'lot-1' }, { id: 'lot-2' }]);
+      db.LoyaltyTransaction.findByPk
+        .mockResolvedValueOnce(lot({ points_remaining: 0 }))
+        .mockResolvedValueOnce(lot({ id: 'lot-2', expires_at: new Date(NOW.getTime() + DAY_MS) }));
+
+      const totals = await loyaltyPointsService.expireShopPoints(SHOP_ID, NOW);
+
+      expect(totals).toEqual({ lots: 0, points: 0 });
+      expect(db.LoyaltyTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('warnExpiringPoints', () => {
+    beforeEach(() => {
+      db.LoyaltyProgram.findAll.mockResolvedValue([{ id: 'program-1', expiry_warning_days: 7 }]);
+      db.LoyaltyTransaction.findAll.mockResolvedValue([
+        { id: 'lot-1', customer_id: 'customer-1', points_remaining: 30, expires_at: new Date(NOW.getTime() + 3 * DAY_MS) },
+        { id: 'lot-2', customer_id: 'customer-1', points_remaining: 20, expires_at: new Date(NOW.getTime() + 2 * DAY_MS) },
+        { id: 'lot-3', customer_id: 'customer-2', points_remaining: 10, expires_at: new Date(NOW.getTime() + 5 * DAY_MS) }
+      ]);
+      db.Shop.findByPk.mockResolvedValue({ id: SHOP_ID, name: 'Ajiro Cafe' });
+      db.Customer.findAll.mockResolvedValue([
+        { id: 'customer-1', first_name: 'Sara', email: 'sara@example.com', loyalty_points: 80 },
+        { id: 'customer-2', first_name: 'Reza', phone: '09120000000', loyalty_points: 10 }
+      ]);
+    });
+
+    it('warns each customer once about all their expiring lots and marks the lots warned', async () => {
+      notify.mockResolvedValue([]);
+
+      const warned = await loyaltyPointsService.warnExpiringPoints(SHOP_ID, NOW);
+
+      expect(warned).toBe(2);
+      expect(notify).toHaveBeenCalledWith(
+        'loyalty_points_expiring',
+        expect.objectContaining({ customerId: 'customer-1' }),
+        expect.objectContaining({ points: 50, points_balance: 80 }),
+        expect.objectContaining({ shopId: SHOP_ID })
+      );
+      expect(db.LoyaltyTransaction.update).toHaveBeenCalledWith(
+        { expiry_warned_at: NOW },
+        { where: { id: { [Op.in]: ['lot-1', 'lot-2'] } } }
+      );
+    });
+
+    it('leaves the lots unwarned when the warning cannot be queued', async () => {
+      notify
+        .mockRejectedValueOnce(new Error('Queue unavailable'))
+        .mockResolvedValueOnce([]);
+
+      const warned = await loyaltyPointsService.warnExpiringPoints(SHOP_ID, NOW);
+
+      expect(warned).toBe(1);
+      expect(db.LoyaltyTransaction.update).toHaveBeenCalledTimes(1);
+      expect(db.LoyaltyTransaction.update).toHaveBeenCalledWith(
+        { expiry_warned_at: NOW },
+        { where: { id: { [Op.in]: ['lot-3'] } } }
+      );
+    });
+
+    it('does nothing when no program warns about expiry', async () => {
+      db.LoyaltyProgram.findAll.mockResolvedValue([]);
+
+      expect(await loyaltyPointsService.warnExpiringPoints(SHOP_ID, NOW)).toBe(0);
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../../src/models', () => ({
+  LoyaltyProgram: {
+    findOne: jest.fn()
+  },
+  Product: {
+    findAll: jest.fn()
+  },
+  Category: {
+    findAll: jest.fn()
+  }
+}));
+
+const db = require('../../src/models');
+const loyaltyProgramService = require('../../src/services/loyaltyProgram.service');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+const AT = new Date('2026-06-10T08:00:00Z');
+
+const programOf = fixtures.factory({
+  id: 'program-1',
+  shop_id: SHOP_ID,
+  points_per_currency: '0.1000',
+  earn_rules: [
+    { category_id: 'drinks', points_per_currency: '0.2000' },
+    { product_id: 'cake', points_per_currency: '0.5000' }
+  ],
+  excluded_product_ids: ['gift-card'],
+  bonus_periods: []
+});
+
+// Tea is a hot drink, a subcategory of drinks; bread has no category
+const basket = [
+  { product_id: 'tea', amount: 1000 },
+  { product_id: 'cake', amount: 400 },
+  { product_id: 'gift-card', amount: 500 },
+  { product_id: 'bread', amount: 300 }
+];
+
+describe('loyaltyProgram.service pointsForPurchase', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.Product.findAll.mockResolvedValue([
+      { id: 'tea', category_id: 'hot-drinks', parent_id: null },
+      { id: 'cake', category_id: 'bakery', parent_id: null },
+      { id: 'gift-card', category_id: null, parent_id: null },
+      { id: 'bread', category_id: null, parent_id: null }
+    ]);
+    db.Category.findAll.mockResolvedValue([
+      { id: 'drinks', parent_id: null },
+      { id: 'hot-drinks', parent_id: 'drinks' },
+      { id: 'bakery', parent_id: null }
+    ]);
+  });
+
+  const earn = (lines, total) => loyaltyProgramService.pointsForPurchase(SHOP_ID, lines, { total, at: AT });
+
+  it('earns each line the rate of its product, its category\'s nearest ancestor or the base rate', async () => {
+    const program = programOf();
+    db.LoyaltyProgram.findOne.mockResolvedValue(program);
+
+    // 1000 x 0.2 + 400 x 0.5 + nothing on the gift card + 300 x 0.1
+    expect(await earn(basket, 2200)).toEqual({ program, points: 430 });
+  });
+
+  it('earns on what the customer paid after sale discounts', async () => {
+    db.LoyaltyProgram.findOne.mockResolvedValue(programOf());
+
+    expect((await earn(basket, 1100)).points).toBe(215);
+  });
+
+  it('multiplies the points by the largest bonus running', async () => {
+    db.LoyaltyProgram.findOne.mockResolvedValue(programOf({
+      bonus_periods: [
+        { starts_at: '2026-06-01T00:00:00Z', ends_at: '2026-06-30T00:00:00Z', multiplier: '2.00' },
+        { starts_at: '2026-06-09T00:00:00Z', ends_at: '2026-06-11T00:00:00Z', multiplier: '3.00' },
+        { starts_at: '2026-07-01T00:00:00Z', ends_at: '2026-07-30T00:00:00Z', multiplier: '5.00' }
+      ]
+    }));
+
+    expect((await earn(basket, 2200)).points).toBe(1290);
+  });
+
+  it('rounds down to whole points', async () => {
+    db.LoyaltyProgram.findOne.mockResolvedValue(programOf());
+
+    expect((await earn([{ product_id: 'bread', amount: 19 }], 19)).points).toBe(1);
+  });
+
+  it('earns a variant the rate of its parent product', async () => {
+    db.LoyaltyProgram.findOne.mockResolvedValue(programOf());
+    db.Product.findAll.mockResolvedValue([{ id: 'cake-large', category_id: null, parent_id: 'cake' }]);
+
+    expect((await earn([{ product_id: 'cake-large', amount: 100 }], 100)).points).toBe(50);
+  });
+
+  it('earns nothing while the shop runs no program', async () => {
+    db.LoyaltyProgram.findOne.mockResolvedValue(null);
+
+    expect(await earn(basket, 2200)).toEqual({ program: null, points: 0 });
+    expect(db.Product.findAll).not.toHaveBeenCalled();
+  });
+});
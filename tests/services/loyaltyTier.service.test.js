@@ -0,0 +1,136 @@
+jest.mock('../../src/models', () => ({
+  Sale: {
+    findAll: jest.fn()
+  },
+  Refund: {
+    findAll: jest.fn()
+  },
+  Order: {
+    findAll: jest.fn()
+  },
+  LoyaltyTransaction: {
+    findAll: jest.fn()
+  }
+}));
+jest.mock('../../src/services/jobQueue.service', () => ({
+  enqueue: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const db = require('../../src/models');
+const loyaltyTierService = require('../../src/services/loyaltyTier.service');
+
+const SHOP_ID = 'shop-1';
+const SINCE = new Date('2026-06-01T00:00:00Z');
+
+/**
+ * Whether a row meets a where clause of plain columns, with the operators
+ * getActivity uses
+ */
+const matches = (where, row) => Object.keys(where).every((key) => {
+  const condition = where[key];
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return row[key] === condition;
+  }
+  if (condition[Op.in]) {
+    return condition[Op.in].includes(row[key]);
+  }
+  if (condition[Op.notIn]) {
+    return !condition[Op.notIn].includes(row[key]);
+  }
+  return row[key] >= condition[Op.gte];
+});
+
+describe('loyaltyTier.service getActivity', () => {
+  let sales;
+  let refunds;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sales = [];
+    refunds = [];
+
+    // Spend and visits per customer of the sales the query selects
+    db.Sale.findAll.mockImplementation(async ({ where }) => {
+      const totals = {};
+      sales.filter(sale => matches(where, sale)).forEach((sale) => {
+        totals[sale.customer_id] = totals[sale.customer_id] || { customer_id: sale.customer_id, spend: 0, visits: 0 };
+        totals[sale.customer_id].spend += sale.total_amount;
+        totals[sale.customer_id].visits += 1;
+      });
+      return Object.values(totals);
+    });
+
+    // Refunded amounts per customer, joined to the sales the include selects
+    db.Refund.findAll.mockImplementation(async ({ where, include: [{ where: saleWhere }] }) => {
+      const totals = {};
+      refunds.filter(refund => matches(where, refund)).forEach((refund) => {
+        const sale = sales.find(candidate => candidate.id === refund.sale_id);
+        if (matches(saleWhere, sale)) {
+          totals[sale.customer_id] = totals[sale.customer_id] || { customer_id: sale.customer_id, refunded: 0 };
+          totals[sale.customer_id].refunded += refund.amount;
+        }
+      });
+      return Object.values(totals);
+    });
+
+    db.Order.findAll.mockResolvedValue([]);
+    db.LoyaltyTransaction.findAll.mockResolvedValue([]);
+  });
+
+  const saleOf = (id, saleDate, totalAmount, values = {}) => ({
+    id,
+    shop_id: SHOP_ID,
+    customer_id: 'customer-1',
+    sale_date: new Date(saleDate),
+    total_amount: totalAmount,
+    payment_status: 'paid',
+    ...values
+  });
+
+  const refundOf = (saleId, refundDate, amount) => ({
+    sale_id: saleId,
+    refund_date: new Date(refundDate),
+    amount,
+    status: 'completed'
+  });
+
+  const activityOf = async customerId => (await loyaltyTierService.getActivity(SHOP_ID, [customerId], SINCE)).get(customerId);
+
+  it('counts the spend and visits of the sales in the window, less what was refunded on them', async () => {
+    sales.push(
+      saleOf('sale-1', '2026-06-05T10:00:00Z', 300),
+      saleOf('sale-2', '2026-06-20T10:00:00Z', 200)
+    );
+    refunds.push(refundOf('sale-1', '2026-06-06T10:00:00Z', 50));
+
+    expect(await activityOf('customer-1')).toEqual({ points: 0, spend: 450, visits: 2 });
+  });
+
+  it('leaves spend alone when a sale made before the window is refunded inside it', async () => {
+    sales.push(
+      saleOf('sale-old', '2026-05-20T10:00:00Z', 400),
+      saleOf('sale-1', '2026-06-05T10:00:00Z', 300)
+    );
+    refunds.push(refundOf('sale-old', '2026-06-10T10:00:00Z', 400));
+
+    expect(await activityOf('customer-1')).toEqual({ points: 0, spend: 300, visits: 1 });
+  });
+
+  it('counts nothing for cancelled and fully refunded sales', async () => {
+    sales.push(
+      saleOf('sale-1', '2026-06-05T10:00:00Z', 300, { payment_status: 'refunded' }),
+      saleOf('sale-2', '2026-06-06T10:00:00Z', 100, { payment_status: 'cancelled' })
+    );
+    refunds.push(refundOf('sale-1', '2026-06-06T10:00:00Z', 300));
+
+    expect(await activityOf('customer-1')).toEqual({ points: 0, spend: 0, visits: 0 });
+  });
+
+  it('never lets refunds take the spend below zero', async () => {
+    sales.push(saleOf('sale-1', '2026-06-05T10:00:00Z', 100));
+    refunds.push(refundOf('sale-1', '2026-06-06T10:00:00Z', 60), refundOf('sale-1', '2026-06-07T10:00:00Z', 60));
+
+    expect((await activityOf('customer-1')).spend).toBe(0);
+  });
+});
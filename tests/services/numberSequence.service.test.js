@@ -0,0 +1,160 @@
+jest.mock('../../src/models', () => {
+  const fixtures = require('../helpers/fixtures');
+  const rows = [];
+
+  const matches = where => row => Object.keys(where).every(key => row[key] === where[key]);
+
+  return {
+    NumberSequence: {
+      rows,
+      bulkCreate: jest.fn(async (records) => {
+        records
+          .filter(record => !rows.some(matches({ shop_id: record.shop_id, document_type: record.document_type })))
+          .forEach(record => rows.push(fixtures.row(record)));
+      }),
+      findOne: jest.fn(async ({ where }) => rows.find(matches(where)) || null),
+      findAll: jest.fn(async ({ where }) => rows.filter(matches(where)))
+    },
+    NumberSequenceVoid: {
+      create: jest.fn(async record => record)
+    },
+    sequelize: {
+      transaction: jest.fn(async callback => callback(fixtures.transaction()))
+    }
+  };
+});
+
+const db = require('../../src/models');
+const numberSequenceService = require('../../src/services/numberSequence.service');
+const { getJalaliParts } = require('../../src/utils/timezone');
+const config = require('../../src/config');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = '5f0c7f0e-4c8e-4b8e-9c1a-0d6a1c2b3e4f';
+const transaction = fixtures.transaction();
+
+// Mid-month dates in the Jalali years 1404, 1405 and 1406
+const IN_1404 = new Date('2025-06-10T08:00:00Z');
+const IN_1405 = new Date('2026-06-10T08:00:00Z');
+const LATER_IN_1405 = new Date('2026-08-10T08:00:00Z');
+const IN_1406 = new Date('2027-06-10T08:00:00Z');
+
+const next = (date, documentType = 'invoice') => numberSequenceService
+  .nextNumber(SHOP_ID, documentType, transaction, date);
+
+describe('numberSequence.service', () => {
+  beforeEach(() => {
+    db.NumberSequence.rows.length = 0;
+  });
+
+  describe('nextNumber', () => {
+    it('numbers documents without gaps and restarts each Jalali year', async () => {
+      expect(await next(IN_1405)).toBe('INV-1405-000001');
+      expect(await next(IN_1405)).toBe('INV-1405-000002');
+      expect(await next(LATER_IN_1405)).toBe('INV-1405-000003');
+      expect(await next(IN_1406)).toBe('INV-1406-000001');
+    });
+
+    it('keeps a separate counter per document type', async () => {
+      expect(await next(IN_1405)).toBe('INV-1405-000001');
+      expect(await next(IN_1405, 'order')).toBe('ORD-1405-000001');
+      expect(await next(IN_1405)).toBe('INV-1405-000002');
+    });
+
+    it('restarts a monthly sequence each month', async () => {
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', {
+        format: '{prefix}-{jyy}{jmm}-{seq:4}',
+        reset_period: 'monthly'
+      });
+
+      expect(await next(IN_1405)).toBe('INV-0503-0001');
+      expect(await next(IN_1405)).toBe('INV-0503-0002');
+      expect(await next(LATER_IN_1405)).toBe('INV-0505-0001');
+    });
+
+    it('refuses to take a number outside a transaction', async () => {
+      await expect(numberSequenceService.nextNumber(SHOP_ID, 'invoice'))
+        .rejects.toMatchObject({ errorCode: 'TRANSACTION_REQUIRED' });
+    });
+
+    it('rejects unknown document types', async () => {
+      await expect(next(IN_1405, 'receipt')).rejects.toMatchObject({ errorCode: 'INVALID_DOCUMENT_TYPE' });
+    });
+  });
+
+  describe('updateSequence', () => {
+    const year = () => getJalaliParts(new Date(), config.timezone).year;
+
+    it('rejects a format without the period the counter restarts on', async () => {
+      await expect(numberSequenceService.updateSequence(SHOP_ID, 'invoice', {
+        format: '{prefix}-{seq:6}'
+      })).rejects.toMatchObject({ errorCode: 'INVALID_NUMBER_FORMAT' });
+    });
+
+    it('carries the counter on when the reset period changes from yearly to never', async () => {
+      const issued = [await next(), await next()];
+
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', { reset_period: 'never' });
+
+      const number = await next();
+      expect(issued).toEqual([`INV-${year()}-000001`, `INV-${year()}-000002`]);
+      expect(number).toBe(`INV-${year()}-000003`);
+      expect(issued).not.toContain(number);
+    });
+
+    it('carries the counter on when a monthly sequence becomes yearly', async () => {
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', {
+        format: '{prefix}-{jyyyy}{jmm}-{seq:4}',
+        reset_period: 'monthly'
+      });
+      const issued = [await next(), await next()];
+
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', { reset_period: 'yearly' });
+
+      const number = await next();
+      expect(number).toBe(issued[1].replace(/0002$/, '0003'));
+      expect(issued).not.toContain(number);
+    });
+
+    it('carries the counter on when the calendar changes', async () => {
+      await next();
+
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', {
+        format: '{prefix}-{yyyy}-{seq:6}',
+        calendar: 'gregorian'
+      });
+
+      expect(await next()).toMatch(/-000002$/);
+    });
+
+    it('restarts a counter last used in an earlier period when the reset period changes', async () => {
+      await next(IN_1404);
+      await next(IN_1404);
+
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', { reset_period: 'never' });
+
+      expect(await next()).toBe(`INV-${year()}-000001`);
+    });
+
+    it('restarts a counter last used in an earlier month when a monthly sequence becomes yearly', async () => {
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', {
+        format: '{prefix}-{jyyyy}{jmm}-{seq:4}',
+        reset_period: 'monthly'
+      });
+      await next(IN_1404);
+
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', { reset_period: 'yearly' });
+
+      expect(await next()).toMatch(/-0001$/);
+    });
+
+    it('shows the next number with the new settings', async () => {
+      await next();
+      await numberSequenceService.updateSequence(SHOP_ID, 'invoice', { reset_period: 'never' });
+
+      const sequences = await numberSequenceService.getSequences(SHOP_ID);
+      const invoice = sequences.find(sequence => sequence.document_type === 'invoice');
+      expect(invoice.next_number).toBe(`INV-${year()}-000002`);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../../src/models', () => ({
+  OtpCode: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn(),
+    create: jest.fn()
+  },
+  User: {
+    findOne: jest.fn()
+  },
+  Customer: {
+    findOne: jest.fn()
+  }
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+process.env.SMS_PROVIDER = 'console';
+
+const db = require('../../src/models');
+const logger = require('../../src/utils/logger');
+const otpService = require('../../src/services/otp.service');
+const authController = require('../../src/controllers/auth.controller');
+const fixtures = require('../helpers/fixtures');
+
+const PHONE = '09121234567';
+
+describe('otp.service requestCode', () => {
+  let otp;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.OtpCode.findOne.mockResolvedValue(null);
+    db.OtpCode.findAll.mockResolvedValue([]);
+    db.OtpCode.create.mockImplementation(async (values) => {
+      otp = fixtures.row({ id: 'otp-1', consumed_at: null, ...values });
+      return otp;
+    });
+    db.User.findOne.mockResolvedValue({ id: 'user-1', phone: PHONE, locale: 'en' });
+  });
+
+  // The code as the console provider logged it
+  const loggedCode = () => {
+    const [message] = logger.info.mock.calls.find(([text]) => text.startsWith(`[sms] to ${PHONE}`));
+    return message.match(/sign-in code: (\d+)/)[1];
+  };
+
+  it('texts the code to a registered number and keeps it out of the result', async () => {
+    const result = await otpService.requestCode(PHONE, 'staff');
+
+    expect(Object.keys(result)).toEqual(['expiresAt']);
+    expect(result.expiresAt).toBe(otp.expires_at);
+    expect(loggedCode()).toMatch(/^\d{6}$/);
+    expect(otp.code_hash).not.toContain(loggedCode());
+  });
+
+  it('texts nothing to a number without an account', async () => {
+    db.User.findOne.mockResolvedValue(null);
+
+    const result = await otpService.requestCode(PHONE, 'staff');
+
+    expect(Object.keys(result)).toEqual(['expiresAt']);
+    expect(logger.info).not.toHaveBeenCalled();
+  });
+
+  it('answers the login request without the code', async () => {
+    const res = fixtures.response();
+    const next = jest.fn();
+
+    await authController.requestOtp({
+      body: { phone: PHONE, audience: 'staff' },
+      ip: '127.0.0.1',
+      acceptsLanguages: () => 'en'
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual({ expires_at: otp.expires_at });
+    expect(JSON.stringify(res.body)).not.toContain(loggedCode());
+  });
+});
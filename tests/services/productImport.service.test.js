@@ -0,0 +1,215 @@
+jest.mock('../../src/models', () => ({
+  Product: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn()
+  },
+  Category: {
+    findAll: jest.fn(),
+    findOrCreate: jest.fn()
+  },
+  Unit: {
+    findAll: jest.fn()
+  },
+  Inventory: {
+    findOrCreate: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  }
+}));
+jest.mock('../../src/services/inventory.service', () => ({
+  applyStockMovement: jest.fn()
+}));
+jest.mock('../../src/services/productVariant.service', () => ({
+  syncVariants: jest.fn()
+}));
+
+const db = require('../../src/models');
+const inventoryService = require('../../src/services/inventory.service');
+const productImportService = require('../../src/services/productImport.service');
+const { toXlsx } = require('../../src/utils/spreadsheet');
+
+const SHOP_ID = 'shop-1';
+
+const existingProduct = (reserved = 0) => ({
+  id: 'product-1',
+  shop_id: SHOP_ID,
+  sku: 'TEA-1',
+  barcode: null,
+  name: 'Tea',
+  variants: [],
+  inventory: { reserved_quantity: reserved }
+});
+
+const inventoryRow = values => ({
+  ...values,
+  update: jest.fn()
+});
+
+const stockRow = stock => [{ row: 2, values: { sku: 'TEA-1', stock_quantity: String(stock) } }];
+
+describe('productImport.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.Category.findAll.mockResolvedValue([{ id: 'category-1', name: 'Drinks' }]);
+    db.Unit.findAll.mockResolvedValue([{ id: 1, name: 'Piece', abbreviation: 'pc' }]);
+    db.Product.findByPk.mockResolvedValue({ id: 'product-1', parent_id: null, update: jest.fn() });
+    db.Product.count.mockResolvedValue(0);
+  });
+
+  describe('readFile', () => {
+    it('reads the first sheet of an XLSX file', async () => {
+      const buffer = await toXlsx([['name', 'sku'], ['Tea', 'TEA-1'], [], ['Coffee', 'COF-1']]);
+
+      expect(await productImportService.readFile({ originalname: 'products.xlsx', buffer })).toEqual({
+        headers: ['name', 'sku'],
+        rows: [{ row: 2, cells: ['Tea', 'TEA-1'] }, { row: 4, cells: ['Coffee', 'COF-1'] }]
+      });
+    });
+
+    it('refuses an XLSX sheet with values past the largest file', async () => {
+      const buffer = await toXlsx([['name'], ...Array.from({ length: productImportService.MAX_ROWS + 1 }, () => ['Tea'])]);
+
+      await expect(productImportService.readFile({ originalname: 'products.xlsx', buffer }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'IMPORT_TOO_LARGE' });
+    });
+
+    it('refuses a file that is not a workbook', async () => {
+      await expect(productImportService.readFile({ originalname: 'products.xlsx', buffer: Buffer.from('name,sku') }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_IMPORT_FILE' });
+    });
+  });
+
+  describe('mapRows', () => {
+    let file;
+
+    beforeAll(async () => {
+      file = await productImportService.readFile({
+        originalname: 'products.csv',
+        buffer: Buffer.from('Product;Stock Quantity;Price\nTea;5;12000\nCoffee;;\n')
+      });
+    });
+
+    it('matches columns by field name and by the mapping', () => {
+      const { columns, rows } = productImportService.mapRows(file, { selling_price: 'Price', name: 'Product' });
+
+      expect(columns).toEqual({ name: 'Product', selling_price: 'Price', stock_quantity: 'Stock Quantity' });
+      expect(rows).toEqual([
+        { row: 2, values: { name: 'Tea', selling_price: '12000', stock_quantity: '5' } },
+        { row: 3, values: { name: 'Coffee' } }
+      ]);
+    });
+
+    it('rejects a mapping to a column the file does not have', () => {
+      expect(() => productImportService.mapRows(file, { name: 'Title' }))
+        .toThrow(expect.objectContaining({ errorCode: 'INVALID_COLUMN_MAPPING' }));
+    });
+  });
+
+  describe('planImport', () => {
+    it('reports duplicate codes, unknown categories and units per row', async () => {
+      db.Product.findAll.mockResolvedValue([]);
+
+      const { report } = await productImportService.planImport(SHOP_ID, [
+        { row: 2, values: { name: 'Tea', sku: 'A1', category: 'drinks', unit: 'PC', selling_price: '10' } },
+        { row: 3, values: { name: 'Coffee', sku: 'A1', category: 'Snacks', unit: 'box', selling_price: '12' } }
+      ]);
+
+      expect(report).toMatchObject({ total_rows: 2, valid_rows: 1, to_create: 1 });
+      expect(report.errors).toEqual([
+        { row: 3, field: 'sku', message: 'SKU A1 is also on row 2' },
+        { row: 3, field: 'category', message: 'The shop has no category Snacks' },
+        { row: 3, field: 'unit', message: 'The shop has no unit box' }
+      ]);
+    });
+
+    it('accepts stock lowered down to the units reserved for orders', async () => {
+      db.Product.findAll.mockResolvedValue([existingProduct(4)]);
+
+      const { report } = await productImportService.planImport(SHOP_ID, stockRow(4));
+
+      expect(report).toMatchObject({ valid_rows: 1, to_update: 1, errors: [] });
+    });
+
+    it('reports stock set below the units reserved for orders', async () => {
+      db.Product.findAll.mockResolvedValue([existingProduct(4)]);
+
+      const { report } = await productImportService.planImport(SHOP_ID, stockRow(3));
+
+      expect(report.errors).toEqual([{
+        row: 2,
+        field: 'stock_quantity',
+        message: 'Stock cannot be set below the 4 unit(s) reserved for orders'
+      }]);
+    });
+  });
+
+  describe('importRows', () => {
+    it('books the difference from the stock on hand, not the available stock', async () => {
+      db.Product.findAll.mockResolvedValue([existingProduct(4)]);
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryRow({
+        stock_quantity: 10,
+        available_quantity: 6,
+        reserved_quantity: 4
+      })]);
+
+      const result = await productImportService.importRows(SHOP_ID, stockRow(5), { userId: 'user-1' });
+
+      expect(result).toMatchObject({ updated: 1, errors: [], failed_rows: 0 });
+      expect(inventoryService.applyStockMovement).toHaveBeenCalledWith(expect.objectContaining({
+        product_id: 'product-1',
+        quantity: -5,
+        transaction_type: 'adjustment'
+      }), expect.anything());
+      expect(db.Inventory.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE' }));
+    });
+
+    it('fails the row when orders reserved more units after the check', async () => {
+      db.Product.findAll.mockResolvedValue([existingProduct(0)]);
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryRow({
+        stock_quantity: 10,
+        available_quantity: 2,
+        reserved_quantity: 8
+      })]);
+
+      const result = await productImportService.importRows(SHOP_ID, stockRow(5), { userId: 'user-1' });
+
+      expect(result).toMatchObject({ updated: 0, failed_rows: 1 });
+      expect(result.errors).toEqual([{
+        row: 2,
+        field: null,
+        message: 'Stock cannot be set below the 8 unit(s) reserved for orders'
+      }]);
+      expect(inventoryService.applyStockMovement).not.toHaveBeenCalled();
+    });
+
+    it('books opening stock of a new product as a purchase', async () => {
+      db.Product.findAll.mockResolvedValue([]);
+      db.Product.create.mockResolvedValue({ id: 'product-2', parent_id: null });
+      db.Inventory.findOrCreate.mockResolvedValue([inventoryRow({
+        stock_quantity: 0,
+        available_quantity: 0,
+        reserved_quantity: 0
+      })]);
+
+      const result = await productImportService.importRows(SHOP_ID, [{
+        row: 2,
+        values: { name: 'Coffee', sku: 'COF-1', category: 'Drinks', selling_price: '15', stock_quantity: '12' }
+      }], { userId: 'user-1' });
+
+      expect(result).toMatchObject({ created: 1, errors: [] });
+      expect(db.Product.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Coffee',
+        category_id: 'category-1',
+        shop_id: SHOP_ID
+      }), expect.anything());
+      expect(inventoryService.applyStockMovement).toHaveBeenCalledWith(expect.objectContaining({
+        quantity: 12,
+        transaction_type: 'purchase',
+        note: 'Opening stock (import)'
+      }), expect.anything());
+    });
+  });
+});
@@ -0,0 +1,146 @@
+jest.mock('../../src/models', () => ({
+  Sale: {
+    findAll: jest.fn()
+  },
+  Payment: {
+    findAll: jest.fn()
+  },
+  Customer: {
+    findByPk: jest.fn()
+  },
+  CustomerRepayment: {
+    create: jest.fn()
+  },
+  sequelize: {
+    fn: jest.fn((name, column) => ({ fn: name, column })),
+    col: jest.fn(name => ({ col: name })),
+    transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/services/salePayment.service', () => ({
+  recordPayments: jest.fn()
+}));
+
+const db = require('../../src/models');
+const salePaymentService = require('../../src/services/salePayment.service');
+const receivableService = require('../../src/services/receivable.service');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+const transaction = fixtures.transaction();
+
+const customerOf = creditLimit => fixtures.row({ id: 'customer-1', credit_limit: creditLimit });
+
+// Two invoices on account: 300 with 100 paid, and 150 unpaid
+const openInvoices = () => {
+  db.Sale.findAll.mockResolvedValue([
+    { id: 'sale-1', invoice_number: 'INV-1405-000001', total_amount: '300.00' },
+    { id: 'sale-2', invoice_number: 'INV-1405-000002', total_amount: '150.00' }
+  ]);
+  db.Payment.findAll.mockResolvedValue([{ sale_id: 'sale-1', paid: '100.00' }]);
+};
+
+describe('receivable.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getOutstanding', () => {
+    it('adds up what is left to pay on the customer\'s invoices on account', async () => {
+      openInvoices();
+
+      expect(await receivableService.getOutstanding(SHOP_ID, 'customer-1', transaction)).toBe(350);
+      expect(db.Sale.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ shop_id: SHOP_ID, customer_id: 'customer-1', on_account: true })
+      }));
+    });
+
+    it('is nothing for a customer without invoices on account', async () => {
+      db.Sale.findAll.mockResolvedValue([]);
+
+      expect(await receivableService.getOutstanding(SHOP_ID, 'customer-1', transaction)).toBe(0);
+      expect(db.Payment.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkCreditLimit', () => {
+    it('refuses customers without a credit limit', async () => {
+      await expect(receivableService.checkCreditLimit(customerOf(null), SHOP_ID, transaction))
+        .rejects.toMatchObject({ errorCode: 'CREDIT_NOT_ALLOWED' });
+      expect(db.Sale.findAll).not.toHaveBeenCalled();
+    });
+
+    it('accepts a balance up to the credit limit', async () => {
+      openInvoices();
+
+      expect(await receivableService.checkCreditLimit(customerOf('350.00'), SHOP_ID, transaction)).toBe(350);
+    });
+
+    it('refuses a balance over the credit limit', async () => {
+      openInvoices();
+
+      await expect(receivableService.checkCreditLimit(customerOf('349.99'), SHOP_ID, transaction))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'CREDIT_LIMIT_EXCEEDED' });
+    });
+
+    it('refuses any balance with a credit limit of zero', async () => {
+      db.Sale.findAll.mockResolvedValue([{ id: 'sale-1', total_amount: '0.01' }]);
+      db.Payment.findAll.mockResolvedValue([]);
+
+      await expect(receivableService.checkCreditLimit(customerOf('0.00'), SHOP_ID, transaction))
+        .rejects.toMatchObject({ errorCode: 'CREDIT_LIMIT_EXCEEDED' });
+    });
+  });
+
+  describe('recordRepayment', () => {
+    const paidBefore = { 'sale-1': 100, 'sale-2': 0 };
+
+    beforeEach(() => {
+      openInvoices();
+      db.sequelize.transaction.mockImplementation(async callback => callback(transaction));
+      db.Customer.findByPk.mockResolvedValue(customerOf('1000.00'));
+      db.CustomerRepayment.create.mockImplementation(async values => ({ id: 'repayment-1', ...values }));
+      salePaymentService.recordPayments.mockImplementation(async (sale, [tender]) => {
+        const balance = parseFloat(sale.total_amount) - paidBefore[sale.id] - tender.amount;
+        return { balance, paymentStatus: balance > 0 ? 'partial' : 'paid' };
+      });
+    });
+
+    const repay = data => receivableService.recordRepayment(SHOP_ID, 'customer-1', {
+      payment_method: 'cash',
+      ...data
+    }, 'user-1');
+
+    it('pays off the oldest invoices first', async () => {
+      const result = await repay({ amount: 250 });
+
+      expect(result.balance).toBe(100);
+      expect(result.allocations).toEqual([
+        { sale_id: 'sale-1', invoice_number: 'INV-1405-000001', amount: 200, balance: 0, payment_status: 'paid' },
+        { sale_id: 'sale-2', invoice_number: 'INV-1405-000002', amount: 50, balance: 100, payment_status: 'partial' }
+      ]);
+      expect(salePaymentService.recordPayments).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'sale-1' }),
+        [{ payment_method: 'cash', amount: 200, reference_number: undefined }],
+        { userId: 'user-1', repaymentId: 'repayment-1', transaction }
+      );
+    });
+
+    it('pays the invoices the customer chose', async () => {
+      const result = await repay({ amount: 120, allocations: [{ sale_id: 'sale-2', amount: 120 }] });
+
+      expect(result.allocations).toEqual([expect.objectContaining({ sale_id: 'sale-2', amount: 120, balance: 30 })]);
+      expect(result.balance).toBe(230);
+    });
+
+    it('refuses allocations that do not add up to the amount repaid', async () => {
+      await expect(repay({ amount: 120, allocations: [{ sale_id: 'sale-2', amount: 100 }] }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_ALLOCATION' });
+      expect(db.CustomerRepayment.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses to take more than the customer owes', async () => {
+      await expect(repay({ amount: 350.01 })).rejects.toMatchObject({ errorCode: 'REPAYMENT_EXCEEDS_BALANCE' });
+    });
+  });
+});
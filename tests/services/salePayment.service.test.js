@@ -0,0 +1,193 @@
+jest.mock('../../src/models', () => ({
+  Payment: {
+    sum: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  }
+}));
+jest.mock('../../src/services/registerShift.service', () => ({
+  currentShiftId: jest.fn()
+}));
+jest.mock('../../src/services/storedValue.service', () => ({
+  findTenderAccount: jest.fn(),
+  redeem: jest.fn()
+}));
+
+const db = require('../../src/models');
+const storedValueService = require('../../src/services/storedValue.service');
+const salePaymentService = require('../../src/services/salePayment.service');
+const fixtures = require('../helpers/fixtures');
+
+const saleOf = fixtures.factory({
+  id: 'sale-1',
+  invoice_number: 'INV-1405-000001',
+  total_amount: '100.00',
+  payment_status: 'unpaid'
+});
+
+describe('salePayment.service', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction = fixtures.transaction();
+  });
+
+  describe('splitTenders', () => {
+    it('charges card and cash exactly when they add up to the balance', () => {
+      const { payments, change } = salePaymentService.splitTenders(100, [
+        { payment_method: 'card', amount: 60 },
+        { payment_method: 'cash', amount: 40 }
+      ]);
+
+      expect(change).toBe(0);
+      expect(payments).toEqual([
+        { payment_method: 'card', amount: 60, amount_tendered: null, change_amount: 0 },
+        { payment_method: 'cash', amount: 40, amount_tendered: 40, change_amount: 0 }
+      ]);
+    });
+
+    it('gives change from the last cash tenders first', () => {
+      const { payments, change } = salePaymentService.splitTenders(100, [
+        { payment_method: 'cash', amount: 50 },
+        { payment_method: 'card', amount: 30 },
+        { payment_method: 'cash', amount: 20.5 }
+      ]);
+
+      expect(change).toBe(0.5);
+      expect(payments.map(payment => [payment.payment_method, payment.amount, payment.change_amount])).toEqual([
+        ['cash', 50, 0],
+        ['card', 30, 0],
+        ['cash', 20, 0.5]
+      ]);
+    });
+
+    it('drops cash that is handed straight back as change', () => {
+      const { payments, change } = salePaymentService.splitTenders(30, [
+        { payment_method: 'cash', amount: 20 },
+        { payment_method: 'card', amount: 30 }
+      ]);
+
+      expect(change).toBe(20);
+      expect(payments).toEqual([
+        { payment_method: 'card', amount: 30, amount_tendered: null, change_amount: 0 }
+      ]);
+    });
+
+    it('rejects card, mobile and credit tenders above the balance', () => {
+      expect(() => salePaymentService.splitTenders(50, [
+        { payment_method: 'card', amount: 30 },
+        { payment_method: 'credit', amount: 30 }
+      ])).toThrow(expect.objectContaining({ errorCode: 'PAYMENT_EXCEEDS_BALANCE' }));
+    });
+
+    it('leaves a balance when the tenders fall short', () => {
+      const { payments, change } = salePaymentService.splitTenders(100, [
+        { payment_method: 'mobile', amount: 25 }
+      ]);
+
+      expect(change).toBe(0);
+      expect(payments).toHaveLength(1);
+      expect(payments[0].amount).toBe(25);
+    });
+  });
+
+  describe('derivePaymentStatus', () => {
+    it.each([
+      [100, 100, 'paid'],
+      [100, 120, 'paid'],
+      [100, 40, 'partial'],
+      [100, 0, 'unpaid']
+    ])('is %s total with %s paid: %s', (total, paid, status) => {
+      expect(salePaymentService.derivePaymentStatus(total, paid)).toBe(status);
+    });
+  });
+
+  describe('recordPayments', () => {
+    it('records each tender and derives the status from the ledger', async () => {
+      const sale = saleOf();
+      db.Payment.sum.mockResolvedValue(null);
+      db.Payment.create.mockImplementation(async values => values);
+      db.Payment.findAll.mockResolvedValue([
+        { amount: '60.00', payment_method: 'card' },
+        { amount: '20.00', payment_method: 'cash' }
+      ]);
+
+      const result = await salePaymentService.recordPayments(sale, [
+        { payment_method: 'card', amount: 60 },
+        { payment_method: 'cash', amount: 20 }
+      ], { userId: 'user-1', transaction });
+
+      expect(db.Payment.create.mock.calls.map(([payment]) => [payment.payment_method, payment.amount])).toEqual([
+        ['card', 60],
+        ['cash', 20]
+      ]);
+      expect(result).toMatchObject({ amountPaid: 80, balance: 20, change: 0, paymentStatus: 'partial' });
+      expect(sale).toMatchObject({ payment_status: 'partial', payment_method: 'mixed' });
+    });
+
+    it('takes credit tenders from the stored value account', async () => {
+      const sale = saleOf();
+      const account = { id: 'account-1' };
+      db.Payment.sum.mockResolvedValue(null);
+      db.Payment.create.mockImplementation(async values => values);
+      db.Payment.findAll.mockResolvedValue([{ amount: '100.00', payment_method: 'credit' }]);
+      storedValueService.findTenderAccount.mockResolvedValue(account);
+
+      await salePaymentService.recordPayments(sale, [
+        { payment_method: 'credit', amount: 100, gift_card_code: 'GIFT-1' }
+      ], { userId: 'user-1', transaction });
+
+      expect(db.Payment.create).toHaveBeenCalledWith(
+        expect.objectContaining({ stored_value_account_id: 'account-1' }),
+        { transaction }
+      );
+      expect(storedValueService.redeem).toHaveBeenCalledWith(account, 100, expect.anything(), expect.anything(), transaction);
+    });
+
+    it('only takes what is still owed on the sale', async () => {
+      db.Payment.sum.mockResolvedValue(70);
+
+      await expect(salePaymentService.recordPayments(saleOf({ payment_status: 'partial' }), [
+        { payment_method: 'card', amount: 40 }
+      ], { userId: 'user-1', transaction })).rejects.toMatchObject({ errorCode: 'PAYMENT_EXCEEDS_BALANCE' });
+    });
+
+    it('refuses payment on a sale paid in full', async () => {
+      db.Payment.sum.mockResolvedValue(100);
+
+      await expect(salePaymentService.recordPayments(saleOf({ payment_status: 'paid' }), [
+        { payment_method: 'cash', amount: 10 }
+      ], { userId: 'user-1', transaction })).rejects.toMatchObject({ errorCode: 'SALE_ALREADY_PAID' });
+    });
+
+    it('refuses payment on a refunded sale', async () => {
+      await expect(salePaymentService.recordPayments(saleOf({ payment_status: 'refunded' }), [
+        { payment_method: 'cash', amount: 10 }
+      ], { userId: 'user-1', transaction })).rejects.toMatchObject({ errorCode: 'INVALID_PAYMENT_STATUS' });
+      expect(db.Payment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveRefundMethod', () => {
+    it('pays a refund back by the sale\'s own method unless asked otherwise', () => {
+      const sale = saleOf({ payment_method: 'card' });
+
+      expect(salePaymentService.resolveRefundMethod(sale)).toBe('card');
+      expect(salePaymentService.resolveRefundMethod(sale, 'credit')).toBe('credit');
+    });
+
+    it('needs to be told how to refund a sale paid by several methods', () => {
+      const sale = saleOf({ payment_method: 'mixed' });
+
+      expect(() => salePaymentService.resolveRefundMethod(sale)).toThrow(expect.objectContaining({
+        statusCode: 400,
+        errorCode: 'REFUND_METHOD_REQUIRED'
+      }));
+      expect(() => salePaymentService.resolveRefundMethod(sale, 'mixed')).toThrow(expect.objectContaining({
+        errorCode: 'REFUND_METHOD_REQUIRED'
+      }));
+      expect(salePaymentService.resolveRefundMethod(sale, 'cash')).toBe('cash');
+    });
+  });
+});
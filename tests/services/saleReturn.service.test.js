@@ -0,0 +1,119 @@
+jest.mock('../../src/models', () => ({
+  Sale: {
+    findByPk: jest.fn()
+  },
+  SaleReturn: {
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    sum: jest.fn()
+  },
+  SaleReturnItem: {
+    create: jest.fn(),
+    findAll: jest.fn()
+  },
+  Refund: {
+    create: jest.fn(),
+    sum: jest.fn()
+  },
+  InventoryTransaction: {
+    create: jest.fn()
+  },
+  LoyaltyTransaction: {
+    create: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(),
+    fn: jest.fn(),
+    col: jest.fn()
+  }
+}));
+jest.mock('../../src/services/inventory.service', () => ({
+  applyStockMovement: jest.fn(),
+  resolveLocation: jest.fn(async () => ({ id: 'location-1' }))
+}));
+jest.mock('../../src/services/registerShift.service', () => ({
+  currentShiftId: jest.fn(async () => 'shift-1')
+}));
+jest.mock('../../src/services/numberSequence.service', () => ({
+  nextNumber: jest.fn(async () => 'RET-1405-000001')
+}));
+jest.mock('../../src/services/storedValue.service', () => ({
+  refundToStoredValue: jest.fn()
+}));
+
+const db = require('../../src/models');
+const { applyStockMovement } = require('../../src/services/inventory.service');
+const saleReturnService = require('../../src/services/saleReturn.service');
+const fixtures = require('../helpers/fixtures');
+
+// Two teas at 30 and a cake at 40, with 10 off the sale
+const saleOf = fixtures.factory({
+  id: 'sale-1',
+  shop_id: 'shop-1',
+  invoice_number: 'INV-1405-000001',
+  total_amount: '90.00',
+  discount_amount: '10.00',
+  payment_status: 'paid',
+  payment_method: 'mixed',
+  loyalty_points_earned: 0,
+  customer: null,
+  items: [
+    { id: 'item-tea', product_id: 'tea', quantity: 2, unit_price: '30.00', subtotal: '60.00', product: { name: 'Tea', shop_id: 'shop-1' } },
+    { id: 'item-cake', product_id: 'cake', quantity: 1, unit_price: '40.00', subtotal: '40.00', product: { name: 'Cake', shop_id: 'shop-1' } }
+  ]
+});
+
+describe('saleReturn.service createReturn', () => {
+  let sale;
+  let saleReturn;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.sequelize.transaction.mockImplementation(async callback => callback(fixtures.transaction()));
+    sale = saleOf();
+    db.Sale.findByPk.mockResolvedValue(sale);
+    db.SaleReturnItem.findAll.mockResolvedValue([]);
+    db.Refund.sum.mockResolvedValue(0);
+    db.SaleReturn.create.mockImplementation(async (values) => {
+      saleReturn = fixtures.row({ id: 'return-1', ...values });
+      return saleReturn;
+    });
+    db.SaleReturn.findByPk.mockImplementation(async () => saleReturn);
+    db.Refund.create.mockImplementation(async values => ({ id: 'refund-1', ...values }));
+  });
+
+  const returnTea = (data = {}) => saleReturnService.createReturn('sale-1', {
+    items: [{ sale_item_id: 'item-tea', quantity: 1, disposition: 'restock' }],
+    reason: 'Too sweet',
+    ...data
+  }, 'user-1');
+
+  it('needs a refund method for a sale paid by several methods', async () => {
+    await expect(returnTea()).rejects.toMatchObject({ statusCode: 400, errorCode: 'REFUND_METHOD_REQUIRED' });
+    expect(db.SaleReturn.create).not.toHaveBeenCalled();
+    expect(db.Refund.create).not.toHaveBeenCalled();
+    expect(applyStockMovement).not.toHaveBeenCalled();
+  });
+
+  it('refunds a returned unit at what was paid for it, by the method asked for', async () => {
+    await returnTea({ refund_method: 'cash' });
+
+    // 30 less the tea's 6 share of the sale discount, halved for one of two units
+    expect(saleReturn).toMatchObject({ refund_method: 'cash', subtotal: 30, discount_amount: 3, total_amount: 27, refund_id: 'refund-1' });
+    expect(db.Refund.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 27, refund_method: 'cash', shift_id: 'shift-1' }),
+      expect.anything()
+    );
+    expect(applyStockMovement).toHaveBeenCalledWith(expect.objectContaining({ product_id: 'tea', quantity: 1, location_id: 'location-1' }), expect.anything());
+    expect(sale.payment_status).toBe('paid');
+  });
+
+  it('refunds a single-method sale by that method', async () => {
+    sale.payment_method = 'card';
+
+    await returnTea();
+
+    expect(saleReturn.refund_method).toBe('card');
+    expect(db.Refund.create).toHaveBeenCalledWith(expect.objectContaining({ refund_method: 'card' }), expect.anything());
+  });
+});
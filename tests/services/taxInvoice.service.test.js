@@ -0,0 +1,212 @@
+jest.mock('../../src/models', () => ({
+  TaxInvoice: {
+    findByPk: jest.fn(),
+    findOne: jest.fn()
+  },
+  TaxProfile: {
+    findOne: jest.fn()
+  },
+  Shop: {
+    findByPk: jest.fn()
+  },
+  Sale: {
+    findByPk: jest.fn()
+  },
+  SaleReturn: {
+    findByPk: jest.fn()
+  }
+}));
+jest.mock('../../src/services/jobQueue.service', () => ({
+  enqueue: jest.fn()
+}));
+jest.mock('../../src/services/salePayment.service', () => ({
+  getAmountPaid: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const crypto = require('crypto');
+const db = require('../../src/models');
+const config = require('../../src/config');
+const { enqueue } = require('../../src/services/jobQueue.service');
+const { getAmountPaid } = require('../../src/services/salePayment.service');
+const taxInvoiceService = require('../../src/services/taxInvoice.service');
+const invoiceMapper = require('../../src/services/taxInvoices/invoice');
+const { createMockPortal } = require('../../src/services/taxInvoices/mockPortal');
+const fixtures = require('../helpers/fixtures');
+
+const SHOP_ID = 'shop-1';
+const MEMORY_ID = 'A1B2C3';
+const SALE_DATE = new Date('2026-06-10T08:00:00Z');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+// Two teas at 50,000 rials with 10% VAT
+const saleOf = taxServiceId => ({
+  id: 'sale-1',
+  shop_id: SHOP_ID,
+  sale_date: SALE_DATE,
+  discount_amount: '0',
+  customer: null,
+  items: [{
+    quantity: '2',
+    unit_price: '50000',
+    discount_amount: '0',
+    tax_percent: '10',
+    product: { name: 'Tea', tax_service_id: taxServiceId }
+  }]
+});
+
+// The job running a submission, on its first of three attempts
+const jobOf = (attempt = 1) => ({ id: 'job-1', attempts_made: attempt, max_attempts: 3 });
+
+describe('taxInvoice.service with the mock portal', () => {
+  let server;
+  let portal;
+  let portalUrl;
+  let invoice;
+  let sale;
+
+  beforeAll(async () => {
+    // The portal checks every token and invoice against the shop's key, and
+    // answers the first inquiry about each invoice with "still checking"
+    portal = createMockPortal({ publicKeys: { [MEMORY_ID]: publicKey }, pendingInquiries: 1 });
+    server = await new Promise((resolve) => {
+      const listening = portal.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    portalUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.moadian.apiUrl = portalUrl;
+    config.moadian.serverPublicKey = undefined;
+
+    invoice = fixtures.row({
+      id: 'tax-invoice-1',
+      shop_id: SHOP_ID,
+      sale_id: 'sale-1',
+      sale_return_id: null,
+      subject: 'original',
+      serial: 1,
+      tax_id: invoiceMapper.taxId(MEMORY_ID, SALE_DATE, 1),
+      status: 'queued',
+      attempts: 0,
+      errors: [],
+      created_at: SALE_DATE
+    });
+    sale = saleOf('2710000138624');
+
+    db.TaxInvoice.findByPk.mockImplementation(async () => invoice);
+    db.TaxInvoice.findOne.mockImplementation(async ({ where }) => (where.id === invoice.id ? invoice : null));
+    db.TaxProfile.findOne.mockResolvedValue({
+      shop_id: SHOP_ID,
+      memory_id: MEMORY_ID,
+      private_key: privateKey,
+      economic_code: '14001234567',
+      default_unit_code: '1627'
+    });
+    db.Shop.findByPk.mockResolvedValue({ id: SHOP_ID, currency: 'IRR' });
+    db.Sale.findByPk.mockImplementation(async () => sale);
+    getAmountPaid.mockResolvedValue(110000);
+    enqueue.mockImplementation(async (queue, name) => ({ id: `job-${name}` }));
+  });
+
+  // Ask until the portal has finished checking the invoice
+  const inquireUntilAnswered = async () => {
+    await expect(taxInvoiceService.inquire(invoice.id)).rejects.toThrow('still checking');
+    return taxInvoiceService.inquire(invoice.id);
+  };
+
+  it('sends an invoice whose sums add up and records that the portal accepted it', async () => {
+    const submitted = await taxInvoiceService.submit(invoice.id, { job: jobOf() });
+
+    expect(submitted).toMatchObject({ status: 'sent', reference_number: expect.any(String) });
+    expect(enqueue).toHaveBeenCalledWith('tax-invoices', 'inquire', { tax_invoice_id: invoice.id }, expect.objectContaining({
+      shopId: SHOP_ID,
+      delay: config.moadian.inquiryDelayMs
+    }));
+
+    // The portal got the invoice as the shop signed it
+    const received = portal.submissions.get(invoice.reference_number);
+    expect(received.fiscalId).toBe(MEMORY_ID);
+    expect(received.invoice.header).toMatchObject({ taxid: invoice.tax_id, tbill: 110000, tvam: 10000, cap: 110000, insp: 0 });
+
+    expect(await inquireUntilAnswered()).toMatchObject({ status: 'accepted', errors: [] });
+    expect(invoice.accepted_at).toBeInstanceOf(Date);
+    expect(invoice.attempts).toBe(3);
+  });
+
+  it('records the portal\'s errors when it rejects the invoice', async () => {
+    sale = saleOf('123');
+
+    await taxInvoiceService.submit(invoice.id, { job: jobOf() });
+    const answer = await inquireUntilAnswered();
+
+    expect(answer.status).toBe('rejected');
+    expect(invoice.errors).toEqual([{ code: '0201', message: 'Item 1: sstid must be 13 digits' }]);
+    expect(invoice.accepted_at).toBeUndefined();
+  });
+
+  it('sends a rejected invoice again once it is fixed', async () => {
+    sale = saleOf('123');
+    await taxInvoiceService.submit(invoice.id, { job: jobOf() });
+    await inquireUntilAnswered();
+    const firstReference = invoice.reference_number;
+
+    // The product gets its proper tax service ID and the invoice is retried
+    sale = saleOf('2710000138624');
+    const { job } = await taxInvoiceService.retry(invoice.id, SHOP_ID, 'user-1');
+
+    expect(job.id).toBe('job-submit');
+    expect(invoice).toMatchObject({ status: 'queued', errors: [], job_id: 'job-submit' });
+
+    await taxInvoiceService.submit(invoice.id, { job: jobOf() });
+
+    expect(invoice.reference_number).not.toBe(firstReference);
+    expect((await inquireUntilAnswered()).status).toBe('accepted');
+  });
+
+  it('asks about a sent invoice again when retried', async () => {
+    await taxInvoiceService.submit(invoice.id, { job: jobOf() });
+
+    const { job } = await taxInvoiceService.retry(invoice.id, SHOP_ID, 'user-1');
+
+    expect(job.id).toBe('job-inquire');
+    expect(invoice.status).toBe('sent');
+  });
+
+  it('keeps an invoice queued while the portal cannot be reached, and fails it on the last attempt', async () => {
+    // Nothing listens there any more
+    const closed = createMockPortal().listen(0, '127.0.0.1');
+    await new Promise(resolve => closed.once('listening', resolve));
+    config.moadian.apiUrl = `http://127.0.0.1:${closed.address().port}`;
+    await new Promise(resolve => closed.close(resolve));
+
+    await expect(taxInvoiceService.submit(invoice.id, { job: jobOf(1) })).rejects.toThrow();
+    expect(invoice).toMatchObject({ status: 'queued', errors: [expect.objectContaining({ code: 'PORTAL_UNREACHABLE' })] });
+
+    await expect(taxInvoiceService.submit(invoice.id, { job: jobOf(3) })).rejects.toThrow();
+    expect(invoice.status).toBe('failed');
+    expect(enqueue).not.toHaveBeenCalled();
+
+    // Retrying puts it back in the queue to be sent
+    await taxInvoiceService.retry(invoice.id, SHOP_ID, 'user-1');
+    expect(invoice).toMatchObject({ status: 'queued', errors: [] });
+  });
+
+  it('refuses to retry an invoice the portal accepted', async () => {
+    invoice.status = 'accepted';
+
+    await expect(taxInvoiceService.retry(invoice.id, SHOP_ID, 'user-1'))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'TAX_INVOICE_NOT_RETRYABLE' });
+  });
+});
@@ -0,0 +1,32 @@
+const { roundMoney, buildCategoryChain } = require('../../src/utils/pricing');
+
+describe('pricing utils', () => {
+  it('rounds money to two decimals', () => {
+    expect(roundMoney(0.1 + 0.2)).toBe(0.3);
+    expect(roundMoney(10.005)).toBe(10.01);
+    expect(roundMoney(-2.344)).toBe(-2.34);
+  });
+
+  describe('buildCategoryChain', () => {
+    const categoryChain = buildCategoryChain([
+      { id: 'drinks', parent_id: null },
+      { id: 'hot-drinks', parent_id: 'drinks' },
+      { id: 'tea', parent_id: 'hot-drinks' },
+      { id: 'a', parent_id: 'b' },
+      { id: 'b', parent_id: 'a' }
+    ]);
+
+    it('lists a category and its ancestors, nearest first', () => {
+      expect(categoryChain('tea')).toEqual(['tea', 'hot-drinks', 'drinks']);
+      expect(categoryChain('drinks')).toEqual(['drinks']);
+    });
+
+    it('gives an uncategorised product no chain', () => {
+      expect(categoryChain(null)).toEqual([]);
+    });
+
+    it('stops at a loop in the parent links', () => {
+      expect(categoryChain('a')).toEqual(['a', 'b']);
+    });
+  });
+});
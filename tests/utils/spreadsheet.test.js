@@ -0,0 +1,109 @@
+const yazl = require('yazl');
+const { readXlsx, toXlsx } = require('../../src/utils/spreadsheet');
+
+const MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Pack XML parts into a workbook, the way a spreadsheet app would
+ * @param {Object<string, string|Buffer>} parts - Part contents by path
+ * @returns {Promise<Buffer>}
+ */
+const packWorkbook = async (parts) => {
+  const zipfile = new yazl.ZipFile();
+  Object.entries(parts).forEach(([name, data]) => zipfile.addBuffer(Buffer.from(data), name));
+  zipfile.end();
+
+  const chunks = [];
+  for await (const chunk of zipfile.outputStream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// A workbook whose first sheet is kept under a name of its own, as Excel
+// does once sheets are reordered
+const workbookWithSheet = sheetData => packWorkbook({
+  'xl/workbook.xml': `<workbook xmlns="${MAIN}" xmlns:r="${RELATIONSHIPS}"><sheets>`
+    + '<sheet name="Products" sheetId="2" r:id="rId2"/><sheet name="Notes" sheetId="1" r:id="rId1"/>'
+    + '</sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + `<Relationship Id="rId1" Type="${RELATIONSHIPS}/worksheet" Target="worksheets/sheet1.xml"/>`
+    + `<Relationship Id="rId2" Type="${RELATIONSHIPS}/worksheet" Target="worksheets/products.xml"/>`
+    + '</Relationships>',
+  'xl/sharedStrings.xml': `<sst xmlns="${MAIN}">`
+    + '<si><t>name</t></si>'
+    + '<si><r><t>Green </t></r><r><rPr><b/></rPr><t>tea &amp; mint</t></r></si>'
+    + '<si><t>抹茶</t><rPh sb="0" eb="2"><t>マッチャ</t></rPh></si>'
+    + '</sst>',
+  'xl/worksheets/sheet1.xml': `<worksheet xmlns="${MAIN}"><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Notes</t></is></c></row></sheetData></worksheet>`,
+  'xl/worksheets/products.xml': `<worksheet xmlns="${MAIN}"><sheetData>${sheetData}</sheetData></worksheet>`
+});
+
+describe('spreadsheet utils', () => {
+  describe('readXlsx', () => {
+    it('reads the first sheet with shared, rich and inline text, leaving out phonetic guides', async () => {
+      const buffer = await workbookWithSheet('<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="b"><v>1</v></c></row>'
+        + '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3"><v>12.5</v></c><c r="C3" t="inlineStr"><is><t>&lt;b&gt;</t></is></c></row>'
+        + '<row r="4"><c r="A4" t="s"><v>2</v></c></row>');
+
+      expect(await readXlsx(buffer)).toEqual([
+        ['name', '', 'true'],
+        [],
+        ['Green tea & mint', '12.5', '<b>'],
+        ['抹茶']
+      ]);
+    });
+
+    it('ignores empty cells past the limits', async () => {
+      const buffer = await workbookWithSheet('<row r="1"><c r="A1" t="s"><v>0</v></c><c r="XFD1"/></row>'
+        + '<row r="1048576"><c r="A1048576"/></row>');
+
+      expect(await readXlsx(buffer, { maxRows: 10, maxColumns: 5 })).toEqual([['name']]);
+    });
+
+    it('refuses a value past the last row allowed', async () => {
+      const buffer = await workbookWithSheet('<row r="1"><c r="A1" t="s"><v>0</v></c></row>'
+        + '<row r="1048576"><c r="A1048576"><v>1</v></c></row>');
+
+      await expect(readXlsx(buffer, { maxRows: 10 }))
+        .rejects.toMatchObject({ code: 'SHEET_TOO_LARGE', message: 'The sheet has values past row 10' });
+    });
+
+    it('refuses a value past the last column allowed', async () => {
+      const buffer = await workbookWithSheet('<row r="1"><c r="A1" t="s"><v>0</v></c><c r="XFD1"><v>1</v></c></row>');
+
+      await expect(readXlsx(buffer, { maxColumns: 5 }))
+        .rejects.toMatchObject({ code: 'SHEET_TOO_LARGE', message: 'The sheet has values past column E' });
+    });
+
+    it('refuses a part that unpacks past the size limit', async () => {
+      const buffer = await workbookWithSheet(' '.repeat(51 * 1024 * 1024));
+
+      await expect(readXlsx(buffer)).rejects.toMatchObject({ code: 'SHEET_TOO_LARGE' });
+    });
+
+    it('refuses a file that is not a workbook', async () => {
+      await expect(readXlsx(Buffer.from('name,sku\nTea,TEA-1\n'))).rejects.toThrow();
+      await expect(readXlsx(await packWorkbook({ 'readme.txt': 'hello' }))).rejects.toThrow('The workbook has no sheets');
+    });
+  });
+
+  describe('toXlsx', () => {
+    it('writes a workbook that reads back, without characters XML cannot hold', async () => {
+      const buffer = await toXlsx([
+        ['name', 'selling_price', 'is_active'],
+        ['چای "ممتاز" & نبات\u0007', 120000, 'true'],
+        [],
+        ['Coffee', null, 'false']
+      ], 'Products');
+
+      expect(await readXlsx(buffer)).toEqual([
+        ['name', 'selling_price', 'is_active'],
+        ['چای "ممتاز" & نبات', '120000', 'true'],
+        [],
+        ['Coffee', '', 'false']
+      ]);
+    });
+  });
+});